@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+
+/**
+ * Create (or promote) an institution admin account
+ * Usage: node scripts/create-admin.js <email> <name> <password>
+ * An existing user with the same email is promoted to admin instead.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/shayak';
+
+async function main() {
+  const [email, name, password] = process.argv.slice(2);
+
+  if (!email) {
+    console.error('Usage: node scripts/create-admin.js <email> <name> <password>');
+    process.exit(1);
+  }
+
+  await mongoose.connect(MONGODB_URI);
+
+  try {
+    const existingUser = await User.findOne({ email: email.toLowerCase() });
+
+    if (existingUser) {
+      existingUser.role = 'admin';
+      existingUser.isActive = true;
+      await existingUser.save();
+      console.log(`✅ Promoted ${existingUser.email} to admin`);
+      return;
+    }
+
+    if (!name || !password) {
+      console.error('Name and password are required to create a new admin');
+      process.exitCode = 1;
+      return;
+    }
+
+    const admin = await User.create({
+      name,
+      email,
+      password,
+      role: 'admin',
+      isEmailVerified: true
+    });
+    console.log(`✅ Created admin ${admin.email}`);
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Failed to create admin:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+
+/**
+ * Recompute the stored statistics of every active classroom
+ * Usage: node scripts/recompute-classroom-stats.js [classCode]
+ * Counters and averages that drifted from their records are reported and repaired.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Classroom = require('../src/models/Classroom');
+const classroomStatsService = require('../src/services/classroomStatsService');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/shayak';
+
+async function main() {
+  const [classCode] = process.argv.slice(2);
+
+  await mongoose.connect(MONGODB_URI);
+
+  try {
+    const filter = classCode ? { classCode: classCode.toUpperCase() } : { isActive: true };
+    const classrooms = await Classroom.find(filter);
+
+    if (classrooms.length === 0) {
+      console.error(classCode ? `No classroom with code ${classCode}` : 'No active classrooms');
+      process.exitCode = 1;
+      return;
+    }
+
+    let repaired = 0;
+    for (const classroom of classrooms) {
+      const drifted = await classroomStatsService.recompute(classroom);
+      if (Object.keys(drifted).length === 0) continue;
+
+      repaired++;
+      console.log(`🔧 ${classroom.name} (${classroom.classCode})`);
+      Object.entries(drifted).forEach(([field, { stored, recomputed }]) => {
+        console.log(`   ${field}: ${stored} → ${recomputed}`);
+      });
+    }
+
+    console.log(`✅ Recomputed ${classrooms.length} classrooms, ${repaired} repaired`);
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Failed to recompute classroom stats:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+
+/**
+ * Mark accounts created before email verification was introduced as verified
+ * Usage: node scripts/verify-existing-emails.js <created-before>
+ * Run once when deploying email verification, with the deployment date (e.g. 2026-10-19).
+ * Accounts created after that date still have to verify their email.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/shayak';
+
+async function main() {
+  const [createdBefore] = process.argv.slice(2);
+  const cutoff = new Date(createdBefore);
+
+  if (!createdBefore || Number.isNaN(cutoff.getTime())) {
+    console.error('Usage: node scripts/verify-existing-emails.js <created-before>');
+    process.exit(1);
+  }
+
+  await mongoose.connect(MONGODB_URI);
+
+  try {
+    const result = await User.updateMany(
+      { createdAt: { $lt: cutoff }, isEmailVerified: false, deletedAt: null },
+      { isEmailVerified: true }
+    );
+
+    console.log(`✅ Marked ${result.modifiedCount} accounts created before ${cutoff.toISOString()} as verified`);
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Failed to verify existing accounts:', error.message);
+  process.exit(1);
+});
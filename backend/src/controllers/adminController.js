@@ -0,0 +1,417 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const UserToken = require('../models/UserToken');
+const Classroom = require('../models/Classroom');
+const Assignment = require('../models/Assignment');
+const Quiz = require('../models/Quiz');
+const DailyPracticeProblem = require('../models/DailyPracticeProblem');
+const VideoClass = require('../models/VideoClass');
+const emailService = require('../services/emailService');
+const tokenService = require('../services/tokenService');
+const socketManager = require('../services/socketManager');
+const loginThrottleService = require('../services/loginThrottleService');
+const accountDataService = require('../services/accountDataService');
+const auditService = require('../services/auditService');
+const apiTokenService = require('../services/apiTokenService');
+const SecurityEvent = require('../models/SecurityEvent');
+const { escapeRegex } = require('../utils/search');
+
+class AdminController {
+  // List and search users
+  async getUsers(req, res) {
+    try {
+      const { search, role, status, page = 1, limit = 20 } = req.query;
+
+      // Deleted accounts only remain as anonymous placeholders
+      const query = { deletedAt: null };
+      if (role) {
+        if (!User.schema.path('role').enumValues.includes(role)) {
+          return res.status(400).json({ message: 'Invalid role' });
+        }
+        query.role = role;
+      }
+      if (status === 'active') {
+        query.isActive = true;
+      } else if (status === 'inactive') {
+        query.isActive = false;
+      }
+      if (search) {
+        const searchRegex = new RegExp(escapeRegex(search), 'i');
+        query.$or = [
+          { name: searchRegex },
+          { email: searchRegex },
+          { studentId: searchRegex },
+          { teacherId: searchRegex }
+        ];
+      }
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const users = await User.find(query)
+        .select('name email role studentId teacherId department isActive isEmailVerified lastLogin createdAt')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const total = await User.countDocuments(query);
+      const locks = await loginThrottleService.getAccountLocks(users.map(u => u.email));
+
+      res.json({
+        users: users.map(u => ({ ...u.toJSON(), lockedUntil: locks.get(u.email) || null })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      });
+    } catch (error) {
+      console.error('Admin get users error:', error);
+      res.status(500).json({ message: 'Server error while fetching users' });
+    }
+  }
+
+  // Get a single user with their classroom memberships
+  async getUser(req, res) {
+    try {
+      const { userId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ message: 'Invalid user ID format' });
+      }
+
+      const user = await User.findById(userId).select('-password');
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      const [classrooms, lock, securityEvents] = await Promise.all([
+        Classroom.find({
+          $or: [{ teacher: userId }, { 'staff.user': userId }, { 'students.student': userId }]
+        }).select('name subject classCode teacher isActive'),
+        loginThrottleService.getAccountLock(user.email),
+        SecurityEvent.find({ user: userId }).populate('actor', 'name').sort({ createdAt: -1 }).limit(20)
+      ]);
+
+      res.json({
+        user,
+        classrooms,
+        lockedUntil: lock?.lockedUntil || null,
+        securityEvents
+      });
+    } catch (error) {
+      console.error('Admin get user error:', error);
+      res.status(500).json({ message: 'Server error while fetching user' });
+    }
+  }
+
+  // Deactivate a user and sign them out everywhere
+  async deactivateUser(req, res) {
+    try {
+      const { userId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ message: 'Invalid user ID format' });
+      }
+
+      if (userId === req.user._id.toString()) {
+        return res.status(400).json({ message: 'You cannot deactivate your own account' });
+      }
+
+      const user = await User.findByIdAndUpdate(
+        userId,
+        { isActive: false },
+        { new: true }
+      ).select('-password');
+
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      await tokenService.revokeAllSessions(user._id, 'logout_all');
+      socketManager.disconnectSessions(user._id);
+
+      res.json({
+        message: 'User deactivated successfully',
+        user
+      });
+    } catch (error) {
+      console.error('Admin deactivate user error:', error);
+      res.status(500).json({ message: 'Server error while deactivating user' });
+    }
+  }
+
+  // Reactivate a previously deactivated user
+  async reactivateUser(req, res) {
+    try {
+      const { userId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ message: 'Invalid user ID format' });
+      }
+
+      const user = await User.findOneAndUpdate(
+        { _id: userId, deletedAt: null },
+        { isActive: true },
+        { new: true }
+      ).select('-password');
+
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      res.json({
+        message: 'User reactivated successfully',
+        user
+      });
+    } catch (error) {
+      console.error('Admin reactivate user error:', error);
+      res.status(500).json({ message: 'Server error while reactivating user' });
+    }
+  }
+
+  // Lift a login lockout
+  async unlockUser(req, res) {
+    try {
+      const { userId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ message: 'Invalid user ID format' });
+      }
+
+      const user = await User.findById(userId).select('-password');
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      const wasLocked = await loginThrottleService.unlockAccount(user, req.user._id);
+
+      res.json({
+        message: wasLocked ? 'User unlocked successfully' : 'User was not locked'
+      });
+    } catch (error) {
+      console.error('Admin unlock user error:', error);
+      res.status(500).json({ message: 'Server error while unlocking user' });
+    }
+  }
+
+  // Download everything stored about a user, for data requests sent to the institution
+  async exportUserData(req, res) {
+    try {
+      const { userId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ message: 'Invalid user ID format' });
+      }
+
+      const user = await User.findOne({ _id: userId, deletedAt: null });
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      const data = await accountDataService.collectUserData(user._id);
+
+      res.attachment(`shayak-data-${user._id}.zip`);
+      const archive = accountDataService.createArchive(data);
+      archive.pipe(res);
+      await archive.finalize();
+    } catch (error) {
+      console.error('Admin export user data error:', error);
+      if (res.headersSent) return res.end();
+      res.status(500).json({ message: 'Server error while exporting user data' });
+    }
+  }
+
+  // Delete a user's personal data and anonymize what they wrote
+  async deleteUser(req, res) {
+    try {
+      const { userId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ message: 'Invalid user ID format' });
+      }
+
+      if (userId === req.user._id.toString()) {
+        return res.status(400).json({ message: 'You cannot delete your own account here' });
+      }
+
+      const user = await User.findOne({ _id: userId, deletedAt: null });
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      if (await accountDataService.getOwnedClassroomCount(user._id) > 0) {
+        return res.status(409).json({
+          message: 'Reassign this teacher\'s classrooms to another teacher before deleting the account'
+        });
+      }
+
+      await accountDataService.deleteAccount(user);
+      socketManager.disconnectSessions(user._id);
+
+      res.json({ message: 'User deleted successfully' });
+    } catch (error) {
+      console.error('Admin delete user error:', error);
+      res.status(500).json({ message: 'Server error while deleting user' });
+    }
+  }
+
+  // Reset a user's password: set a temporary one, or email them a reset link
+  async resetUserPassword(req, res) {
+    try {
+      const { userId } = req.params;
+      const { password } = req.body;
+
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ message: 'Invalid user ID format' });
+      }
+
+      const user = await User.findOne({ _id: userId, deletedAt: null });
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      if (password) {
+        user.password = password;
+        await user.save();
+
+        await tokenService.revokeAllSessions(user._id, 'password_changed');
+        await apiTokenService.revokeAll(user._id, 'password_changed');
+        socketManager.disconnectSessions(user._id);
+
+        return res.json({ message: 'Password reset successfully' });
+      }
+
+      const token = await UserToken.issue(user._id, 'password_reset');
+      await emailService.sendPasswordResetEmail(user, token, UserToken.getTtlMinutes('password_reset'));
+
+      res.json({ message: 'Password reset email sent' });
+    } catch (error) {
+      console.error('Admin reset password error:', error);
+      res.status(500).json({ message: 'Server error while resetting password' });
+    }
+  }
+
+  // List all classrooms, including archived ones
+  async getClassrooms(req, res) {
+    try {
+      const { search, status, page = 1, limit = 20 } = req.query;
+
+      const query = {};
+      if (status === 'active') {
+        query.isActive = true;
+      } else if (status === 'archived') {
+        query.isActive = false;
+      }
+      if (search) {
+        const searchRegex = new RegExp(escapeRegex(search), 'i');
+        query.$or = [
+          { name: searchRegex },
+          { subject: searchRegex },
+          { classCode: searchRegex }
+        ];
+      }
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const classrooms = await Classroom.find(query)
+        .populate('teacher', 'name email teacherId')
+        .select('name subject classCode teacher students isActive createdAt')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const total = await Classroom.countDocuments(query);
+
+      res.json({
+        classrooms: classrooms.map(c => ({
+          id: c._id,
+          name: c.name,
+          subject: c.subject,
+          classCode: c.classCode,
+          teacher: c.teacher,
+          studentsCount: c.students.length,
+          isActive: c.isActive,
+          createdAt: c.createdAt
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      });
+    } catch (error) {
+      console.error('Admin get classrooms error:', error);
+      res.status(500).json({ message: 'Server error while fetching classrooms' });
+    }
+  }
+
+  // Hand a classroom and all of its teacher-owned content to another teacher
+  async reassignClassroomOwner(req, res) {
+    try {
+      const { classroomId } = req.params;
+      const { teacherId } = req.body;
+
+      if (!mongoose.Types.ObjectId.isValid(classroomId)) {
+        return res.status(400).json({ message: 'Invalid classroom ID format' });
+      }
+      if (!mongoose.Types.ObjectId.isValid(teacherId)) {
+        return res.status(400).json({ message: 'Invalid teacher ID format' });
+      }
+
+      const newTeacher = await User.findOne({ _id: teacherId, role: 'teacher', isActive: true });
+      if (!newTeacher) {
+        return res.status(400).json({ message: 'New owner must be an active teacher' });
+      }
+
+      const classroom = await Classroom.findById(classroomId);
+      if (!classroom) {
+        return res.status(404).json({ message: 'Classroom not found' });
+      }
+
+      const previousTeacherId = classroom.teacher;
+      classroom.teacher = newTeacher._id;
+      // The new owner no longer needs a separate staff entry
+      classroom.staff = classroom.staff.filter(s => s.user.toString() !== newTeacher._id.toString());
+      await classroom.save();
+
+      // Content ownership follows the classroom so the new teacher can manage it
+      const contentQuery = { classroom: classroom._id };
+      const contentUpdate = { teacher: newTeacher._id };
+      await Promise.all([
+        Assignment.updateMany(contentQuery, contentUpdate),
+        Quiz.updateMany(contentQuery, contentUpdate),
+        DailyPracticeProblem.updateMany(contentQuery, contentUpdate),
+        VideoClass.updateMany(contentQuery, contentUpdate)
+      ]);
+
+      await classroom.populate('teacher', 'name email teacherId');
+
+      res.json({
+        message: 'Classroom ownership reassigned successfully',
+        previousTeacher: previousTeacherId,
+        classroom
+      });
+    } catch (error) {
+      console.error('Admin reassign classroom error:', error);
+      res.status(500).json({ message: 'Server error while reassigning classroom' });
+    }
+  }
+
+  // Audit log across all classrooms, filterable by action, actor, student, classroom and date
+  async getAuditLog(req, res) {
+    try {
+      const query = auditService.buildQuery(req.query);
+      res.json(await auditService.list(query, req.query));
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error('Admin get audit log error:', error);
+      res.status(500).json({ message: 'Server error while fetching audit log' });
+    }
+  }
+}
+
+module.exports = new AdminController();
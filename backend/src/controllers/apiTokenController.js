@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const ApiToken = require('../models/ApiToken');
+const apiTokenService = require('../services/apiTokenService');
+
+class ApiTokenController {
+  // The user's tokens and the scopes they can grant
+  async getTokens(req, res) {
+    try {
+      const tokens = await apiTokenService.list(req.user._id);
+
+      res.json({
+        tokens,
+        scopes: Object.entries(ApiToken.SCOPES).map(([scope, description]) => ({ scope, description }))
+      });
+    } catch (error) {
+      console.error('Get API tokens error:', error);
+      res.status(500).json({ message: 'Server error while fetching API tokens' });
+    }
+  }
+
+  // Create a token; the plain value is only in this response
+  async createToken(req, res) {
+    try {
+      const created = await apiTokenService.create(req.user._id, req.body);
+
+      if (!created) {
+        return res.status(400).json({ message: 'You have too many active tokens. Revoke one first' });
+      }
+
+      res.status(201).json({
+        message: 'Token created. Copy it now: it will not be shown again',
+        token: created.token,
+        apiToken: created.apiToken
+      });
+    } catch (error) {
+      console.error('Create API token error:', error);
+      res.status(500).json({ message: 'Server error while creating API token' });
+    }
+  }
+
+  async revokeToken(req, res) {
+    try {
+      const { tokenId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(tokenId)) {
+        return res.status(400).json({ message: 'Invalid token ID format' });
+      }
+
+      if (!await apiTokenService.revoke(req.user._id, tokenId)) {
+        return res.status(404).json({ message: 'Token not found' });
+      }
+
+      res.json({ message: 'Token revoked successfully' });
+    } catch (error) {
+      console.error('Revoke API token error:', error);
+      res.status(500).json({ message: 'Server error while revoking API token' });
+    }
+  }
+}
+
+module.exports = new ApiTokenController();
@@ -2,6 +2,32 @@ const Assignment = require('../models/Assignment');
 const Submission = require('../models/Submission');
 const Classroom = require('../models/Classroom');
 const { hasAWSConfig } = require('../services/s3Service');
+const auditService = require('../services/auditService');
+const studentLevelService = require('../services/studentLevelService');
+const classroomStatsService = require('../services/classroomStatsService');
+const classroomModuleService = require('../services/classroomModuleService');
+
+// Fields a teacher can change with PUT /api/assignments/:assignmentId
+const UPDATABLE_FIELDS = [
+  'title', 'description', 'type', 'totalPoints', 'dueDate', 'allowLateSubmission',
+  'targetLevels', 'targetGroups', 'instructions', 'rubric', 'questions', 'timeLimit',
+  'isProctoredTest', 'proctoringSettings'
+];
+
+// Grade fields compared in the audit log
+const gradeSnapshot = (submission) => ({
+  status: submission.status,
+  points: submission.grade.points,
+  percentage: submission.grade.percentage,
+  letterGrade: submission.grade.letterGrade,
+  feedback: submission.grade.feedback,
+  rubricScores: (submission.grade.rubricScores || []).map(({ criteria, pointsEarned, feedback }) => ({ criteria, pointsEarned, feedback }))
+});
+
+const ALL_LEVELS = ['beginner', 'intermediate', 'advanced'];
+
+// Work for every level stays open to students who have not taken the screening test yet
+const isForEveryLevel = (assignment) => ALL_LEVELS.every(level => assignment.targetLevels.includes(level));
 
 class AssignmentController {
   // Get all assignments for current user (all classrooms)
@@ -12,8 +38,8 @@ class AssignmentController {
       let assignments;
 
       if (userRole === 'teacher') {
-        // Get all classrooms where user is teacher
-        const classrooms = await Classroom.find({ teacher: userId, isActive: true });
+        // Get all classrooms where user is on the teaching staff
+        const classrooms = await Classroom.find({ ...Classroom.staffFilter(userId), isActive: true });
         const classroomIds = classrooms.map(c => c._id);
 
         // Get all assignments from these classrooms
@@ -36,10 +62,19 @@ class AssignmentController {
         });
         const classroomIds = classrooms.map(c => c._id);
 
+        // Per classroom: only work for every level until the screening test is taken,
+        // and only work for the student's groups
+        const audience = classrooms.map(c => ({
+          classroom: c._id,
+          ...(c.isScreeningPending(userId) && { targetLevels: { $all: ALL_LEVELS } }),
+          ...Classroom.audienceFilter(c.getStudentGroupIds(userId))
+        }));
+
         // Get published assignments from these classrooms
         assignments = await Assignment.find({
           classroom: { $in: classroomIds },
-          isPublished: true
+          isPublished: true,
+          ...(audience.length && { $or: audience })
         })
           .populate('classroom', 'name classCode')
           .sort({ dueDate: 1 });
@@ -70,19 +105,26 @@ class AssignmentController {
     try {
       const {
         title, description, type, totalPoints, dueDate,
-        allowLateSubmission, targetLevels, instructions,
+        allowLateSubmission, targetLevels, targetGroups, instructions,
         questions, timeLimit, isProctoredTest, proctoringSettings
       } = req.body;
       
       const { classroomId } = req.params;
       const teacherId = req.user._id;
 
-      // Verify teacher owns the classroom
-      const classroom = await Classroom.findOne({ _id: classroomId, teacher: teacherId });
+      // Verify teacher can manage content in the classroom
+      const classroom = await Classroom.findOne({
+        _id: classroomId,
+        ...Classroom.staffFilter(teacherId, 'manage_content')
+      });
       if (!classroom) {
         return res.status(404).json({ message: 'Classroom not found or access denied' });
       }
 
+      if (targetGroups && classroom.findUnknownGroupIds(targetGroups).length) {
+        return res.status(400).json({ message: 'Target groups must belong to this classroom' });
+      }
+
       // Calculate total points from questions if it's a quiz/test/mcq with questions
       let calculatedTotalPoints = totalPoints || 100;
       if ((type === 'quiz' || type === 'test' || type === 'mcq') && questions && questions.length > 0) {
@@ -99,6 +141,7 @@ class AssignmentController {
         dueDate,
         allowLateSubmission: allowLateSubmission || false,
         targetLevels: targetLevels || ['beginner', 'intermediate', 'advanced'],
+        targetGroups: targetGroups || [],
         instructions,
         questions: questions || [],
         timeLimit,
@@ -114,7 +157,7 @@ class AssignmentController {
       ]);
 
       // Update classroom assignment count
-      await Classroom.findByIdAndUpdate(classroomId, { $inc: { totalAssignments: 1 } });
+      await classroomStatsService.adjustCounter(classroomId, 'totalAssignments', 1);
 
       res.status(201).json({
         message: 'Assignment created successfully',
@@ -140,8 +183,8 @@ class AssignmentController {
       }
 
       const hasAccess = userRole === 'teacher' 
-        ? classroom.teacher.toString() === userId.toString()
-        : classroom.students.some(s => s.student.toString() === userId.toString());
+        ? classroom.isStaff(userId)
+        : classroom.isStudent(userId);
 
       if (!hasAccess) {
         return res.status(403).json({ message: 'Access denied to this classroom' });
@@ -153,11 +196,16 @@ class AssignmentController {
       if (userRole === 'student') {
         query.isPublished = true;
         
-        // Filter by student's level
+        // Filter by student's level; until the screening test is taken, only work for every level
         const studentInfo = classroom.students.find(s => s.student.toString() === userId.toString());
-        if (studentInfo) {
+        if (studentInfo && classroom.isScreeningPending(userId)) {
+          query.targetLevels = { $all: ALL_LEVELS };
+        } else if (studentInfo) {
           query.targetLevels = { $in: [studentInfo.level] };
         }
+
+        // Work for specific groups only reaches their members
+        Object.assign(query, Classroom.audienceFilter(classroom.getStudentGroupIds(userId)));
       }
 
       const assignments = await Assignment.find(query)
@@ -223,8 +271,8 @@ class AssignmentController {
       // Check access
       const classroom = await Classroom.findById(assignment.classroom._id);
       const hasAccess = userRole === 'teacher' 
-        ? classroom.teacher.toString() === userId.toString()
-        : classroom.students.some(s => s.student.toString() === userId.toString());
+        ? classroom.isStaff(userId)
+        : classroom.isStudent(userId);
 
       if (!hasAccess) {
         return res.status(403).json({ message: 'Access denied to this assignment' });
@@ -235,6 +283,14 @@ class AssignmentController {
         return res.status(404).json({ message: 'Assignment not found' });
       }
 
+      if (userRole === 'student' && !isForEveryLevel(assignment) && classroom.isScreeningPending(userId)) {
+        return res.status(403).json({ message: 'Take the screening test to unlock this assignment' });
+      }
+
+      if (userRole === 'student' && !classroom.isInAudience(userId, assignment.targetGroups)) {
+        return res.status(403).json({ message: 'This assignment is not for your group' });
+      }
+
       // Get user's submission if exists
       let submission = null;
       if (userRole === 'student') {
@@ -260,14 +316,33 @@ class AssignmentController {
       const { assignmentId } = req.params;
       const teacherId = req.user._id;
 
-      const assignment = await Assignment.findOne({ _id: assignmentId, teacher: teacherId });
+      const classroomIds = await Classroom.classroomIdsWithPermission(teacherId, 'manage_content');
+      const assignment = await Assignment.findOne({ _id: assignmentId, classroom: { $in: classroomIds } });
       if (!assignment) {
         return res.status(404).json({ message: 'Assignment not found or access denied' });
       }
 
-      const updateData = { ...req.body };
-      delete updateData.classroom; // Prevent changing classroom
-      delete updateData.teacher; // Prevent changing teacher
+      // Only these fields can be edited here; the classroom, owner, attachments and
+      // publishing stay as they are, and modules are set through the module checks
+      const updateData = {};
+      UPDATABLE_FIELDS
+        .filter(field => req.body[field] !== undefined)
+        .forEach(field => { updateData[field] = req.body[field]; });
+
+      const changesModule = req.body.module !== undefined;
+      if (updateData.targetGroups || changesModule) {
+        const classroom = await Classroom.findById(assignment.classroom);
+        if (updateData.targetGroups && classroom.findUnknownGroupIds(updateData.targetGroups).length) {
+          return res.status(400).json({ message: 'Target groups must belong to this classroom' });
+        }
+        if (changesModule && req.body.module && !classroom.modules.some(m => m._id.toString() === req.body.module)) {
+          return res.status(400).json({ message: 'Module must belong to this classroom' });
+        }
+      }
+
+      if (changesModule) {
+        await classroomModuleService.setItemModule(assignment.classroom, 'assignment', assignmentId, req.body.module);
+      }
 
       const updatedAssignment = await Assignment.findByIdAndUpdate(
         assignmentId,
@@ -294,8 +369,9 @@ class AssignmentController {
       const { assignmentId } = req.params;
       const teacherId = req.user._id;
 
+      const classroomIds = await Classroom.classroomIdsWithPermission(teacherId, 'manage_content');
       const assignment = await Assignment.findOneAndUpdate(
-        { _id: assignmentId, teacher: teacherId },
+        { _id: assignmentId, classroom: { $in: classroomIds } },
         { isPublished: true, publishedAt: new Date() },
         { new: true }
       );
@@ -320,9 +396,10 @@ class AssignmentController {
       const { assignmentId } = req.params;
       const teacherId = req.user._id;
 
+      const classroomIds = await Classroom.classroomIdsWithPermission(teacherId, 'manage_content');
       const assignment = await Assignment.findOneAndDelete({
         _id: assignmentId,
-        teacher: teacherId
+        classroom: { $in: classroomIds }
       });
 
       if (!assignment) {
@@ -333,7 +410,7 @@ class AssignmentController {
       await Submission.deleteMany({ assignment: assignmentId });
 
       // Update classroom assignment count
-      await Classroom.findByIdAndUpdate(assignment.classroom, { $inc: { totalAssignments: -1 } });
+      await classroomStatsService.adjustCounter(assignment.classroom, 'totalAssignments', -1);
 
       res.json({
         message: 'Assignment deleted successfully'
@@ -368,11 +445,19 @@ class AssignmentController {
         return res.status(403).json({ message: 'Access denied to this assignment' });
       }
 
+      if (!isForEveryLevel(assignment) && classroom.isScreeningPending(studentId)) {
+        return res.status(403).json({ message: 'Take the screening test to unlock this assignment' });
+      }
+
       // Check if assignment targets student's level
       if (!assignment.targetLevels.includes(studentInfo.level)) {
         return res.status(403).json({ message: 'This assignment is not for your level' });
       }
 
+      if (!classroom.isInAudience(studentId, assignment.targetGroups)) {
+        return res.status(403).json({ message: 'This assignment is not for your group' });
+      }
+
       // Check deadline
       const now = new Date();
       const isLate = now > assignment.dueDate;
@@ -427,13 +512,18 @@ class AssignmentController {
         }
 
         submission.grade.points = earnedPoints;
-        submission.calculateGrade(assignment.totalPoints);
+        submission.calculateGrade(assignment.totalPoints, classroom.gradebook.letterScale);
         submission.status = 'graded';
         submission.gradedAt = new Date();
         submission.gradedBy = assignment.teacher;
       }
 
       await submission.save();
+
+      if (submission.status === 'graded') {
+        await studentLevelService.evaluateStudent(classroom._id, studentId);
+      }
+
       await submission.populate([
         { path: 'assignment', select: 'title type totalPoints' },
         { path: 'student', select: 'name email studentId' }
@@ -455,7 +545,8 @@ class AssignmentController {
       const { assignmentId } = req.params;
       const teacherId = req.user._id;
 
-      const assignment = await Assignment.findOne({ _id: assignmentId, teacher: teacherId });
+      const classroomIds = await Classroom.classroomIdsWithPermission(teacherId, 'grade');
+      const assignment = await Assignment.findOne({ _id: assignmentId, classroom: { $in: classroomIds } });
       if (!assignment) {
         return res.status(404).json({ message: 'Assignment not found or access denied' });
       }
@@ -490,26 +581,43 @@ class AssignmentController {
       const teacherId = req.user._id;
 
       const submission = await Submission.findById(submissionId)
-        .populate('assignment', 'teacher totalPoints');
+        .populate('assignment', 'classroom teacher totalPoints');
 
       if (!submission) {
         return res.status(404).json({ message: 'Submission not found' });
       }
 
-      if (submission.assignment.teacher.toString() !== teacherId.toString()) {
+      const classroom = await Classroom.findById(submission.assignment.classroom);
+      if (!classroom || !classroom.hasPermission(teacherId, 'grade')) {
         return res.status(403).json({ message: 'Access denied to grade this submission' });
       }
 
+      const before = gradeSnapshot(submission);
+
       // Update grade
       submission.grade.points = points;
       submission.grade.feedback = feedback;
       submission.grade.rubricScores = rubricScores || [];
-      submission.calculateGrade(submission.assignment.totalPoints);
+      submission.calculateGrade(submission.assignment.totalPoints, classroom.gradebook.letterScale);
       submission.status = 'graded';
       submission.gradedBy = teacherId;
       submission.gradedAt = new Date();
 
       await submission.save();
+
+      await auditService.record(req, {
+        action: 'submission_graded',
+        classroom,
+        targetType: 'Submission',
+        targetId: submission._id,
+        subject: submission.student,
+        before,
+        after: gradeSnapshot(submission),
+        metadata: { assignment: submission.assignment._id }
+      });
+
+      await studentLevelService.evaluateStudent(classroom._id, submission.student);
+
       await submission.populate('student', 'name email studentId');
 
       res.json({
@@ -546,7 +654,7 @@ class AssignmentController {
       const classroom = await Classroom.findById(assignment.classroom);
       const studentInfo = classroom.students.find(s => s.student.toString() === studentId.toString());
       
-      if (!studentInfo) {
+      if (!studentInfo || !classroom.isInAudience(studentId, assignment.targetGroups)) {
         return res.status(403).json({ message: 'Access denied to this assignment' });
       }
 
@@ -601,7 +709,7 @@ class AssignmentController {
       // Update submission
       submission.answers = processedAnswers;
       submission.grade.points = earnedPoints;
-      submission.calculateGrade(assignment.totalPoints);
+      submission.calculateGrade(assignment.totalPoints, classroom.gradebook.letterScale);
       submission.status = 'graded'; // Auto-graded
       submission.isLateSubmission = isLate;
       submission.gradedBy = assignment.teacher;
@@ -649,7 +757,7 @@ class AssignmentController {
       const classroom = await Classroom.findById(assignment.classroom);
       const studentInfo = classroom.students.find(s => s.student.toString() === studentId.toString());
       
-      if (!studentInfo) {
+      if (!studentInfo || !classroom.isInAudience(studentId, assignment.targetGroups)) {
         return res.status(403).json({ message: 'Access denied to this assignment' });
       }
 
@@ -721,8 +829,9 @@ class AssignmentController {
       const { assignmentId } = req.params;
       const teacherId = req.user._id;
 
-      // Check if assignment exists and belongs to the teacher
-      const assignment = await Assignment.findOne({ _id: assignmentId, teacher: teacherId });
+      // Check if assignment exists and the teacher can manage its classroom's content
+      const classroomIds = await Classroom.classroomIdsWithPermission(teacherId, 'manage_content');
+      const assignment = await Assignment.findOne({ _id: assignmentId, classroom: { $in: classroomIds } });
       if (!assignment) {
         return res.status(404).json({ message: 'Assignment not found or access denied' });
       }
@@ -818,15 +927,15 @@ class AssignmentController {
       }
 
       // Get assignment with attachments
-      const assignment = await Assignment.findById(assignmentId).populate('classroom', 'students teacher');
+      const assignment = await Assignment.findById(assignmentId).populate('classroom', 'students teacher staff');
       if (!assignment) {
         return res.status(404).json({ message: 'Assignment not found' });
       }
 
       // Check user permissions
       const hasAccess = userRole === 'teacher' 
-        ? assignment.teacher.toString() === userId.toString() // Teacher owns assignment
-        : assignment.classroom.students.some(s => s.student.toString() === userId.toString()); // Student is in classroom
+        ? assignment.classroom.isStaff(userId) // Teacher is on the classroom staff
+        : assignment.classroom.isStudent(userId); // Student is in classroom
 
       if (!hasAccess) {
         return res.status(403).json({ message: 'Access denied to this assignment' });
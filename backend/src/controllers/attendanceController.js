@@ -3,6 +3,8 @@ const VideoClass = require('../models/VideoClass');
 const Classroom = require('../models/Classroom');
 const User = require('../models/User');
 const mongoose = require('mongoose');
+const auditService = require('../services/auditService');
+const classroomStatsService = require('../services/classroomStatsService');
 
 class AttendanceController {
 
@@ -19,6 +21,7 @@ class AttendanceController {
       }
 
       const attendanceRecord = await Attendance.markAttendance(studentId, classId, status);
+      await classroomStatsService.refresh(attendanceRecord.classroom, ['averageAttendance']);
 
       res.json({
         message: 'Attendance marked successfully',
@@ -80,7 +83,7 @@ class AttendanceController {
       // Check if user has access to view this data
       let hasAccess = false;
       if (req.user.role === 'teacher') {
-        hasAccess = classroom.teacher.toString() === req.user._id.toString();
+        hasAccess = classroom.isStaff(req.user._id);
       } else if (req.user.role === 'student') {
         hasAccess = studentId.toString() === req.user._id.toString();
       }
@@ -119,7 +122,7 @@ class AttendanceController {
         return res.status(404).json({ message: 'Classroom not found' });
       }
 
-      if (classroom.teacher.toString() !== teacherId.toString()) {
+      if (!classroom.isStaff(teacherId)) {
         return res.status(403).json({ message: 'Access denied to this classroom' });
       }
 
@@ -189,7 +192,7 @@ class AttendanceController {
         return res.status(404).json({ message: 'Classroom not found' });
       }
 
-      if (classroom.teacher.toString() !== teacherId.toString()) {
+      if (!classroom.isStaff(teacherId)) {
         return res.status(403).json({ message: 'Access denied to this classroom' });
       }
 
@@ -242,7 +245,10 @@ class AttendanceController {
   async getStudentAttendanceHistory(req, res) {
     try {
       const { classroomId } = req.params;
-      const studentId = req.user.role === 'student' ? req.user._id : req.query.studentId;
+      let studentId = req.user.role === 'student' ? req.user._id : req.query.studentId;
+      if (req.linkedStudent) {
+        studentId = req.linkedStudent._id;
+      }
       const { page = 1, limit = 20, startDate, endDate } = req.query;
 
       if (!studentId) {
@@ -257,9 +263,12 @@ class AttendanceController {
 
       let hasAccess = false;
       if (req.user.role === 'teacher') {
-        hasAccess = classroom.teacher.toString() === req.user._id.toString();
+        hasAccess = classroom.isStaff(req.user._id);
       } else if (req.user.role === 'student') {
         hasAccess = studentId.toString() === req.user._id.toString();
+      } else if (req.linkedStudent) {
+        // Guardians see a linked child's history in classrooms the child attends
+        hasAccess = classroom.students.some(s => s.student.toString() === studentId.toString());
       }
 
       if (!hasAccess) {
@@ -336,10 +345,18 @@ class AttendanceController {
         return res.status(404).json({ message: 'Video class not found' });
       }
 
-      if (videoClass.teacher.toString() !== teacherId.toString()) {
+      if (!videoClass.classroom.hasPermission(teacherId, 'manage_attendance')) {
         return res.status(403).json({ message: 'Access denied to this class' });
       }
 
+      // Previous statuses, so the audit log shows what was overridden
+      const existingRecords = await Attendance.find({
+        videoClass: classId,
+        student: { $in: attendanceRecords.map(r => r.studentId).filter(id => mongoose.Types.ObjectId.isValid(id)) }
+      }).select('student status');
+      const before = Object.fromEntries(existingRecords.map(r => [r.student.toString(), r.status]));
+      const after = { ...before };
+
       const results = [];
       for (const record of attendanceRecords) {
         try {
@@ -348,6 +365,7 @@ class AttendanceController {
             classId,
             record.status || 'present'
           );
+          after[attendanceRecord.student.toString()] = attendanceRecord.status;
           results.push({
             studentId: record.studentId,
             success: true,
@@ -362,6 +380,24 @@ class AttendanceController {
         }
       }
 
+      await classroomStatsService.refresh(videoClass.classroom._id, ['averageAttendance']);
+
+      // Changes are keyed by student ID; keep names so the log stays readable
+      const students = await User.find({ _id: { $in: Object.keys(after) } }).select('name');
+
+      await auditService.record(req, {
+        action: 'attendance_bulk_marked',
+        classroom: videoClass.classroom,
+        targetType: 'VideoClass',
+        targetId: videoClass._id,
+        before,
+        after,
+        metadata: {
+          classTitle: videoClass.title,
+          students: Object.fromEntries(students.map(student => [student._id.toString(), student.name]))
+        }
+      });
+
       res.json({
         message: 'Bulk attendance marking completed',
         results,
@@ -390,7 +426,7 @@ class AttendanceController {
 
       let hasAccess = false;
       if (userRole === 'teacher') {
-        hasAccess = classroom.teacher.toString() === userId.toString();
+        hasAccess = classroom.isStaff(userId);
       } else if (userRole === 'student') {
         hasAccess = classroom.students.some(s => s.student.toString() === userId.toString());
       }
@@ -473,7 +509,7 @@ class AttendanceController {
         return res.status(404).json({ message: 'Classroom not found' });
       }
 
-      if (classroom.teacher.toString() !== teacherId.toString()) {
+      if (!classroom.hasPermission(teacherId, 'manage_attendance')) {
         return res.status(403).json({ message: 'Access denied to this classroom' });
       }
 
@@ -524,6 +560,8 @@ class AttendanceController {
         }
       }
 
+      await classroomStatsService.refresh(classroom._id, ['averageAttendance']);
+
       res.json({
         message: 'Absences synced successfully',
         classesProcessed: endedClasses.length,
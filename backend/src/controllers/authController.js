@@ -1,7 +1,74 @@
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const { v4: uuidv4 } = require('uuid');
+const UserToken = require('../models/UserToken');
+const RequestThrottle = require('../models/RequestThrottle');
+const emailService = require('../services/emailService');
+const tokenService = require('../services/tokenService');
+const totpService = require('../services/totpService');
+const loginThrottleService = require('../services/loginThrottleService');
+const oidcService = require('../services/oidcService');
+const apiTokenService = require('../services/apiTokenService');
+const socketManager = require('../services/socketManager');
+const { parseUserAgent } = require('../utils/userAgent');
+
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+const VERIFICATION_RESEND_HOURLY_LIMIT = 5;
+const PASSWORD_RESET_HOURLY_LIMIT = 5;
+const PASSWORD_RESET_IP_HOURLY_LIMIT = 20;
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+
+// Issue a verification token and email it; failures are logged, not thrown
+const sendVerificationEmail = async (user) => {
+  try {
+    const token = await UserToken.issue(user._id, 'email_verification');
+    await emailService.sendVerificationEmail(user, token, UserToken.getTtlMinutes('email_verification'));
+    return true;
+  } catch (error) {
+    console.error('Send verification email error:', error);
+    return false;
+  }
+};
+
+// Accounts with two-factor enabled finish signing in at /login/2fa
+const sendTwoFactorChallenge = async (res, user) => {
+  const challengeToken = await UserToken.issue(user._id, 'two_factor_login');
+  res.json({
+    message: 'Enter the code from your authenticator app',
+    twoFactorRequired: true,
+    challengeToken
+  });
+};
+
+// Record the login, start a session for this device and send the token pair
+const completeLogin = async (req, res, user) => {
+  user.lastLogin = new Date();
+  await user.save();
+
+  const { accessToken, refreshToken, deviceId } = await tokenService.createSession(
+    user,
+    tokenService.getRequestContext(req)
+  );
+
+  res.json({
+    message: 'Login successful',
+    token: accessToken,
+    refreshToken,
+    deviceId,
+    // Teachers covered by a 2FA policy are asked to enroll before grading
+    twoFactorSetupRequired: !user.twoFactor?.enabled && await totpService.isRequiredFor(user),
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      studentId: user.studentId,
+      teacherId: user.teacherId,
+      department: user.department,
+      profilePicture: user.profilePicture,
+      isEmailVerified: user.isEmailVerified
+    }
+  });
+};
 
 class AuthController {
   // Register new user
@@ -44,16 +111,19 @@ class AuthController {
       const user = new User(userData);
       await user.save();
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { userId: user._id, role: user.role },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRE || '7d' }
+      await sendVerificationEmail(user);
+
+      // Start a session for this device
+      const { accessToken, refreshToken, deviceId } = await tokenService.createSession(
+        user,
+        tokenService.getRequestContext(req)
       );
 
       res.status(201).json({
         message: 'User registered successfully',
-        token,
+        token: accessToken,
+        refreshToken,
+        deviceId,
         user: {
           id: user._id,
           name: user.name,
@@ -61,7 +131,8 @@ class AuthController {
           role: user.role,
           studentId: user.studentId,
           teacherId: user.teacherId,
-          department: user.department
+          department: user.department,
+          isEmailVerified: user.isEmailVerified
         }
       });
     } catch (error) {
@@ -74,10 +145,21 @@ class AuthController {
   async login(req, res) {
     try {
       const { email, password } = req.body;
+      const context = tokenService.getRequestContext(req);
+
+      // Refuse early while the account or IP is locked out, without checking the password
+      const retryAfter = await loginThrottleService.getRetryAfter(email, context.ipAddress);
+      if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          message: `Too many failed login attempts. Please try again in ${Math.ceil(retryAfter / 60)} minute(s)`
+        });
+      }
 
       // Find user by email
       const user = await User.findOne({ email });
       if (!user) {
+        await loginThrottleService.recordFailure(email, context);
         return res.status(400).json({ message: 'Invalid credentials' });
       }
 
@@ -89,36 +171,129 @@ class AuthController {
       // Verify password
       const isPasswordMatch = await user.comparePassword(password);
       if (!isPasswordMatch) {
+        await loginThrottleService.recordFailure(email, context, user);
         return res.status(400).json({ message: 'Invalid credentials' });
       }
 
-      // Update last login
-      user.lastLogin = new Date();
-      await user.save();
+      await loginThrottleService.recordSuccess(email);
+
+      if (user.twoFactor?.enabled) {
+        return sendTwoFactorChallenge(res, user);
+      }
+
+      await completeLogin(req, res, user);
+    } catch (error) {
+      console.error('Login error:', error);
+      res.status(500).json({ message: 'Server error during login' });
+    }
+  }
+
+  // Whether single sign-on is available, and linked for a signed-in user
+  async getOidcConfig(req, res) {
+    res.json({
+      enabled: oidcService.isEnabled(),
+      providerName: oidcService.providerName,
+      ...(req.user && { linked: !!req.user.oidc?.subject })
+    });
+  }
+
+  // Start single sign-on; with { link: true } a signed-in user links their account instead
+  async startOidc(req, res) {
+    try {
+      if (req.body.link && !req.user) {
+        return res.status(401).json({ message: 'Sign in to link single sign-on' });
+      }
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { userId: user._id, role: user.role },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRE || '7d' }
+      const { authorizationUrl, state } = await oidcService.createAuthorizationUrl(
+        req.body.link ? req.user._id : null
       );
 
-      res.json({
-        message: 'Login successful',
-        token,
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          studentId: user.studentId,
-          teacherId: user.teacherId,
-          department: user.department,
-          profilePicture: user.profilePicture
+      res.json({ authorizationUrl, state });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error('Start OIDC error:', error);
+      res.status(500).json({ message: 'Server error while starting single sign-on' });
+    }
+  }
+
+  // Finish single sign-on with the code and state from the provider's redirect
+  async oidcCallback(req, res) {
+    try {
+      const { claims, linkUserId } = await oidcService.completeAuthorization(req.body);
+
+      if (linkUserId) {
+        if (!req.user || req.user._id.toString() !== linkUserId.toString()) {
+          return res.status(403).json({ message: 'Sign in as the account you are linking' });
         }
-      });
+
+        await oidcService.linkUser(await User.findById(req.user._id), claims);
+        return res.json({ message: 'Single sign-on linked', linked: true });
+      }
+
+      const user = await oidcService.findOrProvisionUser(claims);
+
+      if (!user.isActive) {
+        return res.status(400).json({ message: 'Account is deactivated' });
+      }
+
+      if (user.twoFactor?.enabled) {
+        return sendTwoFactorChallenge(res, user);
+      }
+
+      await completeLogin(req, res, user);
     } catch (error) {
-      console.error('Login error:', error);
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error('OIDC callback error:', error);
+      res.status(500).json({ message: 'Server error during single sign-on' });
+    }
+  }
+
+  // Remove the single sign-on link; the account keeps working with its password
+  async unlinkOidc(req, res) {
+    try {
+      await User.updateOne({ _id: req.user._id }, { $unset: { oidc: 1 } });
+
+      res.json({ message: 'Single sign-on unlinked' });
+    } catch (error) {
+      console.error('Unlink OIDC error:', error);
+      res.status(500).json({ message: 'Server error while unlinking single sign-on' });
+    }
+  }
+
+  // Second login step: exchange a challenge token and a TOTP or recovery code for a session
+  async verifyTwoFactorLogin(req, res) {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
+
+      const challenge = await UserToken.findActive(challengeToken, 'two_factor_login');
+      if (!challenge) {
+        return res.status(400).json({ message: 'Login attempt has expired. Please sign in again' });
+      }
+
+      const user = await User.findById(challenge.user)
+        .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+      if (!user || !user.isActive || !user.twoFactor.enabled) {
+        return res.status(400).json({ message: 'Login attempt has expired. Please sign in again' });
+      }
+
+      if (!totpService.verifyUserFactor(user, { code, recoveryCode })) {
+        await challenge.recordFailedAttempt(TWO_FACTOR_MAX_ATTEMPTS);
+        return res.status(400).json({ message: 'Invalid authentication code' });
+      }
+
+      // Another request may have used the challenge in the meantime
+      if (!await UserToken.consume(challengeToken, 'two_factor_login')) {
+        return res.status(400).json({ message: 'Login attempt has expired. Please sign in again' });
+      }
+
+      await completeLogin(req, res, user);
+    } catch (error) {
+      console.error('Two-factor login error:', error);
       res.status(500).json({ message: 'Server error during login' });
     }
   }
@@ -145,6 +320,8 @@ class AuthController {
           address: user.address,
           profilePicture: user.profilePicture,
           isEmailVerified: user.isEmailVerified,
+          twoFactorEnabled: !!user.twoFactor?.enabled,
+          ssoLinked: !!user.oidc?.subject,
           lastLogin: user.lastLogin,
           createdAt: user.createdAt
         }
@@ -221,6 +398,11 @@ class AuthController {
       user.password = newPassword;
       await user.save();
 
+      // Sign out every other device and revoke personal access tokens
+      await tokenService.revokeAllSessions(userId, 'password_changed', req.sessionId);
+      await apiTokenService.revokeAll(userId, 'password_changed');
+      socketManager.disconnectSessions(userId, { exceptSessionId: req.sessionId });
+
       res.json({ message: 'Password changed successfully' });
     } catch (error) {
       console.error('Change password error:', error);
@@ -228,6 +410,167 @@ class AuthController {
     }
   }
 
+  // Request a password reset link by email
+  async forgotPassword(req, res) {
+    try {
+      const email = req.body.email.toLowerCase();
+      const { ipAddress } = tokenService.getRequestContext(req);
+
+      // Limited by the email asked for, whether or not it has an account, and by IP
+      const retryAfter = await RequestThrottle.take([
+        { key: `password-reset:email:${email}`, limit: PASSWORD_RESET_HOURLY_LIMIT },
+        { key: `password-reset:ip:${ipAddress || 'unknown'}`, limit: PASSWORD_RESET_IP_HOURLY_LIMIT }
+      ], 60 * 60 * 1000);
+      if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ message: 'Too many password reset requests. Please try again later' });
+      }
+
+      // Always answer the same way so the endpoint can't be used to probe for accounts
+      const response = { message: 'If an account exists for this email, a reset link has been sent' };
+
+      const user = await User.findOne({ email });
+      if (!user || !user.isActive) {
+        return res.json(response);
+      }
+
+      try {
+        const token = await UserToken.issue(user._id, 'password_reset');
+        await emailService.sendPasswordResetEmail(user, token, UserToken.getTtlMinutes('password_reset'));
+      } catch (emailError) {
+        console.error('Send password reset email error:', emailError);
+      }
+
+      res.json(response);
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+
+  // Set a new password using a reset token
+  async resetPassword(req, res) {
+    try {
+      const { token, password } = req.body;
+
+      const resetToken = await UserToken.consume(token, 'password_reset');
+      if (!resetToken) {
+        return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+      }
+
+      const user = await User.findById(resetToken.user);
+      if (!user || !user.isActive) {
+        return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+      }
+
+      user.password = password;
+      await user.save();
+
+      // Whoever knew the old password should not stay signed in or keep script access
+      await tokenService.revokeAllSessions(user._id, 'password_changed');
+      await apiTokenService.revokeAll(user._id, 'password_changed');
+      socketManager.disconnectSessions(user._id);
+
+      res.json({ message: 'Password has been reset successfully' });
+    } catch (error) {
+      console.error('Reset password error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+
+  // Set a password for an account created by a roster import. The invite
+  // arrived by email, so following it also verifies the address.
+  async acceptInvite(req, res) {
+    try {
+      const { token, password } = req.body;
+
+      const inviteToken = await UserToken.consume(token, 'account_invite');
+      if (!inviteToken) {
+        return res.status(400).json({ message: 'Invite link is invalid or has expired' });
+      }
+
+      const user = await User.findById(inviteToken.user);
+      if (!user || !user.isActive) {
+        return res.status(400).json({ message: 'Invite link is invalid or has expired' });
+      }
+
+      user.password = password;
+      user.isEmailVerified = true;
+      await user.save();
+
+      res.json({ message: 'Your account is ready. You can now sign in.' });
+    } catch (error) {
+      console.error('Accept invite error:', error);
+      res.status(500).json({ message: 'Server error while accepting invite' });
+    }
+  }
+
+  // Confirm an email address using the token from the verification link
+  async verifyEmail(req, res) {
+    try {
+      const { token } = req.body;
+
+      const verificationToken = await UserToken.consume(token, 'email_verification');
+      if (!verificationToken) {
+        return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+      }
+
+      const user = await User.findByIdAndUpdate(
+        verificationToken.user,
+        { isEmailVerified: true },
+        { new: true }
+      );
+
+      if (!user) {
+        return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+      }
+
+      res.json({ message: 'Email verified successfully' });
+    } catch (error) {
+      console.error('Verify email error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+
+  // Send a fresh verification link to the current user
+  async resendVerification(req, res) {
+    try {
+      const user = req.user;
+
+      if (user.isEmailVerified) {
+        return res.status(400).json({ message: 'Email is already verified' });
+      }
+
+      const recentTokens = await UserToken.find({
+        user: user._id,
+        purpose: 'email_verification',
+        createdAt: { $gt: new Date(Date.now() - 60 * 60 * 1000) }
+      }).sort({ createdAt: -1 });
+
+      const lastSentAt = recentTokens[0]?.createdAt;
+      if (lastSentAt && Date.now() - lastSentAt.getTime() < VERIFICATION_RESEND_COOLDOWN_MS) {
+        const retryAfter = Math.ceil((VERIFICATION_RESEND_COOLDOWN_MS - (Date.now() - lastSentAt.getTime())) / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ message: `Please wait ${retryAfter} seconds before requesting another email` });
+      }
+
+      if (recentTokens.length >= VERIFICATION_RESEND_HOURLY_LIMIT) {
+        res.set('Retry-After', '3600');
+        return res.status(429).json({ message: 'Too many verification emails requested. Please try again later' });
+      }
+
+      const sent = await sendVerificationEmail(user);
+      if (!sent) {
+        return res.status(500).json({ message: 'Could not send verification email' });
+      }
+
+      res.json({ message: 'Verification email sent' });
+    } catch (error) {
+      console.error('Resend verification error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+
   // Verify token (for frontend auth checking)
   async verifyToken(req, res) {
     try {
@@ -237,13 +580,16 @@ class AuthController {
         return res.status(401).json({ valid: false, message: 'Access denied. No token provided.' });
       }
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId).select('-password');
+      const { user, revoked } = await tokenService.verifyAccessToken(token);
       
       if (!user) {
         return res.status(401).json({ valid: false, message: 'Token is not valid.' });
       }
 
+      if (revoked) {
+        return res.status(401).json({ valid: false, message: 'Session has been revoked.' });
+      }
+
       if (!user.isActive) {
         return res.status(401).json({ valid: false, message: 'Account is deactivated.' });
       }
@@ -262,12 +608,116 @@ class AuthController {
     }
   }
 
-  // Logout (mainly for clearing client-side token)
+  // Exchange a refresh token for a new access/refresh token pair
+  async refreshToken(req, res) {
+    try {
+      const { refreshToken } = req.body;
+
+      const result = await tokenService.rotateRefreshToken(
+        refreshToken,
+        tokenService.getRequestContext(req)
+      );
+
+      if (!result) {
+        return res.status(401).json({ message: 'Invalid or expired refresh token' });
+      }
+
+      res.json({
+        token: result.accessToken,
+        refreshToken: result.refreshToken,
+        user: {
+          id: result.user._id,
+          name: result.user.name,
+          email: result.user.email,
+          role: result.user.role
+        }
+      });
+    } catch (error) {
+      console.error('Refresh token error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+
+  // List the devices the current user is signed in on
+  async getSessions(req, res) {
+    try {
+      const sessions = await tokenService.listSessions(req.user._id);
+
+      res.json({
+        sessions: sessions.map(session => ({
+          id: session._id,
+          ...parseUserAgent(session.userAgent),
+          ipAddress: session.ipAddress,
+          signedInAt: session.createdAt,
+          lastSeenAt: session.lastUsedAt,
+          current: session._id.toString() === req.sessionId?.toString()
+        }))
+      });
+    } catch (error) {
+      console.error('Get sessions error:', error);
+      res.status(500).json({ message: 'Server error while fetching sessions' });
+    }
+  }
+
+  // Sign out one of the current user's devices
+  async revokeSession(req, res) {
+    try {
+      const { sessionId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+        return res.status(400).json({ message: 'Invalid session ID format' });
+      }
+
+      const result = await tokenService.revokeSession(sessionId, 'revoked_by_user', req.user._id);
+
+      if (!result.modifiedCount) {
+        return res.status(404).json({ message: 'Session not found' });
+      }
+
+      socketManager.disconnectSessions(req.user._id, { sessionId });
+
+      res.json({ message: 'Session signed out successfully' });
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      res.status(500).json({ message: 'Server error while revoking session' });
+    }
+  }
+
+  // Sign out every device except this one
+  async revokeOtherSessions(req, res) {
+    try {
+      await tokenService.revokeAllSessions(req.user._id, 'revoked_by_user', req.sessionId);
+      socketManager.disconnectSessions(req.user._id, { exceptSessionId: req.sessionId });
+
+      res.json({ message: 'Signed out of all other sessions' });
+    } catch (error) {
+      console.error('Revoke other sessions error:', error);
+      res.status(500).json({ message: 'Server error while revoking sessions' });
+    }
+  }
+
+  // Logout - revokes the current session
   async logout(req, res) {
     try {
-      // In a more advanced implementation, you could blacklist the token
+      await tokenService.revokeSession(req.sessionId, 'logout');
+      socketManager.disconnectSessions(req.user._id, { sessionId: req.sessionId });
+
       res.json({ message: 'Logged out successfully' });
     } catch (error) {
+      console.error('Logout error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+
+  // Logout from every device
+  async logoutAll(req, res) {
+    try {
+      await tokenService.revokeAllSessions(req.user._id, 'logout_all');
+      socketManager.disconnectSessions(req.user._id);
+
+      res.json({ message: 'Logged out from all devices successfully' });
+    } catch (error) {
+      console.error('Logout all error:', error);
       res.status(500).json({ message: 'Server error' });
     }
   }
@@ -1,24 +1,52 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
 const Classroom = require('../models/Classroom');
+const ClassroomJoinRequest = require('../models/ClassroomJoinRequest');
+const Quiz = require('../models/Quiz');
+const QuizSession = require('../models/QuizSession');
 const User = require('../models/User');
+const SecurityEvent = require('../models/SecurityEvent');
+const loginThrottleService = require('../services/loginThrottleService');
+const rosterImportService = require('../services/rosterImportService');
+const auditService = require('../services/auditService');
+const classroomJoinService = require('../services/classroomJoinService');
+const classroomCopyService = require('../services/classroomCopyService');
+const classroomBundleService = require('../services/classroomBundleService');
+const importedWorkService = require('../services/importedWorkService');
+const classroomModuleService = require('../services/classroomModuleService');
+const gradebookService = require('../services/gradebookService');
+const classroomAnalyticsService = require('../services/classroomAnalyticsService');
+const classroomSearchService = require('../services/classroomSearchService');
+const studentLevelService = require('../services/studentLevelService');
+const emailService = require('../services/emailService');
+const { toCsv } = require('../utils/csv');
 
 class ClassroomController {
+  // Group names are unique within a classroom and members must be enrolled
+  static checkGroup(classroom, { name, studentIds, groupId }) {
+    if (name !== undefined) {
+      const taken = classroom.groups.some(g =>
+        g._id.toString() !== groupId && g.name.toLowerCase() === name.trim().toLowerCase()
+      );
+      if (taken) {
+        return { statusCode: 409, message: 'A group with this name already exists' };
+      }
+    }
+
+    if (studentIds && studentIds.some(id => !classroom.isStudent(id))) {
+      return { statusCode: 400, message: 'Group members must be enrolled in the classroom' };
+    }
+
+    return null;
+  }
+
   // Create a new classroom (Teachers only)
   async createClassroom(req, res) {
     try {
       const { name, description, subject, allowStudentPosts, allowStudentComments } = req.body;
       const teacherId = req.user._id;
 
-      // Generate unique class code
-      let classCode;
-      let isUnique = false;
-      
-      while (!isUnique) {
-        classCode = Classroom.generateClassCode();
-        const existingClassroom = await Classroom.findOne({ classCode });
-        if (!existingClassroom) {
-          isUnique = true;
-        }
-      }
+      const classCode = await Classroom.generateUniqueClassCode();
 
       const classroom = new Classroom({
         name,
@@ -43,16 +71,115 @@ class ClassroomController {
     }
   }
 
+  // Copy a classroom's settings and material into a new classroom for another term
+  async copyClassroom(req, res) {
+    try {
+      const { classroomId } = req.params;
+      const teacherId = req.user._id;
+
+      const source = await Classroom.findOne({
+        _id: classroomId,
+        ...Classroom.staffFilter(teacherId, 'manage_content')
+      });
+
+      if (!source) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      const { classroom, copied, skippedAttachments } = await classroomCopyService.copyClassroom(source, teacherId, req.body);
+      await classroom.populate('teacher', 'name email teacherId');
+
+      res.status(201).json({
+        message: 'Classroom copied successfully',
+        classroom,
+        copied,
+        skippedAttachments
+      });
+    } catch (error) {
+      console.error('Copy classroom error:', error);
+      res.status(500).json({ message: 'Server error while copying classroom' });
+    }
+  }
+
+  // Download a versioned bundle of the classroom that another instance can import.
+  // Students' work is only included for staff who manage the roster.
+  async exportClassroom(req, res) {
+    try {
+      const { classroomId } = req.params;
+      const includeStudentWork = req.query.includeStudentWork === 'true';
+
+      const classroom = await Classroom.findOne({
+        _id: classroomId,
+        ...Classroom.staffFilter(req.user._id, includeStudentWork ? 'manage_roster' : 'manage_content')
+      });
+
+      if (!classroom) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      const bundle = await classroomBundleService.collectBundle(classroom, { includeStudentWork });
+
+      res.attachment(`classroom-${classroom._id}.tar.gz`);
+      await classroomBundleService.writeArchive(bundle, res);
+    } catch (error) {
+      if (error.statusCode && !res.headersSent) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error('Export classroom error:', error);
+      if (res.headersSent) return res.end();
+      res.status(500).json({ message: 'Server error while exporting classroom' });
+    }
+  }
+
+  // Recreate a classroom from an exported bundle
+  async importClassroom(req, res) {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ message: 'Upload a classroom bundle' });
+      }
+
+      const { classroom, imported, invitedStudents, unmatchedStudents, skippedAttachments } = await classroomBundleService.importClassroom(
+        req.file.path,
+        req.user._id,
+        {
+          name: req.body.name,
+          includeStudentWork: req.body.includeStudentWork !== 'false'
+        }
+      );
+      await classroom.populate('teacher', 'name email teacherId');
+
+      res.status(201).json({
+        message: 'Classroom imported successfully',
+        classroom,
+        imported,
+        invitedStudents,
+        unmatchedStudents,
+        skippedAttachments
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error('Import classroom error:', error);
+      res.status(500).json({ message: 'Server error while importing classroom' });
+    } finally {
+      if (req.file) {
+        await fs.promises.unlink(req.file.path).catch(() => {});
+      }
+    }
+  }
+
   // Get all classrooms for current user
   async getClassrooms(req, res) {
     try {
       const userId = req.user._id;
       const userRole = req.user.role;
       let classrooms;
+      let pendingJoinRequests;
 
       if (userRole === 'teacher') {
-        // Get classrooms where user is teacher
-        classrooms = await Classroom.find({ teacher: userId, isActive: true })
+        // Get classrooms where user is the owner or on the staff
+        classrooms = await Classroom.find({ ...Classroom.staffFilter(userId), isActive: true })
           .populate('teacher', 'name email teacherId')
           .populate('students.student', 'name email studentId')
           .sort({ createdAt: -1 });
@@ -65,11 +192,16 @@ class ClassroomController {
           .populate('teacher', 'name email teacherId')
           .populate('students.student', 'name email studentId')
           .sort({ createdAt: -1 });
+
+        pendingJoinRequests = await ClassroomJoinRequest.find({ student: userId, status: 'pending' })
+          .populate('classroom', 'name subject')
+          .sort({ createdAt: -1 });
       }
 
       res.json({
-        classrooms,
-        total: classrooms.length
+        classrooms: userRole === 'teacher' ? classrooms : classrooms.map(c => c.toStudentView(userId)),
+        total: classrooms.length,
+        ...(pendingJoinRequests && { pendingJoinRequests })
       });
     } catch (error) {
       console.error('Get classrooms error:', error);
@@ -77,6 +209,77 @@ class ClassroomController {
     }
   }
 
+  // Stored statistics of the user's active classrooms with totals for the dashboard
+  async getDashboardStats(req, res) {
+    try {
+      const userId = req.user._id;
+      const filter = req.user.role === 'teacher'
+        ? Classroom.staffFilter(userId)
+        : { 'students.student': userId };
+
+      const classrooms = await Classroom.find({ ...filter, isActive: true })
+        .select('name subject students.student totalAssignments totalPosts averageAttendance averageQuizScore dppCompletionRate statsUpdatedAt')
+        .lean();
+
+      const rows = classrooms.map(({ students, ...classroom }) => ({ ...classroom, students: students.length }));
+
+      // Averages across classrooms count each classroom by its number of students
+      const average = (field) => {
+        const counted = rows.filter(row => row[field] !== null && row[field] !== undefined && row.students > 0);
+        const students = counted.reduce((sum, row) => sum + row.students, 0);
+        return students > 0
+          ? Math.round(counted.reduce((sum, row) => sum + row[field] * row.students, 0) / students * 100) / 100
+          : null;
+      };
+
+      res.json({
+        totals: {
+          classrooms: rows.length,
+          students: rows.reduce((sum, row) => sum + row.students, 0),
+          assignments: rows.reduce((sum, row) => sum + row.totalAssignments, 0),
+          posts: rows.reduce((sum, row) => sum + row.totalPosts, 0)
+        },
+        averages: {
+          attendance: average('averageAttendance'),
+          quizScore: average('averageQuizScore'),
+          dppCompletionRate: average('dppCompletionRate')
+        },
+        classrooms: rows
+      });
+    } catch (error) {
+      console.error('Get dashboard stats error:', error);
+      res.status(500).json({ message: 'Server error while fetching classroom statistics' });
+    }
+  }
+
+  // Search posts, comments, assignments, quizzes and DPPs (Staff and enrolled students)
+  async searchClassroom(req, res) {
+    try {
+      const { classroomId } = req.params;
+      const { q = '', type, limit = 20 } = req.query;
+      const userId = req.user._id;
+
+      if (String(q).trim().length < 2) {
+        return res.status(400).json({ message: 'Search query must be at least 2 characters' });
+      }
+
+      const classroom = await Classroom.findById(classroomId);
+      if (!classroom || !(classroom.isStaff(userId) || classroom.isStudent(userId))) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      const results = await classroomSearchService.search(classroom, req.user, String(q), {
+        ...(type && { types: String(type).split(',') }),
+        limit: Math.min(Math.max(parseInt(limit) || 20, 1), 50)
+      });
+
+      res.json(results);
+    } catch (error) {
+      console.error('Search classroom error:', error);
+      res.status(500).json({ message: 'Server error while searching classroom' });
+    }
+  }
+
   // Get single classroom details
   async getClassroom(req, res) {
     try {
@@ -86,6 +289,7 @@ class ClassroomController {
 
       const classroom = await Classroom.findById(classroomId)
         .populate('teacher', 'name email teacherId department')
+        .populate('staff.user', 'name email teacherId')
         .populate('students.student', 'name email studentId');
 
       if (!classroom || !classroom.isActive) {
@@ -94,8 +298,8 @@ class ClassroomController {
 
       // Check if user has access to this classroom
       const hasAccess = userRole === 'teacher' 
-        ? classroom.teacher._id.toString() === userId.toString()
-        : classroom.students.some(s => s.student._id.toString() === userId.toString());
+        ? classroom.isStaff(userId)
+        : classroom.isStudent(userId);
 
       if (!hasAccess) {
         return res.status(403).json({ message: 'Access denied to this classroom' });
@@ -108,8 +312,10 @@ class ClassroomController {
       }
 
       res.json({
-        classroom,
-        enrollmentInfo
+        classroom: userRole === 'student' ? classroom.toStudentView(userId) : classroom,
+        enrollmentInfo,
+        screeningPending: userRole === 'student' && classroom.isScreeningPending(userId),
+        staffRole: classroom.getStaffRole(userId)
       });
     } catch (error) {
       console.error('Get classroom error:', error);
@@ -121,31 +327,31 @@ class ClassroomController {
   async joinClassroom(req, res) {
     try {
       const { classCode } = req.body;
-      const studentId = req.user._id;
-
-      const classroom = await Classroom.findOne({ classCode, isActive: true })
-        .populate('teacher', 'name email teacherId');
 
-      if (!classroom) {
-        return res.status(404).json({ message: 'Invalid class code' });
-      }
+      const result = await classroomJoinService.joinWithCode(req.user, classCode);
 
-      // Check if student is already enrolled
-      const isEnrolled = classroom.students.some(s => s.student.toString() === studentId.toString());
-      if (isEnrolled) {
-        return res.status(400).json({ message: 'You are already enrolled in this classroom' });
+      if (result.status === 'pending') {
+        return res.status(202).json({
+          message: 'Your request to join has been sent. A teacher needs to approve it',
+          status: 'pending',
+          joinRequest: result.joinRequest,
+          classroom: { _id: result.classroom._id, name: result.classroom.name, subject: result.classroom.subject }
+        });
       }
 
-      // Add student to classroom
-      await classroom.addStudent(studentId);
-
+      const classroom = result.classroom;
+      await classroom.populate('teacher', 'name email teacherId');
       await classroom.populate('students.student', 'name email studentId');
 
       res.json({
         message: 'Successfully joined classroom',
-        classroom
+        status: 'joined',
+        classroom: classroom.toStudentView(req.user._id)
       });
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
       console.error('Join classroom error:', error);
       res.status(500).json({ message: 'Server error while joining classroom' });
     }
@@ -155,21 +361,29 @@ class ClassroomController {
   async updateClassroom(req, res) {
     try {
       const { classroomId } = req.params;
-      const { name, description, subject, allowStudentPosts, allowStudentComments } = req.body;
+      const { name, description, subject, allowStudentPosts, allowStudentComments, requireTeacherTwoFactor } = req.body;
       const teacherId = req.user._id;
 
-      const classroom = await Classroom.findOne({ _id: classroomId, teacher: teacherId });
+      const classroom = await Classroom.findOne({
+        _id: classroomId,
+        ...Classroom.staffFilter(teacherId, 'update_classroom')
+      });
 
       if (!classroom) {
         return res.status(404).json({ message: 'Classroom not found or access denied' });
       }
 
+      if (requireTeacherTwoFactor !== undefined && classroom.getStaffRole(teacherId) !== 'owner') {
+        return res.status(403).json({ message: 'Only the classroom owner can change the two-factor policy' });
+      }
+
       const updateData = {};
       if (name) updateData.name = name;
       if (description !== undefined) updateData.description = description;
       if (subject) updateData.subject = subject;
       if (allowStudentPosts !== undefined) updateData.allowStudentPosts = allowStudentPosts;
       if (allowStudentComments !== undefined) updateData.allowStudentComments = allowStudentComments;
+      if (requireTeacherTwoFactor !== undefined) updateData.requireTeacherTwoFactor = requireTeacherTwoFactor;
 
       const updatedClassroom = await Classroom.findByIdAndUpdate(
         classroomId,
@@ -194,14 +408,32 @@ class ClassroomController {
       const { classroomId, studentId } = req.params;
       const teacherId = req.user._id;
 
-      const classroom = await Classroom.findOne({ _id: classroomId, teacher: teacherId });
+      const classroom = await Classroom.findOne({
+        _id: classroomId,
+        ...Classroom.staffFilter(teacherId, 'manage_roster')
+      });
 
       if (!classroom) {
         return res.status(404).json({ message: 'Classroom not found or access denied' });
       }
 
+      const enrollment = classroom.students.find(s => s.student.toString() === studentId.toString());
+
       await classroom.removeStudent(studentId);
 
+      if (enrollment) {
+        await auditService.record(req, {
+          action: 'student_removed',
+          classroom,
+          targetType: 'Classroom',
+          targetId: classroom._id,
+          subject: enrollment.student,
+          before: { enrolled: true, level: enrollment.level },
+          after: { enrolled: false, level: null },
+          metadata: { joinedAt: enrollment.joinedAt }
+        });
+      }
+
       res.json({
         message: 'Student removed from classroom successfully'
       });
@@ -250,8 +482,8 @@ class ClassroomController {
       let classroom;
 
       if (userRole === 'teacher') {
-        // Teachers can see students in their classrooms
-        classroom = await Classroom.findOne({ _id: classroomId, teacher: userId })
+        // Teaching staff can see students in their classrooms
+        classroom = await Classroom.findOne({ _id: classroomId, ...Classroom.staffFilter(userId) })
           .populate('students.student', 'name email studentId profilePicture');
       } else {
         // Students can see students in classrooms they're enrolled in
@@ -266,7 +498,7 @@ class ClassroomController {
       }
 
       res.json({
-        students: classroom.students,
+        students: userRole === 'teacher' ? classroom.students : classroom.toStudentView(userId).students,
         total: classroom.students.length
       });
     } catch (error) {
@@ -275,22 +507,162 @@ class ClassroomController {
     }
   }
 
+  // Recent lockouts and unlocks on student accounts, with students currently locked out
+  async getSecurityEvents(req, res) {
+    try {
+      const { classroomId } = req.params;
+
+      const classroom = await Classroom.findOne({
+        _id: classroomId,
+        ...Classroom.staffFilter(req.user._id, 'manage_roster')
+      }).populate('students.student', 'name email studentId');
+
+      if (!classroom) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      const students = classroom.students.map(s => s.student).filter(Boolean);
+
+      const [events, locks] = await Promise.all([
+        SecurityEvent.find({ user: { $in: students.map(s => s._id) } })
+          .populate('user', 'name email studentId')
+          .populate('actor', 'name')
+          .sort({ createdAt: -1 })
+          .limit(50),
+        loginThrottleService.getAccountLocks(students.map(s => s.email))
+      ]);
+
+      res.json({
+        events,
+        lockedStudents: students
+          .filter(student => locks.has(student.email))
+          .map(student => ({ student, lockedUntil: locks.get(student.email) }))
+      });
+    } catch (error) {
+      console.error('Get classroom security events error:', error);
+      res.status(500).json({ message: 'Server error while fetching security events' });
+    }
+  }
+
+  // Audit log of grading, proctoring reviews and roster changes in the classroom (Owner and co-teachers)
+  async getAuditLog(req, res) {
+    try {
+      const { classroomId } = req.params;
+
+      const classroom = await Classroom.findOne({
+        _id: classroomId,
+        ...Classroom.staffFilter(req.user._id, 'update_classroom')
+      }).select('_id');
+
+      if (!classroom) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      const query = { ...auditService.buildQuery(req.query), classroom: classroom._id };
+      res.json(await auditService.list(query, req.query));
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error('Get classroom audit log error:', error);
+      res.status(500).json({ message: 'Server error while fetching audit log' });
+    }
+  }
+
+  // Lift a login lockout on an enrolled student (Roster managers only)
+  async unlockStudent(req, res) {
+    try {
+      const { classroomId, studentId } = req.params;
+
+      const classroom = await Classroom.findOne({
+        _id: classroomId,
+        ...Classroom.staffFilter(req.user._id, 'manage_roster')
+      });
+
+      if (!classroom) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      const student = classroom.isStudent(studentId) ? await User.findById(studentId) : null;
+      if (!student) {
+        return res.status(404).json({ message: 'Student not found in this classroom' });
+      }
+
+      const wasLocked = await loginThrottleService.unlockAccount(student, req.user._id);
+
+      res.json({
+        message: wasLocked ? 'Student account unlocked' : 'Student account was not locked'
+      });
+    } catch (error) {
+      console.error('Unlock student error:', error);
+      res.status(500).json({ message: 'Server error while unlocking student' });
+    }
+  }
+
+  // Create or match student accounts from an uploaded CSV and enroll them
+  async importRoster(req, res) {
+    try {
+      const { classroomId } = req.params;
+
+      const classroom = await Classroom.findOne({
+        _id: classroomId,
+        ...Classroom.staffFilter(req.user._id, 'manage_roster')
+      });
+
+      if (!classroom) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ message: 'Upload a CSV file' });
+      }
+
+      const { records, error } = rosterImportService.parse(req.file.buffer);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      const sendInvites = req.body.sendInvites === 'true' || req.body.sendInvites === true;
+      const report = await rosterImportService.importRoster(classroom, records, { sendInvites });
+
+      res.json({
+        message: 'Roster imported',
+        ...report
+      });
+    } catch (error) {
+      console.error('Import roster error:', error);
+      res.status(500).json({ message: 'Server error while importing roster' });
+    }
+  }
+
   // Archive classroom (Teachers only)
   async archiveClassroom(req, res) {
     try {
       const { classroomId } = req.params;
       const teacherId = req.user._id;
 
-      const classroom = await Classroom.findOneAndUpdate(
-        { _id: classroomId, teacher: teacherId },
-        { isActive: false },
-        { new: true }
+      // Returns the classroom as it was, so the audit log can tell whether this changed anything
+      const previous = await Classroom.findOneAndUpdate(
+        { _id: classroomId, ...Classroom.staffFilter(teacherId, 'archive_classroom') },
+        { isActive: false }
       );
 
-      if (!classroom) {
+      if (!previous) {
         return res.status(404).json({ message: 'Classroom not found or access denied' });
       }
 
+      await auditService.record(req, {
+        action: 'classroom_archived',
+        classroom: previous._id,
+        targetType: 'Classroom',
+        targetId: previous._id,
+        before: { isActive: previous.isActive },
+        after: { isActive: false },
+        metadata: { name: previous.name }
+      });
+
+      const classroom = await Classroom.findById(previous._id);
+
       res.json({
         message: 'Classroom archived successfully',
         classroom
@@ -312,13 +684,16 @@ class ClassroomController {
         return res.status(400).json({ message: 'Invalid level' });
       }
 
-      const classroom = await Classroom.findOne({ _id: classroomId, teacher: teacherId });
+      const classroom = await Classroom.findOne({
+        _id: classroomId,
+        ...Classroom.staffFilter(teacherId, 'manage_roster')
+      });
 
       if (!classroom) {
         return res.status(404).json({ message: 'Classroom not found or access denied' });
       }
 
-      await classroom.updateStudentLevel(studentId, level);
+      await classroom.updateStudentLevel(studentId, level, { changedBy: teacherId });
 
       res.json({
         message: 'Student level updated successfully'
@@ -328,6 +703,1119 @@ class ClassroomController {
       res.status(500).json({ message: 'Server error while updating student level' });
     }
   }
+
+  // Level rules with every student's level, pending proposal and level history (Staff only)
+  async getStudentLevels(req, res) {
+    try {
+      const { classroomId } = req.params;
+
+      const classroom = await Classroom.findOne({ _id: classroomId, ...Classroom.staffFilter(req.user._id) })
+        .populate('students.student', 'name email studentId')
+        .populate('students.levelHistory.changedBy', 'name');
+
+      if (!classroom) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      res.json({
+        rules: classroom.levelRules,
+        students: classroom.students.map(s => ({
+          student: s.student,
+          level: s.level,
+          levelProposal: s.levelProposal,
+          levelHistory: s.levelHistory
+        }))
+      });
+    } catch (error) {
+      console.error('Get student levels error:', error);
+      res.status(500).json({ message: 'Server error while fetching student levels' });
+    }
+  }
+
+  // Turn level rules on or off and set their thresholds (Owner and co-teachers)
+  async updateLevelRules(req, res) {
+    try {
+      const { classroomId } = req.params;
+
+      const classroom = await Classroom.findOne({
+        _id: classroomId,
+        ...Classroom.staffFilter(req.user._id, 'update_classroom')
+      });
+
+      if (!classroom) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      const rules = { ...classroom.toObject().levelRules, ...req.body };
+      if (rules.demoteAt >= rules.promoteAt) {
+        return res.status(400).json({ message: 'The demotion threshold must be below the promotion threshold' });
+      }
+      if (rules.minResults > rules.window) {
+        return res.status(400).json({ message: 'The minimum number of results cannot be more than the results averaged' });
+      }
+
+      classroom.levelRules = rules;
+
+      // Proposals waiting for review no longer apply once the rules are off
+      if (rules.mode === 'off') {
+        classroom.students.forEach(s => { s.levelProposal = null; });
+      }
+
+      await classroom.save();
+
+      res.json({
+        message: 'Level rules updated successfully',
+        rules: classroom.levelRules
+      });
+    } catch (error) {
+      console.error('Update level rules error:', error);
+      res.status(500).json({ message: 'Server error while updating level rules' });
+    }
+  }
+
+  // Run the level rules for every student now (Owner and co-teachers)
+  async evaluateStudentLevels(req, res) {
+    try {
+      const { classroomId } = req.params;
+
+      const classroom = await Classroom.findOne({
+        _id: classroomId,
+        ...Classroom.staffFilter(req.user._id, 'manage_roster')
+      });
+
+      if (!classroom) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      if (classroom.levelRules.mode === 'off') {
+        return res.status(400).json({ message: 'Level rules are turned off for this classroom' });
+      }
+
+      const changes = await studentLevelService.evaluate(classroom);
+
+      res.json({
+        message: classroom.levelRules.mode === 'apply'
+          ? `${changes.length} student level(s) changed`
+          : `${changes.length} level change(s) proposed`,
+        changes
+      });
+    } catch (error) {
+      console.error('Evaluate student levels error:', error);
+      res.status(500).json({ message: 'Server error while evaluating student levels' });
+    }
+  }
+
+  // Approve or reject a level proposal (Owner and co-teachers)
+  async decideLevelProposal(req, res) {
+    try {
+      const { classroomId, studentId, decision } = req.params;
+
+      const classroom = await Classroom.findOne({
+        _id: classroomId,
+        ...Classroom.staffFilter(req.user._id, 'manage_roster')
+      });
+
+      if (!classroom) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      const enrollment = classroom.students.find(s => s.student.toString() === studentId);
+      if (!enrollment || !enrollment.levelProposal) {
+        return res.status(404).json({ message: 'Level proposal not found' });
+      }
+
+      if (decision === 'approve') {
+        const { level, average } = enrollment.levelProposal;
+        classroom.setStudentLevel(studentId, level, { source: 'rules', changedBy: req.user._id, average });
+      } else {
+        // Start counting afresh so the same results do not propose it again
+        enrollment.levelProposal = null;
+        enrollment.levelRulesSince = new Date();
+      }
+
+      await classroom.save();
+
+      res.json({
+        message: decision === 'approve' ? 'Level change approved' : 'Level change rejected',
+        level: enrollment.level
+      });
+    } catch (error) {
+      console.error('Decide level proposal error:', error);
+      res.status(500).json({ message: 'Server error while deciding level proposal' });
+    }
+  }
+
+  // Get classroom staff with their roles
+  async getStaff(req, res) {
+    try {
+      const { classroomId } = req.params;
+
+      const classroom = await Classroom.findOne({ _id: classroomId, ...Classroom.staffFilter(req.user._id) })
+        .populate('teacher', 'name email teacherId')
+        .populate('staff.user', 'name email teacherId');
+
+      if (!classroom) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      res.json({
+        owner: classroom.teacher,
+        staff: classroom.staff,
+        permissions: Classroom.STAFF_PERMISSIONS
+      });
+    } catch (error) {
+      console.error('Get classroom staff error:', error);
+      res.status(500).json({ message: 'Server error while fetching staff' });
+    }
+  }
+
+  // Add a co-teacher or TA (Owner only)
+  async addStaff(req, res) {
+    try {
+      const { classroomId } = req.params;
+      const { email, role } = req.body;
+
+      const classroom = await Classroom.findOne({
+        _id: classroomId,
+        ...Classroom.staffFilter(req.user._id, 'manage_staff')
+      });
+
+      if (!classroom) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      const staffUser = await User.findOne({ email: email.toLowerCase(), role: 'teacher', isActive: true })
+        .select('name email teacherId');
+
+      if (!staffUser) {
+        return res.status(404).json({ message: 'No active teacher account found with that email' });
+      }
+
+      if (classroom.isStaff(staffUser._id)) {
+        return res.status(400).json({ message: 'This teacher is already on the classroom staff' });
+      }
+
+      classroom.staff.push({ user: staffUser._id, role });
+      await classroom.save();
+      await classroom.populate('staff.user', 'name email teacherId');
+
+      res.status(201).json({
+        message: 'Staff member added successfully',
+        staff: classroom.staff
+      });
+    } catch (error) {
+      console.error('Add classroom staff error:', error);
+      res.status(500).json({ message: 'Server error while adding staff' });
+    }
+  }
+
+  // Change a staff member's role (Owner only)
+  async updateStaffRole(req, res) {
+    try {
+      const { classroomId, userId } = req.params;
+      const { role } = req.body;
+
+      const classroom = await Classroom.findOne({
+        _id: classroomId,
+        ...Classroom.staffFilter(req.user._id, 'manage_staff')
+      });
+
+      if (!classroom) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      const member = classroom.staff.find(s => s.user.toString() === userId);
+      if (!member) {
+        return res.status(404).json({ message: 'Staff member not found' });
+      }
+
+      member.role = role;
+      await classroom.save();
+      await classroom.populate('staff.user', 'name email teacherId');
+
+      res.json({
+        message: 'Staff role updated successfully',
+        staff: classroom.staff
+      });
+    } catch (error) {
+      console.error('Update classroom staff error:', error);
+      res.status(500).json({ message: 'Server error while updating staff' });
+    }
+  }
+
+  // Remove a staff member (Owner, or the staff member leaving)
+  async removeStaff(req, res) {
+    try {
+      const { classroomId, userId } = req.params;
+      const isSelf = userId === req.user._id.toString();
+
+      const classroom = await Classroom.findOne({
+        _id: classroomId,
+        ...(isSelf ? { 'staff.user': req.user._id } : Classroom.staffFilter(req.user._id, 'manage_staff'))
+      });
+
+      if (!classroom) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      const staffCount = classroom.staff.length;
+      classroom.staff = classroom.staff.filter(s => s.user.toString() !== userId);
+
+      if (classroom.staff.length === staffCount) {
+        return res.status(404).json({ message: 'Staff member not found' });
+      }
+
+      await classroom.save();
+
+      res.json({
+        message: 'Staff member removed successfully'
+      });
+    } catch (error) {
+      console.error('Remove classroom staff error:', error);
+      res.status(500).json({ message: 'Server error while removing staff' });
+    }
+  }
+
+  // Who can join and how: approval, class code expiry and email domains (Owner and co-teachers)
+  async getJoinSettings(req, res) {
+    try {
+      const { classroomId } = req.params;
+
+      const classroom = await Classroom.findOne({
+        _id: classroomId,
+        ...Classroom.staffFilter(req.user._id, 'manage_roster')
+      });
+
+      if (!classroom) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      const [joinRequests, invites] = await Promise.all([
+        classroomJoinService.listPendingRequests(classroom._id),
+        classroomJoinService.listInvites(classroom._id)
+      ]);
+
+      res.json({
+        settings: {
+          classCode: classroom.classCode,
+          classCodeExpiresAt: classroom.classCodeExpiresAt,
+          requireJoinApproval: classroom.requireJoinApproval,
+          allowedEmailDomains: classroom.allowedEmailDomains
+        },
+        joinRequests,
+        invites
+      });
+    } catch (error) {
+      console.error('Get join settings error:', error);
+      res.status(500).json({ message: 'Server error while fetching join settings' });
+    }
+  }
+
+  async updateJoinSettings(req, res) {
+    try {
+      const { classroomId } = req.params;
+      const { requireJoinApproval, allowedEmailDomains } = req.body;
+
+      const classroom = await Classroom.findOne({
+        _id: classroomId,
+        ...Classroom.staffFilter(req.user._id, 'manage_roster')
+      });
+
+      if (!classroom) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      if (requireJoinApproval !== undefined) classroom.requireJoinApproval = requireJoinApproval;
+      if (allowedEmailDomains !== undefined) classroom.allowedEmailDomains = [...new Set(allowedEmailDomains)];
+
+      await classroom.save();
+
+      res.json({
+        message: 'Join settings updated successfully',
+        settings: {
+          requireJoinApproval: classroom.requireJoinApproval,
+          allowedEmailDomains: classroom.allowedEmailDomains
+        }
+      });
+    } catch (error) {
+      console.error('Update join settings error:', error);
+      res.status(500).json({ message: 'Server error while updating join settings' });
+    }
+  }
+
+  // Replace the class code, optionally with an expiry (Owner and co-teachers)
+  async regenerateClassCode(req, res) {
+    try {
+      const { classroomId } = req.params;
+
+      const classroom = await Classroom.findOne({
+        _id: classroomId,
+        ...Classroom.staffFilter(req.user._id, 'manage_roster')
+      });
+
+      if (!classroom) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      await classroomJoinService.regenerateClassCode(classroom, req.body.expiresInDays);
+
+      res.json({
+        message: 'Class code regenerated successfully',
+        classCode: classroom.classCode,
+        classCodeExpiresAt: classroom.classCodeExpiresAt
+      });
+    } catch (error) {
+      console.error('Regenerate class code error:', error);
+      res.status(500).json({ message: 'Server error while regenerating class code' });
+    }
+  }
+
+  // Approve or reject a pending join request (Owner and co-teachers)
+  async decideJoinRequest(req, res) {
+    try {
+      const { classroomId, requestId } = req.params;
+      const approve = req.params.decision === 'approve';
+
+      if (!mongoose.Types.ObjectId.isValid(requestId)) {
+        return res.status(400).json({ message: 'Invalid join request ID format' });
+      }
+
+      const classroom = await Classroom.findOne({
+        _id: classroomId,
+        ...Classroom.staffFilter(req.user._id, 'manage_roster')
+      });
+
+      if (!classroom) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      const joinRequest = await classroomJoinService.decide(classroom, requestId, approve, req.user._id);
+
+      if (!joinRequest) {
+        return res.status(404).json({ message: 'Join request not found or already decided' });
+      }
+
+      await auditService.record(req, {
+        action: approve ? 'join_request_approved' : 'join_request_rejected',
+        classroom,
+        targetType: 'Classroom',
+        targetId: classroom._id,
+        subject: joinRequest.student,
+        before: { joinRequest: 'pending' },
+        after: { joinRequest: joinRequest.status },
+        metadata: { requestedAt: joinRequest.createdAt }
+      });
+
+      if (approve && joinRequest.student) {
+        try {
+          await emailService.sendJoinRequestApprovedEmail(joinRequest.student, classroom);
+        } catch (emailError) {
+          console.error('Join request approval email error:', emailError);
+        }
+      }
+
+      res.json({
+        message: approve ? 'Student added to the classroom' : 'Join request rejected',
+        joinRequest
+      });
+    } catch (error) {
+      console.error('Decide join request error:', error);
+      res.status(500).json({ message: 'Server error while deciding join request' });
+    }
+  }
+
+  // Create a shareable invite link (Owner and co-teachers)
+  async createInvite(req, res) {
+    try {
+      const { classroomId } = req.params;
+
+      const classroom = await Classroom.findOne({
+        _id: classroomId,
+        ...Classroom.staffFilter(req.user._id, 'manage_roster')
+      });
+
+      if (!classroom) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      const invite = await classroomJoinService.createInvite(classroom, req.user._id, req.body);
+
+      res.status(201).json({
+        message: 'Invite link created successfully',
+        invite
+      });
+    } catch (error) {
+      console.error('Create classroom invite error:', error);
+      res.status(500).json({ message: 'Server error while creating invite link' });
+    }
+  }
+
+  async revokeInvite(req, res) {
+    try {
+      const { classroomId, inviteId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(inviteId)) {
+        return res.status(400).json({ message: 'Invalid invite ID format' });
+      }
+
+      const classroom = await Classroom.findOne({
+        _id: classroomId,
+        ...Classroom.staffFilter(req.user._id, 'manage_roster')
+      }).select('_id');
+
+      if (!classroom) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      if (!await classroomJoinService.revokeInvite(classroom._id, inviteId)) {
+        return res.status(404).json({ message: 'Invite link not found' });
+      }
+      // A revoked personal invite can no longer bring its student's imported work back
+      await importedWorkService.discard({ invite: inviteId });
+
+      res.json({ message: 'Invite link revoked successfully' });
+    } catch (error) {
+      console.error('Revoke classroom invite error:', error);
+      res.status(500).json({ message: 'Server error while revoking invite link' });
+    }
+  }
+
+  // What an invite link leads to, shown before the student accepts (Students only)
+  async getInvite(req, res) {
+    try {
+      const invite = await classroomJoinService.findInvite(req.params.code, req.user);
+      const { classroom } = invite;
+      await classroom.populate('teacher', 'name');
+
+      res.json({
+        classroom: {
+          _id: classroom._id,
+          name: classroom.name,
+          subject: classroom.subject,
+          description: classroom.description,
+          teacher: classroom.teacher
+        },
+        alreadyEnrolled: classroom.isStudent(req.user._id),
+        expiresAt: invite.expiresAt
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error('Get classroom invite error:', error);
+      res.status(500).json({ message: 'Server error while fetching invite link' });
+    }
+  }
+
+  // Join through an invite link (Students only)
+  async acceptInvite(req, res) {
+    try {
+      const classroom = await classroomJoinService.joinWithInvite(req.user, req.params.code);
+
+      await classroom.populate('teacher', 'name email teacherId');
+      await classroom.populate('students.student', 'name email studentId');
+
+      res.json({
+        message: 'Successfully joined classroom',
+        status: 'joined',
+        classroom: classroom.toStudentView(req.user._id)
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error('Accept classroom invite error:', error);
+      res.status(500).json({ message: 'Server error while joining classroom' });
+    }
+  }
+
+  // Placement screening test: settings and results for staff, status for students
+  async getScreeningTest(req, res) {
+    try {
+      const { classroomId } = req.params;
+      const userId = req.user._id;
+
+      const classroom = await Classroom.findById(classroomId)
+        .populate('screeningTest', 'title description duration totalPoints questions status isProctored')
+        .populate('students.student', 'name email studentId');
+
+      if (!classroom || !classroom.isActive) {
+        return res.status(404).json({ message: 'Classroom not found' });
+      }
+
+      const quiz = classroom.screeningTest;
+      const summary = quiz && {
+        _id: quiz._id,
+        title: quiz.title,
+        description: quiz.description,
+        duration: quiz.duration,
+        totalPoints: quiz.totalPoints,
+        questionCount: quiz.questions.length,
+        isProctored: quiz.isProctored
+      };
+
+      if (req.user.role === 'student') {
+        const enrollment = classroom.students.find(s => s.student._id.toString() === userId.toString());
+        if (!enrollment) {
+          return res.status(403).json({ message: 'Access denied to this classroom' });
+        }
+
+        const activeSession = quiz && await QuizSession.findOne({ quiz: quiz._id, student: userId, status: 'in_progress' })
+          .select('_id');
+
+        return res.json({
+          screeningTest: summary,
+          pending: classroom.isScreeningPending(userId),
+          activeSessionId: activeSession ? activeSession._id : null,
+          completed: enrollment.screeningTestCompleted,
+          score: enrollment.screeningTestCompleted ? enrollment.screeningTestScore : null,
+          level: enrollment.level
+        });
+      }
+
+      if (!classroom.isStaff(userId)) {
+        return res.status(403).json({ message: 'Access denied to this classroom' });
+      }
+
+      // Students who were asked to take the current test
+      const results = quiz
+        ? classroom.students
+          .filter(s => !classroom.screeningTestSetAt || s.joinedAt >= classroom.screeningTestSetAt)
+          .map(s => ({
+            student: s.student,
+            completed: s.screeningTestCompleted,
+            score: s.screeningTestCompleted ? s.screeningTestScore : null,
+            level: s.level
+          }))
+        : [];
+
+      const quizzes = await Quiz.find({ classroom: classroom._id, status: { $ne: 'cancelled' } })
+        .select('title isScreening totalPoints')
+        .sort({ createdAt: -1 });
+
+      res.json({
+        screeningTest: summary,
+        screeningTestSetAt: classroom.screeningTestSetAt,
+        thresholds: classroom.screeningThresholds,
+        results,
+        quizzes
+      });
+    } catch (error) {
+      console.error('Get screening test error:', error);
+      res.status(500).json({ message: 'Server error while fetching screening test' });
+    }
+  }
+
+  // Attach, replace or detach the screening test and set its score bands (Owner and co-teachers)
+  async updateScreeningTest(req, res) {
+    try {
+      const { classroomId } = req.params;
+      const { quizId, thresholds } = req.body;
+
+      const classroom = await Classroom.findOne({
+        _id: classroomId,
+        ...Classroom.staffFilter(req.user._id, 'update_classroom')
+      });
+
+      if (!classroom) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      if (quizId !== undefined) {
+        if (quizId === null) {
+          classroom.screeningTest = null;
+          classroom.screeningTestSetAt = null;
+        } else if (!classroom.screeningTest || classroom.screeningTest.toString() !== quizId) {
+          const quiz = await Quiz.findOne({ _id: quizId, classroom: classroom._id, status: { $ne: 'cancelled' } });
+          if (!quiz) {
+            return res.status(404).json({ message: 'Quiz not found in this classroom' });
+          }
+
+          // A screening quiz is always open to new students and left out of the quiz list
+          if (!quiz.isScreening) {
+            quiz.isScreening = true;
+            await quiz.save();
+          }
+
+          classroom.screeningTest = quiz._id;
+          classroom.screeningTestSetAt = new Date();
+        }
+      }
+
+      if (thresholds) {
+        const intermediate = thresholds.intermediate ?? classroom.screeningThresholds.intermediate;
+        const advanced = thresholds.advanced ?? classroom.screeningThresholds.advanced;
+        if (advanced < intermediate) {
+          return res.status(400).json({ message: 'The advanced threshold cannot be below the intermediate threshold' });
+        }
+        classroom.screeningThresholds = { intermediate, advanced };
+      }
+
+      await classroom.save();
+
+      res.json({
+        message: classroom.screeningTest ? 'Screening test updated successfully' : 'Screening test removed',
+        screeningTest: classroom.screeningTest,
+        screeningTestSetAt: classroom.screeningTestSetAt,
+        thresholds: classroom.screeningThresholds
+      });
+    } catch (error) {
+      console.error('Update screening test error:', error);
+      res.status(500).json({ message: 'Server error while updating screening test' });
+    }
+  }
+
+  // Groups with their members for staff; a student's own groups for students
+  async getGroups(req, res) {
+    try {
+      const { classroomId } = req.params;
+      const userId = req.user._id;
+
+      const classroom = await Classroom.findById(classroomId)
+        .populate('groups.students', 'name email studentId');
+
+      if (!classroom || !(classroom.isStaff(userId) || classroom.isStudent(userId))) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      if (!classroom.isStaff(userId)) {
+        const groupIds = classroom.getStudentGroupIds(userId).map(id => id.toString());
+        return res.json({
+          groups: classroom.groups
+            .filter(group => groupIds.includes(group._id.toString()))
+            .map(({ _id, name, kind }) => ({ _id, name, kind }))
+        });
+      }
+
+      res.json({ groups: classroom.groups });
+    } catch (error) {
+      console.error('Get classroom groups error:', error);
+      res.status(500).json({ message: 'Server error while fetching groups' });
+    }
+  }
+
+  // Create a group, optionally with its first members (Owner and co-teachers)
+  async createGroup(req, res) {
+    try {
+      const { classroomId } = req.params;
+      const { name, kind, studentIds = [] } = req.body;
+
+      const classroom = await Classroom.findOne({
+        _id: classroomId,
+        ...Classroom.staffFilter(req.user._id, 'manage_roster')
+      });
+
+      if (!classroom) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      const error = ClassroomController.checkGroup(classroom, { name, studentIds });
+      if (error) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+
+      classroom.groups.push({ name, kind, students: studentIds });
+      await classroom.save();
+      await classroom.populate('groups.students', 'name email studentId');
+
+      res.status(201).json({
+        message: 'Group created successfully',
+        group: classroom.groups[classroom.groups.length - 1]
+      });
+    } catch (error) {
+      console.error('Create classroom group error:', error);
+      res.status(500).json({ message: 'Server error while creating group' });
+    }
+  }
+
+  // Rename a group, change its kind or replace its members (Owner and co-teachers)
+  async updateGroup(req, res) {
+    try {
+      const { classroomId, groupId } = req.params;
+      const { name, kind, studentIds } = req.body;
+
+      const classroom = await Classroom.findOne({
+        _id: classroomId,
+        ...Classroom.staffFilter(req.user._id, 'manage_roster')
+      });
+
+      if (!classroom) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      const group = classroom.groups.find(g => g._id.toString() === groupId);
+      if (!group) {
+        return res.status(404).json({ message: 'Group not found' });
+      }
+
+      const error = ClassroomController.checkGroup(classroom, { name, studentIds, groupId });
+      if (error) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+
+      if (name !== undefined) group.name = name;
+      if (kind !== undefined) group.kind = kind;
+      if (studentIds !== undefined) group.students = studentIds;
+
+      await classroom.save();
+      await classroom.populate('groups.students', 'name email studentId');
+
+      res.json({
+        message: 'Group updated successfully',
+        group: classroom.groups.find(g => g._id.toString() === groupId)
+      });
+    } catch (error) {
+      console.error('Update classroom group error:', error);
+      res.status(500).json({ message: 'Server error while updating group' });
+    }
+  }
+
+  // Delete a group. Content that only targeted it stays visible to staff alone
+  // until it is retargeted (Owner and co-teachers)
+  async deleteGroup(req, res) {
+    try {
+      const { classroomId, groupId } = req.params;
+
+      const classroom = await Classroom.findOne({
+        _id: classroomId,
+        ...Classroom.staffFilter(req.user._id, 'manage_roster')
+      });
+
+      if (!classroom) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      const groupCount = classroom.groups.length;
+      classroom.groups = classroom.groups.filter(g => g._id.toString() !== groupId);
+
+      if (classroom.groups.length === groupCount) {
+        return res.status(404).json({ message: 'Group not found' });
+      }
+
+      await classroom.save();
+
+      res.json({
+        message: 'Group deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete classroom group error:', error);
+      res.status(500).json({ message: 'Server error while deleting group' });
+    }
+  }
+
+  // Weighted gradebook: every student for graders (also as CSV with format=csv), own row for students
+  async getGradebook(req, res) {
+    try {
+      const { classroomId } = req.params;
+      const userId = req.user._id;
+
+      const classroom = await Classroom.findById(classroomId)
+        .populate('students.student', 'name email studentId');
+
+      if (!classroom || !(classroom.hasPermission(userId, 'grade') || classroom.isStudent(userId))) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      const isGrader = classroom.hasPermission(userId, 'grade');
+      const gradebook = await gradebookService.buildGradebook(classroom, {
+        studentIds: isGrader ? undefined : [userId]
+      });
+
+      if (isGrader && req.query.format === 'csv') {
+        res.attachment(`gradebook-${classroom._id}.csv`);
+        return res.type('text/csv').send(toCsv(gradebookService.toRows(gradebook)));
+      }
+
+      res.json(gradebook);
+    } catch (error) {
+      console.error('Get gradebook error:', error);
+      res.status(500).json({ message: 'Server error while fetching gradebook' });
+    }
+  }
+
+  // Category weights, dropped-lowest rules and the letter scale (Owner and co-teachers)
+  async updateGradebookSettings(req, res) {
+    try {
+      const { classroomId } = req.params;
+      const { categories, letterScale } = req.body;
+
+      const classroom = await Classroom.findOne({
+        _id: classroomId,
+        ...Classroom.staffFilter(req.user._id, 'update_classroom')
+      });
+
+      if (!classroom) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      if (categories) {
+        const totalWeight = categories.reduce((sum, category) => sum + category.weight, 0);
+        if (Math.abs(totalWeight - 100) > 0.01) {
+          return res.status(400).json({ message: 'Category weights must add up to 100' });
+        }
+        classroom.gradebook.categories = categories;
+      }
+
+      if (letterScale) {
+        if (!letterScale.some(step => step.minPercentage === 0)) {
+          return res.status(400).json({ message: 'The letter scale needs a letter starting at 0%' });
+        }
+        classroom.gradebook.letterScale = [...letterScale].sort((a, b) => b.minPercentage - a.minPercentage);
+      }
+
+      await classroom.save();
+
+      // Letters already given on submissions follow the new scale
+      if (letterScale) {
+        await gradebookService.relabelSubmissions(classroom);
+      }
+
+      res.json({
+        message: 'Gradebook settings updated successfully',
+        settings: classroom.gradebook
+      });
+    } catch (error) {
+      console.error('Update gradebook settings error:', error);
+      res.status(500).json({ message: 'Server error while updating gradebook settings' });
+    }
+  }
+
+  // Attendance, quizzes, DPPs and engagement in one view, with at-risk students (Staff who grade)
+  async getClassroomAnalytics(req, res) {
+    try {
+      const { classroomId } = req.params;
+
+      const classroom = await Classroom.findOne({ _id: classroomId, ...Classroom.staffFilter(req.user._id, 'grade') })
+        .populate('students.student', 'name email studentId');
+
+      if (!classroom) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      res.json(await classroomAnalyticsService.buildAnalytics(classroom));
+    } catch (error) {
+      console.error('Get classroom analytics error:', error);
+      res.status(500).json({ message: 'Server error while fetching classroom analytics' });
+    }
+  }
+
+  // One student's records behind the classroom analytics (Staff who grade)
+  async getStudentAnalytics(req, res) {
+    try {
+      const { classroomId, studentId } = req.params;
+
+      const classroom = await Classroom.findOne({ _id: classroomId, ...Classroom.staffFilter(req.user._id, 'grade') });
+
+      if (!classroom) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      if (!classroom.isStudent(studentId)) {
+        return res.status(404).json({ message: 'Student not found in this classroom' });
+      }
+
+      const student = await User.findById(studentId).select('name email studentId');
+      const enrollment = classroom.students.find(s => s.student.toString() === studentId);
+      const analytics = await classroomAnalyticsService.buildStudentAnalytics(classroom, enrollment.student);
+
+      res.json({ student, level: enrollment.level, ...analytics });
+    } catch (error) {
+      console.error('Get student analytics error:', error);
+      res.status(500).json({ message: 'Server error while fetching student analytics' });
+    }
+  }
+
+  // Modules with their content; students also get their progress through each one
+  async getModules(req, res) {
+    try {
+      const { classroomId } = req.params;
+      const userId = req.user._id;
+
+      const classroom = await Classroom.findById(classroomId);
+
+      if (!classroom || !(classroom.isStaff(userId) || classroom.isStudent(userId))) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      const result = await classroomModuleService.getModules(classroom, {
+        studentId: classroom.isStaff(userId) ? undefined : userId
+      });
+
+      res.json(result);
+    } catch (error) {
+      console.error('Get classroom modules error:', error);
+      res.status(500).json({ message: 'Server error while fetching modules' });
+    }
+  }
+
+  // Every student's progress through every module (Staff only)
+  async getModuleProgress(req, res) {
+    try {
+      const { classroomId } = req.params;
+
+      const classroom = await Classroom.findOne({
+        _id: classroomId,
+        ...Classroom.staffFilter(req.user._id, 'view')
+      }).populate('students.student', 'name email studentId');
+
+      if (!classroom) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      const students = await classroomModuleService.getClassProgress(classroom);
+
+      res.json({
+        modules: classroom.modules.map(({ _id, title }) => ({ _id, title })),
+        students
+      });
+    } catch (error) {
+      console.error('Get module progress error:', error);
+      res.status(500).json({ message: 'Server error while fetching module progress' });
+    }
+  }
+
+  // Add a module at the end of the syllabus (Owner and co-teachers)
+  async createModule(req, res) {
+    try {
+      const { classroomId } = req.params;
+      const { title, description } = req.body;
+
+      const classroom = await Classroom.findOne({
+        _id: classroomId,
+        ...Classroom.staffFilter(req.user._id, 'manage_content')
+      });
+
+      if (!classroom) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      classroom.modules.push({ title, description });
+      await classroom.save();
+
+      res.status(201).json({
+        message: 'Module created successfully',
+        module: classroom.modules[classroom.modules.length - 1]
+      });
+    } catch (error) {
+      console.error('Create classroom module error:', error);
+      res.status(500).json({ message: 'Server error while creating module' });
+    }
+  }
+
+  // Rename a module or move it to another position (Owner and co-teachers)
+  async updateModule(req, res) {
+    try {
+      const { classroomId, moduleId } = req.params;
+      const { title, description, position } = req.body;
+
+      const classroom = await Classroom.findOne({
+        _id: classroomId,
+        ...Classroom.staffFilter(req.user._id, 'manage_content')
+      });
+
+      if (!classroom) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      const index = classroom.modules.findIndex(m => m._id.toString() === moduleId);
+      if (index === -1) {
+        return res.status(404).json({ message: 'Module not found' });
+      }
+
+      const syllabusModule = classroom.modules[index];
+      if (title !== undefined) syllabusModule.title = title;
+      if (description !== undefined) syllabusModule.description = description;
+
+      if (position !== undefined) {
+        const modules = classroom.modules.map(m => m.toObject());
+        const [moved] = modules.splice(index, 1);
+        modules.splice(Math.min(position, modules.length), 0, moved);
+        classroom.modules = modules;
+      }
+
+      await classroom.save();
+
+      res.json({
+        message: 'Module updated successfully',
+        modules: classroom.modules
+      });
+    } catch (error) {
+      console.error('Update classroom module error:', error);
+      res.status(500).json({ message: 'Server error while updating module' });
+    }
+  }
+
+  // Delete a module. Its content stays in the classroom, outside any module (Owner and co-teachers)
+  async deleteModule(req, res) {
+    try {
+      const { classroomId, moduleId } = req.params;
+
+      const classroom = await Classroom.findOne({
+        _id: classroomId,
+        ...Classroom.staffFilter(req.user._id, 'manage_content')
+      });
+
+      if (!classroom) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      const moduleCount = classroom.modules.length;
+      classroom.modules = classroom.modules.filter(m => m._id.toString() !== moduleId);
+
+      if (classroom.modules.length === moduleCount) {
+        return res.status(404).json({ message: 'Module not found' });
+      }
+
+      await classroom.save();
+      await classroomModuleService.releaseModule(classroom._id, moduleId);
+
+      res.json({
+        message: 'Module deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete classroom module error:', error);
+      res.status(500).json({ message: 'Server error while deleting module' });
+    }
+  }
+
+  // Put a post, assignment, quiz, DPP or video class in a module, or take it out with
+  // moduleId null (Owner and co-teachers)
+  async setContentModule(req, res) {
+    try {
+      const { classroomId, itemType, itemId } = req.params;
+      const { moduleId } = req.body;
+
+      if (!classroomModuleService.isItemType(itemType) || !mongoose.Types.ObjectId.isValid(itemId)) {
+        return res.status(404).json({ message: 'Content not found' });
+      }
+
+      const classroom = await Classroom.findOne({
+        _id: classroomId,
+        ...Classroom.staffFilter(req.user._id, 'manage_content')
+      });
+
+      if (!classroom) {
+        return res.status(404).json({ message: 'Classroom not found or access denied' });
+      }
+
+      if (moduleId && !classroom.modules.some(m => m._id.toString() === moduleId)) {
+        return res.status(400).json({ message: 'Module must belong to this classroom' });
+      }
+
+      const item = await classroomModuleService.setItemModule(classroom._id, itemType, itemId, moduleId);
+      if (!item) {
+        return res.status(404).json({ message: 'Content not found' });
+      }
+
+      res.json({
+        message: moduleId ? 'Content added to module' : 'Content removed from module',
+        item: { type: itemType, _id: item._id, title: item.title, module: item.module }
+      });
+    } catch (error) {
+      console.error('Set content module error:', error);
+      res.status(500).json({ message: 'Server error while updating content module' });
+    }
+  }
 }
 
 module.exports = new ClassroomController();
\ No newline at end of file
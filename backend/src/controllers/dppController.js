@@ -2,6 +2,10 @@ const DailyPracticeProblem = require('../models/DailyPracticeProblem');
 const Classroom = require('../models/Classroom');
 const VideoClass = require('../models/VideoClass');
 const User = require('../models/User');
+const auditService = require('../services/auditService');
+const studentLevelService = require('../services/studentLevelService');
+const classroomStatsService = require('../services/classroomStatsService');
+const { isOwnUpload } = require('../services/s3Service');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
@@ -63,13 +67,14 @@ const createDPP = async (req, res) => {
       maxFiles,
       dueDate,
       tags,
-      estimatedTime
+      estimatedTime,
+      targetGroups
     } = req.body;
 
-    // Verify teacher owns the classroom
+    // Verify teacher can manage content in the classroom
     const classroom = await Classroom.findOne({
       _id: classroomId,
-      teacher: teacherId
+      ...Classroom.staffFilter(teacherId, 'manage_content')
     });
 
     if (!classroom) {
@@ -79,11 +84,17 @@ const createDPP = async (req, res) => {
       });
     }
 
+    if (targetGroups && classroom.findUnknownGroupIds(targetGroups).length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Target groups must belong to this classroom'
+      });
+    }
+
     // Verify video class belongs to the classroom
     const videoClass = await VideoClass.findOne({
       _id: videoClassId,
-      classroom: classroomId,
-      teacher: teacherId
+      classroom: classroomId
     });
 
     if (!videoClass) {
@@ -103,6 +114,7 @@ const createDPP = async (req, res) => {
       type,
       tags: tags || [],
       estimatedTime: estimatedTime || 30,
+      targetGroups: targetGroups || [],
       isPublished: true, // Auto-publish DPPs when created
       publishedAt: new Date()
     };
@@ -146,6 +158,13 @@ const createDPP = async (req, res) => {
           });
         }
       }
+
+      if (assignmentFiles.some(file => !isOwnUpload(file.fileUrl, teacherId))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Assignment files must be uploaded by you'
+        });
+      }
       
       dppData.assignmentFiles = assignmentFiles;
       dppData.instructions = instructions || '';
@@ -163,6 +182,7 @@ const createDPP = async (req, res) => {
 
     // Create DPP with auto due date
     const dpp = await DailyPracticeProblem.createWithAutoDueDate(dppData);
+    await classroomStatsService.refresh(dpp.classroom, ['dppCompletionRate']);
 
     await dpp.populate([
       { path: 'teacher', select: 'name email' },
@@ -204,7 +224,7 @@ const getClassroomDPPs = async (req, res) => {
     
     let classroom;
     if (userRole === 'teacher') {
-      classroom = await Classroom.findOne({ _id: classroomId, teacher: userId });
+      classroom = await Classroom.findOne({ _id: classroomId, ...Classroom.staffFilter(userId) });
     } else {
       classroom = await Classroom.findOne({
         _id: classroomId,
@@ -219,18 +239,26 @@ const getClassroomDPPs = async (req, res) => {
       });
     }
 
+    // Students only see DPPs for everyone or for their groups
+    const audience = userRole === 'student'
+      ? Classroom.audienceFilter(classroom.getStudentGroupIds(userId))
+      : {};
+
     const options = {
       page: parseInt(page),
       limit: parseInt(limit),
       sortBy,
       sortOrder: sortOrder === 'desc' ? -1 : 1,
-      status
+      status,
+      audience,
+      includeUnpublished: userRole === 'teacher'
     };
 
     const dpps = await DailyPracticeProblem.getClassroomDPPs(classroomId, options);
     const totalDPPs = await DailyPracticeProblem.countDocuments({
       classroom: classroomId,
-      isPublished: true
+      ...(userRole === 'teacher' ? {} : { isPublished: true }),
+      ...audience
     });
 
     // If student, add submission status to each DPP
@@ -313,14 +341,14 @@ const getDPP = async (req, res) => {
     // Check access permissions
     let hasAccess = false;
     if (userRole === 'teacher') {
-      hasAccess = dpp.teacher._id.toString() === userId;
+      hasAccess = !!(await Classroom.exists({ _id: dpp.classroom._id, ...Classroom.staffFilter(userId) }));
     } else {
       // Check if student is in the classroom
       const classroom = await Classroom.findOne({
         _id: dpp.classroom._id,
         'students.student': userId
       });
-      hasAccess = !!classroom;
+      hasAccess = !!classroom && dpp.isPublished && classroom.isInAudience(userId, dpp.targetGroups);
     }
 
     if (!hasAccess) {
@@ -372,11 +400,13 @@ const updateDPP = async (req, res) => {
   try {
     const { dppId } = req.params;
     const teacherId = req.user.id;
-    const updateData = req.body;
+    // Submissions only come in through the submit endpoints
+    const { submissions, ...updateData } = req.body;
 
+    const classroomIds = await Classroom.classroomIdsWithPermission(teacherId, 'manage_content');
     const dpp = await DailyPracticeProblem.findOne({
       _id: dppId,
-      teacher: teacherId
+      classroom: { $in: classroomIds }
     });
 
     if (!dpp) {
@@ -401,8 +431,43 @@ const updateDPP = async (req, res) => {
       }
     }
 
+    if (updateData.targetGroups) {
+      const classroom = await Classroom.findById(dpp.classroom);
+      if (classroom.findUnknownGroupIds(updateData.targetGroups).length) {
+        return res.status(400).json({
+          success: false,
+          error: 'Target groups must belong to this classroom'
+        });
+      }
+    }
+
+    // Files already on the DPP may have been uploaded by another teacher of the classroom
+    if (Array.isArray(updateData.assignmentFiles)) {
+      const currentUrls = dpp.assignmentFiles.map(file => file.fileUrl);
+      const foreignFile = updateData.assignmentFiles.some(file =>
+        !currentUrls.includes(file.fileUrl) && !isOwnUpload(file.fileUrl, teacherId)
+      );
+      if (foreignFile) {
+        return res.status(400).json({
+          success: false,
+          error: 'Assignment files must be uploaded by you'
+        });
+      }
+    }
+
+    if (updateData.videoClass) {
+      const videoClass = await VideoClass.exists({ _id: updateData.videoClass, classroom: dpp.classroom });
+      if (!videoClass) {
+        return res.status(400).json({
+          success: false,
+          error: 'Video class must belong to this classroom'
+        });
+      }
+    }
+
     Object.assign(dpp, updateData);
     await dpp.save();
+    await classroomStatsService.refresh(dpp.classroom, ['dppCompletionRate']);
 
     await dpp.populate([
       { path: 'teacher', select: 'name email' },
@@ -432,9 +497,10 @@ const deleteDPP = async (req, res) => {
     const { dppId } = req.params;
     const teacherId = req.user.id;
 
+    const classroomIds = await Classroom.classroomIdsWithPermission(teacherId, 'manage_content');
     const dpp = await DailyPracticeProblem.findOne({
       _id: dppId,
-      teacher: teacherId
+      classroom: { $in: classroomIds }
     });
 
     if (!dpp) {
@@ -445,6 +511,7 @@ const deleteDPP = async (req, res) => {
     }
 
     await DailyPracticeProblem.findByIdAndDelete(dppId);
+    await classroomStatsService.refresh(dpp.classroom, ['dppCompletionRate']);
 
     res.json({
       success: true,
@@ -467,9 +534,10 @@ const togglePublishDPP = async (req, res) => {
     const { dppId } = req.params;
     const teacherId = req.user.id;
 
+    const classroomIds = await Classroom.classroomIdsWithPermission(teacherId, 'manage_content');
     const dpp = await DailyPracticeProblem.findOne({
       _id: dppId,
-      teacher: teacherId
+      classroom: { $in: classroomIds }
     });
 
     if (!dpp) {
@@ -479,8 +547,16 @@ const togglePublishDPP = async (req, res) => {
       });
     }
 
+    if (!dpp.isPublished && !dpp.videoClass) {
+      return res.status(400).json({
+        success: false,
+        error: 'Link this DPP to a video class before publishing it'
+      });
+    }
+
     dpp.isPublished = !dpp.isPublished;
     await dpp.save();
+    await classroomStatsService.refresh(dpp.classroom, ['dppCompletionRate']);
 
     res.json({
       success: true,
@@ -534,7 +610,7 @@ const submitMCQAnswers = async (req, res) => {
       'students.student': studentId
     });
 
-    if (!classroom) {
+    if (!classroom || !classroom.isInAudience(studentId, dpp.targetGroups)) {
       return res.status(403).json({
         success: false,
         error: 'You are not enrolled in this classroom'
@@ -558,6 +634,9 @@ const submitMCQAnswers = async (req, res) => {
     dpp.submissions.push(submission);
     await dpp.save();
 
+    await studentLevelService.evaluateStudent(classroom._id, studentId);
+    await classroomStatsService.refresh(classroom._id, ['dppCompletionRate']);
+
     // Get the submission ID from the saved document
     const savedSubmission = dpp.submissions[dpp.submissions.length - 1];
 
@@ -618,7 +697,7 @@ const submitFiles = async (req, res) => {
       'students.student': studentId
     });
 
-    if (!classroom) {
+    if (!classroom || !classroom.isInAudience(studentId, dpp.targetGroups)) {
       return res.status(403).json({
         success: false,
         error: 'You are not enrolled in this classroom'
@@ -687,6 +766,7 @@ const submitFiles = async (req, res) => {
 
       dpp.submissions.push(submission);
       await dpp.save();
+      await classroomStatsService.refresh(dpp.classroom, ['dppCompletionRate']);
 
       // Get the submission ID from the saved document
       const savedSubmission = dpp.submissions[dpp.submissions.length - 1];
@@ -724,9 +804,10 @@ const gradeSubmission = async (req, res) => {
     const teacherId = req.user.id;
     const { score, feedback } = req.body;
 
+    const classroomIds = await Classroom.classroomIdsWithPermission(teacherId, 'grade');
     const dpp = await DailyPracticeProblem.findOne({
       _id: dppId,
-      teacher: teacherId
+      classroom: { $in: classroomIds }
     });
 
     if (!dpp) {
@@ -752,6 +833,8 @@ const gradeSubmission = async (req, res) => {
       });
     }
 
+    const before = { score: submission.score, feedback: submission.feedback };
+
     submission.score = score;
     submission.feedback = feedback;
     submission.gradedAt = new Date();
@@ -759,6 +842,19 @@ const gradeSubmission = async (req, res) => {
 
     await dpp.save();
 
+    await auditService.record(req, {
+      action: 'dpp_submission_graded',
+      classroom: dpp.classroom,
+      targetType: 'DailyPracticeProblem',
+      targetId: dpp._id,
+      subject: submission.student,
+      before,
+      after: { score: submission.score, feedback: submission.feedback },
+      metadata: { submission: submission._id }
+    });
+
+    await studentLevelService.evaluateStudent(dpp.classroom, submission.student);
+
     res.json({
       success: true,
       message: 'Submission graded successfully',
@@ -781,9 +877,10 @@ const getDPPAnalytics = async (req, res) => {
     const { dppId } = req.params;
     const teacherId = req.user.id;
 
+    const classroomIds = await Classroom.classroomIdsWithPermission(teacherId, 'grade');
     const dpp = await DailyPracticeProblem.findOne({
       _id: dppId,
-      teacher: teacherId
+      classroom: { $in: classroomIds }
     }).populate('submissions.student', 'name email')
       .populate('classroom', 'students');
 
@@ -987,23 +1084,6 @@ const getDPPAnalytics = async (req, res) => {
 
 
 
-    // Calculate statistics directly from submissions
-    const submissionCount = dpp.submissions.length;
-    const onTimeSubmissions = dpp.submissions.filter(sub => !sub.isLate).length;
-    const lateSubmissions = submissionCount - onTimeSubmissions;
-    
-    // Calculate average score
-    const totalScore = dpp.submissions.reduce((sum, sub) => sum + (sub.score || 0), 0);
-    const totalPossibleScore = submissionCount * dpp.maxScore;
-    const averageScore = submissionCount > 0 && totalPossibleScore > 0 
-      ? (totalScore / totalPossibleScore) * 100 
-      : 0;
-    
-    // Calculate top score
-    const topScore = dpp.submissions.length > 0 
-      ? Math.max(...dpp.submissions.map(s => s.score || 0))
-      : 0;
-
     // Build complete analytics response
     const analytics = {
       dpp: {
@@ -1031,13 +1111,7 @@ const getDPPAnalytics = async (req, res) => {
         feedback: sub.feedback
       })),
       stats: {
-        totalStudents,
-        submissionCount,
-        submissionRate: totalStudents > 0 ? (submissionCount / totalStudents) * 100 : 0,
-        averageScore,
-        onTimeSubmissions,
-        lateSubmissions,
-        topScore,
+        ...dpp.getSubmissionStats(totalStudents),
         difficultyPerformance
       }
     };
@@ -1076,7 +1150,7 @@ const getSubmission = async (req, res) => {
     // Check access permissions
     let hasAccess = false;
     if (userRole === 'teacher') {
-      hasAccess = dpp.teacher._id.toString() === userId;
+      hasAccess = !!(await Classroom.exists({ _id: dpp.classroom._id, ...Classroom.staffFilter(userId) }));
     } else {
       // Check if student is in the classroom
       const classroom = await Classroom.findOne({
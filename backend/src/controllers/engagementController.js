@@ -1,6 +1,7 @@
 const EngagementAnalysis = require('../models/EngagementAnalysis');
 const engagementService = require('../services/engagementService');
 const VideoClass = require('../models/VideoClass');
+const Classroom = require('../models/Classroom');
 const User = require('../models/User');
 const multer = require('multer');
 const path = require('path');
@@ -54,10 +55,11 @@ const analyzeStudentEngagement = async (req, res) => {
         });
       }
 
-      // Verify the class exists and teacher owns it
+      // Verify the class exists and the teacher can host it
+      const classroomIds = await Classroom.classroomIdsWithPermission(teacherId, 'host_classes');
       const videoClass = await VideoClass.findOne({
         _id: classId,
-        teacher: teacherId
+        classroom: { $in: classroomIds }
       });
 
       if (!videoClass) {
@@ -138,10 +140,11 @@ const getClassEngagementHistory = async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
 
-    // Verify teacher owns the class
+    // Verify teacher is on the class's classroom staff
+    const classroomIds = await Classroom.classroomIdsWithPermission(teacherId);
     const videoClass = await VideoClass.findOne({
       _id: classId,
-      teacher: teacherId
+      classroom: { $in: classroomIds }
     });
 
     if (!videoClass) {
@@ -194,8 +197,9 @@ const getStudentEngagementHistory = async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
 
-    // Get analyses for classes taught by this teacher
-    const teacherClasses = await VideoClass.find({ teacher: teacherId }).select('_id');
+    // Get analyses for classes in classrooms this teacher is on the staff of
+    const classroomIds = await Classroom.classroomIdsWithPermission(teacherId);
+    const teacherClasses = await VideoClass.find({ classroom: { $in: classroomIds } }).select('_id');
     const classIds = teacherClasses.map(c => c._id);
 
     const analyses = await EngagementAnalysis.find({
@@ -261,10 +265,11 @@ const getClassStudents = async (req, res) => {
 
     console.log('getClassStudents called with:', { classId, teacherId });
 
-    // Verify teacher owns the class
+    // Verify teacher is on the class's classroom staff
+    const classroomIds = await Classroom.classroomIdsWithPermission(teacherId);
     const videoClass = await VideoClass.findOne({
       _id: classId,
-      teacher: teacherId
+      classroom: { $in: classroomIds }
     }).populate({
       path: 'classroom',
       populate: {
@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Classroom = require('../models/Classroom');
+const GuardianLink = require('../models/GuardianLink');
+const socketManager = require('../services/socketManager');
+
+// Answer a pending link request on behalf of the student
+const respondToLink = async (req, res, status) => {
+  try {
+    const { linkId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(linkId)) {
+      return res.status(400).json({ message: 'Invalid link ID format' });
+    }
+
+    const link = await GuardianLink.findOne({ _id: linkId, student: req.user._id });
+    if (!link) {
+      return res.status(404).json({ message: 'Link request not found' });
+    }
+
+    if (link.status !== 'pending') {
+      return res.status(400).json({ message: 'This request has already been answered' });
+    }
+
+    link.status = status;
+    link.respondedAt = new Date();
+    await link.save();
+
+    socketManager.notifyUser(link.guardian.toString(), 'guardian-link-updated', {
+      linkId: link._id,
+      status
+    });
+
+    res.json({
+      message: status === 'approved' ? 'Guardian link approved' : 'Guardian link rejected',
+      link: {
+        id: link._id,
+        status: link.status,
+        respondedAt: link.respondedAt
+      }
+    });
+  } catch (error) {
+    console.error('Respond to guardian link error:', error);
+    res.status(500).json({ message: 'Server error while updating link' });
+  }
+};
+
+class GuardianController {
+  // Ask to be linked to a student (Guardian only); the student must approve
+  async requestLink(req, res) {
+    try {
+      const { email, studentId, relationship } = req.body;
+
+      const student = await User.findOne({
+        role: 'student',
+        isActive: true,
+        ...(email ? { email: email.toLowerCase() } : { studentId })
+      }).select('name email studentId');
+
+      if (!student) {
+        return res.status(404).json({ message: 'No student found with those details' });
+      }
+
+      let link = await GuardianLink.findOne({ guardian: req.user._id, student: student._id });
+
+      if (link && link.status === 'approved') {
+        return res.status(400).json({ message: 'You are already linked to this student' });
+      }
+      if (link && link.status === 'pending') {
+        return res.status(400).json({ message: 'A link request is already pending' });
+      }
+
+      if (link) {
+        // A previously rejected request can be sent again
+        link.status = 'pending';
+        link.respondedAt = null;
+        if (relationship) link.relationship = relationship;
+        await link.save();
+      } else {
+        link = await GuardianLink.create({
+          guardian: req.user._id,
+          student: student._id,
+          relationship
+        });
+      }
+
+      socketManager.notifyUser(student._id.toString(), 'guardian-link-requested', {
+        linkId: link._id,
+        guardian: { id: req.user._id, name: req.user.name, email: req.user.email }
+      });
+
+      res.status(201).json({
+        message: 'Link request sent. The student must approve it.',
+        link: {
+          id: link._id,
+          student: { id: student._id, name: student.name, studentId: student.studentId },
+          relationship: link.relationship,
+          status: link.status
+        }
+      });
+    } catch (error) {
+      console.error('Request guardian link error:', error);
+      res.status(500).json({ message: 'Server error while requesting link' });
+    }
+  }
+
+  // List links for the current guardian or student
+  async getLinks(req, res) {
+    try {
+      const isGuardian = req.user.role === 'guardian';
+      const query = isGuardian ? { guardian: req.user._id } : { student: req.user._id };
+
+      const links = await GuardianLink.find(query)
+        .populate(isGuardian ? 'student' : 'guardian', 'name email studentId')
+        .sort({ createdAt: -1 });
+
+      res.json({
+        links: links.map(link => ({
+          id: link._id,
+          [isGuardian ? 'student' : 'guardian']: isGuardian ? link.student : link.guardian,
+          relationship: link.relationship,
+          status: link.status,
+          requestedAt: link.createdAt,
+          respondedAt: link.respondedAt
+        }))
+      });
+    } catch (error) {
+      console.error('Get guardian links error:', error);
+      res.status(500).json({ message: 'Server error while fetching links' });
+    }
+  }
+
+  // Approve a pending link request (Student only)
+  async approveLink(req, res) {
+    return respondToLink(req, res, 'approved');
+  }
+
+  // Reject a pending link request (Student only)
+  async rejectLink(req, res) {
+    return respondToLink(req, res, 'rejected');
+  }
+
+  // Remove a link; either the guardian or the student can do this
+  async removeLink(req, res) {
+    try {
+      const { linkId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(linkId)) {
+        return res.status(400).json({ message: 'Invalid link ID format' });
+      }
+
+      const link = await GuardianLink.findOneAndDelete({
+        _id: linkId,
+        $or: [{ guardian: req.user._id }, { student: req.user._id }]
+      });
+
+      if (!link) {
+        return res.status(404).json({ message: 'Link not found' });
+      }
+
+      res.json({ message: 'Link removed successfully' });
+    } catch (error) {
+      console.error('Remove guardian link error:', error);
+      res.status(500).json({ message: 'Server error while removing link' });
+    }
+  }
+
+  // Approved children with the classrooms they are enrolled in (Guardian only)
+  async getChildren(req, res) {
+    try {
+      const links = await GuardianLink.find({ guardian: req.user._id, status: 'approved' })
+        .populate('student', 'name email studentId profilePicture isActive');
+
+      const students = links.map(link => link.student).filter(Boolean);
+
+      const classrooms = await Classroom.find({
+        'students.student': { $in: students.map(s => s._id) },
+        isActive: true
+      }).select('name subject classCode students.student');
+
+      const children = students.map(student => ({
+        id: student._id,
+        name: student.name,
+        email: student.email,
+        studentId: student.studentId,
+        profilePicture: student.profilePicture,
+        classrooms: classrooms
+          .filter(c => c.students.some(s => s.student.toString() === student._id.toString()))
+          .map(c => ({
+            id: c._id,
+            name: c.name,
+            subject: c.subject,
+            classCode: c.classCode
+          }))
+      }));
+
+      res.json({ children });
+    } catch (error) {
+      console.error('Get guardian children error:', error);
+      res.status(500).json({ message: 'Server error while fetching children' });
+    }
+  }
+}
+
+module.exports = new GuardianController();
@@ -1,6 +1,7 @@
 const Post = require('../models/Post');
 const Comment = require('../models/Comment');
 const Classroom = require('../models/Classroom');
+const classroomStatsService = require('../services/classroomStatsService');
 
 class PostController {
   // Get all posts for current user (all classrooms)
@@ -12,7 +13,7 @@ class PostController {
       // Get all classrooms user has access to
       let classrooms;
       if (userRole === 'teacher') {
-        classrooms = await Classroom.find({ teacher: userId, isActive: true });
+        classrooms = await Classroom.find({ ...Classroom.staffFilter(userId), isActive: true });
       } else {
         classrooms = await Classroom.find({ 
           'students.student': userId, 
@@ -22,10 +23,16 @@ class PostController {
 
       const classroomIds = classrooms.map(c => c._id);
 
+      // Students only see posts for everyone or for their groups in each classroom
+      const audience = userRole === 'student'
+        ? classrooms.map(c => ({ classroom: c._id, ...Classroom.audienceFilter(c.getStudentGroupIds(userId)) }))
+        : [];
+
       // Get all posts from these classrooms
       const posts = await Post.find({ 
         classroom: { $in: classroomIds },
-        isDeleted: false 
+        isDeleted: false,
+        ...(audience.length && { $or: audience })
       })
         .populate('author', 'name email role')
         .populate('classroom', 'name classCode')
@@ -54,7 +61,7 @@ class PostController {
       const { classroomId } = req.params;
       const {
         type, title, content, allowComments,
-        visibility, targetLevels, relatedAssignment
+        visibility, targetLevels, targetGroups, relatedAssignment
       } = req.body;
       
       const authorId = req.user._id;
@@ -67,8 +74,8 @@ class PostController {
       }
 
       const hasAccess = userRole === 'teacher' 
-        ? classroom.teacher.toString() === authorId.toString()
-        : classroom.students.some(s => s.student.toString() === authorId.toString());
+        ? classroom.isStaff(authorId)
+        : classroom.isStudent(authorId);
 
       if (!hasAccess) {
         return res.status(403).json({ message: 'Access denied to this classroom' });
@@ -79,6 +86,10 @@ class PostController {
         return res.status(403).json({ message: 'Students are not allowed to post in this classroom' });
       }
 
+      if (targetGroups && classroom.findUnknownGroupIds(targetGroups).length) {
+        return res.status(400).json({ message: 'Target groups must belong to this classroom' });
+      }
+
       const post = new Post({
         classroom: classroomId,
         author: authorId,
@@ -88,6 +99,7 @@ class PostController {
         allowComments: allowComments !== undefined ? allowComments : true,
         visibility: visibility || 'all',
         targetLevels: targetLevels || [],
+        targetGroups: targetGroups || [],
         relatedAssignment
       });
 
@@ -99,7 +111,7 @@ class PostController {
       ]);
 
       // Update classroom post count
-      await Classroom.findByIdAndUpdate(classroomId, { $inc: { totalPosts: 1 } });
+      await classroomStatsService.adjustCounter(classroomId, 'totalPosts', 1);
 
       res.status(201).json({
         message: 'Post created successfully',
@@ -117,7 +129,7 @@ class PostController {
       const { classroomId } = req.params;
       const {
         type, title, content, allowComments,
-        visibility, targetLevels, relatedAssignment
+        visibility, targetLevels, targetGroups, relatedAssignment
       } = req.body;
       
       const authorId = req.user._id;
@@ -130,8 +142,8 @@ class PostController {
       }
 
       const hasAccess = userRole === 'teacher' 
-        ? classroom.teacher.toString() === authorId.toString()
-        : classroom.students.some(s => s.student.toString() === authorId.toString());
+        ? classroom.isStaff(authorId)
+        : classroom.isStudent(authorId);
 
       if (!hasAccess) {
         return res.status(403).json({ message: 'Access denied to this classroom' });
@@ -142,6 +154,10 @@ class PostController {
         return res.status(403).json({ message: 'Students are not allowed to post in this classroom' });
       }
 
+      if (targetGroups && classroom.findUnknownGroupIds(targetGroups).length) {
+        return res.status(400).json({ message: 'Target groups must belong to this classroom' });
+      }
+
       // Process attachments
       const attachments = [];
       if (req.files && req.files.length > 0) {
@@ -164,6 +180,7 @@ class PostController {
         allowComments: allowComments !== undefined ? allowComments : true,
         visibility: visibility || 'all',
         targetLevels: targetLevels || [],
+        targetGroups: targetGroups || [],
         relatedAssignment,
         attachments
       });
@@ -176,7 +193,7 @@ class PostController {
       ]);
 
       // Update classroom post count
-      await Classroom.findByIdAndUpdate(classroomId, { $inc: { totalPosts: 1 } });
+      await classroomStatsService.adjustCounter(classroomId, 'totalPosts', 1);
 
       res.status(201).json({
         message: 'Post created successfully with attachments',
@@ -203,8 +220,8 @@ class PostController {
       }
 
       const hasAccess = userRole === 'teacher' 
-        ? classroom.teacher.toString() === userId.toString()
-        : classroom.students.some(s => s.student.toString() === userId.toString());
+        ? classroom.isStaff(userId)
+        : classroom.isStudent(userId);
 
       if (!hasAccess) {
         return res.status(403).json({ message: 'Access denied to this classroom' });
@@ -227,12 +244,18 @@ class PostController {
         
         // Filter by student's level if targetLevels is set
         const studentInfo = classroom.students.find(s => s.student.toString() === userId.toString());
-        if (studentInfo) {
+        if (studentInfo && classroom.isScreeningPending(userId)) {
+          // Level-targeted posts unlock once the screening test is taken
+          query.targetLevels = { $size: 0 };
+        } else if (studentInfo) {
           query.$or = [
             { targetLevels: { $size: 0 } }, // Posts for all levels
             { targetLevels: studentInfo.level }
           ];
         }
+
+        // Group-targeted posts only reach group members
+        query.$and = [Classroom.audienceFilter(classroom.getStudentGroupIds(userId))];
       } else {
         query.visibility = { $in: ['all', 'teachers'] };
       }
@@ -280,7 +303,7 @@ class PostController {
 
       const post = await Post.findById(postId)
         .populate('author', 'name email role profilePicture')
-        .populate('classroom', 'name classCode teacher students')
+        .populate('classroom', 'name classCode teacher staff students')
         .populate('relatedAssignment', 'title dueDate type')
         .populate({
           path: 'comments',
@@ -299,11 +322,12 @@ class PostController {
       let hasAccess = false;
       
       if (userRole === 'teacher') {
-        hasAccess = post.classroom.teacher.toString() === userId.toString();
+        hasAccess = post.classroom.isStaff(userId);
       } else {
         // For students, check if userId exists in classroom.students array
         const classroom = await Classroom.findById(post.classroom._id);
-        hasAccess = classroom.students.some(s => s.student.toString() === userId.toString());
+        hasAccess = classroom.students.some(s => s.student.toString() === userId.toString()) &&
+          classroom.isInAudience(userId, post.targetGroups);
       }
 
       if (!hasAccess) {
@@ -335,6 +359,13 @@ class PostController {
       delete updateData.classroom; // Prevent changing classroom
       delete updateData.author; // Prevent changing author
 
+      if (updateData.targetGroups) {
+        const classroom = await Classroom.findById(post.classroom);
+        if (classroom.findUnknownGroupIds(updateData.targetGroups).length) {
+          return res.status(400).json({ message: 'Target groups must belong to this classroom' });
+        }
+      }
+
       const updatedPost = await Post.findByIdAndUpdate(
         postId,
         updateData,
@@ -361,14 +392,14 @@ class PostController {
       const userId = req.user._id;
       const userRole = req.user.role;
 
-      const post = await Post.findById(postId).populate('classroom', 'teacher');
+      const post = await Post.findById(postId).populate('classroom', 'teacher staff');
       if (!post || post.isDeleted) {
         return res.status(404).json({ message: 'Post not found' });
       }
 
-      // Only author or classroom teacher can delete post
+      // Only author or classroom staff who manage content can delete post
       const canDelete = post.author.toString() === userId.toString() || 
-                       (userRole === 'teacher' && post.classroom.teacher.toString() === userId.toString());
+                       (userRole === 'teacher' && post.classroom.hasPermission(userId, 'manage_content'));
 
       if (!canDelete) {
         return res.status(403).json({ message: 'Access denied to delete this post' });
@@ -379,7 +410,7 @@ class PostController {
       await post.save();
 
       // Update classroom post count
-      await Classroom.findByIdAndUpdate(post.classroom._id, { $inc: { totalPosts: -1 } });
+      await classroomStatsService.adjustCounter(post.classroom._id, 'totalPosts', -1);
 
       res.json({
         message: 'Post deleted successfully'
@@ -396,13 +427,13 @@ class PostController {
       const { postId } = req.params;
       const userId = req.user._id;
 
-      const post = await Post.findById(postId).populate('classroom', 'teacher');
+      const post = await Post.findById(postId).populate('classroom', 'teacher staff');
       if (!post || post.isDeleted) {
         return res.status(404).json({ message: 'Post not found' });
       }
 
-      // Only classroom teacher can pin posts
-      if (post.classroom.teacher.toString() !== userId.toString()) {
+      // Only classroom staff who manage content can pin posts
+      if (!post.classroom.hasPermission(userId, 'manage_content')) {
         return res.status(403).json({ message: 'Only teachers can pin posts' });
       }
 
@@ -451,7 +482,7 @@ class PostController {
       const authorId = req.user._id;
       const userRole = req.user.role;
 
-      const post = await Post.findById(postId).populate('classroom', 'teacher students allowStudentComments');
+      const post = await Post.findById(postId).populate('classroom', 'teacher staff students allowStudentComments');
       if (!post || post.isDeleted) {
         return res.status(404).json({ message: 'Post not found' });
       }
@@ -464,11 +495,12 @@ class PostController {
       let hasAccess = false;
       
       if (userRole === 'teacher') {
-        hasAccess = post.classroom.teacher.toString() === authorId.toString();
+        hasAccess = post.classroom.isStaff(authorId);
       } else {
         // For students, fetch classroom and check students array
         const classroom = await Classroom.findById(post.classroom._id);
-        hasAccess = classroom.students.some(s => s.student.toString() === authorId.toString());
+        hasAccess = classroom.students.some(s => s.student.toString() === authorId.toString()) &&
+          classroom.isInAudience(authorId, post.targetGroups);
       }
 
       if (!hasAccess) {
@@ -536,16 +568,16 @@ class PostController {
       const comment = await Comment.findById(commentId)
         .populate({
           path: 'post',
-          populate: { path: 'classroom', select: 'teacher' }
+          populate: { path: 'classroom', select: 'teacher staff' }
         });
 
       if (!comment || comment.isDeleted) {
         return res.status(404).json({ message: 'Comment not found' });
       }
 
-      // Only author or classroom teacher can delete comment
+      // Only author or classroom staff who manage content can delete comment
       const canDelete = comment.author.toString() === userId.toString() || 
-                       (userRole === 'teacher' && comment.post.classroom.teacher.toString() === userId.toString());
+                       (userRole === 'teacher' && comment.post.classroom.hasPermission(userId, 'manage_content'));
 
       if (!canDelete) {
         return res.status(403).json({ message: 'Access denied to delete this comment' });
@@ -606,7 +638,7 @@ class PostController {
 
       // Find the post and verify access
       const post = await Post.findById(postId)
-        .populate('classroom', 'name teacher students allowStudentPosts')
+        .populate('classroom', 'name teacher staff students allowStudentPosts')
         .populate('author', 'name email role');
 
       if (!post) {
@@ -617,10 +649,11 @@ class PostController {
       let hasAccess = false;
       
       if (userRole === 'teacher') {
-        hasAccess = post.classroom.teacher.toString() === userId.toString();
+        hasAccess = post.classroom.isStaff(userId);
       } else if (userRole === 'student') {
         const classroom = await Classroom.findById(post.classroom._id);
-        hasAccess = classroom.students.some(s => s.student.toString() === userId.toString());
+        hasAccess = classroom.students.some(s => s.student.toString() === userId.toString()) &&
+          classroom.isInAudience(userId, post.targetGroups);
       }
 
       if (!hasAccess) {
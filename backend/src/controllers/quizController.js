@@ -3,6 +3,7 @@ const QuizSession = require('../models/QuizSession');
 const Classroom = require('../models/Classroom');
 const User = require('../models/User');
 const Post = require('../models/Post');
+const classroomStatsService = require('../services/classroomStatsService');
 
 class QuizController {
   
@@ -99,6 +100,7 @@ class QuizController {
         title: title,
         content: content,
         type: 'announcement',
+        targetGroups: quiz.targetGroups || [],
         tags: ['quiz', 'proctored', type, 'important'],
         metadata: {
           quizId: quiz._id,
@@ -110,6 +112,7 @@ class QuizController {
       });
       
       await announcementPost.save();
+      await classroomStatsService.adjustCounter(quiz.classroom._id || quiz.classroom, 'totalPosts', 1);
       await announcementPost.populate([
         { path: 'author', select: 'name email profilePicture' },
         { path: 'classroom', select: 'name classCode' }
@@ -145,7 +148,9 @@ class QuizController {
         proctoringSettings,
         attempts,
         tags,
-        difficulty
+        difficulty,
+        isScreening,
+        targetGroups
       } = req.body;
 
       const teacherId = req.user._id;
@@ -157,20 +162,24 @@ class QuizController {
 
       // Verify classroom access
       const classroom = await Classroom.findById(classroomId);
-      if (!classroom || classroom.teacher.toString() !== teacherId.toString()) {
+      if (!classroom || !classroom.hasPermission(teacherId, 'manage_content')) {
         return res.status(403).json({ message: 'Access denied to this classroom' });
       }
 
-      // Validate timing
-      const startTime = new Date(scheduledStartTime);
-      const endTime = new Date(scheduledEndTime);
+      if (targetGroups && classroom.findUnknownGroupIds(targetGroups).length) {
+        return res.status(400).json({ message: 'Target groups must belong to this classroom' });
+      }
+
+      // Validate timing; screening quizzes are not scheduled
+      const startTime = isScreening ? undefined : new Date(scheduledStartTime);
+      const endTime = isScreening ? undefined : new Date(scheduledEndTime);
       const now = new Date();
 
-      if (startTime <= now) {
+      if (!isScreening && startTime <= now) {
         return res.status(400).json({ message: 'Quiz start time must be in the future' });
       }
 
-      if (endTime <= startTime) {
+      if (!isScreening && endTime <= startTime) {
         return res.status(400).json({ message: 'Quiz end time must be after start time' });
       }
 
@@ -196,8 +205,11 @@ class QuizController {
         }
       }
 
+      // Every new student takes the screening quiz, so it is never group-targeted
+      const quizGroups = isScreening ? [] : (targetGroups || []);
+
       // Get total students for statistics
-      const totalStudents = classroom.students ? classroom.students.length : 0;
+      const totalStudents = classroom.countAudience(quizGroups);
 
       const quiz = new Quiz({
         classroom: classroomId,
@@ -220,6 +232,8 @@ class QuizController {
         totalStudentsInvited: totalStudents,
         tags: tags || [],
         difficulty: difficulty || 'medium',
+        isScreening: !!isScreening,
+        targetGroups: quizGroups,
         status: 'scheduled'
       });
 
@@ -229,8 +243,8 @@ class QuizController {
         { path: 'classroom', select: 'name classCode' }
       ]);
 
-      // Create announcement post
-      const announcement = await QuizController.createQuizAnnouncement(quiz, 'scheduled');
+      // Create announcement post; only new students take screening quizzes
+      const announcement = isScreening ? null : await QuizController.createQuizAnnouncement(quiz, 'scheduled');
 
       res.status(201).json({
         message: 'Quiz created successfully',
@@ -263,16 +277,23 @@ class QuizController {
 
       let hasAccess = false;
       if (userRole === 'teacher') {
-        hasAccess = classroom.teacher.toString() === userId.toString();
+        hasAccess = classroom.isStaff(userId);
       } else {
-        hasAccess = classroom.students.some(s => s.student.toString() === userId.toString());
+        hasAccess = classroom.isStudent(userId);
       }
 
       if (!hasAccess) {
         return res.status(403).json({ message: 'Access denied to this classroom' });
       }
 
-      let query = { classroom: classroomId };
+      // Screening quizzes are managed from the classroom's screening settings
+      let query = { classroom: classroomId, isScreening: { $ne: true } };
+
+      // Students only see published quizzes for everyone or for their groups
+      if (userRole === 'student') {
+        Object.assign(query, Classroom.audienceFilter(classroom.getStudentGroupIds(userId)));
+        query.status = { $ne: 'draft' };
+      }
       
       if (status !== 'all') {
         query.status = status;
@@ -385,9 +406,9 @@ class QuizController {
 
       let hasAccess = false;
       if (userRole === 'teacher') {
-        hasAccess = classroom.teacher.toString() === userId.toString();
+        hasAccess = classroom.isStaff(userId);
       } else {
-        hasAccess = classroom.students.some(s => s.student.toString() === userId.toString());
+        hasAccess = classroom.isStudent(userId);
       }
 
       if (!hasAccess) {
@@ -398,8 +419,9 @@ class QuizController {
 
       // For students, also check if they have already attempted
       if (userRole === 'student') {
+        const quizzesForStudent = activeQuizzes.filter(quiz => classroom.isInAudience(userId, quiz.targetGroups));
         const quizzesWithAttempts = await Promise.all(
-          activeQuizzes.map(async (quiz) => {
+          quizzesForStudent.map(async (quiz) => {
             const existingSessions = await QuizSession.find({
               quiz: quiz._id,
               student: userId
@@ -447,8 +469,9 @@ class QuizController {
         return res.status(404).json({ message: 'Quiz not found' });
       }
 
-      if (quiz.teacher.toString() !== teacherId.toString()) {
-        return res.status(403).json({ message: 'Only the quiz creator can update this quiz' });
+      const classroom = await Classroom.findById(quiz.classroom);
+      if (!classroom || !classroom.hasPermission(teacherId, 'manage_content')) {
+        return res.status(403).json({ message: 'You do not have permission to update this quiz' });
       }
 
       if (quiz.status === 'active') {
@@ -473,9 +496,13 @@ class QuizController {
         'scheduledStartTime', 'scheduledEndTime', 'duration',
         'passingScore', 'shuffleQuestions', 'shuffleOptions',
         'showResults', 'allowReview', 'proctoringSettings',
-        'attempts', 'tags', 'difficulty'
+        'attempts', 'tags', 'difficulty', 'targetGroups'
       ];
 
+      if (updates.targetGroups && classroom.findUnknownGroupIds(updates.targetGroups).length) {
+        return res.status(400).json({ message: 'Target groups must belong to this classroom' });
+      }
+
       allowedUpdates.forEach(field => {
         if (updates[field] !== undefined) {
           quiz[field] = updates[field];
@@ -510,6 +537,57 @@ class QuizController {
     }
   }
 
+  // Publish a draft quiz, such as one copied into a new term, on its schedule
+  async publishQuiz(req, res) {
+    try {
+      const { quizId } = req.params;
+      const teacherId = req.user._id;
+
+      const quiz = await Quiz.findById(quizId);
+      if (!quiz) {
+        return res.status(404).json({ message: 'Quiz not found' });
+      }
+
+      const classroom = await Classroom.findById(quiz.classroom);
+      if (!classroom || !classroom.hasPermission(teacherId, 'manage_content')) {
+        return res.status(403).json({ message: 'You do not have permission to publish this quiz' });
+      }
+
+      if (quiz.status !== 'draft') {
+        return res.status(400).json({ message: 'Only draft quizzes can be published' });
+      }
+
+      if (!quiz.isScreening) {
+        if (new Date(quiz.scheduledStartTime) <= new Date()) {
+          return res.status(400).json({ message: 'Quiz start time must be in the future' });
+        }
+
+        if (new Date(quiz.scheduledEndTime) <= new Date(quiz.scheduledStartTime)) {
+          return res.status(400).json({ message: 'Quiz end time must be after start time' });
+        }
+      }
+
+      quiz.status = 'scheduled';
+      quiz.totalStudentsInvited = classroom.countAudience(quiz.targetGroups);
+      await quiz.save();
+
+      const announcement = quiz.isScreening ? null : await QuizController.createQuizAnnouncement(quiz, 'scheduled');
+
+      res.json({
+        message: 'Quiz published successfully',
+        quiz,
+        announcement: announcement ? {
+          id: announcement._id,
+          title: announcement.title
+        } : null
+      });
+
+    } catch (error) {
+      console.error('Publish quiz error:', error);
+      res.status(500).json({ message: 'Server error while publishing quiz' });
+    }
+  }
+
   // Delete quiz
   async deleteQuiz(req, res) {
     try {
@@ -521,8 +599,9 @@ class QuizController {
         return res.status(404).json({ message: 'Quiz not found' });
       }
 
-      if (quiz.teacher.toString() !== teacherId.toString()) {
-        return res.status(403).json({ message: 'Only the quiz creator can delete this quiz' });
+      const classroom = await Classroom.findById(quiz.classroom);
+      if (!classroom || !classroom.hasPermission(teacherId, 'manage_content')) {
+        return res.status(403).json({ message: 'You do not have permission to delete this quiz' });
       }
 
       if (quiz.status === 'active') {
@@ -535,6 +614,12 @@ class QuizController {
         status: { $in: ['submitted', 'completed'] }
       });
 
+      // A removed screening quiz no longer holds new students back
+      await Classroom.updateOne(
+        { _id: quiz.classroom, screeningTest: quiz._id },
+        { screeningTest: null, screeningTestSetAt: null }
+      );
+
       if (completedSessions > 0) {
         // Cancel instead of delete if students have completed attempts
         quiz.status = 'cancelled';
@@ -568,7 +653,7 @@ class QuizController {
 
       const quiz = await Quiz.findById(quizId)
         .populate('teacher', 'name email')
-        .populate('classroom', 'name classCode students');
+        .populate('classroom', 'name classCode teacher staff students groups');
 
       if (!quiz) {
         return res.status(404).json({ message: 'Quiz not found' });
@@ -577,11 +662,11 @@ class QuizController {
       // Check access
       let hasAccess = false;
       if (userRole === 'teacher') {
-        hasAccess = quiz.teacher._id.toString() === userId.toString();
+        hasAccess = quiz.classroom.isStaff(userId);
       } else {
-        hasAccess = quiz.classroom.students.some(s => 
-          s.student.toString() === userId.toString()
-        );
+        hasAccess = quiz.status !== 'draft' &&
+          quiz.classroom.isStudent(userId) &&
+          quiz.classroom.isInAudience(userId, quiz.targetGroups);
       }
 
       if (!hasAccess) {
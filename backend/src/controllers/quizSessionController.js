@@ -2,6 +2,30 @@ const Quiz = require('../models/Quiz');
 const QuizSession = require('../models/QuizSession');
 const Classroom = require('../models/Classroom');
 const User = require('../models/User');
+const auditService = require('../services/auditService');
+const screeningService = require('../services/screeningService');
+const studentLevelService = require('../services/studentLevelService');
+const classroomStatsService = require('../services/classroomStatsService');
+
+// Follow-up for a submitted session: placement, level rules and the classroom's quiz average.
+// Returns the new level if it was the student's screening test
+const recordFinishedSession = async (session) => {
+  const level = await screeningService.recordResult(session);
+  await studentLevelService.evaluateStudent(session.classroom, session.student);
+  await classroomStatsService.refresh(session.classroom, ['averageQuizScore']);
+  return level;
+};
+
+// Review outcome fields compared in the audit log
+const reviewSnapshot = (session) => ({
+  reviewStatus: session.reviewStatus,
+  finalDecision: session.finalDecision,
+  status: session.status,
+  score: session.score,
+  percentage: session.percentage,
+  passed: session.passed,
+  reviewNotes: session.reviewNotes
+});
 
 class QuizSessionController {
 
@@ -17,7 +41,7 @@ class QuizSessionController {
         return res.status(403).json({ message: 'Only students can start quiz sessions' });
       }
 
-      const quiz = await Quiz.findById(quizId).populate('classroom', 'name classCode students');
+      const quiz = await Quiz.findById(quizId).populate('classroom', 'name classCode students groups screeningTest screeningTestSetAt');
       if (!quiz) {
         return res.status(404).json({ message: 'Quiz not found' });
       }
@@ -25,12 +49,19 @@ class QuizSessionController {
       // Check if student has access to this quiz
       const hasAccess = quiz.classroom.students.some(s => 
         s.student.toString() === studentId.toString()
-      );
+      ) && quiz.classroom.isInAudience(studentId, quiz.targetGroups);
 
       if (!hasAccess) {
         return res.status(403).json({ message: 'Access denied to this quiz' });
       }
 
+      if (quiz.isScreening) {
+        const reason = screeningService.checkCanStart(quiz, quiz.classroom, studentId);
+        if (reason) {
+          return res.status(403).json({ message: reason });
+        }
+      }
+
       // Check if quiz is available for attempt
       if (!quiz.canAttempt()) {
         return res.status(400).json({ 
@@ -81,10 +112,12 @@ class QuizSessionController {
       }));
 
       // Calculate time remaining based on quiz duration
+      // Screening quizzes have no end time, only a duration
       const now = new Date();
-      const quizEndTime = new Date(quiz.scheduledEndTime);
       const sessionDuration = quiz.duration * 60; // convert to seconds
-      const timeUntilQuizEnd = Math.floor((quizEndTime - now) / 1000);
+      const timeUntilQuizEnd = quiz.isScreening
+        ? sessionDuration
+        : Math.floor((new Date(quiz.scheduledEndTime) - now) / 1000);
       const timeRemaining = Math.min(sessionDuration, timeUntilQuizEnd);
 
       // Create new session
@@ -159,6 +192,7 @@ class QuizSessionController {
       // Auto-submit if time is up
       if (timeRemaining <= 0) {
         await session.submitSession();
+        await recordFinishedSession(session);
         return res.json({
           message: 'Session automatically submitted due to time limit',
           session: session.toObject(),
@@ -211,6 +245,7 @@ class QuizSessionController {
 
       if (timeRemaining <= 0) {
         await session.submitSession();
+        await recordFinishedSession(session);
         return res.status(400).json({ 
           message: 'Session has expired and been automatically submitted' 
         });
@@ -351,6 +386,7 @@ class QuizSessionController {
       }
 
       await session.submitSession();
+      const level = await recordFinishedSession(session);
 
       const response = {
         message: 'Quiz submitted successfully',
@@ -367,6 +403,10 @@ class QuizSessionController {
         response.message += ' Your submission is under review due to flagged activities.';
       }
 
+      if (level) {
+        response.level = level;
+      }
+
       res.json(response);
 
     } catch (error) {
@@ -584,7 +624,7 @@ class QuizSessionController {
 
       // Verify classroom access
       const classroom = await Classroom.findById(classroomId);
-      if (!classroom || classroom.teacher.toString() !== teacherId.toString()) {
+      if (!classroom || !classroom.hasPermission(teacherId, 'review_proctoring')) {
         return res.status(403).json({ message: 'Access denied to this classroom' });
       }
 
@@ -656,10 +696,13 @@ class QuizSessionController {
         return res.status(404).json({ message: 'Session not found' });
       }
 
-      if (session.quiz.teacher.toString() !== teacherId.toString()) {
-        return res.status(403).json({ message: 'Only the quiz creator can review this session' });
+      const classroom = await Classroom.findById(session.quiz.classroom);
+      if (!classroom || !classroom.hasPermission(teacherId, 'review_proctoring')) {
+        return res.status(403).json({ message: 'You do not have permission to review this session' });
       }
 
+      const before = reviewSnapshot(session);
+
       // Update review information
       session.reviewStatus = 'approved';
       session.reviewedBy = teacherId;
@@ -695,6 +738,17 @@ class QuizSessionController {
 
       await session.save();
 
+      await auditService.record(req, {
+        action: 'quiz_session_reviewed',
+        classroom,
+        targetType: 'QuizSession',
+        targetId: session._id,
+        subject: session.student,
+        before,
+        after: reviewSnapshot(session),
+        metadata: { quiz: session.quiz._id }
+      });
+
       res.json({
         message: 'Session reviewed successfully',
         session: {
@@ -732,7 +786,8 @@ class QuizSessionController {
         return res.status(404).json({ message: 'Session not found' });
       }
 
-      if (session.quiz.teacher.toString() !== teacherId.toString()) {
+      const classroom = await Classroom.findById(session.quiz.classroom);
+      if (!classroom || !classroom.hasPermission(teacherId, 'review_proctoring')) {
         return res.status(403).json({ message: 'Access denied to this session' });
       }
 
@@ -0,0 +1,160 @@
+const User = require('../models/User');
+const tokenService = require('../services/tokenService');
+const totpService = require('../services/totpService');
+const socketManager = require('../services/socketManager');
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Issue a fresh set of recovery codes; returns the plain codes to show once
+const resetRecoveryCodes = (user) => {
+  const recoveryCodes = totpService.generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = recoveryCodes.map(code => totpService.hashRecoveryCode(code));
+  return recoveryCodes;
+};
+
+class TwoFactorController {
+  // Current enrollment state and whether policy requires it
+  async getStatus(req, res) {
+    try {
+      const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+
+      res.json({
+        enabled: !!user.twoFactor?.enabled,
+        enabledAt: user.twoFactor?.enabledAt || null,
+        recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0,
+        required: await totpService.isRequiredFor(user)
+      });
+    } catch (error) {
+      console.error('Get two-factor status error:', error);
+      res.status(500).json({ message: 'Server error while fetching two-factor status' });
+    }
+  }
+
+  // Start enrollment: create a pending secret and its QR code
+  async setup(req, res) {
+    try {
+      const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+
+      if (user.twoFactor?.enabled) {
+        return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+      }
+
+      const secret = totpService.generateSecret();
+      user.twoFactor.pendingSecret = secret;
+      await user.save();
+
+      const otpauthUrl = totpService.getOtpauthUrl(secret, user.email);
+
+      res.json({
+        secret,
+        otpauthUrl,
+        qrCode: await totpService.generateQrCode(otpauthUrl)
+      });
+    } catch (error) {
+      console.error('Two-factor setup error:', error);
+      res.status(500).json({ message: 'Server error while setting up two-factor authentication' });
+    }
+  }
+
+  // Finish enrollment by confirming a code from the authenticator app
+  async enable(req, res) {
+    try {
+      const { code } = req.body;
+      const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+
+      if (user.twoFactor?.enabled) {
+        return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+      }
+
+      if (!user.twoFactor?.pendingSecret) {
+        return res.status(400).json({ message: 'Start two-factor setup first' });
+      }
+
+      const step = totpService.verifyCode(user.twoFactor.pendingSecret, code);
+      if (step === null) {
+        return res.status(400).json({ message: 'Invalid authentication code' });
+      }
+
+      user.twoFactor.secret = user.twoFactor.pendingSecret;
+      user.twoFactor.pendingSecret = undefined;
+      user.twoFactor.lastUsedStep = step;
+      user.twoFactor.enabled = true;
+      user.twoFactor.enabledAt = new Date();
+      const recoveryCodes = resetRecoveryCodes(user);
+      await user.save();
+
+      // Other devices signed in with the password alone
+      await tokenService.revokeAllSessions(user._id, 'two_factor_enabled', req.sessionId);
+      socketManager.disconnectSessions(user._id, { exceptSessionId: req.sessionId });
+
+      res.json({
+        message: 'Two-factor authentication enabled',
+        recoveryCodes
+      });
+    } catch (error) {
+      console.error('Enable two-factor error:', error);
+      res.status(500).json({ message: 'Server error while enabling two-factor authentication' });
+    }
+  }
+
+  // Turn two-factor off; needs the password and a current code or recovery code
+  async disable(req, res) {
+    try {
+      const { password, code, recoveryCode } = req.body;
+      const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+
+      if (!user.twoFactor?.enabled) {
+        return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+      }
+
+      if (await totpService.isRequiredFor(user)) {
+        return res.status(403).json({ message: 'Two-factor authentication is required for your account' });
+      }
+
+      if (!await user.comparePassword(password)) {
+        return res.status(400).json({ message: 'Password is incorrect' });
+      }
+
+      if (!totpService.verifyUserFactor(user, { code, recoveryCode })) {
+        return res.status(400).json({ message: 'Invalid authentication code' });
+      }
+
+      user.twoFactor = { enabled: false, enabledAt: null };
+      await user.save();
+
+      res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+      console.error('Disable two-factor error:', error);
+      res.status(500).json({ message: 'Server error while disabling two-factor authentication' });
+    }
+  }
+
+  // Replace all recovery codes after confirming a current code
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      const { code } = req.body;
+      const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+
+      if (!user.twoFactor?.enabled) {
+        return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+      }
+
+      if (!totpService.verifyUserFactor(user, { code })) {
+        return res.status(400).json({ message: 'Invalid authentication code' });
+      }
+
+      const recoveryCodes = resetRecoveryCodes(user);
+      await user.save();
+
+      res.json({
+        message: 'New recovery codes generated',
+        recoveryCodes
+      });
+    } catch (error) {
+      console.error('Regenerate recovery codes error:', error);
+      res.status(500).json({ message: 'Server error while generating recovery codes' });
+    }
+  }
+}
+
+module.exports = new TwoFactorController();
@@ -1,28 +1,16 @@
 const multer = require('multer');
-const AWS = require('aws-sdk');
 const multerS3 = require('multer-s3');
 const path = require('path');
 const fs = require('fs');
+const { s3, hasAWSConfig } = require('../services/s3Service');
 
-// Check if AWS credentials are available
-const hasAWSConfig = process.env.AWS_ACCESS_KEY_ID && 
-                   process.env.AWS_SECRET_ACCESS_KEY && 
-                   process.env.AWS_REGION &&
-                   process.env.AWS_S3_BUCKET;
-
-let s3;
-if (hasAWSConfig) {
-  s3 = new AWS.S3({
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-    region: process.env.AWS_REGION
-  });
-}
+// Folder named by the client, kept to a single safe path segment
+const uploadFolder = (req) => String(req.body.folder || '').replace(/[^a-zA-Z0-9_-]/g, '') || 'general';
 
 // Local storage configuration
 const localStorage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const folder = req.body.folder || 'general';
+    const folder = uploadFolder(req);
     const uploadDir = `uploads/${folder}/`;
     
     if (!fs.existsSync(uploadDir)) {
@@ -32,8 +20,9 @@ const localStorage = multer.diskStorage({
     cb(null, uploadDir);
   },
   filename: (req, file, cb) => {
+    // The uploader's id in the name lets later requests prove the file is theirs
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+    cb(null, file.fieldname + '-' + req.user._id + '-' + uniqueSuffix + path.extname(file.originalname));
   }
 });
 
@@ -41,13 +30,13 @@ const localStorage = multer.diskStorage({
 const upload = multer({
   storage: hasAWSConfig ? multerS3({
     s3: s3,
-    bucket: process.env.AWS_S3_BUCKET,
+    bucket: process.env.S3_BUCKET_NAME,
     acl: 'public-read',
     key: function (req, file, cb) {
-      const folder = req.body.folder || 'general';
+      const folder = uploadFolder(req);
       const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
       const fileName = file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname);
-      cb(null, `${folder}/${fileName}`);
+      cb(null, `${folder}/${req.user._id}/${fileName}`);
     },
     contentType: multerS3.AUTO_CONTENT_TYPE,
     metadata: function (req, file, cb) {
@@ -2,32 +2,42 @@ const User = require('../models/User');
 const Classroom = require('../models/Classroom');
 const Assignment = require('../models/Assignment');
 const Submission = require('../models/Submission');
+const GuardianLink = require('../models/GuardianLink');
 const mongoose = require('mongoose');
+const accountDataService = require('../services/accountDataService');
+const totpService = require('../services/totpService');
+const gradebookService = require('../services/gradebookService');
+const socketManager = require('../services/socketManager');
 
 class UserController {
   // Get user dashboard stats
   async getDashboard(req, res) {
     try {
-      const userId = req.user._id;
-      const userRole = req.user.role;
+      // Guardians viewing a linked child get that student's dashboard
+      const userId = req.linkedStudent ? req.linkedStudent._id : req.user._id;
+      const userRole = req.linkedStudent ? 'student' : req.user.role;
 
       let dashboardData = {};
 
       if (userRole === 'teacher') {
-        // Teacher dashboard
-        const classroomsCount = await Classroom.countDocuments({ teacher: userId, isActive: true });
-        const assignmentsCount = await Assignment.countDocuments({ teacher: userId });
+        // Teacher dashboard, covering classrooms the teacher owns or is staff in
+        const staffQuery = { ...Classroom.staffFilter(userId), isActive: true };
+        const classroomIds = await Classroom.distinct('_id', staffQuery);
+        const assignmentIds = await Assignment.find({ classroom: { $in: classroomIds } }).select('_id');
+
+        const classroomsCount = classroomIds.length;
+        const assignmentsCount = assignmentIds.length;
         const submissionsCount = await Submission.countDocuments({
-          assignment: { $in: await Assignment.find({ teacher: userId }).select('_id') }
+          assignment: { $in: assignmentIds }
         });
 
-        const recentClassrooms = await Classroom.find({ teacher: userId, isActive: true })
+        const recentClassrooms = await Classroom.find(staffQuery)
           .populate('students.student', 'name')
           .sort({ updatedAt: -1 })
           .limit(5);
 
         const pendingGrading = await Submission.countDocuments({
-          assignment: { $in: await Assignment.find({ teacher: userId }).select('_id') },
+          assignment: { $in: assignmentIds },
           status: 'submitted'
         });
 
@@ -46,6 +56,23 @@ class UserController {
             updatedAt: c.updatedAt
           }))
         };
+      } else if (userRole === 'guardian') {
+        // Guardian dashboard
+        const links = await GuardianLink.find({ guardian: userId })
+          .populate('student', 'name studentId');
+        const approvedLinks = links.filter(l => l.status === 'approved' && l.student);
+
+        dashboardData = {
+          stats: {
+            children: approvedLinks.length,
+            pendingLinks: links.filter(l => l.status === 'pending').length
+          },
+          children: approvedLinks.map(l => ({
+            id: l.student._id,
+            name: l.student.name,
+            studentId: l.student.studentId
+          }))
+        };
       } else {
         // Student dashboard
         const enrolledClassrooms = await Classroom.find({ 
@@ -191,7 +218,7 @@ class UserController {
   // Get user's grades summary
   async getGradesSummary(req, res) {
     try {
-      const userId = req.user._id;
+      const userId = req.linkedStudent ? req.linkedStudent._id : req.user._id;
       const { classroomId } = req.query;
 
       let query = { student: userId, status: 'graded' };
@@ -218,14 +245,30 @@ class UserController {
         ? submissions.reduce((sum, s) => sum + s.grade.percentage, 0) / totalSubmissions 
         : 0;
 
-      // Grade distribution
-      const gradeDistribution = {
-        A: submissions.filter(s => s.grade.percentage >= 90).length,
-        B: submissions.filter(s => s.grade.percentage >= 80 && s.grade.percentage < 90).length,
-        C: submissions.filter(s => s.grade.percentage >= 70 && s.grade.percentage < 80).length,
-        D: submissions.filter(s => s.grade.percentage >= 60 && s.grade.percentage < 70).length,
-        F: submissions.filter(s => s.grade.percentage < 60).length
-      };
+      // Grade distribution by the letters each classroom's scale gave
+      const gradeDistribution = { A: 0, B: 0, C: 0, D: 0, F: 0 };
+      submissions.forEach(s => {
+        if (s.grade.letterGrade) {
+          gradeDistribution[s.grade.letterGrade] = (gradeDistribution[s.grade.letterGrade] || 0) + 1;
+        }
+      });
+
+      // Final grades from each classroom's weighted gradebook, quizzes, DPPs and attendance included
+      const classrooms = await Classroom.find({
+        'students.student': userId,
+        isActive: true,
+        ...(classroomId && { _id: classroomId })
+      });
+      const classroomGrades = [];
+      for (const classroom of classrooms) {
+        const { students: [row] } = await gradebookService.buildGradebook(classroom, { studentIds: [userId] });
+        classroomGrades.push({
+          classroom: { _id: classroom._id, name: classroom.name, classCode: classroom.classCode },
+          overall: row.overall,
+          letterGrade: row.letterGrade,
+          categories: row.categories
+        });
+      }
 
       res.json({
         submissions,
@@ -233,7 +276,8 @@ class UserController {
           totalSubmissions,
           averageGrade: Math.round(averageGrade * 100) / 100,
           gradeDistribution
-        }
+        },
+        classrooms: classroomGrades
       });
     } catch (error) {
       console.error('Get grades summary error:', error);
@@ -264,6 +308,55 @@ class UserController {
       res.status(500).json({ message: 'Server error while uploading profile picture' });
     }
   }
+
+  // Download everything stored about the current user as a zip of JSON files
+  async exportData(req, res) {
+    try {
+      const data = await accountDataService.collectUserData(req.user._id);
+
+      res.attachment(`shayak-data-${new Date().toISOString().slice(0, 10)}.zip`);
+      const archive = accountDataService.createArchive(data);
+      archive.pipe(res);
+      await archive.finalize();
+    } catch (error) {
+      console.error('Export user data error:', error);
+      if (res.headersSent) return res.end();
+      res.status(500).json({ message: 'Server error while exporting data' });
+    }
+  }
+
+  // Delete the current user's account after confirming their password
+  // (and a two-factor code when enabled)
+  async deleteAccount(req, res) {
+    try {
+      const { password, code, recoveryCode } = req.body;
+      const user = await User.findById(req.user._id)
+        .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+      if (!await user.comparePassword(password)) {
+        return res.status(400).json({ message: 'Password is incorrect' });
+      }
+
+      if (user.twoFactor?.enabled && !totpService.verifyUserFactor(user, { code, recoveryCode })) {
+        return res.status(400).json({ message: 'Invalid authentication code' });
+      }
+
+      if (await accountDataService.getOwnedClassroomCount(user._id) > 0) {
+        return res.status(409).json({
+          message: 'Ask an admin to hand your classrooms over to another teacher before deleting your account'
+        });
+      }
+
+      // Removing the account's sessions also signs it out everywhere
+      await accountDataService.deleteAccount(user);
+      socketManager.disconnectSessions(user._id);
+
+      res.json({ message: 'Account deleted successfully' });
+    } catch (error) {
+      console.error('Delete account error:', error);
+      res.status(500).json({ message: 'Server error while deleting account' });
+    }
+  }
 }
 
 module.exports = new UserController();
\ No newline at end of file
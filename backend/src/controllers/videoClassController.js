@@ -4,6 +4,7 @@ const User = require('../models/User');
 const Post = require('../models/Post');
 const { videoService } = require('../services/videoCallingService');
 const Attendance = require('../models/Attendance');
+const classroomStatsService = require('../services/classroomStatsService');
 
 class VideoClassController {
   
@@ -152,6 +153,7 @@ class VideoClassController {
         title: title,
         content: content,
         type: 'announcement',
+        targetGroups: videoClass.targetGroups || [],
         tags: ['video-class', type, 'important'],
         metadata: {
           videoClassId: videoClass._id,
@@ -162,6 +164,7 @@ class VideoClassController {
       });
       
       await announcementPost.save();
+      await classroomStatsService.adjustCounter(videoClass.classroom._id || videoClass.classroom, 'totalPosts', 1);
       await announcementPost.populate([
         { path: 'author', select: 'name email profilePicture' },
         { path: 'classroom', select: 'name classCode' }
@@ -189,7 +192,8 @@ class VideoClassController {
         type = 'scheduled',
         allowLateJoin = true,
         maxDuration = 120,
-        isRecorded = false
+        isRecorded = false,
+        targetGroups = []
       } = req.body;
 
       const teacherId = req.user._id;
@@ -206,10 +210,14 @@ class VideoClassController {
         return res.status(404).json({ message: 'Classroom not found' });
       }
 
-      if (classroom.teacher.toString() !== teacherId.toString()) {
+      if (!classroom.hasPermission(teacherId, 'manage_content')) {
         return res.status(403).json({ message: 'Access denied to this classroom' });
       }
 
+      if (classroom.findUnknownGroupIds(targetGroups).length) {
+        return res.status(400).json({ message: 'Target groups must belong to this classroom' });
+      }
+
       // Validate times
       const startTime = new Date(scheduledStartTime);
       const endTime = new Date(scheduledEndTime);
@@ -223,7 +231,7 @@ class VideoClassController {
         return res.status(400).json({ message: 'End time must be after start time' });
       }
 
-      // Check for scheduling conflicts
+      // Check for scheduling conflicts; classes for separate groups may overlap
       const conflictingClass = await VideoClass.findOne({
         classroom: classroomId,
         status: { $in: ['scheduled', 'live'] },
@@ -232,7 +240,8 @@ class VideoClassController {
             scheduledStartTime: { $lte: endTime },
             scheduledEndTime: { $gte: startTime }
           }
-        ]
+        ],
+        ...(targetGroups.length && { $and: [Classroom.audienceFilter(targetGroups)] })
       });
 
       if (conflictingClass) {
@@ -246,8 +255,8 @@ class VideoClassController {
         });
       }
 
-      // Get total students in classroom for attendance tracking
-      const totalStudents = classroom.students ? classroom.students.length : 0;
+      // Get total students in the audience for attendance tracking
+      const totalStudents = classroom.countAudience(targetGroups);
 
       const videoClass = new VideoClass({
         classroom: classroomId,
@@ -260,6 +269,7 @@ class VideoClassController {
         allowLateJoin,
         maxDuration,
         isRecorded,
+        targetGroups,
         totalStudentsInvited: totalStudents
       });
 
@@ -293,7 +303,8 @@ class VideoClassController {
         classroomId,
         title = 'Instant Class',
         description = '',
-        maxDuration = 120
+        maxDuration = 120,
+        targetGroups = []
       } = req.body;
 
       const teacherId = req.user._id;
@@ -304,10 +315,14 @@ class VideoClassController {
       }
 
       const classroom = await Classroom.findById(classroomId);
-      if (!classroom || classroom.teacher.toString() !== teacherId.toString()) {
+      if (!classroom || !classroom.hasPermission(teacherId, 'host_classes')) {
         return res.status(403).json({ message: 'Access denied to this classroom' });
       }
 
+      if (classroom.findUnknownGroupIds(targetGroups).length) {
+        return res.status(400).json({ message: 'Target groups must belong to this classroom' });
+      }
+
       // Check if there's already a live class
       const existingLiveClass = await VideoClass.findOne({
         classroom: classroomId,
@@ -323,7 +338,7 @@ class VideoClassController {
 
       const now = new Date();
       const endTime = new Date(now.getTime() + maxDuration * 60000);
-      const totalStudents = classroom.students ? classroom.students.length : 0;
+      const totalStudents = classroom.countAudience(targetGroups);
 
       // Generate meeting credentials
       const tempClassId = `instant_${Date.now()}_${teacherId}`;
@@ -346,6 +361,7 @@ class VideoClassController {
         type: 'instant',
         status: 'live',
         maxDuration,
+        targetGroups,
         totalStudentsInvited: totalStudents,
         meetingId: meetingCredentials.meetingId,
         meetingUrl: meetingCredentials.meetingUrl,
@@ -383,14 +399,14 @@ class VideoClassController {
 
       const videoClass = await VideoClass.findById(classId)
         .populate('teacher', 'name email')
-        .populate('classroom', 'name classCode');
+        .populate('classroom', 'name classCode teacher staff');
 
       if (!videoClass) {
         return res.status(404).json({ message: 'Video class not found' });
       }
 
-      if (videoClass.teacher._id.toString() !== teacherId.toString()) {
-        return res.status(403).json({ message: 'Only the teacher can start this class' });
+      if (!videoClass.classroom.hasPermission(teacherId, 'host_classes')) {
+        return res.status(403).json({ message: 'You do not have permission to start this class' });
       }
 
       if (videoClass.status !== 'scheduled') {
@@ -449,15 +465,15 @@ class VideoClassController {
 
       const videoClass = await VideoClass.findById(classId)
         .populate('teacher', 'name email')
-        .populate('classroom', 'name classCode')
+        .populate('classroom', 'name classCode teacher staff')
         .populate('participants.student', 'name email');
 
       if (!videoClass) {
         return res.status(404).json({ message: 'Video class not found' });
       }
 
-      if (videoClass.teacher._id.toString() !== teacherId.toString()) {
-        return res.status(403).json({ message: 'Only the teacher can end this class' });
+      if (!videoClass.classroom.hasPermission(teacherId, 'host_classes')) {
+        return res.status(403).json({ message: 'You do not have permission to end this class' });
       }
 
       if (videoClass.status !== 'live') {
@@ -465,6 +481,7 @@ class VideoClassController {
       }
 
       await videoClass.endClass();
+      await classroomStatsService.refresh(videoClass.classroom._id, ['averageAttendance']);
 
       // Create announcement post when class ends
       const announcement = await VideoClassController.createVideoClassAnnouncement(videoClass, 'ended');
@@ -502,7 +519,7 @@ class VideoClassController {
 
       const videoClass = await VideoClass.findById(classId)
         .populate('teacher', 'name email')
-        .populate('classroom', 'name classCode students');
+        .populate('classroom', 'name classCode students groups');
 
       if (!videoClass) {
         return res.status(404).json({ message: 'Video class not found' });
@@ -517,6 +534,10 @@ class VideoClassController {
         return res.status(403).json({ message: 'You are not enrolled in this classroom' });
       }
 
+      if (!videoClass.classroom.isInAudience(studentId, videoClass.targetGroups)) {
+        return res.status(403).json({ message: 'This class is for another group' });
+      }
+
       if (videoClass.status !== 'live') {
         if (videoClass.status === 'scheduled') {
           return res.status(400).json({ 
@@ -544,6 +565,7 @@ class VideoClassController {
       try {
         await Attendance.markAttendance(studentId, classId, 'present');
         console.log(`Attendance marked for student ${studentId} in class ${classId}`);
+        await classroomStatsService.refresh(videoClass.classroom._id, ['averageAttendance']);
       } catch (attendanceError) {
         console.error('Error marking attendance:', attendanceError);
         // Don't fail the join operation if attendance marking fails
@@ -625,9 +647,9 @@ class VideoClassController {
 
       let hasAccess = false;
       if (userRole === 'teacher') {
-        hasAccess = classroom.teacher.toString() === userId.toString();
+        hasAccess = classroom.isStaff(userId);
       } else {
-        hasAccess = classroom.students.some(s => s.student.toString() === userId.toString());
+        hasAccess = classroom.isStudent(userId);
       }
 
       if (!hasAccess) {
@@ -640,6 +662,11 @@ class VideoClassController {
         query.status = status;
       }
 
+      // Students only see classes for everyone or for their groups
+      if (userRole === 'student') {
+        Object.assign(query, Classroom.audienceFilter(classroom.getStudentGroupIds(userId)));
+      }
+
       const skip = (parseInt(page) - 1) * parseInt(limit);
 
       const classes = await VideoClass.find(query)
@@ -682,16 +709,17 @@ class VideoClassController {
 
       let hasAccess = false;
       if (userRole === 'teacher') {
-        hasAccess = classroom.teacher.toString() === userId.toString();
+        hasAccess = classroom.isStaff(userId);
       } else {
-        hasAccess = classroom.students.some(s => s.student.toString() === userId.toString());
+        hasAccess = classroom.isStudent(userId);
       }
 
       if (!hasAccess) {
         return res.status(403).json({ message: 'Access denied to this classroom' });
       }
 
-      const upcomingClasses = await VideoClass.getUpcomingClasses(classroomId);
+      const audience = userRole === 'student' ? Classroom.audienceFilter(classroom.getStudentGroupIds(userId)) : {};
+      const upcomingClasses = await VideoClass.getUpcomingClasses(classroomId, 10, audience);
 
       res.json({
         upcomingClasses
@@ -717,16 +745,17 @@ class VideoClassController {
 
       let hasAccess = false;
       if (userRole === 'teacher') {
-        hasAccess = classroom.teacher.toString() === userId.toString();
+        hasAccess = classroom.isStaff(userId);
       } else {
-        hasAccess = classroom.students.some(s => s.student.toString() === userId.toString());
+        hasAccess = classroom.isStudent(userId);
       }
 
       if (!hasAccess) {
         return res.status(403).json({ message: 'Access denied to this classroom' });
       }
 
-      const liveClasses = await VideoClass.getLiveClasses(classroomId);
+      const audience = userRole === 'student' ? Classroom.audienceFilter(classroom.getStudentGroupIds(userId)) : {};
+      const liveClasses = await VideoClass.getLiveClasses(classroomId, audience);
 
       res.json({
         liveClasses
@@ -746,7 +775,7 @@ class VideoClassController {
 
       const videoClass = await VideoClass.findById(classId)
         .populate('teacher', 'name email')
-        .populate('classroom', 'name classCode students')
+        .populate('classroom', 'name classCode teacher staff students groups')
         .populate('participants.student', 'name email');
 
       if (!videoClass) {
@@ -756,11 +785,10 @@ class VideoClassController {
       // Check access
       let hasAccess = false;
       if (userRole === 'teacher') {
-        hasAccess = videoClass.teacher._id.toString() === userId.toString();
+        hasAccess = videoClass.classroom.isStaff(userId);
       } else {
-        hasAccess = videoClass.classroom.students.some(s => 
-          s.student.toString() === userId.toString()
-        );
+        hasAccess = videoClass.classroom.isStudent(userId) &&
+          videoClass.classroom.isInAudience(userId, videoClass.targetGroups);
       }
 
       if (!hasAccess) {
@@ -791,20 +819,21 @@ class VideoClassController {
         scheduledStartTime,
         scheduledEndTime,
         allowLateJoin,
-        isRecorded
+        isRecorded,
+        targetGroups
       } = req.body;
       const teacherId = req.user._id;
 
       const videoClass = await VideoClass.findById(classId)
         .populate('teacher', 'name email')
-        .populate('classroom', 'name classCode');
+        .populate('classroom', 'name classCode teacher staff groups');
 
       if (!videoClass) {
         return res.status(404).json({ message: 'Video class not found' });
       }
 
-      if (videoClass.teacher._id.toString() !== teacherId.toString()) {
-        return res.status(403).json({ message: 'Only the teacher can update this class' });
+      if (!videoClass.classroom.hasPermission(teacherId, 'manage_content')) {
+        return res.status(403).json({ message: 'You do not have permission to update this class' });
       }
 
       if (videoClass.status === 'live') {
@@ -834,6 +863,12 @@ class VideoClassController {
       }
       if (allowLateJoin !== undefined) videoClass.allowLateJoin = allowLateJoin;
       if (isRecorded !== undefined) videoClass.isRecorded = isRecorded;
+      if (targetGroups) {
+        if (videoClass.classroom.findUnknownGroupIds(targetGroups).length) {
+          return res.status(400).json({ message: 'Target groups must belong to this classroom' });
+        }
+        videoClass.targetGroups = targetGroups;
+      }
 
       await videoClass.save();
 
@@ -853,14 +888,14 @@ class VideoClassController {
       const { classId } = req.params;
       const teacherId = req.user._id;
 
-      const videoClass = await VideoClass.findById(classId);
+      const videoClass = await VideoClass.findById(classId).populate('classroom', 'teacher staff');
 
       if (!videoClass) {
         return res.status(404).json({ message: 'Video class not found' });
       }
 
-      if (videoClass.teacher.toString() !== teacherId.toString()) {
-        return res.status(403).json({ message: 'Only the teacher can delete this class' });
+      if (!videoClass.classroom.hasPermission(teacherId, 'manage_content')) {
+        return res.status(403).json({ message: 'You do not have permission to delete this class' });
       }
 
       if (videoClass.status === 'live') {
@@ -1,5 +1,40 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const mongoose = require('mongoose');
+const tokenService = require('../services/tokenService');
+const totpService = require('../services/totpService');
+const apiTokenService = require('../services/apiTokenService');
+const GuardianLink = require('../models/GuardianLink');
+
+// Personal access tokens only work on routes declared with authWithScope,
+// and only if the token was granted that route's scope
+const authenticateApiToken = async (req, res, next, token) => {
+  const { user, apiToken } = await apiTokenService.authenticate(token, req.ip || '') || {};
+
+  if (!apiToken) {
+    return res.status(401).json({ message: 'Token is not valid.' });
+  }
+
+  if (!user.isActive) {
+    return res.status(401).json({ message: 'Account is deactivated.' });
+  }
+
+  if (!req.apiScope) {
+    return res.status(403).json({
+      message: 'Personal access tokens cannot be used for this endpoint',
+      code: 'API_TOKEN_NOT_ALLOWED'
+    });
+  }
+
+  if (!apiToken.scopes.includes(req.apiScope)) {
+    return res.status(403).json({
+      message: `This token is missing the ${req.apiScope} scope`,
+      code: 'INSUFFICIENT_SCOPE'
+    });
+  }
+
+  req.user = user;
+  req.apiToken = apiToken;
+  next();
+};
 
 const auth = async (req, res, next) => {
   try {
@@ -9,39 +44,59 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'Access denied. No token provided.' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
+    if (apiTokenService.isApiToken(token)) {
+      return await authenticateApiToken(req, res, next, token);
+    }
+
+    const { user, sessionId, revoked } = await tokenService.verifyAccessToken(token);
     
     if (!user) {
       return res.status(401).json({ message: 'Token is not valid.' });
     }
 
+    if (revoked) {
+      return res.status(401).json({ message: 'Session has been revoked.' });
+    }
+
     if (!user.isActive) {
       return res.status(401).json({ message: 'Account is deactivated.' });
     }
 
     req.user = user;
+    req.sessionId = sessionId;
     next();
   } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ message: 'Token expired', code: 'TOKEN_EXPIRED' });
+    }
     res.status(401).json({ message: 'Token is not valid.' });
   }
 };
 
+// Like auth, but also accepts personal access tokens granted the scope
+const authWithScope = (scope) => {
+  return (req, res, next) => {
+    req.apiScope = scope;
+    return auth(req, res, next);
+  };
+};
+
 // Optional authentication - doesn't fail if no token provided
 const optionalAuth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '') || req.query.token;
     
-    if (!token) {
+    // Personal access tokens are only accepted by authWithScope routes
+    if (!token || apiTokenService.isApiToken(token)) {
       // No token provided, continue without authentication
       return next();
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
+    const { user, sessionId, revoked } = await tokenService.verifyAccessToken(token);
     
-    if (user && user.isActive) {
+    if (user && user.isActive && !revoked) {
       req.user = user;
+      req.sessionId = sessionId;
     }
 
     next();
@@ -67,13 +122,89 @@ const requireRole = (...roles) => {
   };
 };
 
+// Actions unverified users may not perform, from EMAIL_VERIFICATION_REQUIRED_FOR
+// (comma separated; defaults to "join_classroom,submit_work", empty disables the gate)
+const getVerificationRequiredActions = () => {
+  const setting = process.env.EMAIL_VERIFICATION_REQUIRED_FOR ?? 'join_classroom,submit_work';
+  return setting.split(',').map(action => action.trim()).filter(Boolean);
+};
+
+const requireVerifiedEmail = (action) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Access denied. Authentication required.' });
+    }
+
+    if (!req.user.isEmailVerified && getVerificationRequiredActions().includes(action)) {
+      return res.status(403).json({
+        message: 'Please verify your email address to continue',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    next();
+  };
+};
+
+// Teachers covered by a two-factor policy must enroll before grading or reviewing
+const requireTwoFactor = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Access denied. Authentication required.' });
+    }
+
+    if (!req.user.twoFactor?.enabled && await totpService.isRequiredFor(req.user)) {
+      return res.status(403).json({
+        message: 'Two-factor authentication must be enabled to perform this action',
+        code: 'TWO_FACTOR_REQUIRED'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Two-factor policy check error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Guardians may only read data of students who approved the link.
+// Resolves :studentId and exposes it as req.linkedStudent for shared handlers.
+const requireLinkedStudent = async (req, res, next) => {
+  try {
+    const { studentId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(studentId)) {
+      return res.status(400).json({ message: 'Invalid student ID format' });
+    }
+
+    const isLinked = await GuardianLink.isApproved(req.user._id, studentId);
+    if (!isLinked) {
+      return res.status(403).json({ message: 'Access denied. Student is not linked to your account.' });
+    }
+
+    req.linkedStudent = { _id: new mongoose.Types.ObjectId(studentId) };
+    next();
+  } catch (error) {
+    console.error('Linked student check error:', error);
+    res.status(500).json({ message: 'Server error while checking student link' });
+  }
+};
+
 const requireTeacher = requireRole('teacher');
 const requireStudent = requireRole('student');
+const requireAdmin = requireRole('admin');
+const requireGuardian = requireRole('guardian');
 
 module.exports = {
   auth,
+  authWithScope,
   optionalAuth,
   requireRole,
+  requireVerifiedEmail,
+  requireTwoFactor,
   requireTeacher,
-  requireStudent
+  requireStudent,
+  requireAdmin,
+  requireGuardian,
+  requireLinkedStudent
 };
\ No newline at end of file
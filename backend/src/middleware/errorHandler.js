@@ -39,6 +39,11 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Upload limits (file too large, too many files)
+  if (err.name === 'MulterError') {
+    return res.status(400).json({ message: err.message });
+  }
+
   // Default error
   res.status(err.statusCode || 500).json({
     message: err.message || 'Internal Server Error',
@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { GRADE_CATEGORY_KEYS } = require('../utils/grading');
 
 const validateRequest = (schema) => {
   return (req, res, next) => {
@@ -26,7 +27,7 @@ const schemas = {
     name: Joi.string().min(2).max(100).required(),
     email: Joi.string().email().required(),
     password: Joi.string().min(6).required(),
-    role: Joi.string().valid('student', 'teacher').required(),
+    role: Joi.string().valid('student', 'teacher', 'guardian').required(),
     studentId: Joi.when('role', {
       is: 'student',
       then: Joi.string().optional(),
@@ -40,14 +41,90 @@ const schemas = {
     department: Joi.string().max(100).optional(),
     phone: Joi.string().optional(),
     dateOfBirth: Joi.date().optional(),
-    address: Joi.string().max(500).optional()
+    address: Joi.string().max(500).optional(),
+    deviceId: Joi.string().max(100).optional()
   }),
 
   login: Joi.object({
     email: Joi.string().email().required(),
-    password: Joi.string().required()
+    password: Joi.string().required(),
+    deviceId: Joi.string().max(100).optional()
   }),
 
+  startOidc: Joi.object({
+    link: Joi.boolean()
+  }),
+
+  oidcCallback: Joi.object({
+    code: Joi.string().max(2048).required(),
+    state: Joi.string().max(200).required(),
+    deviceId: Joi.string().max(100).optional()
+  }),
+
+  createApiToken: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    scopes: Joi.array()
+      .items(Joi.string().valid('classrooms:read', 'roster:read', 'roster:write', 'assignments:read', 'grades:read', 'grades:write'))
+      .min(1)
+      .unique()
+      .required(),
+    expiresInDays: Joi.number().integer().min(1).max(365).allow(null)
+  }),
+
+  verifyTwoFactorLogin: Joi.object({
+    challengeToken: Joi.string().required(),
+    code: Joi.string().max(10),
+    recoveryCode: Joi.string().max(20),
+    deviceId: Joi.string().max(100).optional()
+  }).xor('code', 'recoveryCode'),
+
+  twoFactorCode: Joi.object({
+    code: Joi.string().max(10).required()
+  }),
+
+  disableTwoFactor: Joi.object({
+    password: Joi.string().required(),
+    code: Joi.string().max(10),
+    recoveryCode: Joi.string().max(20)
+  }).xor('code', 'recoveryCode'),
+
+  deleteAccount: Joi.object({
+    password: Joi.string().required(),
+    code: Joi.string().max(10),
+    recoveryCode: Joi.string().max(20)
+  }).oxor('code', 'recoveryCode'),
+
+  refreshToken: Joi.object({
+    refreshToken: Joi.string().required()
+  }),
+
+  forgotPassword: Joi.object({
+    email: Joi.string().email().required()
+  }),
+
+  verifyEmail: Joi.object({
+    token: Joi.string().required()
+  }),
+
+  resetPassword: Joi.object({
+    token: Joi.string().required(),
+    password: Joi.string().min(6).required()
+  }),
+
+  adminResetPassword: Joi.object({
+    password: Joi.string().min(6).optional()
+  }),
+
+  reassignClassroomOwner: Joi.object({
+    teacherId: Joi.string().required()
+  }),
+
+  requestGuardianLink: Joi.object({
+    email: Joi.string().email(),
+    studentId: Joi.string(),
+    relationship: Joi.string().valid('parent', 'guardian', 'other').optional()
+  }).xor('email', 'studentId'),
+
   createClassroom: Joi.object({
     name: Joi.string().min(1).max(100).required(),
     description: Joi.string().max(500).optional(),
@@ -56,10 +133,96 @@ const schemas = {
     allowStudentComments: Joi.boolean().optional()
   }),
 
+  copyClassroom: Joi.object({
+    name: Joi.string().min(1).max(100).optional(),
+    description: Joi.string().allow('').max(500).optional(),
+    subject: Joi.string().min(1).optional(),
+    dateOffsetDays: Joi.number().integer().min(-3650).max(3650).optional()
+  }),
+
+  addClassroomStaff: Joi.object({
+    email: Joi.string().email().required(),
+    role: Joi.string().valid('co_teacher', 'ta').required()
+  }),
+
+  updateClassroomStaff: Joi.object({
+    role: Joi.string().valid('co_teacher', 'ta').required()
+  }),
+
+  createClassroomGroup: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    kind: Joi.string().valid('section', 'lab_batch', 'project_team', 'other').optional(),
+    studentIds: Joi.array().items(Joi.string().hex().length(24)).unique().optional()
+  }),
+
+  updateClassroomGroup: Joi.object({
+    name: Joi.string().trim().min(1).max(100).optional(),
+    kind: Joi.string().valid('section', 'lab_batch', 'project_team', 'other').optional(),
+    studentIds: Joi.array().items(Joi.string().hex().length(24)).unique().optional()
+  }).min(1),
+
+  createClassroomModule: Joi.object({
+    title: Joi.string().trim().min(1).max(150).required(),
+    description: Joi.string().trim().max(1000).allow('').optional()
+  }),
+
+  updateClassroomModule: Joi.object({
+    title: Joi.string().trim().min(1).max(150).optional(),
+    description: Joi.string().trim().max(1000).allow('').optional(),
+    position: Joi.number().integer().min(0).optional()
+  }).min(1),
+
+  setContentModule: Joi.object({
+    moduleId: Joi.string().hex().length(24).allow(null).required()
+  }),
+
   joinClassroom: Joi.object({
     classCode: Joi.string().length(6).required().uppercase()
   }),
 
+  updateJoinSettings: Joi.object({
+    requireJoinApproval: Joi.boolean().optional(),
+    allowedEmailDomains: Joi.array().items(Joi.string().domain().lowercase()).max(20).optional()
+  }),
+
+  regenerateClassCode: Joi.object({
+    expiresInDays: Joi.number().integer().min(1).max(365).allow(null).optional()
+  }),
+
+  updateScreeningTest: Joi.object({
+    quizId: Joi.string().hex().length(24).allow(null).optional(),
+    thresholds: Joi.object({
+      intermediate: Joi.number().min(0).max(100).optional(),
+      advanced: Joi.number().min(0).max(100).optional()
+    }).optional()
+  }),
+
+  updateLevelRules: Joi.object({
+    mode: Joi.string().valid('off', 'propose', 'apply').optional(),
+    window: Joi.number().integer().min(1).max(50).optional(),
+    minResults: Joi.number().integer().min(1).max(50).optional(),
+    promoteAt: Joi.number().min(0).max(100).optional(),
+    demoteAt: Joi.number().min(0).max(100).optional(),
+    allowDemotion: Joi.boolean().optional()
+  }).min(1),
+
+  updateGradebookSettings: Joi.object({
+    categories: Joi.array().items(Joi.object({
+      key: Joi.string().valid(...GRADE_CATEGORY_KEYS).required(),
+      weight: Joi.number().min(0).max(100).required(),
+      dropLowest: Joi.number().integer().min(0).max(20).optional()
+    })).unique('key').min(1).optional(),
+    letterScale: Joi.array().items(Joi.object({
+      letter: Joi.string().trim().min(1).max(5).required(),
+      minPercentage: Joi.number().min(0).max(100).required()
+    })).unique('letter').unique('minPercentage').min(1).max(20).optional()
+  }).min(1),
+
+  createClassroomInvite: Joi.object({
+    expiresInDays: Joi.number().integer().min(1).max(365).allow(null).optional(),
+    maxUses: Joi.number().integer().min(1).max(1000).allow(null).optional()
+  }),
+
   createAssignment: Joi.object({
     title: Joi.string().min(1).max(200).required(),
     description: Joi.string().required(),
@@ -68,6 +231,7 @@ const schemas = {
     dueDate: Joi.date().required(),
     allowLateSubmission: Joi.boolean().optional(),
     targetLevels: Joi.array().items(Joi.string().valid('beginner', 'intermediate', 'advanced')).optional(),
+    targetGroups: Joi.array().items(Joi.string().hex().length(24)).optional(),
     instructions: Joi.string().optional(),
     questions: Joi.array().items(Joi.object({
       question: Joi.string().required(),
@@ -86,7 +250,8 @@ const schemas = {
     content: Joi.string().required(),
     allowComments: Joi.boolean().optional(),
     visibility: Joi.string().valid('all', 'teachers', 'students').optional(),
-    targetLevels: Joi.array().items(Joi.string().valid('beginner', 'intermediate', 'advanced')).optional()
+    targetLevels: Joi.array().items(Joi.string().valid('beginner', 'intermediate', 'advanced')).optional(),
+    targetGroups: Joi.array().items(Joi.string().hex().length(24)).optional()
   }),
 
   createComment: Joi.object({
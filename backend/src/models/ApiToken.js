@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// What each scope allows. Scopes only narrow access: the user's role and
+// classroom permissions still apply to every request.
+const SCOPES = {
+  'classrooms:read': 'List your classrooms and read their details',
+  'roster:read': 'Read classroom rosters',
+  'roster:write': 'Import rosters, remove students and change student levels',
+  'assignments:read': 'List and read assignments',
+  'grades:read': 'Read submissions and grades',
+  'grades:write': 'Grade assignment submissions'
+};
+
+// Personal access tokens for scripts, created and checked by apiTokenService
+const apiTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Only the SHA-256 of the token is stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // Start of the token, shown so users can tell their tokens apart
+  tokenPrefix: {
+    type: String,
+    required: true
+  },
+  scopes: [{
+    type: String,
+    enum: Object.keys(SCOPES),
+    required: true
+  }],
+  // Null for tokens that never expire
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: ''
+  },
+  // Revocation
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['revoked_by_user', 'password_changed', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+apiTokenSchema.index({ user: 1, revokedAt: 1 });
+
+apiTokenSchema.statics.SCOPES = SCOPES;
+
+// Check whether the token can still be used
+apiTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Revoke every active token of a user
+apiTokenSchema.statics.revokeAllForUser = function(userId, reason) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+module.exports = mongoose.model('ApiToken', apiTokenSchema);
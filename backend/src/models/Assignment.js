@@ -45,6 +45,14 @@ const assignmentSchema = new mongoose.Schema({
     type: String,
     enum: ['beginner', 'intermediate', 'advanced']
   }],
+  // Classroom groups this is for; empty means every student
+  targetGroups: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  // Syllabus module (a classroom modules entry) this belongs to, if any
+  module: {
+    type: mongoose.Schema.Types.ObjectId
+  },
   // File attachments
   attachments: [{
     fileName: String,
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// Append-only record of sensitive staff actions (grading, proctoring reviews,
+// attendance overrides, roster and classroom changes). Written by auditService.
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: [
+      'submission_graded',
+      'dpp_submission_graded',
+      'quiz_session_reviewed',
+      'attendance_bulk_marked',
+      'student_removed',
+      'join_request_approved',
+      'join_request_rejected',
+      'classroom_archived'
+    ],
+    required: true
+  },
+  classroom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom',
+    default: null
+  },
+  // The record that changed; DPP submissions are embedded, so targetId is the DPP
+  targetType: {
+    type: String,
+    enum: ['Submission', 'DailyPracticeProblem', 'QuizSession', 'VideoClass', 'Classroom'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Student the action was about, when there is one
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Only the fields that actually changed
+  changes: [{
+    _id: false,
+    field: { type: String, required: true },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+auditLogSchema.index({ classroom: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ subject: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Entries can be added but never edited or removed through the model
+const refuseChange = function(next) {
+  next(new Error('Audit log entries cannot be modified'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return refuseChange(next);
+  }
+  next();
+});
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  refuseChange
+);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { DEFAULT_GRADE_CATEGORIES, GRADE_CATEGORY_KEYS, DEFAULT_LETTER_SCALE, letterGradeFor } = require('../utils/grading');
 
 const classroomSchema = new mongoose.Schema({
   name: {
@@ -23,11 +24,29 @@ const classroomSchema = new mongoose.Schema({
     unique: true,
     uppercase: true
   },
+  // Owner of the classroom
   teacher: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Additional teaching staff; permissions come from STAFF_PERMISSIONS
+  staff: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['co_teacher', 'ta'],
+      required: true
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   students: [{
     student: {
       type: mongoose.Schema.Types.ObjectId,
@@ -49,6 +68,54 @@ const classroomSchema = new mongoose.Schema({
     screeningTestScore: {
       type: Number,
       default: 0
+    },
+    // Every level change, oldest first
+    levelHistory: [{
+      _id: false,
+      from: {
+        type: String,
+        enum: ['beginner', 'intermediate', 'advanced']
+      },
+      to: {
+        type: String,
+        enum: ['beginner', 'intermediate', 'advanced']
+      },
+      source: {
+        type: String,
+        enum: ['manual', 'screening', 'rules'],
+        default: 'manual'
+      },
+      // Average of the results the level rules went by
+      average: Number,
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      changedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    // A level change the level rules suggest, waiting for staff to approve it
+    levelProposal: {
+      type: new mongoose.Schema({
+        level: {
+          type: String,
+          enum: ['beginner', 'intermediate', 'advanced']
+        },
+        average: Number,
+        results: Number,
+        proposedAt: {
+          type: Date,
+          default: Date.now
+        }
+      }, { _id: false }),
+      default: null
+    },
+    // Level rules only count results that close after this: the last level change or rejected proposal
+    levelRulesSince: {
+      type: Date,
+      default: null
     }
   }],
   // Classroom settings
@@ -64,12 +131,178 @@ const classroomSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
-  // Advanced features
+  // Staff must have two-factor authentication enabled to grade or review
+  requireTeacherTwoFactor: {
+    type: Boolean,
+    default: false
+  },
+  // Joining: students who use the class code wait for staff approval
+  requireJoinApproval: {
+    type: Boolean,
+    default: false
+  },
+  // Null for class codes that never expire
+  classCodeExpiresAt: {
+    type: Date,
+    default: null
+  },
+  // Only students with an email on one of these domains (or their subdomains) may join; empty allows everyone
+  allowedEmailDomains: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  // Placement screening: students who join after it is set take this quiz,
+  // and their score picks their level
   screeningTest: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Test',
+    ref: 'Quiz',
+    default: null
+  },
+  screeningTestSetAt: {
+    type: Date,
     default: null
   },
+  // Lowest percentage for each level; anything below intermediate is beginner
+  screeningThresholds: {
+    intermediate: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 40
+    },
+    advanced: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 75
+    }
+  },
+  // Level rules: move students up (or down) a level from the average of their latest
+  // graded quiz, DPP and assignment results, either directly or as proposals for staff
+  levelRules: {
+    mode: {
+      type: String,
+      enum: ['off', 'propose', 'apply'],
+      default: 'off'
+    },
+    // How many of the latest results are averaged, and how many are needed at all
+    window: {
+      type: Number,
+      min: 1,
+      max: 50,
+      default: 5
+    },
+    minResults: {
+      type: Number,
+      min: 1,
+      max: 50,
+      default: 3
+    },
+    promoteAt: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 85
+    },
+    demoteAt: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 40
+    },
+    allowDemotion: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // How the gradebook weighs each category into the final grade, and the letter scale
+  // used for the final grade and for graded submissions
+  gradebook: {
+    categories: {
+      type: [{
+        _id: false,
+        key: {
+          type: String,
+          enum: GRADE_CATEGORY_KEYS,
+          required: true
+        },
+        weight: {
+          type: Number,
+          min: 0,
+          max: 100,
+          required: true
+        },
+        // Lowest scores in the category left out of the average
+        dropLowest: {
+          type: Number,
+          min: 0,
+          default: 0
+        }
+      }],
+      default: () => DEFAULT_GRADE_CATEGORIES.map(category => ({ ...category }))
+    },
+    letterScale: {
+      type: [{
+        _id: false,
+        letter: {
+          type: String,
+          required: true,
+          trim: true,
+          maxlength: 5
+        },
+        minPercentage: {
+          type: Number,
+          min: 0,
+          max: 100,
+          required: true
+        }
+      }],
+      default: () => DEFAULT_LETTER_SCALE.map(step => ({ ...step }))
+    }
+  },
+  // Sections, lab batches and project teams. Assignments, posts, DPPs, quizzes and
+  // video classes can target groups through their targetGroups field.
+  groups: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100
+    },
+    kind: {
+      type: String,
+      enum: ['section', 'lab_batch', 'project_team', 'other'],
+      default: 'section'
+    },
+    students: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Syllabus units in teaching order. Posts, assignments, DPPs, quizzes and video
+  // classes join a module through their module field.
+  modules: [{
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 150
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 1000
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   // Meeting/Class settings
   meetingRoom: {
     roomId: String,
@@ -86,7 +319,7 @@ const classroomSchema = new mongoose.Schema({
       duration: Number // in minutes
     }]
   },
-  // Statistics
+  // Statistics, kept up to date by classroomStatsService. Averages are null until there is data
   totalAssignments: {
     type: Number,
     default: 0
@@ -97,7 +330,19 @@ const classroomSchema = new mongoose.Schema({
   },
   averageAttendance: {
     type: Number,
-    default: 0
+    default: null
+  },
+  averageQuizScore: {
+    type: Number,
+    default: null
+  },
+  dppCompletionRate: {
+    type: Number,
+    default: null
+  },
+  statsUpdatedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -106,8 +351,80 @@ const classroomSchema = new mongoose.Schema({
 // Indexes for better performance
 classroomSchema.index({ classCode: 1 });
 classroomSchema.index({ teacher: 1 });
+classroomSchema.index({ 'staff.user': 1 });
 classroomSchema.index({ 'students.student': 1 });
 
+// What each staff role may do. The owner can do everything.
+const STAFF_PERMISSIONS = {
+  owner: [
+    'view', 'update_classroom', 'archive_classroom', 'manage_staff', 'manage_roster',
+    'manage_content', 'host_classes', 'grade', 'review_proctoring', 'manage_attendance'
+  ],
+  co_teacher: [
+    'view', 'update_classroom', 'manage_roster', 'manage_content', 'host_classes',
+    'grade', 'review_proctoring', 'manage_attendance'
+  ],
+  ta: ['view', 'grade', 'review_proctoring', 'manage_attendance']
+};
+
+classroomSchema.statics.STAFF_PERMISSIONS = STAFF_PERMISSIONS;
+
+// Works for both populated and unpopulated references
+const refId = (ref) => (ref && ref._id ? ref._id : ref).toString();
+
+// Query filter matching classrooms where the user holds a role with the permission
+classroomSchema.statics.staffFilter = function(userId, permission = 'view') {
+  const staffRoles = ['co_teacher', 'ta'].filter(role => STAFF_PERMISSIONS[role].includes(permission));
+  return {
+    $or: [
+      { teacher: userId },
+      { staff: { $elemMatch: { user: userId, role: { $in: staffRoles } } } }
+    ]
+  };
+};
+
+// IDs of classrooms where the user holds a role with the permission
+classroomSchema.statics.classroomIdsWithPermission = function(userId, permission = 'view') {
+  return this.distinct('_id', this.staffFilter(userId, permission));
+};
+
+// Staff role of a user in this classroom: 'owner', 'co_teacher', 'ta' or null
+classroomSchema.methods.getStaffRole = function(userId) {
+  if (!userId) return null;
+  if (refId(this.teacher) === userId.toString()) return 'owner';
+  const member = (this.staff || []).find(s => refId(s.user) === userId.toString());
+  return member ? member.role : null;
+};
+
+classroomSchema.methods.isStaff = function(userId) {
+  return this.getStaffRole(userId) !== null;
+};
+
+classroomSchema.methods.hasPermission = function(userId, permission) {
+  const role = this.getStaffRole(userId);
+  return !!role && STAFF_PERMISSIONS[role].includes(permission);
+};
+
+classroomSchema.methods.isStudent = function(userId) {
+  return this.students.some(s => refId(s.student) === userId.toString());
+};
+
+// Enrollment fields a student may see only on their own enrollment
+const PRIVATE_ENROLLMENT_FIELDS = ['screeningTestScore', 'levelHistory', 'levelProposal', 'levelRulesSince'];
+
+// The classroom as a student sees it, without classmates' private enrollment fields
+classroomSchema.methods.toStudentView = function(studentId) {
+  const classroom = this.toJSON();
+  classroom.students = classroom.students.map(enrollment => {
+    if (refId(enrollment.student) === studentId.toString()) return enrollment;
+
+    const shared = { ...enrollment };
+    PRIVATE_ENROLLMENT_FIELDS.forEach(field => delete shared[field]);
+    return shared;
+  });
+  return classroom;
+};
+
 // Generate unique class code
 classroomSchema.statics.generateClassCode = function() {
   const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
@@ -118,11 +435,89 @@ classroomSchema.statics.generateClassCode = function() {
   return code;
 };
 
+// Generate a class code that no other classroom uses
+classroomSchema.statics.generateUniqueClassCode = async function() {
+  let classCode;
+  do {
+    classCode = this.generateClassCode();
+  } while (await this.exists({ classCode }));
+  return classCode;
+};
+
+classroomSchema.methods.isClassCodeExpired = function() {
+  return !!this.classCodeExpiresAt && this.classCodeExpiresAt <= new Date();
+};
+
+// Check an email against allowedEmailDomains
+classroomSchema.methods.isEmailDomainAllowed = function(email) {
+  if (!this.allowedEmailDomains || this.allowedEmailDomains.length === 0) return true;
+  const domain = String(email).split('@').pop().toLowerCase();
+  return this.allowedEmailDomains.some(allowed => domain === allowed || domain.endsWith(`.${allowed}`));
+};
+
+// Whether a student still has to take the screening test. Students enrolled
+// before the test was set are not asked to take it.
+classroomSchema.methods.isScreeningPending = function(studentId) {
+  if (!this.screeningTest) return false;
+  const enrollment = this.students.find(s => refId(s.student) === studentId.toString());
+  return !!enrollment && !enrollment.screeningTestCompleted &&
+    (!this.screeningTestSetAt || enrollment.joinedAt >= this.screeningTestSetAt);
+};
+
+// Level for a screening score
+classroomSchema.methods.levelForScreeningScore = function(percentage) {
+  const { intermediate, advanced } = this.screeningThresholds || {};
+  if (percentage >= (advanced ?? 75)) return 'advanced';
+  if (percentage >= (intermediate ?? 40)) return 'intermediate';
+  return 'beginner';
+};
+
+// Letter grade for a percentage on this classroom's scale
+classroomSchema.methods.letterGradeFor = function(percentage) {
+  return letterGradeFor(percentage, this.gradebook && this.gradebook.letterScale);
+};
+
+// IDs of the groups a student belongs to
+classroomSchema.methods.getStudentGroupIds = function(studentId) {
+  return (this.groups || [])
+    .filter(group => group.students.some(s => refId(s) === studentId.toString()))
+    .map(group => group._id);
+};
+
+// Group IDs from a request that are not groups of this classroom
+classroomSchema.methods.findUnknownGroupIds = function(groupIds = []) {
+  const known = new Set((this.groups || []).map(group => group._id.toString()));
+  return [].concat(groupIds).filter(id => !known.has(String(id)));
+};
+
+// Content without targetGroups is for everyone; otherwise the student must be in one of the groups
+classroomSchema.methods.isInAudience = function(studentId, targetGroups) {
+  if (!targetGroups || targetGroups.length === 0) return true;
+  const groupIds = this.getStudentGroupIds(studentId).map(id => id.toString());
+  return targetGroups.some(id => groupIds.includes(refId(id)));
+};
+
+// Number of enrolled students who can see content for these target groups
+classroomSchema.methods.countAudience = function(targetGroups) {
+  return this.students.filter(s => this.isInAudience(s.student, targetGroups)).length;
+};
+
+// Query filter for content a student in these groups can see
+classroomSchema.statics.audienceFilter = function(groupIds = []) {
+  return {
+    $or: [
+      { targetGroups: { $size: 0 } },
+      { targetGroups: { $exists: false } },
+      { targetGroups: { $in: groupIds } }
+    ]
+  };
+};
+
 // Method to add student to classroom
-classroomSchema.methods.addStudent = function(studentId) {
+classroomSchema.methods.addStudent = function(studentId, level) {
   const isEnrolled = this.students.some(s => s.student.toString() === studentId.toString());
   if (!isEnrolled) {
-    this.students.push({ student: studentId });
+    this.students.push({ student: studentId, ...(level && { level }) });
   }
   return this.save();
 };
@@ -130,15 +525,29 @@ classroomSchema.methods.addStudent = function(studentId) {
 // Method to remove student from classroom
 classroomSchema.methods.removeStudent = function(studentId) {
   this.students = this.students.filter(s => s.student.toString() !== studentId.toString());
+  (this.groups || []).forEach(group => {
+    group.students = group.students.filter(s => s.toString() !== studentId.toString());
+  });
   return this.save();
 };
 
-// Method to update student level
-classroomSchema.methods.updateStudentLevel = function(studentId, level) {
-  const student = this.students.find(s => s.student.toString() === studentId.toString());
-  if (student) {
+// Change a student's level without saving, recording it in their level history
+classroomSchema.methods.setStudentLevel = function(studentId, level, { source = 'manual', changedBy, average } = {}) {
+  const student = this.students.find(s => refId(s.student) === studentId.toString());
+  if (!student) return null;
+
+  if (student.level !== level) {
+    student.levelHistory.push({ from: student.level, to: level, source, changedBy, average });
     student.level = level;
+    student.levelRulesSince = new Date();
   }
+  student.levelProposal = null;
+  return student;
+};
+
+// Method to update student level
+classroomSchema.methods.updateStudentLevel = function(studentId, level, change) {
+  this.setStudentLevel(studentId, level, change);
   return this.save();
 };
 
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// Shareable invite link into a classroom. Students who open one join
+// directly, without the approval queue. Personal invites admit one student only.
+const classroomInviteSchema = new mongoose.Schema({
+  classroom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Set for personal invites, such as those sent to students of an imported classroom
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Random code in the link, shown to staff so they can copy it again
+  code: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Null for links that never expire
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // Null for links without a usage limit
+  maxUses: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+classroomInviteSchema.index({ classroom: 1, revokedAt: 1 });
+
+// Personal invites can only be opened by the student they were made for
+classroomInviteSchema.methods.isFor = function(userId) {
+  return !this.student || this.student.toString() === userId.toString();
+};
+
+// Check whether the link can still admit a student
+classroomInviteSchema.methods.isUsable = function() {
+  return !this.revokedAt &&
+    (!this.expiresAt || this.expiresAt > new Date()) &&
+    (this.maxUses === null || this.uses < this.maxUses);
+};
+
+// Count one use, unless another student took the last one first
+classroomInviteSchema.statics.claimUse = function(inviteId) {
+  return this.findOneAndUpdate(
+    {
+      _id: inviteId,
+      revokedAt: null,
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] },
+        { $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }] }
+      ]
+    },
+    { $inc: { uses: 1 } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('ClassroomInvite', classroomInviteSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A student waiting to join a classroom that requires approval
+const classroomJoinRequestSchema = new mongoose.Schema({
+  classroom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  decidedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+classroomJoinRequestSchema.index({ classroom: 1, status: 1, createdAt: 1 });
+classroomJoinRequestSchema.index({ student: 1, status: 1 });
+// One open request per student and classroom
+classroomJoinRequestSchema.index(
+  { classroom: 1, student: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+module.exports = mongoose.model('ClassroomJoinRequest', classroomJoinRequestSchema);
@@ -126,10 +126,19 @@ const dppSchema = new mongoose.Schema({
     ref: 'Classroom',
     required: true
   },
+  // Unpublished DPPs, such as those copied into a new term, may not have a class yet
   videoClass: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'VideoClass',
-    required: true
+    required: function() { return this.isPublished; }
+  },
+  // Classroom groups this is for; empty means every student
+  targetGroups: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  // Syllabus module (a classroom modules entry) this belongs to, if any
+  module: {
+    type: mongoose.Schema.Types.ObjectId
   },
   teacher: {
     type: mongoose.Schema.Types.ObjectId,
@@ -279,10 +288,13 @@ dppSchema.statics.getClassroomDPPs = function(classroomId, options = {}) {
     limit = 10,
     sortBy = 'createdAt',
     sortOrder = -1,
-    status = 'all' // 'all', 'active', 'overdue', 'upcoming'
+    status = 'all', // 'all', 'active', 'overdue', 'upcoming'
+    audience = {}, // Extra filter, e.g. Classroom.audienceFilter for a student's groups
+    includeUnpublished = false // Staff also see DPPs they have not published yet
   } = options;
 
-  const query = { classroom: classroomId, isPublished: true };
+  const query = { classroom: classroomId, ...audience };
+  if (!includeUnpublished) query.isPublished = true;
   
   // Add status-based filtering
   if (status === 'active') {
@@ -322,6 +334,27 @@ dppSchema.methods.hasStudentSubmitted = function(studentId) {
   return this.submissions.some(sub => sub.student.toString() === studentId.toString());
 };
 
+// Instance method to summarize submissions against the number of students expected to submit
+dppSchema.methods.getSubmissionStats = function(totalStudents) {
+  const submissionCount = this.submissions.length;
+  const onTimeSubmissions = this.submissions.filter(sub => !sub.isLate).length;
+
+  const totalScore = this.submissions.reduce((sum, sub) => sum + (sub.score || 0), 0);
+  const totalPossibleScore = submissionCount * this.maxScore;
+
+  return {
+    totalStudents,
+    submissionCount,
+    submissionRate: totalStudents > 0 ? (submissionCount / totalStudents) * 100 : 0,
+    averageScore: submissionCount > 0 && totalPossibleScore > 0
+      ? (totalScore / totalPossibleScore) * 100
+      : 0,
+    onTimeSubmissions,
+    lateSubmissions: submissionCount - onTimeSubmissions,
+    topScore: submissionCount > 0 ? Math.max(...this.submissions.map(s => s.score || 0)) : 0
+  };
+};
+
 // Instance method to calculate score for MCQ
 dppSchema.methods.calculateMCQScore = function(answers) {
   if (this.type !== 'mcq') return 0;
@@ -180,7 +180,7 @@ engagementSchema.virtual('confidencePercentage').get(function() {
 engagementSchema.statics.getClassEngagementStats = async function(classId) {
   try {
     const stats = await this.aggregate([
-      { $match: { classId: mongoose.Types.ObjectId(classId), hasError: false } },
+      { $match: { classId: new mongoose.Types.ObjectId(classId), hasError: false } },
       {
         $group: {
           _id: null,
@@ -239,11 +239,37 @@ engagementSchema.statics.getClassEngagementStats = async function(classId) {
   }
 };
 
+// Static method to get each student's average engagement across a classroom's classes
+engagementSchema.statics.getClassroomEngagementByStudent = async function(classroomId) {
+  const stats = await this.aggregate([
+    { $match: { classroomId: new mongoose.Types.ObjectId(classroomId), hasError: false } },
+    {
+      $group: {
+        _id: '$studentId',
+        analyses: { $sum: 1 },
+        classes: { $addToSet: '$classId' },
+        averageEngagement: { $avg: '$engagementScore' },
+        lowEngagement: {
+          $sum: { $cond: [{ $lt: ['$engagementScore', 0.4] }, 1, 0] }
+        }
+      }
+    }
+  ]);
+
+  return stats.map(row => ({
+    student: row._id,
+    analyses: row.analyses,
+    classes: row.classes.length,
+    averageEngagement: Math.round(row.averageEngagement * 1000) / 1000,
+    lowEngagement: row.lowEngagement
+  }));
+};
+
 // Static method to get student engagement history
 engagementSchema.statics.getStudentEngagementHistory = async function(studentId, limit = 10) {
   try {
     return await this.find({ 
-      studentId: mongoose.Types.ObjectId(studentId),
+      studentId: new mongoose.Types.ObjectId(studentId),
       hasError: false 
     })
     .populate('classId', 'title meetingId startTime')
@@ -261,7 +287,7 @@ engagementSchema.statics.getRealtimeClassEngagement = async function(classId) {
   try {
     // Get latest engagement analysis for each student in the class
     const latestEngagements = await this.aggregate([
-      { $match: { classId: mongoose.Types.ObjectId(classId), hasError: false } },
+      { $match: { classId: new mongoose.Types.ObjectId(classId), hasError: false } },
       { $sort: { captureTimestamp: -1 } },
       {
         $group: {
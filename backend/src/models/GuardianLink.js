@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Link between a guardian and a student; only approved links grant read access
+const guardianLinkSchema = new mongoose.Schema({
+  guardian: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  relationship: {
+    type: String,
+    enum: ['parent', 'guardian', 'other'],
+    default: 'parent'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+guardianLinkSchema.index({ guardian: 1, student: 1 }, { unique: true });
+guardianLinkSchema.index({ student: 1, status: 1 });
+
+// Check whether a guardian may view a student's records
+guardianLinkSchema.statics.isApproved = async function(guardianId, studentId) {
+  const link = await this.exists({ guardian: guardianId, student: studentId, status: 'approved' });
+  return !!link;
+};
+
+module.exports = mongoose.model('GuardianLink', guardianLinkSchema);
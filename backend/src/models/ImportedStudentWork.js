@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// A student's work from an imported classroom bundle, held until the student
+// accepts their invite to the imported classroom. Records are stored ready to
+// create, already pointing at the imported assignments, quizzes and groups.
+const importedStudentWorkSchema = new mongoose.Schema({
+  classroom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Classroom',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Personal invite the student accepts to get their work back
+  invite: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClassroomInvite',
+    required: true
+  },
+  // Enrollment details from the exported classroom
+  enrollment: {
+    joinedAt: Date,
+    level: String,
+    screeningTestCompleted: Boolean,
+    screeningTestScore: Number
+  },
+  groups: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  posts: [mongoose.Schema.Types.Mixed],
+  submissions: [mongoose.Schema.Types.Mixed],
+  quizSessions: [mongoose.Schema.Types.Mixed],
+  dppSubmissions: [{
+    _id: false,
+    dpp: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DailyPracticeProblem'
+    },
+    submission: mongoose.Schema.Types.Mixed
+  }],
+  // Uploaded copies of the held attachments, removed if the work is discarded
+  files: [String],
+  // When the invite expires; held work is discarded after that
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+importedStudentWorkSchema.index({ classroom: 1, student: 1 });
+importedStudentWorkSchema.index({ invite: 1 });
+importedStudentWorkSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model('ImportedStudentWork', importedStudentWorkSchema);
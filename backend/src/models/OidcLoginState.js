@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Pending single sign-on attempt, kept server-side between the redirect to the
+// identity provider and the callback. Each state can be used once.
+const oidcLoginStateSchema = new mongoose.Schema({
+  // SHA-256 of the state parameter sent to the identity provider
+  stateHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  // PKCE verifier; only its challenge leaves the server
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  // Set when a signed-in user is linking single sign-on to their account
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+oidcLoginStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OidcLoginState', oidcLoginStateSchema);
@@ -63,6 +63,14 @@ const postSchema = new mongoose.Schema({
     type: String,
     enum: ['beginner', 'intermediate', 'advanced']
   }],
+  // Classroom groups this is for; empty means every student
+  targetGroups: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  // Syllabus module (a classroom modules entry) this belongs to, if any
+  module: {
+    type: mongoose.Schema.Types.ObjectId
+  },
   // Engagement metrics
   views: {
     type: Number,
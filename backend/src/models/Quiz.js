@@ -107,14 +107,29 @@ const quizSchema = new mongoose.Schema({
   },
   questions: [questionSchema],
   
+  // Placement screening quizzes are taken by new students whenever they
+  // join, so they have no schedule
+  isScreening: {
+    type: Boolean,
+    default: false
+  },
+  // Classroom groups this is for; empty means every student
+  targetGroups: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  // Syllabus module (a classroom modules entry) this belongs to, if any
+  module: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+
   // Scheduling
   scheduledStartTime: {
     type: Date,
-    required: true
+    required: function() { return !this.isScreening; }
   },
   scheduledEndTime: {
     type: Date,
-    required: true
+    required: function() { return !this.isScreening; }
   },
   duration: {
     type: Number, // in minutes
@@ -231,6 +246,7 @@ quizSchema.pre('save', function(next) {
 
 // Instance methods
 quizSchema.methods.canAttempt = function() {
+  if (this.isScreening) return this.status === 'scheduled';
   const now = new Date();
   return this.status === 'scheduled' && 
          now >= this.scheduledStartTime && 
@@ -275,6 +291,7 @@ quizSchema.statics.getActiveQuizzes = function(classroomId) {
   const now = new Date();
   return this.find({
     classroom: classroomId,
+    isScreening: { $ne: true },
     status: 'scheduled',
     scheduledStartTime: { $lte: now },
     scheduledEndTime: { $gte: now }
@@ -285,6 +302,7 @@ quizSchema.statics.getUpcomingQuizzes = function(classroomId) {
   const now = new Date();
   return this.find({
     classroom: classroomId,
+    isScreening: { $ne: true },
     status: 'scheduled',
     scheduledStartTime: { $gt: now }
   }).populate('teacher', 'name email').sort({ scheduledStartTime: 1 });
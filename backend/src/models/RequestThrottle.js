@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Requests counted against one key, such as "password-reset:email:<email>",
+// in a fixed window
+const requestThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  // End of the window; removed by MongoDB then
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+requestThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Count a request against each key unless one of them has used up its limit.
+ * Refused requests are not counted.
+ * @param {Array<Object>} limits - [{ key, limit }]
+ * @param {number} windowMs - Length of a window, starting at its first request
+ * @returns {Promise<number>} Seconds until the request may be retried, 0 if allowed
+ */
+requestThrottleSchema.statics.take = async function(limits, windowMs) {
+  const now = new Date();
+  const keys = limits.map(({ key }) => key);
+
+  // Start over once a window has ended but not been cleaned up yet
+  await this.deleteMany({ key: { $in: keys }, expiresAt: { $lte: now } });
+
+  const counters = await this.find({ key: { $in: keys } });
+  const exhausted = counters.filter(counter => counter.count >= limits.find(({ key }) => key === counter.key).limit);
+  if (exhausted.length) {
+    return Math.max(...exhausted.map(counter => Math.ceil((counter.expiresAt - now) / 1000)));
+  }
+
+  await Promise.all(keys.map(key => this.updateOne(
+    { key },
+    { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(now.getTime() + windowMs) } },
+    { upsert: true }
+  )));
+  return 0;
+};
+
+module.exports = mongoose.model('RequestThrottle', requestThrottleSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { letterGradeFor } = require('../utils/grading');
 
 const submissionSchema = new mongoose.Schema({
   assignment: {
@@ -113,17 +114,12 @@ submissionSchema.index({ assignment: 1, student: 1 }, { unique: true });
 submissionSchema.index({ student: 1, status: 1 });
 submissionSchema.index({ assignment: 1, submittedAt: -1 });
 
-// Calculate grade percentage
-submissionSchema.methods.calculateGrade = function(totalPoints) {
+// Calculate grade percentage and letter grade; letterScale is the classroom's
+// gradebook scale, or the default A-F scale when not given
+submissionSchema.methods.calculateGrade = function(totalPoints, letterScale) {
   if (this.grade.points && totalPoints > 0) {
     this.grade.percentage = (this.grade.points / totalPoints) * 100;
-    
-    // Calculate letter grade
-    if (this.grade.percentage >= 90) this.grade.letterGrade = 'A';
-    else if (this.grade.percentage >= 80) this.grade.letterGrade = 'B';
-    else if (this.grade.percentage >= 70) this.grade.letterGrade = 'C';
-    else if (this.grade.percentage >= 60) this.grade.letterGrade = 'D';
-    else this.grade.letterGrade = 'F';
+    this.grade.letterGrade = letterGradeFor(this.grade.percentage, letterScale);
   }
 };
 
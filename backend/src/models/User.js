@@ -22,7 +22,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['student', 'teacher'],
+    enum: ['student', 'teacher', 'admin', 'guardian'],
     required: true
   },
   profilePicture: {
@@ -66,6 +66,48 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // TOTP two-factor authentication; secrets are never returned by default
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation during enrollment
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted TOTP step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Single sign-on identity linked to this account
+  oidc: {
+    issuer: {
+      type: String
+    },
+    subject: {
+      type: String
+    },
+    linkedAt: {
+      type: Date
+    }
+  },
   // System fields
   lastLogin: {
     type: Date,
@@ -74,6 +116,11 @@ const userSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Set when the account was deleted and its personal data removed
+  deletedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -81,6 +128,11 @@ const userSchema = new mongoose.Schema({
 
 // Index for better performance
 userSchema.index({ email: 1, role: 1 });
+// One account per identity provider subject
+userSchema.index(
+  { 'oidc.issuer': 1, 'oidc.subject': 1 },
+  { unique: true, partialFilterExpression: { 'oidc.subject': { $type: 'string' } } }
+);
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -104,6 +156,12 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  if (user.twoFactor) {
+    delete user.twoFactor.secret;
+    delete user.twoFactor.pendingSecret;
+    delete user.twoFactor.recoveryCodes;
+    delete user.twoFactor.lastUsedStep;
+  }
   return user;
 };
 
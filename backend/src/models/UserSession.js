@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const userSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Client-generated identifier so each device keeps a single session
+  deviceId: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the current refresh token secret (rotated on every refresh)
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the refresh token secret it replaced; presenting that one again means it leaked
+  previousRefreshTokenHash: {
+    type: String,
+    default: null
+  },
+  // When the refresh token was last rotated
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Revocation
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'password_changed', 'reuse_detected', 'replaced', 'two_factor_enabled', 'revoked_by_user', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+userSessionSchema.index({ user: 1, deviceId: 1 });
+userSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check whether the session can still be used
+userSessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Revoke this session
+userSessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Revoke every active session of a user, optionally keeping one
+userSessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId = null) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+  return this.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+};
+
+module.exports = mongoose.model('UserSession', userSessionSchema);
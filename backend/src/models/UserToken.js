@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Single-use, expiring tokens sent to users out of band (e.g. by email)
+const userTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['password_reset', 'email_verification', 'two_factor_login', 'account_invite'],
+    required: true
+  },
+  // Only the SHA-256 of the token is stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  // Wrong answers given against this token (used by login challenges)
+  failedAttempts: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+userTokenSchema.index({ user: 1, purpose: 1 });
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Default lifetime per purpose, in minutes
+const TTL_MINUTES = {
+  password_reset: () => parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+  email_verification: () => 24 * 60,
+  two_factor_login: () => 5,
+  account_invite: () => 7 * 24 * 60
+};
+
+userTokenSchema.statics.getTtlMinutes = function(purpose) {
+  return TTL_MINUTES[purpose]();
+};
+
+// Issue a new token, invalidating any unused ones for the same purpose
+userTokenSchema.statics.issue = async function(userId, purpose, ttlMinutes = this.getTtlMinutes(purpose)) {
+  await this.updateMany(
+    { user: userId, purpose, usedAt: null },
+    { usedAt: new Date() }
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await this.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+  });
+
+  return token;
+};
+
+// Atomically mark a token as used; returns null if missing, used or expired
+userTokenSchema.statics.consume = function(token, purpose) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token || ''),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+// Look up a live token without using it up
+userTokenSchema.statics.findActive = function(token, purpose) {
+  return this.findOne({
+    tokenHash: hashToken(token || ''),
+    purpose,
+    usedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Count a wrong answer; the token is retired once maxAttempts is reached
+userTokenSchema.methods.recordFailedAttempt = async function(maxAttempts) {
+  this.failedAttempts += 1;
+  if (this.failedAttempts >= maxAttempts) {
+    this.usedAt = new Date();
+  }
+  await this.save();
+};
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
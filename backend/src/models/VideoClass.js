@@ -11,6 +11,14 @@ const videoClassSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Classroom groups this is for; empty means every student
+  targetGroups: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  // Syllabus module (a classroom modules entry) this belongs to, if any
+  module: {
+    type: mongoose.Schema.Types.ObjectId
+  },
   title: {
     type: String,
     required: true,
@@ -305,11 +313,13 @@ videoClassSchema.pre('save', function(next) {
 });
 
 // Static methods
-videoClassSchema.statics.getUpcomingClasses = function(classroomId, limit = 10) {
+// audience narrows the results, e.g. to Classroom.audienceFilter for a student's groups
+videoClassSchema.statics.getUpcomingClasses = function(classroomId, limit = 10, audience = {}) {
   return this.find({
     classroom: classroomId,
     status: 'scheduled',
-    scheduledStartTime: { $gte: new Date() }
+    scheduledStartTime: { $gte: new Date() },
+    ...audience
   })
   .populate('teacher', 'name email')
   .populate('classroom', 'name classCode')
@@ -317,10 +327,11 @@ videoClassSchema.statics.getUpcomingClasses = function(classroomId, limit = 10)
   .limit(limit);
 };
 
-videoClassSchema.statics.getLiveClasses = function(classroomId) {
+videoClassSchema.statics.getLiveClasses = function(classroomId, audience = {}) {
   return this.find({
     classroom: classroomId,
-    status: 'live'
+    status: 'live',
+    ...audience
   })
   .populate('teacher', 'name email')
   .populate('classroom', 'name classCode');
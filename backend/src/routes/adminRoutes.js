@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const { auth, requireAdmin } = require('../middleware/auth');
+const { validateRequest, schemas } = require('../middleware/validation');
+
+// All admin routes require an authenticated admin
+router.use(auth, requireAdmin);
+
+// User management
+router.get('/users', adminController.getUsers);
+router.get('/users/:userId', adminController.getUser);
+router.put('/users/:userId/deactivate', adminController.deactivateUser);
+router.put('/users/:userId/reactivate', adminController.reactivateUser);
+router.post('/users/:userId/unlock', adminController.unlockUser);
+router.post('/users/:userId/reset-password', validateRequest(schemas.adminResetPassword), adminController.resetUserPassword);
+router.get('/users/:userId/export', adminController.exportUserData);
+router.delete('/users/:userId', adminController.deleteUser);
+
+// Classroom management
+router.get('/classrooms', adminController.getClassrooms);
+router.put('/classrooms/:classroomId/owner', validateRequest(schemas.reassignClassroomOwner), adminController.reassignClassroomOwner);
+
+// Audit log
+router.get('/audit-log', adminController.getAuditLog);
+
+module.exports = router;
@@ -1,12 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const assignmentController = require('../controllers/assignmentController');
-const { auth, optionalAuth, requireTeacher, requireStudent } = require('../middleware/auth');
+const { auth, authWithScope, optionalAuth, requireTeacher, requireStudent, requireVerifiedEmail, requireTwoFactor } = require('../middleware/auth');
 const { validateRequest, schemas } = require('../middleware/validation');
 const { assignmentUpload, teacherAttachmentUpload } = require('../services/s3Service');
 
 // Global routes
-router.get('/', auth, assignmentController.getAllAssignments);
+router.get('/', authWithScope('assignments:read'), assignmentController.getAllAssignments);
 
 // Teacher routes
 router.post('/classroom/:classroomId', auth, requireTeacher, validateRequest(schemas.createAssignment), assignmentController.createAssignment);
@@ -14,17 +14,17 @@ router.post('/:assignmentId/attachments', auth, requireTeacher, teacherAttachmen
 router.put('/:assignmentId', auth, requireTeacher, assignmentController.updateAssignment);
 router.put('/:assignmentId/publish', auth, requireTeacher, assignmentController.publishAssignment);
 router.delete('/:assignmentId', auth, requireTeacher, assignmentController.deleteAssignment);
-router.get('/:assignmentId/submissions', auth, requireTeacher, assignmentController.getAssignmentSubmissions);
-router.put('/submissions/:submissionId/grade', auth, requireTeacher, assignmentController.gradeSubmission);
+router.get('/:assignmentId/submissions', authWithScope('grades:read'), requireTeacher, assignmentController.getAssignmentSubmissions);
+router.put('/submissions/:submissionId/grade', authWithScope('grades:write'), requireTeacher, requireTwoFactor, assignmentController.gradeSubmission);
 
 // Student routes
-router.post('/:assignmentId/submit', auth, requireStudent, assignmentController.submitAssignment);
-router.post('/:assignmentId/submit-mcq', auth, requireStudent, assignmentController.submitMCQAssignment);
-router.post('/:assignmentId/submit-files', auth, requireStudent, assignmentUpload.array('files', 10), assignmentController.submitFileAssignment);
+router.post('/:assignmentId/submit', auth, requireStudent, requireVerifiedEmail('submit_work'), assignmentController.submitAssignment);
+router.post('/:assignmentId/submit-mcq', auth, requireStudent, requireVerifiedEmail('submit_work'), assignmentController.submitMCQAssignment);
+router.post('/:assignmentId/submit-files', auth, requireStudent, requireVerifiedEmail('submit_work'), assignmentUpload.array('files', 10), assignmentController.submitFileAssignment);
 
 // Common routes
-router.get('/classroom/:classroomId', auth, assignmentController.getClassroomAssignments);
-router.get('/:assignmentId', auth, assignmentController.getAssignment);
+router.get('/classroom/:classroomId', authWithScope('assignments:read'), assignmentController.getClassroomAssignments);
+router.get('/:assignmentId', authWithScope('assignments:read'), assignmentController.getAssignment);
 router.get('/:assignmentId/attachments/:attachmentId/download', optionalAuth, assignmentController.downloadAttachment);
 
 module.exports = router;
\ No newline at end of file
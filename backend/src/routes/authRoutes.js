@@ -1,18 +1,50 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { auth } = require('../middleware/auth');
+const twoFactorController = require('../controllers/twoFactorController');
+const apiTokenController = require('../controllers/apiTokenController');
+const { auth, optionalAuth, requireRole } = require('../middleware/auth');
 const { validateRequest, schemas } = require('../middleware/validation');
 
 // Public routes
 router.post('/register', validateRequest(schemas.register), authController.register);
 router.post('/login', validateRequest(schemas.login), authController.login);
+router.post('/login/2fa', validateRequest(schemas.verifyTwoFactorLogin), authController.verifyTwoFactorLogin);
+router.post('/refresh', validateRequest(schemas.refreshToken), authController.refreshToken);
+router.post('/forgot-password', validateRequest(schemas.forgotPassword), authController.forgotPassword);
+router.post('/reset-password', validateRequest(schemas.resetPassword), authController.resetPassword);
+router.post('/accept-invite', validateRequest(schemas.resetPassword), authController.acceptInvite);
+router.post('/verify-email', validateRequest(schemas.verifyEmail), authController.verifyEmail);
+
+// Single sign-on (OpenID Connect); signed-in users can link their account
+router.get('/oidc', optionalAuth, authController.getOidcConfig);
+router.post('/oidc/authorize', optionalAuth, validateRequest(schemas.startOidc), authController.startOidc);
+router.post('/oidc/callback', optionalAuth, validateRequest(schemas.oidcCallback), authController.oidcCallback);
+router.delete('/oidc/link', auth, authController.unlinkOidc);
 
 // Protected routes
 router.get('/profile', auth, authController.getProfile);
 router.put('/profile', auth, authController.updateProfile);
 router.post('/change-password', auth, authController.changePassword);
+router.post('/resend-verification', auth, authController.resendVerification);
 router.get('/verify', authController.verifyToken);
 router.post('/logout', auth, authController.logout);
+router.post('/logout-all', auth, authController.logoutAll);
+router.get('/sessions', auth, authController.getSessions);
+router.delete('/sessions', auth, authController.revokeOtherSessions);
+router.delete('/sessions/:sessionId', auth, authController.revokeSession);
+
+// Personal access tokens for scripts; managing them needs an interactive session
+router.get('/tokens', auth, apiTokenController.getTokens);
+router.post('/tokens', auth, validateRequest(schemas.createApiToken), apiTokenController.createToken);
+router.delete('/tokens/:tokenId', auth, apiTokenController.revokeToken);
+
+// Two-factor authentication (staff accounts)
+const requireStaffAccount = requireRole('teacher', 'admin');
+router.get('/2fa', auth, requireStaffAccount, twoFactorController.getStatus);
+router.post('/2fa/setup', auth, requireStaffAccount, twoFactorController.setup);
+router.post('/2fa/enable', auth, requireStaffAccount, validateRequest(schemas.twoFactorCode), twoFactorController.enable);
+router.post('/2fa/disable', auth, requireStaffAccount, validateRequest(schemas.disableTwoFactor), twoFactorController.disable);
+router.post('/2fa/recovery-codes', auth, requireStaffAccount, validateRequest(schemas.twoFactorCode), twoFactorController.regenerateRecoveryCodes);
 
 module.exports = router;
\ No newline at end of file
@@ -1,23 +1,116 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const classroomController = require('../controllers/classroomController');
-const { auth, requireTeacher, requireStudent } = require('../middleware/auth');
+const { auth, authWithScope, requireTeacher, requireStudent, requireVerifiedEmail } = require('../middleware/auth');
 const { validateRequest, schemas } = require('../middleware/validation');
 
+// Roster CSVs are read from memory and never stored
+const rosterUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 1024 * 1024 // 1MB limit
+  },
+  fileFilter: function (req, file, cb) {
+    if (file.mimetype === 'text/csv' || file.originalname.toLowerCase().endsWith('.csv')) {
+      cb(null, true);
+    } else {
+      const error = new Error('Only CSV files are allowed');
+      error.statusCode = 400;
+      cb(error, false);
+    }
+  }
+});
+
+// Classroom bundles go to a temporary file and are unpacked from there, entry by entry
+const bundleUpload = multer({
+  storage: multer.diskStorage({}),
+  limits: {
+    fileSize: 200 * 1024 * 1024 // 200MB limit
+  },
+  fileFilter: function (req, file, cb) {
+    const name = file.originalname.toLowerCase();
+    if (name.endsWith('.tar.gz') || name.endsWith('.tgz')) {
+      cb(null, true);
+    } else {
+      const error = new Error('Only .tar.gz classroom bundles are allowed');
+      error.statusCode = 400;
+      cb(error, false);
+    }
+  }
+});
+
 // Teacher routes
 router.post('/', auth, requireTeacher, validateRequest(schemas.createClassroom), classroomController.createClassroom);
+router.post('/import', auth, requireTeacher, bundleUpload.single('bundle'), classroomController.importClassroom);
 router.put('/:classroomId', auth, requireTeacher, classroomController.updateClassroom);
-router.delete('/:classroomId/students/:studentId', auth, requireTeacher, classroomController.removeStudent);
+router.delete('/:classroomId/students/:studentId', authWithScope('roster:write'), requireTeacher, classroomController.removeStudent);
 router.put('/:classroomId/archive', auth, requireTeacher, classroomController.archiveClassroom);
-router.put('/:classroomId/students/:studentId/level', auth, requireTeacher, classroomController.updateStudentLevel);
+router.post('/:classroomId/copy', auth, requireTeacher, validateRequest(schemas.copyClassroom), classroomController.copyClassroom);
+router.get('/:classroomId/export', auth, requireTeacher, classroomController.exportClassroom);
+router.put('/:classroomId/students/:studentId/level', authWithScope('roster:write'), requireTeacher, classroomController.updateStudentLevel);
+router.get('/:classroomId/security-events', auth, requireTeacher, classroomController.getSecurityEvents);
+router.get('/:classroomId/audit-log', auth, requireTeacher, classroomController.getAuditLog);
+router.post('/:classroomId/students/:studentId/unlock', auth, requireTeacher, classroomController.unlockStudent);
+router.post('/:classroomId/roster/import', authWithScope('roster:write'), requireTeacher, rosterUpload.single('file'), classroomController.importRoster);
+
+// Joining: approval queue, class code and invite links (Owner and co-teachers)
+router.get('/:classroomId/join-settings', auth, requireTeacher, classroomController.getJoinSettings);
+router.put('/:classroomId/join-settings', auth, requireTeacher, validateRequest(schemas.updateJoinSettings), classroomController.updateJoinSettings);
+router.post('/:classroomId/class-code', auth, requireTeacher, validateRequest(schemas.regenerateClassCode), classroomController.regenerateClassCode);
+router.post('/:classroomId/join-requests/:requestId/:decision(approve|reject)', auth, requireTeacher, classroomController.decideJoinRequest);
+router.post('/:classroomId/invites', auth, requireTeacher, validateRequest(schemas.createClassroomInvite), classroomController.createInvite);
+router.delete('/:classroomId/invites/:inviteId', auth, requireTeacher, classroomController.revokeInvite);
+
+// Placement screening test
+router.get('/:classroomId/screening-test', auth, classroomController.getScreeningTest);
+router.put('/:classroomId/screening-test', auth, requireTeacher, validateRequest(schemas.updateScreeningTest), classroomController.updateScreeningTest);
+
+// Sections, lab batches and project teams (Owner and co-teachers manage; students see their own)
+router.get('/:classroomId/groups', auth, classroomController.getGroups);
+router.post('/:classroomId/groups', auth, requireTeacher, validateRequest(schemas.createClassroomGroup), classroomController.createGroup);
+router.put('/:classroomId/groups/:groupId', auth, requireTeacher, validateRequest(schemas.updateClassroomGroup), classroomController.updateGroup);
+router.delete('/:classroomId/groups/:groupId', auth, requireTeacher, classroomController.deleteGroup);
+
+// Student levels: level rules, their proposals and each student's level history
+router.get('/:classroomId/levels', authWithScope('roster:read'), requireTeacher, classroomController.getStudentLevels);
+router.put('/:classroomId/levels/rules', auth, requireTeacher, validateRequest(schemas.updateLevelRules), classroomController.updateLevelRules);
+router.post('/:classroomId/levels/evaluate', auth, requireTeacher, classroomController.evaluateStudentLevels);
+router.post('/:classroomId/levels/proposals/:studentId/:decision(approve|reject)', authWithScope('roster:write'), requireTeacher, classroomController.decideLevelProposal);
+
+// Weighted gradebook (staff see every student, students their own row)
+router.get('/:classroomId/gradebook', authWithScope('grades:read'), classroomController.getGradebook);
+router.put('/:classroomId/gradebook/settings', auth, requireTeacher, validateRequest(schemas.updateGradebookSettings), classroomController.updateGradebookSettings);
+
+// Classroom analytics with per-student drill-down (Staff who grade)
+router.get('/:classroomId/analytics', authWithScope('grades:read'), requireTeacher, classroomController.getClassroomAnalytics);
+router.get('/:classroomId/analytics/students/:studentId', authWithScope('grades:read'), requireTeacher, classroomController.getStudentAnalytics);
+
+// Syllabus modules (Owner and co-teachers organize; students see their own progress)
+router.get('/:classroomId/modules', auth, classroomController.getModules);
+router.get('/:classroomId/modules/progress', auth, requireTeacher, classroomController.getModuleProgress);
+router.post('/:classroomId/modules', auth, requireTeacher, validateRequest(schemas.createClassroomModule), classroomController.createModule);
+router.put('/:classroomId/modules/items/:itemType/:itemId', auth, requireTeacher, validateRequest(schemas.setContentModule), classroomController.setContentModule);
+router.put('/:classroomId/modules/:moduleId', auth, requireTeacher, validateRequest(schemas.updateClassroomModule), classroomController.updateModule);
+router.delete('/:classroomId/modules/:moduleId', auth, requireTeacher, classroomController.deleteModule);
+
+// Staff management (owner manages; staff may remove themselves)
+router.get('/:classroomId/staff', auth, requireTeacher, classroomController.getStaff);
+router.post('/:classroomId/staff', auth, requireTeacher, validateRequest(schemas.addClassroomStaff), classroomController.addStaff);
+router.put('/:classroomId/staff/:userId', auth, requireTeacher, validateRequest(schemas.updateClassroomStaff), classroomController.updateStaffRole);
+router.delete('/:classroomId/staff/:userId', auth, requireTeacher, classroomController.removeStaff);
 
 // Student routes
-router.post('/join', auth, requireStudent, validateRequest(schemas.joinClassroom), classroomController.joinClassroom);
+router.post('/join', auth, requireStudent, requireVerifiedEmail('join_classroom'), validateRequest(schemas.joinClassroom), classroomController.joinClassroom);
+router.get('/invites/:code', auth, requireStudent, classroomController.getInvite);
+router.post('/invites/:code/accept', auth, requireStudent, requireVerifiedEmail('join_classroom'), classroomController.acceptInvite);
 router.delete('/:classroomId/leave', auth, requireStudent, classroomController.leaveClassroom);
 
 // Common routes (both teachers and students)
-router.get('/', auth, classroomController.getClassrooms);
-router.get('/:classroomId', auth, classroomController.getClassroom);
-router.get('/:classroomId/students', auth, classroomController.getClassroomStudents);
+router.get('/', authWithScope('classrooms:read'), classroomController.getClassrooms);
+router.get('/stats', authWithScope('classrooms:read'), classroomController.getDashboardStats);
+router.get('/:classroomId', authWithScope('classrooms:read'), classroomController.getClassroom);
+router.get('/:classroomId/search', authWithScope('classrooms:read'), classroomController.searchClassroom);
+router.get('/:classroomId/students', authWithScope('roster:read'), classroomController.getClassroomStudents);
 
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { auth, requireTeacher, requireStudent } = require('../middleware/auth');
+const { auth, requireTeacher, requireStudent, requireVerifiedEmail, requireTwoFactor } = require('../middleware/auth');
 const {
   createDPP,
   getClassroomDPPs,
@@ -24,7 +24,7 @@ router.post('/', requireTeacher, createDPP);
 router.put('/:dppId', requireTeacher, updateDPP);
 router.delete('/:dppId', requireTeacher, deleteDPP);
 router.patch('/:dppId/publish', requireTeacher, togglePublishDPP);
-router.put('/:dppId/submissions/:submissionId/grade', requireTeacher, gradeSubmission);
+router.put('/:dppId/submissions/:submissionId/grade', requireTeacher, requireTwoFactor, gradeSubmission);
 router.get('/:dppId/analytics', requireTeacher, getDPPAnalytics);
 
 // Submission viewing routes
@@ -36,7 +36,7 @@ router.get('/classroom/:classroomId', getClassroomDPPs);
 router.get('/:dppId', getDPP);
 
 // Student-only routes
-router.post('/:dppId/submit/mcq', requireStudent, submitMCQAnswers);
-router.post('/:dppId/submit/files', requireStudent, submitFiles);
+router.post('/:dppId/submit/mcq', requireStudent, requireVerifiedEmail('submit_work'), submitMCQAnswers);
+router.post('/:dppId/submit/files', requireStudent, requireVerifiedEmail('submit_work'), submitFiles);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const guardianController = require('../controllers/guardianController');
+const userController = require('../controllers/userController');
+const attendanceController = require('../controllers/attendanceController');
+const { auth, requireRole, requireGuardian, requireStudent, requireLinkedStudent } = require('../middleware/auth');
+const { validateRequest, schemas } = require('../middleware/validation');
+
+// Linking flow
+router.post('/links', auth, requireGuardian, validateRequest(schemas.requestGuardianLink), guardianController.requestLink);
+router.get('/links', auth, requireRole('guardian', 'student'), guardianController.getLinks);
+router.put('/links/:linkId/approve', auth, requireStudent, guardianController.approveLink);
+router.put('/links/:linkId/reject', auth, requireStudent, guardianController.rejectLink);
+router.delete('/links/:linkId', auth, requireRole('guardian', 'student'), guardianController.removeLink);
+
+// Read-only views of linked children
+router.get('/children', auth, requireGuardian, guardianController.getChildren);
+router.get('/children/:studentId/dashboard', auth, requireGuardian, requireLinkedStudent, userController.getDashboard);
+router.get('/children/:studentId/grades', auth, requireGuardian, requireLinkedStudent, userController.getGradesSummary);
+router.get('/children/:studentId/classrooms/:classroomId/attendance', auth, requireGuardian, requireLinkedStudent, attendanceController.getStudentAttendanceHistory);
+
+module.exports = router;
@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const quizController = require('../controllers/quizController');
 const quizSessionController = require('../controllers/quizSessionController');
-const { auth } = require('../middleware/auth');
+const { auth, requireVerifiedEmail, requireTwoFactor } = require('../middleware/auth');
 
 // Quiz Management Routes
 
@@ -21,13 +21,16 @@ router.get('/quizzes/:quizId', auth, quizController.getQuiz);
 // Update quiz
 router.put('/quizzes/:quizId', auth, quizController.updateQuiz);
 
+// Publish a draft quiz
+router.put('/quizzes/:quizId/publish', auth, quizController.publishQuiz);
+
 // Delete quiz
 router.delete('/quizzes/:quizId', auth, quizController.deleteQuiz);
 
 // Quiz Session Routes
 
 // Start a new quiz session
-router.post('/quizzes/:quizId/sessions', auth, quizSessionController.startQuizSession);
+router.post('/quizzes/:quizId/sessions', auth, requireVerifiedEmail('submit_work'), quizSessionController.startQuizSession);
 
 // Get current active session
 router.get('/quizzes/:quizId/sessions/current', auth, quizSessionController.getCurrentSession);
@@ -39,7 +42,7 @@ router.post('/sessions/:sessionId/answers', auth, quizSessionController.submitAn
 router.put('/sessions/:sessionId/answers', auth, quizSessionController.saveQuizAnswers);
 
 // Submit entire quiz session
-router.post('/sessions/:sessionId/submit', auth, quizSessionController.submitQuizSession);
+router.post('/sessions/:sessionId/submit', auth, requireVerifiedEmail('submit_work'), quizSessionController.submitQuizSession);
 
 // Update proctoring data
 router.put('/sessions/:sessionId/proctoring', auth, quizSessionController.updateProctoringData);
@@ -62,7 +65,7 @@ router.get('/sessions/:sessionId/student-details', auth, quizSessionController.g
 router.get('/classrooms/:classroomId/sessions/review', auth, quizSessionController.getSessionsForReview);
 
 // Review a specific session
-router.post('/sessions/:sessionId/review', auth, quizSessionController.reviewSession);
+router.post('/sessions/:sessionId/review', auth, requireTwoFactor, quizSessionController.reviewSession);
 
 // Get detailed session data
 router.get('/sessions/:sessionId/details', auth, quizSessionController.getSessionDetails);
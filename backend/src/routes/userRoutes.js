@@ -1,13 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
-const { auth, requireTeacher } = require('../middleware/auth');
+const { auth, authWithScope, requireTeacher } = require('../middleware/auth');
+const { validateRequest, schemas } = require('../middleware/validation');
 
 // User dashboard and profile routes
 router.get('/dashboard', auth, userController.getDashboard);
 router.get('/search', auth, requireTeacher, userController.searchUsers);
-router.get('/submissions', auth, userController.getSubmissionHistory);
-router.get('/grades', auth, userController.getGradesSummary);
+router.get('/submissions', authWithScope('grades:read'), userController.getSubmissionHistory);
+router.get('/grades', authWithScope('grades:read'), userController.getGradesSummary);
 router.post('/profile-picture', auth, userController.uploadProfilePicture);
 
+// Personal data export and account deletion
+router.get('/me/export', auth, userController.exportData);
+router.delete('/me', auth, validateRequest(schemas.deleteAccount), userController.deleteAccount);
+
 module.exports = router;
\ No newline at end of file
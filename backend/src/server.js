@@ -3,6 +3,8 @@ const cors = require('cors');
 const mongoose = require('mongoose');
 const http = require('http');
 const socketManager = require('./services/socketManager');
+const classroomStatsService = require('./services/classroomStatsService');
+const importedWorkService = require('./services/importedWorkService');
 require('dotenv').config();
 
 const authRoutes = require('./routes/authRoutes');
@@ -17,6 +19,8 @@ const engagementRoutes = require('./routes/engagementRoutes');
 const dppRoutes = require('./routes/dppRoutes');
 const uploadRoutes = require('./routes/uploadRoutes');
 const aiRoutes = require('./routes/aiRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const guardianRoutes = require('./routes/guardianRoutes');
 
 const { errorHandler } = require('./middleware/errorHandler');
 
@@ -63,6 +67,8 @@ app.use('/api/engagement', engagementRoutes);
 app.use('/api/dpp', dppRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/ai', aiRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/guardians', guardianRoutes);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -83,6 +89,12 @@ if (require.main === module) {
     console.log(`Server running on port ${PORT}`);
   });
 
+  // Nightly repair of classroom statistics that drifted from their records
+  classroomStatsService.scheduleRecompute();
+
+  // Nightly removal of imported student work whose invite expired unaccepted
+  importedWorkService.scheduleCleanup();
+
   // Graceful shutdown
   process.on('SIGTERM', () => {
     console.log('SIGTERM received, shutting down gracefully');
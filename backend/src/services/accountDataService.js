@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const archiver = require('archiver');
+const User = require('../models/User');
+const UserSession = require('../models/UserSession');
+const UserToken = require('../models/UserToken');
+const ApiToken = require('../models/ApiToken');
+const Classroom = require('../models/Classroom');
+const ClassroomJoinRequest = require('../models/ClassroomJoinRequest');
+const ClassroomInvite = require('../models/ClassroomInvite');
+const Submission = require('../models/Submission');
+const QuizSession = require('../models/QuizSession');
+const DailyPracticeProblem = require('../models/DailyPracticeProblem');
+const Attendance = require('../models/Attendance');
+const Engagement = require('../models/Engagement');
+const EngagementAnalysis = require('../models/EngagementAnalysis');
+const VideoClass = require('../models/VideoClass');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const GuardianLink = require('../models/GuardianLink');
+const SecurityEvent = require('../models/SecurityEvent');
+const LoginThrottle = require('../models/LoginThrottle');
+const loginThrottleService = require('./loginThrottleService');
+const importedWorkService = require('./importedWorkService');
+const { deleteFileFromS3, deleteFileByUrl, isOwnUpload } = require('./s3Service');
+
+const DELETED_USER_NAME = 'Deleted user';
+
+// Personal data export and account deletion. Deleted accounts stay behind as an
+// anonymous placeholder so posts and comments they wrote keep an author.
+class AccountDataService {
+  /**
+   * Everything stored about a user, grouped into the files of the export.
+   * @param {ObjectId} userId
+   * @returns {Promise<Object>} File name (without extension) -> JSON-serializable data
+   */
+  async collectUserData(userId) {
+    const [
+      user,
+      classrooms,
+      guardianLinks,
+      submissions,
+      quizSessions,
+      dpps,
+      attendance,
+      engagement,
+      engagementAnalyses,
+      posts,
+      comments
+    ] = await Promise.all([
+      User.findById(userId),
+      Classroom.find({ $or: [{ teacher: userId }, { 'staff.user': userId }, { 'students.student': userId }] })
+        .select('name subject teacher staff students createdAt'),
+      GuardianLink.find({ $or: [{ guardian: userId }, { student: userId }] })
+        .populate('guardian', 'name email')
+        .populate('student', 'name email'),
+      Submission.find({ student: userId }).populate('assignment', 'title classroom'),
+      // Sessions still being taken are left out so the export cannot reveal answer correctness mid-quiz
+      QuizSession.find({ student: userId, status: { $nin: ['not_started', 'in_progress'] } })
+        .select('-questions')
+        .populate('quiz', 'title'),
+      DailyPracticeProblem.find({ 'submissions.student': userId }).select('title classroom submissions'),
+      Attendance.find({ student: userId }),
+      Engagement.find({ studentId: userId }),
+      EngagementAnalysis.find({ studentId: userId }),
+      Post.find({ author: userId, isDeleted: false }),
+      Comment.find({ author: userId, isDeleted: false })
+    ]);
+
+    return {
+      profile: user,
+      classrooms: classrooms.map(classroom => ({
+        _id: classroom._id,
+        name: classroom.name,
+        subject: classroom.subject,
+        role: classroom.getStaffRole(userId) || 'student',
+        joinedAt: classroom.students.find(s => s.student.toString() === userId.toString())?.joinedAt || null
+      })),
+      'guardian-links': guardianLinks,
+      submissions,
+      'quiz-sessions': quizSessions,
+      'dpp-submissions': dpps.map(dpp => ({
+        dpp: { _id: dpp._id, title: dpp.title, classroom: dpp.classroom },
+        submissions: dpp.submissions.filter(s => s.student.toString() === userId.toString())
+      })),
+      attendance,
+      engagement: { records: engagement, analyses: engagementAnalyses },
+      posts,
+      comments
+    };
+  }
+
+  /**
+   * Zip archive with one JSON file per section of collectUserData.
+   * The caller pipes it to the response and must call finalize().
+   * @param {Object} data
+   * @returns {archiver.Archiver}
+   */
+  createArchive(data) {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    Object.entries(data).forEach(([name, section]) => {
+      archive.append(JSON.stringify(section, null, 2), { name: `${name}.json` });
+    });
+
+    return archive;
+  }
+
+  // Classrooms the user owns; these must be handed over before the account can go
+  async getOwnedClassroomCount(userId) {
+    return Classroom.countDocuments({ teacher: userId });
+  }
+
+  // Remove every upload that belongs to the user. Failures are logged by s3Service
+  // and do not stop the deletion.
+  async deleteUploadedFiles(user) {
+    const userId = user._id;
+    const [submissions, quizSessions, dpps] = await Promise.all([
+      Submission.find({ student: userId }).select('attachments'),
+      QuizSession.find({ student: userId }).select('identityPhotos roomScanPhotos'),
+      DailyPracticeProblem.find({ 'submissions.student': userId }).select('submissions')
+    ]);
+
+    // The profile picture is a URL the user set themselves; only delete it when it is their own upload
+    const deletions = user.profilePicture && isOwnUpload(user.profilePicture, userId)
+      ? [deleteFileByUrl(user.profilePicture)]
+      : [];
+
+    submissions.forEach(submission => {
+      submission.attachments.forEach(attachment => {
+        deletions.push(attachment.fileKey
+          ? deleteFileFromS3(attachment.fileKey)
+          : deleteFileByUrl(attachment.fileUrl));
+      });
+    });
+
+    quizSessions.forEach(session => {
+      [...session.identityPhotos, ...session.roomScanPhotos].forEach(photo => {
+        deletions.push(deleteFileByUrl(photo.photoUrl));
+      });
+    });
+
+    dpps.forEach(dpp => {
+      dpp.submissions
+        .filter(s => s.student.toString() === userId.toString())
+        .forEach(s => s.fileSubmissions.forEach(file => deletions.push(deleteFileByUrl(file.fileUrl))));
+    });
+
+    await Promise.all(deletions);
+  }
+
+  /**
+   * Delete a user's personal data. Their own work, records and uploads are
+   * removed; posts and comments they wrote stay, attributed to "Deleted user".
+   * Callers must check getOwnedClassroomCount first.
+   * @param {Object} user
+   */
+  async deleteAccount(user) {
+    const userId = user._id;
+
+    await this.deleteUploadedFiles(user);
+    // Work held from imported classrooms, with its files
+    await importedWorkService.discard({ student: userId });
+
+    await Promise.all([
+      Submission.deleteMany({ student: userId }),
+      QuizSession.deleteMany({ student: userId }),
+      Attendance.deleteMany({ student: userId }),
+      Engagement.deleteMany({ studentId: userId }),
+      EngagementAnalysis.deleteMany({ studentId: userId }),
+      GuardianLink.deleteMany({ $or: [{ guardian: userId }, { student: userId }] }),
+      UserSession.deleteMany({ user: userId }),
+      UserToken.deleteMany({ user: userId }),
+      ApiToken.deleteMany({ user: userId }),
+      ClassroomJoinRequest.deleteMany({ student: userId }),
+      ClassroomInvite.deleteMany({ student: userId }),
+      SecurityEvent.deleteMany({ user: userId }),
+      LoginThrottle.deleteOne({ key: loginThrottleService.accountKey(user.email) }),
+      DailyPracticeProblem.updateMany(
+        { 'submissions.student': userId },
+        { $pull: { submissions: { student: userId } } }
+      ),
+      Classroom.updateMany(
+        { $or: [{ 'students.student': userId }, { 'staff.user': userId }, { 'meetingRoom.attendees.student': userId }] },
+        { $pull: { students: { student: userId }, staff: { user: userId }, 'meetingRoom.attendees': { student: userId } } }
+      ),
+      // Separate update: classrooms saved before groups existed have no groups array for $[] to walk
+      Classroom.updateMany(
+        { 'groups.students': userId },
+        { $pull: { 'groups.$[].students': userId } }
+      ),
+      VideoClass.updateMany(
+        { 'participants.student': userId },
+        { $pull: { participants: { student: userId } } }
+      ),
+      Post.updateMany({ 'likes.user': userId }, { $pull: { likes: { user: userId } } }),
+      Comment.updateMany({ 'likes.user': userId }, { $pull: { likes: { user: userId } } })
+    ]);
+
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: {
+          name: DELETED_USER_NAME,
+          email: `deleted-${userId}@deleted.invalid`,
+          // Random and left unhashed, so no password can ever match it
+          password: crypto.randomBytes(32).toString('hex'),
+          profilePicture: null,
+          googleCalendarId: null,
+          isEmailVerified: false,
+          isActive: false,
+          twoFactor: { enabled: false, enabledAt: null },
+          deletedAt: new Date()
+        },
+        $unset: {
+          studentId: 1,
+          teacherId: 1,
+          department: 1,
+          phone: 1,
+          dateOfBirth: 1,
+          address: 1,
+          oidc: 1
+        }
+      }
+    );
+  }
+}
+
+module.exports = new AccountDataService();
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const ApiToken = require('../models/ApiToken');
+const User = require('../models/User');
+
+// Personal access tokens start with this, so auth can tell them from JWTs
+const TOKEN_PREFIX = 'shk_';
+const MAX_ACTIVE_TOKENS = 20;
+// Write "last used" at most this often per token
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issues, checks and revokes personal access tokens
+class ApiTokenService {
+  isApiToken(token) {
+    return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+  }
+
+  /**
+   * Create a token. The plain token is returned once and never stored.
+   * @param {ObjectId} userId
+   * @param {Object} options - { name, scopes, expiresInDays }; no expiresInDays means no expiry
+   * @returns {Promise<{ token: string, apiToken: Object }|null>} Null when the user has too many tokens
+   */
+  async create(userId, { name, scopes, expiresInDays }) {
+    const activeCount = await ApiToken.countDocuments({
+      user: userId,
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    });
+    if (activeCount >= MAX_ACTIVE_TOKENS) {
+      return null;
+    }
+
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const apiToken = await ApiToken.create({
+      user: userId,
+      name,
+      tokenHash: hashToken(token),
+      tokenPrefix: token.slice(0, TOKEN_PREFIX.length + 6),
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+    });
+
+    return { token, apiToken: await ApiToken.findById(apiToken._id) };
+  }
+
+  /**
+   * Resolve a token to its user, recording when and where it was used.
+   * @param {string} token
+   * @param {string} ipAddress
+   * @returns {Promise<{ user: Object, apiToken: Object }|null>} Null for unknown, revoked or expired tokens
+   */
+  async authenticate(token, ipAddress = '') {
+    const apiToken = await ApiToken.findOne({ tokenHash: hashToken(token) });
+    if (!apiToken || !apiToken.isActive()) {
+      return null;
+    }
+
+    const user = await User.findById(apiToken.user).select('-password');
+    if (!user) {
+      return null;
+    }
+
+    if (!(Date.now() - apiToken.lastUsedAt < LAST_USED_RESOLUTION_MS) || apiToken.lastUsedIp !== ipAddress) {
+      await ApiToken.updateOne({ _id: apiToken._id }, { lastUsedAt: new Date(), lastUsedIp: ipAddress });
+    }
+
+    return { user, apiToken };
+  }
+
+  // Tokens that have not been revoked, newest first; expired ones are included so users see why a script stopped
+  async list(userId) {
+    return ApiToken.find({ user: userId, revokedAt: null }).sort({ createdAt: -1 });
+  }
+
+  // Returns false if the token does not exist or belongs to someone else
+  async revoke(userId, tokenId) {
+    const result = await ApiToken.updateOne(
+      { _id: tokenId, user: userId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'revoked_by_user' }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  async revokeAll(userId, reason) {
+    return ApiToken.revokeAllForUser(userId, reason);
+  }
+}
+
+module.exports = new ApiTokenService();
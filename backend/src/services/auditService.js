@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const tokenService = require('./tokenService');
+
+const MAX_PAGE_SIZE = 100;
+
+// Compare as JSON so ObjectIds, dates and nested values match by content
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Query error carrying the HTTP status the controller should answer with
+const filterError = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+// Writes and reads the audit log of sensitive staff actions
+class AuditService {
+  /**
+   * Field-by-field changes between two snapshots; unchanged fields are left out.
+   * @param {Object} before
+   * @param {Object} after
+   * @returns {Array<{ field: string, before: *, after: * }>}
+   */
+  diff(before = {}, after = {}) {
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return fields
+      .filter(field => !sameValue(before[field], after[field]))
+      .map(field => ({ field, before: before[field] ?? null, after: after[field] ?? null }));
+  }
+
+  /**
+   * Record an action. Failures are logged rather than thrown: by the time this
+   * runs the change itself has been saved.
+   * @param {Object} req - Request of the acting user
+   * @param {Object} entry - { action, classroom, targetType, targetId, subject, before, after, metadata }
+   * @returns {Promise<Object|null>} The entry, or null if nothing changed or writing failed
+   */
+  async record(req, { action, classroom = null, targetType, targetId, subject = null, before, after, metadata = {} }) {
+    const changes = this.diff(before, after);
+    if (changes.length === 0) {
+      return null;
+    }
+
+    try {
+      const { ipAddress, userAgent } = tokenService.getRequestContext(req);
+      return await AuditLog.create({
+        actor: req.user._id,
+        action,
+        classroom: classroom?._id || classroom,
+        targetType,
+        targetId,
+        subject: subject?._id || subject,
+        changes,
+        // Changes made by scripts name the personal access token they used
+        metadata: req.apiToken ? { ...metadata, apiToken: req.apiToken._id } : metadata,
+        ipAddress,
+        userAgent
+      });
+    } catch (error) {
+      console.error('Audit log write error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Turn query-string filters into a MongoDB query.
+   * @param {Object} filters - { action, actor, subject, classroom, targetId, from, to }
+   * @returns {Object}
+   */
+  buildQuery({ action, actor, subject, classroom, targetId, from, to } = {}) {
+    const query = {};
+
+    if (action) {
+      const actions = String(action).split(',');
+      const allowed = AuditLog.schema.path('action').enumValues;
+      if (actions.some(value => !allowed.includes(value))) {
+        throw filterError(`Unknown action. Use one of: ${allowed.join(', ')}`);
+      }
+      query.action = { $in: actions };
+    }
+
+    for (const [field, value] of Object.entries({ actor, subject, classroom, targetId })) {
+      if (!value) continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw filterError(`Invalid ${field}`);
+      }
+      query[field] = value;
+    }
+
+    for (const [bound, value] of Object.entries({ $gte: from, $lte: to })) {
+      if (!value) continue;
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        throw filterError(`Invalid ${bound === '$gte' ? 'from' : 'to'} date`);
+      }
+      query.createdAt = { ...query.createdAt, [bound]: date };
+    }
+
+    return query;
+  }
+
+  /**
+   * Newest entries first, one page at a time.
+   * @param {Object} query - From buildQuery, possibly narrowed by the caller
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<{ logs: Array, pagination: Object }>}
+   */
+  async list(query, { page = 1, limit = 50 } = {}) {
+    const pageNumber = Math.max(1, parseInt(page) || 1);
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit) || 50));
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(query)
+        .populate('actor', 'name email role')
+        .populate('subject', 'name email studentId')
+        .populate('classroom', 'name')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      AuditLog.countDocuments(query)
+    ]);
+
+    return {
+      logs,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+}
+
+module.exports = new AuditService();
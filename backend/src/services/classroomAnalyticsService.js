@@ -0,0 +1,310 @@
+const Attendance = require('../models/Attendance');
+const Quiz = require('../models/Quiz');
+const QuizSession = require('../models/QuizSession');
+const DailyPracticeProblem = require('../models/DailyPracticeProblem');
+const Engagement = require('../models/Engagement');
+const VideoClass = require('../models/VideoClass');
+const gradebookService = require('./gradebookService');
+const classroomStatsService = require('./classroomStatsService');
+
+const FINISHED_SESSION_STATUSES = ['submitted', 'under_review', 'completed', 'flagged'];
+
+// A student is at risk below this attendance, or when the average of their latest
+// results falls this many points below the average of the results before them
+const AT_RISK_THRESHOLDS = {
+  attendanceBelow: 75,
+  scoreDropOf: 10,
+  recentResults: 3
+};
+
+// Works for both populated and unpopulated references
+const refId = (ref) => (ref && ref._id ? ref._id : ref).toString();
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const average = (values) => (values.length > 0
+  ? round(values.reduce((sum, value) => sum + value, 0) / values.length)
+  : null);
+
+// MCQ DPPs are marked on submission; file DPPs only count once a teacher grades them
+const isDppGraded = (dpp, submission) => dpp.type === 'mcq' || !!submission.gradedAt;
+
+// Percentage of a DPP submission, or null while it is missing or waiting to be graded
+const dppPercentage = (dpp, submission) => {
+  if (!submission || !isDppGraded(dpp, submission)) return null;
+  const maxScore = submission.maxScore || dpp.maxScore;
+  return maxScore > 0 ? (submission.score / maxScore) * 100 : null;
+};
+
+// Attendance, quiz, DPP and engagement analytics of a classroom in one place,
+// with a per-student drill-down and the students who look at risk
+class ClassroomAnalyticsService {
+  // Average of the latest results against the average of the ones before them
+  scoreTrend(results) {
+    const { recentResults } = AT_RISK_THRESHOLDS;
+    const recentAverage = average(results.slice(0, recentResults).map(r => r.percentage));
+    const earlierAverage = average(results.slice(recentResults, recentResults * 2).map(r => r.percentage));
+
+    // A trend needs a full set of recent results and something to compare them with
+    const change = results.length > recentResults && earlierAverage !== null
+      ? round(recentAverage - earlierAverage)
+      : null;
+
+    return { recentAverage, earlierAverage, change };
+  }
+
+  // Why a student looks at risk; 'high' when both attendance and scores are slipping
+  assessRisk(attendance, trend) {
+    const reasons = [];
+    if (attendance && attendance.percentage < AT_RISK_THRESHOLDS.attendanceBelow) {
+      reasons.push('low_attendance');
+    }
+    if (trend.change !== null && trend.change <= -AT_RISK_THRESHOLDS.scoreDropOf) {
+      reasons.push('falling_scores');
+    }
+
+    const level = reasons.length === 2 ? 'high' : reasons.length === 1 ? 'medium' : null;
+    return { reasons, level };
+  }
+
+  // Graded quizzes, DPPs and assignments per student, latest first; attendance is reported on its own
+  async loadGradedResults(classroom, studentIds) {
+    const columns = (await gradebookService.loadColumns(classroom)).filter(c => c.type !== 'video_class');
+    const results = await gradebookService.loadResults(columns, studentIds);
+
+    return new Map(studentIds.map(id => [
+      id.toString(),
+      gradebookService.gradedResults(columns, results, id)
+    ]));
+  }
+
+  async loadQuizzes(classroom) {
+    return Quiz.find({
+      classroom: classroom._id,
+      status: { $nin: ['draft', 'cancelled'] },
+      // The placement test sets a level; it is not part of the analytics
+      ...(classroom.screeningTest && { _id: { $ne: classroom.screeningTest } })
+    }).select('title scheduledEndTime').sort({ scheduledEndTime: 1 });
+  }
+
+  /**
+   * Classroom analytics for staff.
+   * @param {Object} classroom - Classroom document with students.student populated
+   * @returns {Promise<Object>} { summary, thresholds, quizzes, dpps, engagement, students, atRisk }
+   */
+  async buildAnalytics(classroom) {
+    const studentIds = classroom.students.map(s => s.student._id || s.student);
+
+    const [rollups, attendanceStats, quizzes, dpps, engagementClassIds, engagementByStudent, gradedResults] =
+      await Promise.all([
+        classroomStatsService.computeRollups(classroom),
+        Attendance.getClassroomAttendanceStats(classroom._id),
+        this.loadQuizzes(classroom),
+        DailyPracticeProblem.find({ classroom: classroom._id, isPublished: true })
+          .select('title type dueDate maxScore targetGroups submissions.student submissions.score submissions.maxScore submissions.isLate submissions.gradedAt')
+          .sort({ dueDate: 1 }),
+        Engagement.distinct('classId', { classroomId: classroom._id, hasError: false }),
+        Engagement.getClassroomEngagementByStudent(classroom._id),
+        this.loadGradedResults(classroom, studentIds)
+      ]);
+
+    const [sessions, engagementVideoClasses] = await Promise.all([
+      QuizSession.find({
+        quiz: { $in: quizzes.map(q => q._id) },
+        student: { $in: studentIds },
+        status: { $in: FINISHED_SESSION_STATUSES }
+      }).select('quiz student percentage'),
+      VideoClass.find({ _id: { $in: engagementClassIds } })
+        .select('title scheduledStartTime')
+        .sort({ scheduledStartTime: 1 })
+    ]);
+
+    const engagementClasses = await Promise.all(engagementVideoClasses.map(async videoClass => ({
+      videoClass,
+      ...(await Engagement.getClassEngagementStats(videoClass._id))
+    })));
+
+    const attendanceByStudent = new Map(attendanceStats.map(row => [row._id.toString(), row]));
+    const engagementOf = new Map(engagementByStudent.map(row => [row.student.toString(), row]));
+
+    const students = classroom.students.map(enrollment => {
+      const studentId = refId(enrollment.student);
+
+      const attendanceRow = attendanceByStudent.get(studentId);
+      const attendance = attendanceRow
+        ? {
+          percentage: attendanceRow.attendancePercentage,
+          present: attendanceRow.presentClasses,
+          late: attendanceRow.lateClasses,
+          absent: attendanceRow.absentClasses,
+          total: attendanceRow.totalClasses
+        }
+        : null;
+
+      const quizScores = sessions.filter(s => refId(s.student) === studentId).map(s => s.percentage || 0);
+
+      const assignedDpps = dpps.filter(dpp => classroom.isInAudience(studentId, dpp.targetGroups));
+      const dppScores = assignedDpps
+        .map(dpp => dppPercentage(dpp, dpp.submissions.find(s => refId(s.student) === studentId)))
+        .filter(score => score !== null);
+
+      const engagement = engagementOf.get(studentId);
+      const trend = this.scoreTrend(gradedResults.get(studentId) || []);
+
+      return {
+        student: enrollment.student,
+        level: enrollment.level,
+        attendance,
+        quizzes: { taken: quizScores.length, averageScore: average(quizScores) },
+        dpps: {
+          assigned: assignedDpps.length,
+          submitted: assignedDpps.filter(dpp => dpp.hasStudentSubmitted(studentId)).length,
+          averageScore: average(dppScores)
+        },
+        engagement: engagement
+          ? { averageEngagement: engagement.averageEngagement, analyses: engagement.analyses }
+          : null,
+        trend,
+        risk: this.assessRisk(attendance, trend)
+      };
+    });
+
+    const atRisk = students
+      .filter(row => row.risk.level)
+      .sort((a, b) => b.risk.reasons.length - a.risk.reasons.length ||
+        (a.attendance?.percentage ?? 100) - (b.attendance?.percentage ?? 100));
+
+    return {
+      summary: {
+        students: students.length,
+        ...rollups,
+        averageEngagement: average(engagementByStudent.map(row => row.averageEngagement)),
+        atRisk: atRisk.length
+      },
+      thresholds: AT_RISK_THRESHOLDS,
+      quizzes: quizzes.map(quiz => {
+        const quizSessions = sessions.filter(s => refId(s.quiz) === quiz._id.toString());
+        const scores = quizSessions.map(s => s.percentage || 0);
+        return {
+          _id: quiz._id,
+          title: quiz.title,
+          scheduledEndTime: quiz.scheduledEndTime,
+          attempts: scores.length,
+          students: new Set(quizSessions.map(s => refId(s.student))).size,
+          averageScore: average(scores),
+          topScore: scores.length > 0 ? round(Math.max(...scores)) : null
+        };
+      }),
+      dpps: dpps.map(dpp => ({
+        _id: dpp._id,
+        title: dpp.title,
+        type: dpp.type,
+        dueDate: dpp.dueDate,
+        ...dpp.getSubmissionStats(classroom.countAudience(dpp.targetGroups))
+      })),
+      engagement: { classes: engagementClasses },
+      students,
+      atRisk
+    };
+  }
+
+  /**
+   * One student's attendance, quiz, DPP and engagement records in a classroom.
+   * @param {Object} classroom - Classroom document
+   * @param {ObjectId} studentId
+   * @returns {Promise<Object>} { attendance, quizzes, dpps, engagement, results, trend, risk }
+   */
+  async buildStudentAnalytics(classroom, studentId) {
+    const [attendance, quizzes, dpps, engagement, gradedResults] = await Promise.all([
+      Attendance.find({ classroom: classroom._id, student: studentId })
+        .populate('videoClass', 'title scheduledStartTime')
+        .select('videoClass status joinedAt duration attendancePercentage classStartTime')
+        .sort({ classStartTime: 1 }),
+      this.loadQuizzes(classroom),
+      DailyPracticeProblem.find({ classroom: classroom._id, isPublished: true })
+        .select('title type dueDate maxScore targetGroups submissions')
+        .sort({ dueDate: 1 }),
+      Engagement.find({ classroomId: classroom._id, studentId, hasError: false })
+        .populate('classId', 'title scheduledStartTime')
+        .select('classId engagementScore predictedClass captureTimestamp')
+        .sort({ captureTimestamp: 1 }),
+      this.loadGradedResults(classroom, [studentId])
+    ]);
+
+    const sessions = await QuizSession.find({
+      quiz: { $in: quizzes.map(q => q._id) },
+      student: studentId,
+      status: { $in: FINISHED_SESSION_STATUSES }
+    }).select('quiz percentage attemptNumber status submittedAt').sort({ submittedAt: 1 });
+
+    const attendanceRecords = attendance.map(record => ({
+      videoClass: record.videoClass,
+      status: record.status,
+      joinedAt: record.joinedAt,
+      duration: record.duration,
+      attendancePercentage: record.attendancePercentage
+    }));
+    const attended = attendance.filter(record => ['present', 'late'].includes(record.status)).length;
+    const attendanceSummary = attendance.length > 0
+      ? { percentage: round((attended / attendance.length) * 100), total: attendance.length }
+      : null;
+
+    // Engagement analyses averaged per video class
+    const engagementByClass = new Map();
+    engagement.forEach(analysis => {
+      const classId = refId(analysis.classId);
+      if (!engagementByClass.has(classId)) {
+        engagementByClass.set(classId, { videoClass: analysis.classId, scores: [] });
+      }
+      engagementByClass.get(classId).scores.push(analysis.engagementScore);
+    });
+
+    const results = gradedResults.get(studentId.toString()) || [];
+    const trend = this.scoreTrend(results);
+
+    return {
+      attendance: { ...attendanceSummary, records: attendanceRecords },
+      quizzes: sessions.map(session => ({
+        quiz: quizzes.find(q => q._id.equals(session.quiz)),
+        percentage: session.percentage || 0,
+        attemptNumber: session.attemptNumber,
+        status: session.status,
+        submittedAt: session.submittedAt
+      })),
+      dpps: dpps
+        .filter(dpp => classroom.isInAudience(studentId, dpp.targetGroups))
+        .map(dpp => {
+          const submission = dpp.getStudentSubmission(studentId);
+          const percentage = dppPercentage(dpp, submission);
+          return {
+            _id: dpp._id,
+            title: dpp.title,
+            type: dpp.type,
+            dueDate: dpp.dueDate,
+            submitted: !!submission,
+            graded: submission ? isDppGraded(dpp, submission) : false,
+            isLate: submission ? submission.isLate : null,
+            percentage: percentage === null ? null : round(percentage),
+            submittedAt: submission ? submission.submittedAt : null
+          };
+        }),
+      engagement: [...engagementByClass.values()].map(({ videoClass, scores }) => ({
+        videoClass,
+        analyses: scores.length,
+        averageEngagement: Math.round((scores.reduce((sum, s) => sum + s, 0) / scores.length) * 1000) / 1000
+      })),
+      // Score timeline, oldest first
+      results: [...results].reverse().map(({ column, percentage, at }) => ({
+        _id: column._id,
+        title: column.title,
+        category: column.category,
+        percentage,
+        at
+      })),
+      trend,
+      risk: this.assessRisk(attendanceSummary, trend)
+    };
+  }
+}
+
+module.exports = new ClassroomAnalyticsService();
@@ -0,0 +1,796 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Transform } = require('stream');
+const { finished, pipeline } = require('stream/promises');
+const archiver = require('archiver');
+const tar = require('tar-stream');
+const Classroom = require('../models/Classroom');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Assignment = require('../models/Assignment');
+const Submission = require('../models/Submission');
+const Quiz = require('../models/Quiz');
+const QuizSession = require('../models/QuizSession');
+const DailyPracticeProblem = require('../models/DailyPracticeProblem');
+const ClassroomInvite = require('../models/ClassroomInvite');
+const ImportedStudentWork = require('../models/ImportedStudentWork');
+const classroomJoinService = require('./classroomJoinService');
+const emailService = require('./emailService');
+const { getFileByUrl, storeFile, deleteFileByUrl, bucketKeyFromUrl } = require('./s3Service');
+
+const BUNDLE_FORMAT = 'shayak-classroom';
+// Bump when the layout changes; imports accept this version and older ones
+const BUNDLE_VERSION = 1;
+// Uncompressed size limit, so a small upload cannot expand without bound
+const MAX_BUNDLE_BYTES = 500 * 1024 * 1024;
+// Largest JSON section an import reads into memory
+const MAX_SECTION_BYTES = 50 * 1024 * 1024;
+// Files an export may hold, so the bundle fits the 200MB import upload limit
+const MAX_EXPORT_FILE_BYTES = 200 * 1024 * 1024;
+// How long students of an imported classroom have to accept their invite
+const IMPORT_INVITE_DAYS = 30;
+
+// Import error carrying the HTTP status the controller should answer with
+const bundleError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+// quizSessions is stored as quiz-sessions.json, like the account data export
+const sectionFile = (name) => `${name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}.json`;
+
+const idOf = (ref) => (ref ? ref.toString() : null);
+
+// Plain copy of subdocuments; ids are kept so answers still point at their questions
+const plain = (items = []) => items.map(item => (item.toObject ? item.toObject() : item));
+
+// Web links other than our own bucket, which are kept as links rather than bundled
+const isExternalLink = (fileUrl) => /^https?:\/\//.test(fileUrl || '') && !bucketKeyFromUrl(fileUrl);
+
+// Packages a classroom into a versioned archive and recreates classrooms from one
+class ClassroomBundleService {
+  /**
+   * Gather a classroom's content, and optionally its students' work, for export.
+   * Uploaded files are bundled; links elsewhere are kept as links. Fails with 413
+   * when the files are too large for the bundle to be imported again.
+   * @param {Object} classroom - Classroom document
+   * @param {Object} options - includeStudentWork
+   * @returns {Promise<Object>} { sections, files } for writeArchive
+   */
+  async collectBundle(classroom, { includeStudentWork = false } = {}) {
+    const context = { files: [], fileBytes: 0, emails: new Map(), missingFiles: 0 };
+
+    const [posts, assignments, quizzes, dpps] = await Promise.all([
+      Post.find({ classroom: classroom._id, isDeleted: false }).populate('author', 'email role').sort({ createdAt: 1 }),
+      Assignment.find({ classroom: classroom._id }).sort({ createdAt: 1 }),
+      Quiz.find({ classroom: classroom._id, status: { $ne: 'cancelled' } }).sort({ createdAt: 1 }),
+      DailyPracticeProblem.find({ classroom: classroom._id }).sort({ createdAt: 1 })
+    ]);
+
+    if (includeStudentWork) {
+      const students = await User.find({ _id: { $in: classroom.students.map(s => s.student) } })
+        .select('name email studentId');
+      students.forEach(student => context.emails.set(student._id.toString(), student));
+    }
+    const emailOf = (userId) => context.emails.get(idOf(userId))?.email;
+
+    const sections = {
+      classroom: {
+        name: classroom.name,
+        description: classroom.description,
+        subject: classroom.subject,
+        allowStudentPosts: classroom.allowStudentPosts,
+        allowStudentComments: classroom.allowStudentComments,
+        requireTeacherTwoFactor: classroom.requireTeacherTwoFactor,
+        requireJoinApproval: classroom.requireJoinApproval,
+        allowedEmailDomains: classroom.allowedEmailDomains,
+        screeningThresholds: classroom.screeningThresholds,
+        gradebook: classroom.gradebook,
+        levelRules: classroom.levelRules,
+        screeningTest: idOf(classroom.screeningTest),
+        groups: classroom.groups.map(group => ({
+          id: group._id.toString(),
+          name: group.name,
+          kind: group.kind,
+          ...(includeStudentWork && { members: group.students.map(emailOf).filter(Boolean) })
+        })),
+        modules: classroom.modules.map(module => ({
+          id: module._id.toString(),
+          title: module.title,
+          description: module.description
+        }))
+      },
+      posts: [],
+      assignments: [],
+      quizzes: [],
+      dpps: []
+    };
+
+    // Student posts are student work; staff posts are content
+    for (const post of posts) {
+      const byStudent = post.author?.role === 'student';
+      if (byStudent && !includeStudentWork) continue;
+
+      sections.posts.push({
+        id: post._id.toString(),
+        ...(byStudent && { authorEmail: emailOf(post.author._id) }),
+        type: post.type,
+        title: post.title,
+        content: post.content,
+        attachments: await this.bundleAttachments(post.attachments, context),
+        relatedAssignment: idOf(post.relatedAssignment),
+        allowComments: post.allowComments,
+        isPinned: post.isPinned,
+        visibility: post.visibility,
+        targetLevels: post.targetLevels,
+        targetGroups: post.targetGroups.map(idOf),
+        module: idOf(post.module),
+        createdAt: post.createdAt
+      });
+    }
+
+    for (const assignment of assignments) {
+      sections.assignments.push({
+        id: assignment._id.toString(),
+        title: assignment.title,
+        description: assignment.description,
+        type: assignment.type,
+        totalPoints: assignment.totalPoints,
+        dueDate: assignment.dueDate,
+        allowLateSubmission: assignment.allowLateSubmission,
+        targetLevels: assignment.targetLevels,
+        targetGroups: assignment.targetGroups.map(idOf),
+        module: idOf(assignment.module),
+        attachments: await this.bundleAttachments(assignment.attachments, context),
+        instructions: assignment.instructions,
+        rubric: plain(assignment.rubric),
+        questions: plain(assignment.questions),
+        timeLimit: assignment.timeLimit,
+        isProctoredTest: assignment.isProctoredTest,
+        proctoringSettings: assignment.toObject().proctoringSettings,
+        isPublished: assignment.isPublished,
+        publishedAt: assignment.publishedAt
+      });
+    }
+
+    sections.quizzes = quizzes.map(quiz => {
+      const {
+        _id, classroom: _classroom, teacher, createdAt, updatedAt, __v,
+        totalStudentsInvited, totalStudentsAttempted, totalStudentsCompleted, averageScore,
+        ...fields
+      } = quiz.toObject({ virtuals: false });
+      return {
+        ...fields,
+        id: _id.toString(),
+        targetGroups: quiz.targetGroups.map(idOf),
+        module: idOf(quiz.module),
+        // Attempt statistics only make sense alongside the sessions they count
+        ...(includeStudentWork && { totalStudentsAttempted, totalStudentsCompleted, averageScore })
+      };
+    });
+
+    for (const dpp of dpps) {
+      sections.dpps.push({
+        id: dpp._id.toString(),
+        title: dpp.title,
+        description: dpp.description,
+        targetGroups: dpp.targetGroups.map(idOf),
+        module: idOf(dpp.module),
+        type: dpp.type,
+        questions: plain(dpp.questions),
+        assignmentFiles: await this.bundleAttachments(dpp.assignmentFiles, context),
+        instructions: dpp.instructions,
+        allowedFileTypes: dpp.allowedFileTypes,
+        maxFileSize: dpp.maxFileSize,
+        maxFiles: dpp.maxFiles,
+        dueDate: dpp.dueDate,
+        maxScore: dpp.maxScore,
+        tags: dpp.tags,
+        estimatedTime: dpp.estimatedTime,
+        ...(includeStudentWork && {
+          submissions: await this.bundleDPPSubmissions(dpp, emailOf, context)
+        })
+      });
+    }
+
+    if (includeStudentWork) {
+      Object.assign(sections, await this.collectStudentWork(classroom, assignments, quizzes, emailOf, context));
+    }
+
+    sections.manifest = {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      exportedAt: new Date(),
+      includesStudentWork: includeStudentWork,
+      classroom: { name: classroom.name, subject: classroom.subject },
+      counts: {
+        posts: sections.posts.length,
+        assignments: sections.assignments.length,
+        quizzes: sections.quizzes.length,
+        dpps: sections.dpps.length,
+        files: context.files.length
+      },
+      missingFiles: context.missingFiles
+    };
+
+    return { sections, files: context.files };
+  }
+
+  async collectStudentWork(classroom, assignments, quizzes, emailOf, context) {
+    const [submissions, quizSessions] = await Promise.all([
+      Submission.find({ assignment: { $in: assignments.map(a => a._id) } }).sort({ createdAt: 1 }),
+      QuizSession.find({
+        quiz: { $in: quizzes.map(q => q._id) },
+        status: { $nin: ['not_started', 'in_progress'] }
+      }).sort({ createdAt: 1 })
+    ]);
+
+    const work = {
+      students: classroom.students
+        .filter(enrollment => emailOf(enrollment.student))
+        .map(enrollment => {
+          const student = context.emails.get(idOf(enrollment.student));
+          return {
+            email: student.email,
+            name: student.name,
+            studentId: student.studentId,
+            joinedAt: enrollment.joinedAt,
+            level: enrollment.level,
+            screeningTestCompleted: enrollment.screeningTestCompleted,
+            screeningTestScore: enrollment.screeningTestScore
+          };
+        }),
+      submissions: [],
+      quizSessions: []
+    };
+
+    for (const submission of submissions) {
+      if (!emailOf(submission.student)) continue;
+      work.submissions.push({
+        assignment: idOf(submission.assignment),
+        studentEmail: emailOf(submission.student),
+        content: submission.content,
+        attachments: await this.bundleAttachments(submission.attachments, context),
+        answers: plain(submission.answers),
+        status: submission.status,
+        submittedAt: submission.submittedAt,
+        isLateSubmission: submission.isLateSubmission,
+        grade: submission.toObject().grade,
+        gradedAt: submission.gradedAt,
+        timeSpent: submission.timeSpent,
+        startedAt: submission.startedAt,
+        completedAt: submission.completedAt
+      });
+    }
+
+    // Results only; proctoring photos, IP addresses and device details stay behind
+    work.quizSessions = quizSessions
+      .filter(session => emailOf(session.student))
+      .map(session => ({
+        quiz: idOf(session.quiz),
+        studentEmail: emailOf(session.student),
+        status: session.status,
+        attemptNumber: session.attemptNumber,
+        startedAt: session.startedAt,
+        submittedAt: session.submittedAt,
+        timeSpent: session.timeSpent,
+        questions: plain(session.questions),
+        answers: plain(session.answers),
+        score: session.score,
+        percentage: session.percentage,
+        totalPoints: session.totalPoints,
+        pointsEarned: session.pointsEarned,
+        passed: session.passed,
+        isProctored: session.isProctored,
+        violationCount: session.violationCount,
+        riskScore: session.riskScore,
+        reviewStatus: session.reviewStatus,
+        reviewNotes: session.reviewNotes,
+        finalDecision: session.finalDecision,
+        reviewedAt: session.reviewedAt
+      }));
+
+    return work;
+  }
+
+  async bundleDPPSubmissions(dpp, emailOf, context) {
+    const submissions = [];
+    for (const submission of dpp.submissions) {
+      if (!emailOf(submission.student)) continue;
+      const { _id, student, gradedBy, fileSubmissions, ...fields } = submission.toObject();
+      submissions.push({
+        ...fields,
+        studentEmail: emailOf(student),
+        fileSubmissions: await this.bundleAttachments(fileSubmissions, context)
+      });
+    }
+    return submissions;
+  }
+
+  // Adds each attachment's file to the bundle and records where it goes
+  async bundleAttachments(attachments = [], context) {
+    const bundled = [];
+    for (const attachment of plain(attachments)) {
+      const { _id, fileKey, ...fields } = attachment;
+      const file = await getFileByUrl(attachment.fileUrl);
+
+      if (file) {
+        context.fileBytes += file.size;
+        if (context.fileBytes > MAX_EXPORT_FILE_BYTES) {
+          throw bundleError(413, `The classroom's files add up to more than the ${MAX_EXPORT_FILE_BYTES / (1024 * 1024)}MB a bundle can hold. ` +
+            'Remove large attachments, or export without student work, and try again');
+        }
+
+        const bundlePath = `files/${context.files.length + 1}-${path.basename(attachment.fileName || attachment.fileUrl)}`;
+        context.files.push({ ...file, name: bundlePath });
+        bundled.push({ ...fields, fileUrl: null, bundlePath });
+      } else {
+        if (!isExternalLink(attachment.fileUrl)) context.missingFiles += 1;
+        bundled.push(fields);
+      }
+    }
+    return bundled;
+  }
+
+  /**
+   * Write a collected bundle as a gzipped tar archive: manifest.json, one JSON
+   * file per section and the uploaded files under files/. Files are streamed one
+   * at a time, each opened only once the previous one is in the archive. If the
+   * output closes early (the client went away) or the archive fails, the file
+   * being read is released and the returned promise rejects.
+   * @param {Object} bundle - Result of collectBundle
+   * @param {stream.Writable} output - Where the archive goes, e.g. the response
+   * @returns {Promise<void>} Resolves once the archive is complete
+   */
+  async writeArchive({ sections, files }, output) {
+    const archive = archiver('tar', { gzip: true });
+    let source = null;
+    let stop;
+    const stopped = new Promise((resolve, reject) => {
+      stop = (error) => {
+        if (source) source.destroy(error);
+        reject(error);
+      };
+    });
+    // Raced against every wait below; nothing else awaits it directly
+    stopped.catch(() => {});
+
+    const onClose = () => {
+      if (!output.writableFinished) stop(new Error('The output closed before the bundle was complete'));
+    };
+    output.on('close', onClose);
+    archive.on('error', stop);
+    archive.pipe(output);
+
+    archive.append(JSON.stringify(sections.manifest, null, 2), { name: 'manifest.json' });
+    Object.entries(sections)
+      .filter(([name]) => name !== 'manifest')
+      .forEach(([name, section]) => {
+        archive.append(JSON.stringify(section, null, 2), { name: sectionFile(name) });
+      });
+
+    try {
+      for (const file of files) {
+        source = file.createReadStream();
+        // Given the size up front, archiver streams the file instead of buffering it
+        archive.append(source, { name: file.name, stats: { size: file.size }, mode: 0o644, date: new Date() });
+        await Promise.race([finished(source), stopped]);
+      }
+      source = null;
+
+      await Promise.race([archive.finalize(), stopped]);
+    } catch (error) {
+      if (source) source.destroy();
+      archive.abort();
+      throw error;
+    } finally {
+      output.off('close', onClose);
+    }
+  }
+
+  /**
+   * Unpack an uploaded bundle into a working folder, one entry at a time, so
+   * no more than a chunk of it is ever held in memory. Entries are saved under
+   * numbered names rather than the names in the bundle.
+   * @param {stream.Readable} input - The .tar.gz upload
+   * @param {string} workDir - Empty folder to unpack into
+   * @returns {Promise<Map<string, string>>} Entry name to the path of its contents
+   */
+  async readArchive(input, workDir) {
+    const entries = new Map();
+    const extract = tar.extract();
+    let totalBytes = 0;
+
+    try {
+      input.on('error', error => extract.destroy(error))
+        .pipe(zlib.createGunzip()).on('error', error => extract.destroy(error))
+        .pipe(extract);
+
+      for await (const entry of extract) {
+        const entryPath = path.join(workDir, String(entries.size + 1));
+        const counter = new Transform({
+          transform(chunk, encoding, callback) {
+            totalBytes += chunk.length;
+            callback(totalBytes > MAX_BUNDLE_BYTES ? bundleError(413, 'The bundle is too large to import') : null, chunk);
+          }
+        });
+        await pipeline(entry, counter, fs.createWriteStream(entryPath));
+
+        if (entry.header.type === 'file') {
+          entries.set(entry.header.name, entryPath);
+        }
+      }
+    } catch (error) {
+      input.destroy();
+      if (error.statusCode) throw error;
+      throw bundleError(400, 'The file is not a classroom bundle');
+    }
+
+    return entries;
+  }
+
+  /**
+   * Recreate a classroom from an exported bundle, owned by the importing teacher
+   * with a new class code. Students whose email matches an active student account
+   * here are not enrolled: each is emailed a personal invite, and their work is
+   * held until they accept it. Students without an account are reported back.
+   * DPPs come back unpublished, since video classes are not part of the bundle.
+   * @param {string} filePath - The uploaded .tar.gz, on disk
+   * @param {ObjectId} ownerId - Teacher who owns the imported classroom
+   * @param {Object} options - name, includeStudentWork
+   * @returns {Promise<Object>} { classroom, imported, invitedStudents, unmatchedStudents, skippedAttachments }
+   */
+  async importClassroom(filePath, ownerId, options = {}) {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'shayak-bundle-'));
+    try {
+      const entries = await this.readArchive(fs.createReadStream(filePath), workDir);
+      return await this.restoreBundle(entries, ownerId, options);
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  // Recreates the classroom from unpacked bundle entries; see importClassroom
+  async restoreBundle(entries, ownerId, options) {
+    // Sections are read one at a time, when they are needed
+    const readSection = async (name, fallback) => {
+      const entryPath = entries.get(sectionFile(name));
+      if (!entryPath) {
+        if (fallback !== undefined) return fallback;
+        throw bundleError(400, `The bundle is missing ${sectionFile(name)}`);
+      }
+      if ((await fs.promises.stat(entryPath)).size > MAX_SECTION_BYTES) {
+        throw bundleError(413, `The bundle's ${sectionFile(name)} is too large to import`);
+      }
+      try {
+        return JSON.parse(await fs.promises.readFile(entryPath, 'utf8'));
+      } catch (error) {
+        throw bundleError(400, `The bundle's ${sectionFile(name)} is damaged`);
+      }
+    };
+
+    const manifest = await readSection('manifest');
+    if (manifest.format !== BUNDLE_FORMAT) {
+      throw bundleError(400, 'The file is not a classroom bundle');
+    }
+    if (!Number.isInteger(manifest.version) || manifest.version > BUNDLE_VERSION) {
+      throw bundleError(400, `Bundle version ${manifest.version} is not supported; this server reads up to version ${BUNDLE_VERSION}`);
+    }
+
+    const source = await readSection('classroom');
+    const includeStudentWork = manifest.includesStudentWork && options.includeStudentWork !== false;
+
+    const context = {
+      ownerId,
+      entries,
+      storedFiles: [],
+      skippedAttachments: 0,
+      groupIds: new Map(),
+      moduleIds: new Map(),
+      assignmentIds: new Map(),
+      quizIds: new Map(),
+      students: new Map()
+    };
+
+    const classroom = new Classroom({
+      name: options.name || source.name,
+      description: source.description,
+      subject: source.subject,
+      classCode: await Classroom.generateUniqueClassCode(),
+      teacher: ownerId,
+      allowStudentPosts: source.allowStudentPosts,
+      allowStudentComments: source.allowStudentComments,
+      requireTeacherTwoFactor: source.requireTeacherTwoFactor,
+      requireJoinApproval: source.requireJoinApproval,
+      allowedEmailDomains: source.allowedEmailDomains,
+      screeningThresholds: source.screeningThresholds,
+      gradebook: source.gradebook,
+      levelRules: source.levelRules,
+      groups: (source.groups || []).map(group => ({ name: group.name, kind: group.kind })),
+      modules: (source.modules || []).map(module => ({ title: module.title, description: module.description }))
+    });
+    (source.groups || []).forEach((group, index) => context.groupIds.set(group.id, classroom.groups[index]._id));
+    (source.modules || []).forEach((module, index) => context.moduleIds.set(module.id, classroom.modules[index]._id));
+    context.classroom = classroom;
+
+    await classroom.save();
+
+    let invites = [];
+    let unmatchedStudents = [];
+    let imported;
+    try {
+      if (includeStudentWork) {
+        unmatchedStudents = await this.matchStudents(await readSection('students', []), source.groups || [], context);
+      }
+
+      imported = {
+        assignments: await this.restoreAssignments(await readSection('assignments', []), context),
+        quizzes: await this.restoreQuizzes(await readSection('quizzes', []), source.screeningTest, includeStudentWork, context),
+        dpps: await this.restoreDPPs(await readSection('dpps', []), includeStudentWork, context),
+        posts: await this.restorePosts(await readSection('posts', []), context)
+      };
+
+      if (includeStudentWork) {
+        await this.holdSubmissions(await readSection('submissions', []), context);
+        await this.holdQuizSessions(await readSection('quizSessions', []), context);
+      }
+
+      classroom.totalPosts = imported.posts;
+      classroom.totalAssignments = imported.assignments;
+      await classroom.save();
+
+      invites = await this.inviteStudents(context);
+    } catch (error) {
+      // Leave nothing half-imported behind
+      await Promise.all([
+        Post.deleteMany({ classroom: classroom._id }),
+        Assignment.deleteMany({ classroom: classroom._id }),
+        Quiz.deleteMany({ classroom: classroom._id }),
+        DailyPracticeProblem.deleteMany({ classroom: classroom._id }),
+        ClassroomInvite.deleteMany({ classroom: classroom._id }),
+        ImportedStudentWork.deleteMany({ classroom: classroom._id }),
+        Classroom.deleteOne({ _id: classroom._id }),
+        ...context.storedFiles.map(fileUrl => deleteFileByUrl(fileUrl))
+      ]);
+      throw error;
+    }
+
+    for (const { user, invite } of invites) {
+      try {
+        await emailService.sendImportedClassroomInviteEmail(user, classroom, invite.code, IMPORT_INVITE_DAYS);
+      } catch (emailError) {
+        console.error('Imported classroom invite email error:', emailError);
+      }
+    }
+
+    return {
+      classroom,
+      imported,
+      invitedStudents: invites.map(({ user }) => user.email),
+      unmatchedStudents,
+      skippedAttachments: context.skippedAttachments
+    };
+  }
+
+  // Starts held work for each bundled student who has an account here, with their
+  // enrollment details and groups; returns the emails that have no account
+  async matchStudents(students, groups, context) {
+    const emails = students.map(student => String(student.email).toLowerCase());
+    const users = await User.find({ email: { $in: emails }, role: 'student', isActive: true, deletedAt: null });
+    users.forEach(user => context.students.set(user.email, {
+      user,
+      enrollment: {},
+      groups: [],
+      posts: [],
+      submissions: [],
+      quizSessions: [],
+      dppSubmissions: [],
+      files: []
+    }));
+
+    students.forEach(student => {
+      const held = this.heldFor(student.email, context);
+      if (!held) return;
+      held.enrollment = {
+        joinedAt: student.joinedAt,
+        level: student.level,
+        screeningTestCompleted: student.screeningTestCompleted,
+        screeningTestScore: student.screeningTestScore
+      };
+    });
+
+    groups.forEach((group, index) => {
+      (group.members || []).forEach(email => {
+        const held = this.heldFor(email, context);
+        if (held) held.groups.push(context.classroom.groups[index]._id);
+      });
+    });
+
+    return emails.filter(email => !context.students.has(email));
+  }
+
+  // Work held for the student with this email, if they have an account here
+  heldFor(email, context) {
+    return email ? context.students.get(String(email).toLowerCase()) : undefined;
+  }
+
+  // Saves each matched student's held work with a personal invite to the classroom
+  async inviteStudents(context) {
+    const invites = [];
+    for (const held of context.students.values()) {
+      const invite = await classroomJoinService.createInvite(context.classroom, context.ownerId, {
+        expiresInDays: IMPORT_INVITE_DAYS,
+        maxUses: 1,
+        student: held.user._id
+      });
+
+      await ImportedStudentWork.create({
+        classroom: context.classroom._id,
+        student: held.user._id,
+        invite: invite._id,
+        enrollment: held.enrollment,
+        groups: held.groups,
+        posts: held.posts,
+        submissions: held.submissions,
+        quizSessions: held.quizSessions,
+        dppSubmissions: held.dppSubmissions,
+        files: held.files,
+        expiresAt: invite.expiresAt
+      });
+
+      invites.push({ user: held.user, invite });
+    }
+    return invites;
+  }
+
+  mapGroups(targetGroups = [], context) {
+    return targetGroups.map(groupId => context.groupIds.get(groupId)).filter(Boolean);
+  }
+
+  mapModule(moduleId, context) {
+    return moduleId ? context.moduleIds.get(moduleId) : undefined;
+  }
+
+  // Stores each bundled file; attachments whose file is missing are left out and counted.
+  // Files for held student work are also recorded on it, so they can go if it is discarded.
+  async restoreAttachments(attachments = [], folder, context, held) {
+    const restored = [];
+    for (const attachment of attachments) {
+      // A bundle's fileKey is never trusted; stored files get a new one below
+      const { bundlePath, fileKey, ...fields } = attachment;
+      const entryPath = bundlePath && context.entries.get(bundlePath);
+
+      if (entryPath) {
+        const file = await storeFile(entryPath, {
+          folder,
+          fileName: attachment.fileName || bundlePath,
+          ownerId: context.ownerId
+        });
+        context.storedFiles.push(file.fileUrl);
+        if (held) held.files.push(file.fileUrl);
+        restored.push({ ...fields, ...file });
+      } else if (isExternalLink(attachment.fileUrl)) {
+        restored.push(fields);
+      } else {
+        context.skippedAttachments += 1;
+      }
+    }
+    return restored;
+  }
+
+  async restoreAssignments(assignments, context) {
+    for (const { id, targetGroups, module, attachments, ...fields } of assignments) {
+      const assignment = await Assignment.create({
+        ...fields,
+        classroom: context.classroom._id,
+        teacher: context.ownerId,
+        targetGroups: this.mapGroups(targetGroups, context),
+        module: this.mapModule(module, context),
+        attachments: await this.restoreAttachments(attachments, 'assignments', context)
+      });
+      context.assignmentIds.set(id, assignment._id);
+    }
+    return assignments.length;
+  }
+
+  async restoreQuizzes(quizzes, screeningTestId, includeStudentWork, context) {
+    for (const { id, targetGroups, module, totalStudentsAttempted, totalStudentsCompleted, averageScore, ...fields } of quizzes) {
+      const quiz = await Quiz.create({
+        ...fields,
+        ...(includeStudentWork && { totalStudentsAttempted, totalStudentsCompleted, averageScore }),
+        classroom: context.classroom._id,
+        teacher: context.ownerId,
+        targetGroups: this.mapGroups(targetGroups, context),
+        module: this.mapModule(module, context),
+        totalStudentsInvited: context.classroom.countAudience(this.mapGroups(targetGroups, context))
+      });
+      context.quizIds.set(id, quiz._id);
+
+      if (id === screeningTestId) {
+        context.classroom.screeningTest = quiz._id;
+        context.classroom.screeningTestSetAt = new Date();
+      }
+    }
+    return quizzes.length;
+  }
+
+  // DPP submissions are held for their students rather than restored
+  async restoreDPPs(dpps, includeStudentWork, context) {
+    for (const { id, targetGroups, module, assignmentFiles, submissions, ...fields } of dpps) {
+      const dpp = await DailyPracticeProblem.create({
+        ...fields,
+        classroom: context.classroom._id,
+        teacher: context.ownerId,
+        targetGroups: this.mapGroups(targetGroups, context),
+        module: this.mapModule(module, context),
+        assignmentFiles: await this.restoreAttachments(assignmentFiles, 'dpp-files', context),
+        isPublished: false
+      });
+
+      for (const { studentEmail, fileSubmissions, ...submission } of (includeStudentWork && submissions) || []) {
+        const held = this.heldFor(studentEmail, context);
+        if (!held) continue;
+        held.dppSubmissions.push({
+          dpp: dpp._id,
+          submission: {
+            ...submission,
+            fileSubmissions: await this.restoreAttachments(fileSubmissions, 'dpp-submissions', context, held)
+          }
+        });
+      }
+    }
+    return dpps.length;
+  }
+
+  // Staff posts are restored; student posts are held for their authors. Returns the restored count.
+  async restorePosts(posts, context) {
+    let restored = 0;
+    for (const { id, authorEmail, targetGroups, module, attachments, relatedAssignment, ...fields } of posts) {
+      const held = this.heldFor(authorEmail, context);
+      if (authorEmail && !held) continue;
+
+      const post = {
+        ...fields,
+        classroom: context.classroom._id,
+        relatedAssignment: relatedAssignment ? context.assignmentIds.get(relatedAssignment) : undefined,
+        targetGroups: this.mapGroups(targetGroups, context),
+        module: this.mapModule(module, context),
+        attachments: await this.restoreAttachments(attachments, 'post-attachments', context, held)
+      };
+
+      if (held) {
+        held.posts.push(post);
+      } else {
+        await Post.create({ ...post, author: context.ownerId });
+        restored += 1;
+      }
+    }
+    return restored;
+  }
+
+  async holdSubmissions(submissions, context) {
+    for (const { assignment, studentEmail, attachments, ...fields } of submissions) {
+      const held = this.heldFor(studentEmail, context);
+      const assignmentId = context.assignmentIds.get(assignment);
+      if (!held || !assignmentId) continue;
+
+      held.submissions.push({
+        ...fields,
+        assignment: assignmentId,
+        attachments: await this.restoreAttachments(attachments, 'assignments', context, held)
+      });
+    }
+  }
+
+  async holdQuizSessions(quizSessions, context) {
+    for (const { quiz, studentEmail, ...fields } of quizSessions) {
+      const held = this.heldFor(studentEmail, context);
+      const quizId = context.quizIds.get(quiz);
+      if (!held || !quizId) continue;
+
+      held.quizSessions.push({ ...fields, quiz: quizId, classroom: context.classroom._id });
+    }
+  }
+}
+
+module.exports = new ClassroomBundleService();
+module.exports.BUNDLE_VERSION = BUNDLE_VERSION;
@@ -0,0 +1,260 @@
+const Classroom = require('../models/Classroom');
+const Post = require('../models/Post');
+const Assignment = require('../models/Assignment');
+const Quiz = require('../models/Quiz');
+const DailyPracticeProblem = require('../models/DailyPracticeProblem');
+const { copyFileByUrl, deleteFileByUrl } = require('./s3Service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Plain copies of subdocuments without their ids, so the copy gets fresh ones
+const withoutIds = (items = []) => items.map(item => {
+  const { _id, ...rest } = item.toObject ? item.toObject() : item;
+  return rest;
+});
+
+const shiftDate = (date, offsetDays) => date && new Date(new Date(date).getTime() + offsetDays * DAY_MS);
+
+// Duplicates a classroom's settings and teaching material into a fresh
+// classroom for a new term: no students, staff, submissions or sessions
+class ClassroomCopyService {
+  /**
+   * Copy a classroom for a new term. Material posts, assignments, DPPs and
+   * quizzes are copied with their dates moved by dateOffsetDays; quizzes and
+   * DPPs come over unpublished so the teacher can review them first.
+   * @param {Object} source - Classroom document to copy
+   * @param {ObjectId} ownerId - Teacher who owns the copy
+   * @param {Object} options - name, description, subject, dateOffsetDays
+   * @returns {Promise<Object>} { classroom, copied, skippedAttachments }
+   */
+  async copyClassroom(source, ownerId, options = {}) {
+    const dateOffsetDays = Number(options.dateOffsetDays) || 0;
+    const context = { ownerId, dateOffsetDays, copiedFiles: [], skippedAttachments: 0 };
+
+    const classroom = new Classroom({
+      name: options.name || `${source.name} (copy)`,
+      description: options.description ?? source.description,
+      subject: options.subject || source.subject,
+      classCode: await Classroom.generateUniqueClassCode(),
+      teacher: ownerId,
+      allowStudentPosts: source.allowStudentPosts,
+      allowStudentComments: source.allowStudentComments,
+      requireTeacherTwoFactor: source.requireTeacherTwoFactor,
+      requireJoinApproval: source.requireJoinApproval,
+      allowedEmailDomains: source.allowedEmailDomains,
+      screeningThresholds: source.screeningThresholds,
+      gradebook: source.gradebook,
+      levelRules: source.levelRules,
+      groups: source.groups.map(group => ({ name: group.name, kind: group.kind })),
+      modules: source.modules.map(module => ({ title: module.title, description: module.description }))
+    });
+
+    // Content targeted at a group or placed in a module follows it to its copy
+    context.groupIds = new Map(
+      source.groups.map((group, index) => [group._id.toString(), classroom.groups[index]._id])
+    );
+    context.moduleIds = new Map(
+      source.modules.map((module, index) => [module._id.toString(), classroom.modules[index]._id])
+    );
+    context.classroom = classroom;
+
+    await classroom.save();
+
+    try {
+      const copied = {
+        posts: await this.copyPosts(source, context),
+        assignments: await this.copyAssignments(source, context),
+        quizzes: await this.copyQuizzes(source, context),
+        dpps: await this.copyDPPs(source, context)
+      };
+
+      await classroom.save();
+      return { classroom, copied, skippedAttachments: context.skippedAttachments };
+    } catch (error) {
+      // Leave nothing half-copied behind
+      await Promise.all([
+        Post.deleteMany({ classroom: classroom._id }),
+        Assignment.deleteMany({ classroom: classroom._id }),
+        Quiz.deleteMany({ classroom: classroom._id }),
+        DailyPracticeProblem.deleteMany({ classroom: classroom._id }),
+        Classroom.deleteOne({ _id: classroom._id }),
+        ...context.copiedFiles.map(fileUrl => deleteFileByUrl(fileUrl))
+      ]);
+      throw error;
+    }
+  }
+
+  mapGroups(targetGroups = [], context) {
+    return targetGroups
+      .map(groupId => context.groupIds.get(groupId.toString()))
+      .filter(Boolean);
+  }
+
+  mapModule(moduleId, context) {
+    return moduleId ? context.moduleIds.get(moduleId.toString()) : undefined;
+  }
+
+  // Copies a stored file, remembering it so a failed copy can remove it again.
+  // External links come back unchanged and are not tracked.
+  async copyFile(fileUrl, context) {
+    const file = await copyFileByUrl(fileUrl, context.ownerId);
+    if (file && file.fileKey) context.copiedFiles.push(file.fileUrl);
+    return file;
+  }
+
+  // Copies each attachment's file; ones that cannot be copied are left out and counted
+  async copyAttachments(attachments = [], context) {
+    const copies = [];
+    for (const attachment of withoutIds(attachments)) {
+      const file = await this.copyFile(attachment.fileUrl, context);
+      if (!file) {
+        context.skippedAttachments += 1;
+        continue;
+      }
+      copies.push({ ...attachment, ...file });
+    }
+    return copies;
+  }
+
+  async copyPosts(source, context) {
+    const posts = await Post.find({ classroom: source._id, type: 'material', isDeleted: false })
+      .sort({ createdAt: 1 });
+
+    for (const post of posts) {
+      await Post.create({
+        classroom: context.classroom._id,
+        author: context.ownerId,
+        type: 'material',
+        title: post.title,
+        content: post.content,
+        attachments: await this.copyAttachments(post.attachments, context),
+        allowComments: post.allowComments,
+        isPinned: post.isPinned,
+        visibility: post.visibility,
+        targetLevels: post.targetLevels,
+        targetGroups: this.mapGroups(post.targetGroups, context),
+        module: this.mapModule(post.module, context)
+      });
+    }
+
+    context.classroom.totalPosts = posts.length;
+    return posts.length;
+  }
+
+  async copyAssignments(source, context) {
+    const assignments = await Assignment.find({ classroom: source._id }).sort({ dueDate: 1 });
+
+    for (const assignment of assignments) {
+      await Assignment.create({
+        title: assignment.title,
+        description: assignment.description,
+        classroom: context.classroom._id,
+        teacher: context.ownerId,
+        type: assignment.type,
+        totalPoints: assignment.totalPoints,
+        dueDate: shiftDate(assignment.dueDate, context.dateOffsetDays),
+        allowLateSubmission: assignment.allowLateSubmission,
+        targetLevels: assignment.targetLevels,
+        targetGroups: this.mapGroups(assignment.targetGroups, context),
+        module: this.mapModule(assignment.module, context),
+        attachments: await this.copyAttachments(assignment.attachments, context),
+        instructions: assignment.instructions,
+        rubric: withoutIds(assignment.rubric),
+        questions: withoutIds(assignment.questions),
+        timeLimit: assignment.timeLimit,
+        isProctoredTest: assignment.isProctoredTest,
+        proctoringSettings: assignment.toObject().proctoringSettings,
+        isPublished: assignment.isPublished,
+        publishedAt: assignment.isPublished ? new Date() : undefined
+      });
+    }
+
+    context.classroom.totalAssignments = assignments.length;
+    return assignments.length;
+  }
+
+  async copyQuizzes(source, context) {
+    const quizzes = await Quiz.find({ classroom: source._id, status: { $ne: 'cancelled' } })
+      .sort({ createdAt: 1 });
+
+    for (const quiz of quizzes) {
+      const isScreeningTest = !!source.screeningTest && source.screeningTest.toString() === quiz._id.toString();
+
+      const copy = await Quiz.create({
+        classroom: context.classroom._id,
+        teacher: context.ownerId,
+        title: quiz.title,
+        description: quiz.description,
+        instructions: quiz.instructions,
+        questions: withoutIds(quiz.questions),
+        isScreening: quiz.isScreening,
+        targetGroups: this.mapGroups(quiz.targetGroups, context),
+        module: this.mapModule(quiz.module, context),
+        scheduledStartTime: shiftDate(quiz.scheduledStartTime, context.dateOffsetDays),
+        scheduledEndTime: shiftDate(quiz.scheduledEndTime, context.dateOffsetDays),
+        duration: quiz.duration,
+        passingScore: quiz.passingScore,
+        shuffleQuestions: quiz.shuffleQuestions,
+        shuffleOptions: quiz.shuffleOptions,
+        showResults: quiz.showResults,
+        allowReview: quiz.allowReview,
+        isProctored: quiz.isProctored,
+        proctoringSettings: quiz.proctoringSettings ? quiz.proctoringSettings.toObject() : undefined,
+        attempts: quiz.attempts,
+        tags: quiz.tags,
+        difficulty: quiz.difficulty,
+        // The placement test has no schedule, so it stays in use; everything else waits to be published
+        status: isScreeningTest ? 'scheduled' : 'draft'
+      });
+
+      if (isScreeningTest) {
+        context.classroom.screeningTest = copy._id;
+        context.classroom.screeningTestSetAt = new Date();
+      }
+    }
+
+    return quizzes.length;
+  }
+
+  // DPPs come over as unpublished templates; they are linked to a class when published
+  async copyDPPs(source, context) {
+    const dpps = await DailyPracticeProblem.find({ classroom: source._id }).sort({ createdAt: 1 });
+
+    for (const dpp of dpps) {
+      const assignmentFiles = [];
+      for (const file of withoutIds(dpp.assignmentFiles)) {
+        const copy = await this.copyFile(file.fileUrl, context);
+        if (!copy) {
+          context.skippedAttachments += 1;
+          continue;
+        }
+        assignmentFiles.push({ ...file, fileUrl: copy.fileUrl });
+      }
+
+      await DailyPracticeProblem.create({
+        title: dpp.title,
+        description: dpp.description,
+        classroom: context.classroom._id,
+        targetGroups: this.mapGroups(dpp.targetGroups, context),
+        module: this.mapModule(dpp.module, context),
+        teacher: context.ownerId,
+        type: dpp.type,
+        questions: withoutIds(dpp.questions),
+        assignmentFiles,
+        instructions: dpp.instructions,
+        allowedFileTypes: dpp.allowedFileTypes,
+        maxFileSize: dpp.maxFileSize,
+        maxFiles: dpp.maxFiles,
+        dueDate: shiftDate(dpp.dueDate, context.dateOffsetDays),
+        maxScore: dpp.maxScore,
+        isPublished: false,
+        tags: dpp.tags,
+        estimatedTime: dpp.estimatedTime
+      });
+    }
+
+    return dpps.length;
+  }
+}
+
+module.exports = new ClassroomCopyService();
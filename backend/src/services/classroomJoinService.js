@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const Classroom = require('../models/Classroom');
+const ClassroomInvite = require('../models/ClassroomInvite');
+const ClassroomJoinRequest = require('../models/ClassroomJoinRequest');
+const importedWorkService = require('./importedWorkService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Join error carrying the HTTP status the controller should answer with
+const joinError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+// Admits students to classrooms through class codes, invite links and the approval queue
+class ClassroomJoinService {
+  // Checks shared by every way of joining
+  assertCanJoin(classroom, student) {
+    if (classroom.isStudent(student._id)) {
+      throw joinError(400, 'You are already enrolled in this classroom');
+    }
+    if (!classroom.isEmailDomainAllowed(student.email)) {
+      throw joinError(403, `This classroom only accepts students with an email address at ${classroom.allowedEmailDomains.join(', ')}`);
+    }
+  }
+
+  // Enrolls the student, bringing along any work held for them from an imported bundle.
+  // If their work cannot be restored they are not enrolled, so joining again retries it.
+  async admit(classroom, studentId) {
+    await classroom.addStudent(studentId);
+    try {
+      await importedWorkService.restore(classroom, studentId);
+    } catch (error) {
+      await Classroom.updateOne({ _id: classroom._id }, { $pull: { students: { student: studentId } } });
+      throw error;
+    }
+  }
+
+  /**
+   * Join with the class code. Classrooms that require approval queue a join request instead.
+   * @param {Object} student - User document
+   * @param {string} classCode
+   * @returns {Promise<{ status: 'joined'|'pending', classroom: Object, joinRequest?: Object }>}
+   */
+  async joinWithCode(student, classCode) {
+    const classroom = await Classroom.findOne({ classCode, isActive: true });
+    if (!classroom) {
+      throw joinError(404, 'Invalid class code');
+    }
+    if (classroom.isClassCodeExpired()) {
+      throw joinError(410, 'This class code has expired. Ask your teacher for a new one');
+    }
+
+    this.assertCanJoin(classroom, student);
+
+    if (!classroom.requireJoinApproval) {
+      await this.admit(classroom, student._id);
+      return { status: 'joined', classroom };
+    }
+
+    const existing = await ClassroomJoinRequest.findOne({ classroom: classroom._id, student: student._id, status: 'pending' });
+    if (existing) {
+      throw joinError(409, 'Your request to join this classroom is already waiting for approval');
+    }
+
+    const joinRequest = await ClassroomJoinRequest.create({ classroom: classroom._id, student: student._id });
+    return { status: 'pending', classroom, joinRequest };
+  }
+
+  // Active invite with its classroom, or an error explaining why the user cannot use the link
+  async findInvite(code, user) {
+    const invite = await ClassroomInvite.findOne({ code }).populate('classroom');
+    if (!invite || !invite.classroom || !invite.classroom.isActive || !invite.isFor(user._id)) {
+      throw joinError(404, 'Invalid invite link');
+    }
+    if (!invite.isUsable()) {
+      throw joinError(410, 'This invite link has expired or reached its usage limit');
+    }
+    return invite;
+  }
+
+  /**
+   * Join with an invite link. Invite links skip the approval queue.
+   * @param {Object} student - User document
+   * @param {string} code - Invite code from the link
+   * @returns {Promise<Object>} The classroom
+   */
+  async joinWithInvite(student, code) {
+    const invite = await this.findInvite(code, student);
+    const classroom = invite.classroom;
+
+    this.assertCanJoin(classroom, student);
+
+    if (!await ClassroomInvite.claimUse(invite._id)) {
+      throw joinError(410, 'This invite link has expired or reached its usage limit');
+    }
+
+    try {
+      await this.admit(classroom, student._id);
+    } catch (error) {
+      // The student did not get in, so the use is given back
+      await ClassroomInvite.updateOne({ _id: invite._id }, { $inc: { uses: -1 } });
+      throw error;
+    }
+    // Enrolled now, so a queued request no longer needs a decision
+    await ClassroomJoinRequest.updateOne(
+      { classroom: classroom._id, student: student._id, status: 'pending' },
+      { status: 'approved', decidedBy: invite.createdBy, decidedAt: new Date() }
+    );
+
+    return classroom;
+  }
+
+  async listPendingRequests(classroomId) {
+    return ClassroomJoinRequest.find({ classroom: classroomId, status: 'pending' })
+      .populate('student', 'name email studentId')
+      .sort({ createdAt: 1 });
+  }
+
+  /**
+   * Approve or reject a pending request.
+   * @param {Object} classroom - Classroom document
+   * @param {string} requestId
+   * @param {boolean} approve
+   * @param {ObjectId} decidedBy
+   * @returns {Promise<Object|null>} The decided request, or null if there is no pending request with that ID
+   */
+  async decide(classroom, requestId, approve, decidedBy) {
+    const joinRequest = await ClassroomJoinRequest.findOneAndUpdate(
+      { _id: requestId, classroom: classroom._id, status: 'pending' },
+      { status: approve ? 'approved' : 'rejected', decidedBy, decidedAt: new Date() },
+      { new: true }
+    ).populate('student', 'name email studentId');
+
+    if (joinRequest && approve && joinRequest.student) {
+      try {
+        await this.admit(classroom, joinRequest.student._id);
+      } catch (error) {
+        // Back in the queue, so the approval can be tried again
+        await ClassroomJoinRequest.updateOne({ _id: joinRequest._id }, { status: 'pending', decidedBy: null, decidedAt: null });
+        throw error;
+      }
+    }
+
+    return joinRequest;
+  }
+
+  /**
+   * Replace the class code. Students who already joined are not affected.
+   * @param {Object} classroom - Classroom document
+   * @param {number|null} expiresInDays - Null for a code that never expires
+   * @returns {Promise<Object>} The classroom
+   */
+  async regenerateClassCode(classroom, expiresInDays) {
+    classroom.classCode = await Classroom.generateUniqueClassCode();
+    classroom.classCodeExpiresAt = expiresInDays ? new Date(Date.now() + expiresInDays * DAY_MS) : null;
+    return classroom.save();
+  }
+
+  /**
+   * Create an invite link.
+   * @param {Object} classroom - Classroom document
+   * @param {ObjectId} createdBy
+   * @param {Object} options - { expiresInDays, maxUses }; leave either out for no limit.
+   *   Pass student for a personal invite only that student can use.
+   * @returns {Promise<Object>} The invite
+   */
+  async createInvite(classroom, createdBy, { expiresInDays, maxUses, student }) {
+    return ClassroomInvite.create({
+      classroom: classroom._id,
+      createdBy,
+      student: student || null,
+      code: crypto.randomBytes(12).toString('base64url'),
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * DAY_MS) : null,
+      maxUses: maxUses || null
+    });
+  }
+
+  // Links that have not been revoked, newest first; used-up and expired ones are included
+  async listInvites(classroomId) {
+    return ClassroomInvite.find({ classroom: classroomId, revokedAt: null })
+      .populate('createdBy', 'name email')
+      .populate('student', 'name email')
+      .sort({ createdAt: -1 });
+  }
+
+  // Returns false if the link does not exist in this classroom or was already revoked
+  async revokeInvite(classroomId, inviteId) {
+    const result = await ClassroomInvite.updateOne(
+      { _id: inviteId, classroom: classroomId, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    return result.modifiedCount > 0;
+  }
+}
+
+module.exports = new ClassroomJoinService();
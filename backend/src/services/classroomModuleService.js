@@ -0,0 +1,234 @@
+const Post = require('../models/Post');
+const Assignment = require('../models/Assignment');
+const Submission = require('../models/Submission');
+const Quiz = require('../models/Quiz');
+const QuizSession = require('../models/QuizSession');
+const DailyPracticeProblem = require('../models/DailyPracticeProblem');
+const VideoClass = require('../models/VideoClass');
+const Attendance = require('../models/Attendance');
+
+const ALL_LEVELS = ['beginner', 'intermediate', 'advanced'];
+
+// Content that can be placed in a module, keyed by the type used in the API
+const ITEM_MODELS = {
+  post: Post,
+  assignment: Assignment,
+  quiz: Quiz,
+  dpp: DailyPracticeProblem,
+  video_class: VideoClass
+};
+
+// Posts are reading material; everything else is work a student can finish
+const TRACKED_TYPES = ['assignment', 'quiz', 'dpp', 'video_class'];
+
+const FINISHED_SESSION_STATUSES = ['submitted', 'under_review', 'completed', 'flagged'];
+
+const idOf = (ref) => (ref ? ref.toString() : null);
+
+// Builds per-module views of a classroom's content and how far students have got through it
+class ClassroomModuleService {
+  isItemType(type) {
+    return Object.prototype.hasOwnProperty.call(ITEM_MODELS, type);
+  }
+
+  // Moves a content item of this classroom into a module, or out of any with a null moduleId.
+  // Resolves to the item, or null when the classroom has no such item
+  setItemModule(classroomId, type, itemId, moduleId) {
+    return ITEM_MODELS[type].findOneAndUpdate(
+      { _id: itemId, classroom: classroomId },
+      moduleId ? { module: moduleId } : { $unset: { module: 1 } },
+      { new: true }
+    ).select('title module');
+  }
+
+  // Takes content out of a module that is being deleted
+  releaseModule(classroomId, moduleId) {
+    return Promise.all(Object.values(ITEM_MODELS).map(model =>
+      model.updateMany({ classroom: classroomId, module: moduleId }, { $unset: { module: 1 } })
+    ));
+  }
+
+  // Every content item of the classroom in one shape, with what decides who may see it
+  async loadItems(classroomId) {
+    const [posts, assignments, quizzes, dpps, videoClasses] = await Promise.all([
+      Post.find({ classroom: classroomId, isDeleted: false })
+        .select('title module visibility targetLevels targetGroups createdAt'),
+      Assignment.find({ classroom: classroomId })
+        .select('title module isPublished targetLevels targetGroups dueDate'),
+      Quiz.find({ classroom: classroomId, status: { $ne: 'cancelled' } })
+        .select('title module status targetGroups scheduledStartTime'),
+      DailyPracticeProblem.find({ classroom: classroomId })
+        .select('title module isPublished targetGroups dueDate submissions.student'),
+      VideoClass.find({ classroom: classroomId, status: { $ne: 'cancelled' } })
+        .select('title module targetGroups scheduledStartTime')
+    ]);
+
+    const item = (type, doc, date, fields) => ({
+      type,
+      _id: doc._id,
+      title: doc.title,
+      date,
+      module: doc.module,
+      targetGroups: doc.targetGroups || [],
+      targetLevels: [],
+      ...fields
+    });
+
+    const items = [
+      ...posts.map(post => item('post', post, post.createdAt, {
+        published: post.visibility !== 'teachers',
+        targetLevels: post.targetLevels
+      })),
+      ...assignments.map(assignment => item('assignment', assignment, assignment.dueDate, {
+        published: assignment.isPublished,
+        targetLevels: assignment.targetLevels
+      })),
+      ...quizzes.map(quiz => item('quiz', quiz, quiz.scheduledStartTime, {
+        published: quiz.status !== 'draft'
+      })),
+      ...dpps.map(dpp => item('dpp', dpp, dpp.dueDate, {
+        published: dpp.isPublished,
+        submittedBy: dpp.submissions.map(s => idOf(s.student))
+      })),
+      ...videoClasses.map(videoClass => item('video_class', videoClass, videoClass.scheduledStartTime, {
+        published: true
+      }))
+    ];
+
+    return items.sort((a, b) => new Date(a.date || 0) - new Date(b.date || 0));
+  }
+
+  // Whether an enrolled student can see the item, following the content lists' rules
+  isVisibleTo(classroom, item, studentId) {
+    if (!item.published) return false;
+    if (!classroom.isInAudience(studentId, item.targetGroups)) return false;
+    if (!item.targetLevels || item.targetLevels.length === 0) return true;
+
+    // Level-targeted work unlocks once the screening test is taken
+    if (classroom.isScreeningPending(studentId)) {
+      return ALL_LEVELS.every(level => item.targetLevels.includes(level));
+    }
+    const enrollment = classroom.students.find(s => idOf(s.student._id || s.student) === studentId.toString());
+    return !!enrollment && item.targetLevels.includes(enrollment.level);
+  }
+
+  // Keys "<type>:<itemId>:<studentId>" for every finished item of the given students
+  async loadCompletions(items, studentIds) {
+    const idsOf = (type) => items.filter(item => item.type === type).map(item => item._id);
+
+    const [submissions, sessions, attendance] = await Promise.all([
+      Submission.find({
+        assignment: { $in: idsOf('assignment') },
+        student: { $in: studentIds },
+        status: { $ne: 'draft' }
+      }).select('assignment student'),
+      QuizSession.find({
+        quiz: { $in: idsOf('quiz') },
+        student: { $in: studentIds },
+        status: { $in: FINISHED_SESSION_STATUSES }
+      }).select('quiz student'),
+      Attendance.find({
+        videoClass: { $in: idsOf('video_class') },
+        student: { $in: studentIds },
+        status: { $in: ['present', 'late'] }
+      }).select('videoClass student')
+    ]);
+
+    const done = new Set();
+    submissions.forEach(s => done.add(`assignment:${s.assignment}:${s.student}`));
+    sessions.forEach(s => done.add(`quiz:${s.quiz}:${s.student}`));
+    attendance.forEach(a => done.add(`video_class:${a.videoClass}:${a.student}`));
+    items
+      .filter(item => item.type === 'dpp')
+      .forEach(item => item.submittedBy.forEach(studentId => done.add(`dpp:${item._id}:${studentId}`)));
+    return done;
+  }
+
+  // Public fields of an item
+  summarize(item) {
+    const { targetLevels, submittedBy, ...summary } = item;
+    return summary;
+  }
+
+  // Finished and total tracked items per module for one student
+  moduleProgress(classroom, items, studentId, done) {
+    return classroom.modules.map(module => {
+      const tracked = items.filter(item =>
+        idOf(item.module) === module._id.toString() &&
+        TRACKED_TYPES.includes(item.type) &&
+        this.isVisibleTo(classroom, item, studentId)
+      );
+      return {
+        module: module._id,
+        completed: tracked.filter(item => done.has(`${item.type}:${item._id}:${studentId}`)).length,
+        total: tracked.length
+      };
+    });
+  }
+
+  /**
+   * Modules with their content. Staff see every item and what is not in a module
+   * yet; a student sees the items they can open, which of them they have
+   * finished, and their progress through each module.
+   * @param {Object} classroom - Classroom document
+   * @param {Object} options - studentId when viewing as a student
+   * @returns {Promise<Object>} { modules, unassigned? }
+   */
+  async getModules(classroom, { studentId } = {}) {
+    const items = await this.loadItems(classroom._id);
+    const itemsIn = (module) => items.filter(item => idOf(item.module) === module._id.toString());
+
+    if (!studentId) {
+      const moduleIds = classroom.modules.map(module => module._id.toString());
+      return {
+        modules: classroom.modules.map(module => ({
+          _id: module._id,
+          title: module.title,
+          description: module.description,
+          items: itemsIn(module).map(item => this.summarize(item))
+        })),
+        unassigned: items
+          .filter(item => !moduleIds.includes(idOf(item.module)))
+          .map(item => this.summarize(item))
+      };
+    }
+
+    const visible = items.filter(item => this.isVisibleTo(classroom, item, studentId));
+    const done = await this.loadCompletions(visible, [studentId]);
+    const progress = this.moduleProgress(classroom, visible, studentId, done);
+
+    return {
+      modules: classroom.modules.map((module, index) => ({
+        _id: module._id,
+        title: module.title,
+        description: module.description,
+        items: itemsIn(module)
+          .filter(item => this.isVisibleTo(classroom, item, studentId))
+          .map(item => ({
+            ...this.summarize(item),
+            tracked: TRACKED_TYPES.includes(item.type),
+            completed: done.has(`${item.type}:${item._id}:${studentId}`)
+          })),
+        progress: { completed: progress[index].completed, total: progress[index].total }
+      }))
+    };
+  }
+
+  /**
+   * Progress through every module for every enrolled student.
+   * @param {Object} classroom - Classroom document with students.student populated
+   * @returns {Promise<Array>} [{ student, modules: [{ module, completed, total }] }]
+   */
+  async getClassProgress(classroom) {
+    const items = await this.loadItems(classroom._id);
+    const studentIds = classroom.students.map(s => s.student._id || s.student);
+    const done = await this.loadCompletions(items, studentIds);
+
+    return classroom.students.map(enrollment => ({
+      student: enrollment.student,
+      modules: this.moduleProgress(classroom, items, (enrollment.student._id || enrollment.student).toString(), done)
+    }));
+  }
+}
+
+module.exports = new ClassroomModuleService();
@@ -0,0 +1,176 @@
+const Classroom = require('../models/Classroom');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Assignment = require('../models/Assignment');
+const Quiz = require('../models/Quiz');
+const DailyPracticeProblem = require('../models/DailyPracticeProblem');
+const { searchTerms, termsFilter, containsAny, snippet } = require('../utils/search');
+
+const ALL_LEVELS = ['beginner', 'intermediate', 'advanced'];
+
+const SEARCH_TYPES = ['post', 'comment', 'assignment', 'quiz', 'dpp'];
+
+// Search across a classroom's posts, comments, assignments, quizzes and DPPs. Students
+// only find what they could open from the classroom page; staff also find unpublished work.
+class ClassroomSearchService {
+  // The same rules the classroom listings use for what a student can see
+  studentFilters(classroom, studentId) {
+    const enrollment = classroom.students.find(s => s.student.toString() === studentId.toString());
+    const screeningPending = classroom.isScreeningPending(studentId);
+    const audience = Classroom.audienceFilter(classroom.getStudentGroupIds(studentId));
+
+    return {
+      post: {
+        visibility: { $in: ['all', 'students'] },
+        $and: [
+          screeningPending
+            ? { targetLevels: { $size: 0 } }
+            : { $or: [{ targetLevels: { $size: 0 } }, { targetLevels: enrollment.level }] },
+          audience
+        ]
+      },
+      assignment: {
+        isPublished: true,
+        targetLevels: screeningPending ? { $all: ALL_LEVELS } : { $in: [enrollment.level] },
+        $and: [audience]
+      },
+      quiz: { status: { $ne: 'draft' }, $and: [audience] },
+      dpp: { isPublished: true, $and: [audience] }
+    };
+  }
+
+  staffFilters() {
+    return {
+      post: { visibility: { $in: ['all', 'teachers'] } },
+      assignment: {},
+      quiz: {},
+      dpp: {}
+    };
+  }
+
+  // Filters shared by staff and students: deleted posts and screening quizzes never show up
+  commonFilters() {
+    return {
+      post: { isDeleted: false },
+      quiz: { isScreening: { $ne: true } }
+    };
+  }
+
+  // Which parts of a document matched, and an excerpt from the first text field that did
+  describeMatch(terms, texts, fileNames = []) {
+    const matches = Object.keys(texts).filter(field => containsAny(texts[field], terms));
+    const attachment = fileNames.find(name => containsAny(name, terms)) || null;
+    if (attachment) matches.push('attachment');
+
+    return {
+      matches,
+      snippet: matches.length > 0 && matches[0] !== 'attachment' ? snippet(texts[matches[0]], terms) : null,
+      attachment
+    };
+  }
+
+  /**
+   * Search a classroom.
+   * @param {Object} classroom - Classroom document
+   * @param {Object} user - The searching user; staff see unpublished work, students what they can open
+   * @param {string} query
+   * @param {Object} options - types to search (defaults to all) and limit per type
+   * @returns {Promise<Object>} { query, counts, results } with results newest first
+   */
+  async search(classroom, user, query, { types = SEARCH_TYPES, limit = 20 } = {}) {
+    const terms = searchTerms(query);
+    const searched = types.filter(type => SEARCH_TYPES.includes(type));
+    const isStaff = user.role === 'teacher' && classroom.isStaff(user._id);
+    const filters = isStaff ? this.staffFilters() : this.studentFilters(classroom, user._id);
+    const common = this.commonFilters();
+
+    // Each filter may bring its own $and, so they are combined rather than merged
+    const visible = (type) => [{ classroom: classroom._id }, common[type] || {}, filters[type]];
+
+    const find = (type, model, fields, select) => (searched.includes(type)
+      ? model.find({ $and: [...visible(type), termsFilter(terms, fields)] })
+        .select(select)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+      : []);
+
+    const [posts, assignments, quizzes, dpps] = await Promise.all([
+      find('post', Post, ['title', 'content', 'attachments.fileName'],
+        'type title content attachments.fileName createdAt'),
+      find('assignment', Assignment, ['title', 'description', 'attachments.fileName'],
+        'title description attachments.fileName dueDate isPublished createdAt'),
+      find('quiz', Quiz, ['title'], 'title status scheduledStartTime createdAt'),
+      find('dpp', DailyPracticeProblem, ['title', 'description', 'tags', 'assignmentFiles.fileName'],
+        'title description tags assignmentFiles.fileName dueDate isPublished createdAt')
+    ]);
+
+    // Comments are searched on every post the user can see, not just the posts that matched
+    let comments = [];
+    if (searched.includes('comment')) {
+      const visiblePostIds = await Post.find({ $and: visible('post') }).distinct('_id');
+      comments = await Comment.find({
+        post: { $in: visiblePostIds },
+        isDeleted: false,
+        ...termsFilter(terms, ['content', 'attachments.fileName'])
+      })
+        .populate('author', 'name')
+        .populate('post', 'title')
+        .select('post author content attachments.fileName createdAt')
+        .sort({ createdAt: -1 })
+        .limit(limit);
+    }
+
+    const results = [
+      ...posts.map(post => ({
+        type: 'post',
+        _id: post._id,
+        title: post.title || `${post.type.charAt(0).toUpperCase()}${post.type.slice(1)} post`,
+        date: post.createdAt,
+        ...this.describeMatch(terms, { title: post.title, content: post.content }, post.attachments.map(a => a.fileName))
+      })),
+      ...comments.map(comment => ({
+        type: 'comment',
+        _id: comment._id,
+        title: comment.author ? `Comment by ${comment.author.name}` : 'Comment',
+        post: comment.post,
+        date: comment.createdAt,
+        ...this.describeMatch(terms, { content: comment.content }, comment.attachments.map(a => a.fileName))
+      })),
+      ...assignments.map(assignment => ({
+        type: 'assignment',
+        _id: assignment._id,
+        title: assignment.title,
+        date: assignment.createdAt,
+        dueDate: assignment.dueDate,
+        ...(isStaff && { published: assignment.isPublished }),
+        ...this.describeMatch(terms, { title: assignment.title, description: assignment.description },
+          assignment.attachments.map(a => a.fileName))
+      })),
+      ...quizzes.map(quiz => ({
+        type: 'quiz',
+        _id: quiz._id,
+        title: quiz.title,
+        date: quiz.createdAt,
+        scheduledStartTime: quiz.scheduledStartTime,
+        ...(isStaff && { published: quiz.status !== 'draft' }),
+        ...this.describeMatch(terms, { title: quiz.title })
+      })),
+      ...dpps.map(dpp => ({
+        type: 'dpp',
+        _id: dpp._id,
+        title: dpp.title,
+        date: dpp.createdAt,
+        dueDate: dpp.dueDate,
+        ...(isStaff && { published: dpp.isPublished }),
+        ...this.describeMatch(terms, { title: dpp.title, description: dpp.description, tags: dpp.tags.join(' ') },
+          dpp.assignmentFiles.map(f => f.fileName))
+      }))
+    ].sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    const counts = Object.fromEntries(SEARCH_TYPES.map(type => [type, results.filter(r => r.type === type).length]));
+
+    return { query: terms.join(' '), counts, results };
+  }
+}
+
+module.exports = new ClassroomSearchService();
@@ -0,0 +1,158 @@
+const cron = require('node-cron');
+const Classroom = require('../models/Classroom');
+const Assignment = require('../models/Assignment');
+const Post = require('../models/Post');
+const Attendance = require('../models/Attendance');
+const QuizSession = require('../models/QuizSession');
+const DailyPracticeProblem = require('../models/DailyPracticeProblem');
+
+const FINISHED_SESSION_STATUSES = ['submitted', 'under_review', 'completed', 'flagged'];
+
+const ROLLUPS = ['averageAttendance', 'averageQuizScore', 'dppCompletionRate'];
+
+const DEFAULT_RECOMPUTE_SCHEDULE = '30 2 * * *';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Stored classroom statistics: counters moved as content is added or removed, averages
+// recomputed from attendance, quiz and DPP records, and a full recompute that repairs drift
+class ClassroomStatsService {
+  // Move totalAssignments or totalPosts when content is added (1) or removed (-1)
+  async adjustCounter(classroomId, field, delta) {
+    await Classroom.updateOne({ _id: classroomId }, { $inc: { [field]: delta } });
+  }
+
+  // Mean of each student's share of video classes attended (present or late)
+  async computeAverageAttendance(classroom) {
+    const [result] = await Attendance.aggregate([
+      { $match: { classroom: classroom._id } },
+      {
+        $group: {
+          _id: '$student',
+          attended: { $sum: { $cond: [{ $in: ['$status', ['present', 'late']] }, 1, 0] } },
+          total: { $sum: 1 }
+        }
+      },
+      { $group: { _id: null, average: { $avg: { $divide: ['$attended', '$total'] } } } }
+    ]);
+    return result ? round(result.average * 100) : null;
+  }
+
+  // Mean percentage of finished quiz sessions; the screening test is left out
+  async computeAverageQuizScore(classroom) {
+    const [result] = await QuizSession.aggregate([
+      {
+        $match: {
+          classroom: classroom._id,
+          status: { $in: FINISHED_SESSION_STATUSES },
+          ...(classroom.screeningTest && { quiz: { $ne: classroom.screeningTest } })
+        }
+      },
+      { $group: { _id: null, average: { $avg: '$percentage' } } }
+    ]);
+    return result ? round(result.average) : null;
+  }
+
+  // Submissions to published DPPs out of the submissions their audiences could have made
+  async computeDppCompletionRate(classroom) {
+    const dpps = await DailyPracticeProblem.find({ classroom: classroom._id, isPublished: true })
+      .select('targetGroups submissions.student');
+
+    let expected = 0;
+    let submitted = 0;
+    dpps.forEach(dpp => {
+      expected += classroom.countAudience(dpp.targetGroups);
+      submitted += dpp.submissions.filter(s => classroom.isStudent(s.student)).length;
+    });
+
+    return expected > 0 ? round(Math.min(submitted / expected, 1) * 100) : null;
+  }
+
+  async computeRollups(classroom, fields = ROLLUPS) {
+    const compute = {
+      averageAttendance: () => this.computeAverageAttendance(classroom),
+      averageQuizScore: () => this.computeAverageQuizScore(classroom),
+      dppCompletionRate: () => this.computeDppCompletionRate(classroom)
+    };
+
+    const values = await Promise.all(fields.map(field => compute[field]()));
+    return Object.fromEntries(fields.map((field, index) => [field, values[index]]));
+  }
+
+  /**
+   * Recompute some of a classroom's averages after the records behind them change.
+   * Errors are logged rather than thrown so they never fail the request that changed the records.
+   * @param {ObjectId} classroomId
+   * @param {Array<string>} fields - averageAttendance, averageQuizScore and/or dppCompletionRate
+   */
+  async refresh(classroomId, fields = ROLLUPS) {
+    try {
+      const classroom = await Classroom.findById(classroomId).select('students groups screeningTest');
+      if (!classroom) return;
+
+      const values = await this.computeRollups(classroom, fields);
+      await Classroom.updateOne({ _id: classroom._id }, { $set: { ...values, statsUpdatedAt: new Date() } });
+    } catch (error) {
+      console.error('Refresh classroom stats error:', error);
+    }
+  }
+
+  /**
+   * Recompute every statistic of a classroom from scratch.
+   * @param {Object} classroom - Classroom document
+   * @returns {Promise<Object>} The fields that had drifted, with their stored and recomputed values
+   */
+  async recompute(classroom) {
+    const [totalAssignments, totalPosts, rollups] = await Promise.all([
+      Assignment.countDocuments({ classroom: classroom._id }),
+      Post.countDocuments({ classroom: classroom._id, isDeleted: { $ne: true } }),
+      this.computeRollups(classroom)
+    ]);
+    const values = { totalAssignments, totalPosts, ...rollups };
+
+    const drifted = {};
+    Object.entries(values).forEach(([field, value]) => {
+      const stored = classroom[field] ?? null;
+      if (stored !== value) {
+        drifted[field] = { stored, recomputed: value };
+      }
+    });
+
+    await Classroom.updateOne({ _id: classroom._id }, { $set: { ...values, statsUpdatedAt: new Date() } });
+    return drifted;
+  }
+
+  // Recompute every active classroom; returns how many were checked and how many had drifted
+  async recomputeAll() {
+    let checked = 0;
+    let repaired = 0;
+
+    const cursor = Classroom.find({ isActive: true }).cursor();
+    for (let classroom = await cursor.next(); classroom; classroom = await cursor.next()) {
+      const drifted = await this.recompute(classroom);
+      checked++;
+      if (Object.keys(drifted).length > 0) repaired++;
+    }
+
+    return { checked, repaired };
+  }
+
+  // Run recomputeAll on CLASSROOM_STATS_CRON (nightly by default)
+  scheduleRecompute(expression = process.env.CLASSROOM_STATS_CRON || DEFAULT_RECOMPUTE_SCHEDULE) {
+    if (!cron.validate(expression)) {
+      console.error(`Invalid CLASSROOM_STATS_CRON expression: ${expression}`);
+      return null;
+    }
+
+    return cron.schedule(expression, async () => {
+      try {
+        const { checked, repaired } = await this.recomputeAll();
+        console.log(`Classroom stats recomputed: ${checked} classrooms, ${repaired} repaired`);
+      } catch (error) {
+        console.error('Recompute classroom stats error:', error);
+      }
+    });
+  }
+}
+
+module.exports = new ClassroomStatsService();
@@ -0,0 +1,227 @@
+const nodemailer = require('nodemailer');
+const path = require('path');
+const fs = require('fs').promises;
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Outgoing email. The transport is picked by EMAIL_TRANSPORT:
+ * - smtp: deliver through EMAIL_HOST/EMAIL_PORT (default in production)
+ * - file: write each message as JSON under EMAIL_OUTBOX_DIR (default in development)
+ * - json: keep messages in memory only (default in tests)
+ * Messages sent through the file and json transports are also kept in `outbox`.
+ */
+class EmailService {
+  constructor() {
+    this.transporter = null;
+    this.transportType = null;
+    this.outbox = [];
+    this.maxOutboxSize = 50;
+  }
+
+  getTransportType() {
+    if (process.env.EMAIL_TRANSPORT) {
+      return process.env.EMAIL_TRANSPORT;
+    }
+    if (process.env.NODE_ENV === 'production') return 'smtp';
+    if (process.env.NODE_ENV === 'test') return 'json';
+    return 'file';
+  }
+
+  getTransporter() {
+    const type = this.getTransportType();
+    if (this.transporter && this.transportType === type) {
+      return this.transporter;
+    }
+
+    if (type === 'smtp') {
+      const port = parseInt(process.env.EMAIL_PORT) || 587;
+      this.transporter = nodemailer.createTransport({
+        host: process.env.EMAIL_HOST,
+        port,
+        secure: port === 465,
+        auth: process.env.EMAIL_USER ? {
+          user: process.env.EMAIL_USER,
+          pass: process.env.EMAIL_PASS
+        } : undefined
+      });
+    } else if (type === 'file' || type === 'json') {
+      this.transporter = nodemailer.createTransport({ jsonTransport: true });
+    } else {
+      throw new Error(`Unknown EMAIL_TRANSPORT: ${type}`);
+    }
+
+    this.transportType = type;
+    return this.transporter;
+  }
+
+  getFromAddress() {
+    return process.env.EMAIL_FROM || process.env.EMAIL_USER || 'Shayak <no-reply@shayak.local>';
+  }
+
+  getFrontendUrl() {
+    return (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+  }
+
+  /**
+   * Send an email
+   * @param {Object} message - { to, subject, text, html }
+   * @returns {Object} Transport info
+   */
+  async sendMail({ to, subject, text, html }) {
+    const transporter = this.getTransporter();
+    const info = await transporter.sendMail({
+      from: this.getFromAddress(),
+      to,
+      subject,
+      text,
+      html
+    });
+
+    if (this.transportType !== 'smtp') {
+      const message = JSON.parse(info.message);
+      this.outbox.push(message);
+      if (this.outbox.length > this.maxOutboxSize) {
+        this.outbox.shift();
+      }
+
+      if (this.transportType === 'file') {
+        const outboxDir = process.env.EMAIL_OUTBOX_DIR || path.join(__dirname, '../../tmp/emails');
+        await fs.mkdir(outboxDir, { recursive: true });
+        const fileName = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, '')}.json`;
+        await fs.writeFile(path.join(outboxDir, fileName), JSON.stringify(message, null, 2));
+      }
+    }
+
+    return info;
+  }
+
+  /**
+   * Send a password reset link
+   * @param {Object} user - User document
+   * @param {string} token - Raw reset token
+   * @param {number} expiresInMinutes
+   */
+  async sendPasswordResetEmail(user, token, expiresInMinutes) {
+    const resetUrl = `${this.getFrontendUrl()}/auth/reset-password?token=${token}`;
+
+    return this.sendMail({
+      to: user.email,
+      subject: 'Reset your Shayak password',
+      text: `Hi ${user.name},\n\n` +
+        `We received a request to reset your Shayak password. ` +
+        `Open the link below to choose a new one:\n\n${resetUrl}\n\n` +
+        `This link expires in ${expiresInMinutes} minutes and can only be used once. ` +
+        `If you did not request a reset, you can ignore this email.`,
+      html: `<p>Hi ${escapeHtml(user.name)},</p>` +
+        `<p>We received a request to reset your Shayak password. ` +
+        `Click the link below to choose a new one:</p>` +
+        `<p><a href="${resetUrl}">Reset password</a></p>` +
+        `<p>This link expires in ${expiresInMinutes} minutes and can only be used once. ` +
+        `If you did not request a reset, you can ignore this email.</p>`
+    });
+  }
+
+  /**
+   * Invite a student whose account was created from a classroom roster
+   * @param {Object} user - User document
+   * @param {Object} classroom - Classroom they were enrolled in
+   * @param {string} token - Raw invite token
+   * @param {number} expiresInMinutes
+   */
+  async sendClassroomInviteEmail(user, classroom, token, expiresInMinutes) {
+    const inviteUrl = `${this.getFrontendUrl()}/auth/accept-invite?token=${token}`;
+    const expiresInDays = Math.round(expiresInMinutes / (24 * 60));
+
+    return this.sendMail({
+      to: user.email,
+      subject: `You have been added to ${classroom.name} on Shayak`,
+      text: `Hi ${user.name},\n\n` +
+        `Your teacher has created a Shayak account for you and added you to ${classroom.name}. ` +
+        `Open the link below to choose a password and sign in:\n\n${inviteUrl}\n\n` +
+        `The link expires in ${expiresInDays} days and can only be used once.`,
+      html: `<p>Hi ${escapeHtml(user.name)},</p>` +
+        `<p>Your teacher has created a Shayak account for you and added you to ` +
+        `<strong>${escapeHtml(classroom.name)}</strong>. Click the link below to choose a password and sign in:</p>` +
+        `<p><a href="${inviteUrl}">Set up your account</a></p>` +
+        `<p>The link expires in ${expiresInDays} days and can only be used once.</p>`
+    });
+  }
+
+  /**
+   * Invite a student to a classroom imported from another server or term.
+   * Their earlier work there is restored once they accept.
+   * @param {Object} user - User document
+   * @param {Object} classroom - Imported classroom
+   * @param {string} code - Personal invite code
+   * @param {number} expiresInDays
+   */
+  async sendImportedClassroomInviteEmail(user, classroom, code, expiresInDays) {
+    const inviteUrl = `${this.getFrontendUrl()}/dashboard/join/${code}`;
+
+    return this.sendMail({
+      to: user.email,
+      subject: `You have been invited to ${classroom.name} on Shayak`,
+      text: `Hi ${user.name},\n\n` +
+        `Your teacher has moved ${classroom.name} to a new classroom and invited you to join it. ` +
+        `Your earlier work will be added once you accept the invite:\n\n${inviteUrl}\n\n` +
+        `The link expires in ${expiresInDays} days. If you do not accept it, your earlier work is not copied.`,
+      html: `<p>Hi ${escapeHtml(user.name)},</p>` +
+        `<p>Your teacher has moved <strong>${escapeHtml(classroom.name)}</strong> to a new classroom and invited you to join it. ` +
+        `Your earlier work will be added once you accept the invite:</p>` +
+        `<p><a href="${inviteUrl}">Join the classroom</a></p>` +
+        `<p>The link expires in ${expiresInDays} days. If you do not accept it, your earlier work is not copied.</p>`
+    });
+  }
+
+  /**
+   * Tell a student that staff approved their request to join a classroom
+   * @param {Object} user - User document
+   * @param {Object} classroom - Classroom they joined
+   */
+  async sendJoinRequestApprovedEmail(user, classroom) {
+    const classroomUrl = `${this.getFrontendUrl()}/dashboard/classrooms/${classroom._id}`;
+
+    return this.sendMail({
+      to: user.email,
+      subject: `You have joined ${classroom.name} on Shayak`,
+      text: `Hi ${user.name},\n\n` +
+        `Your request to join ${classroom.name} has been approved. ` +
+        `Open the link below to see the classroom:\n\n${classroomUrl}`,
+      html: `<p>Hi ${escapeHtml(user.name)},</p>` +
+        `<p>Your request to join <strong>${escapeHtml(classroom.name)}</strong> has been approved.</p>` +
+        `<p><a href="${classroomUrl}">Open the classroom</a></p>`
+    });
+  }
+
+  /**
+   * Send an email address verification link
+   * @param {Object} user - User document
+   * @param {string} token - Raw verification token
+   * @param {number} expiresInMinutes
+   */
+  async sendVerificationEmail(user, token, expiresInMinutes) {
+    const verifyUrl = `${this.getFrontendUrl()}/auth/verify-email?token=${token}`;
+    const expiresInHours = Math.round(expiresInMinutes / 60);
+
+    return this.sendMail({
+      to: user.email,
+      subject: 'Verify your Shayak email address',
+      text: `Hi ${user.name},\n\n` +
+        `Please confirm your email address by opening the link below:\n\n${verifyUrl}\n\n` +
+        `The link expires in ${expiresInHours} hours. Until your email is verified ` +
+        `you may not be able to join classrooms or submit work.`,
+      html: `<p>Hi ${escapeHtml(user.name)},</p>` +
+        `<p>Please confirm your email address by clicking the link below:</p>` +
+        `<p><a href="${verifyUrl}">Verify email</a></p>` +
+        `<p>The link expires in ${expiresInHours} hours. Until your email is verified ` +
+        `you may not be able to join classrooms or submit work.</p>`
+    });
+  }
+}
+
+module.exports = new EmailService();
@@ -0,0 +1,281 @@
+const Assignment = require('../models/Assignment');
+const Submission = require('../models/Submission');
+const Quiz = require('../models/Quiz');
+const QuizSession = require('../models/QuizSession');
+const DailyPracticeProblem = require('../models/DailyPracticeProblem');
+const VideoClass = require('../models/VideoClass');
+const Attendance = require('../models/Attendance');
+const classroomModuleService = require('./classroomModuleService');
+const { DEFAULT_GRADE_CATEGORIES } = require('../utils/grading');
+
+const FINISHED_SESSION_STATUSES = ['submitted', 'under_review', 'completed', 'flagged'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const key = (itemId, studentId) => `${itemId}:${studentId}`;
+
+// Weighted final grades from assignments, quizzes, DPPs and attendance
+class GradebookService {
+  // Graded work of the classroom as gradebook columns, oldest first
+  async loadColumns(classroom) {
+    const [assignments, quizzes, dpps, videoClasses] = await Promise.all([
+      Assignment.find({ classroom: classroom._id, isPublished: true })
+        .select('title dueDate targetLevels targetGroups'),
+      // The placement test sets a level; it is not part of the grade
+      Quiz.find({
+        classroom: classroom._id,
+        status: { $nin: ['draft', 'cancelled'] },
+        ...(classroom.screeningTest && { _id: { $ne: classroom.screeningTest } })
+      }).select('title scheduledEndTime targetGroups'),
+      DailyPracticeProblem.find({ classroom: classroom._id, isPublished: true })
+        .select('title type dueDate targetGroups submissions'),
+      VideoClass.find({ classroom: classroom._id, status: 'ended' })
+        .select('title scheduledStartTime targetGroups')
+    ]);
+
+    const column = (category, type, doc, closesAt, fields = {}) => ({
+      _id: doc._id,
+      category,
+      type,
+      title: doc.title,
+      closesAt,
+      published: true,
+      targetGroups: doc.targetGroups || [],
+      targetLevels: [],
+      ...fields
+    });
+
+    return [
+      ...assignments.map(a => column('assignments', 'assignment', a, a.dueDate, { targetLevels: a.targetLevels })),
+      ...quizzes.map(q => column('quizzes', 'quiz', q, q.scheduledEndTime)),
+      ...dpps.map(d => column('dpps', 'dpp', d, d.dueDate, { dpp: d })),
+      ...videoClasses.map(v => column('attendance', 'video_class', v, v.scheduledStartTime))
+    ].sort((a, b) => new Date(a.closesAt || 0) - new Date(b.closesAt || 0));
+  }
+
+  // Results keyed by "<itemId>:<studentId>" with when they were graded or handed in;
+  // a null percentage marks work handed in but not graded yet
+  async loadResults(columns, studentIds) {
+    const idsOf = (type) => columns.filter(c => c.type === type).map(c => c._id);
+    const results = new Map();
+
+    const [submissions, sessions, attendance] = await Promise.all([
+      Submission.find({
+        assignment: { $in: idsOf('assignment') },
+        student: { $in: studentIds },
+        status: { $ne: 'draft' }
+      }).select('assignment student status grade.percentage submittedAt gradedAt'),
+      QuizSession.find({
+        quiz: { $in: idsOf('quiz') },
+        student: { $in: studentIds },
+        status: { $in: FINISHED_SESSION_STATUSES }
+      }).select('quiz student percentage submittedAt'),
+      Attendance.find({
+        videoClass: { $in: idsOf('video_class') },
+        student: { $in: studentIds },
+        status: { $in: ['present', 'late'] }
+      }).select('videoClass student createdAt')
+    ]);
+
+    submissions.forEach(s => {
+      const graded = ['graded', 'returned'].includes(s.status);
+      results.set(key(s.assignment, s.student), {
+        percentage: graded ? s.grade.percentage : null,
+        at: s.gradedAt || s.submittedAt
+      });
+    });
+
+    // The best attempt counts
+    sessions.forEach(s => {
+      const current = results.get(key(s.quiz, s.student));
+      if (!current || (s.percentage || 0) > current.percentage) {
+        results.set(key(s.quiz, s.student), { percentage: s.percentage || 0, at: s.submittedAt });
+      }
+    });
+
+    // MCQ DPPs are marked on submission; file DPPs once a teacher grades them
+    columns.filter(c => c.type === 'dpp').forEach(({ dpp }) => {
+      dpp.submissions.forEach(s => {
+        const graded = dpp.type === 'mcq' || !!s.gradedAt;
+        const maxScore = s.maxScore || dpp.maxScore;
+        results.set(key(dpp._id, s.student), {
+          percentage: graded && maxScore > 0 ? (s.score / maxScore) * 100 : null,
+          at: s.gradedAt || s.submittedAt
+        });
+      });
+    });
+
+    attendance.forEach(a => results.set(key(a.videoClass, a.student), { percentage: 100, at: a.createdAt }));
+
+    return results;
+  }
+
+  // Percentages keyed by "<itemId>:<studentId>"; null marks work handed in but not graded yet
+  async loadScores(columns, studentIds) {
+    const results = await this.loadResults(columns, studentIds);
+    return new Map([...results].map(([k, result]) => [k, result.percentage]));
+  }
+
+  // One student's cell: graded, pending (handed in), missing (counts as zero) or not due yet
+  cell(column, studentId, scores, now) {
+    const k = key(column._id, studentId);
+    if (scores.has(k)) {
+      const percentage = scores.get(k);
+      return percentage === null
+        ? { percentage: null, status: 'pending' }
+        : { percentage: round(percentage), status: 'graded' };
+    }
+    if (column.type === 'video_class') {
+      return { percentage: 0, status: 'absent' };
+    }
+    if (column.closesAt && new Date(column.closesAt) < now) {
+      return { percentage: 0, status: 'missing' };
+    }
+    return { percentage: null, status: 'not_due' };
+  }
+
+  // A student's graded results from loadResults, latest first; pending and missing work is left out
+  gradedResults(columns, results, studentId) {
+    return columns
+      .map(column => ({ column, ...results.get(key(column._id, studentId)) }))
+      .filter(result => typeof result.percentage === 'number')
+      .map(result => ({ ...result, percentage: round(result.percentage) }))
+      .sort((a, b) => new Date(b.at || 0) - new Date(a.at || 0));
+  }
+
+  // Category averages after dropping the lowest scores, and the weighted final grade
+  summarize(classroom, cells) {
+    const settings = classroom.gradebook?.categories?.length
+      ? classroom.gradebook.categories
+      : DEFAULT_GRADE_CATEGORIES;
+
+    const categories = {};
+    let weighted = 0;
+    let weightUsed = 0;
+
+    settings.forEach(({ key: category, weight, dropLowest = 0 }) => {
+      const percentages = cells
+        .filter(c => c.category === category && c.percentage !== null)
+        .map(c => c.percentage)
+        .sort((a, b) => a - b);
+
+      // Always keep at least one score
+      const dropped = Math.min(dropLowest, Math.max(percentages.length - 1, 0));
+      const counted = percentages.slice(dropped);
+      const percentage = counted.length
+        ? round(counted.reduce((sum, p) => sum + p, 0) / counted.length)
+        : null;
+
+      categories[category] = { percentage, weight, counted: counted.length, dropped };
+
+      if (percentage !== null && weight > 0) {
+        weighted += percentage * weight;
+        weightUsed += weight;
+      }
+    });
+
+    // Categories with nothing graded yet are left out and the rest reweighted
+    const overall = weightUsed > 0 ? round(weighted / weightUsed) : null;
+
+    return { categories, overall, letterGrade: classroom.letterGradeFor(overall) };
+  }
+
+  /**
+   * The classroom gradebook: one column per graded item and one row per student.
+   * @param {Object} classroom - Classroom document; students.student may be populated
+   * @param {Object} options - studentIds to limit the rows to
+   * @returns {Promise<Object>} { settings, columns, students }
+   */
+  async buildGradebook(classroom, { studentIds } = {}) {
+    const enrollments = classroom.students.filter(s =>
+      !studentIds || studentIds.map(String).includes((s.student._id || s.student).toString())
+    );
+    const ids = enrollments.map(s => s.student._id || s.student);
+
+    const columns = await this.loadColumns(classroom);
+    const scores = await this.loadScores(columns, ids);
+    const now = new Date();
+
+    const students = enrollments.map(enrollment => {
+      const studentId = (enrollment.student._id || enrollment.student).toString();
+
+      // Students are only graded on work that was meant for them, and not on
+      // work that closed before they joined unless they did it anyway
+      const cells = {};
+      const graded = [];
+      columns.forEach(column => {
+        if (!classroomModuleService.isVisibleTo(classroom, column, studentId)) return;
+        const closedBeforeJoining = column.closesAt && enrollment.joinedAt &&
+          new Date(column.closesAt) < enrollment.joinedAt;
+        if (closedBeforeJoining && !scores.has(key(column._id, studentId))) return;
+        const cell = this.cell(column, studentId, scores, now);
+        cells[column._id] = cell;
+        graded.push({ ...cell, category: column.category });
+      });
+
+      return {
+        student: enrollment.student,
+        cells,
+        ...this.summarize(classroom, graded)
+      };
+    });
+
+    return {
+      settings: {
+        categories: classroom.gradebook.categories,
+        letterScale: classroom.gradebook.letterScale
+      },
+      columns: columns.map(({ _id, category, type, title, closesAt }) => ({ _id, category, type, title, closesAt })),
+      students
+    };
+  }
+
+  // Gradebook rows as spreadsheet rows: one column per item, then category and final grades
+  toRows(gradebook) {
+    const categoryKeys = gradebook.settings.categories.map(c => c.key);
+    const header = [
+      'Student', 'Email',
+      ...gradebook.columns.map(c => c.title),
+      ...categoryKeys.map(k => `${k} (%)`),
+      'Final (%)', 'Letter'
+    ];
+
+    const rows = gradebook.students.map(row => [
+      row.student.name,
+      row.student.email,
+      ...gradebook.columns.map(c => {
+        const cell = row.cells[c._id];
+        if (!cell) return '';
+        return cell.percentage === null ? cell.status : cell.percentage;
+      }),
+      ...categoryKeys.map(k => row.categories[k]?.percentage ?? ''),
+      row.overall ?? '',
+      row.letterGrade ?? ''
+    ]);
+
+    return [header, ...rows];
+  }
+
+  // Re-letter a classroom's graded submissions after its scale changes
+  async relabelSubmissions(classroom) {
+    const assignmentIds = await Assignment.find({ classroom: classroom._id }).distinct('_id');
+    const submissions = await Submission.find({
+      assignment: { $in: assignmentIds },
+      status: { $in: ['graded', 'returned'] }
+    }).select('grade.percentage grade.letterGrade');
+
+    const updates = submissions
+      .map(s => ({ id: s._id, letterGrade: classroom.letterGradeFor(s.grade.percentage) }))
+      .filter((update, index) => update.letterGrade !== submissions[index].grade.letterGrade)
+      .map(({ id, letterGrade }) => ({
+        updateOne: { filter: { _id: id }, update: { 'grade.letterGrade': letterGrade } }
+      }));
+
+    if (updates.length > 0) {
+      await Submission.bulkWrite(updates);
+    }
+    return updates.length;
+  }
+}
+
+module.exports = new GradebookService();
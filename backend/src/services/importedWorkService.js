@@ -0,0 +1,103 @@
+const cron = require('node-cron');
+const ImportedStudentWork = require('../models/ImportedStudentWork');
+const Post = require('../models/Post');
+const Submission = require('../models/Submission');
+const QuizSession = require('../models/QuizSession');
+const DailyPracticeProblem = require('../models/DailyPracticeProblem');
+const { deleteFileByUrl } = require('./s3Service');
+
+const DEFAULT_CLEANUP_SCHEDULE = '45 2 * * *';
+
+const idOf = (ref) => (ref._id || ref).toString();
+
+// Student work from imported classroom bundles, held until the student joins
+// the imported classroom and discarded if they never do
+class ImportedWorkService {
+  /**
+   * Give a student who joined a classroom the work held for them there:
+   * enrollment details, groups, posts, submissions, quiz sessions and DPP
+   * submissions. Call once the student is enrolled. The work is recreated
+   * before the classroom is saved, and taken out again if anything fails,
+   * so the held work is only deleted once all of it is in place.
+   * @param {Object} classroom - Classroom document the student joined
+   * @param {ObjectId} studentId
+   * @returns {Promise<boolean>} Whether any work was held for the student
+   */
+  async restore(classroom, studentId) {
+    const work = await ImportedStudentWork.findOne({ classroom: classroom._id, student: studentId });
+    if (!work) return false;
+
+    const { enrollment = {}, groups, posts, submissions, quizSessions, dppSubmissions } = work.toObject();
+    const created = { posts: [], submissions: [], quizSessions: [], dpps: [] };
+
+    try {
+      created.posts = await Post.create(posts.map(post => ({ ...post, author: studentId })));
+      created.submissions = await Submission.create(submissions.map(submission => ({ ...submission, student: studentId })));
+      if (quizSessions.length > 0) {
+        created.quizSessions = await QuizSession.insertMany(quizSessions.map(session => ({ ...session, student: studentId })));
+      }
+      for (const { dpp, submission } of dppSubmissions) {
+        await DailyPracticeProblem.updateOne(
+          { _id: dpp },
+          { $push: { submissions: { ...submission, student: studentId } } }
+        );
+        created.dpps.push(dpp);
+      }
+
+      const enrolled = classroom.students.find(s => idOf(s.student) === studentId.toString());
+      Object.entries(enrollment)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .forEach(([field, value]) => { enrolled[field] = value; });
+
+      classroom.groups
+        .filter(group => groups.some(groupId => groupId.equals(group._id)))
+        .forEach(group => group.students.addToSet(studentId));
+      classroom.totalPosts += posts.length;
+      await classroom.save();
+    } catch (error) {
+      // Take back what was recreated; the held work stays for another try
+      await Promise.all([
+        Post.deleteMany({ _id: { $in: created.posts.map(post => post._id) } }),
+        Submission.deleteMany({ _id: { $in: created.submissions.map(submission => submission._id) } }),
+        QuizSession.deleteMany({ _id: { $in: created.quizSessions.map(session => session._id) } }),
+        DailyPracticeProblem.updateMany(
+          { _id: { $in: created.dpps } },
+          { $pull: { submissions: { student: studentId } } }
+        )
+      ]);
+      throw error;
+    }
+
+    await work.deleteOne();
+    return true;
+  }
+
+  // Remove held work that will not be restored, with its uploaded files; returns how many were removed
+  async discard(filter) {
+    const works = await ImportedStudentWork.find(filter).select('files');
+
+    await Promise.all(works.flatMap(work => work.files.map(fileUrl => deleteFileByUrl(fileUrl))));
+    await ImportedStudentWork.deleteMany({ _id: { $in: works.map(work => work._id) } });
+
+    return works.length;
+  }
+
+  // Discard work whose invite expired, on IMPORTED_WORK_CLEANUP_CRON (nightly by default)
+  scheduleCleanup(expression = process.env.IMPORTED_WORK_CLEANUP_CRON || DEFAULT_CLEANUP_SCHEDULE) {
+    if (!cron.validate(expression)) {
+      console.error(`Invalid IMPORTED_WORK_CLEANUP_CRON expression: ${expression}`);
+      return null;
+    }
+
+    return cron.schedule(expression, async () => {
+      try {
+        const discarded = await this.discard({ expiresAt: { $lte: new Date() } });
+        console.log(`Expired imported student work discarded: ${discarded}`);
+      } catch (error) {
+        console.error('Discard imported student work error:', error);
+      }
+    });
+  }
+}
+
+module.exports = new ImportedWorkService();
@@ -0,0 +1,161 @@
+const LoginThrottle = require('../models/LoginThrottle');
+const SecurityEvent = require('../models/SecurityEvent');
+
+// Failed-login tracking per account and per IP address. Once the allowance is
+// used up every further failure locks login for twice as long as the last one.
+class LoginThrottleService {
+  // Read lazily: this module can be required before dotenv has run
+  get accountMaxAttempts() {
+    return parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+  }
+
+  get ipMaxAttempts() {
+    return parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 50;
+  }
+
+  get maxLockoutMinutes() {
+    return parseInt(process.env.LOGIN_MAX_LOCKOUT_MINUTES) || 60;
+  }
+
+  // Failures are forgotten after this long without another one
+  get attemptWindowMinutes() {
+    return parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15;
+  }
+
+  accountKey(email) {
+    return `account:${String(email || '').toLowerCase().trim()}`;
+  }
+
+  ipKey(ipAddress) {
+    return `ip:${ipAddress || 'unknown'}`;
+  }
+
+  getLockoutSeconds(failures, maxAttempts) {
+    if (failures < maxAttempts) return 0;
+    return Math.min(60 * 2 ** (failures - maxAttempts), this.maxLockoutMinutes * 60);
+  }
+
+  /**
+   * Seconds until the account or IP may try again, 0 if not locked.
+   * @param {string} email
+   * @param {string} ipAddress
+   * @returns {Promise<number>}
+   */
+  async getRetryAfter(email, ipAddress) {
+    const now = new Date();
+    const locks = await LoginThrottle.find({
+      key: { $in: [this.accountKey(email), this.ipKey(ipAddress)] },
+      lockedUntil: { $gt: now }
+    });
+
+    return locks.reduce(
+      (longest, lock) => Math.max(longest, Math.ceil((lock.lockedUntil - now) / 1000)),
+      0
+    );
+  }
+
+  async incrementFailures(key, maxAttempts) {
+    const now = new Date();
+
+    // Start over if the previous streak has gone quiet but not been cleaned up yet
+    await LoginThrottle.deleteOne({ key, expiresAt: { $lte: now } });
+
+    const throttle = await LoginThrottle.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $set: { lastFailedAt: now },
+        $setOnInsert: { expiresAt: now }
+      },
+      { upsert: true, new: true }
+    );
+
+    const lockoutSeconds = this.getLockoutSeconds(throttle.failures, maxAttempts);
+    const quietUntil = new Date(now.getTime() + this.attemptWindowMinutes * 60 * 1000);
+
+    throttle.lockedUntil = lockoutSeconds ? new Date(now.getTime() + lockoutSeconds * 1000) : null;
+    throttle.expiresAt = throttle.lockedUntil && throttle.lockedUntil > quietUntil ? throttle.lockedUntil : quietUntil;
+    await throttle.save();
+
+    return throttle;
+  }
+
+  /**
+   * Count a failed login against the account and the IP address, recording a
+   * security event whenever either becomes locked.
+   * @param {string} email - Email that was tried
+   * @param {Object} context - { ipAddress, userAgent }
+   * @param {Object|null} user - Matching user, if the email exists
+   */
+  async recordFailure(email, context = {}, user = null) {
+    const [account, ip] = await Promise.all([
+      this.incrementFailures(this.accountKey(email), this.accountMaxAttempts),
+      this.incrementFailures(this.ipKey(context.ipAddress), this.ipMaxAttempts)
+    ]);
+
+    const events = [];
+    if (account.lockedUntil && user) {
+      events.push({ user: user._id, type: 'account_locked', failures: account.failures, lockedUntil: account.lockedUntil });
+    }
+    if (ip.lockedUntil) {
+      events.push({ user: user?._id || null, type: 'ip_locked', failures: ip.failures, lockedUntil: ip.lockedUntil });
+    }
+
+    if (events.length) {
+      await SecurityEvent.insertMany(events.map(event => ({
+        ...event,
+        ipAddress: context.ipAddress || '',
+        userAgent: context.userAgent || ''
+      })));
+    }
+  }
+
+  // A correct password clears the account's failures; the IP counter is kept
+  async recordSuccess(email) {
+    await LoginThrottle.deleteOne({ key: this.accountKey(email) });
+  }
+
+  // Current lock on an account, or null
+  async getAccountLock(email) {
+    return LoginThrottle.findOne({
+      key: this.accountKey(email),
+      lockedUntil: { $gt: new Date() }
+    });
+  }
+
+  /**
+   * Current locks for several accounts at once.
+   * @param {string[]} emails
+   * @returns {Promise<Map<string, Date>>} Lowercased email -> lockedUntil, for locked accounts only
+   */
+  async getAccountLocks(emails) {
+    const locks = await LoginThrottle.find({
+      key: { $in: emails.map(email => this.accountKey(email)) },
+      lockedUntil: { $gt: new Date() }
+    });
+
+    return new Map(locks.map(lock => [lock.key.slice('account:'.length), lock.lockedUntil]));
+  }
+
+  /**
+   * Clear an account's failures and lock on behalf of an admin or teacher.
+   * @param {Object} user - Account to unlock
+   * @param {ObjectId} actorId - Who unlocked it
+   * @returns {Promise<boolean>} Whether the account was locked
+   */
+  async unlockAccount(user, actorId) {
+    const throttle = await LoginThrottle.findOneAndDelete({ key: this.accountKey(user.email) });
+    const wasLocked = !!throttle?.isLocked();
+
+    await SecurityEvent.create({
+      user: user._id,
+      type: 'account_unlocked',
+      failures: throttle?.failures || 0,
+      actor: actorId
+    });
+
+    return wasLocked;
+  }
+}
+
+module.exports = new LoginThrottleService();
@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const { Issuer, generators } = require('openid-client');
+const User = require('../models/User');
+const OidcLoginState = require('../models/OidcLoginState');
+
+const STATE_TTL_MINUTES = 10;
+
+const hashState = (state) => crypto.createHash('sha256').update(state || '').digest('hex');
+
+// Split a comma-separated setting into trimmed, non-empty values
+const parseList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// Errors carry the HTTP status the controller should answer with
+const oidcError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+// Single sign-on through an OpenID Connect identity provider (authorization
+// code flow with PKCE). Users are matched by provider subject, then by email,
+// and created on first sign-in.
+class OidcService {
+  constructor() {
+    this.clientPromise = null;
+    this.clientIssuer = null;
+  }
+
+  // Read lazily: this module can be required before dotenv has run
+  get issuerUrl() {
+    return process.env.OIDC_ISSUER || '';
+  }
+
+  get clientId() {
+    return process.env.OIDC_CLIENT_ID || '';
+  }
+
+  get clientSecret() {
+    return process.env.OIDC_CLIENT_SECRET || '';
+  }
+
+  // The frontend page the provider sends the browser back to
+  get redirectUri() {
+    const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+    return process.env.OIDC_REDIRECT_URI || `${frontendUrl}/auth/oidc/callback`;
+  }
+
+  get scopes() {
+    return process.env.OIDC_SCOPES || 'openid email profile';
+  }
+
+  get providerName() {
+    return process.env.OIDC_PROVIDER_NAME || 'Single sign-on';
+  }
+
+  // Claim holding the user's role or groups; a string or an array of strings
+  get roleClaim() {
+    return process.env.OIDC_ROLE_CLAIM || 'roles';
+  }
+
+  get teacherValues() {
+    return parseList(process.env.OIDC_TEACHER_VALUES || 'teacher');
+  }
+
+  get studentValues() {
+    return parseList(process.env.OIDC_STUDENT_VALUES || 'student');
+  }
+
+  // Role for users matching neither list; empty to refuse them
+  get defaultRole() {
+    const role = process.env.OIDC_DEFAULT_ROLE ?? 'student';
+    return ['student', 'teacher'].includes(role) ? role : null;
+  }
+
+  isEnabled() {
+    return !!(this.issuerUrl && this.clientId);
+  }
+
+  // Discover the provider once and reuse the client until the issuer changes
+  async getClient() {
+    if (!this.isEnabled()) {
+      throw oidcError(404, 'Single sign-on is not configured');
+    }
+
+    if (!this.clientPromise || this.clientIssuer !== this.issuerUrl) {
+      this.clientIssuer = this.issuerUrl;
+      this.clientPromise = Issuer.discover(this.issuerUrl)
+        .then(issuer => new issuer.Client({
+          client_id: this.clientId,
+          client_secret: this.clientSecret || undefined,
+          redirect_uris: [this.redirectUri],
+          response_types: ['code'],
+          token_endpoint_auth_method: this.clientSecret ? 'client_secret_basic' : 'none'
+        }))
+        .catch(error => {
+          // Let the next request retry discovery
+          this.clientPromise = null;
+          throw error;
+        });
+    }
+
+    return this.clientPromise;
+  }
+
+  /**
+   * Start a sign-in (or, with a userId, an account link) at the provider.
+   * @param {ObjectId|null} userId - Signed-in user linking their account
+   * @returns {Promise<{ authorizationUrl: string, state: string }>}
+   */
+  async createAuthorizationUrl(userId = null) {
+    const client = await this.getClient();
+
+    const state = generators.state();
+    const nonce = generators.nonce();
+    const codeVerifier = generators.codeVerifier();
+
+    await OidcLoginState.create({
+      stateHash: hashState(state),
+      nonce,
+      codeVerifier,
+      user: userId,
+      expiresAt: new Date(Date.now() + STATE_TTL_MINUTES * 60 * 1000)
+    });
+
+    const authorizationUrl = client.authorizationUrl({
+      scope: this.scopes,
+      state,
+      nonce,
+      code_challenge: generators.codeChallenge(codeVerifier),
+      code_challenge_method: 'S256'
+    });
+
+    return { authorizationUrl, state };
+  }
+
+  /**
+   * Redeem the code the provider returned and validate the ID token.
+   * @param {Object} params - { code, state } from the callback URL
+   * @returns {Promise<{ claims: Object, linkUserId: ObjectId|null }>}
+   */
+  async completeAuthorization({ code, state }) {
+    const pending = await OidcLoginState.findOneAndDelete({
+      stateHash: hashState(state),
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (!pending) {
+      throw oidcError(400, 'Sign-in attempt has expired. Please try again');
+    }
+
+    const client = await this.getClient();
+
+    let tokenSet;
+    try {
+      tokenSet = await client.callback(
+        this.redirectUri,
+        { code, state },
+        { state, nonce: pending.nonce, code_verifier: pending.codeVerifier }
+      );
+    } catch (error) {
+      console.error('OIDC callback error:', error.message);
+      throw oidcError(400, 'Single sign-on failed. Please try again');
+    }
+
+    let claims = tokenSet.claims();
+
+    // Some providers only put profile claims in userinfo
+    if ((!claims.email || !claims.name) && tokenSet.access_token && client.issuer.metadata.userinfo_endpoint) {
+      const userinfo = await client.userinfo(tokenSet).catch(() => ({}));
+      if (userinfo.sub === claims.sub) {
+        claims = { ...userinfo, ...claims };
+      }
+    }
+
+    return { claims, linkUserId: pending.user };
+  }
+
+  /**
+   * Role for a provider user from the configured claim, or null if not allowed.
+   * Single sign-on never grants the admin role.
+   * @param {Object} claims
+   * @returns {'student'|'teacher'|null}
+   */
+  mapRole(claims) {
+    const raw = claims[this.roleClaim];
+    const values = (Array.isArray(raw) ? raw : [raw]).filter(Boolean).map(String);
+
+    if (values.some(value => this.teacherValues.includes(value))) return 'teacher';
+    if (values.some(value => this.studentValues.includes(value))) return 'student';
+    return this.defaultRole;
+  }
+
+  identityQuery(claims) {
+    return { 'oidc.issuer': claims.iss, 'oidc.subject': claims.sub };
+  }
+
+  /**
+   * Account for a provider sign-in: the linked one, an existing account with
+   * the same verified email (linked now), or a new one.
+   * @param {Object} claims - Validated ID token claims
+   * @returns {Promise<Object>} User document
+   */
+  async findOrProvisionUser(claims) {
+    const linkedUser = await User.findOne(this.identityQuery(claims));
+    if (linkedUser) return linkedUser;
+
+    if (!claims.email) {
+      throw oidcError(400, 'Your identity provider did not share an email address');
+    }
+
+    const email = claims.email.toLowerCase();
+    const existingUser = await User.findOne({ email });
+
+    if (existingUser) {
+      // Admins, unverified emails and accounts linked elsewhere must link from settings
+      if (!claims.email_verified || existingUser.role === 'admin' || existingUser.oidc?.subject) {
+        throw oidcError(409, 'An account with this email already exists. Sign in with your password and link single sign-on from your settings');
+      }
+
+      return this.linkUser(existingUser, claims);
+    }
+
+    const role = this.mapRole(claims);
+    if (!role) {
+      throw oidcError(403, 'Your account is not allowed to sign in here');
+    }
+
+    const generatedId = `${role === 'student' ? 'STU' : 'TEA'}${Date.now()}${Math.floor(Math.random() * 1000)}`;
+
+    return User.create({
+      name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || email,
+      email,
+      // Nobody knows this password; the user can set one with a reset link
+      password: crypto.randomBytes(24).toString('hex'),
+      role,
+      ...(role === 'student' ? { studentId: generatedId } : { teacherId: generatedId }),
+      isEmailVerified: claims.email_verified === true,
+      oidc: { issuer: claims.iss, subject: claims.sub, linkedAt: new Date() }
+    });
+  }
+
+  /**
+   * Link a provider identity to an account.
+   * @param {Object} user - User document
+   * @param {Object} claims
+   * @returns {Promise<Object>} Saved user
+   */
+  async linkUser(user, claims) {
+    const owner = await User.findOne(this.identityQuery(claims)).select('_id');
+    if (owner && owner._id.toString() !== user._id.toString()) {
+      throw oidcError(409, 'This single sign-on account is already linked to another user');
+    }
+
+    user.oidc = { issuer: claims.iss, subject: claims.sub, linkedAt: new Date() };
+    if (claims.email_verified && claims.email?.toLowerCase() === user.email) {
+      user.isEmailVerified = true;
+    }
+
+    return user.save();
+  }
+}
+
+module.exports = new OidcService();
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const Joi = require('joi');
+const User = require('../models/User');
+const UserToken = require('../models/UserToken');
+const emailService = require('./emailService');
+const { parseCsvWithHeaders } = require('../utils/csv');
+
+const LEVELS = ['beginner', 'intermediate', 'advanced'];
+const REQUIRED_HEADERS = ['name', 'email'];
+
+const rowSchema = Joi.object({
+  name: Joi.string().max(100).required(),
+  email: Joi.string().email().required(),
+  studentid: Joi.string().max(50).allow('').label('studentId'),
+  level: Joi.string().lowercase().valid(...LEVELS, '')
+}).unknown(true);
+
+// Creates or matches student accounts from a roster CSV and enrolls them
+class RosterImportService {
+  get maxRows() {
+    return parseInt(process.env.ROSTER_IMPORT_MAX_ROWS) || 500;
+  }
+
+  /**
+   * Parse a roster CSV with columns name, email and optionally studentId and level.
+   * @param {Buffer|string} file
+   * @returns {{ records: Array, error: string|null }}
+   */
+  parse(file) {
+    const { headers, records } = parseCsvWithHeaders(file.toString('utf8'));
+
+    const missing = REQUIRED_HEADERS.filter(header => !headers.includes(header));
+    if (missing.length) {
+      return { records: [], error: `Missing required column(s): ${missing.join(', ')}` };
+    }
+    if (records.length === 0) {
+      return { records: [], error: 'The file has no student rows' };
+    }
+    if (records.length > this.maxRows) {
+      return { records: [], error: `A roster can have at most ${this.maxRows} rows` };
+    }
+
+    return { records, error: null };
+  }
+
+  /**
+   * Enroll every row, creating accounts for unknown emails.
+   * Rows are independent: a bad row is reported and the rest still import.
+   * @param {Object} classroom - Classroom document
+   * @param {Array} records - From parse()
+   * @param {Object} options - { sendInvites }
+   * @returns {Promise<{ summary: Object, rows: Array }>}
+   */
+  async importRoster(classroom, records, { sendInvites = false } = {}) {
+    const seenEmails = new Set();
+    const rows = [];
+
+    for (const { line, values } of records) {
+      const result = await this.importRow(classroom, values, seenEmails, sendInvites)
+        .catch(error => {
+          console.error('Roster import row error:', error);
+          return { status: 'error', message: 'Could not import this row' };
+        });
+
+      rows.push({ line, name: values.name, email: values.email, ...result });
+    }
+
+    const summary = { total: rows.length, created: 0, enrolled: 0, skipped: 0, error: 0 };
+    rows.forEach(row => { summary[row.status] += 1; });
+
+    return { summary, rows };
+  }
+
+  async importRow(classroom, values, seenEmails, sendInvites) {
+    const { error, value } = rowSchema.validate(values);
+    if (error) {
+      return { status: 'error', message: error.details[0].message };
+    }
+
+    const email = value.email.toLowerCase();
+    const level = value.level || undefined;
+
+    if (seenEmails.has(email)) {
+      return { status: 'skipped', message: 'Duplicate email in this file' };
+    }
+    seenEmails.add(email);
+
+    let user = await User.findOne({ email });
+
+    if (user) {
+      if (user.role !== 'student') {
+        return { status: 'error', message: `This email belongs to a ${user.role} account` };
+      }
+      if (!user.isActive) {
+        return { status: 'error', message: 'This account is deactivated' };
+      }
+      if (classroom.isStudent(user._id)) {
+        return { status: 'skipped', message: 'Already enrolled' };
+      }
+
+      await classroom.addStudent(user._id, level);
+      return { status: 'enrolled', message: 'Existing account enrolled', userId: user._id };
+    }
+
+    if (value.studentid && await User.exists({ studentId: value.studentid })) {
+      return { status: 'error', message: 'Student ID is already used by another account' };
+    }
+
+    user = await User.create({
+      name: value.name,
+      email,
+      // Nobody knows this password; students set their own from the invite or a reset link
+      password: crypto.randomBytes(24).toString('hex'),
+      role: 'student',
+      ...(value.studentid && { studentId: value.studentid })
+    });
+
+    await classroom.addStudent(user._id, level);
+
+    if (sendInvites) {
+      try {
+        const token = await UserToken.issue(user._id, 'account_invite');
+        await emailService.sendClassroomInviteEmail(user, classroom, token, UserToken.getTtlMinutes('account_invite'));
+      } catch (inviteError) {
+        console.error('Roster invite email error:', inviteError);
+        return { status: 'created', message: 'Account created, but the invite email could not be sent', userId: user._id };
+      }
+    }
+
+    return {
+      status: 'created',
+      message: sendInvites ? 'Account created and invite sent' : 'Account created',
+      userId: user._id
+    };
+  }
+}
+
+module.exports = new RosterImportService();
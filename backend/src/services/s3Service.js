@@ -2,6 +2,7 @@ const AWS = require('aws-sdk');
 const multer = require('multer');
 const multerS3 = require('multer-s3');
 const path = require('path');
+const crypto = require('crypto');
 
 // Check if AWS credentials are configured
 const hasAWSConfig = !!(
@@ -120,6 +121,199 @@ const deleteFileFromS3 = async (fileKey) => {
   }
 };
 
+// Key of the object in our bucket that a stored URL points at, or null. Only the
+// bucket's own virtual-hosted and path-style endpoints count, so a URL naming
+// another bucket or host is never treated as one of our files.
+const bucketKeyFromUrl = (fileUrl) => {
+  const bucket = process.env.S3_BUCKET_NAME;
+  if (!bucket || !fileUrl) return null;
+
+  try {
+    const url = new URL(fileUrl);
+    if (url.protocol !== 'https:' || url.port) return null;
+
+    const region = process.env.AWS_REGION || 'us-east-1';
+    const endpoints = ['s3.amazonaws.com', `s3.${region}.amazonaws.com`, `s3-${region}.amazonaws.com`];
+    let encodedKey = null;
+    if (endpoints.some(endpoint => url.hostname === `${bucket}.${endpoint}`)) {
+      encodedKey = url.pathname.substring(1);
+    } else if (endpoints.includes(url.hostname) && url.pathname.startsWith(`/${bucket}/`)) {
+      encodedKey = url.pathname.substring(bucket.length + 2);
+    }
+
+    return encodedKey ? decodeURIComponent(encodedKey) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Path in the uploads folder that a stored /uploads/ URL points at, or null.
+// Never follows a stored URL outside the uploads folder.
+const localUploadPath = (fileUrl) => {
+  if (!fileUrl || !fileUrl.startsWith('/uploads/')) return null;
+
+  const uploadsRoot = path.resolve('uploads');
+  const filePath = path.resolve(fileUrl.substring(1));
+  return filePath.startsWith(uploadsRoot + path.sep) ? filePath : null;
+};
+
+// Whether a URL points at a file this user uploaded to our bucket or uploads
+// folder. Upload keys and local file names carry the uploader's id.
+const isOwnUpload = (fileUrl, userId) => {
+  if (typeof fileUrl !== 'string') return false;
+  const ownerId = userId.toString();
+
+  const key = bucketKeyFromUrl(fileUrl);
+  if (key) return key.split('/').slice(0, -1).includes(ownerId);
+
+  const filePath = localUploadPath(fileUrl);
+  return !!filePath && path.basename(filePath).split('-').includes(ownerId);
+};
+
+// Function to delete an uploaded file when only its URL was stored
+// (post attachments, DPP submissions, proctoring photos). URLs that point
+// anywhere other than our bucket or uploads folder are left alone.
+const deleteFileByUrl = async (fileUrl) => {
+  if (!fileUrl) return false;
+
+  try {
+    const key = bucketKeyFromUrl(fileUrl);
+    if (key) {
+      if (!hasAWSConfig || !s3) return false;
+
+      await s3.deleteObject({
+        Bucket: process.env.S3_BUCKET_NAME,
+        Key: key
+      }).promise();
+      return true;
+    }
+
+    const filePath = localUploadPath(fileUrl);
+    if (filePath) {
+      const fs = require('fs');
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+      return true;
+    }
+
+    return false;
+  } catch (error) {
+    console.error('Error deleting file:', error);
+    return false;
+  }
+};
+
+// Copy an uploaded file so a copied classroom has its own attachments.
+// Returns { fileUrl, fileKey } for the copy, the URL unchanged for links
+// outside our bucket or uploads folder, or null when the copy failed.
+const copyFileByUrl = async (fileUrl, ownerId) => {
+  if (!fileUrl) return null;
+
+  const copyId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+  try {
+    const sourceKey = bucketKeyFromUrl(fileUrl);
+    if (sourceKey) {
+      if (!hasAWSConfig || !s3) return null;
+
+      const bucket = process.env.S3_BUCKET_NAME;
+      const fileKey = `classroom-copies/${ownerId}/${copyId}-${path.basename(sourceKey)}`;
+
+      await s3.copyObject({
+        Bucket: bucket,
+        CopySource: encodeURI(`${bucket}/${sourceKey}`),
+        Key: fileKey
+      }).promise();
+      // Address the copy the same way as the original, virtual-hosted or path-style
+      const url = new URL(fileUrl);
+      const bucketPath = url.hostname.startsWith(`${bucket}.`) ? '' : `/${bucket}`;
+      return { fileUrl: `${url.origin}${bucketPath}/${encodeURI(fileKey)}`, fileKey };
+    }
+
+    if (fileUrl.startsWith('/uploads/')) {
+      const fs = require('fs');
+      const sourcePath = localUploadPath(fileUrl);
+      if (!sourcePath || !fs.existsSync(sourcePath)) return null;
+
+      const fileKey = `${ownerId}-${copyId}-${path.basename(sourcePath)}`;
+      fs.copyFileSync(sourcePath, path.join(path.dirname(sourcePath), fileKey));
+      return { fileUrl: `${path.posix.dirname(fileUrl)}/${fileKey}`, fileKey };
+    }
+
+    return { fileUrl };
+  } catch (error) {
+    console.error('Error copying file:', error);
+    return null;
+  }
+};
+
+// Look up an uploaded file for streaming. Returns { size, createReadStream }, or
+// null for links outside our bucket or uploads folder and for files that cannot be
+// found. Nothing is read until createReadStream is called.
+const getFileByUrl = async (fileUrl) => {
+  if (!fileUrl) return null;
+
+  try {
+    const key = bucketKeyFromUrl(fileUrl);
+    if (key) {
+      if (!hasAWSConfig || !s3) return null;
+
+      const params = {
+        Bucket: process.env.S3_BUCKET_NAME,
+        Key: key
+      };
+      const head = await s3.headObject(params).promise();
+      return {
+        size: head.ContentLength,
+        createReadStream: () => {
+          const request = s3.getObject(params);
+          const stream = request.createReadStream();
+          // Destroying the stream alone would leave the download running
+          stream.once('close', () => {
+            if (!stream.readableEnded) request.abort();
+          });
+          return stream;
+        }
+      };
+    }
+
+    const fs = require('fs');
+    const filePath = localUploadPath(fileUrl);
+    if (!filePath || !fs.existsSync(filePath)) return null;
+
+    return {
+      size: fs.statSync(filePath).size,
+      createReadStream: () => fs.createReadStream(filePath)
+    };
+  } catch (error) {
+    console.error('Error finding file:', error);
+    return null;
+  }
+};
+
+// Store a file from disk under an upload folder (S3 key prefix or uploads/<folder>),
+// e.g. files from an imported classroom bundle. Returns { fileUrl, fileKey }.
+const storeFile = async (filePath, { folder, fileName, ownerId }) => {
+  const fs = require('fs');
+  const storedName = `${ownerId}-${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${path.basename(fileName)}`;
+
+  if (hasAWSConfig && s3) {
+    const fileKey = `${folder}/${ownerId}/${storedName}`;
+    const result = await s3.upload({
+      Bucket: process.env.S3_BUCKET_NAME,
+      Key: fileKey,
+      Body: fs.createReadStream(filePath)
+    }).promise();
+    return { fileUrl: result.Location, fileKey };
+  }
+
+  const uploadDir = path.join('uploads', folder);
+  fs.mkdirSync(uploadDir, { recursive: true });
+  fs.copyFileSync(filePath, path.join(uploadDir, storedName));
+  return { fileUrl: `/uploads/${folder}/${storedName}`, fileKey: storedName };
+};
+
 // Function to get signed URL for private files
 const getSignedUrl = (fileKey, fileName = null, expiresIn = 3600) => {
   try {
@@ -229,6 +423,12 @@ module.exports = {
   teacherAttachmentUpload,
   postAttachmentUpload,
   deleteFileFromS3,
+  deleteFileByUrl,
+  bucketKeyFromUrl,
+  isOwnUpload,
+  copyFileByUrl,
+  getFileByUrl,
+  storeFile,
   getSignedUrl,
   s3: hasAWSConfig ? s3 : null,
   hasAWSConfig
@@ -0,0 +1,48 @@
+const Classroom = require('../models/Classroom');
+
+// Works for both populated and unpopulated references
+const refId = (ref) => (ref && ref._id ? ref._id : ref).toString();
+
+// Applies placement screening results to classroom enrollments
+class ScreeningService {
+  /**
+   * Check whether a student may start a screening quiz: it must be their
+   * classroom's current screening test and they must not have completed it.
+   * @param {Object} quiz - Quiz document with isScreening set
+   * @param {Object} classroom - The quiz's classroom
+   * @param {ObjectId} studentId
+   * @returns {string|null} Why the student may not start it, or null if they may
+   */
+  checkCanStart(quiz, classroom, studentId) {
+    if (!classroom.screeningTest || refId(classroom.screeningTest) !== quiz._id.toString()) {
+      return 'This screening test is not in use';
+    }
+    if (!classroom.isScreeningPending(studentId)) {
+      return 'You do not need to take this screening test';
+    }
+    return null;
+  }
+
+  /**
+   * Record a submitted quiz session if it is the student's pending screening test:
+   * mark the screening completed and set the student's level from the score.
+   * @param {Object} session - Submitted QuizSession
+   * @returns {Promise<string|null>} The new level, or null if the session is not a pending screening
+   */
+  async recordResult(session) {
+    const classroom = await Classroom.findOne({ _id: refId(session.classroom), screeningTest: refId(session.quiz) });
+    if (!classroom || !classroom.isScreeningPending(session.student)) {
+      return null;
+    }
+
+    const enrollment = classroom.students.find(s => s.student.toString() === refId(session.student));
+    enrollment.screeningTestCompleted = true;
+    enrollment.screeningTestScore = session.percentage;
+
+    const level = classroom.levelForScreeningScore(session.percentage);
+    await classroom.updateStudentLevel(enrollment.student, level, { source: 'screening' });
+    return level;
+  }
+}
+
+module.exports = new ScreeningService();
@@ -1,6 +1,5 @@
 const socketIo = require('socket.io');
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const tokenService = require('./tokenService');
 
 class SocketManager {
   constructor() {
@@ -26,14 +25,14 @@ class SocketManager {
           return next(new Error('Authentication error'));
         }
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.userId).select('-password');
+        const { user, sessionId, revoked } = await tokenService.verifyAccessToken(token);
         
-        if (!user || !user.isActive) {
+        if (!user || !user.isActive || revoked) {
           return next(new Error('Authentication error'));
         }
 
         socket.userId = user._id.toString();
+        socket.sessionId = sessionId.toString();
         socket.user = user;
         next();
       } catch (error) {
@@ -198,6 +197,19 @@ class SocketManager {
     return false;
   }
 
+  // Disconnect a user's sockets after their sessions are revoked
+  disconnectSessions(userId, { sessionId = null, exceptSessionId = null } = {}) {
+    if (!this.io) return;
+
+    for (const socket of this.io.sockets.sockets.values()) {
+      if (socket.userId !== userId.toString()) continue;
+      if (sessionId && socket.sessionId !== sessionId.toString()) continue;
+      if (exceptSessionId && socket.sessionId === exceptSessionId.toString()) continue;
+      socket.emit('session-revoked', { timestamp: new Date() });
+      socket.disconnect(true);
+    }
+  }
+
   // Method to notify all teachers monitoring a quiz
   notifyQuizMonitors(quizId, event, data) {
     this.io.to(`quiz-monitoring-${quizId}`).emit(event, data);
@@ -0,0 +1,135 @@
+const Classroom = require('../models/Classroom');
+const gradebookService = require('./gradebookService');
+const socketManager = require('./socketManager');
+
+const LEVELS = ['beginner', 'intermediate', 'advanced'];
+
+// Works for both populated and unpopulated references
+const refId = (ref) => (ref && ref._id ? ref._id : ref).toString();
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Level rules: move students between levels from their recent quiz, DPP and assignment results
+class StudentLevelService {
+  // The level the rules move a student to from an average, or null to stay put
+  levelForAverage(rules, level, average) {
+    const index = LEVELS.indexOf(level);
+    if (average >= rules.promoteAt && index < LEVELS.length - 1) {
+      return LEVELS[index + 1];
+    }
+    if (rules.allowDemotion && average < rules.demoteAt && index > 0) {
+      return LEVELS[index - 1];
+    }
+    return null;
+  }
+
+  /**
+   * Evaluate the classroom's level rules. In 'apply' mode levels change straight away;
+   * otherwise the change is left as a proposal for staff to approve. Staff who manage
+   * the roster are notified of any change or new proposal.
+   * @param {Object} classroom - Classroom document
+   * @param {Object} options - studentIds to limit the evaluation to
+   * @returns {Promise<Array>} [{ student, from, to, average, results, applied }]
+   */
+  async evaluate(classroom, { studentIds } = {}) {
+    const rules = classroom.levelRules;
+    const apply = rules.mode === 'apply';
+
+    // Students still waiting on the placement test get their level from it instead
+    const enrollments = classroom.students.filter(s =>
+      (!studentIds || studentIds.map(String).includes(refId(s.student))) &&
+      !classroom.isScreeningPending(refId(s.student))
+    );
+    if (enrollments.length === 0) return [];
+
+    const columns = (await gradebookService.loadColumns(classroom))
+      .filter(column => column.category !== 'attendance');
+    const results = await gradebookService.loadResults(columns, enrollments.map(s => refId(s.student)));
+
+    const changes = [];
+    enrollments.forEach(enrollment => {
+      const studentId = refId(enrollment.student);
+
+      // The latest results since the level last changed
+      const recent = gradebookService.gradedResults(columns, results, studentId)
+        .filter(({ at }) => !enrollment.levelRulesSince || (at && at > enrollment.levelRulesSince))
+        .slice(0, rules.window);
+
+      if (recent.length < rules.minResults) return;
+
+      const average = round(recent.reduce((sum, r) => sum + r.percentage, 0) / recent.length);
+      const to = this.levelForAverage(rules, enrollment.level, average);
+
+      if (!to) {
+        // The results no longer support an earlier proposal
+        if (enrollment.levelProposal) enrollment.levelProposal = null;
+        return;
+      }
+
+      const change = { student: studentId, from: enrollment.level, to, average, results: recent.length, applied: apply };
+      if (apply) {
+        classroom.setStudentLevel(studentId, to, { source: 'rules', average });
+        changes.push(change);
+      } else if (!enrollment.levelProposal || enrollment.levelProposal.level !== to) {
+        enrollment.levelProposal = { level: to, average, results: recent.length };
+        changes.push(change);
+      } else {
+        enrollment.levelProposal.average = average;
+        enrollment.levelProposal.results = recent.length;
+      }
+    });
+
+    if (classroom.isModified()) {
+      await classroom.save();
+    }
+
+    if (changes.length > 0) {
+      this.notifyStaff(classroom, changes);
+    }
+
+    return changes;
+  }
+
+  /**
+   * Re-evaluate one student after a new result, for classrooms with level rules on.
+   * Errors are logged rather than thrown so they never fail the request that graded the work.
+   * @param {ObjectId} classroomId
+   * @param {ObjectId} studentId
+   * @returns {Promise<Array>} The changes made or proposed
+   */
+  async evaluateStudent(classroomId, studentId) {
+    try {
+      const classroom = await Classroom.findOne({
+        _id: refId(classroomId),
+        'levelRules.mode': { $in: ['propose', 'apply'] },
+        'students.student': refId(studentId)
+      });
+      if (!classroom) return [];
+
+      return await this.evaluate(classroom, { studentIds: [refId(studentId)] });
+    } catch (error) {
+      console.error('Evaluate level rules error:', error);
+      return [];
+    }
+  }
+
+  // Let the owner and co-teachers who are online know about level changes and proposals
+  notifyStaff(classroom, changes) {
+    const managers = [
+      classroom.teacher,
+      ...classroom.staff
+        .filter(member => Classroom.STAFF_PERMISSIONS[member.role].includes('manage_roster'))
+        .map(member => member.user)
+    ];
+
+    managers.forEach(userId => {
+      socketManager.notifyUser(refId(userId), 'student-levels-updated', {
+        classroomId: classroom._id,
+        classroomName: classroom.name,
+        changes
+      });
+    });
+  }
+}
+
+module.exports = new StudentLevelService();
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const User = require('../models/User');
+const UserSession = require('../models/UserSession');
+
+// How stale a session's lastUsedAt may get before a request refreshes it
+const LAST_SEEN_RESOLUTION_MS = 5 * 60 * 1000;
+// A refresh that lost a race with another one for the same token (two tabs)
+// arrives within this long of the rotation and is not treated as reuse
+const ROTATION_RACE_WINDOW_MS = 30 * 1000;
+
+class TokenService {
+  // Read lazily: this module can be required before dotenv has run
+  get accessTokenExpiry() {
+    return process.env.JWT_ACCESS_EXPIRE || '15m';
+  }
+
+  get refreshTokenDays() {
+    return parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+  }
+
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  signAccessToken(user, sessionId) {
+    return jwt.sign(
+      { userId: user._id, role: user.role, sid: sessionId },
+      process.env.JWT_SECRET,
+      { expiresIn: this.accessTokenExpiry }
+    );
+  }
+
+  /**
+   * Start a new session for a device and issue its first token pair.
+   * An existing session for the same device is replaced.
+   * @param {Object} user - User document
+   * @param {Object} context - { deviceId, userAgent, ipAddress }
+   * @returns {Object} { accessToken, refreshToken, sessionId }
+   */
+  async createSession(user, context = {}) {
+    const deviceId = context.deviceId || uuidv4();
+
+    await UserSession.updateMany(
+      { user: user._id, deviceId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'replaced' }
+    );
+
+    const secret = crypto.randomBytes(48).toString('hex');
+    const session = await UserSession.create({
+      user: user._id,
+      deviceId,
+      refreshTokenHash: this.hashSecret(secret),
+      userAgent: context.userAgent || '',
+      ipAddress: context.ipAddress || '',
+      expiresAt: new Date(Date.now() + this.refreshTokenDays * 24 * 60 * 60 * 1000)
+    });
+
+    return {
+      accessToken: this.signAccessToken(user, session._id),
+      refreshToken: `${session._id}.${secret}`,
+      sessionId: session._id,
+      deviceId
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair. The rotation is a single
+   * conditional update, so of two refreshes with the same token only one wins.
+   * Presenting the refresh token that was last rotated away revokes the whole
+   * session, unless it comes right after the rotation (the loser of such a
+   * race); any other wrong secret is rejected and leaves the session alone.
+   * @param {string} refreshToken
+   * @param {Object} context - { userAgent, ipAddress }
+   * @returns {Object|null} New token pair and user, or null if rejected
+   */
+  async rotateRefreshToken(refreshToken, context = {}) {
+    const [sessionId, secret] = (refreshToken || '').split('.');
+    if (!sessionId || !secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+      return null;
+    }
+
+    const session = await UserSession.findById(sessionId).select('user revokedAt expiresAt');
+    if (!session || !session.isActive()) {
+      return null;
+    }
+
+    const user = await User.findById(session.user).select('-password');
+    if (!user || !user.isActive) {
+      return null;
+    }
+
+    const secretHash = this.hashSecret(secret);
+    const nextSecret = crypto.randomBytes(48).toString('hex');
+    const now = new Date();
+    const rotated = await UserSession.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: secretHash, revokedAt: null, expiresAt: { $gt: now } },
+      {
+        previousRefreshTokenHash: secretHash,
+        refreshTokenHash: this.hashSecret(nextSecret),
+        rotatedAt: now,
+        lastUsedAt: now,
+        ...(context.userAgent && { userAgent: context.userAgent }),
+        ...(context.ipAddress && { ipAddress: context.ipAddress })
+      },
+      { new: true }
+    );
+
+    if (!rotated) {
+      // A made-up secret must not let someone who knows the session ID sign its owner out
+      await UserSession.updateOne(
+        {
+          _id: session._id,
+          previousRefreshTokenHash: secretHash,
+          revokedAt: null,
+          rotatedAt: { $not: { $gt: new Date(now.getTime() - ROTATION_RACE_WINDOW_MS) } }
+        },
+        { revokedAt: now, revokedReason: 'reuse_detected' }
+      );
+      return null;
+    }
+
+    return {
+      user,
+      accessToken: this.signAccessToken(user, rotated._id),
+      refreshToken: `${rotated._id}.${nextSecret}`,
+      sessionId: rotated._id
+    };
+  }
+
+  /**
+   * Verify an access token against the signature and the revocation store.
+   * Throws on malformed or expired tokens.
+   * @param {string} token
+   * @returns {Object} { user, sessionId, revoked }
+   */
+  async verifyAccessToken(token) {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    const [user, session] = await Promise.all([
+      User.findById(decoded.userId).select('-password'),
+      decoded.sid ? UserSession.findById(decoded.sid).select('user revokedAt expiresAt lastUsedAt') : null
+    ]);
+
+    const revoked = !session ||
+      !session.isActive() ||
+      session.user.toString() !== decoded.userId.toString();
+
+    // Keep "last seen" roughly current without writing on every request
+    if (!revoked && !(Date.now() - session.lastUsedAt < LAST_SEEN_RESOLUTION_MS)) {
+      await UserSession.updateOne({ _id: session._id }, { lastUsedAt: new Date() });
+    }
+
+    return { user, sessionId: decoded.sid, revoked };
+  }
+
+  // Active sessions of a user, most recently used first
+  async listSessions(userId) {
+    return UserSession.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('deviceId userAgent ipAddress lastUsedAt createdAt expiresAt')
+      .sort({ lastUsedAt: -1 });
+  }
+
+  // Pass userId to only revoke the session if it belongs to that user
+  async revokeSession(sessionId, reason = 'logout', userId = null) {
+    return UserSession.updateOne(
+      { _id: sessionId, revokedAt: null, ...(userId && { user: userId }) },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+  }
+
+  async revokeAllSessions(userId, reason = 'logout_all', exceptSessionId = null) {
+    return UserSession.revokeAllForUser(userId, reason, exceptSessionId);
+  }
+
+  // Pull device context from an Express request
+  getRequestContext(req) {
+    return {
+      deviceId: req.body?.deviceId,
+      userAgent: req.get('User-Agent') || '',
+      ipAddress: req.ip || ''
+    };
+  }
+}
+
+module.exports = new TokenService();
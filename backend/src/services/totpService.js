@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const Classroom = require('../models/Classroom');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  let bits = '';
+  for (const char of input.replace(/=+$/, '').toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 character');
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// Time-based one-time passwords (RFC 6238, SHA-1, 6 digits, 30s steps)
+class TotpService {
+  get issuer() {
+    return process.env.TOTP_ISSUER || 'Shayak';
+  }
+
+  generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+  }
+
+  getStep(time = Date.now()) {
+    return Math.floor(time / 1000 / STEP_SECONDS);
+  }
+
+  generateCode(secret, step = this.getStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+  }
+
+  /**
+   * Check a code against the current step and one step either side.
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Code entered by the user
+   * @param {number} [lastUsedStep] - Steps at or before this are rejected to stop replays
+   * @returns {number|null} The matching step, or null
+   */
+  verifyCode(secret, code, lastUsedStep = -1) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const currentStep = this.getStep();
+    for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+      if (step <= lastUsedStep) continue;
+
+      const expected = this.generateCode(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  getOtpauthUrl(secret, accountName) {
+    const label = encodeURIComponent(`${this.issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: this.issuer,
+      algorithm: 'SHA1',
+      digits: String(DIGITS),
+      period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  generateQrCode(otpauthUrl) {
+    return QRCode.toDataURL(otpauthUrl);
+  }
+
+  // One-time recovery codes in the form xxxx-xxxx; only hashes are stored
+  generateRecoveryCodes(count = 10) {
+    return Array.from({ length: count }, () => {
+      const raw = crypto.randomBytes(4).toString('hex');
+      return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+    });
+  }
+
+  /**
+   * Whether policy obliges this user to use two-factor authentication: for
+   * every teacher when TWO_FACTOR_REQUIRED_FOR_TEACHERS=true, otherwise for
+   * staff of any active classroom that requires it.
+   * @param {Object} user - User document
+   * @returns {Promise<boolean>}
+   */
+  async isRequiredFor(user) {
+    if (user.role !== 'teacher') return false;
+    if (process.env.TWO_FACTOR_REQUIRED_FOR_TEACHERS === 'true') return true;
+
+    const classroom = await Classroom.exists({
+      ...Classroom.staffFilter(user._id),
+      isActive: true,
+      requireTeacherTwoFactor: true
+    });
+    return !!classroom;
+  }
+
+  hashRecoveryCode(code) {
+    const normalized = String(code || '').trim().toLowerCase().replace(/[^a-f0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Check a second factor for an enrolled user. A recovery code is used up and
+   * an accepted TOTP step is remembered; the caller saves the user.
+   * Requires twoFactor.secret, recoveryCodes and lastUsedStep to be selected.
+   * @param {Object} user - User document
+   * @param {Object} factor - { code } or { recoveryCode }
+   * @returns {boolean}
+   */
+  verifyUserFactor(user, { code, recoveryCode }) {
+    if (recoveryCode) {
+      const hash = this.hashRecoveryCode(recoveryCode);
+      const codes = user.twoFactor.recoveryCodes || [];
+      if (!codes.includes(hash)) return false;
+
+      user.twoFactor.recoveryCodes = codes.filter(c => c !== hash);
+      return true;
+    }
+
+    const step = this.verifyCode(user.twoFactor.secret, code, user.twoFactor.lastUsedStep ?? -1);
+    if (step === null) return false;
+
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+}
+
+module.exports = new TotpService();
@@ -0,0 +1,93 @@
+// Minimal RFC 4180 CSV parsing and writing: quoted fields, escaped quotes ("") and
+// newlines inside quotes. Enough for the spreadsheets teachers import and export.
+
+/**
+ * Split CSV text into rows of fields. Blank lines are dropped.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Excel likes to start UTF-8 files with a byte order mark
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parse CSV with a header row into objects keyed by header.
+ * Headers are matched case-insensitively and without spaces or underscores,
+ * so "Student ID", "student_id" and "studentId" all become "studentid".
+ * @param {string} text
+ * @returns {{ headers: string[], records: Array<{ line: number, values: Object }> }}
+ */
+const parseCsvWithHeaders = (text) => {
+  const [headerRow = [], ...rows] = parseCsv(text);
+  const headers = headerRow.map(header => header.trim().toLowerCase().replace(/[\s_]+/g, ''));
+
+  return {
+    headers,
+    records: rows.map((row, index) => ({
+      // Spreadsheet-style row number, counting the header as row 1
+      line: index + 2,
+      values: Object.fromEntries(headers.map((header, i) => [header, (row[i] || '').trim()]))
+    }))
+  };
+};
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Turn rows of values into CSV text, quoting fields that need it.
+ * Text that a spreadsheet would read as a formula is prefixed with a quote;
+ * numbers are written as they are.
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
+ */
+const toCsv = (rows) => rows
+  .map(row => row.map(value => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(','))
+  .join('\r\n');
+
+module.exports = { parseCsv, parseCsvWithHeaders, toCsv };
@@ -0,0 +1,41 @@
+// Grade categories and letter grades shared by the gradebook and submission grading
+
+// Categories a classroom's final grade is built from, with the default weights
+const DEFAULT_GRADE_CATEGORIES = [
+  { key: 'assignments', weight: 40, dropLowest: 0 },
+  { key: 'quizzes', weight: 30, dropLowest: 0 },
+  { key: 'dpps', weight: 10, dropLowest: 0 },
+  { key: 'attendance', weight: 20, dropLowest: 0 }
+];
+
+const GRADE_CATEGORY_KEYS = DEFAULT_GRADE_CATEGORIES.map(category => category.key);
+
+// Lowest percentage for each letter, highest first
+const DEFAULT_LETTER_SCALE = [
+  { letter: 'A', minPercentage: 90 },
+  { letter: 'B', minPercentage: 80 },
+  { letter: 'C', minPercentage: 70 },
+  { letter: 'D', minPercentage: 60 },
+  { letter: 'F', minPercentage: 0 }
+];
+
+/**
+ * Letter for a percentage on a scale; the default scale when none is given.
+ * @param {number} percentage
+ * @param {Array<{ letter: string, minPercentage: number }>} [scale]
+ * @returns {string|null}
+ */
+const letterGradeFor = (percentage, scale) => {
+  if (percentage === null || percentage === undefined) return null;
+  const steps = [...(scale && scale.length ? scale : DEFAULT_LETTER_SCALE)]
+    .sort((a, b) => b.minPercentage - a.minPercentage);
+  const step = steps.find(s => percentage >= s.minPercentage) || steps[steps.length - 1];
+  return step.letter;
+};
+
+module.exports = {
+  DEFAULT_GRADE_CATEGORIES,
+  GRADE_CATEGORY_KEYS,
+  DEFAULT_LETTER_SCALE,
+  letterGradeFor
+};
@@ -0,0 +1,63 @@
+// Case-insensitive substring search over MongoDB fields: every term of the query has
+// to appear in at least one of the searched fields.
+
+/**
+ * Escape user input before using it in a RegExp.
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a search query into distinct terms.
+ * @param {string} query
+ * @param {number} maxTerms - Terms past this many are ignored
+ * @returns {string[]}
+ */
+const searchTerms = (query, maxTerms = 10) => [
+  ...new Set(String(query).toLowerCase().split(/\s+/).filter(Boolean))
+].slice(0, maxTerms);
+
+/**
+ * Query filter matching documents that contain every term in one of the fields.
+ * @param {string[]} terms
+ * @param {string[]} fields - Paths to search, e.g. 'title' or 'attachments.fileName'
+ * @returns {Object}
+ */
+const termsFilter = (terms, fields) => ({
+  $and: terms.map(term => {
+    const regex = new RegExp(escapeRegex(term), 'i');
+    return { $or: fields.map(field => ({ [field]: regex })) };
+  })
+});
+
+/**
+ * Whether a piece of text contains any of the terms.
+ * @param {string} text
+ * @param {string[]} terms
+ * @returns {boolean}
+ */
+const containsAny = (text, terms) => {
+  const lower = (text || '').toLowerCase();
+  return terms.some(term => lower.includes(term));
+};
+
+/**
+ * A short excerpt of the text around the first term it contains.
+ * @param {string} text
+ * @param {string[]} terms
+ * @param {number} radius - Characters kept on each side of the match
+ * @returns {string}
+ */
+const snippet = (text, terms, radius = 60) => {
+  const value = (text || '').replace(/\s+/g, ' ').trim();
+  const lower = value.toLowerCase();
+  const index = Math.min(...terms.map(term => lower.indexOf(term)).filter(i => i >= 0));
+  if (!Number.isFinite(index)) return value.slice(0, radius * 2);
+
+  const start = Math.max(index - radius, 0);
+  const end = Math.min(index + radius, value.length);
+  return `${start > 0 ? '…' : ''}${value.slice(start, end)}${end < value.length ? '…' : ''}`;
+};
+
+module.exports = { escapeRegex, searchTerms, termsFilter, containsAny, snippet };
@@ -0,0 +1,54 @@
+// Rough, dependency-free User-Agent parsing for showing sessions to people.
+// Order matters: several browsers include "Chrome" or "Safari" in their UA.
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\/([\d.]+)/],
+  ['Opera', /(?:OPR|Opera)\/([\d.]+)/],
+  ['Samsung Internet', /SamsungBrowser\/([\d.]+)/],
+  ['Firefox', /(?:Firefox|FxiOS)\/([\d.]+)/],
+  ['Chrome', /(?:Chrome|CriOS)\/([\d.]+)/],
+  ['Safari', /Version\/([\d.]+).*Safari/]
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['ChromeOS', /CrOS/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+/**
+ * Describe the browser, operating system and kind of device behind a User-Agent.
+ * @param {string} userAgent
+ * @returns {{ browser: string, os: string, deviceType: 'mobile'|'tablet'|'desktop'|'unknown' }}
+ */
+const parseUserAgent = (userAgent = '') => {
+  if (!userAgent) {
+    return { browser: 'Unknown browser', os: 'Unknown OS', deviceType: 'unknown' };
+  }
+
+  const browserMatch = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const osMatch = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+
+  let browser = 'Unknown browser';
+  if (browserMatch) {
+    const version = userAgent.match(browserMatch[1])[1].split('.')[0];
+    browser = `${browserMatch[0]} ${version}`;
+  }
+
+  let deviceType = 'desktop';
+  if (/iPad|Tablet/.test(userAgent) || (/Android/.test(userAgent) && !/Mobile/.test(userAgent))) {
+    deviceType = 'tablet';
+  } else if (/Mobi|iPhone|iPod/.test(userAgent)) {
+    deviceType = 'mobile';
+  }
+
+  return {
+    browser,
+    os: osMatch ? osMatch[0] : 'Unknown OS',
+    deviceType
+  };
+};
+
+module.exports = { parseUserAgent };
@@ -0,0 +1,237 @@
+const request = require('supertest');
+const fs = require('fs');
+const path = require('path');
+const app = require('../src/server');
+const { connect, closeDatabase, clearDatabase } = require('./helpers/db');
+const User = require('../src/models/User');
+const Classroom = require('../src/models/Classroom');
+const Submission = require('../src/models/Submission');
+const Post = require('../src/models/Post');
+
+// Collect a binary response body into a Buffer
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('Account Data', () => {
+  let teacherToken, studentToken, adminToken;
+  let teacherUser, studentUser;
+  let classroom;
+
+  beforeAll(async () => {
+    await connect();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+
+    const teacherResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Teacher User', email: 'teacher@example.com', password: 'password123', role: 'teacher' });
+    teacherToken = teacherResponse.body.token;
+    teacherUser = teacherResponse.body.user;
+
+    const studentResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Student User', email: 'student@example.com', password: 'password123', role: 'student' });
+    studentToken = studentResponse.body.token;
+    studentUser = studentResponse.body.user;
+
+    await User.create({ name: 'Admin User', email: 'admin@example.com', password: 'password123', role: 'admin' });
+    const adminResponse = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@example.com', password: 'password123' });
+    adminToken = adminResponse.body.token;
+
+    const classroomResponse = await request(app)
+      .post('/api/classrooms')
+      .set('Authorization', `Bearer ${teacherToken}`)
+      .send({ name: 'Test Classroom', subject: 'Biology' });
+    classroom = classroomResponse.body.classroom;
+
+    await request(app)
+      .post('/api/classrooms/join')
+      .set('Authorization', `Bearer ${studentToken}`)
+      .send({ classCode: classroom.classCode });
+
+    const assignmentResponse = await request(app)
+      .post(`/api/assignments/classroom/${classroom._id}`)
+      .set('Authorization', `Bearer ${teacherToken}`)
+      .send({
+        title: 'Cell Diagram',
+        description: 'Label the parts of a cell',
+        totalPoints: 10,
+        dueDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+      });
+    const assignment = assignmentResponse.body.assignment;
+
+    await request(app)
+      .put(`/api/assignments/${assignment._id}/publish`)
+      .set('Authorization', `Bearer ${teacherToken}`);
+
+    await request(app)
+      .post(`/api/assignments/${assignment._id}/submit`)
+      .set('Authorization', `Bearer ${studentToken}`)
+      .send({ content: 'Nucleus, membrane, mitochondria' });
+
+    await request(app)
+      .post(`/api/posts/classroom/${classroom._id}`)
+      .set('Authorization', `Bearer ${studentToken}`)
+      .send({ type: 'general', content: 'Does the diagram need colour?' });
+  });
+
+  describe('GET /api/users/me/export', () => {
+    it('should download a zip with one file per kind of record', async () => {
+      const response = await request(app)
+        .get('/api/users/me/export')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .buffer()
+        .parse(binaryParser);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('application/zip');
+      expect(response.headers['content-disposition']).toContain('attachment');
+      // Zip entries store their names uncompressed
+      ['profile.json', 'submissions.json', 'quiz-sessions.json', 'dpp-submissions.json',
+        'attendance.json', 'engagement.json', 'posts.json', 'comments.json'].forEach(name => {
+        expect(response.body.includes(name)).toBe(true);
+      });
+    });
+
+    it('should let an admin export any user', async () => {
+      const response = await request(app)
+        .get(`/api/admin/users/${studentUser.id}/export`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .buffer()
+        .parse(binaryParser);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('application/zip');
+    });
+  });
+
+  describe('DELETE /api/users/me', () => {
+    it('should require the correct password', async () => {
+      const response = await request(app)
+        .delete('/api/users/me')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ password: 'wrongpassword' });
+
+      expect(response.status).toBe(400);
+      expect(await Submission.countDocuments({ student: studentUser.id })).toBe(1);
+    });
+
+    it('should remove personal data and anonymize authored posts', async () => {
+      const response = await request(app)
+        .delete('/api/users/me')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ password: 'password123' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Account deleted successfully');
+
+      const user = await User.findById(studentUser.id);
+      expect(user.name).toBe('Deleted user');
+      expect(user.email).not.toBe('student@example.com');
+      expect(user.isActive).toBe(false);
+      expect(user.deletedAt).toBeTruthy();
+
+      expect(await Submission.countDocuments({ student: studentUser.id })).toBe(0);
+
+      const updatedClassroom = await Classroom.findById(classroom._id);
+      expect(updatedClassroom.students).toHaveLength(0);
+
+      const post = await Post.findOne({ author: studentUser.id }).populate('author', 'name');
+      expect(post.content).toBe('Does the diagram need colour?');
+      expect(post.author.name).toBe('Deleted user');
+
+      const profileResponse = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${studentToken}`);
+      expect(profileResponse.status).toBe(401);
+
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'student@example.com', password: 'password123' });
+      expect(loginResponse.status).toBe(400);
+    });
+
+    it('should delete the uploaded profile picture', async () => {
+      const picturePath = path.join('uploads', 'general', `${studentUser.id}-${Date.now()}-avatar.png`);
+      fs.mkdirSync(path.dirname(picturePath), { recursive: true });
+      fs.writeFileSync(picturePath, 'png');
+      await User.updateOne({ _id: studentUser.id }, { profilePicture: `/${picturePath}` });
+
+      const response = await request(app)
+        .delete('/api/users/me')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ password: 'password123' });
+
+      expect(response.status).toBe(200);
+      expect(fs.existsSync(picturePath)).toBe(false);
+    });
+
+    it('should keep a profile picture that another user uploaded', async () => {
+      const picturePath = path.join('uploads', 'general', `${teacherUser.id}-${Date.now()}-avatar.png`);
+      fs.mkdirSync(path.dirname(picturePath), { recursive: true });
+      fs.writeFileSync(picturePath, 'png');
+      await User.updateOne({ _id: studentUser.id }, { profilePicture: `/${picturePath}` });
+
+      const response = await request(app)
+        .delete('/api/users/me')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ password: 'password123' });
+
+      expect(response.status).toBe(200);
+      expect(fs.existsSync(picturePath)).toBe(true);
+      fs.unlinkSync(picturePath);
+    });
+
+    it('should handle classrooms saved before groups existed', async () => {
+      await Classroom.collection.updateOne({ _id: classroom._id }, { $unset: { groups: 1 } });
+
+      const response = await request(app)
+        .delete('/api/users/me')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ password: 'password123' });
+
+      expect(response.status).toBe(200);
+      expect((await Classroom.findById(classroom._id)).students).toHaveLength(0);
+    });
+
+    it('should refuse while the user still owns classrooms', async () => {
+      const response = await request(app)
+        .delete('/api/users/me')
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ password: 'password123' });
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('DELETE /api/admin/users/:userId', () => {
+    it('should let an admin delete a user and hide them from the user list', async () => {
+      const response = await request(app)
+        .delete(`/api/admin/users/${studentUser.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+
+      const listResponse = await request(app)
+        .get('/api/admin/users')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(listResponse.body.users.map(u => u._id)).not.toContain(studentUser.id);
+
+      const reactivateResponse = await request(app)
+        .put(`/api/admin/users/${studentUser.id}/reactivate`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(reactivateResponse.status).toBe(404);
+    });
+  });
+});
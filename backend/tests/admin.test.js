@@ -0,0 +1,234 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { connect, closeDatabase, clearDatabase } = require('./helpers/db');
+const User = require('../src/models/User');
+const Assignment = require('../src/models/Assignment');
+
+describe('Admin Endpoints', () => {
+  let adminToken, teacherToken, studentToken;
+  let teacherUser, studentUser;
+
+  beforeAll(async () => {
+    await connect();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+
+    await User.create({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    const adminResponse = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@example.com', password: 'password123' });
+
+    adminToken = adminResponse.body.token;
+
+    const teacherResponse = await request(app)
+      .post('/api/auth/register')
+      .send({
+        name: 'Teacher User',
+        email: 'teacher@example.com',
+        password: 'password123',
+        role: 'teacher'
+      });
+
+    teacherToken = teacherResponse.body.token;
+    teacherUser = teacherResponse.body.user;
+
+    const studentResponse = await request(app)
+      .post('/api/auth/register')
+      .send({
+        name: 'Student User',
+        email: 'student@example.com',
+        password: 'password123',
+        role: 'student'
+      });
+
+    studentToken = studentResponse.body.token;
+    studentUser = studentResponse.body.user;
+  });
+
+  describe('GET /api/admin/users', () => {
+    it('should list all users for an admin', async () => {
+      const response = await request(app)
+        .get('/api/admin/users')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.users).toHaveLength(3);
+      expect(response.body.pagination.total).toBe(3);
+    });
+
+    it('should filter users by search and role', async () => {
+      const response = await request(app)
+        .get('/api/admin/users?search=student&role=student')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.users).toHaveLength(1);
+      expect(response.body.users[0].email).toBe('student@example.com');
+    });
+
+    it('should reject a role that is not a plain role name', async () => {
+      for (const query of ['role=superuser', 'role[$ne]=admin']) {
+        const response = await request(app)
+          .get(`/api/admin/users?${query}`)
+          .set('Authorization', `Bearer ${adminToken}`);
+
+        expect(response.status).toBe(400);
+      }
+    });
+
+    it('should not allow a teacher to use admin routes', async () => {
+      const response = await request(app)
+        .get('/api/admin/users')
+        .set('Authorization', `Bearer ${teacherToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('PUT /api/admin/users/:userId/deactivate', () => {
+    it('should deactivate a user and revoke their sessions', async () => {
+      const response = await request(app)
+        .put(`/api/admin/users/${studentUser.id}/deactivate`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.user.isActive).toBe(false);
+
+      const profileResponse = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(profileResponse.status).toBe(401);
+    });
+
+    it('should reactivate a deactivated user', async () => {
+      await request(app)
+        .put(`/api/admin/users/${studentUser.id}/deactivate`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      const response = await request(app)
+        .put(`/api/admin/users/${studentUser.id}/reactivate`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.user.isActive).toBe(true);
+
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'student@example.com', password: 'password123' });
+
+      expect(loginResponse.status).toBe(200);
+    });
+
+    it('should reject a malformed user ID', async () => {
+      for (const action of ['deactivate', 'reactivate']) {
+        const response = await request(app)
+          .put(`/api/admin/users/not-an-id/${action}`)
+          .set('Authorization', `Bearer ${adminToken}`);
+
+        expect(response.status).toBe(400);
+      }
+    });
+  });
+
+  describe('POST /api/admin/users/:userId/reset-password', () => {
+    it('should set a temporary password', async () => {
+      const response = await request(app)
+        .post(`/api/admin/users/${studentUser.id}/reset-password`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ password: 'temporary123' });
+
+      expect(response.status).toBe(200);
+
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'student@example.com', password: 'temporary123' });
+
+      expect(loginResponse.status).toBe(200);
+    });
+
+    it('should reject a malformed user ID', async () => {
+      const response = await request(app)
+        .post('/api/admin/users/not-an-id/reset-password')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ password: 'temporary123' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('PUT /api/admin/classrooms/:classroomId/owner', () => {
+    it('should move the classroom and its content to another teacher', async () => {
+      const classroomResponse = await request(app)
+        .post('/api/classrooms')
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ name: 'Physics', subject: 'Science' });
+
+      const classroomId = classroomResponse.body.classroom._id;
+
+      await request(app)
+        .post(`/api/assignments/classroom/${classroomId}`)
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({
+          title: 'Homework 1',
+          description: 'Read chapter 1',
+          dueDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+        });
+
+      const newTeacherResponse = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'New Teacher',
+          email: 'newteacher@example.com',
+          password: 'password123',
+          role: 'teacher'
+        });
+
+      const response = await request(app)
+        .put(`/api/admin/classrooms/${classroomId}/owner`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ teacherId: newTeacherResponse.body.user.id });
+
+      expect(response.status).toBe(200);
+      expect(response.body.classroom.teacher.email).toBe('newteacher@example.com');
+
+      const assignments = await Assignment.find({ classroom: classroomId });
+      expect(assignments[0].teacher.toString()).toBe(newTeacherResponse.body.user.id);
+    });
+
+    it('should reject a non-teacher as new owner', async () => {
+      const classroomResponse = await request(app)
+        .post('/api/classrooms')
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ name: 'Physics', subject: 'Science' });
+
+      const response = await request(app)
+        .put(`/api/admin/classrooms/${classroomResponse.body.classroom._id}/owner`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ teacherId: studentUser.id });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject a malformed classroom ID', async () => {
+      const response = await request(app)
+        .put('/api/admin/classrooms/not-an-id/owner')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ teacherId: teacherUser.id });
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,171 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { connect, closeDatabase, clearDatabase } = require('./helpers/db');
+const ApiToken = require('../src/models/ApiToken');
+
+describe('Personal API Tokens', () => {
+  let teacherToken, studentToken;
+  let studentUser;
+  let classroom;
+
+  const createToken = (body, token = teacherToken) => request(app)
+    .post('/api/auth/tokens')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  beforeAll(async () => {
+    await connect();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+
+    const teacherResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Teacher User', email: 'teacher@example.com', password: 'password123', role: 'teacher' });
+    teacherToken = teacherResponse.body.token;
+
+    const studentResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Student User', email: 'student@example.com', password: 'password123', role: 'student' });
+    studentToken = studentResponse.body.token;
+    studentUser = studentResponse.body.user;
+
+    const classroomResponse = await request(app)
+      .post('/api/classrooms')
+      .set('Authorization', `Bearer ${teacherToken}`)
+      .send({ name: 'Scripted Classroom', subject: 'Math' });
+    classroom = classroomResponse.body.classroom;
+
+    await request(app)
+      .post('/api/classrooms/join')
+      .set('Authorization', `Bearer ${studentToken}`)
+      .send({ classCode: classroom.classCode });
+  });
+
+  it('should create a token that is shown once and stored hashed', async () => {
+    const response = await createToken({ name: 'Roster sync', scopes: ['roster:read'], expiresInDays: 30 });
+
+    expect(response.status).toBe(201);
+    expect(response.body.token).toMatch(/^shk_/);
+    expect(response.body.apiToken.scopes).toEqual(['roster:read']);
+    expect(response.body.apiToken.tokenHash).toBeUndefined();
+    expect(new Date(response.body.apiToken.expiresAt).getTime()).toBeGreaterThan(Date.now());
+
+    const stored = await ApiToken.findById(response.body.apiToken._id).select('+tokenHash');
+    expect(stored.tokenHash).toHaveLength(64);
+    expect(stored.tokenHash).not.toBe(response.body.token);
+
+    const listResponse = await request(app)
+      .get('/api/auth/tokens')
+      .set('Authorization', `Bearer ${teacherToken}`);
+
+    expect(listResponse.body.tokens).toHaveLength(1);
+    expect(listResponse.body.tokens[0].name).toBe('Roster sync');
+    expect(listResponse.body.scopes.map(s => s.scope)).toContain('grades:write');
+  });
+
+  it('should reject unknown scopes', async () => {
+    const response = await createToken({ name: 'Too much', scopes: ['admin:all'] });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should allow endpoints covered by the token scopes and track last use', async () => {
+    const { token, apiToken } = (await createToken({ name: 'Roster sync', scopes: ['roster:read'] })).body;
+
+    const rosterResponse = await request(app)
+      .get(`/api/classrooms/${classroom._id}/students`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(rosterResponse.status).toBe(200);
+    expect(JSON.stringify(rosterResponse.body)).toContain(studentUser.email);
+
+    const stored = await ApiToken.findById(apiToken._id);
+    expect(stored.lastUsedAt).not.toBeNull();
+
+    // Same user, but a scope the token was not granted
+    const importResponse = await request(app)
+      .post(`/api/classrooms/${classroom._id}/roster/import`)
+      .set('Authorization', `Bearer ${token}`)
+      .attach('file', Buffer.from('name,email\nNew Student,new@example.com'), 'roster.csv');
+
+    expect(importResponse.status).toBe(403);
+    expect(importResponse.body.code).toBe('INSUFFICIENT_SCOPE');
+  });
+
+  it('should refuse tokens on endpoints that do not accept them', async () => {
+    const { token } = (await createToken({ name: 'Everything', scopes: ['classrooms:read', 'roster:write'] })).body;
+
+    const profileResponse = await request(app)
+      .get('/api/auth/profile')
+      .set('Authorization', `Bearer ${token}`);
+    expect(profileResponse.status).toBe(403);
+    expect(profileResponse.body.code).toBe('API_TOKEN_NOT_ALLOWED');
+
+    // A token cannot mint more tokens
+    const mintResponse = await createToken({ name: 'Another', scopes: ['roster:read'] }, token);
+    expect(mintResponse.status).toBe(403);
+  });
+
+  it('should keep role checks for scoped requests', async () => {
+    const { token } = (await createToken({ name: 'Student script', scopes: ['roster:write'] }, studentToken)).body;
+
+    const response = await request(app)
+      .delete(`/api/classrooms/${classroom._id}/students/${studentUser.id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(403);
+  });
+
+  it('should stop accepting a token once it is revoked or expired', async () => {
+    const { token, apiToken } = (await createToken({ name: 'Old script', scopes: ['classrooms:read'] })).body;
+
+    const revokeResponse = await request(app)
+      .delete(`/api/auth/tokens/${apiToken._id}`)
+      .set('Authorization', `Bearer ${teacherToken}`);
+    expect(revokeResponse.status).toBe(200);
+
+    const revokedResponse = await request(app)
+      .get('/api/classrooms')
+      .set('Authorization', `Bearer ${token}`);
+    expect(revokedResponse.status).toBe(401);
+
+    const second = (await createToken({ name: 'Short lived', scopes: ['classrooms:read'], expiresInDays: 1 })).body;
+    await ApiToken.updateOne({ _id: second.apiToken._id }, { expiresAt: new Date(Date.now() - 1000) });
+
+    const expiredResponse = await request(app)
+      .get('/api/classrooms')
+      .set('Authorization', `Bearer ${second.token}`);
+    expect(expiredResponse.status).toBe(401);
+  });
+
+  it('should revoke tokens when the password is changed', async () => {
+    const { token } = (await createToken({ name: 'Script', scopes: ['classrooms:read'] })).body;
+
+    const changeResponse = await request(app)
+      .post('/api/auth/change-password')
+      .set('Authorization', `Bearer ${teacherToken}`)
+      .send({ currentPassword: 'password123', newPassword: 'newpassword456' });
+    expect(changeResponse.status).toBe(200);
+
+    const response = await request(app)
+      .get('/api/classrooms')
+      .set('Authorization', `Bearer ${token}`);
+    expect(response.status).toBe(401);
+  });
+
+  it('should not let users revoke tokens of other users', async () => {
+    const { apiToken } = (await createToken({ name: 'Mine', scopes: ['classrooms:read'] })).body;
+
+    const response = await request(app)
+      .delete(`/api/auth/tokens/${apiToken._id}`)
+      .set('Authorization', `Bearer ${studentToken}`);
+
+    expect(response.status).toBe(404);
+  });
+});
@@ -240,6 +240,41 @@ describe('Assignment and Submission Endpoints', () => {
     });
   });
 
+  describe('PUT /api/assignments/:assignmentId', () => {
+    let assignment;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post(`/api/assignments/classroom/${classroom._id}`)
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({
+          title: 'Test Assignment',
+          description: 'Test description',
+          dueDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+        });
+
+      assignment = response.body.assignment;
+    });
+
+    it('should only change the editable fields', async () => {
+      const response = await request(app)
+        .put(`/api/assignments/${assignment._id}`)
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({
+          title: 'Renamed Assignment',
+          totalPoints: 50,
+          teacher: studentUser.id,
+          attachments: [{ fileName: 'notes.pdf', fileUrl: 'https://example.com/notes.pdf' }]
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.assignment.title).toBe('Renamed Assignment');
+      expect(response.body.assignment.totalPoints).toBe(50);
+      expect(response.body.assignment.teacher._id).toBe(teacherUser.id);
+      expect(response.body.assignment.attachments).toHaveLength(0);
+    });
+  });
+
   describe('PUT /api/assignments/:assignmentId/publish', () => {
     let assignment;
 
@@ -0,0 +1,182 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { connect, closeDatabase, clearDatabase } = require('./helpers/db');
+const { register, createClassroom, joinClassroom } = require('./helpers/fixtures');
+const User = require('../src/models/User');
+const AuditLog = require('../src/models/AuditLog');
+
+describe('Audit Log', () => {
+  let ownerToken, taToken, studentToken, adminToken;
+  let ownerUser, taUser, studentUser;
+  let classroom;
+
+  const getAuditLog = (token, query = {}) => request(app)
+    .get(`/api/classrooms/${classroom._id}/audit-log`)
+    .query(query)
+    .set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    await connect();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+
+    const ownerResponse = await register('Owner Teacher', 'owner@example.com', 'teacher');
+    ownerToken = ownerResponse.body.token;
+    ownerUser = ownerResponse.body.user;
+
+    const taResponse = await register('Teaching Assistant', 'ta@example.com', 'teacher');
+    taToken = taResponse.body.token;
+    taUser = taResponse.body.user;
+
+    const studentResponse = await register('Student User', 'student@example.com', 'student');
+    studentToken = studentResponse.body.token;
+    studentUser = studentResponse.body.user;
+
+    await User.create({ name: 'Admin User', email: 'admin@example.com', password: 'password123', role: 'admin' });
+    adminToken = (await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@example.com', password: 'password123' })).body.token;
+
+    classroom = await createClassroom(ownerToken, { name: 'Audited Classroom', subject: 'History' });
+
+    await joinClassroom(studentToken, classroom.classCode);
+
+    await request(app)
+      .post(`/api/classrooms/${classroom._id}/staff`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ email: 'ta@example.com', role: 'ta' });
+  });
+
+  const createSubmission = async () => {
+    const assignment = (await request(app)
+      .post(`/api/assignments/classroom/${classroom._id}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({
+        title: 'Essay',
+        description: 'Causes of the war',
+        totalPoints: 100,
+        dueDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+      })).body.assignment;
+
+    await request(app)
+      .put(`/api/assignments/${assignment._id}/publish`)
+      .set('Authorization', `Bearer ${ownerToken}`);
+
+    const submissionResponse = await request(app)
+      .post(`/api/assignments/${assignment._id}/submit`)
+      .set('Authorization', `Bearer ${studentToken}`)
+      .send({ content: 'My essay' });
+
+    return submissionResponse.body.submission;
+  };
+
+  const grade = (submission, token, body) => request(app)
+    .put(`/api/assignments/submissions/${submission._id}/grade`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  it('should record who changed a grade and what changed', async () => {
+    const submission = await createSubmission();
+
+    await grade(submission, taToken, { points: 70, feedback: 'Good start' });
+    await grade(submission, ownerToken, { points: 85, feedback: 'Good start' });
+    // Saving the same grade again changes nothing and is not logged
+    await grade(submission, ownerToken, { points: 85, feedback: 'Good start' });
+
+    const response = await getAuditLog(ownerToken);
+
+    expect(response.status).toBe(200);
+    expect(response.body.logs).toHaveLength(2);
+    expect(response.body.pagination.total).toBe(2);
+
+    const [regrade, firstGrade] = response.body.logs;
+    expect(regrade.action).toBe('submission_graded');
+    expect(regrade.actor._id).toBe(ownerUser.id);
+    expect(regrade.subject._id).toBe(studentUser.id);
+    expect(regrade.targetId).toBe(submission._id);
+    expect(regrade.changes).toEqual(expect.arrayContaining([
+      { field: 'points', before: 70, after: 85 }
+    ]));
+    expect(regrade.changes.map(change => change.field)).not.toContain('feedback');
+
+    expect(firstGrade.actor._id).toBe(taUser.id);
+    expect(firstGrade.changes).toEqual(expect.arrayContaining([
+      { field: 'status', before: 'submitted', after: 'graded' },
+      { field: 'feedback', before: null, after: 'Good start' }
+    ]));
+  });
+
+  it('should record student removal and archiving, and filter entries', async () => {
+    await request(app)
+      .delete(`/api/classrooms/${classroom._id}/students/${studentUser.id}`)
+      .set('Authorization', `Bearer ${ownerToken}`);
+
+    await request(app)
+      .put(`/api/classrooms/${classroom._id}/archive`)
+      .set('Authorization', `Bearer ${ownerToken}`);
+
+    const allResponse = await getAuditLog(ownerToken);
+    expect(allResponse.body.logs.map(log => log.action)).toEqual(['classroom_archived', 'student_removed']);
+    expect(allResponse.body.logs[0].changes).toEqual([{ field: 'isActive', before: true, after: false }]);
+
+    const filteredResponse = await getAuditLog(ownerToken, { action: 'student_removed', subject: studentUser.id });
+    expect(filteredResponse.body.logs).toHaveLength(1);
+    expect(filteredResponse.body.logs[0].changes).toEqual(expect.arrayContaining([
+      { field: 'enrolled', before: true, after: false }
+    ]));
+
+    const futureResponse = await getAuditLog(ownerToken, { from: new Date(Date.now() + 60000).toISOString() });
+    expect(futureResponse.body.logs).toHaveLength(0);
+
+    const invalidResponse = await getAuditLog(ownerToken, { action: 'made_up' });
+    expect(invalidResponse.status).toBe(400);
+  });
+
+  it('should hide the classroom log from TAs and other teachers', async () => {
+    const taResponse = await getAuditLog(taToken);
+    expect(taResponse.status).toBe(404);
+
+    const studentResponse = await getAuditLog(studentToken);
+    expect(studentResponse.status).toBe(403);
+  });
+
+  it('should let admins search the log across classrooms', async () => {
+    const submission = await createSubmission();
+    await grade(submission, taToken, { points: 60 });
+
+    const response = await request(app)
+      .get('/api/admin/audit-log')
+      .query({ actor: taUser.id })
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.logs).toHaveLength(1);
+    expect(response.body.logs[0].classroom.name).toBe('Audited Classroom');
+
+    const teacherResponse = await request(app)
+      .get('/api/admin/audit-log')
+      .set('Authorization', `Bearer ${ownerToken}`);
+    expect(teacherResponse.status).toBe(403);
+  });
+
+  it('should not allow entries to be changed or removed', async () => {
+    const submission = await createSubmission();
+    await grade(submission, taToken, { points: 60 });
+
+    const entry = await AuditLog.findOne();
+
+    await expect(AuditLog.updateOne({ _id: entry._id }, { actor: ownerUser.id })).rejects.toThrow('cannot be modified');
+    await expect(AuditLog.deleteMany({})).rejects.toThrow('cannot be modified');
+
+    entry.action = 'classroom_archived';
+    await expect(entry.save()).rejects.toThrow('cannot be modified');
+
+    expect(await AuditLog.countDocuments()).toBe(1);
+  });
+});
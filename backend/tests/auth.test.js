@@ -1,6 +1,8 @@
 const request = require('supertest');
 const app = require('../src/server');
 const { connect, closeDatabase, clearDatabase } = require('./helpers/db');
+const emailService = require('../src/services/emailService');
+const UserSession = require('../src/models/UserSession');
 
 describe('Authentication Endpoints', () => {
   beforeAll(async () => {
@@ -375,6 +377,474 @@ describe('Authentication Endpoints', () => {
       expect(response.body.valid).toBe(false);
     });
   });
+
+  describe('Session tokens', () => {
+    let token;
+    let refreshToken;
+
+    beforeEach(async () => {
+      const userData = {
+        name: 'Test User',
+        email: 'test@example.com',
+        password: 'password123',
+        role: 'student'
+      };
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(userData);
+
+      token = response.body.token;
+      refreshToken = response.body.refreshToken;
+    });
+
+    it('should issue a refresh token on login', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123', deviceId: 'lab-pc-1' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.refreshToken).toBeDefined();
+      expect(response.body.deviceId).toBe('lab-pc-1');
+    });
+
+    it('should rotate the refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+
+      expect(response.status).toBe(200);
+      expect(response.body.token).toBeDefined();
+      expect(response.body.refreshToken).toBeDefined();
+      expect(response.body.refreshToken).not.toBe(refreshToken);
+
+      const profileResponse = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${response.body.token}`);
+
+      expect(profileResponse.status).toBe(200);
+    });
+
+    it('should revoke the session when a rotated refresh token is reused', async () => {
+      const first = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+      // Past the window in which a second refresh counts as a race
+      await UserSession.updateMany({}, { rotatedAt: new Date(Date.now() - 60 * 1000) });
+
+      const reuse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+
+      expect(reuse.status).toBe(401);
+
+      const afterReuse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: first.body.refreshToken });
+
+      expect(afterReuse.status).toBe(401);
+    });
+
+    it('should rotate once and keep the session when two refreshes race', async () => {
+      const responses = await Promise.all([1, 2].map(() => request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })));
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 401]);
+
+      const winner = responses.find(response => response.status === 200);
+      const next = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: winner.body.refreshToken });
+
+      expect(next.status).toBe(200);
+    });
+
+    it('should keep the session when a refresh token was never issued', async () => {
+      const [sessionId] = refreshToken.split('.');
+
+      const forged = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: `${sessionId}.not-the-secret` });
+
+      expect(forged.status).toBe(401);
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should reject an invalid refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'not-a-token' });
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should revoke access and refresh tokens on logout', async () => {
+      const logoutResponse = await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(logoutResponse.status).toBe(200);
+
+      const profileResponse = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(profileResponse.status).toBe(401);
+      expect(profileResponse.body.message).toBe('Session has been revoked.');
+
+      const refreshResponse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+
+      expect(refreshResponse.status).toBe(401);
+    });
+
+    it('should revoke other sessions when the password changes', async () => {
+      const otherDevice = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123', deviceId: 'phone' });
+
+      await request(app)
+        .post('/api/auth/change-password')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ currentPassword: 'password123', newPassword: 'newpassword123' });
+
+      const otherProfile = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${otherDevice.body.token}`);
+
+      expect(otherProfile.status).toBe(401);
+
+      const currentProfile = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(currentProfile.status).toBe(200);
+    });
+
+    it('should revoke every session on logout-all', async () => {
+      const otherDevice = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123', deviceId: 'phone' });
+
+      await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${token}`);
+
+      const otherProfile = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${otherDevice.body.token}`);
+
+      expect(otherProfile.status).toBe(401);
+    });
+  });
+
+  describe('Session management', () => {
+    let labToken, phoneToken;
+
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Test User', email: 'test@example.com', password: 'password123', role: 'student' });
+
+      const labResponse = await request(app)
+        .post('/api/auth/login')
+        .set('User-Agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36')
+        .send({ email: 'test@example.com', password: 'password123', deviceId: 'lab-pc' });
+      labToken = labResponse.body.token;
+
+      const phoneResponse = await request(app)
+        .post('/api/auth/login')
+        .set('User-Agent', 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1')
+        .send({ email: 'test@example.com', password: 'password123', deviceId: 'phone' });
+      phoneToken = phoneResponse.body.token;
+    });
+
+    it('should list active sessions with device details', async () => {
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${phoneToken}`);
+
+      expect(response.status).toBe(200);
+
+      // Registration started a session too
+      expect(response.body.sessions).toHaveLength(3);
+
+      const current = response.body.sessions.find(s => s.current);
+      expect(current.browser).toBe('Safari 17');
+      expect(current.os).toBe('iOS');
+      expect(current.deviceType).toBe('mobile');
+      expect(response.body.sessions.some(s => s.browser === 'Chrome 120' && s.os === 'Windows')).toBe(true);
+    });
+
+    it('should sign out another device remotely', async () => {
+      const listResponse = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${phoneToken}`);
+      const labSession = listResponse.body.sessions.find(s => s.os === 'Windows');
+
+      const response = await request(app)
+        .delete(`/api/auth/sessions/${labSession.id}`)
+        .set('Authorization', `Bearer ${phoneToken}`);
+
+      expect(response.status).toBe(200);
+
+      const labProfile = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${labToken}`);
+      expect(labProfile.status).toBe(401);
+    });
+
+    it('should not revoke sessions of other users', async () => {
+      const otherResponse = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Other User', email: 'other@example.com', password: 'password123', role: 'student' });
+
+      const listResponse = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${phoneToken}`);
+
+      const response = await request(app)
+        .delete(`/api/auth/sessions/${listResponse.body.sessions[0].id}`)
+        .set('Authorization', `Bearer ${otherResponse.body.token}`);
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should sign out every other session', async () => {
+      const response = await request(app)
+        .delete('/api/auth/sessions')
+        .set('Authorization', `Bearer ${phoneToken}`);
+
+      expect(response.status).toBe(200);
+
+      const listResponse = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${phoneToken}`);
+      expect(listResponse.body.sessions).toHaveLength(1);
+      expect(listResponse.body.sessions[0].current).toBe(true);
+    });
+  });
+
+  describe('Password reset', () => {
+    const getLatestResetToken = () => {
+      const message = emailService.outbox[emailService.outbox.length - 1];
+      return message.text.match(/token=([a-f0-9]+)/)[1];
+    };
+
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'Test User',
+          email: 'test@example.com',
+          password: 'password123',
+          role: 'student'
+        });
+
+      // Registering sent a verification email; only reset emails matter here
+      emailService.outbox.length = 0;
+    });
+
+    it('should email a reset link for a known account', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test@example.com' });
+
+      expect(response.status).toBe(200);
+      expect(emailService.outbox).toHaveLength(1);
+      expect(emailService.outbox[0].to[0].address).toBe('test@example.com');
+    });
+
+    it('should respond the same way for an unknown email without sending mail', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' });
+
+      expect(response.status).toBe(200);
+      expect(emailService.outbox).toHaveLength(0);
+    });
+
+    it('should respond the same way when the reset email cannot be sent', async () => {
+      const send = jest.spyOn(emailService, 'sendPasswordResetEmail').mockRejectedValue(new Error('SMTP unavailable'));
+
+      const known = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test@example.com' });
+      const unknown = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' });
+      send.mockRestore();
+
+      expect(known.status).toBe(200);
+      expect(known.body).toEqual(unknown.body);
+    });
+
+    it('should limit reset requests per email, whether or not it has an account', async () => {
+      for (const email of ['test@example.com', 'nobody@example.com']) {
+        for (let i = 0; i < 5; i++) {
+          const response = await request(app)
+            .post('/api/auth/forgot-password')
+            .send({ email });
+          expect(response.status).toBe(200);
+        }
+
+        const limited = await request(app)
+          .post('/api/auth/forgot-password')
+          .send({ email });
+
+        expect(limited.status).toBe(429);
+        expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+      }
+      expect(emailService.outbox).toHaveLength(5);
+    });
+
+    it('should limit reset requests per IP address', async () => {
+      for (let i = 0; i < 20; i++) {
+        await request(app)
+          .post('/api/auth/forgot-password')
+          .send({ email: `student${i}@example.com` });
+      }
+
+      const limited = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test@example.com' });
+
+      expect(limited.status).toBe(429);
+      expect(emailService.outbox).toHaveLength(0);
+    });
+
+    it('should reset the password with a valid token only once', async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test@example.com' });
+
+      const token = getLatestResetToken();
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'brandnew123' });
+
+      expect(response.status).toBe(200);
+
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'brandnew123' });
+
+      expect(loginResponse.status).toBe(200);
+
+      const reuseResponse = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'another123' });
+
+      expect(reuseResponse.status).toBe(400);
+    });
+
+    it('should invalidate older reset tokens when a new one is requested', async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test@example.com' });
+      const firstToken = getLatestResetToken();
+
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test@example.com' });
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: firstToken, password: 'brandnew123' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject an invalid reset token', async () => {
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'deadbeef', password: 'brandnew123' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Reset link is invalid or has expired');
+    });
+  });
+
+  describe('Email verification', () => {
+    let token;
+
+    const getLatestVerificationToken = () => {
+      const message = emailService.outbox[emailService.outbox.length - 1];
+      return message.text.match(/verify-email\?token=([a-f0-9]+)/)[1];
+    };
+
+    beforeEach(async () => {
+      emailService.outbox.length = 0;
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'Test User',
+          email: 'test@example.com',
+          password: 'password123',
+          role: 'student'
+        });
+
+      token = response.body.token;
+    });
+
+    it('should send a verification email on registration', async () => {
+      expect(emailService.outbox).toHaveLength(1);
+      expect(emailService.outbox[0].subject).toBe('Verify your Shayak email address');
+    });
+
+    it('should verify the email with a valid token', async () => {
+      const response = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: getLatestVerificationToken() });
+
+      expect(response.status).toBe(200);
+
+      const profileResponse = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(profileResponse.body.user.isEmailVerified).toBe(true);
+    });
+
+    it('should reject an invalid verification token', async () => {
+      const response = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: 'deadbeef' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should throttle verification resends', async () => {
+      const response = await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(429);
+      expect(response.headers['retry-after']).toBeDefined();
+    });
+
+    it('should not resend once the email is verified', async () => {
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: getLatestVerificationToken() });
+
+      const response = await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Email is already verified');
+    });
+  });
 });
 
 module.exports = { app };
\ No newline at end of file
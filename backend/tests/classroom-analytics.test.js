@@ -0,0 +1,192 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { connect, closeDatabase, clearDatabase } = require('./helpers/db');
+const { register, createClassroom, joinClassroom, createAssignment, submitAndGrade } = require('./helpers/fixtures');
+const VideoClass = require('../src/models/VideoClass');
+const Attendance = require('../src/models/Attendance');
+const Engagement = require('../src/models/Engagement');
+const DailyPracticeProblem = require('../src/models/DailyPracticeProblem');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Classroom analytics', () => {
+  let teacherToken, studentToken, otherStudentToken;
+  let teacherUser, studentUser, otherStudentUser;
+  let classroom;
+
+  const getAnalytics = (token = teacherToken) => request(app)
+    .get(`/api/classrooms/${classroom._id}/analytics`)
+    .set('Authorization', `Bearer ${token}`);
+
+  // Create an assignment and grade both students out of 100
+  const gradeNewAssignment = async (title, points) => {
+    const assignment = await createAssignment(teacherToken, classroom._id, { title });
+
+    for (const [token, score] of [[studentToken, points[0]], [otherStudentToken, points[1]]]) {
+      await submitAndGrade(assignment, { studentToken: token, teacherToken, points: score });
+    }
+  };
+
+  beforeAll(async () => {
+    await connect();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+
+    const teacherResponse = await register('Teacher User', 'teacher@example.com', 'teacher');
+    teacherToken = teacherResponse.body.token;
+    teacherUser = teacherResponse.body.user;
+
+    const studentResponse = await register('Student User', 'student@example.com', 'student');
+    studentToken = studentResponse.body.token;
+    studentUser = studentResponse.body.user;
+
+    const otherStudentResponse = await register('Other Student', 'student2@example.com', 'student');
+    otherStudentToken = otherStudentResponse.body.token;
+    otherStudentUser = otherStudentResponse.body.user;
+
+    classroom = await createClassroom(teacherToken, { name: 'Chemistry', subject: 'Chemistry' });
+
+    for (const token of [studentToken, otherStudentToken]) {
+      await joinClassroom(token, classroom.classCode);
+    }
+
+    // The first student misses both classes, the other attends both
+    const classes = await VideoClass.create([1, 2].map(n => ({
+      classroom: classroom._id,
+      teacher: teacherUser.id,
+      title: `Lecture ${n}`,
+      scheduledStartTime: new Date(Date.now() - n * DAY_MS),
+      scheduledEndTime: new Date(Date.now() - n * DAY_MS + 60 * 60 * 1000),
+      status: 'ended'
+    })));
+    for (const videoClass of classes) {
+      await Attendance.markAttendance(studentUser.id, videoClass._id, 'absent');
+      await Attendance.markAttendance(otherStudentUser.id, videoClass._id, 'present');
+    }
+
+    await Engagement.create({
+      studentId: otherStudentUser.id,
+      classId: classes[0]._id,
+      teacherId: teacherUser.id,
+      classroomId: classroom._id,
+      predictedClass: 'Actively Looking',
+      confidence: 0.9,
+      engagementScore: 0.8,
+      classStartTime: classes[0].scheduledStartTime,
+      minutesIntoClass: 10
+    });
+
+    await DailyPracticeProblem.create({
+      title: 'Moles Practice',
+      classroom: classroom._id,
+      videoClass: classes[0]._id,
+      teacher: teacherUser.id,
+      type: 'mcq',
+      questions: [{ question: 'Avogadro', options: [{ text: '6.022e23', isCorrect: true }, { text: '42' }] }],
+      dueDate: new Date(Date.now() + DAY_MS),
+      maxScore: 1,
+      isPublished: true,
+      submissions: [{ student: otherStudentUser.id, maxScore: 1, score: 1 }]
+    });
+  });
+
+  it('should combine attendance, DPP and engagement analytics', async () => {
+    const response = await getAnalytics();
+
+    expect(response.status).toBe(200);
+    expect(response.body.summary).toMatchObject({
+      students: 2,
+      averageAttendance: 50,
+      dppCompletionRate: 50,
+      averageEngagement: 0.8
+    });
+    expect(response.body.dpps).toEqual([
+      expect.objectContaining({ title: 'Moles Practice', totalStudents: 2, submissionCount: 1, submissionRate: 50 })
+    ]);
+    expect(response.body.engagement.classes).toHaveLength(1);
+    expect(response.body.engagement.classes[0].totalAnalyses).toBe(1);
+
+    const other = response.body.students.find(row => row.student._id === otherStudentUser.id);
+    expect(other.attendance).toMatchObject({ percentage: 100, present: 2, total: 2 });
+    expect(other.dpps).toEqual({ assigned: 1, submitted: 1, averageScore: 100 });
+    expect(other.engagement.averageEngagement).toBe(0.8);
+  });
+
+  it('should flag students with low attendance and falling scores', async () => {
+    for (const [title, points] of [
+      ['Atoms', [90, 70]], ['Bonds', [85, 70]], ['Moles', [90, 75]],
+      ['Gases', [50, 75]], ['Acids', [45, 70]], ['Redox', [40, 70]]
+    ]) {
+      await gradeNewAssignment(title, points);
+    }
+
+    const response = await getAnalytics();
+
+    expect(response.body.atRisk).toHaveLength(1);
+    const [flagged] = response.body.atRisk;
+    expect(flagged.student._id).toBe(studentUser.id);
+    expect(flagged.trend).toEqual({ recentAverage: 45, earlierAverage: 88.33, change: -43.33 });
+    expect(flagged.risk).toEqual({ reasons: ['low_attendance', 'falling_scores'], level: 'high' });
+
+    const other = response.body.students.find(row => row.student._id === otherStudentUser.id);
+    expect(other.risk.level).toBeNull();
+  });
+
+  it('should drill down into one student', async () => {
+    await gradeNewAssignment('Atoms', [60, 70]);
+
+    const response = await request(app)
+      .get(`/api/classrooms/${classroom._id}/analytics/students/${studentUser.id}`)
+      .set('Authorization', `Bearer ${teacherToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.student.name).toBe('Student User');
+    expect(response.body.attendance.percentage).toBe(0);
+    expect(response.body.attendance.records).toHaveLength(2);
+    expect(response.body.dpps).toEqual([expect.objectContaining({ title: 'Moles Practice', submitted: false })]);
+    expect(response.body.results).toEqual([expect.objectContaining({ title: 'Atoms', category: 'assignments', percentage: 60 })]);
+    expect(response.body.risk).toEqual({ reasons: ['low_attendance'], level: 'medium' });
+  });
+
+  it('should leave file DPPs out of the averages until they are graded', async () => {
+    await DailyPracticeProblem.create({
+      title: 'Titration Lab Report',
+      classroom: classroom._id,
+      videoClass: '0123456789abcdef01234567',
+      teacher: teacherUser.id,
+      type: 'file',
+      assignmentFiles: [{ fileName: 'lab.pdf', fileUrl: 'https://example.com/lab.pdf', difficulty: 'easy' }],
+      dueDate: new Date(Date.now() + DAY_MS),
+      maxScore: 10,
+      isPublished: true,
+      submissions: [{ student: otherStudentUser.id, maxScore: 10 }]
+    });
+
+    const response = await getAnalytics();
+    const other = response.body.students.find(row => row.student._id === otherStudentUser.id);
+    expect(other.dpps).toEqual({ assigned: 2, submitted: 2, averageScore: 100 });
+
+    const drillDown = await request(app)
+      .get(`/api/classrooms/${classroom._id}/analytics/students/${otherStudentUser.id}`)
+      .set('Authorization', `Bearer ${teacherToken}`);
+    expect(drillDown.body.dpps.find(dpp => dpp.title === 'Titration Lab Report'))
+      .toMatchObject({ submitted: true, graded: false, percentage: null });
+  });
+
+  it('should keep analytics from students', async () => {
+    const response = await getAnalytics(studentToken);
+
+    expect(response.status).toBe(403);
+
+    const drillDown = await request(app)
+      .get(`/api/classrooms/${classroom._id}/analytics/students/${otherStudentUser.id}`)
+      .set('Authorization', `Bearer ${studentToken}`);
+    expect(drillDown.status).toBe(403);
+  });
+});
@@ -0,0 +1,358 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough, Readable } = require('stream');
+const request = require('supertest');
+const app = require('../src/server');
+const { connect, closeDatabase, clearDatabase } = require('./helpers/db');
+const { register, createClassroom, joinClassroom } = require('./helpers/fixtures');
+const Classroom = require('../src/models/Classroom');
+const Post = require('../src/models/Post');
+const Assignment = require('../src/models/Assignment');
+const Submission = require('../src/models/Submission');
+const Quiz = require('../src/models/Quiz');
+const VideoClass = require('../src/models/VideoClass');
+const ClassroomInvite = require('../src/models/ClassroomInvite');
+const ImportedStudentWork = require('../src/models/ImportedStudentWork');
+const classroomBundleService = require('../src/services/classroomBundleService');
+const emailService = require('../src/services/emailService');
+
+// Collect a binary response body into a Buffer
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+// Build a bundle in memory from hand-written sections
+const buildBundle = async (sections) => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  const ended = new Promise(resolve => output.on('end', resolve));
+  await classroomBundleService.writeArchive({ sections, files: [] }, output);
+  await ended;
+  return Buffer.concat(chunks);
+};
+
+describe('Classroom Export and Import', () => {
+  let teacherToken, otherTeacherToken, studentToken;
+  let teacherUser, otherTeacherUser, studentUser;
+  let classroom, assignment;
+
+  const exportClassroom = (query = '', token = teacherToken) => request(app)
+    .get(`/api/classrooms/${classroom._id}/export${query}`)
+    .set('Authorization', `Bearer ${token}`)
+    .buffer()
+    .parse(binaryParser);
+
+  const importBundle = (bundle, fields = {}, token = otherTeacherToken) => {
+    const req = request(app)
+      .post('/api/classrooms/import')
+      .set('Authorization', `Bearer ${token}`);
+    Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+    return req.attach('bundle', bundle, 'classroom.tar.gz');
+  };
+
+  beforeAll(async () => {
+    await connect();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+
+    const teacherResponse = await register('Teacher User', 'teacher@example.com', 'teacher');
+    teacherToken = teacherResponse.body.token;
+    teacherUser = teacherResponse.body.user;
+
+    const otherTeacherResponse = await register('Other Teacher', 'other@example.com', 'teacher');
+    otherTeacherToken = otherTeacherResponse.body.token;
+    otherTeacherUser = otherTeacherResponse.body.user;
+
+    const studentResponse = await register('Student User', 'student@example.com', 'student');
+    studentToken = studentResponse.body.token;
+    studentUser = studentResponse.body.user;
+
+    classroom = await createClassroom(teacherToken, { name: 'Chemistry', subject: 'Chemistry' });
+
+    await joinClassroom(studentToken, classroom.classCode);
+
+    await request(app)
+      .post(`/api/classrooms/${classroom._id}/groups`)
+      .set('Authorization', `Bearer ${teacherToken}`)
+      .send({ name: 'Section 1', studentIds: [studentUser.id] });
+
+    await request(app)
+      .post(`/api/posts/classroom/${classroom._id}`)
+      .set('Authorization', `Bearer ${teacherToken}`)
+      .send({ type: 'material', title: 'Periodic Table', content: 'Study this' });
+
+    assignment = (await request(app)
+      .post(`/api/assignments/classroom/${classroom._id}`)
+      .set('Authorization', `Bearer ${teacherToken}`)
+      .send({
+        title: 'Titration Lab',
+        description: 'Record your results',
+        totalPoints: 10,
+        dueDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+      })).body.assignment;
+
+    await request(app)
+      .post(`/api/assignments/${assignment._id}/submit`)
+      .set('Authorization', `Bearer ${studentToken}`)
+      .send({ content: 'pH 7 at 25ml' });
+
+    await request(app)
+      .post(`/api/quizzes/classrooms/${classroom._id}/quizzes`)
+      .set('Authorization', `Bearer ${teacherToken}`)
+      .send({
+        classroomId: classroom._id,
+        title: 'Bonding Quiz',
+        duration: 10,
+        scheduledStartTime: new Date(Date.now() + 24 * 60 * 60 * 1000),
+        scheduledEndTime: new Date(Date.now() + 25 * 60 * 60 * 1000),
+        isProctored: false,
+        questions: [{ question: 'NaCl bond?', options: [{ text: 'Ionic', isCorrect: true }, { text: 'Covalent' }] }]
+      });
+  });
+
+  it('should export a gzipped bundle with a manifest', async () => {
+    const response = await exportClassroom();
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-disposition']).toContain('.tar.gz');
+
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bundle-test-'));
+    try {
+      const entries = await classroomBundleService.readArchive(Readable.from([response.body]), workDir);
+      const manifest = JSON.parse(fs.readFileSync(entries.get('manifest.json'), 'utf8'));
+      expect(manifest).toMatchObject({ format: 'shayak-classroom', version: 1, includesStudentWork: false });
+      expect(manifest.counts).toMatchObject({ posts: 1, assignments: 1, quizzes: 1 });
+      expect(entries.has('submissions.json')).toBe(false);
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should recreate the content in a new classroom without students', async () => {
+    const bundle = (await exportClassroom()).body;
+
+    const response = await importBundle(bundle);
+
+    expect(response.status).toBe(201);
+    expect(response.body.classroom.name).toBe('Chemistry');
+    expect(response.body.classroom.classCode).not.toBe(classroom.classCode);
+    expect(response.body.classroom.students).toHaveLength(0);
+    expect(response.body.imported).toEqual({ posts: 1, assignments: 1, quizzes: 1, dpps: 0 });
+
+    const imported = response.body.classroom._id;
+    expect((await Post.find({ classroom: imported })).map(p => p.title)).toEqual(['Periodic Table']);
+    expect((await Assignment.find({ classroom: imported })).map(a => a.title)).toEqual(['Titration Lab']);
+    expect((await Quiz.find({ classroom: imported })).map(q => q.title)).toEqual(['Bonding Quiz']);
+  });
+
+  describe('with student work', () => {
+    let imported;
+
+    const acceptInvite = async (token = studentToken) => {
+      const invite = await ClassroomInvite.findOne({ classroom: imported.classroom._id, student: studentUser.id });
+      return request(app)
+        .post(`/api/classrooms/invites/${invite.code}/accept`)
+        .set('Authorization', `Bearer ${token}`);
+    };
+
+    const importedSubmission = async () => {
+      const importedAssignment = await Assignment.findOne({ classroom: imported.classroom._id });
+      return Submission.findOne({ assignment: importedAssignment._id });
+    };
+
+    beforeEach(async () => {
+      emailService.outbox.length = 0;
+      const bundle = (await exportClassroom('?includeStudentWork=true')).body;
+      const response = await importBundle(bundle);
+      expect(response.status).toBe(201);
+      imported = response.body;
+    });
+
+    it('should invite students with an account instead of enrolling them', async () => {
+      expect(imported.invitedStudents).toEqual(['student@example.com']);
+      expect(imported.unmatchedStudents).toEqual([]);
+      expect(imported.classroom.students).toHaveLength(0);
+
+      const stored = await Classroom.findById(imported.classroom._id);
+      expect(stored.groups[0].students).toHaveLength(0);
+      expect(await importedSubmission()).toBeNull();
+
+      const invite = await ClassroomInvite.findOne({ classroom: imported.classroom._id, student: studentUser.id });
+      expect(invite.maxUses).toBe(1);
+      expect(emailService.outbox).toHaveLength(1);
+      expect(emailService.outbox[0].text).toContain(`/dashboard/join/${invite.code}`);
+    });
+
+    it('should restore student work once the student accepts', async () => {
+      const response = await acceptInvite();
+
+      expect(response.status).toBe(200);
+
+      const stored = await Classroom.findById(imported.classroom._id);
+      expect(stored.isStudent(studentUser.id)).toBe(true);
+      expect(stored.groups[0].students.map(String)).toEqual([studentUser.id]);
+      expect((await importedSubmission()).content).toBe('pH 7 at 25ml');
+      expect(await ImportedStudentWork.countDocuments()).toBe(0);
+    });
+
+    it('should keep the work held when it cannot be restored', async () => {
+      jest.spyOn(Submission, 'create').mockRejectedValueOnce(new Error('write failed'));
+
+      const failed = await acceptInvite();
+
+      expect(failed.status).toBe(500);
+      expect((await Classroom.findById(imported.classroom._id)).students).toHaveLength(0);
+      expect(await Post.countDocuments({ classroom: imported.classroom._id, author: studentUser.id })).toBe(0);
+      expect(await ImportedStudentWork.countDocuments()).toBe(1);
+
+      jest.restoreAllMocks();
+      const response = await acceptInvite();
+
+      expect(response.status).toBe(200);
+      expect((await importedSubmission()).content).toBe('pH 7 at 25ml');
+      expect(await ImportedStudentWork.countDocuments()).toBe(0);
+    });
+
+    it('should not let other students use a personal invite', async () => {
+      const otherStudentToken = (await register('Other Student', 'student2@example.com', 'student')).body.token;
+
+      const response = await acceptInvite(otherStudentToken);
+
+      expect(response.status).toBe(404);
+      expect((await Classroom.findById(imported.classroom._id)).students).toHaveLength(0);
+    });
+
+    it('should hold the work while the student is outside the allowed email domains', async () => {
+      await Classroom.updateOne({ _id: imported.classroom._id }, { allowedEmailDomains: ['school.edu'] });
+
+      const response = await acceptInvite();
+
+      expect(response.status).toBe(403);
+      expect(await importedSubmission()).toBeNull();
+      expect(await ImportedStudentWork.countDocuments()).toBe(1);
+    });
+
+    it('should discard the held work when the invite is revoked', async () => {
+      const invite = await ClassroomInvite.findOne({ classroom: imported.classroom._id, student: studentUser.id });
+
+      const response = await request(app)
+        .delete(`/api/classrooms/${imported.classroom._id}/invites/${invite._id}`)
+        .set('Authorization', `Bearer ${otherTeacherToken}`);
+
+      expect(response.status).toBe(200);
+      expect(await ImportedStudentWork.countDocuments()).toBe(0);
+    });
+  });
+
+  it('should skip student work when asked', async () => {
+    const bundle = (await exportClassroom('?includeStudentWork=true')).body;
+
+    const response = await importBundle(bundle, { includeStudentWork: 'false', name: 'Chemistry 2' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.classroom.name).toBe('Chemistry 2');
+    expect(response.body.classroom.students).toHaveLength(0);
+  });
+
+  it('should release the file being read when the download is closed', async () => {
+    const output = new PassThrough();
+    const source = new PassThrough();
+    const writing = classroomBundleService.writeArchive({
+      sections: { manifest: { format: 'shayak-classroom', version: 1 } },
+      files: [{ name: 'files/1-notes.pdf', size: 1024, createReadStream: () => source }]
+    }, output);
+
+    source.write(Buffer.alloc(512));
+    output.destroy();
+
+    await expect(writing).rejects.toThrow('closed');
+    expect(source.destroyed).toBe(true);
+  });
+
+  it('should only export classrooms the teacher manages', async () => {
+    const response = await exportClassroom('', otherTeacherToken);
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should only accept DPP files the teacher uploaded', async () => {
+    const videoClass = await VideoClass.create({
+      classroom: classroom._id,
+      teacher: teacherUser.id,
+      title: 'Lecture 1',
+      scheduledStartTime: new Date(),
+      scheduledEndTime: new Date(Date.now() + 60 * 60 * 1000)
+    });
+    const createDpp = (fileUrl) => request(app)
+      .post('/api/dpp')
+      .set('Authorization', `Bearer ${teacherToken}`)
+      .send({
+        title: 'Titration Practice',
+        classroomId: classroom._id,
+        videoClassId: videoClass._id,
+        type: 'file',
+        assignmentFiles: [{ fileName: 'practice.pdf', fileUrl, difficulty: 'easy' }],
+        dueDate: new Date(Date.now() + 24 * 60 * 60 * 1000)
+      });
+
+    expect((await createDpp(`/uploads/general/file-${otherTeacherUser.id}-1700000000000-1.pdf`)).status).toBe(400);
+    expect((await createDpp(`https://any-bucket.s3.amazonaws.com/general/${teacherUser.id}/practice.pdf`)).status).toBe(400);
+    expect((await createDpp(`/uploads/general/file-${teacherUser.id}-1700000000000-1.pdf`)).status).toBe(201);
+  });
+
+  it('should not take stored file keys from a bundle', async () => {
+    const bundle = await buildBundle({
+      manifest: { format: 'shayak-classroom', version: 1 },
+      classroom: { name: 'Crafted', subject: 'Chemistry' },
+      assignments: [{
+        id: 'assignment-1',
+        title: 'Reading',
+        description: 'Read the notes',
+        totalPoints: 10,
+        dueDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+        attachments: [{
+          fileName: 'notes.pdf',
+          fileUrl: 'https://example.com/notes.pdf',
+          fileKey: `assignments/${assignment._id}/${studentUser.id}/answers.pdf`
+        }]
+      }]
+    });
+
+    const response = await importBundle(bundle);
+
+    expect(response.status).toBe(201);
+    const [imported] = await Assignment.find({ classroom: response.body.classroom._id });
+    expect(imported.attachments).toHaveLength(1);
+    expect(imported.attachments[0].fileUrl).toBe('https://example.com/notes.pdf');
+    expect(imported.attachments[0].fileKey).toBeUndefined();
+  });
+
+  it('should reject files that are not bundles', async () => {
+    const response = await importBundle(Buffer.from('not a bundle'));
+
+    expect(response.status).toBe(400);
+    expect(await Classroom.countDocuments()).toBe(1);
+  });
+
+  it('should reject bundles from a newer version', async () => {
+    const bundle = await buildBundle({
+      manifest: { format: 'shayak-classroom', version: 99 },
+      classroom: { name: 'Future', subject: 'Chemistry' }
+    });
+
+    const response = await importBundle(bundle);
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toContain('version 99');
+  });
+});
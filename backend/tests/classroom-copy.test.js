@@ -0,0 +1,193 @@
+const request = require('supertest');
+const fs = require('fs');
+const path = require('path');
+const app = require('../src/server');
+const { connect, closeDatabase, clearDatabase } = require('./helpers/db');
+const { register, createClassroom, joinClassroom } = require('./helpers/fixtures');
+const Classroom = require('../src/models/Classroom');
+const Post = require('../src/models/Post');
+const Assignment = require('../src/models/Assignment');
+const Quiz = require('../src/models/Quiz');
+const DailyPracticeProblem = require('../src/models/DailyPracticeProblem');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Classroom Copy', () => {
+  let teacherToken, studentToken, otherTeacherToken;
+  let teacherUser;
+  let classroom, group, quiz, assignment;
+
+  const copyClassroom = (body = {}, token = teacherToken) => request(app)
+    .post(`/api/classrooms/${classroom._id}/copy`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  beforeAll(async () => {
+    await connect();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+
+    const teacherResponse = await register('Teacher User', 'teacher@example.com', 'teacher');
+    teacherToken = teacherResponse.body.token;
+    teacherUser = teacherResponse.body.user;
+    otherTeacherToken = (await register('Other Teacher', 'other@example.com', 'teacher')).body.token;
+
+    const studentResponse = await register('Student User', 'student@example.com', 'student');
+    studentToken = studentResponse.body.token;
+
+    classroom = await createClassroom(teacherToken, { name: 'Physics Fall', subject: 'Physics', allowStudentPosts: false });
+
+    await joinClassroom(studentToken, classroom.classCode);
+
+    group = (await request(app)
+      .post(`/api/classrooms/${classroom._id}/groups`)
+      .set('Authorization', `Bearer ${teacherToken}`)
+      .send({ name: 'Lab Batch A', kind: 'lab_batch', studentIds: [studentResponse.body.user.id] })).body.group;
+
+    const post = (type, title) => request(app)
+      .post(`/api/posts/classroom/${classroom._id}`)
+      .set('Authorization', `Bearer ${teacherToken}`)
+      .send({ type, title, content: 'Details' });
+
+    await post('material', 'Lecture Notes');
+    await post('announcement', 'Welcome');
+
+    assignment = (await request(app)
+      .post(`/api/assignments/classroom/${classroom._id}`)
+      .set('Authorization', `Bearer ${teacherToken}`)
+      .send({
+        title: 'Lab Report',
+        description: 'Write up the experiment',
+        totalPoints: 20,
+        dueDate: new Date(Date.now() + 7 * DAY_MS),
+        targetGroups: [group._id]
+      })).body.assignment;
+
+    quiz = (await request(app)
+      .post(`/api/quizzes/classrooms/${classroom._id}/quizzes`)
+      .set('Authorization', `Bearer ${teacherToken}`)
+      .send({
+        classroomId: classroom._id,
+        title: 'Kinematics Quiz',
+        duration: 20,
+        scheduledStartTime: new Date(Date.now() + DAY_MS),
+        scheduledEndTime: new Date(Date.now() + DAY_MS + 60 * 60 * 1000),
+        isProctored: false,
+        questions: [{ question: '1 + 1', options: [{ text: '2', isCorrect: true }, { text: '3' }] }]
+      })).body.quiz;
+
+    await DailyPracticeProblem.create({
+      title: 'Vectors Practice',
+      classroom: classroom._id,
+      videoClass: '0123456789abcdef01234567',
+      teacher: teacherUser.id,
+      type: 'mcq',
+      questions: [{ question: 'Is speed a vector?', options: [{ text: 'No', isCorrect: true }, { text: 'Yes' }] }],
+      dueDate: new Date(Date.now() + 2 * DAY_MS),
+      maxScore: 1,
+      isPublished: true,
+      submissions: [{ student: studentResponse.body.user.id, maxScore: 1, score: 1 }]
+    });
+  });
+
+  it('should copy settings into a new classroom with no students', async () => {
+    const response = await copyClassroom({ name: 'Physics Spring' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.classroom.name).toBe('Physics Spring');
+    expect(response.body.classroom.classCode).not.toBe(classroom.classCode);
+    expect(response.body.classroom.students).toHaveLength(0);
+    expect(response.body.classroom.allowStudentPosts).toBe(false);
+    expect(response.body.classroom.groups.map(g => g.name)).toEqual(['Lab Batch A']);
+    expect(response.body.classroom.groups[0].students).toHaveLength(0);
+    expect(response.body.copied).toEqual({ posts: 1, assignments: 1, quizzes: 1, dpps: 1 });
+  });
+
+  it('should only copy material posts', async () => {
+    const { classroom: copy } = (await copyClassroom()).body;
+
+    const posts = await Post.find({ classroom: copy._id });
+    expect(posts.map(p => p.title)).toEqual(['Lecture Notes']);
+    expect(copy.name).toBe('Physics Fall (copy)');
+  });
+
+  it('should shift dates and follow groups to their copies', async () => {
+    const { classroom: copy } = (await copyClassroom({ dateOffsetDays: 120 })).body;
+
+    const copiedAssignment = await Assignment.findOne({ classroom: copy._id });
+    expect(copiedAssignment.dueDate.getTime() - new Date(assignment.dueDate).getTime()).toBe(120 * DAY_MS);
+    expect(copiedAssignment.targetGroups.map(String)).toEqual([copy.groups[0]._id]);
+
+    const copiedQuiz = await Quiz.findOne({ classroom: copy._id });
+    expect(copiedQuiz.status).toBe('draft');
+    expect(copiedQuiz.scheduledStartTime.getTime() - new Date(quiz.scheduledStartTime).getTime()).toBe(120 * DAY_MS);
+  });
+
+  it('should copy DPPs as unpublished templates without submissions', async () => {
+    const { classroom: copy } = (await copyClassroom()).body;
+
+    const dpp = await DailyPracticeProblem.findOne({ classroom: copy._id });
+    expect(dpp.isPublished).toBe(false);
+    expect(dpp.videoClass).toBeUndefined();
+    expect(dpp.submissions).toHaveLength(0);
+
+    const publish = await request(app)
+      .patch(`/api/dpp/${dpp._id}/publish`)
+      .set('Authorization', `Bearer ${teacherToken}`);
+    expect(publish.status).toBe(400);
+  });
+
+  it('should keep draft quizzes from students until published', async () => {
+    const { classroom: copy } = (await copyClassroom({ dateOffsetDays: 1 })).body;
+    const copiedQuiz = await Quiz.findOne({ classroom: copy._id });
+
+    const joinResponse = await joinClassroom(studentToken, copy.classCode);
+    expect(joinResponse.status).toBe(200);
+
+    const listQuizzes = () => request(app)
+      .get(`/api/quizzes/classrooms/${copy._id}/quizzes`)
+      .set('Authorization', `Bearer ${studentToken}`);
+
+    expect((await listQuizzes()).body.quizzes).toHaveLength(0);
+
+    const publish = await request(app)
+      .put(`/api/quizzes/quizzes/${copiedQuiz._id}/publish`)
+      .set('Authorization', `Bearer ${teacherToken}`);
+    expect(publish.status).toBe(200);
+    expect(publish.body.quiz.status).toBe('scheduled');
+
+    expect((await listQuizzes()).body.quizzes).toHaveLength(1);
+  });
+
+  it('should remove copied files when the copy fails', async () => {
+    const fileName = `notes-${Date.now()}.pdf`;
+    const uploadsDir = path.join('uploads', 'general');
+    fs.mkdirSync(uploadsDir, { recursive: true });
+    fs.writeFileSync(path.join(uploadsDir, fileName), 'pdf');
+    await Post.updateOne({ title: 'Lecture Notes' }, { attachments: [{ fileName, fileUrl: `/uploads/general/${fileName}` }] });
+
+    // A quiz that no longer validates makes the copy fail after the post was copied
+    await Quiz.updateOne({ _id: quiz._id }, { $unset: { title: 1 } });
+
+    const response = await copyClassroom();
+
+    expect(response.status).toBe(500);
+    expect(await Classroom.countDocuments()).toBe(1);
+    expect(fs.readdirSync(uploadsDir).filter(name => name.endsWith(fileName))).toEqual([fileName]);
+
+    fs.unlinkSync(path.join(uploadsDir, fileName));
+  });
+
+  it('should not let other teachers copy the classroom', async () => {
+    const response = await copyClassroom({}, otherTeacherToken);
+
+    expect(response.status).toBe(404);
+    expect(await Classroom.countDocuments()).toBe(1);
+  });
+});
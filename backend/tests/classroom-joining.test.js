@@ -0,0 +1,229 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { connect, closeDatabase, clearDatabase } = require('./helpers/db');
+const { register, createClassroom, joinClassroom } = require('./helpers/fixtures');
+const Classroom = require('../src/models/Classroom');
+const ClassroomInvite = require('../src/models/ClassroomInvite');
+const emailService = require('../src/services/emailService');
+
+describe('Classroom Joining', () => {
+  let teacherToken, studentToken, otherStudentToken;
+  let studentUser;
+  let classroom;
+
+  const joinWithCode = (classCode, token = studentToken) => joinClassroom(token, classCode);
+
+  const updateJoinSettings = (body) => request(app)
+    .put(`/api/classrooms/${classroom._id}/join-settings`)
+    .set('Authorization', `Bearer ${teacherToken}`)
+    .send(body);
+
+  const getJoinSettings = () => request(app)
+    .get(`/api/classrooms/${classroom._id}/join-settings`)
+    .set('Authorization', `Bearer ${teacherToken}`);
+
+  const createInvite = (body = {}) => request(app)
+    .post(`/api/classrooms/${classroom._id}/invites`)
+    .set('Authorization', `Bearer ${teacherToken}`)
+    .send(body);
+
+  const acceptInvite = (code, token = studentToken) => request(app)
+    .post(`/api/classrooms/invites/${code}/accept`)
+    .set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    await connect();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+    emailService.outbox.length = 0;
+
+    teacherToken = (await register('Teacher User', 'teacher@example.com', 'teacher')).body.token;
+
+    const studentResponse = await register('Student User', 'student@school.edu', 'student');
+    studentToken = studentResponse.body.token;
+    studentUser = studentResponse.body.user;
+
+    otherStudentToken = (await register('Other Student', 'other@gmail.com', 'student')).body.token;
+
+    classroom = await createClassroom(teacherToken, { name: 'Gated Classroom', subject: 'Chemistry' });
+  });
+
+  describe('Approval queue', () => {
+    beforeEach(async () => {
+      await updateJoinSettings({ requireJoinApproval: true });
+    });
+
+    it('should queue students who join with the class code', async () => {
+      const response = await joinWithCode(classroom.classCode);
+
+      expect(response.status).toBe(202);
+      expect(response.body.status).toBe('pending');
+      expect(response.body.classroom.students).toBeUndefined();
+
+      const stored = await Classroom.findById(classroom._id);
+      expect(stored.students).toHaveLength(0);
+
+      const duplicate = await joinWithCode(classroom.classCode);
+      expect(duplicate.status).toBe(409);
+
+      const classroomsResponse = await request(app)
+        .get('/api/classrooms')
+        .set('Authorization', `Bearer ${studentToken}`);
+      expect(classroomsResponse.body.classrooms).toHaveLength(0);
+      expect(classroomsResponse.body.pendingJoinRequests[0].classroom.name).toBe('Gated Classroom');
+    });
+
+    it('should enroll the student once a teacher approves', async () => {
+      await joinWithCode(classroom.classCode);
+
+      const settings = await getJoinSettings();
+      expect(settings.body.joinRequests).toHaveLength(1);
+      expect(settings.body.joinRequests[0].student.email).toBe('student@school.edu');
+
+      const approveResponse = await request(app)
+        .post(`/api/classrooms/${classroom._id}/join-requests/${settings.body.joinRequests[0]._id}/approve`)
+        .set('Authorization', `Bearer ${teacherToken}`);
+
+      expect(approveResponse.status).toBe(200);
+      expect(approveResponse.body.joinRequest.status).toBe('approved');
+
+      const stored = await Classroom.findById(classroom._id);
+      expect(stored.isStudent(studentUser.id)).toBe(true);
+      expect(emailService.outbox.some(message => message.subject.includes('Gated Classroom'))).toBe(true);
+
+      expect((await getJoinSettings()).body.joinRequests).toHaveLength(0);
+
+      const auditResponse = await request(app)
+        .get(`/api/classrooms/${classroom._id}/audit-log?action=join_request_approved`)
+        .set('Authorization', `Bearer ${teacherToken}`);
+      expect(auditResponse.body.logs).toHaveLength(1);
+    });
+
+    it('should not enroll rejected students', async () => {
+      const { joinRequest } = (await joinWithCode(classroom.classCode)).body;
+
+      const rejectResponse = await request(app)
+        .post(`/api/classrooms/${classroom._id}/join-requests/${joinRequest._id}/reject`)
+        .set('Authorization', `Bearer ${teacherToken}`);
+      expect(rejectResponse.status).toBe(200);
+
+      const again = await request(app)
+        .post(`/api/classrooms/${classroom._id}/join-requests/${joinRequest._id}/approve`)
+        .set('Authorization', `Bearer ${teacherToken}`);
+      expect(again.status).toBe(404);
+
+      const stored = await Classroom.findById(classroom._id);
+      expect(stored.students).toHaveLength(0);
+    });
+
+    it('should not let students see or decide join requests', async () => {
+      const { joinRequest } = (await joinWithCode(classroom.classCode)).body;
+
+      const response = await request(app)
+        .post(`/api/classrooms/${classroom._id}/join-requests/${joinRequest._id}/approve`)
+        .set('Authorization', `Bearer ${otherStudentToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('Class codes', () => {
+    it('should replace the code and reject expired codes', async () => {
+      const regenerateResponse = await request(app)
+        .post(`/api/classrooms/${classroom._id}/class-code`)
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ expiresInDays: 7 });
+
+      expect(regenerateResponse.status).toBe(200);
+      expect(regenerateResponse.body.classCode).not.toBe(classroom.classCode);
+      expect(new Date(regenerateResponse.body.classCodeExpiresAt).getTime()).toBeGreaterThan(Date.now());
+
+      const oldCodeResponse = await joinWithCode(classroom.classCode);
+      expect(oldCodeResponse.status).toBe(404);
+
+      await Classroom.updateOne({ _id: classroom._id }, { classCodeExpiresAt: new Date(Date.now() - 1000) });
+
+      const expiredResponse = await joinWithCode(regenerateResponse.body.classCode);
+      expect(expiredResponse.status).toBe(410);
+    });
+
+    it('should only admit students from allowed email domains', async () => {
+      const settingsResponse = await updateJoinSettings({ allowedEmailDomains: ['school.edu'] });
+      expect(settingsResponse.status).toBe(200);
+
+      const blocked = await joinWithCode(classroom.classCode, otherStudentToken);
+      expect(blocked.status).toBe(403);
+
+      const allowed = await joinWithCode(classroom.classCode);
+      expect(allowed.status).toBe(200);
+      expect(allowed.body.status).toBe('joined');
+    });
+
+    it('should reject invalid domains', async () => {
+      const response = await updateJoinSettings({ allowedEmailDomains: ['not a domain'] });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Invite links', () => {
+    it('should admit students directly even when approval is required', async () => {
+      await updateJoinSettings({ requireJoinApproval: true });
+      const { invite } = (await createInvite({ expiresInDays: 7 })).body;
+
+      const previewResponse = await request(app)
+        .get(`/api/classrooms/invites/${invite.code}`)
+        .set('Authorization', `Bearer ${studentToken}`);
+      expect(previewResponse.status).toBe(200);
+      expect(previewResponse.body.classroom.name).toBe('Gated Classroom');
+      expect(previewResponse.body.classroom.students).toBeUndefined();
+
+      const acceptResponse = await acceptInvite(invite.code);
+      expect(acceptResponse.status).toBe(200);
+
+      const stored = await Classroom.findById(classroom._id);
+      expect(stored.isStudent(studentUser.id)).toBe(true);
+      expect((await ClassroomInvite.findById(invite._id)).uses).toBe(1);
+    });
+
+    it('should stop admitting students once the usage limit is reached', async () => {
+      const { invite } = (await createInvite({ maxUses: 1 })).body;
+
+      expect((await acceptInvite(invite.code)).status).toBe(200);
+
+      const fullResponse = await acceptInvite(invite.code, otherStudentToken);
+      expect(fullResponse.status).toBe(410);
+    });
+
+    it('should reject revoked and unknown links', async () => {
+      const { invite } = (await createInvite()).body;
+
+      const revokeResponse = await request(app)
+        .delete(`/api/classrooms/${classroom._id}/invites/${invite._id}`)
+        .set('Authorization', `Bearer ${teacherToken}`);
+      expect(revokeResponse.status).toBe(200);
+      expect((await getJoinSettings()).body.invites).toHaveLength(0);
+
+      const revokedResponse = await acceptInvite(invite.code);
+      expect(revokedResponse.status).toBe(410);
+
+      const unknownResponse = await acceptInvite('not-a-real-code');
+      expect(unknownResponse.status).toBe(404);
+    });
+
+    it('should apply email domain restrictions to invite links', async () => {
+      await updateJoinSettings({ allowedEmailDomains: ['school.edu'] });
+      const { invite } = (await createInvite({ maxUses: 5 })).body;
+
+      const response = await acceptInvite(invite.code, otherStudentToken);
+      expect(response.status).toBe(403);
+      expect((await ClassroomInvite.findById(invite._id)).uses).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,176 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { connect, closeDatabase, clearDatabase } = require('./helpers/db');
+const { register, createClassroom, joinClassroom } = require('./helpers/fixtures');
+const Post = require('../src/models/Post');
+const Assignment = require('../src/models/Assignment');
+const Quiz = require('../src/models/Quiz');
+const DailyPracticeProblem = require('../src/models/DailyPracticeProblem');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Classroom search', () => {
+  let teacherToken, studentToken, outsiderToken;
+  let teacherUser;
+  let classroom;
+
+  const search = (q, token = teacherToken, query = '') => request(app)
+    .get(`/api/classrooms/${classroom._id}/search?q=${encodeURIComponent(q)}${query}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  const titlesOf = (response, type) => response.body.results.filter(r => r.type === type).map(r => r.title);
+
+  beforeAll(async () => {
+    await connect();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+
+    const teacherResponse = await register('Teacher User', 'teacher@example.com', 'teacher');
+    teacherToken = teacherResponse.body.token;
+    teacherUser = teacherResponse.body.user;
+    studentToken = (await register('Student User', 'student@example.com', 'student')).body.token;
+    outsiderToken = (await register('Outside Student', 'outsider@example.com', 'student')).body.token;
+
+    classroom = await createClassroom(teacherToken, { name: 'Physics', subject: 'Physics' });
+
+    await joinClassroom(studentToken, classroom.classCode);
+
+    await Post.create([
+      {
+        classroom: classroom._id,
+        author: teacherUser.id,
+        title: 'Revision notes',
+        content: 'Everything about projectile motion for Friday',
+        attachments: [{ fileName: 'kinematics-formulas.pdf', fileUrl: 'https://example.com/k.pdf' }]
+      },
+      {
+        classroom: classroom._id,
+        author: teacherUser.id,
+        title: 'Answer key',
+        content: 'Kinematics answers, do not share',
+        visibility: 'teachers'
+      },
+      {
+        classroom: classroom._id,
+        author: teacherUser.id,
+        title: 'Old kinematics notes',
+        content: 'Superseded',
+        isDeleted: true
+      }
+    ]);
+
+    await Assignment.create([
+      {
+        title: 'Kinematics Homework',
+        description: 'Problems 1-10',
+        classroom: classroom._id,
+        teacher: teacherUser.id,
+        totalPoints: 10,
+        dueDate: new Date(Date.now() + 7 * DAY_MS),
+        targetLevels: ['beginner', 'intermediate', 'advanced'],
+        isPublished: true
+      },
+      {
+        title: 'Kinematics Test Draft',
+        description: 'Not ready yet',
+        classroom: classroom._id,
+        teacher: teacherUser.id,
+        totalPoints: 10,
+        dueDate: new Date(Date.now() + 7 * DAY_MS)
+      }
+    ]);
+
+    await Quiz.create(['scheduled', 'draft'].map(status => ({
+      classroom: classroom._id,
+      teacher: teacherUser.id,
+      title: `Kinematics Quiz (${status})`,
+      status,
+      scheduledStartTime: new Date(Date.now() + DAY_MS),
+      scheduledEndTime: new Date(Date.now() + DAY_MS + 60 * 60 * 1000),
+      duration: 30,
+      questions: [{ question: 'g?', type: 'multiple-choice', options: [{ text: '9.8', isCorrect: true }, { text: '1' }], points: 1 }]
+    })));
+
+    await DailyPracticeProblem.create({
+      title: 'Motion Practice',
+      description: 'Warm-up for the kinematics unit',
+      classroom: classroom._id,
+      videoClass: '0123456789abcdef01234567',
+      teacher: teacherUser.id,
+      type: 'mcq',
+      questions: [{ question: 'v = u + at?', options: [{ text: 'yes', isCorrect: true }, { text: 'no' }] }],
+      dueDate: new Date(Date.now() + DAY_MS),
+      maxScore: 1,
+      isPublished: true
+    });
+  });
+
+  it('should find everything a teacher can see, including unpublished work', async () => {
+    const response = await search('kinematics');
+
+    expect(response.status).toBe(200);
+    expect(titlesOf(response, 'post').sort()).toEqual(['Answer key', 'Revision notes']);
+    expect(titlesOf(response, 'assignment').sort()).toEqual(['Kinematics Homework', 'Kinematics Test Draft']);
+    expect(titlesOf(response, 'quiz').sort()).toEqual(['Kinematics Quiz (draft)', 'Kinematics Quiz (scheduled)']);
+    expect(titlesOf(response, 'dpp')).toEqual(['Motion Practice']);
+
+    const notes = response.body.results.find(r => r.title === 'Revision notes');
+    expect(notes.matches).toEqual(['attachment']);
+    expect(notes.attachment).toBe('kinematics-formulas.pdf');
+
+    const draft = response.body.results.find(r => r.title === 'Kinematics Test Draft');
+    expect(draft.published).toBe(false);
+  });
+
+  it('should hide teacher-only posts and unpublished work from students', async () => {
+    const response = await search('kinematics', studentToken);
+
+    expect(response.status).toBe(200);
+    expect(titlesOf(response, 'post')).toEqual(['Revision notes']);
+    expect(titlesOf(response, 'assignment')).toEqual(['Kinematics Homework']);
+    expect(titlesOf(response, 'quiz')).toEqual(['Kinematics Quiz (scheduled)']);
+    expect(response.body.counts).toMatchObject({ post: 1, assignment: 1, quiz: 1, dpp: 1 });
+    expect(response.body.results.every(r => r.published === undefined)).toBe(true);
+  });
+
+  it('should search comments on visible posts and require every term', async () => {
+    const [notes, answerKey] = await Promise.all([
+      Post.findOne({ title: 'Revision notes' }),
+      Post.findOne({ title: 'Answer key' })
+    ]);
+    for (const [post, content] of [[notes, 'Is projectile range on the test?'], [answerKey, 'Projectile range answers are wrong']]) {
+      await request(app)
+        .post(`/api/posts/${post._id}/comments`)
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ content });
+    }
+
+    const response = await search('range PROJECTILE', studentToken, '&type=comment');
+
+    expect(response.status).toBe(200);
+    expect(response.body.results).toHaveLength(1);
+    expect(response.body.results[0]).toMatchObject({ type: 'comment', title: 'Comment by Teacher User' });
+    expect(response.body.results[0].post.title).toBe('Revision notes');
+    expect(response.body.results[0].snippet).toContain('projectile range');
+
+    expect((await search('projectile missing', studentToken)).body.results).toHaveLength(0);
+  });
+
+  it('should treat the query as text rather than a pattern', async () => {
+    const response = await search('(.*)');
+
+    expect(response.status).toBe(200);
+    expect(response.body.results).toHaveLength(0);
+  });
+
+  it('should reject short queries and outsiders', async () => {
+    expect((await search('k')).status).toBe(400);
+    expect((await search('kinematics', outsiderToken)).status).toBe(404);
+  });
+});
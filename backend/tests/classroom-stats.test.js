@@ -0,0 +1,186 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { connect, closeDatabase, clearDatabase } = require('./helpers/db');
+const { register, createClassroom, joinClassroom, createAssignment } = require('./helpers/fixtures');
+const Classroom = require('../src/models/Classroom');
+const VideoClass = require('../src/models/VideoClass');
+const DailyPracticeProblem = require('../src/models/DailyPracticeProblem');
+const classroomStatsService = require('../src/services/classroomStatsService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Classroom statistics', () => {
+  let teacherToken, studentToken, otherStudentToken;
+  let teacherUser, studentUser, otherStudentUser;
+  let classroom;
+
+  const createPost = async (content) => (await request(app)
+    .post(`/api/posts/classroom/${classroom._id}`)
+    .set('Authorization', `Bearer ${teacherToken}`)
+    .send({ content })).body.post;
+
+  const newAssignment = (title) => createAssignment(teacherToken, classroom._id, { title });
+
+  const createDpp = (fields = {}) => DailyPracticeProblem.create({
+    title: 'Fractions Practice',
+    classroom: classroom._id,
+    videoClass: '0123456789abcdef01234567',
+    teacher: teacherUser.id,
+    type: 'mcq',
+    questions: [{ question: '1/2 + 1/2', options: [{ text: '1', isCorrect: true }, { text: '2' }] }],
+    dueDate: new Date(Date.now() + DAY_MS),
+    maxScore: 1,
+    isPublished: true,
+    ...fields
+  });
+
+  const statsOf = () => Classroom.findById(classroom._id).lean();
+
+  beforeAll(async () => {
+    await connect();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+
+    const teacherResponse = await register('Teacher User', 'teacher@example.com', 'teacher');
+    teacherToken = teacherResponse.body.token;
+    teacherUser = teacherResponse.body.user;
+
+    const studentResponse = await register('Student User', 'student@example.com', 'student');
+    studentToken = studentResponse.body.token;
+    studentUser = studentResponse.body.user;
+
+    const otherStudentResponse = await register('Other Student', 'student2@example.com', 'student');
+    otherStudentToken = otherStudentResponse.body.token;
+    otherStudentUser = otherStudentResponse.body.user;
+
+    classroom = await createClassroom(teacherToken, { name: 'Mathematics', subject: 'Mathematics' });
+
+    for (const token of [studentToken, otherStudentToken]) {
+      await joinClassroom(token, classroom.classCode);
+    }
+  });
+
+  it('should count posts and assignments as they are created and deleted', async () => {
+    const post = await createPost('Welcome to the class');
+    await createPost('Bring a calculator tomorrow');
+    const assignment = await newAssignment('Algebra');
+
+    let stats = await statsOf();
+    expect(stats.totalPosts).toBe(2);
+    expect(stats.totalAssignments).toBe(1);
+
+    await request(app)
+      .delete(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${teacherToken}`);
+    await request(app)
+      .delete(`/api/assignments/${assignment._id}`)
+      .set('Authorization', `Bearer ${teacherToken}`);
+
+    stats = await statsOf();
+    expect(stats.totalPosts).toBe(1);
+    expect(stats.totalAssignments).toBe(0);
+  });
+
+  it('should refresh the DPP completion rate when students submit', async () => {
+    const dpp = await createDpp();
+
+    const submit = await request(app)
+      .post(`/api/dpp/${dpp._id}/submit/mcq`)
+      .set('Authorization', `Bearer ${studentToken}`)
+      .send({ answers: [{ questionIndex: 0, selectedOption: '1' }] });
+    expect(submit.status).toBe(200);
+
+    const stats = await statsOf();
+    // One of the two enrolled students has submitted
+    expect(stats.dppCompletionRate).toBe(50);
+    expect(stats.statsUpdatedAt).toBeTruthy();
+  });
+
+  it('should refresh average attendance when attendance is marked', async () => {
+    const classes = await VideoClass.create([1, 2].map(n => ({
+      classroom: classroom._id,
+      teacher: teacherUser.id,
+      title: `Lecture ${n}`,
+      scheduledStartTime: new Date(Date.now() - n * DAY_MS),
+      scheduledEndTime: new Date(Date.now() - n * DAY_MS + 60 * 60 * 1000),
+      status: 'ended'
+    })));
+
+    const mark = (videoClass, statuses) => request(app)
+      .post(`/api/attendance/classes/${videoClass._id}/bulk-mark`)
+      .set('Authorization', `Bearer ${teacherToken}`)
+      .send({
+        attendanceRecords: [
+          { studentId: studentUser.id, status: statuses[0] },
+          { studentId: otherStudentUser.id, status: statuses[1] }
+        ]
+      });
+
+    expect((await mark(classes[0], ['present', 'absent'])).status).toBe(200);
+    expect((await statsOf()).averageAttendance).toBe(50);
+
+    await mark(classes[1], ['late', 'present']);
+    // The first student attended both classes, the other one of two
+    expect((await statsOf()).averageAttendance).toBe(75);
+  });
+
+  it('should repair counters and averages that drifted', async () => {
+    await createPost('Welcome to the class');
+    await createDpp({ submissions: [{ student: studentUser.id, maxScore: 1, score: 1 }] });
+    await createDpp({ isPublished: false });
+    await Classroom.updateOne({ _id: classroom._id }, { totalPosts: 7, totalAssignments: 3 });
+
+    const drifted = await classroomStatsService.recompute(await Classroom.findById(classroom._id));
+
+    expect(drifted).toEqual({
+      totalPosts: { stored: 7, recomputed: 1 },
+      totalAssignments: { stored: 3, recomputed: 0 },
+      dppCompletionRate: { stored: null, recomputed: 50 }
+    });
+
+    const stats = await statsOf();
+    expect(stats.totalPosts).toBe(1);
+    expect(stats.totalAssignments).toBe(0);
+    expect(stats.dppCompletionRate).toBe(50);
+    expect(stats.averageQuizScore).toBeNull();
+
+    const { checked, repaired } = await classroomStatsService.recomputeAll();
+    expect(checked).toBe(1);
+    expect(repaired).toBe(0);
+  });
+
+  it('should serve dashboard totals from the stored statistics', async () => {
+    await createPost('Welcome to the class');
+    await newAssignment('Algebra');
+
+    const second = await createClassroom(teacherToken, { name: 'Physics', subject: 'Physics' });
+    await joinClassroom(studentToken, second.classCode);
+
+    await Classroom.updateOne({ _id: classroom._id }, { averageQuizScore: 80 });
+    await Classroom.updateOne({ _id: second._id }, { averageQuizScore: 50 });
+
+    const response = await request(app)
+      .get('/api/classrooms/stats')
+      .set('Authorization', `Bearer ${teacherToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.totals).toEqual({ classrooms: 2, students: 3, assignments: 1, posts: 1 });
+    // Weighted by students: (80 * 2 + 50 * 1) / 3
+    expect(response.body.averages).toEqual({ attendance: null, quizScore: 70, dppCompletionRate: null });
+    expect(response.body.classrooms).toHaveLength(2);
+
+    const student = await request(app)
+      .get('/api/classrooms/stats')
+      .set('Authorization', `Bearer ${otherStudentToken}`);
+
+    expect(student.status).toBe(200);
+    expect(student.body.totals.classrooms).toBe(1);
+    expect(student.body.classrooms[0].name).toBe('Mathematics');
+  });
+});
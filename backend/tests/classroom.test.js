@@ -1,6 +1,7 @@
 const request = require('supertest');
 const app = require('../src/server');
 const { connect, closeDatabase, clearDatabase } = require('./helpers/db');
+const User = require('../src/models/User');
 
 describe('Classroom Endpoints', () => {
   let teacherToken, studentToken;
@@ -237,6 +238,39 @@ describe('Classroom Endpoints', () => {
       expect(response.status).toBe(400);
       expect(response.body.message).toBe('You are already enrolled in this classroom');
     });
+
+    describe('with email verification required', () => {
+      const originalPolicy = process.env.EMAIL_VERIFICATION_REQUIRED_FOR;
+
+      beforeEach(() => {
+        process.env.EMAIL_VERIFICATION_REQUIRED_FOR = 'join_classroom,submit_work';
+      });
+
+      afterEach(() => {
+        process.env.EMAIL_VERIFICATION_REQUIRED_FOR = originalPolicy;
+      });
+
+      it('should not allow an unverified student to join', async () => {
+        const response = await request(app)
+          .post('/api/classrooms/join')
+          .set('Authorization', `Bearer ${studentToken}`)
+          .send({ classCode: classroom.classCode });
+
+        expect(response.status).toBe(403);
+        expect(response.body.code).toBe('EMAIL_NOT_VERIFIED');
+      });
+
+      it('should allow a verified student to join', async () => {
+        await User.updateOne({ email: 'student@example.com' }, { isEmailVerified: true });
+
+        const response = await request(app)
+          .post('/api/classrooms/join')
+          .set('Authorization', `Bearer ${studentToken}`)
+          .send({ classCode: classroom.classCode });
+
+        expect(response.status).toBe(200);
+      });
+    });
   });
 
   describe('GET /api/classrooms/:classroomId', () => {
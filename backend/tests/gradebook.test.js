@@ -0,0 +1,198 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { connect, closeDatabase, clearDatabase } = require('./helpers/db');
+const { register, createClassroom, joinClassroom, createAssignment, submitAndGrade } = require('./helpers/fixtures');
+const Assignment = require('../src/models/Assignment');
+const Submission = require('../src/models/Submission');
+const DailyPracticeProblem = require('../src/models/DailyPracticeProblem');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Gradebook', () => {
+  let teacherToken, studentToken, otherStudentToken, otherTeacherToken;
+  let teacherUser, studentUser, otherStudentUser;
+  let classroom;
+
+  const getGradebook = (token = teacherToken, query = '') => request(app)
+    .get(`/api/classrooms/${classroom._id}/gradebook${query}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  const updateSettings = (body) => request(app)
+    .put(`/api/classrooms/${classroom._id}/gradebook/settings`)
+    .set('Authorization', `Bearer ${teacherToken}`)
+    .send(body);
+
+  const newAssignment = (title) => createAssignment(teacherToken, classroom._id, { title });
+
+  // Submit as the student and grade it with the given points out of 100
+  const gradeAssignment = (assignment, points, token = studentToken) =>
+    submitAndGrade(assignment, { studentToken: token, teacherToken, points });
+
+  const rowFor = (response, user) => response.body.students.find(s => s.student._id === user.id);
+
+  beforeAll(async () => {
+    await connect();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+
+    const teacherResponse = await register('Teacher User', 'teacher@example.com', 'teacher');
+    teacherToken = teacherResponse.body.token;
+    teacherUser = teacherResponse.body.user;
+    otherTeacherToken = (await register('Other Teacher', 'other@example.com', 'teacher')).body.token;
+
+    const studentResponse = await register('Student User', 'student@example.com', 'student');
+    studentToken = studentResponse.body.token;
+    studentUser = studentResponse.body.user;
+
+    const otherStudentResponse = await register('Other Student', 'student2@example.com', 'student');
+    otherStudentToken = otherStudentResponse.body.token;
+    otherStudentUser = otherStudentResponse.body.user;
+
+    classroom = await createClassroom(teacherToken, { name: 'Mathematics', subject: 'Mathematics' });
+
+    for (const token of [studentToken, otherStudentToken]) {
+      await joinClassroom(token, classroom.classCode);
+    }
+  });
+
+  it('should weigh categories and reweigh around the ones with no grades', async () => {
+    await gradeAssignment(await newAssignment('Algebra'), 80);
+
+    await DailyPracticeProblem.create({
+      title: 'Fractions Practice',
+      classroom: classroom._id,
+      videoClass: '0123456789abcdef01234567',
+      teacher: teacherUser.id,
+      type: 'mcq',
+      questions: [{ question: '1/2 + 1/2', options: [{ text: '1', isCorrect: true }, { text: '2' }] }],
+      dueDate: new Date(Date.now() + DAY_MS),
+      maxScore: 2,
+      isPublished: true,
+      submissions: [{ student: studentUser.id, maxScore: 2, score: 1 }]
+    });
+
+    const response = await getGradebook();
+
+    expect(response.status).toBe(200);
+    expect(response.body.columns.map(c => c.category)).toEqual(['dpps', 'assignments']);
+
+    const row = rowFor(response, studentUser);
+    expect(row.categories.assignments.percentage).toBe(80);
+    expect(row.categories.dpps.percentage).toBe(50);
+    expect(row.categories.quizzes.percentage).toBeNull();
+    // (80 * 40 + 50 * 10) / 50
+    expect(row.overall).toBe(74);
+    expect(row.letterGrade).toBe('C');
+  });
+
+  it('should count missing work after the due date and drop the lowest scores', async () => {
+    const first = await newAssignment('Geometry');
+    const second = await newAssignment('Calculus');
+    const missed = await newAssignment('Statistics');
+    await gradeAssignment(first, 40);
+    await gradeAssignment(second, 90);
+    await Assignment.updateOne({ _id: missed._id }, { dueDate: new Date(Date.now() - DAY_MS) });
+
+    let row = rowFor(await getGradebook(), studentUser);
+    expect(row.cells[missed._id]).toEqual({ percentage: 0, status: 'missing' });
+    expect(row.categories.assignments.percentage).toBeCloseTo(43.33, 2);
+
+    const update = await updateSettings({
+      categories: [
+        { key: 'assignments', weight: 60, dropLowest: 2 },
+        { key: 'quizzes', weight: 40 }
+      ]
+    });
+    expect(update.status).toBe(200);
+
+    row = rowFor(await getGradebook(), studentUser);
+    expect(row.categories.assignments).toMatchObject({ percentage: 90, counted: 1, dropped: 2 });
+    expect(row.overall).toBe(90);
+  });
+
+  it('should reject weights that do not add up to 100', async () => {
+    const response = await updateSettings({
+      categories: [{ key: 'assignments', weight: 50 }, { key: 'quizzes', weight: 30 }]
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Category weights must add up to 100');
+  });
+
+  it('should use the classroom letter scale for submissions and final grades', async () => {
+    const assignment = await newAssignment('Trigonometry');
+    await gradeAssignment(assignment, 85);
+
+    const response = await updateSettings({
+      letterScale: [
+        { letter: 'P', minPercentage: 50 },
+        { letter: 'D', minPercentage: 85 },
+        { letter: 'U', minPercentage: 0 }
+      ]
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.settings.letterScale.map(s => s.letter)).toEqual(['D', 'P', 'U']);
+
+    const submission = await Submission.findOne({ assignment: assignment._id });
+    expect(submission.grade.letterGrade).toBe('D');
+
+    const next = await gradeAssignment(await newAssignment('Vectors'), 60);
+    expect(next.body.submission.grade.letterGrade).toBe('P');
+
+    const noFloor = await updateSettings({ letterScale: [{ letter: 'A', minPercentage: 50 }] });
+    expect(noFloor.status).toBe(400);
+  });
+
+  it('should only show students their own row', async () => {
+    await gradeAssignment(await newAssignment('Algebra'), 70, otherStudentToken);
+
+    const response = await getGradebook(studentToken);
+
+    expect(response.status).toBe(200);
+    expect(response.body.students).toHaveLength(1);
+    expect(response.body.students[0].student._id).toBe(studentUser.id);
+
+    expect((await getGradebook(otherTeacherToken)).status).toBe(404);
+  });
+
+  it('should export the gradebook as CSV', async () => {
+    await gradeAssignment(await newAssignment('Algebra'), 70, otherStudentToken);
+
+    const response = await getGradebook(teacherToken, '?format=csv');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('text/csv');
+    const lines = response.text.split('\r\n');
+    expect(lines[0]).toBe('Student,Email,Algebra,assignments (%),quizzes (%),dpps (%),attendance (%),Final (%),Letter');
+    expect(lines).toContain(`Other Student,${otherStudentUser.email},70,70,,,,70,C`);
+  });
+
+  it('should keep exported text from running as a spreadsheet formula', async () => {
+    await gradeAssignment(await newAssignment('=HYPERLINK("http://example.com")'), 70);
+
+    const response = await getGradebook(teacherToken, '?format=csv');
+
+    expect(response.status).toBe(200);
+    expect(response.text.split('\r\n')[0]).toContain('"\'=HYPERLINK(""http://example.com"")"');
+  });
+
+  it('should include weighted classroom grades in the grades summary', async () => {
+    await gradeAssignment(await newAssignment('Algebra'), 95);
+
+    const response = await request(app)
+      .get('/api/users/grades')
+      .set('Authorization', `Bearer ${studentToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.classrooms).toHaveLength(1);
+    expect(response.body.classrooms[0]).toMatchObject({ overall: 95, letterGrade: 'A' });
+    expect(response.body.summary.gradeDistribution.A).toBe(1);
+  });
+});
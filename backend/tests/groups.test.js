@@ -0,0 +1,202 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { connect, closeDatabase, clearDatabase } = require('./helpers/db');
+const { register, createClassroom, joinClassroom } = require('./helpers/fixtures');
+const Classroom = require('../src/models/Classroom');
+
+describe('Classroom Groups', () => {
+  let teacherToken, studentToken, otherStudentToken;
+  let studentUser, otherStudentUser;
+  let classroom;
+
+  const join = (token) => joinClassroom(token, classroom.classCode);
+
+  const createGroup = (body, token = teacherToken) => request(app)
+    .post(`/api/classrooms/${classroom._id}/groups`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  const createAssignment = (title, targetGroups) => request(app)
+    .post(`/api/assignments/classroom/${classroom._id}`)
+    .set('Authorization', `Bearer ${teacherToken}`)
+    .send({
+      title,
+      description: 'Lab work',
+      totalPoints: 10,
+      dueDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+      targetGroups
+    });
+
+  const getAssignmentTitles = async (token) => {
+    const response = await request(app)
+      .get(`/api/assignments/classroom/${classroom._id}`)
+      .set('Authorization', `Bearer ${token}`);
+    return response.body.assignments.map(a => a.title).sort();
+  };
+
+  beforeAll(async () => {
+    await connect();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+
+    teacherToken = (await register('Teacher User', 'teacher@example.com', 'teacher')).body.token;
+
+    const studentResponse = await register('Student User', 'student@example.com', 'student');
+    studentToken = studentResponse.body.token;
+    studentUser = studentResponse.body.user;
+
+    const otherResponse = await register('Other Student', 'other@example.com', 'student');
+    otherStudentToken = otherResponse.body.token;
+    otherStudentUser = otherResponse.body.user;
+
+    classroom = await createClassroom(teacherToken, { name: 'Grouped Classroom', subject: 'Physics' });
+
+    await join(studentToken);
+    await join(otherStudentToken);
+  });
+
+  describe('Group management', () => {
+    it('should create groups with enrolled members', async () => {
+      const response = await createGroup({ name: 'Lab Batch A', kind: 'lab_batch', studentIds: [studentUser.id] });
+
+      expect(response.status).toBe(201);
+      expect(response.body.group.name).toBe('Lab Batch A');
+      expect(response.body.group.students[0].email).toBe('student@example.com');
+
+      const duplicate = await createGroup({ name: 'lab batch a' });
+      expect(duplicate.status).toBe(409);
+    });
+
+    it('should reject members who are not enrolled', async () => {
+      const outsider = (await register('Outsider', 'outsider@example.com', 'student')).body.user;
+
+      const response = await createGroup({ name: 'Team 1', studentIds: [outsider.id] });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should update and delete groups', async () => {
+      const { group } = (await createGroup({ name: 'Team 1' })).body;
+
+      const updateResponse = await request(app)
+        .put(`/api/classrooms/${classroom._id}/groups/${group._id}`)
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ name: 'Team One', studentIds: [studentUser.id, otherStudentUser.id] });
+
+      expect(updateResponse.status).toBe(200);
+      expect(updateResponse.body.group.name).toBe('Team One');
+      expect(updateResponse.body.group.students).toHaveLength(2);
+
+      const deleteResponse = await request(app)
+        .delete(`/api/classrooms/${classroom._id}/groups/${group._id}`)
+        .set('Authorization', `Bearer ${teacherToken}`);
+      expect(deleteResponse.status).toBe(200);
+
+      const stored = await Classroom.findById(classroom._id);
+      expect(stored.groups).toHaveLength(0);
+    });
+
+    it('should only show students their own groups', async () => {
+      await createGroup({ name: 'Section 1', studentIds: [studentUser.id] });
+      await createGroup({ name: 'Section 2', studentIds: [otherStudentUser.id] });
+
+      const response = await request(app)
+        .get(`/api/classrooms/${classroom._id}/groups`)
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.groups.map(g => g.name)).toEqual(['Section 1']);
+      expect(response.body.groups[0].students).toBeUndefined();
+    });
+
+    it('should not let students manage groups', async () => {
+      const response = await createGroup({ name: 'My Team' }, studentToken);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should drop students from their groups when they leave', async () => {
+      await createGroup({ name: 'Section 1', studentIds: [studentUser.id] });
+
+      await request(app)
+        .delete(`/api/classrooms/${classroom._id}/leave`)
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      const stored = await Classroom.findById(classroom._id);
+      expect(stored.groups[0].students).toHaveLength(0);
+    });
+  });
+
+  describe('Group-targeted content', () => {
+    let group;
+
+    beforeEach(async () => {
+      group = (await createGroup({ name: 'Lab Batch A', kind: 'lab_batch', studentIds: [studentUser.id] })).body.group;
+    });
+
+    it('should only show group assignments to group members', async () => {
+      await createAssignment('Everyone');
+      const { assignment } = (await createAssignment('Batch A Lab', [group._id])).body;
+
+      expect(await getAssignmentTitles(studentToken)).toEqual(['Batch A Lab', 'Everyone']);
+      expect(await getAssignmentTitles(otherStudentToken)).toEqual(['Everyone']);
+      expect(await getAssignmentTitles(teacherToken)).toEqual(['Batch A Lab', 'Everyone']);
+
+      const direct = await request(app)
+        .get(`/api/assignments/${assignment._id}`)
+        .set('Authorization', `Bearer ${otherStudentToken}`);
+      expect(direct.status).toBe(403);
+
+      const submit = await request(app)
+        .post(`/api/assignments/${assignment._id}/submit`)
+        .set('Authorization', `Bearer ${otherStudentToken}`)
+        .send({ content: 'My answer' });
+      expect(submit.status).toBe(403);
+      expect(submit.body.message).toBe('This assignment is not for your group');
+    });
+
+    it('should combine group and level targeting for posts', async () => {
+      const post = (title, body) => request(app)
+        .post(`/api/posts/classroom/${classroom._id}`)
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ title, content: 'Details', ...body });
+
+      await post('Everyone');
+      await post('Batch A', { targetGroups: [group._id] });
+      await post('Batch A Advanced', { targetGroups: [group._id], targetLevels: ['advanced'] });
+
+      const titlesFor = async (token) => {
+        const response = await request(app)
+          .get(`/api/posts/classroom/${classroom._id}`)
+          .set('Authorization', `Bearer ${token}`);
+        return response.body.posts.map(p => p.title).sort();
+      };
+
+      expect(await titlesFor(studentToken)).toEqual(['Batch A', 'Everyone']);
+      expect(await titlesFor(otherStudentToken)).toEqual(['Everyone']);
+    });
+
+    it('should reject groups from another classroom', async () => {
+      const response = await createAssignment('Stray', ['0123456789abcdef01234567']);
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should hide content for a deleted group from students', async () => {
+      await createAssignment('Batch A Lab', [group._id]);
+
+      await request(app)
+        .delete(`/api/classrooms/${classroom._id}/groups/${group._id}`)
+        .set('Authorization', `Bearer ${teacherToken}`);
+
+      expect(await getAssignmentTitles(studentToken)).toEqual([]);
+      expect(await getAssignmentTitles(teacherToken)).toEqual(['Batch A Lab']);
+    });
+  });
+});
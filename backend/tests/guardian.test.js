@@ -0,0 +1,224 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { connect, closeDatabase, clearDatabase } = require('./helpers/db');
+
+describe('Guardian Endpoints', () => {
+  let teacherToken, studentToken, guardianToken, otherStudentToken;
+  let studentUser, otherStudentUser;
+  let classroom;
+
+  beforeAll(async () => {
+    await connect();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+
+    const teacherResponse = await request(app)
+      .post('/api/auth/register')
+      .send({
+        name: 'Teacher User',
+        email: 'teacher@example.com',
+        password: 'password123',
+        role: 'teacher'
+      });
+
+    teacherToken = teacherResponse.body.token;
+
+    const studentResponse = await request(app)
+      .post('/api/auth/register')
+      .send({
+        name: 'Student User',
+        email: 'student@example.com',
+        password: 'password123',
+        role: 'student'
+      });
+
+    studentToken = studentResponse.body.token;
+    studentUser = studentResponse.body.user;
+
+    const otherStudentResponse = await request(app)
+      .post('/api/auth/register')
+      .send({
+        name: 'Other Student',
+        email: 'other@example.com',
+        password: 'password123',
+        role: 'student'
+      });
+
+    otherStudentToken = otherStudentResponse.body.token;
+    otherStudentUser = otherStudentResponse.body.user;
+
+    const guardianResponse = await request(app)
+      .post('/api/auth/register')
+      .send({
+        name: 'Parent User',
+        email: 'parent@example.com',
+        password: 'password123',
+        role: 'guardian'
+      });
+
+    guardianToken = guardianResponse.body.token;
+
+    const classroomResponse = await request(app)
+      .post('/api/classrooms')
+      .set('Authorization', `Bearer ${teacherToken}`)
+      .send({ name: 'Test Classroom', subject: 'Mathematics' });
+
+    classroom = classroomResponse.body.classroom;
+
+    await request(app)
+      .post('/api/classrooms/join')
+      .set('Authorization', `Bearer ${studentToken}`)
+      .send({ classCode: classroom.classCode });
+  });
+
+  // Request a link to the student and have them approve it
+  const linkStudent = async () => {
+    const requestResponse = await request(app)
+      .post('/api/guardians/links')
+      .set('Authorization', `Bearer ${guardianToken}`)
+      .send({ email: 'student@example.com', relationship: 'parent' });
+
+    await request(app)
+      .put(`/api/guardians/links/${requestResponse.body.link.id}/approve`)
+      .set('Authorization', `Bearer ${studentToken}`);
+
+    return requestResponse.body.link.id;
+  };
+
+  describe('Linking flow', () => {
+    it('should create a pending link request visible to the student', async () => {
+      const response = await request(app)
+        .post('/api/guardians/links')
+        .set('Authorization', `Bearer ${guardianToken}`)
+        .send({ email: 'student@example.com' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.link.status).toBe('pending');
+
+      const linksResponse = await request(app)
+        .get('/api/guardians/links')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(linksResponse.status).toBe(200);
+      expect(linksResponse.body.links).toHaveLength(1);
+      expect(linksResponse.body.links[0].guardian.email).toBe('parent@example.com');
+    });
+
+    it('should not grant access before the student approves', async () => {
+      await request(app)
+        .post('/api/guardians/links')
+        .set('Authorization', `Bearer ${guardianToken}`)
+        .send({ email: 'student@example.com' });
+
+      const response = await request(app)
+        .get(`/api/guardians/children/${studentUser.id}/grades`)
+        .set('Authorization', `Bearer ${guardianToken}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should not let another student approve the request', async () => {
+      const requestResponse = await request(app)
+        .post('/api/guardians/links')
+        .set('Authorization', `Bearer ${guardianToken}`)
+        .send({ email: 'student@example.com' });
+
+      const response = await request(app)
+        .put(`/api/guardians/links/${requestResponse.body.link.id}/approve`)
+        .set('Authorization', `Bearer ${otherStudentToken}`);
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should list approved children with their classrooms', async () => {
+      await linkStudent();
+
+      const response = await request(app)
+        .get('/api/guardians/children')
+        .set('Authorization', `Bearer ${guardianToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.children).toHaveLength(1);
+      expect(response.body.children[0].classrooms[0].name).toBe('Test Classroom');
+    });
+
+    it('should revoke access when the student removes the link', async () => {
+      const linkId = await linkStudent();
+
+      const removeResponse = await request(app)
+        .delete(`/api/guardians/links/${linkId}`)
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(removeResponse.status).toBe(200);
+
+      const response = await request(app)
+        .get(`/api/guardians/children/${studentUser.id}/dashboard`)
+        .set('Authorization', `Bearer ${guardianToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('Read-only child views', () => {
+    it('should return the linked student dashboard', async () => {
+      await linkStudent();
+
+      const response = await request(app)
+        .get(`/api/guardians/children/${studentUser.id}/dashboard`)
+        .set('Authorization', `Bearer ${guardianToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.stats.classrooms).toBe(1);
+      expect(response.body.upcomingAssignments).toBeDefined();
+    });
+
+    it('should return the linked student grades summary', async () => {
+      await linkStudent();
+
+      const response = await request(app)
+        .get(`/api/guardians/children/${studentUser.id}/grades`)
+        .set('Authorization', `Bearer ${guardianToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.summary.totalSubmissions).toBe(0);
+    });
+
+    it('should return attendance history for a classroom the child attends', async () => {
+      await linkStudent();
+
+      const response = await request(app)
+        .get(`/api/guardians/children/${studentUser.id}/classrooms/${classroom._id}/attendance`)
+        .set('Authorization', `Bearer ${guardianToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.studentId).toBe(studentUser.id);
+    });
+
+    it('should not expose students that are not linked', async () => {
+      await linkStudent();
+
+      const response = await request(app)
+        .get(`/api/guardians/children/${otherStudentUser.id}/grades`)
+        .set('Authorization', `Bearer ${guardianToken}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should not allow guardians to join classrooms', async () => {
+      await linkStudent();
+
+      const response = await request(app)
+        .post('/api/classrooms/join')
+        .set('Authorization', `Bearer ${guardianToken}`)
+        .send({ classCode: classroom.classCode });
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,7 @@
+// Test-wide environment defaults. Suites that exercise a policy override these locally.
+
+// Most suites register users and act immediately, so the email verification gate is
+// off unless a test turns it on.
+if (process.env.EMAIL_VERIFICATION_REQUIRED_FOR === undefined) {
+  process.env.EMAIL_VERIFICATION_REQUIRED_FOR = '';
+}
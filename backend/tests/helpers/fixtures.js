@@ -0,0 +1,52 @@
+const request = require('supertest');
+const app = require('../../src/server');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Register through the API; the response body carries the token and user
+const register = (name, email, role) => request(app)
+  .post('/api/auth/register')
+  .send({ name, email, password: 'password123', role });
+
+const createClassroom = async (token, fields) => (await request(app)
+  .post('/api/classrooms')
+  .set('Authorization', `Bearer ${token}`)
+  .send(fields)).body.classroom;
+
+const joinClassroom = (token, classCode) => request(app)
+  .post('/api/classrooms/join')
+  .set('Authorization', `Bearer ${token}`)
+  .send({ classCode });
+
+// Assignment out of 100, due in a week; fields override any of it
+const createAssignment = async (token, classroomId, fields = {}) => (await request(app)
+  .post(`/api/assignments/classroom/${classroomId}`)
+  .set('Authorization', `Bearer ${token}`)
+  .send({
+    title: 'Homework',
+    description: 'Show your working',
+    totalPoints: 100,
+    dueDate: new Date(Date.now() + 7 * DAY_MS),
+    ...fields
+  })).body.assignment;
+
+// Submit an assignment as the student and grade it; resolves to the grading response
+const submitAndGrade = async (assignment, { studentToken, teacherToken, points }) => {
+  const submission = (await request(app)
+    .post(`/api/assignments/${assignment._id}/submit`)
+    .set('Authorization', `Bearer ${studentToken}`)
+    .send({ content: 'My answer' })).body.submission;
+
+  return request(app)
+    .put(`/api/assignments/submissions/${submission._id}/grade`)
+    .set('Authorization', `Bearer ${teacherToken}`)
+    .send({ points });
+};
+
+module.exports = {
+  register,
+  createClassroom,
+  joinClassroom,
+  createAssignment,
+  submitAndGrade,
+};
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+// Minimal OpenID Connect provider for tests: discovery, JWKS and a token
+// endpoint that checks PKCE. Tests "sign in" with authorize(), which stands in
+// for the user approving the login at the provider.
+const startMockIdp = async ({ clientId }) => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'test-key', alg: 'RS256', use: 'sig' };
+  const codes = new Map();
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const issuer = `http://127.0.0.1:${server.address().port}`;
+
+  const signIdToken = (claims) => {
+    const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: jwk.kid }));
+    const payload = base64url(JSON.stringify(claims));
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), privateKey).toString('base64url');
+    return `${header}.${payload}.${signature}`;
+  };
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'none'],
+      code_challenge_methods_supported: ['S256']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [jwk] });
+  });
+
+  app.post('/token', (req, res) => {
+    const pending = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+    if (!pending || pending.codeChallenge !== challenge || pending.redirectUri !== req.body.redirect_uri) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    res.json({
+      access_token: crypto.randomBytes(16).toString('hex'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: signIdToken({
+        iss: issuer,
+        aud: clientId,
+        iat: now,
+        exp: now + 300,
+        nonce: pending.nonce,
+        ...pending.claims
+      })
+    });
+  });
+
+  return {
+    issuer,
+
+    /**
+     * Approve a login started by the backend.
+     * @param {string} authorizationUrl - From POST /api/auth/oidc/authorize
+     * @param {Object} claims - ID token claims for the user, including sub
+     * @returns {{ code: string, state: string }} What the provider would redirect back with
+     */
+    authorize(authorizationUrl, claims) {
+      const params = new URL(authorizationUrl).searchParams;
+      const code = crypto.randomBytes(16).toString('hex');
+
+      codes.set(code, {
+        claims,
+        nonce: params.get('nonce'),
+        codeChallenge: params.get('code_challenge'),
+        redirectUri: params.get('redirect_uri')
+      });
+
+      return { code, state: params.get('state') };
+    },
+
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+};
+
+module.exports = { startMockIdp };
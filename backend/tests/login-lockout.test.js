@@ -0,0 +1,156 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { connect, closeDatabase, clearDatabase } = require('./helpers/db');
+const User = require('../src/models/User');
+const SecurityEvent = require('../src/models/SecurityEvent');
+
+describe('Login Lockout', () => {
+  let teacherToken, adminToken;
+  let studentUser;
+  let classroom;
+
+  const login = (email, password) => request(app)
+    .post('/api/auth/login')
+    .send({ email, password });
+
+  const failLogins = async (email, count) => {
+    for (let i = 0; i < count; i++) {
+      await login(email, 'wrongpassword');
+    }
+  };
+
+  beforeAll(async () => {
+    await connect();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+
+    const teacherResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Teacher User', email: 'teacher@example.com', password: 'password123', role: 'teacher' });
+    teacherToken = teacherResponse.body.token;
+
+    const studentResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Student User', email: 'student@example.com', password: 'password123', role: 'student' });
+    studentUser = studentResponse.body.user;
+
+    await User.create({ name: 'Admin User', email: 'admin@example.com', password: 'password123', role: 'admin' });
+    adminToken = (await login('admin@example.com', 'password123')).body.token;
+
+    const classroomResponse = await request(app)
+      .post('/api/classrooms')
+      .set('Authorization', `Bearer ${teacherToken}`)
+      .send({ name: 'Test Classroom', subject: 'History' });
+    classroom = classroomResponse.body.classroom;
+
+    await request(app)
+      .post('/api/classrooms/join')
+      .set('Authorization', `Bearer ${studentResponse.body.token}`)
+      .send({ classCode: classroom.classCode });
+  });
+
+  describe('Per-account lockout', () => {
+    it('should lock an account after repeated failures, even for the right password', async () => {
+      await failLogins('student@example.com', 5);
+
+      const response = await login('student@example.com', 'password123');
+
+      expect(response.status).toBe(429);
+      expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+
+      const events = await SecurityEvent.find({ user: studentUser.id, type: 'account_locked' });
+      expect(events).toHaveLength(1);
+    });
+
+    it('should reset the counter after a successful login', async () => {
+      await failLogins('student@example.com', 4);
+      expect((await login('student@example.com', 'password123')).status).toBe(200);
+
+      await failLogins('student@example.com', 4);
+      expect((await login('student@example.com', 'password123')).status).toBe(200);
+    });
+
+    it('should treat unknown emails the same way', async () => {
+      await failLogins('nobody@example.com', 5);
+
+      const response = await login('nobody@example.com', 'password123');
+      expect(response.status).toBe(429);
+    });
+
+    it('should not lock other accounts', async () => {
+      await failLogins('student@example.com', 5);
+
+      const response = await login('teacher@example.com', 'password123');
+      expect(response.status).toBe(200);
+    });
+  });
+
+  describe('Per-IP lockout', () => {
+    beforeEach(() => {
+      process.env.LOGIN_IP_MAX_ATTEMPTS = '3';
+    });
+
+    afterEach(() => {
+      delete process.env.LOGIN_IP_MAX_ATTEMPTS;
+    });
+
+    it('should lock an IP address that tries many accounts', async () => {
+      await failLogins('a@example.com', 1);
+      await failLogins('b@example.com', 1);
+      await failLogins('c@example.com', 1);
+
+      const response = await login('teacher@example.com', 'password123');
+      expect(response.status).toBe(429);
+    });
+  });
+
+  describe('Unlocking', () => {
+    it('should show lockouts of enrolled students to their teacher', async () => {
+      await failLogins('student@example.com', 5);
+
+      const response = await request(app)
+        .get(`/api/classrooms/${classroom._id}/security-events`)
+        .set('Authorization', `Bearer ${teacherToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.lockedStudents).toHaveLength(1);
+      expect(response.body.events[0].type).toBe('account_locked');
+    });
+
+    it('should let a teacher unlock an enrolled student', async () => {
+      await failLogins('student@example.com', 5);
+
+      const unlockResponse = await request(app)
+        .post(`/api/classrooms/${classroom._id}/students/${studentUser.id}/unlock`)
+        .set('Authorization', `Bearer ${teacherToken}`);
+
+      expect(unlockResponse.status).toBe(200);
+      expect(unlockResponse.body.message).toBe('Student account unlocked');
+
+      const response = await login('student@example.com', 'password123');
+      expect(response.status).toBe(200);
+    });
+
+    it('should let an admin unlock any account', async () => {
+      await failLogins('teacher@example.com', 5);
+
+      const unlockResponse = await request(app)
+        .post(`/api/admin/users/${(await User.findOne({ email: 'teacher@example.com' }))._id}/unlock`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(unlockResponse.status).toBe(200);
+
+      const response = await login('teacher@example.com', 'password123');
+      expect(response.status).toBe(200);
+
+      const events = await SecurityEvent.find({ type: 'account_unlocked' });
+      expect(events).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,213 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { connect, closeDatabase, clearDatabase } = require('./helpers/db');
+const { register, createClassroom, joinClassroom } = require('./helpers/fixtures');
+const Assignment = require('../src/models/Assignment');
+const Post = require('../src/models/Post');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Classroom Modules', () => {
+  let teacherToken, studentToken, otherStudentToken, otherTeacherToken;
+  let studentUser;
+  let classroom, assignment, draftAssignment, post;
+
+  const createModule = (title, token = teacherToken) => request(app)
+    .post(`/api/classrooms/${classroom._id}/modules`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ title });
+
+  const setModule = (type, itemId, moduleId, token = teacherToken) => request(app)
+    .put(`/api/classrooms/${classroom._id}/modules/items/${type}/${itemId}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ moduleId });
+
+  const getModules = (token) => request(app)
+    .get(`/api/classrooms/${classroom._id}/modules`)
+    .set('Authorization', `Bearer ${token}`);
+
+  const createAssignment = (title, fields = {}) => request(app)
+    .post(`/api/assignments/classroom/${classroom._id}`)
+    .set('Authorization', `Bearer ${teacherToken}`)
+    .send({
+      title,
+      description: 'Work through the problems',
+      totalPoints: 10,
+      dueDate: new Date(Date.now() + 7 * DAY_MS),
+      ...fields
+    });
+
+  beforeAll(async () => {
+    await connect();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+
+    teacherToken = (await register('Teacher User', 'teacher@example.com', 'teacher')).body.token;
+    otherTeacherToken = (await register('Other Teacher', 'other@example.com', 'teacher')).body.token;
+
+    const studentResponse = await register('Student User', 'student@example.com', 'student');
+    studentToken = studentResponse.body.token;
+    studentUser = studentResponse.body.user;
+    otherStudentToken = (await register('Other Student', 'student2@example.com', 'student')).body.token;
+
+    classroom = await createClassroom(teacherToken, { name: 'Physics', subject: 'Physics' });
+
+    for (const token of [studentToken, otherStudentToken]) {
+      await joinClassroom(token, classroom.classCode);
+    }
+
+    assignment = (await createAssignment('Heat Engines')).body.assignment;
+    draftAssignment = (await createAssignment('Entropy Draft')).body.assignment;
+    await Assignment.updateOne({ _id: draftAssignment._id }, { isPublished: false });
+
+    post = (await request(app)
+      .post(`/api/posts/classroom/${classroom._id}`)
+      .set('Authorization', `Bearer ${teacherToken}`)
+      .send({ type: 'material', title: 'Lecture Notes', content: 'Read before class' })).body.post;
+  });
+
+  it('should create modules and place content in them', async () => {
+    const unit = (await createModule('Unit 3: Thermodynamics')).body.module;
+    await createModule('Unit 4: Waves');
+
+    expect((await setModule('assignment', assignment._id, unit._id)).status).toBe(200);
+    expect((await setModule('post', post._id, unit._id)).status).toBe(200);
+
+    const response = await getModules(teacherToken);
+
+    expect(response.status).toBe(200);
+    expect(response.body.modules.map(m => m.title)).toEqual(['Unit 3: Thermodynamics', 'Unit 4: Waves']);
+    expect(response.body.modules[0].items.map(i => i.title).sort()).toEqual(['Heat Engines', 'Lecture Notes']);
+    expect(response.body.unassigned.map(i => i.title)).toEqual(['Entropy Draft']);
+  });
+
+  it('should move a module to another position', async () => {
+    await createModule('Unit 1');
+    await createModule('Unit 2');
+    const last = (await createModule('Unit 3')).body.module;
+
+    const response = await request(app)
+      .put(`/api/classrooms/${classroom._id}/modules/${last._id}`)
+      .set('Authorization', `Bearer ${teacherToken}`)
+      .send({ position: 0 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.modules.map(m => m.title)).toEqual(['Unit 3', 'Unit 1', 'Unit 2']);
+    expect(response.body.modules[0]._id).toBe(last._id);
+  });
+
+  it('should show students their items and progress through each module', async () => {
+    const unit = (await createModule('Unit 3')).body.module;
+    await setModule('assignment', assignment._id, unit._id);
+    await setModule('assignment', draftAssignment._id, unit._id);
+    await setModule('post', post._id, unit._id);
+
+    await request(app)
+      .post(`/api/assignments/${assignment._id}/submit`)
+      .set('Authorization', `Bearer ${studentToken}`)
+      .send({ content: 'Efficiency is 40%' });
+
+    const response = await getModules(studentToken);
+
+    expect(response.status).toBe(200);
+    expect(response.body.unassigned).toBeUndefined();
+    const [unitView] = response.body.modules;
+    expect(unitView.items.map(i => i.title).sort()).toEqual(['Heat Engines', 'Lecture Notes']);
+    expect(unitView.items.find(i => i.type === 'assignment').completed).toBe(true);
+    expect(unitView.progress).toEqual({ completed: 1, total: 1 });
+
+    const other = await getModules(otherStudentToken);
+    expect(other.body.modules[0].progress).toEqual({ completed: 0, total: 1 });
+  });
+
+  it('should report every student\'s progress to staff', async () => {
+    const unit = (await createModule('Unit 3')).body.module;
+    await setModule('assignment', assignment._id, unit._id);
+
+    await request(app)
+      .post(`/api/assignments/${assignment._id}/submit`)
+      .set('Authorization', `Bearer ${studentToken}`)
+      .send({ content: 'Done' });
+
+    const response = await request(app)
+      .get(`/api/classrooms/${classroom._id}/modules/progress`)
+      .set('Authorization', `Bearer ${teacherToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.modules.map(m => m.title)).toEqual(['Unit 3']);
+    const row = response.body.students.find(s => s.student._id === studentUser.id);
+    expect(row.modules[0]).toMatchObject({ module: unit._id, completed: 1, total: 1 });
+  });
+
+  it('should keep content in the classroom when its module is deleted', async () => {
+    const unit = (await createModule('Unit 3')).body.module;
+    await setModule('post', post._id, unit._id);
+
+    const response = await request(app)
+      .delete(`/api/classrooms/${classroom._id}/modules/${unit._id}`)
+      .set('Authorization', `Bearer ${teacherToken}`);
+
+    expect(response.status).toBe(200);
+    const stored = await Post.findById(post._id);
+    expect(stored.module).toBeUndefined();
+    expect(stored.isDeleted).toBe(false);
+  });
+
+  it('should only accept modules of the same classroom', async () => {
+    const otherClassroom = await createClassroom(otherTeacherToken, { name: 'Chemistry', subject: 'Chemistry' });
+    const foreignModule = (await request(app)
+      .post(`/api/classrooms/${otherClassroom._id}/modules`)
+      .set('Authorization', `Bearer ${otherTeacherToken}`)
+      .send({ title: 'Unit 1' })).body.module;
+
+    const response = await setModule('assignment', assignment._id, foreignModule._id);
+
+    expect(response.status).toBe(400);
+    expect((await createModule('Unit 1', otherTeacherToken)).status).toBe(404);
+    expect((await setModule('quiz', assignment._id, null)).status).toBe(404);
+  });
+
+  it('should only move an edited assignment into a module of its classroom', async () => {
+    const unit = (await createModule('Unit 3')).body.module;
+    const otherClassroom = await createClassroom(otherTeacherToken, { name: 'Chemistry', subject: 'Chemistry' });
+    const otherUnit = (await request(app)
+      .post(`/api/classrooms/${otherClassroom._id}/modules`)
+      .set('Authorization', `Bearer ${otherTeacherToken}`)
+      .send({ title: 'Unit 1' })).body.module;
+
+    const editAssignment = (fields) => request(app)
+      .put(`/api/assignments/${assignment._id}`)
+      .set('Authorization', `Bearer ${teacherToken}`)
+      .send(fields);
+
+    expect((await editAssignment({ module: otherUnit._id })).status).toBe(400);
+    expect((await editAssignment({ module: { $ne: null } })).status).toBe(400);
+    expect((await Assignment.findById(assignment._id)).module).toBeUndefined();
+
+    expect((await editAssignment({ module: unit._id })).status).toBe(200);
+    expect((await Assignment.findById(assignment._id)).module.toString()).toBe(unit._id);
+
+    expect((await editAssignment({ module: null })).status).toBe(200);
+    expect((await Assignment.findById(assignment._id)).module).toBeUndefined();
+  });
+
+  it('should keep modules when the classroom is copied', async () => {
+    const unit = (await createModule('Unit 3')).body.module;
+    await setModule('assignment', assignment._id, unit._id);
+
+    const { classroom: copy } = (await request(app)
+      .post(`/api/classrooms/${classroom._id}/copy`)
+      .set('Authorization', `Bearer ${teacherToken}`)
+      .send({})).body;
+
+    expect(copy.modules.map(m => m.title)).toEqual(['Unit 3']);
+    const copied = await Assignment.findOne({ classroom: copy._id, title: 'Heat Engines' });
+    expect(copied.module.toString()).toBe(copy.modules[0]._id);
+  });
+});
@@ -0,0 +1,200 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { connect, closeDatabase, clearDatabase } = require('./helpers/db');
+const { startMockIdp } = require('./helpers/mockIdp');
+const User = require('../src/models/User');
+
+describe('OpenID Connect Single Sign-On', () => {
+  let idp;
+
+  // Run the whole browser round trip: start, approve at the provider, call back
+  const signInWithIdp = async (claims, token) => {
+    const start = request(app).post('/api/auth/oidc/authorize');
+    if (token) start.set('Authorization', `Bearer ${token}`);
+    const startResponse = await start.send(token ? { link: true } : {});
+    expect(startResponse.status).toBe(200);
+
+    const { code, state } = idp.authorize(startResponse.body.authorizationUrl, claims);
+    expect(state).toBe(startResponse.body.state);
+
+    const callback = request(app).post('/api/auth/oidc/callback');
+    if (token) callback.set('Authorization', `Bearer ${token}`);
+    return { response: await callback.send({ code, state }), code, state };
+  };
+
+  beforeAll(async () => {
+    await connect();
+
+    idp = await startMockIdp({ clientId: 'classroom-app' });
+    process.env.OIDC_ISSUER = idp.issuer;
+    process.env.OIDC_CLIENT_ID = 'classroom-app';
+    process.env.OIDC_CLIENT_SECRET = 'test-secret';
+    process.env.OIDC_REDIRECT_URI = 'http://localhost:3000/auth/oidc/callback';
+    process.env.OIDC_ROLE_CLAIM = 'groups';
+    process.env.OIDC_TEACHER_VALUES = 'staff,faculty';
+  });
+
+  afterAll(async () => {
+    delete process.env.OIDC_ISSUER;
+    delete process.env.OIDC_CLIENT_ID;
+    delete process.env.OIDC_CLIENT_SECRET;
+    delete process.env.OIDC_REDIRECT_URI;
+    delete process.env.OIDC_ROLE_CLAIM;
+    delete process.env.OIDC_TEACHER_VALUES;
+
+    await idp.close();
+    await closeDatabase();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+  });
+
+  it('should report whether single sign-on is configured', async () => {
+    const response = await request(app).get('/api/auth/oidc');
+
+    expect(response.status).toBe(200);
+    expect(response.body.enabled).toBe(true);
+    expect(response.body.providerName).toBeDefined();
+  });
+
+  it('should create a student account on first sign-in', async () => {
+    const { response } = await signInWithIdp({
+      sub: 'student-1',
+      email: 'Sso.Student@example.com',
+      email_verified: true,
+      name: 'SSO Student'
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.token).toBeDefined();
+    expect(response.body.user.role).toBe('student');
+    expect(response.body.user.email).toBe('sso.student@example.com');
+
+    const user = await User.findOne({ email: 'sso.student@example.com' });
+    expect(user.oidc.issuer).toBe(idp.issuer);
+    expect(user.oidc.subject).toBe('student-1');
+    expect(user.isEmailVerified).toBe(true);
+
+    // Signing in again uses the same account
+    const { response: secondResponse } = await signInWithIdp({
+      sub: 'student-1',
+      email: 'sso.student@example.com',
+      email_verified: true,
+      name: 'SSO Student'
+    });
+    expect(secondResponse.body.user.id.toString()).toBe(user._id.toString());
+    expect(await User.countDocuments()).toBe(1);
+  });
+
+  it('should map the role claim to the teacher role', async () => {
+    const { response } = await signInWithIdp({
+      sub: 'teacher-1',
+      email: 'sso.teacher@example.com',
+      email_verified: true,
+      name: 'SSO Teacher',
+      groups: ['everyone', 'faculty']
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.user.role).toBe('teacher');
+  });
+
+  it('should link an existing account with the same verified email', async () => {
+    const registerResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Existing User', email: 'existing@example.com', password: 'password123', role: 'teacher' });
+
+    const { response } = await signInWithIdp({
+      sub: 'existing-1',
+      email: 'existing@example.com',
+      email_verified: true,
+      name: 'Existing User'
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.user.id.toString()).toBe(registerResponse.body.user.id.toString());
+    expect(response.body.user.role).toBe('teacher');
+
+    const user = await User.findOne({ email: 'existing@example.com' });
+    expect(user.oidc.subject).toBe('existing-1');
+  });
+
+  it('should not take over an existing account when the email is unverified', async () => {
+    await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Existing User', email: 'existing@example.com', password: 'password123', role: 'student' });
+
+    const { response } = await signInWithIdp({
+      sub: 'intruder-1',
+      email: 'existing@example.com',
+      email_verified: false,
+      name: 'Someone Else'
+    });
+
+    expect(response.status).toBe(409);
+
+    const user = await User.findOne({ email: 'existing@example.com' });
+    expect(user.oidc?.subject).toBeUndefined();
+  });
+
+  it('should reject a state that was already used', async () => {
+    const { response, code, state } = await signInWithIdp({
+      sub: 'student-2',
+      email: 'replay@example.com',
+      email_verified: true,
+      name: 'Replay Student'
+    });
+    expect(response.status).toBe(200);
+
+    const replayResponse = await request(app)
+      .post('/api/auth/oidc/callback')
+      .send({ code, state });
+
+    expect(replayResponse.status).toBe(400);
+  });
+
+  it('should let a signed-in user link and unlink their account', async () => {
+    const registerResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Linking User', email: 'linking@example.com', password: 'password123', role: 'student' });
+    const token = registerResponse.body.token;
+
+    const unauthenticatedResponse = await request(app)
+      .post('/api/auth/oidc/authorize')
+      .send({ link: true });
+    expect(unauthenticatedResponse.status).toBe(401);
+
+    // The provider account may use a different email
+    const { response } = await signInWithIdp({
+      sub: 'linking-1',
+      email: 'linking.user@school.example',
+      email_verified: true,
+      name: 'Linking User'
+    }, token);
+
+    expect(response.status).toBe(200);
+    expect(response.body.linked).toBe(true);
+
+    const configResponse = await request(app)
+      .get('/api/auth/oidc')
+      .set('Authorization', `Bearer ${token}`);
+    expect(configResponse.body.linked).toBe(true);
+
+    const { response: loginResponse } = await signInWithIdp({
+      sub: 'linking-1',
+      email: 'linking.user@school.example',
+      email_verified: true,
+      name: 'Linking User'
+    });
+    expect(loginResponse.body.user.email).toBe('linking@example.com');
+
+    const unlinkResponse = await request(app)
+      .delete('/api/auth/oidc/link')
+      .set('Authorization', `Bearer ${token}`);
+    expect(unlinkResponse.status).toBe(200);
+
+    const user = await User.findOne({ email: 'linking@example.com' });
+    expect(user.oidc?.subject).toBeUndefined();
+  });
+});
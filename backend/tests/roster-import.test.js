@@ -0,0 +1,130 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { connect, closeDatabase, clearDatabase } = require('./helpers/db');
+const User = require('../src/models/User');
+const Classroom = require('../src/models/Classroom');
+const emailService = require('../src/services/emailService');
+
+describe('Roster Import', () => {
+  let teacherToken, studentToken;
+  let classroom;
+
+  const importRoster = (csv, token = teacherToken, fields = {}) => {
+    const req = request(app)
+      .post(`/api/classrooms/${classroom._id}/roster/import`)
+      .set('Authorization', `Bearer ${token}`);
+    Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+    return req.attach('file', Buffer.from(csv), 'roster.csv');
+  };
+
+  beforeAll(async () => {
+    await connect();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+    emailService.outbox.length = 0;
+
+    const teacherResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Teacher User', email: 'teacher@example.com', password: 'password123', role: 'teacher' });
+    teacherToken = teacherResponse.body.token;
+
+    const studentResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Existing Student', email: 'existing@example.com', password: 'password123', role: 'student' });
+    studentToken = studentResponse.body.token;
+
+    const classroomResponse = await request(app)
+      .post('/api/classrooms')
+      .set('Authorization', `Bearer ${teacherToken}`)
+      .send({ name: 'Test Classroom', subject: 'Chemistry' });
+    classroom = classroomResponse.body.classroom;
+
+    emailService.outbox.length = 0;
+  });
+
+  it('should create new accounts, match existing ones and report every row', async () => {
+    const csv = [
+      'Name,Email,Student ID,Level',
+      'New Student,new@example.com,S-100,advanced',
+      'Existing Student,EXISTING@example.com,,',
+      'Teacher User,teacher@example.com,,',
+      'Bad Row,not-an-email,,',
+      'Repeat,new@example.com,,'
+    ].join('\n');
+
+    const response = await importRoster(csv);
+
+    expect(response.status).toBe(200);
+    expect(response.body.summary).toEqual({ total: 5, created: 1, enrolled: 1, skipped: 1, error: 2 });
+    expect(response.body.rows.map(row => row.status)).toEqual(['created', 'enrolled', 'error', 'error', 'skipped']);
+    expect(response.body.rows[0].line).toBe(2);
+
+    const newStudent = await User.findOne({ email: 'new@example.com' });
+    expect(newStudent.role).toBe('student');
+    expect(newStudent.studentId).toBe('S-100');
+
+    const updatedClassroom = await Classroom.findById(classroom._id);
+    expect(updatedClassroom.students).toHaveLength(2);
+    const enrollment = updatedClassroom.students.find(s => s.student.toString() === newStudent._id.toString());
+    expect(enrollment.level).toBe('advanced');
+
+    expect(emailService.outbox).toHaveLength(0);
+  });
+
+  it('should skip students who are already enrolled', async () => {
+    await request(app)
+      .post('/api/classrooms/join')
+      .set('Authorization', `Bearer ${studentToken}`)
+      .send({ classCode: classroom.classCode });
+
+    const response = await importRoster('name,email\nExisting Student,existing@example.com');
+
+    expect(response.body.rows[0].status).toBe('skipped');
+  });
+
+  it('should send invites that let new students set a password', async () => {
+    const response = await importRoster('name,email\nInvited Student,invited@example.com', teacherToken, {
+      sendInvites: 'true'
+    });
+
+    expect(response.body.rows[0].status).toBe('created');
+    expect(emailService.outbox).toHaveLength(1);
+    expect(emailService.outbox[0].to[0].address).toBe('invited@example.com');
+
+    const token = emailService.outbox[0].text.match(/token=([a-f0-9]+)/)[1];
+    const acceptResponse = await request(app)
+      .post('/api/auth/accept-invite')
+      .send({ token, password: 'chosenpassword' });
+    expect(acceptResponse.status).toBe(200);
+
+    const loginResponse = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'invited@example.com', password: 'chosenpassword' });
+    expect(loginResponse.status).toBe(200);
+    expect(loginResponse.body.user.isEmailVerified).toBe(true);
+
+    const reuseResponse = await request(app)
+      .post('/api/auth/accept-invite')
+      .send({ token, password: 'anotherpassword' });
+    expect(reuseResponse.status).toBe(400);
+  });
+
+  it('should reject a file without the required columns', async () => {
+    const response = await importRoster('full name,mail\nSomeone,someone@example.com');
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toContain('name, email');
+  });
+
+  it('should not let students import a roster', async () => {
+    const response = await importRoster('name,email\nSomeone,someone@example.com', studentToken);
+
+    expect(response.status).toBe(403);
+  });
+});
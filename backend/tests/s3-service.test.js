@@ -0,0 +1,75 @@
+describe('S3 Service', () => {
+  const teacherId = '64f0c0ffee0000000000a001';
+  const otherTeacherId = '64f0c0ffee0000000000a002';
+  const originalEnv = process.env;
+  let s3Service;
+
+  beforeEach(() => {
+    process.env = {
+      ...originalEnv,
+      AWS_ACCESS_KEY_ID: 'test-key',
+      AWS_SECRET_ACCESS_KEY: 'test-secret',
+      AWS_REGION: 'eu-west-1',
+      S3_BUCKET_NAME: 'shayak-storage'
+    };
+    jest.isolateModules(() => {
+      s3Service = require('../src/services/s3Service');
+    });
+    jest.spyOn(s3Service.s3, 'deleteObject').mockReturnValue({ promise: () => Promise.resolve({}) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = originalEnv;
+  });
+
+  describe('deleteFileByUrl', () => {
+    it('should delete objects in our bucket', async () => {
+      const deleted = await s3Service.deleteFileByUrl(`https://shayak-storage.s3.eu-west-1.amazonaws.com/post-attachments/${teacherId}/week%201.pdf`);
+
+      expect(deleted).toBe(true);
+      expect(s3Service.s3.deleteObject).toHaveBeenCalledWith({
+        Bucket: 'shayak-storage',
+        Key: `post-attachments/${teacherId}/week 1.pdf`
+      });
+    });
+
+    it('should accept path-style URLs for our bucket', async () => {
+      await s3Service.deleteFileByUrl(`https://s3.eu-west-1.amazonaws.com/shayak-storage/post-attachments/${teacherId}/notes.pdf`);
+
+      expect(s3Service.s3.deleteObject).toHaveBeenCalledWith({
+        Bucket: 'shayak-storage',
+        Key: `post-attachments/${teacherId}/notes.pdf`
+      });
+    });
+
+    it('should leave URLs for other buckets and hosts alone', async () => {
+      const foreignUrls = [
+        `https://other-bucket.s3.amazonaws.com/post-attachments/${teacherId}/notes.pdf`,
+        `https://s3.eu-west-1.amazonaws.com/other-bucket/post-attachments/${teacherId}/notes.pdf`,
+        `https://example.com/amazonaws.com/post-attachments/${teacherId}/notes.pdf`,
+        `https://shayak-storage.s3.eu-west-1.amazonaws.com.example.com/post-attachments/${teacherId}/notes.pdf`,
+        `http://shayak-storage.s3.eu-west-1.amazonaws.com/post-attachments/${teacherId}/notes.pdf`
+      ];
+
+      for (const fileUrl of foreignUrls) {
+        expect(await s3Service.deleteFileByUrl(fileUrl)).toBe(false);
+      }
+      expect(s3Service.s3.deleteObject).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('isOwnUpload', () => {
+    it('should recognise files under the user\'s upload prefix', () => {
+      expect(s3Service.isOwnUpload(`https://shayak-storage.s3.eu-west-1.amazonaws.com/post-attachments/${teacherId}/notes.pdf`, teacherId)).toBe(true);
+      expect(s3Service.isOwnUpload(`/uploads/post-attachments/${teacherId}-1700000000000-notes.pdf`, teacherId)).toBe(true);
+    });
+
+    it('should refuse other users\' files and files outside our storage', () => {
+      expect(s3Service.isOwnUpload(`https://shayak-storage.s3.eu-west-1.amazonaws.com/post-attachments/${otherTeacherId}/notes.pdf`, teacherId)).toBe(false);
+      expect(s3Service.isOwnUpload(`https://other-bucket.s3.amazonaws.com/post-attachments/${teacherId}/notes.pdf`, teacherId)).toBe(false);
+      expect(s3Service.isOwnUpload(`/uploads/post-attachments/${otherTeacherId}-1700000000000-notes.pdf`, teacherId)).toBe(false);
+      expect(s3Service.isOwnUpload(`/uploads/../${teacherId}-notes.pdf`, teacherId)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,195 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { connect, closeDatabase, clearDatabase } = require('./helpers/db');
+const { register, createClassroom, joinClassroom, createAssignment } = require('./helpers/fixtures');
+const Classroom = require('../src/models/Classroom');
+
+describe('Placement Screening Test', () => {
+  let teacherToken, studentToken, earlyStudentToken;
+  let studentUser;
+  let classroom, quiz;
+
+  const join = (token) => joinClassroom(token, classroom.classCode);
+
+  const newAssignment = (title, targetLevels) => createAssignment(teacherToken, classroom._id, { title, targetLevels });
+
+  const getAssignmentTitles = async (token) => {
+    const response = await request(app)
+      .get(`/api/assignments/classroom/${classroom._id}`)
+      .set('Authorization', `Bearer ${token}`);
+    return response.body.assignments.map(a => a.title).sort();
+  };
+
+  // Answers are option indexes in the quiz's own order
+  const takeScreening = async (token, answers) => {
+    const startResponse = await request(app)
+      .post(`/api/quizzes/quizzes/${quiz._id}/sessions`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({});
+    expect(startResponse.status).toBe(201);
+    const sessionId = startResponse.body.session._id;
+
+    await request(app)
+      .put(`/api/quizzes/sessions/${sessionId}/answers`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ answers: Object.fromEntries(quiz.questions.map((q, i) => [q._id, String(answers[i])])) });
+
+    return request(app)
+      .post(`/api/quizzes/sessions/${sessionId}/submit`)
+      .set('Authorization', `Bearer ${token}`);
+  };
+
+  beforeAll(async () => {
+    await connect();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+
+    teacherToken = (await register('Teacher User', 'teacher@example.com', 'teacher')).body.token;
+    earlyStudentToken = (await register('Early Student', 'early@example.com', 'student')).body.token;
+
+    const studentResponse = await register('Student User', 'student@example.com', 'student');
+    studentToken = studentResponse.body.token;
+    studentUser = studentResponse.body.user;
+
+    classroom = await createClassroom(teacherToken, { name: 'Placement Classroom', subject: 'Mathematics' });
+
+    await join(earlyStudentToken);
+
+    const quizResponse = await request(app)
+      .post(`/api/quizzes/classrooms/${classroom._id}/quizzes`)
+      .set('Authorization', `Bearer ${teacherToken}`)
+      .send({
+        classroomId: classroom._id,
+        title: 'Placement Test',
+        duration: 15,
+        isScreening: true,
+        isProctored: false,
+        shuffleQuestions: false,
+        shuffleOptions: false,
+        questions: [
+          { question: '2 + 2', options: [{ text: '4', isCorrect: true }, { text: '5' }] },
+          { question: '3 * 3', options: [{ text: '6' }, { text: '9', isCorrect: true }] }
+        ]
+      });
+    expect(quizResponse.status).toBe(201);
+    quiz = quizResponse.body.quiz;
+
+    const screeningResponse = await request(app)
+      .put(`/api/classrooms/${classroom._id}/screening-test`)
+      .set('Authorization', `Bearer ${teacherToken}`)
+      .send({ quizId: quiz._id, thresholds: { intermediate: 50, advanced: 100 } });
+    expect(screeningResponse.status).toBe(200);
+
+    await newAssignment('Everyone', ['beginner', 'intermediate', 'advanced']);
+    await newAssignment('Advanced Only', ['advanced']);
+  });
+
+  it('should keep screening quizzes out of the regular quiz list', async () => {
+    const response = await request(app)
+      .get(`/api/quizzes/classrooms/${classroom._id}/quizzes`)
+      .set('Authorization', `Bearer ${teacherToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.quizzes).toHaveLength(0);
+  });
+
+  it('should ask new students to take the test and hide level-targeted work until they do', async () => {
+    await join(studentToken);
+
+    const classroomResponse = await request(app)
+      .get(`/api/classrooms/${classroom._id}`)
+      .set('Authorization', `Bearer ${studentToken}`);
+    expect(classroomResponse.body.screeningPending).toBe(true);
+
+    expect(await getAssignmentTitles(studentToken)).toEqual(['Everyone']);
+  });
+
+  it('should set the level from the score and unlock content', async () => {
+    await join(studentToken);
+
+    const submitResponse = await takeScreening(studentToken, [0, 1]);
+
+    expect(submitResponse.status).toBe(200);
+    expect(submitResponse.body.level).toBe('advanced');
+
+    const stored = await Classroom.findById(classroom._id);
+    const enrollment = stored.students.find(s => s.student.toString() === studentUser.id);
+    expect(enrollment.screeningTestCompleted).toBe(true);
+    expect(enrollment.screeningTestScore).toBe(100);
+    expect(enrollment.level).toBe('advanced');
+
+    expect(await getAssignmentTitles(studentToken)).toEqual(['Advanced Only', 'Everyone']);
+
+    const retake = await request(app)
+      .post(`/api/quizzes/quizzes/${quiz._id}/sessions`)
+      .set('Authorization', `Bearer ${studentToken}`)
+      .send({});
+    expect(retake.status).toBe(403);
+  });
+
+  it('should not show classmates their screening scores', async () => {
+    await join(studentToken);
+    await takeScreening(studentToken, [0, 1]);
+
+    const enrollmentOf = async (token) => (await request(app)
+      .get(`/api/classrooms/${classroom._id}`)
+      .set('Authorization', `Bearer ${token}`)).body.classroom.students
+      .find(s => s.student._id === studentUser.id);
+
+    expect((await enrollmentOf(studentToken)).screeningTestScore).toBe(100);
+    expect((await enrollmentOf(earlyStudentToken)).screeningTestScore).toBeUndefined();
+    expect((await enrollmentOf(teacherToken)).screeningTestScore).toBe(100);
+  });
+
+  it('should use the score bands for lower scores', async () => {
+    await join(studentToken);
+
+    const submitResponse = await takeScreening(studentToken, [0, 0]);
+
+    expect(submitResponse.body.level).toBe('intermediate');
+  });
+
+  it('should not ask students who joined before the test was set', async () => {
+    const statusResponse = await request(app)
+      .get(`/api/classrooms/${classroom._id}/screening-test`)
+      .set('Authorization', `Bearer ${earlyStudentToken}`);
+
+    expect(statusResponse.status).toBe(200);
+    expect(statusResponse.body.pending).toBe(false);
+
+    const startResponse = await request(app)
+      .post(`/api/quizzes/quizzes/${quiz._id}/sessions`)
+      .set('Authorization', `Bearer ${earlyStudentToken}`)
+      .send({});
+    expect(startResponse.status).toBe(403);
+  });
+
+  it('should show staff who has taken the test', async () => {
+    await join(studentToken);
+    await takeScreening(studentToken, [1, 1]);
+
+    const response = await request(app)
+      .get(`/api/classrooms/${classroom._id}/screening-test`)
+      .set('Authorization', `Bearer ${teacherToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.screeningTest.title).toBe('Placement Test');
+    expect(response.body.results).toHaveLength(1);
+    expect(response.body.results[0]).toMatchObject({ completed: true, score: 0, level: 'beginner' });
+  });
+
+  it('should reject bands where advanced is below intermediate', async () => {
+    const response = await request(app)
+      .put(`/api/classrooms/${classroom._id}/screening-test`)
+      .set('Authorization', `Bearer ${teacherToken}`)
+      .send({ thresholds: { intermediate: 80, advanced: 60 } });
+
+    expect(response.status).toBe(400);
+  });
+});
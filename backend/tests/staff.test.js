@@ -0,0 +1,183 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { connect, closeDatabase, clearDatabase } = require('./helpers/db');
+const { register, createClassroom, joinClassroom } = require('./helpers/fixtures');
+
+describe('Classroom Staff', () => {
+  let ownerToken, coTeacherToken, taToken, outsiderToken, studentToken;
+  let coTeacherUser, taUser;
+  let classroom;
+
+  beforeAll(async () => {
+    await connect();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+
+    ownerToken = (await register('Owner Teacher', 'owner@example.com', 'teacher')).body.token;
+
+    const coTeacherResponse = await register('Co Teacher', 'coteacher@example.com', 'teacher');
+    coTeacherToken = coTeacherResponse.body.token;
+    coTeacherUser = coTeacherResponse.body.user;
+
+    const taResponse = await register('Teaching Assistant', 'ta@example.com', 'teacher');
+    taToken = taResponse.body.token;
+    taUser = taResponse.body.user;
+
+    outsiderToken = (await register('Other Teacher', 'outsider@example.com', 'teacher')).body.token;
+    studentToken = (await register('Student User', 'student@example.com', 'student')).body.token;
+
+    classroom = await createClassroom(ownerToken, { name: 'Shared Classroom', subject: 'Physics' });
+
+    await joinClassroom(studentToken, classroom.classCode);
+
+    await request(app)
+      .post(`/api/classrooms/${classroom._id}/staff`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ email: 'coteacher@example.com', role: 'co_teacher' });
+
+    await request(app)
+      .post(`/api/classrooms/${classroom._id}/staff`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ email: 'ta@example.com', role: 'ta' });
+  });
+
+  const createAssignment = (token) => request(app)
+    .post(`/api/assignments/classroom/${classroom._id}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({
+      title: 'Lab Report',
+      description: 'Write up the pendulum lab',
+      totalPoints: 100,
+      dueDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+    });
+
+  describe('Staff management', () => {
+    it('should list staff with their roles', async () => {
+      const response = await request(app)
+        .get(`/api/classrooms/${classroom._id}/staff`)
+        .set('Authorization', `Bearer ${taToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.staff).toHaveLength(2);
+      expect(response.body.staff.map(s => s.role).sort()).toEqual(['co_teacher', 'ta']);
+    });
+
+    it('should only add existing teacher accounts', async () => {
+      const response = await request(app)
+        .post(`/api/classrooms/${classroom._id}/staff`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ email: 'student@example.com', role: 'ta' });
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should not let a co-teacher manage staff', async () => {
+      const response = await request(app)
+        .post(`/api/classrooms/${classroom._id}/staff`)
+        .set('Authorization', `Bearer ${coTeacherToken}`)
+        .send({ email: 'outsider@example.com', role: 'ta' });
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should let a staff member leave the classroom', async () => {
+      const response = await request(app)
+        .delete(`/api/classrooms/${classroom._id}/staff/${taUser.id}`)
+        .set('Authorization', `Bearer ${taToken}`);
+
+      expect(response.status).toBe(200);
+
+      const classroomResponse = await request(app)
+        .get(`/api/classrooms/${classroom._id}`)
+        .set('Authorization', `Bearer ${taToken}`);
+
+      expect(classroomResponse.status).toBe(403);
+    });
+
+    it('should change a staff role', async () => {
+      const response = await request(app)
+        .put(`/api/classrooms/${classroom._id}/staff/${coTeacherUser.id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ role: 'ta' });
+
+      expect(response.status).toBe(200);
+
+      const createResponse = await createAssignment(coTeacherToken);
+      expect(createResponse.status).toBe(404);
+    });
+  });
+
+  describe('Permissions', () => {
+    it('should show the classroom and staff role to staff', async () => {
+      const response = await request(app)
+        .get(`/api/classrooms/${classroom._id}`)
+        .set('Authorization', `Bearer ${taToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.staffRole).toBe('ta');
+
+      const listResponse = await request(app)
+        .get('/api/classrooms')
+        .set('Authorization', `Bearer ${coTeacherToken}`);
+
+      expect(listResponse.body.classrooms).toHaveLength(1);
+    });
+
+    it('should let a co-teacher create content but not a TA', async () => {
+      const coTeacherResponse = await createAssignment(coTeacherToken);
+      expect(coTeacherResponse.status).toBe(201);
+
+      const taResponse = await createAssignment(taToken);
+      expect(taResponse.status).toBe(404);
+    });
+
+    it('should let a TA grade submissions', async () => {
+      const assignment = (await createAssignment(ownerToken)).body.assignment;
+
+      await request(app)
+        .put(`/api/assignments/${assignment._id}/publish`)
+        .set('Authorization', `Bearer ${ownerToken}`);
+
+      const submissionResponse = await request(app)
+        .post(`/api/assignments/${assignment._id}/submit`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ content: 'My lab report' });
+
+      const response = await request(app)
+        .put(`/api/assignments/submissions/${submissionResponse.body.submission._id}/grade`)
+        .set('Authorization', `Bearer ${taToken}`)
+        .send({ points: 90, feedback: 'Nice analysis' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.submission.gradedBy).toBe(taUser.id);
+    });
+
+    it('should not let a TA or co-teacher archive the classroom', async () => {
+      const taResponse = await request(app)
+        .put(`/api/classrooms/${classroom._id}/archive`)
+        .set('Authorization', `Bearer ${taToken}`);
+
+      expect(taResponse.status).toBe(404);
+
+      const coTeacherResponse = await request(app)
+        .put(`/api/classrooms/${classroom._id}/archive`)
+        .set('Authorization', `Bearer ${coTeacherToken}`);
+
+      expect(coTeacherResponse.status).toBe(404);
+    });
+
+    it('should keep teachers outside the staff out', async () => {
+      const response = await request(app)
+        .get(`/api/classrooms/${classroom._id}/students`)
+        .set('Authorization', `Bearer ${outsiderToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,198 @@
+const request = require('supertest');
+const app = require('../src/server');
+const { connect, closeDatabase, clearDatabase } = require('./helpers/db');
+const { register, createClassroom, joinClassroom, createAssignment, submitAndGrade } = require('./helpers/fixtures');
+const Classroom = require('../src/models/Classroom');
+
+describe('Student level rules', () => {
+  let teacherToken, studentToken;
+  let teacherUser, studentUser;
+  let classroom;
+
+  const updateRules = (body) => request(app)
+    .put(`/api/classrooms/${classroom._id}/levels/rules`)
+    .set('Authorization', `Bearer ${teacherToken}`)
+    .send(body);
+
+  const getLevels = () => request(app)
+    .get(`/api/classrooms/${classroom._id}/levels`)
+    .set('Authorization', `Bearer ${teacherToken}`);
+
+  // Create an assignment for every level, submit it as the student and grade it out of 100
+  const gradeNewAssignment = async (title, points) => {
+    const assignment = await createAssignment(teacherToken, classroom._id, {
+      title,
+      targetLevels: ['beginner', 'intermediate', 'advanced']
+    });
+    return submitAndGrade(assignment, { studentToken, teacherToken, points });
+  };
+
+  const enrollmentOf = async () => {
+    const current = await Classroom.findById(classroom._id);
+    return current.students.find(s => s.student.toString() === studentUser.id);
+  };
+
+  beforeAll(async () => {
+    await connect();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+
+    const teacherResponse = await register('Teacher User', 'teacher@example.com', 'teacher');
+    teacherToken = teacherResponse.body.token;
+    teacherUser = teacherResponse.body.user;
+
+    const studentResponse = await register('Student User', 'student@example.com', 'student');
+    studentToken = studentResponse.body.token;
+    studentUser = studentResponse.body.user;
+
+    classroom = await createClassroom(teacherToken, { name: 'Physics', subject: 'Physics' });
+
+    await joinClassroom(studentToken, classroom.classCode);
+  });
+
+  it('should leave levels alone while the rules are off', async () => {
+    for (const title of ['Kinematics', 'Forces', 'Energy']) {
+      await gradeNewAssignment(title, 95);
+    }
+
+    const enrollment = await enrollmentOf();
+    expect(enrollment.level).toBe('beginner');
+    expect(enrollment.levelProposal).toBeNull();
+  });
+
+  it('should propose a promotion for staff to approve', async () => {
+    expect((await updateRules({ mode: 'propose', minResults: 3 })).status).toBe(200);
+
+    await gradeNewAssignment('Kinematics', 90);
+    await gradeNewAssignment('Forces', 85);
+    expect((await enrollmentOf()).levelProposal).toBeNull();
+
+    await gradeNewAssignment('Energy', 95);
+
+    let row = (await getLevels()).body.students[0];
+    expect(row.level).toBe('beginner');
+    expect(row.levelProposal).toMatchObject({ level: 'intermediate', average: 90, results: 3 });
+
+    const approve = await request(app)
+      .post(`/api/classrooms/${classroom._id}/levels/proposals/${studentUser.id}/approve`)
+      .set('Authorization', `Bearer ${teacherToken}`);
+    expect(approve.status).toBe(200);
+
+    row = (await getLevels()).body.students[0];
+    expect(row.level).toBe('intermediate');
+    expect(row.levelProposal).toBeNull();
+    expect(row.levelHistory).toHaveLength(1);
+    expect(row.levelHistory[0]).toMatchObject({ from: 'beginner', to: 'intermediate', source: 'rules', average: 90 });
+    expect(row.levelHistory[0].changedBy.name).toBe('Teacher User');
+  });
+
+  it('should apply changes directly and only count results since the last change', async () => {
+    await updateRules({ mode: 'apply', minResults: 2, window: 3 });
+
+    await gradeNewAssignment('Kinematics', 90);
+    await gradeNewAssignment('Forces', 90);
+    expect((await enrollmentOf()).level).toBe('intermediate');
+
+    // One new result is not enough on its own for the next level
+    await gradeNewAssignment('Energy', 100);
+    expect((await enrollmentOf()).level).toBe('intermediate');
+
+    await gradeNewAssignment('Momentum', 100);
+    const enrollment = await enrollmentOf();
+    expect(enrollment.level).toBe('advanced');
+    expect(enrollment.levelHistory.map(h => h.to)).toEqual(['intermediate', 'advanced']);
+  });
+
+  it('should only demote when demotion is allowed', async () => {
+    await Classroom.updateOne(
+      { _id: classroom._id, 'students.student': studentUser.id },
+      { 'students.$.level': 'intermediate' }
+    );
+    await updateRules({ mode: 'apply', minResults: 2 });
+
+    await gradeNewAssignment('Kinematics', 20);
+    await gradeNewAssignment('Forces', 30);
+    expect((await enrollmentOf()).level).toBe('intermediate');
+
+    await updateRules({ allowDemotion: true });
+    const evaluate = await request(app)
+      .post(`/api/classrooms/${classroom._id}/levels/evaluate`)
+      .set('Authorization', `Bearer ${teacherToken}`);
+
+    expect(evaluate.status).toBe(200);
+    expect(evaluate.body.changes).toEqual([
+      expect.objectContaining({ student: studentUser.id, from: 'intermediate', to: 'beginner', average: 25 })
+    ]);
+    expect((await enrollmentOf()).level).toBe('beginner');
+  });
+
+  it('should not propose again after a rejection until there are new results', async () => {
+    await updateRules({ mode: 'propose', minResults: 2 });
+    await gradeNewAssignment('Kinematics', 95);
+    await gradeNewAssignment('Forces', 95);
+
+    const reject = await request(app)
+      .post(`/api/classrooms/${classroom._id}/levels/proposals/${studentUser.id}/reject`)
+      .set('Authorization', `Bearer ${teacherToken}`);
+    expect(reject.status).toBe(200);
+
+    await request(app)
+      .post(`/api/classrooms/${classroom._id}/levels/evaluate`)
+      .set('Authorization', `Bearer ${teacherToken}`);
+
+    const enrollment = await enrollmentOf();
+    expect(enrollment.level).toBe('beginner');
+    expect(enrollment.levelProposal).toBeNull();
+  });
+
+  it('should reject thresholds that overlap', async () => {
+    const response = await updateRules({ promoteAt: 50, demoteAt: 60 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('The demotion threshold must be below the promotion threshold');
+  });
+
+  it('should record manual level changes in the history', async () => {
+    await request(app)
+      .put(`/api/classrooms/${classroom._id}/students/${studentUser.id}/level`)
+      .set('Authorization', `Bearer ${teacherToken}`)
+      .send({ level: 'advanced' });
+
+    const enrollment = await enrollmentOf();
+    expect(enrollment.levelHistory).toHaveLength(1);
+    expect(enrollment.levelHistory[0]).toMatchObject({ from: 'beginner', to: 'advanced', source: 'manual' });
+    expect(enrollment.levelHistory[0].changedBy.toString()).toBe(teacherUser.id);
+  });
+
+  it('should keep level history and proposals from classmates', async () => {
+    const classmateToken = (await register('Classmate', 'classmate@example.com', 'student')).body.token;
+    await joinClassroom(classmateToken, classroom.classCode);
+
+    await request(app)
+      .put(`/api/classrooms/${classroom._id}/students/${studentUser.id}/level`)
+      .set('Authorization', `Bearer ${teacherToken}`)
+      .send({ level: 'advanced' });
+
+    const enrollmentSeenBy = async (token, path) => {
+      const response = await request(app)
+        .get(`/api/classrooms/${classroom._id}${path}`)
+        .set('Authorization', `Bearer ${token}`);
+      const students = path ? response.body.students : response.body.classroom.students;
+      return students.find(s => s.student._id === studentUser.id);
+    };
+
+    for (const path of ['', '/students']) {
+      const seenByClassmate = await enrollmentSeenBy(classmateToken, path);
+      expect(seenByClassmate.levelHistory).toBeUndefined();
+      expect(seenByClassmate.levelProposal).toBeUndefined();
+
+      expect((await enrollmentSeenBy(studentToken, path)).levelHistory).toHaveLength(1);
+    }
+  });
+});
@@ -0,0 +1,253 @@
+const request = require('supertest');
+const app = require('../src/server');
+const totpService = require('../src/services/totpService');
+const { connect, closeDatabase, clearDatabase } = require('./helpers/db');
+
+describe('Two-Factor Authentication', () => {
+  let teacherToken, studentToken;
+  let classroom;
+
+  // The code used to enable 2FA can't be replayed, so later logins use the next step
+  const nextCode = (secret) => totpService.generateCode(secret, totpService.getStep() + 1);
+
+  const enableTwoFactor = async () => {
+    const setupResponse = await request(app)
+      .post('/api/auth/2fa/setup')
+      .set('Authorization', `Bearer ${teacherToken}`);
+
+    const { secret } = setupResponse.body;
+    const enableResponse = await request(app)
+      .post('/api/auth/2fa/enable')
+      .set('Authorization', `Bearer ${teacherToken}`)
+      .send({ code: totpService.generateCode(secret) });
+
+    return { secret, recoveryCodes: enableResponse.body.recoveryCodes };
+  };
+
+  const login = () => request(app)
+    .post('/api/auth/login')
+    .send({ email: 'teacher@example.com', password: 'password123' });
+
+  beforeAll(async () => {
+    await connect();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+
+    const teacherResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Teacher User', email: 'teacher@example.com', password: 'password123', role: 'teacher' });
+    teacherToken = teacherResponse.body.token;
+
+    const studentResponse = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Student User', email: 'student@example.com', password: 'password123', role: 'student' });
+    studentToken = studentResponse.body.token;
+
+    const classroomResponse = await request(app)
+      .post('/api/classrooms')
+      .set('Authorization', `Bearer ${teacherToken}`)
+      .send({ name: 'Secure Classroom', subject: 'Mathematics' });
+    classroom = classroomResponse.body.classroom;
+  });
+
+  describe('Enrollment', () => {
+    it('should provision a secret with a QR code', async () => {
+      const response = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${teacherToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.secret).toMatch(/^[A-Z2-7]+$/);
+      expect(response.body.otpauthUrl).toContain('otpauth://totp/');
+      expect(response.body.qrCode).toMatch(/^data:image\/png;base64,/);
+    });
+
+    it('should reject a wrong confirmation code', async () => {
+      await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${teacherToken}`);
+
+      const response = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ code: '000000' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should enable 2FA and return recovery codes', async () => {
+      const { recoveryCodes } = await enableTwoFactor();
+
+      expect(recoveryCodes).toHaveLength(10);
+
+      const statusResponse = await request(app)
+        .get('/api/auth/2fa')
+        .set('Authorization', `Bearer ${teacherToken}`);
+
+      expect(statusResponse.body.enabled).toBe(true);
+      expect(statusResponse.body.recoveryCodesRemaining).toBe(10);
+    });
+
+    it('should not be available to students', async () => {
+      const response = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${studentToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('Login', () => {
+    it('should ask for a second factor instead of issuing tokens', async () => {
+      await enableTwoFactor();
+
+      const response = await login();
+
+      expect(response.status).toBe(200);
+      expect(response.body.twoFactorRequired).toBe(true);
+      expect(response.body.challengeToken).toBeDefined();
+      expect(response.body.token).toBeUndefined();
+    });
+
+    it('should complete login with a valid code', async () => {
+      const { secret } = await enableTwoFactor();
+      const { challengeToken } = (await login()).body;
+
+      const badResponse = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken, code: '000000' });
+      expect(badResponse.status).toBe(400);
+
+      const response = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken, code: nextCode(secret) });
+
+      expect(response.status).toBe(200);
+      expect(response.body.token).toBeDefined();
+      expect(response.body.refreshToken).toBeDefined();
+    });
+
+    it('should accept each recovery code once', async () => {
+      const { recoveryCodes } = await enableTwoFactor();
+
+      const first = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: (await login()).body.challengeToken, recoveryCode: recoveryCodes[0] });
+      expect(first.status).toBe(200);
+
+      const second = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: (await login()).body.challengeToken, recoveryCode: recoveryCodes[0] });
+      expect(second.status).toBe(400);
+    });
+
+    it('should retire the challenge after too many wrong codes', async () => {
+      const { secret } = await enableTwoFactor();
+      const { challengeToken } = (await login()).body;
+
+      for (let i = 0; i < 5; i++) {
+        await request(app)
+          .post('/api/auth/login/2fa')
+          .send({ challengeToken, code: '000000' });
+      }
+
+      const response = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken, code: nextCode(secret) });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('expired');
+    });
+  });
+
+  describe('Policy', () => {
+    let submissionId;
+
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/classrooms/join')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ classCode: classroom.classCode });
+
+      const assignmentResponse = await request(app)
+        .post(`/api/assignments/classroom/${classroom._id}`)
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({
+          title: 'Homework',
+          description: 'Solve the problems',
+          totalPoints: 10,
+          dueDate: new Date(Date.now() + 24 * 60 * 60 * 1000)
+        });
+      const assignment = assignmentResponse.body.assignment;
+
+      await request(app)
+        .put(`/api/assignments/${assignment._id}/publish`)
+        .set('Authorization', `Bearer ${teacherToken}`);
+
+      const submissionResponse = await request(app)
+        .post(`/api/assignments/${assignment._id}/submit`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ content: 'My answers' });
+      submissionId = submissionResponse.body.submission._id;
+    });
+
+    const grade = () => request(app)
+      .put(`/api/assignments/submissions/${submissionId}/grade`)
+      .set('Authorization', `Bearer ${teacherToken}`)
+      .send({ points: 8 });
+
+    it('should block grading in a classroom that requires 2FA until enrolled', async () => {
+      await request(app)
+        .put(`/api/classrooms/${classroom._id}`)
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ requireTeacherTwoFactor: true });
+
+      const blocked = await grade();
+      expect(blocked.status).toBe(403);
+      expect(blocked.body.code).toBe('TWO_FACTOR_REQUIRED');
+
+      await enableTwoFactor();
+
+      const allowed = await grade();
+      expect(allowed.status).toBe(200);
+    });
+
+    it('should apply the institution policy to every teacher', async () => {
+      process.env.TWO_FACTOR_REQUIRED_FOR_TEACHERS = 'true';
+
+      try {
+        const response = await grade();
+        expect(response.status).toBe(403);
+
+        const statusResponse = await request(app)
+          .get('/api/auth/2fa')
+          .set('Authorization', `Bearer ${teacherToken}`);
+        expect(statusResponse.body.required).toBe(true);
+      } finally {
+        delete process.env.TWO_FACTOR_REQUIRED_FOR_TEACHERS;
+      }
+    });
+
+    it('should not allow disabling 2FA while it is required', async () => {
+      const { secret } = await enableTwoFactor();
+
+      await request(app)
+        .put(`/api/classrooms/${classroom._id}`)
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ requireTeacherTwoFactor: true });
+
+      const response = await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${teacherToken}`)
+        .send({ password: 'password123', code: nextCode(secret) });
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
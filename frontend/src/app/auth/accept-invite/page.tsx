@@ -0,0 +1,155 @@
+'use client'
+
+import { Suspense, useState } from 'react'
+import { useRouter, useSearchParams } from 'next/navigation'
+import Link from 'next/link'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { apiClient } from '@/lib/api'
+import { toast } from '@/hooks/use-toast'
+import { Loader2 } from 'lucide-react'
+
+function AcceptInviteForm() {
+  const router = useRouter()
+  const searchParams = useSearchParams()
+  const token = searchParams.get('token') || ''
+  const [isLoading, setIsLoading] = useState(false)
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: '',
+  })
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+
+    if (formData.password !== formData.confirmPassword) {
+      toast({
+        title: 'Password mismatch',
+        description: 'Passwords do not match. Please try again.',
+        variant: 'destructive',
+      })
+      return
+    }
+
+    setIsLoading(true)
+
+    try {
+      await apiClient.acceptInvite(token, formData.password)
+      toast({
+        title: 'Account ready',
+        description: 'Sign in with your email and the password you just chose.',
+      })
+      router.push('/auth/login')
+    } catch (error) {
+      toast({
+        title: 'Could not set up your account',
+        description: error instanceof Error ? error.message : 'An error occurred while accepting the invite',
+        variant: 'destructive',
+      })
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const handleChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    setFormData(prev => ({
+      ...prev,
+      [e.target.name]: e.target.value,
+    }))
+  }
+
+  if (!token) {
+    return (
+      <div className="text-center space-y-4">
+        <p className="text-sm text-gray-600">
+          This invite link is incomplete. You can still set a password with a reset link.
+        </p>
+        <Link
+          href="/auth/forgot-password"
+          className="text-sm text-blue-600 hover:text-blue-500 font-medium"
+        >
+          Get a password link
+        </Link>
+      </div>
+    )
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="space-y-2">
+        <Label htmlFor="password">Password</Label>
+        <Input
+          id="password"
+          name="password"
+          type="password"
+          autoComplete="new-password"
+          required
+          minLength={6}
+          value={formData.password}
+          onChange={handleChange}
+          placeholder="Choose a password"
+          disabled={isLoading}
+        />
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="confirmPassword">Confirm password</Label>
+        <Input
+          id="confirmPassword"
+          name="confirmPassword"
+          type="password"
+          autoComplete="new-password"
+          required
+          minLength={6}
+          value={formData.confirmPassword}
+          onChange={handleChange}
+          placeholder="Repeat the password"
+          disabled={isLoading}
+        />
+      </div>
+      <Button
+        type="submit"
+        className="w-full"
+        disabled={isLoading}
+      >
+        {isLoading ? (
+          <>
+            <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+            Setting up...
+          </>
+        ) : (
+          'Set password'
+        )}
+      </Button>
+    </form>
+  )
+}
+
+export default function AcceptInvitePage() {
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <Card className="w-full max-w-md">
+        <CardHeader className="space-y-1">
+          <CardTitle className="text-2xl text-center">Set up your account</CardTitle>
+          <CardDescription className="text-center">
+            Your teacher created an account for you. Choose a password to sign in.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <Suspense fallback={<Loader2 className="mx-auto h-6 w-6 animate-spin" />}>
+            <AcceptInviteForm />
+          </Suspense>
+          <div className="mt-6 text-center">
+            <Link
+              href="/auth/login"
+              className="text-sm text-blue-600 hover:text-blue-500 font-medium"
+            >
+              Back to sign in
+            </Link>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
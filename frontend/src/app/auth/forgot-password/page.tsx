@@ -0,0 +1,98 @@
+'use client'
+
+import { useState } from 'react'
+import Link from 'next/link'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { apiClient } from '@/lib/api'
+import { toast } from '@/hooks/use-toast'
+import { Loader2, MailCheck } from 'lucide-react'
+
+export default function ForgotPasswordPage() {
+  const [isLoading, setIsLoading] = useState(false)
+  const [isSent, setIsSent] = useState(false)
+  const [email, setEmail] = useState('')
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+    setIsLoading(true)
+
+    try {
+      await apiClient.forgotPassword(email)
+      setIsSent(true)
+    } catch (error) {
+      toast({
+        title: 'Request failed',
+        description: error instanceof Error ? error.message : 'Could not send the reset link',
+        variant: 'destructive',
+      })
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <Card className="w-full max-w-md">
+        <CardHeader className="space-y-1">
+          <CardTitle className="text-2xl text-center">Forgot your password?</CardTitle>
+          <CardDescription className="text-center">
+            Enter your account email and we&apos;ll send you a link to reset it
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {isSent ? (
+            <div className="text-center space-y-4">
+              <MailCheck className="mx-auto h-12 w-12 text-green-600" />
+              <p className="text-sm text-gray-600">
+                If an account exists for <span className="font-medium">{email}</span>, a reset link
+                is on its way. The link expires after a while and can only be used once.
+              </p>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="email">Email</Label>
+                <Input
+                  id="email"
+                  name="email"
+                  type="email"
+                  autoComplete="email"
+                  required
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  placeholder="Enter your email"
+                  disabled={isLoading}
+                />
+              </div>
+              <Button
+                type="submit"
+                className="w-full"
+                disabled={isLoading}
+              >
+                {isLoading ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    Sending link...
+                  </>
+                ) : (
+                  'Send reset link'
+                )}
+              </Button>
+            </form>
+          )}
+          <div className="mt-6 text-center">
+            <Link
+              href="/auth/login"
+              className="text-sm text-blue-600 hover:text-blue-500 font-medium"
+            >
+              Back to sign in
+            </Link>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
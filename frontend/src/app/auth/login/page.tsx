@@ -1,6 +1,6 @@
 'use client'
 
-import { useState } from 'react'
+import { useEffect, useState } from 'react'
 import { useRouter } from 'next/navigation'
 import Link from 'next/link'
 import { Button } from '@/components/ui/button'
@@ -9,6 +9,7 @@ import { Label } from '@/components/ui/label'
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
 import { useAuthStore } from '@/store/auth'
 import { apiClient } from '@/lib/api'
+import { redirectToOidc, takeOidcChallenge } from '@/lib/oidc'
 import { toast } from '@/hooks/use-toast'
 import { Loader2 } from 'lucide-react'
 
@@ -20,20 +21,74 @@ export default function LoginPage() {
     email: '',
     password: '',
   })
+  // Second step for accounts with two-factor authentication
+  const [challengeToken, setChallengeToken] = useState<string | null>(null)
+  const [twoFactorCode, setTwoFactorCode] = useState('')
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false)
+  const [ssoProvider, setSsoProvider] = useState<string | null>(null)
+
+  useEffect(() => {
+    // Single sign-on for an account with 2FA finishes with the code step here
+    const oidcChallenge = takeOidcChallenge()
+    if (oidcChallenge) {
+      setChallengeToken(oidcChallenge)
+    }
+
+    apiClient.getOidcConfig()
+      .then((config) => setSsoProvider(config.enabled ? config.providerName : null))
+      .catch(() => setSsoProvider(null))
+  }, [])
+
+  const handleSso = async () => {
+    setIsLoading(true)
+    try {
+      await redirectToOidc()
+    } catch (error) {
+      toast({
+        title: 'Login failed',
+        description: error instanceof Error ? error.message : 'Could not start single sign-on',
+        variant: 'destructive',
+      })
+      setIsLoading(false)
+    }
+  }
+
+  const finishLogin = (response: Awaited<ReturnType<typeof apiClient.login>>) => {
+    login(response.token, response.user, response.refreshToken, response.deviceId)
+    toast({
+      title: 'Welcome back!',
+      description: response.twoFactorSetupRequired
+        ? 'Your institution requires two-factor authentication. Set it up in Settings.'
+        : 'You have been successfully logged in.',
+    })
+    router.push(response.twoFactorSetupRequired ? '/dashboard/settings' : '/dashboard')
+  }
 
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault()
     setIsLoading(true)
 
     try {
+      if (challengeToken) {
+        const code = twoFactorCode.trim()
+        finishLogin(await apiClient.verifyTwoFactorLogin(
+          challengeToken,
+          useRecoveryCode ? { recoveryCode: code } : { code }
+        ))
+        return
+      }
+
       const response = await apiClient.login(formData.email, formData.password)
-      login(response.token, response.user)
-      toast({
-        title: 'Welcome back!',
-        description: 'You have been successfully logged in.',
-      })
-      router.push('/dashboard')
+      if (response.twoFactorRequired && response.challengeToken) {
+        setChallengeToken(response.challengeToken)
+        return
+      }
+      finishLogin(response)
     } catch (error) {
+      if (challengeToken && error instanceof Error && error.message.includes('expired')) {
+        setChallengeToken(null)
+        setTwoFactorCode('')
+      }
       toast({
         title: 'Login failed',
         description: error instanceof Error ? error.message : 'An error occurred during login',
@@ -61,50 +116,102 @@ export default function LoginPage() {
           </CardDescription>
         </CardHeader>
         <CardContent>
-          <form onSubmit={handleSubmit} className="space-y-4">
-            <div className="space-y-2">
-              <Label htmlFor="email">Email</Label>
-              <Input
-                id="email"
-                name="email"
-                type="email"
-                autoComplete="email"
-                required
-                value={formData.email}
-                onChange={handleChange}
-                placeholder="Enter your email"
-                disabled={isLoading}
-              />
-            </div>
-            <div className="space-y-2">
-              <Label htmlFor="password">Password</Label>
-              <Input
-                id="password"
-                name="password"
-                type="password"
-                autoComplete="current-password"
-                required
-                value={formData.password}
-                onChange={handleChange}
-                placeholder="Enter your password"
+          {challengeToken ? (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="twoFactorCode">
+                  {useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+                </Label>
+                <Input
+                  id="twoFactorCode"
+                  autoComplete="one-time-code"
+                  inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                  autoFocus
+                  required
+                  value={twoFactorCode}
+                  onChange={(e) => setTwoFactorCode(e.target.value)}
+                  placeholder={useRecoveryCode ? 'xxxx-xxxx' : '6-digit code from your authenticator app'}
+                  disabled={isLoading}
+                />
+              </div>
+              <Button type="submit" className="w-full" disabled={isLoading}>
+                {isLoading ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    Verifying...
+                  </>
+                ) : (
+                  'Verify'
+                )}
+              </Button>
+              <button
+                type="button"
+                className="w-full text-center text-sm text-blue-600 hover:text-blue-500"
+                onClick={() => {
+                  setUseRecoveryCode(!useRecoveryCode)
+                  setTwoFactorCode('')
+                }}
+              >
+                {useRecoveryCode ? 'Use your authenticator app instead' : 'Use a recovery code instead'}
+              </button>
+            </form>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="email">Email</Label>
+                <Input
+                  id="email"
+                  name="email"
+                  type="email"
+                  autoComplete="email"
+                  required
+                  value={formData.email}
+                  onChange={handleChange}
+                  placeholder="Enter your email"
+                  disabled={isLoading}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="password">Password</Label>
+                <Input
+                  id="password"
+                  name="password"
+                  type="password"
+                  autoComplete="current-password"
+                  required
+                  value={formData.password}
+                  onChange={handleChange}
+                  placeholder="Enter your password"
+                  disabled={isLoading}
+                />
+              </div>
+              <Button
+                type="submit"
+                className="w-full"
                 disabled={isLoading}
-              />
-            </div>
-            <Button
-              type="submit"
-              className="w-full"
-              disabled={isLoading}
-            >
-              {isLoading ? (
-                <>
-                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
-                  Signing in...
-                </>
-              ) : (
-                'Sign in'
+              >
+                {isLoading ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    Signing in...
+                  </>
+                ) : (
+                  'Sign in'
+                )}
+              </Button>
+              {ssoProvider && (
+                <Button
+                  type="button"
+                  variant="outline"
+                  className="w-full"
+                  disabled={isLoading}
+                  onClick={handleSso}
+                >
+                  Continue with {ssoProvider}
+                </Button>
               )}
-            </Button>
-          </form>
+            </form>
+          )}
           <div className="mt-4 text-center text-sm">
             <Link
               href="/auth/forgot-password"
@@ -0,0 +1,106 @@
+'use client'
+
+import { Suspense, useEffect, useRef, useState } from 'react'
+import { useRouter, useSearchParams } from 'next/navigation'
+import Link from 'next/link'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { useAuthStore } from '@/store/auth'
+import { apiClient } from '@/lib/api'
+import { saveOidcChallenge, takeOidcState } from '@/lib/oidc'
+import { toast } from '@/hooks/use-toast'
+import { Loader2, XCircle } from 'lucide-react'
+
+function OidcCallbackStatus() {
+  const router = useRouter()
+  const searchParams = useSearchParams()
+  const [errorMessage, setErrorMessage] = useState<string | null>(null)
+  const requested = useRef(false)
+
+  useEffect(() => {
+    // Codes are single-use, so make sure the request is only sent once
+    if (requested.current) return
+    requested.current = true
+
+    const code = searchParams.get('code')
+    const state = searchParams.get('state')
+    const savedState = takeOidcState()
+
+    if (searchParams.get('error')) {
+      setErrorMessage(searchParams.get('error_description') || 'Sign-in was cancelled at your identity provider.')
+      return
+    }
+    if (!code || !state || state !== savedState) {
+      setErrorMessage('This sign-in link is invalid or was started in another window.')
+      return
+    }
+
+    apiClient.oidcCallback(code, state)
+      .then((response) => {
+        if (response.linked) {
+          toast({
+            title: 'Single sign-on linked',
+            description: 'You can now sign in with your identity provider.',
+          })
+          router.replace('/dashboard/settings')
+          return
+        }
+
+        if (response.twoFactorRequired && response.challengeToken) {
+          saveOidcChallenge(response.challengeToken)
+          router.replace('/auth/login')
+          return
+        }
+
+        useAuthStore.getState().login(response.token, response.user, response.refreshToken, response.deviceId)
+        toast({
+          title: 'Welcome back!',
+          description: response.twoFactorSetupRequired
+            ? 'Your institution requires two-factor authentication. Set it up in Settings.'
+            : 'You have been successfully logged in.',
+        })
+        router.replace(response.twoFactorSetupRequired ? '/dashboard/settings' : '/dashboard')
+      })
+      .catch((error) => {
+        setErrorMessage(error instanceof Error ? error.message : 'Single sign-on failed')
+      })
+  }, [router, searchParams])
+
+  if (!errorMessage) {
+    return (
+      <div className="flex flex-col items-center space-y-4">
+        <Loader2 className="h-12 w-12 animate-spin text-blue-600" />
+        <p className="text-sm text-gray-600">Signing you in...</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="flex flex-col items-center space-y-4">
+      <XCircle className="h-12 w-12 text-red-600" />
+      <p className="text-sm text-gray-600 text-center">{errorMessage}</p>
+      <Link href="/auth/login" className="text-sm text-blue-600 hover:text-blue-500 font-medium">
+        Go to sign in
+      </Link>
+    </div>
+  )
+}
+
+export default function OidcCallbackPage() {
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <Card className="w-full max-w-md">
+        <CardHeader className="space-y-1">
+          <CardTitle className="text-2xl text-center">Single sign-on</CardTitle>
+          <CardDescription className="text-center">
+            Finishing sign-in with your identity provider
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <Suspense fallback={<Loader2 className="mx-auto h-6 w-6 animate-spin" />}>
+            <OidcCallbackStatus />
+          </Suspense>
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
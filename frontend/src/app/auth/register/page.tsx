@@ -22,7 +22,7 @@ export default function RegisterPage() {
     email: '',
     password: '',
     confirmPassword: '',
-    role: '' as 'teacher' | 'student' | '',
+    role: '' as 'teacher' | 'student' | 'guardian' | '',
   })
 
   const handleSubmit = async (e: React.FormEvent) => {
@@ -55,7 +55,7 @@ export default function RegisterPage() {
         formData.password,
         formData.role
       )
-      login(response.token, response.user)
+      login(response.token, response.user, response.refreshToken, response.deviceId)
       toast({
         title: 'Welcome to Shayak!',
         description: 'Your account has been created successfully.',
@@ -82,7 +82,7 @@ export default function RegisterPage() {
   const handleRoleChange = (value: string) => {
     setFormData(prev => ({
       ...prev,
-      role: value as 'teacher' | 'student',
+      role: value as 'teacher' | 'student' | 'guardian',
     }))
   }
 
@@ -134,6 +134,7 @@ export default function RegisterPage() {
                 <SelectContent>
                   <SelectItem value="teacher">Teacher</SelectItem>
                   <SelectItem value="student">Student</SelectItem>
+                  <SelectItem value="guardian">Parent / Guardian</SelectItem>
                 </SelectContent>
               </Select>
             </div>
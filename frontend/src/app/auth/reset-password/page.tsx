@@ -0,0 +1,155 @@
+'use client'
+
+import { Suspense, useState } from 'react'
+import { useRouter, useSearchParams } from 'next/navigation'
+import Link from 'next/link'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { apiClient } from '@/lib/api'
+import { toast } from '@/hooks/use-toast'
+import { Loader2 } from 'lucide-react'
+
+function ResetPasswordForm() {
+  const router = useRouter()
+  const searchParams = useSearchParams()
+  const token = searchParams.get('token') || ''
+  const [isLoading, setIsLoading] = useState(false)
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: '',
+  })
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+
+    if (formData.password !== formData.confirmPassword) {
+      toast({
+        title: 'Password mismatch',
+        description: 'Passwords do not match. Please try again.',
+        variant: 'destructive',
+      })
+      return
+    }
+
+    setIsLoading(true)
+
+    try {
+      await apiClient.resetPassword(token, formData.password)
+      toast({
+        title: 'Password reset',
+        description: 'Your password has been changed. Please sign in with your new password.',
+      })
+      router.push('/auth/login')
+    } catch (error) {
+      toast({
+        title: 'Reset failed',
+        description: error instanceof Error ? error.message : 'An error occurred while resetting your password',
+        variant: 'destructive',
+      })
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const handleChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    setFormData(prev => ({
+      ...prev,
+      [e.target.name]: e.target.value,
+    }))
+  }
+
+  if (!token) {
+    return (
+      <div className="text-center space-y-4">
+        <p className="text-sm text-gray-600">
+          This reset link is incomplete. Please request a new one.
+        </p>
+        <Link
+          href="/auth/forgot-password"
+          className="text-sm text-blue-600 hover:text-blue-500 font-medium"
+        >
+          Request a new link
+        </Link>
+      </div>
+    )
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="space-y-2">
+        <Label htmlFor="password">New password</Label>
+        <Input
+          id="password"
+          name="password"
+          type="password"
+          autoComplete="new-password"
+          required
+          minLength={6}
+          value={formData.password}
+          onChange={handleChange}
+          placeholder="Enter a new password"
+          disabled={isLoading}
+        />
+      </div>
+      <div className="space-y-2">
+        <Label htmlFor="confirmPassword">Confirm new password</Label>
+        <Input
+          id="confirmPassword"
+          name="confirmPassword"
+          type="password"
+          autoComplete="new-password"
+          required
+          minLength={6}
+          value={formData.confirmPassword}
+          onChange={handleChange}
+          placeholder="Repeat the new password"
+          disabled={isLoading}
+        />
+      </div>
+      <Button
+        type="submit"
+        className="w-full"
+        disabled={isLoading}
+      >
+        {isLoading ? (
+          <>
+            <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+            Resetting password...
+          </>
+        ) : (
+          'Reset password'
+        )}
+      </Button>
+    </form>
+  )
+}
+
+export default function ResetPasswordPage() {
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <Card className="w-full max-w-md">
+        <CardHeader className="space-y-1">
+          <CardTitle className="text-2xl text-center">Choose a new password</CardTitle>
+          <CardDescription className="text-center">
+            Resetting your password signs you out on every device
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <Suspense fallback={<Loader2 className="mx-auto h-6 w-6 animate-spin" />}>
+            <ResetPasswordForm />
+          </Suspense>
+          <div className="mt-6 text-center">
+            <Link
+              href="/auth/login"
+              className="text-sm text-blue-600 hover:text-blue-500 font-medium"
+            >
+              Back to sign in
+            </Link>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
@@ -0,0 +1,90 @@
+'use client'
+
+import { Suspense, useEffect, useRef, useState } from 'react'
+import { useSearchParams } from 'next/navigation'
+import Link from 'next/link'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { useAuthStore } from '@/store/auth'
+import { apiClient } from '@/lib/api'
+import { CheckCircle, Loader2, XCircle } from 'lucide-react'
+
+function VerifyEmailStatus() {
+  const searchParams = useSearchParams()
+  const token = searchParams.get('token') || ''
+  const [status, setStatus] = useState<'verifying' | 'verified' | 'failed'>(token ? 'verifying' : 'failed')
+  const [errorMessage, setErrorMessage] = useState('This verification link is incomplete.')
+  const requested = useRef(false)
+
+  useEffect(() => {
+    // Tokens are single-use, so make sure the request is only sent once
+    if (!token || requested.current) return
+    requested.current = true
+
+    apiClient.verifyEmail(token)
+      .then(() => {
+        const { user, setUser } = useAuthStore.getState()
+        if (user) {
+          setUser({ ...user, isEmailVerified: true })
+        }
+        setStatus('verified')
+      })
+      .catch((error) => {
+        setErrorMessage(error instanceof Error ? error.message : 'Verification failed')
+        setStatus('failed')
+      })
+  }, [token])
+
+  if (status === 'verifying') {
+    return (
+      <div className="flex flex-col items-center space-y-4">
+        <Loader2 className="h-12 w-12 animate-spin text-blue-600" />
+        <p className="text-sm text-gray-600">Verifying your email address...</p>
+      </div>
+    )
+  }
+
+  if (status === 'verified') {
+    return (
+      <div className="flex flex-col items-center space-y-4">
+        <CheckCircle className="h-12 w-12 text-green-600" />
+        <p className="text-sm text-gray-600">Your email address has been verified.</p>
+        <Link href="/dashboard" className="text-sm text-blue-600 hover:text-blue-500 font-medium">
+          Continue to dashboard
+        </Link>
+      </div>
+    )
+  }
+
+  return (
+    <div className="flex flex-col items-center space-y-4">
+      <XCircle className="h-12 w-12 text-red-600" />
+      <p className="text-sm text-gray-600 text-center">{errorMessage}</p>
+      <p className="text-sm text-gray-600 text-center">
+        Sign in and use &quot;Resend email&quot; on your dashboard to get a new link.
+      </p>
+      <Link href="/auth/login" className="text-sm text-blue-600 hover:text-blue-500 font-medium">
+        Go to sign in
+      </Link>
+    </div>
+  )
+}
+
+export default function VerifyEmailPage() {
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <Card className="w-full max-w-md">
+        <CardHeader className="space-y-1">
+          <CardTitle className="text-2xl text-center">Email verification</CardTitle>
+          <CardDescription className="text-center">
+            Confirming the email address on your Shayak account
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <Suspense fallback={<Loader2 className="mx-auto h-6 w-6 animate-spin" />}>
+            <VerifyEmailStatus />
+          </Suspense>
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
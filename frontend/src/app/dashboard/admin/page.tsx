@@ -0,0 +1,368 @@
+'use client'
+
+import { useState } from 'react'
+import { useRouter } from 'next/navigation'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { useAuthStore } from '@/store/auth'
+import { apiClient } from '@/lib/api'
+import DashboardLayout from '@/components/dashboard/layout'
+import AuditLog from '@/components/dashboard/audit-log'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs'
+import { toast } from '@/hooks/use-toast'
+import { Users, BookOpen, Search, Loader2, History } from 'lucide-react'
+
+interface AdminUser {
+  _id: string
+  name: string
+  email: string
+  role: 'teacher' | 'student' | 'admin'
+  studentId?: string
+  teacherId?: string
+  isActive: boolean
+  isEmailVerified: boolean
+  lastLogin?: string
+  lockedUntil?: string | null
+}
+
+interface AdminClassroom {
+  id: string
+  name: string
+  subject: string
+  classCode: string
+  teacher: { _id: string; name: string; email: string } | null
+  studentsCount: number
+  isActive: boolean
+}
+
+const showError = (title: string) => (error: unknown) => {
+  toast({
+    title,
+    description: error instanceof Error ? error.message : 'An error occurred',
+    variant: 'destructive',
+  })
+}
+
+export default function AdminPage() {
+  const router = useRouter()
+  const { user } = useAuthStore()
+  const queryClient = useQueryClient()
+
+  const [userSearch, setUserSearch] = useState('')
+  const [roleFilter, setRoleFilter] = useState('')
+  const [classroomSearch, setClassroomSearch] = useState('')
+  const [newOwners, setNewOwners] = useState<Record<string, string>>({})
+
+  const isAdmin = user?.role === 'admin'
+
+  const { data: usersData, isLoading: usersLoading } = useQuery({
+    queryKey: ['admin-users', userSearch, roleFilter],
+    queryFn: () => apiClient.getAdminUsers({
+      search: userSearch || undefined,
+      role: roleFilter || undefined,
+      limit: 50,
+    }),
+    enabled: isAdmin,
+  })
+
+  const { data: classroomsData, isLoading: classroomsLoading } = useQuery({
+    queryKey: ['admin-classrooms', classroomSearch],
+    queryFn: () => apiClient.getAdminClassrooms({
+      search: classroomSearch || undefined,
+      limit: 50,
+    }),
+    enabled: isAdmin,
+  })
+
+  const { data: teachersData } = useQuery({
+    queryKey: ['admin-users', 'teachers'],
+    queryFn: () => apiClient.getAdminUsers({ role: 'teacher', status: 'active', limit: 100 }),
+    enabled: isAdmin,
+  })
+
+  const toggleActiveMutation = useMutation({
+    mutationFn: (target: AdminUser) =>
+      target.isActive ? apiClient.deactivateUser(target._id) : apiClient.reactivateUser(target._id),
+    onSuccess: (response: any) => {
+      toast({ title: response.message })
+      queryClient.invalidateQueries({ queryKey: ['admin-users'] })
+    },
+    onError: showError('Failed to update user'),
+  })
+
+  const unlockMutation = useMutation({
+    mutationFn: (userId: string) => apiClient.unlockUser(userId),
+    onSuccess: (response: any) => {
+      toast({ title: response.message })
+      queryClient.invalidateQueries({ queryKey: ['admin-users'] })
+    },
+    onError: showError('Failed to unlock user'),
+  })
+
+  const resetPasswordMutation = useMutation({
+    mutationFn: (userId: string) => apiClient.adminResetPassword(userId),
+    onSuccess: (response: any) => {
+      toast({ title: response.message })
+    },
+    onError: showError('Failed to reset password'),
+  })
+
+  const exportMutation = useMutation({
+    mutationFn: (userId: string) => apiClient.exportUserData(userId),
+    onError: showError('Failed to export user data'),
+  })
+
+  const deleteMutation = useMutation({
+    mutationFn: (userId: string) => apiClient.deleteUser(userId),
+    onSuccess: (response: any) => {
+      toast({ title: response.message })
+      queryClient.invalidateQueries({ queryKey: ['admin-users'] })
+    },
+    onError: showError('Failed to delete user'),
+  })
+
+  const handleDeleteUser = (target: AdminUser) => {
+    if (confirm(`Delete ${target.name}'s account? Their personal data, submissions and records will be removed and their posts will be shown as "Deleted user". This cannot be undone.`)) {
+      deleteMutation.mutate(target._id)
+    }
+  }
+
+  const reassignMutation = useMutation({
+    mutationFn: ({ classroomId, teacherId }: { classroomId: string; teacherId: string }) =>
+      apiClient.reassignClassroomOwner(classroomId, teacherId),
+    onSuccess: (response: any, variables) => {
+      toast({ title: response.message })
+      setNewOwners(prev => ({ ...prev, [variables.classroomId]: '' }))
+      queryClient.invalidateQueries({ queryKey: ['admin-classrooms'] })
+    },
+    onError: showError('Failed to reassign classroom'),
+  })
+
+  // Redirect non-admins
+  if (!isAdmin) {
+    router.push('/dashboard')
+    return null
+  }
+
+  const users: AdminUser[] = (usersData as any)?.users || []
+  const classrooms: AdminClassroom[] = (classroomsData as any)?.classrooms || []
+  const teachers: AdminUser[] = (teachersData as any)?.users || []
+
+  return (
+    <DashboardLayout>
+      <div className="max-w-6xl mx-auto space-y-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Administration</h1>
+          <p className="text-gray-600 mt-2">
+            Manage accounts and classrooms across the institution
+          </p>
+        </div>
+
+        <Tabs defaultValue="users" className="space-y-6">
+          <TabsList className="grid w-full grid-cols-3">
+            <TabsTrigger value="users">
+              <Users className="mr-2 h-4 w-4" />
+              Users
+            </TabsTrigger>
+            <TabsTrigger value="classrooms">
+              <BookOpen className="mr-2 h-4 w-4" />
+              Classrooms
+            </TabsTrigger>
+            <TabsTrigger value="audit-log">
+              <History className="mr-2 h-4 w-4" />
+              Audit Log
+            </TabsTrigger>
+          </TabsList>
+
+          {/* Users Tab */}
+          <TabsContent value="users">
+            <Card>
+              <CardHeader>
+                <CardTitle>Users</CardTitle>
+                <CardDescription>
+                  Deactivated users are signed out everywhere and cannot log in
+                </CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                <div className="flex gap-4">
+                  <div className="relative flex-1">
+                    <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+                    <Input
+                      value={userSearch}
+                      onChange={(e) => setUserSearch(e.target.value)}
+                      placeholder="Search by name, email or ID"
+                      className="pl-9"
+                    />
+                  </div>
+                  <select
+                    value={roleFilter}
+                    onChange={(e) => setRoleFilter(e.target.value)}
+                    className="h-10 rounded-md border border-input bg-background px-3 text-sm"
+                  >
+                    <option value="">All roles</option>
+                    <option value="student">Students</option>
+                    <option value="teacher">Teachers</option>
+                    <option value="admin">Admins</option>
+                  </select>
+                </div>
+
+                {usersLoading ? (
+                  <div className="flex justify-center py-8">
+                    <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+                  </div>
+                ) : users.length === 0 ? (
+                  <p className="text-center text-gray-500 py-8">No users found</p>
+                ) : (
+                  <div className="divide-y">
+                    {users.map((u) => (
+                      <div key={u._id} className="flex items-center justify-between py-3">
+                        <div className="min-w-0">
+                          <div className="flex items-center gap-2">
+                            <p className="font-medium text-gray-900 truncate">{u.name}</p>
+                            <Badge variant="secondary" className="capitalize">{u.role}</Badge>
+                            {!u.isActive && <Badge variant="destructive">Inactive</Badge>}
+                            {!u.isEmailVerified && <Badge variant="outline">Unverified</Badge>}
+                            {u.lockedUntil && <Badge variant="destructive">Locked out</Badge>}
+                          </div>
+                          <p className="text-sm text-gray-500 truncate">
+                            {u.email}
+                            {(u.studentId || u.teacherId) && ` · ${u.studentId || u.teacherId}`}
+                          </p>
+                        </div>
+                        <div className="flex gap-2 flex-shrink-0">
+                          {u.lockedUntil && (
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              onClick={() => unlockMutation.mutate(u._id)}
+                              disabled={unlockMutation.isPending}
+                            >
+                              Unlock
+                            </Button>
+                          )}
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            onClick={() => resetPasswordMutation.mutate(u._id)}
+                            disabled={resetPasswordMutation.isPending}
+                          >
+                            Send Reset Link
+                          </Button>
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            onClick={() => exportMutation.mutate(u._id)}
+                            disabled={exportMutation.isPending}
+                          >
+                            Export Data
+                          </Button>
+                          {u._id !== user?.id && (
+                            <Button
+                              variant={u.isActive ? 'destructive' : 'default'}
+                              size="sm"
+                              onClick={() => toggleActiveMutation.mutate(u)}
+                              disabled={toggleActiveMutation.isPending}
+                            >
+                              {u.isActive ? 'Deactivate' : 'Reactivate'}
+                            </Button>
+                          )}
+                          {u._id !== user?.id && (
+                            <Button
+                              variant="destructive"
+                              size="sm"
+                              onClick={() => handleDeleteUser(u)}
+                              disabled={deleteMutation.isPending}
+                            >
+                              Delete
+                            </Button>
+                          )}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          </TabsContent>
+
+          {/* Classrooms Tab */}
+          <TabsContent value="classrooms">
+            <Card>
+              <CardHeader>
+                <CardTitle>Classrooms</CardTitle>
+                <CardDescription>
+                  Reassigning a classroom also transfers its assignments, quizzes, DPPs and video classes
+                </CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                <div className="relative">
+                  <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+                  <Input
+                    value={classroomSearch}
+                    onChange={(e) => setClassroomSearch(e.target.value)}
+                    placeholder="Search by name, subject or class code"
+                    className="pl-9"
+                  />
+                </div>
+
+                {classroomsLoading ? (
+                  <div className="flex justify-center py-8">
+                    <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+                  </div>
+                ) : classrooms.length === 0 ? (
+                  <p className="text-center text-gray-500 py-8">No classrooms found</p>
+                ) : (
+                  <div className="divide-y">
+                    {classrooms.map((c) => (
+                      <div key={c.id} className="flex items-center justify-between py-3">
+                        <div className="min-w-0">
+                          <div className="flex items-center gap-2">
+                            <p className="font-medium text-gray-900 truncate">{c.name}</p>
+                            <Badge variant="outline">{c.classCode}</Badge>
+                            {!c.isActive && <Badge variant="secondary">Archived</Badge>}
+                          </div>
+                          <p className="text-sm text-gray-500 truncate">
+                            {c.subject} · {c.teacher?.name || 'No owner'} · {c.studentsCount} students
+                          </p>
+                        </div>
+                        <div className="flex gap-2 flex-shrink-0">
+                          <select
+                            value={newOwners[c.id] || ''}
+                            onChange={(e) => setNewOwners(prev => ({ ...prev, [c.id]: e.target.value }))}
+                            className="h-9 rounded-md border border-input bg-background px-3 text-sm"
+                          >
+                            <option value="">Select new owner</option>
+                            {teachers
+                              .filter((t) => t._id !== c.teacher?._id)
+                              .map((t) => (
+                                <option key={t._id} value={t._id}>{t.name}</option>
+                              ))}
+                          </select>
+                          <Button
+                            size="sm"
+                            disabled={!newOwners[c.id] || reassignMutation.isPending}
+                            onClick={() => reassignMutation.mutate({ classroomId: c.id, teacherId: newOwners[c.id] })}
+                          >
+                            Reassign
+                          </Button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          </TabsContent>
+
+          {/* Audit Log Tab */}
+          <TabsContent value="audit-log">
+            <AuditLog />
+          </TabsContent>
+        </Tabs>
+      </div>
+    </DashboardLayout>
+  )
+}
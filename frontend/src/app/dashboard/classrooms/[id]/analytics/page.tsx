@@ -0,0 +1,41 @@
+'use client'
+
+import { useParams } from 'next/navigation'
+import { useQuery } from '@tanstack/react-query'
+import Link from 'next/link'
+import { apiClient } from '@/lib/api'
+import DashboardLayout from '@/components/dashboard/layout'
+import { Button } from '@/components/ui/button'
+import ClassroomAnalytics from '@/components/classroom/analytics'
+import { ArrowLeft } from 'lucide-react'
+
+export default function ClassroomAnalyticsPage() {
+  const params = useParams()
+  const classroomId = params.id as string
+
+  const { data: classroom } = useQuery({
+    queryKey: ['classroom', classroomId],
+    queryFn: () => apiClient.getClassroom(classroomId),
+  })
+
+  return (
+    <DashboardLayout>
+      <div className="space-y-6">
+        <div className="flex items-center space-x-4">
+          <Link href={`/dashboard/classrooms/${classroomId}`}>
+            <Button variant="ghost" size="sm">
+              <ArrowLeft className="mr-2 h-4 w-4" />
+              Back
+            </Button>
+          </Link>
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Analytics</h1>
+            <p className="text-gray-600">{(classroom as any)?.name}</p>
+          </div>
+        </div>
+
+        <ClassroomAnalytics classroomId={classroomId} />
+      </div>
+    </DashboardLayout>
+  )
+}
@@ -23,18 +23,36 @@ import {
   BookOpen,
   Video,
   Brain,
-  Target
+  Target,
+  History,
+  ListTree,
+  GraduationCap,
+  BarChart3
 } from 'lucide-react'
 import Link from 'next/link'
 import ClassroomPosts from '@/components/classroom/posts'
 import ClassroomAssignments from '@/components/classroom/assignments'
 import ClassroomStudents from '@/components/classroom/students'
 import ClassroomSettings from '@/components/classroom/settings'
+import CopyClassroom from '@/components/classroom/copy-classroom'
+import ExportClassroom from '@/components/classroom/export-classroom'
+import ClassroomStaff from '@/components/classroom/staff'
+import ClassroomSecurityEvents from '@/components/classroom/security-events'
+import AuditLog from '@/components/dashboard/audit-log'
+import RosterImport from '@/components/classroom/roster-import'
+import ClassroomJoining from '@/components/classroom/joining'
+import ScreeningTest from '@/components/classroom/screening-test'
+import ClassroomGroups from '@/components/classroom/groups'
+import ClassroomModules from '@/components/classroom/modules'
+import ClassroomGradebook from '@/components/classroom/gradebook'
+import StudentLevels from '@/components/classroom/student-levels'
+import ScreeningBanner from '@/components/classroom/screening-banner'
 import TeacherVideoClasses from '@/components/video-classes/teacher-video-classes'
 import StudentVideoClasses from '@/components/video-classes/student-video-classes'
 import TeacherQuizzes from '@/components/quizzes/teacher-quizzes'
 import StudentQuizzes from '@/components/quizzes/student-quizzes'
 import { DPPList } from '@/components/dpp/DPPList'
+import ClassroomSearch from '@/components/classroom/search'
 
 export default function ClassroomPage() {
   const params = useParams()
@@ -112,7 +130,9 @@ export default function ClassroomPage() {
   }
 
   const isTeacher = user?.role === 'teacher'
-  const isOwner = isTeacher && (classroom as any)?.teacher === user?.id
+  const staffRole = (classroom as any)?.staffRole
+  const isOwner = isTeacher && staffRole === 'owner'
+  const canManageRoster = isOwner || staffRole === 'co_teacher'
 
   return (
     <DashboardLayout>
@@ -136,7 +156,15 @@ export default function ClassroomPage() {
               <Copy className="mr-1 h-3 w-3" />
               {(classroom as any)?.classCode}
             </Badge>
-            {!isOwner && (
+            {isTeacher && (
+              <Link href={`/dashboard/classrooms/${classroomId}/analytics`}>
+                <Button variant="outline">
+                  <BarChart3 className="mr-2 h-4 w-4" />
+                  Analytics
+                </Button>
+              </Link>
+            )}
+            {!isTeacher && (
               <Button 
                 variant="outline" 
                 onClick={() => leaveClassroomMutation.mutate()}
@@ -188,13 +216,21 @@ export default function ClassroomPage() {
           </CardContent>
         </Card>
 
+        {(classroom as any)?.screeningPending && <ScreeningBanner classroomId={classroomId} />}
+
+        <ClassroomSearch classroomId={classroomId} onOpenTab={setActiveTab} />
+
         {/* Tabs */}
         <Tabs value={activeTab} onValueChange={setActiveTab}>
-          <TabsList className={`grid w-full ${isOwner ? 'grid-cols-7' : 'grid-cols-6'}`}>
+          <TabsList className={`grid w-full ${isOwner ? 'grid-cols-10' : canManageRoster ? 'grid-cols-9' : 'grid-cols-8'}`}>
             <TabsTrigger value="posts" className="flex items-center space-x-2">
               <MessageSquare className="h-4 w-4" />
               <span>Posts</span>
             </TabsTrigger>
+            <TabsTrigger value="modules" className="flex items-center space-x-2">
+              <ListTree className="h-4 w-4" />
+              <span>Modules</span>
+            </TabsTrigger>
             <TabsTrigger value="assignments" className="flex items-center space-x-2">
               <FileText className="h-4 w-4" />
               <span>Assignments</span>
@@ -211,10 +247,20 @@ export default function ClassroomPage() {
               <Video className="h-4 w-4" />
               <span>Video Classes</span>
             </TabsTrigger>
+            <TabsTrigger value="grades" className="flex items-center space-x-2">
+              <GraduationCap className="h-4 w-4" />
+              <span>Grades</span>
+            </TabsTrigger>
             <TabsTrigger value="students" className="flex items-center space-x-2">
               <Users className="h-4 w-4" />
               <span>People</span>
             </TabsTrigger>
+            {canManageRoster && (
+              <TabsTrigger value="audit-log" className="flex items-center space-x-2">
+                <History className="h-4 w-4" />
+                <span>Audit Log</span>
+              </TabsTrigger>
+            )}
             {isOwner && (
               <TabsTrigger value="settings" className="flex items-center space-x-2">
                 <Settings className="h-4 w-4" />
@@ -227,6 +273,10 @@ export default function ClassroomPage() {
             <ClassroomPosts classroomId={classroomId} isTeacher={isTeacher} />
           </TabsContent>
 
+          <TabsContent value="modules" className="space-y-6">
+            <ClassroomModules classroomId={classroomId} isStaff={isTeacher} canManage={canManageRoster} />
+          </TabsContent>
+
           <TabsContent value="assignments" className="space-y-6">
             <ClassroomAssignments classroomId={classroomId} isTeacher={isTeacher} />
           </TabsContent>
@@ -238,7 +288,9 @@ export default function ClassroomPage() {
             />
           </TabsContent>
 
-          <TabsContent value="quizzes" className="space-y-6">{isTeacher ? (
+          <TabsContent value="quizzes" className="space-y-6">
+            {canManageRoster && <ScreeningTest classroomId={classroomId} />}
+            {isTeacher ? (
               <TeacherQuizzes classroomId={classroomId} />
             ) : (
               <StudentQuizzes classroomId={classroomId} />
@@ -253,13 +305,31 @@ export default function ClassroomPage() {
             )}
           </TabsContent>
 
+          <TabsContent value="grades" className="space-y-6">
+            <ClassroomGradebook classroomId={classroomId} isStaff={isTeacher} canManage={canManageRoster} />
+          </TabsContent>
+
           <TabsContent value="students" className="space-y-6">
-            <ClassroomStudents classroomId={classroomId} isOwner={isOwner} students={students} />
+            {isTeacher && <ClassroomStaff classroomId={classroomId} isOwner={isOwner} />}
+            {canManageRoster && <ClassroomSecurityEvents classroomId={classroomId} />}
+            <ClassroomStudents classroomId={classroomId} isOwner={canManageRoster} students={students} />
+            {isTeacher && <StudentLevels classroomId={classroomId} canManage={canManageRoster} />}
+            {canManageRoster && <ClassroomGroups classroomId={classroomId} students={students} />}
+            {canManageRoster && <RosterImport classroomId={classroomId} />}
+            {canManageRoster && <ClassroomJoining classroomId={classroomId} />}
           </TabsContent>
 
+          {canManageRoster && (
+            <TabsContent value="audit-log" className="space-y-6">
+              <AuditLog classroomId={classroomId} />
+            </TabsContent>
+          )}
+
           {isOwner && (
             <TabsContent value="settings" className="space-y-6">
               <ClassroomSettings classroom={classroom as any} />
+              <CopyClassroom classroom={classroom as any} />
+              <ExportClassroom classroom={classroom as any} />
             </TabsContent>
           )}
         </Tabs>
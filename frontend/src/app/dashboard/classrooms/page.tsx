@@ -12,6 +12,7 @@ import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, Di
 import { Badge } from '@/components/ui/badge'
 import { Plus, Users, BookOpen, Search, Calendar } from 'lucide-react'
 import Link from 'next/link'
+import ImportClassroom from '@/components/classroom/import-classroom'
 
 export default function ClassroomsPage() {
   const { user } = useAuthStore()
@@ -40,7 +41,8 @@ export default function ClassroomsPage() {
     try {
       const result = await apiClient.joinClassroom(joinCode) as any
       setJoinCode('')
-      setJoinSuccess('Successfully joined classroom!')
+      // Classrooms that require approval queue the request instead
+      setJoinSuccess(result?.status === 'pending' ? result.message : 'Successfully joined classroom!')
       
       // Invalidate all related queries to refresh data
       queryClient.invalidateQueries({ queryKey: ['classrooms'] })
@@ -71,6 +73,8 @@ export default function ClassroomsPage() {
   // Handle backend response structure: { classrooms: [], total: number }
   const classroomsList = Array.isArray(classrooms) ? classrooms : (classrooms as any)?.classrooms || []
   
+  const pendingJoinRequests = (classrooms as any)?.pendingJoinRequests || []
+
   const filteredClassrooms = classroomsList.filter((classroom: any) =>
     classroom.name?.toLowerCase().includes(searchTerm.toLowerCase()) ||
     classroom.subject?.toLowerCase().includes(searchTerm.toLowerCase())
@@ -130,6 +134,7 @@ export default function ClassroomsPage() {
                 </DialogContent>
               </Dialog>
             )}
+            {user?.role === 'teacher' && <ImportClassroom />}
             {user?.role === 'teacher' && (
               <Link href="/dashboard/classrooms/new">
                 <Button>
@@ -152,6 +157,24 @@ export default function ClassroomsPage() {
           />
         </div>
 
+        {pendingJoinRequests.length > 0 && (
+          <Card>
+            <CardHeader>
+              <CardTitle className="text-lg">Waiting for Approval</CardTitle>
+              <CardDescription>Your teacher needs to approve these requests before you can open the classroom</CardDescription>
+            </CardHeader>
+            <CardContent>
+              <div className="flex flex-wrap gap-2">
+                {pendingJoinRequests.map((joinRequest: any) => (
+                  <Badge key={joinRequest._id} variant="outline">
+                    {joinRequest.classroom?.name} · {joinRequest.classroom?.subject}
+                  </Badge>
+                ))}
+              </div>
+            </CardContent>
+          </Card>
+        )}
+
         {/* Classrooms Grid */}
         {filteredClassrooms.length === 0 ? (
           <Card>
@@ -0,0 +1,116 @@
+'use client'
+
+import { useEffect } from 'react'
+import { useParams, useRouter } from 'next/navigation'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { useAuthStore } from '@/store/auth'
+import { apiClient } from '@/lib/api'
+import DashboardLayout from '@/components/dashboard/layout'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { toast } from '@/hooks/use-toast'
+import { Loader2 } from 'lucide-react'
+import Link from 'next/link'
+
+// Landing page for classroom invite links
+export default function JoinClassroomPage() {
+  const params = useParams()
+  const router = useRouter()
+  const queryClient = useQueryClient()
+  const { user, isAuthenticated, isLoading: isAuthLoading } = useAuthStore()
+  const code = params.code as string
+
+  useEffect(() => {
+    if (!isAuthLoading && !isAuthenticated) {
+      router.push('/auth/login')
+    }
+  }, [isAuthenticated, isAuthLoading, router])
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['classroom-invite', code],
+    queryFn: () => apiClient.getClassroomInvite(code),
+    enabled: isAuthenticated && user?.role === 'student',
+    retry: false,
+  })
+
+  const invite = data as any
+
+  const acceptMutation = useMutation({
+    mutationFn: () => apiClient.acceptClassroomInvite(code),
+    onSuccess: (response: any) => {
+      toast({ title: response.message })
+      queryClient.invalidateQueries({ queryKey: ['classrooms'] })
+      router.push(`/dashboard/classrooms/${response.classroom._id}`)
+    },
+    onError: (error) => {
+      toast({
+        title: 'Could not join classroom',
+        description: error instanceof Error ? error.message : 'An error occurred',
+        variant: 'destructive',
+      })
+    },
+  })
+
+  if (!isAuthenticated) {
+    return null // Redirecting
+  }
+
+  return (
+    <DashboardLayout>
+      <div className="max-w-lg mx-auto py-12">
+        <Card>
+          {user?.role !== 'student' ? (
+            <CardHeader>
+              <CardTitle>Invite links are for students</CardTitle>
+              <CardDescription>Sign in with a student account to join this classroom.</CardDescription>
+            </CardHeader>
+          ) : isLoading ? (
+            <CardContent className="flex justify-center py-12">
+              <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+            </CardContent>
+          ) : error ? (
+            <>
+              <CardHeader>
+                <CardTitle>This invite link can&apos;t be used</CardTitle>
+                <CardDescription>{error instanceof Error ? error.message : 'An error occurred'}</CardDescription>
+              </CardHeader>
+              <CardContent>
+                <Link href="/dashboard/classrooms">
+                  <Button variant="outline">Back to Classrooms</Button>
+                </Link>
+              </CardContent>
+            </>
+          ) : (
+            <>
+              <CardHeader>
+                <CardTitle>Join {invite?.classroom.name}</CardTitle>
+                <CardDescription>
+                  {invite?.classroom.subject}
+                  {invite?.classroom.teacher && ` · ${invite.classroom.teacher.name}`}
+                </CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                {invite?.classroom.description && (
+                  <p className="text-sm text-gray-600">{invite.classroom.description}</p>
+                )}
+                {invite?.alreadyEnrolled ? (
+                  <Link href={`/dashboard/classrooms/${invite.classroom._id}`}>
+                    <Button className="w-full">You&apos;re already enrolled. Open classroom</Button>
+                  </Link>
+                ) : (
+                  <Button
+                    className="w-full"
+                    onClick={() => acceptMutation.mutate()}
+                    disabled={acceptMutation.isPending}
+                  >
+                    {acceptMutation.isPending ? 'Joining...' : 'Join Classroom'}
+                  </Button>
+                )}
+              </CardContent>
+            </>
+          )}
+        </Card>
+      </div>
+    </DashboardLayout>
+  )
+}
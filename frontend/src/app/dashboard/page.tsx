@@ -7,6 +7,7 @@ import DashboardLayout from '@/components/dashboard/layout'
 import DashboardStats from '@/components/dashboard/stats'
 import RecentActivities from '@/components/dashboard/recent-activities'
 import UpcomingAssignments from '@/components/dashboard/upcoming-assignments'
+import GuardianDashboard from '@/components/dashboard/guardian-dashboard'
 
 export default function DashboardPage() {
   const router = useRouter()
@@ -30,6 +31,14 @@ export default function DashboardPage() {
     return null // Redirecting
   }
 
+  if (user?.role === 'guardian') {
+    return (
+      <DashboardLayout>
+        <GuardianDashboard />
+      </DashboardLayout>
+    )
+  }
+
   return (
     <DashboardLayout>
       <div className="space-y-6">
@@ -12,11 +12,19 @@ import { Label } from '@/components/ui/label'
 import { Badge } from '@/components/ui/badge'
 import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar'
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs'
+import GuardianRequests from '@/components/dashboard/guardian-requests'
+import TwoFactorSettings from '@/components/dashboard/two-factor-settings'
+import ActiveSessions from '@/components/dashboard/active-sessions'
+import AccountData from '@/components/dashboard/account-data'
+import SingleSignOn from '@/components/dashboard/single-sign-on'
+import ApiTokens from '@/components/dashboard/api-tokens'
 import { 
   User, 
   Settings, 
   Shield,
   Bell,
+  Monitor,
+  Terminal,
   Eye,
   EyeOff
 } from 'lucide-react'
@@ -98,7 +106,7 @@ export default function SettingsPage() {
         </div>
 
         <Tabs defaultValue="profile" className="space-y-6">
-          <TabsList className="grid w-full grid-cols-3">
+          <TabsList className="grid w-full grid-cols-5">
             <TabsTrigger value="profile">
               <User className="mr-2 h-4 w-4" />
               Profile
@@ -107,6 +115,14 @@ export default function SettingsPage() {
               <Shield className="mr-2 h-4 w-4" />
               Security
             </TabsTrigger>
+            <TabsTrigger value="sessions">
+              <Monitor className="mr-2 h-4 w-4" />
+              Sessions
+            </TabsTrigger>
+            <TabsTrigger value="api-tokens">
+              <Terminal className="mr-2 h-4 w-4" />
+              API Tokens
+            </TabsTrigger>
             <TabsTrigger value="preferences">
               <Bell className="mr-2 h-4 w-4" />
               Preferences
@@ -252,7 +268,7 @@ export default function SettingsPage() {
           </TabsContent>
 
           {/* Security Tab */}
-          <TabsContent value="security">
+          <TabsContent value="security" className="space-y-6">
             <Card>
               <CardHeader>
                 <CardTitle>Security Settings</CardTitle>
@@ -330,6 +346,20 @@ export default function SettingsPage() {
                 </form>
               </CardContent>
             </Card>
+
+            {(user?.role === 'teacher' || user?.role === 'admin') && <TwoFactorSettings />}
+            <SingleSignOn />
+            {user?.role === 'student' && <GuardianRequests />}
+            <AccountData />
+          </TabsContent>
+
+          {/* Sessions Tab */}
+          <TabsContent value="sessions">
+            <ActiveSessions />
+          </TabsContent>
+
+          <TabsContent value="api-tokens">
+            <ApiTokens />
           </TabsContent>
 
           {/* Preferences Tab */}
@@ -0,0 +1,497 @@
+'use client'
+
+import { useState } from 'react'
+import { useQuery } from '@tanstack/react-query'
+import { apiClient } from '@/lib/api'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { AlertTriangle, ArrowDownRight, ArrowUpRight, BarChart3, Minus, X } from 'lucide-react'
+
+type RiskReason = 'low_attendance' | 'falling_scores'
+
+interface Trend {
+  recentAverage: number | null
+  earlierAverage: number | null
+  change: number | null
+}
+
+interface Risk {
+  reasons: RiskReason[]
+  level: 'high' | 'medium' | null
+}
+
+interface StudentRow {
+  student: { _id: string; name: string; email: string }
+  level: string
+  attendance: { percentage: number; present: number; late: number; absent: number; total: number } | null
+  quizzes: { taken: number; averageScore: number | null }
+  dpps: { assigned: number; submitted: number; averageScore: number | null }
+  engagement: { averageEngagement: number; analyses: number } | null
+  trend: Trend
+  risk: Risk
+}
+
+interface ClassroomAnalyticsData {
+  summary: {
+    students: number
+    averageAttendance: number | null
+    averageQuizScore: number | null
+    dppCompletionRate: number | null
+    averageEngagement: number | null
+    atRisk: number
+  }
+  thresholds: { attendanceBelow: number; scoreDropOf: number; recentResults: number }
+  quizzes: { _id: string; title: string; attempts: number; students: number; averageScore: number | null; topScore: number | null }[]
+  dpps: { _id: string; title: string; type: string; totalStudents: number; submissionCount: number; submissionRate: number; averageScore: number; lateSubmissions: number }[]
+  engagement: {
+    classes: {
+      videoClass: { _id: string; title: string; scheduledStartTime: string }
+      totalAnalyses: number
+      averageEngagement: number
+      lowEngagement: number
+    }[]
+  }
+  students: StudentRow[]
+  atRisk: StudentRow[]
+}
+
+interface StudentAnalyticsData {
+  student: { _id: string; name: string; email: string }
+  level: string
+  attendance: {
+    percentage?: number
+    total?: number
+    records: { videoClass: { _id: string; title: string; scheduledStartTime: string } | null; status: string; duration?: number }[]
+  }
+  quizzes: { quiz: { _id: string; title: string }; percentage: number; attemptNumber: number; submittedAt: string }[]
+  dpps: { _id: string; title: string; submitted: boolean; graded: boolean; isLate: boolean | null; percentage: number | null }[]
+  engagement: { videoClass: { _id: string; title: string } | null; analyses: number; averageEngagement: number }[]
+  results: { _id: string; title: string; category: string; percentage: number; at: string }[]
+  trend: Trend
+  risk: Risk
+}
+
+interface ClassroomAnalyticsProps {
+  classroomId: string
+}
+
+const RISK_LABELS: Record<RiskReason, string> = {
+  low_attendance: 'Low attendance',
+  falling_scores: 'Falling scores',
+}
+
+const CATEGORY_LABELS: Record<string, string> = {
+  assignments: 'Assignment',
+  quizzes: 'Quiz',
+  dpps: 'DPP',
+}
+
+const percent = (value: number | null | undefined) =>
+  value === null || value === undefined ? '—' : `${Math.round(value)}%`
+
+const engagementPercent = (value: number | null | undefined) =>
+  value === null || value === undefined ? '—' : `${Math.round(value * 100)}%`
+
+function TrendBadge({ trend }: { trend: Trend }) {
+  if (trend.change === null) {
+    return <span className="text-gray-400">—</span>
+  }
+  const Icon = trend.change > 0 ? ArrowUpRight : trend.change < 0 ? ArrowDownRight : Minus
+  const color = trend.change > 0 ? 'text-green-600' : trend.change < 0 ? 'text-red-600' : 'text-gray-500'
+  return (
+    <span className={`inline-flex items-center gap-1 ${color}`}>
+      <Icon className="h-4 w-4" />
+      {trend.change > 0 ? '+' : ''}{trend.change}
+    </span>
+  )
+}
+
+function RiskBadges({ risk }: { risk: Risk }) {
+  return (
+    <div className="flex flex-wrap gap-1">
+      {risk.reasons.map(reason => (
+        <Badge key={reason} variant={risk.level === 'high' ? 'destructive' : 'secondary'}>
+          {RISK_LABELS[reason]}
+        </Badge>
+      ))}
+    </div>
+  )
+}
+
+const headerCell = 'px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase whitespace-nowrap'
+const bodyCell = 'px-3 py-2 whitespace-nowrap'
+
+// One student's attendance, quiz, DPP and engagement records
+function StudentDrillDown({ classroomId, studentId, onClose }: { classroomId: string; studentId: string; onClose: () => void }) {
+  const { data, isLoading } = useQuery({
+    queryKey: ['classroom-analytics', classroomId, studentId],
+    queryFn: () => apiClient.getStudentAnalytics(classroomId, studentId),
+  })
+
+  const analytics = data as StudentAnalyticsData | undefined
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-start justify-between space-y-0">
+        <div>
+          <CardTitle>{analytics?.student.name || 'Student'}</CardTitle>
+          <CardDescription>
+            {analytics ? (
+              <span className="capitalize">{analytics.student.email} · {analytics.level}</span>
+            ) : 'Loading...'}
+          </CardDescription>
+        </div>
+        <Button variant="ghost" size="sm" onClick={onClose}>
+          <X className="h-4 w-4" />
+        </Button>
+      </CardHeader>
+      {isLoading || !analytics ? (
+        <CardContent>
+          <p className="text-sm text-gray-500">Loading student analytics...</p>
+        </CardContent>
+      ) : (
+        <CardContent className="space-y-6">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div>
+              <p className="text-xs text-gray-500">Attendance</p>
+              <p className="text-lg font-semibold">{percent(analytics.attendance.percentage)}</p>
+            </div>
+            <div>
+              <p className="text-xs text-gray-500">Recent average</p>
+              <p className="text-lg font-semibold">{percent(analytics.trend.recentAverage)}</p>
+            </div>
+            <div>
+              <p className="text-xs text-gray-500">Trend</p>
+              <p className="text-lg font-semibold"><TrendBadge trend={analytics.trend} /></p>
+            </div>
+            <div>
+              <p className="text-xs text-gray-500">Risk</p>
+              {analytics.risk.level ? <RiskBadges risk={analytics.risk} /> : <p className="text-sm text-gray-600">None</p>}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div className="space-y-2">
+              <p className="font-medium">Results</p>
+              {analytics.results.length === 0 ? (
+                <p className="text-sm text-gray-500">Nothing graded yet.</p>
+              ) : (
+                <div className="divide-y border rounded-md">
+                  {analytics.results.map(result => (
+                    <div key={result._id} className="flex items-center justify-between px-3 py-2 text-sm">
+                      <div>
+                        <p className="font-medium">{result.title}</p>
+                        <p className="text-xs text-gray-500">
+                          {CATEGORY_LABELS[result.category] || result.category} · {new Date(result.at).toLocaleDateString()}
+                        </p>
+                      </div>
+                      <span className="font-medium">{percent(result.percentage)}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <p className="font-medium">Attendance</p>
+              {analytics.attendance.records.length === 0 ? (
+                <p className="text-sm text-gray-500">No attendance recorded yet.</p>
+              ) : (
+                <div className="divide-y border rounded-md">
+                  {analytics.attendance.records.map((record, index) => (
+                    <div key={record.videoClass?._id || index} className="flex items-center justify-between px-3 py-2 text-sm">
+                      <div>
+                        <p className="font-medium">{record.videoClass?.title || 'Deleted class'}</p>
+                        {record.videoClass && (
+                          <p className="text-xs text-gray-500">{new Date(record.videoClass.scheduledStartTime).toLocaleDateString()}</p>
+                        )}
+                      </div>
+                      <Badge variant={record.status === 'absent' ? 'destructive' : 'secondary'} className="capitalize">
+                        {record.status}
+                      </Badge>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <p className="font-medium">DPPs</p>
+              {analytics.dpps.length === 0 ? (
+                <p className="text-sm text-gray-500">No DPPs assigned yet.</p>
+              ) : (
+                <div className="divide-y border rounded-md">
+                  {analytics.dpps.map(dpp => (
+                    <div key={dpp._id} className="flex items-center justify-between px-3 py-2 text-sm">
+                      <p className="font-medium">{dpp.title}</p>
+                      {dpp.submitted ? (
+                        <span className="flex items-center gap-2">
+                          {dpp.isLate && <Badge variant="outline">Late</Badge>}
+                          {dpp.graded ? percent(dpp.percentage) : <span className="text-gray-500">Awaiting grade</span>}
+                        </span>
+                      ) : (
+                        <span className="text-gray-500">Not submitted</span>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <p className="font-medium">Quizzes and engagement</p>
+              {analytics.quizzes.length === 0 && analytics.engagement.length === 0 ? (
+                <p className="text-sm text-gray-500">No quiz attempts or engagement analyses yet.</p>
+              ) : (
+                <div className="divide-y border rounded-md">
+                  {analytics.quizzes.map((session, index) => (
+                    <div key={`${session.quiz?._id}-${index}`} className="flex items-center justify-between px-3 py-2 text-sm">
+                      <p className="font-medium">
+                        {session.quiz?.title || 'Quiz'}
+                        {session.attemptNumber > 1 && <span className="text-gray-500"> (attempt {session.attemptNumber})</span>}
+                      </p>
+                      <span>{percent(session.percentage)}</span>
+                    </div>
+                  ))}
+                  {analytics.engagement.map((row, index) => (
+                    <div key={row.videoClass?._id || index} className="flex items-center justify-between px-3 py-2 text-sm">
+                      <p className="font-medium">{row.videoClass?.title || 'Deleted class'}</p>
+                      <span>{engagementPercent(row.averageEngagement)} engaged</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        </CardContent>
+      )}
+    </Card>
+  )
+}
+
+// Attendance, quiz scores, DPPs and engagement of a classroom, with at-risk students
+export default function ClassroomAnalytics({ classroomId }: ClassroomAnalyticsProps) {
+  const [selectedStudent, setSelectedStudent] = useState<string | null>(null)
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['classroom-analytics', classroomId],
+    queryFn: () => apiClient.getClassroomAnalytics(classroomId),
+  })
+
+  const analytics = data as ClassroomAnalyticsData | undefined
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    )
+  }
+
+  if (!analytics) return null
+
+  const { summary, thresholds } = analytics
+  const summaryCards = [
+    { title: 'Students', value: String(summary.students) },
+    { title: 'Attendance', value: percent(summary.averageAttendance) },
+    { title: 'Quiz Score', value: percent(summary.averageQuizScore) },
+    { title: 'DPP Completion', value: percent(summary.dppCompletionRate) },
+    { title: 'Engagement', value: engagementPercent(summary.averageEngagement) },
+    { title: 'At Risk', value: String(summary.atRisk) },
+  ]
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+        {summaryCards.map(card => (
+          <Card key={card.title}>
+            <CardContent className="pt-6">
+              <p className="text-xs text-gray-500">{card.title}</p>
+              <p className="text-2xl font-bold text-gray-900">{card.value}</p>
+            </CardContent>
+          </Card>
+        ))}
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <AlertTriangle className="h-5 w-5 text-orange-500" />
+            At-Risk Students
+          </CardTitle>
+          <CardDescription>
+            Attendance below {thresholds.attendanceBelow}%, or an average of the latest {thresholds.recentResults} results
+            at least {thresholds.scoreDropOf} points below the ones before.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {analytics.atRisk.length === 0 ? (
+            <p className="text-sm text-gray-500">No students are at risk right now.</p>
+          ) : (
+            <div className="divide-y border rounded-md">
+              {analytics.atRisk.map(row => (
+                <button
+                  key={row.student._id}
+                  type="button"
+                  onClick={() => setSelectedStudent(row.student._id)}
+                  className="flex w-full items-center justify-between px-3 py-2 text-left hover:bg-gray-50"
+                >
+                  <div>
+                    <p className="text-sm font-medium">{row.student.name}</p>
+                    <p className="text-xs text-gray-500">
+                      Attendance {percent(row.attendance?.percentage)} · Recent average {percent(row.trend.recentAverage)}
+                    </p>
+                  </div>
+                  <RiskBadges risk={row.risk} />
+                </button>
+              ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {selectedStudent && (
+        <StudentDrillDown
+          classroomId={classroomId}
+          studentId={selectedStudent}
+          onClose={() => setSelectedStudent(null)}
+        />
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <BarChart3 className="h-5 w-5" />
+            Students
+          </CardTitle>
+          <CardDescription>Select a student to see their records.</CardDescription>
+        </CardHeader>
+        <CardContent>
+          {analytics.students.length === 0 ? (
+            <p className="text-sm text-gray-500">No students are enrolled yet.</p>
+          ) : (
+            <div className="overflow-x-auto border rounded-md">
+              <table className="min-w-full text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className={headerCell}>Student</th>
+                    <th className={headerCell}>Level</th>
+                    <th className={headerCell}>Attendance</th>
+                    <th className={headerCell}>Quizzes</th>
+                    <th className={headerCell}>DPPs</th>
+                    <th className={headerCell}>Engagement</th>
+                    <th className={headerCell}>Trend</th>
+                    <th className={headerCell}>Risk</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y">
+                  {analytics.students.map(row => (
+                    <tr
+                      key={row.student._id}
+                      onClick={() => setSelectedStudent(row.student._id)}
+                      className={`cursor-pointer hover:bg-gray-50 ${selectedStudent === row.student._id ? 'bg-blue-50' : ''}`}
+                    >
+                      <td className={`${bodyCell} font-medium text-gray-900`}>{row.student.name}</td>
+                      <td className={`${bodyCell} capitalize`}>{row.level}</td>
+                      <td className={bodyCell}>
+                        {row.attendance ? `${percent(row.attendance.percentage)} (${row.attendance.present + row.attendance.late}/${row.attendance.total})` : '—'}
+                      </td>
+                      <td className={bodyCell}>{percent(row.quizzes.averageScore)}</td>
+                      <td className={bodyCell}>
+                        {row.dpps.submitted}/{row.dpps.assigned}
+                        {row.dpps.averageScore !== null && <span className="text-gray-500"> · {percent(row.dpps.averageScore)}</span>}
+                      </td>
+                      <td className={bodyCell}>{engagementPercent(row.engagement?.averageEngagement)}</td>
+                      <td className={bodyCell}><TrendBadge trend={row.trend} /></td>
+                      <td className={bodyCell}>{row.risk.level && <RiskBadges risk={row.risk} />}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <Card>
+          <CardHeader>
+            <CardTitle>Quizzes</CardTitle>
+          </CardHeader>
+          <CardContent>
+            {analytics.quizzes.length === 0 ? (
+              <p className="text-sm text-gray-500">No quizzes yet.</p>
+            ) : (
+              <div className="divide-y border rounded-md">
+                {analytics.quizzes.map(quiz => (
+                  <div key={quiz._id} className="flex items-center justify-between px-3 py-2 text-sm">
+                    <div>
+                      <p className="font-medium">{quiz.title}</p>
+                      <p className="text-xs text-gray-500">{quiz.students} students · {quiz.attempts} attempts</p>
+                    </div>
+                    <span>avg {percent(quiz.averageScore)} · top {percent(quiz.topScore)}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>DPPs</CardTitle>
+          </CardHeader>
+          <CardContent>
+            {analytics.dpps.length === 0 ? (
+              <p className="text-sm text-gray-500">No published DPPs yet.</p>
+            ) : (
+              <div className="divide-y border rounded-md">
+                {analytics.dpps.map(dpp => (
+                  <div key={dpp._id} className="flex items-center justify-between px-3 py-2 text-sm">
+                    <div>
+                      <p className="font-medium">{dpp.title}</p>
+                      <p className="text-xs text-gray-500">
+                        {dpp.submissionCount}/{dpp.totalStudents} submitted · {dpp.lateSubmissions} late
+                      </p>
+                    </div>
+                    <span>{percent(dpp.submissionRate)} done · avg {percent(dpp.averageScore)}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Engagement</CardTitle>
+          <CardDescription>Engagement analyses taken during video classes.</CardDescription>
+        </CardHeader>
+        <CardContent>
+          {analytics.engagement.classes.length === 0 ? (
+            <p className="text-sm text-gray-500">No engagement analyses yet.</p>
+          ) : (
+            <div className="divide-y border rounded-md">
+              {analytics.engagement.classes.map(row => (
+                <div key={row.videoClass._id} className="flex items-center justify-between px-3 py-2 text-sm">
+                  <div>
+                    <p className="font-medium">{row.videoClass.title}</p>
+                    <p className="text-xs text-gray-500">
+                      {new Date(row.videoClass.scheduledStartTime).toLocaleDateString()} · {row.totalAnalyses} analyses
+                    </p>
+                  </div>
+                  <span>
+                    {engagementPercent(row.averageEngagement)} engaged
+                    {row.lowEngagement > 0 && <span className="text-red-600"> · {row.lowEngagement} low</span>}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
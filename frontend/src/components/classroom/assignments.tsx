@@ -11,6 +11,7 @@ import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/com
 import { Badge } from '@/components/ui/badge'
 import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger } from '@/components/ui/dialog'
 import { toast } from '@/hooks/use-toast'
+import AudiencePicker from '@/components/classroom/audience-picker'
 import { 
   Plus, 
   FileText, 
@@ -165,6 +166,7 @@ export default function ClassroomAssignments({ classroomId, isTeacher }: Classro
       points: number;
     }>,
     timeLimit: 0, // 0 means no time limit
+    targetGroups: [] as string[],
   })
   
   // Separate state for file attachments (not sent to backend for assignment creation)
@@ -218,7 +220,7 @@ export default function ClassroomAssignments({ classroomId, isTeacher }: Classro
       
       queryClient.invalidateQueries({ queryKey: ['assignments', classroomId] })
       setIsCreateDialogOpen(false)
-      setNewAssignment({ title: '', description: '', dueDate: '', points: 100, type: 'file', questions: [], timeLimit: 0 })
+      setNewAssignment({ title: '', description: '', dueDate: '', points: 100, type: 'file', questions: [], timeLimit: 0, targetGroups: [] })
       setAttachments([])
     },
   })
@@ -453,6 +455,12 @@ export default function ClassroomAssignments({ classroomId, isTeacher }: Classro
                 )}
               </div>
 
+              <AudiencePicker
+                classroomId={classroomId}
+                value={newAssignment.targetGroups}
+                onChange={(targetGroups) => setNewAssignment(prev => ({ ...prev, targetGroups }))}
+              />
+
               {/* MCQ Questions Section */}
               {newAssignment.type === 'mcq' && (
                 <div className="space-y-4">
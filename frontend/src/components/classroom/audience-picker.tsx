@@ -0,0 +1,48 @@
+'use client'
+
+import { useQuery } from '@tanstack/react-query'
+import { apiClient } from '@/lib/api'
+import type { ClassroomGroup } from '@/components/classroom/groups'
+
+interface AudiencePickerProps {
+  classroomId: string
+  value: string[]
+  onChange: (groupIds: string[]) => void
+}
+
+// Picks the groups a new post or assignment is for; nothing picked means the whole class
+export default function AudiencePicker({ classroomId, value, onChange }: AudiencePickerProps) {
+  const { data } = useQuery({
+    queryKey: ['classroom-groups', classroomId],
+    queryFn: () => apiClient.getClassroomGroups(classroomId),
+  })
+
+  const groups: ClassroomGroup[] = (data as any)?.groups || []
+
+  if (groups.length === 0) return null
+
+  const toggle = (groupId: string) => {
+    onChange(value.includes(groupId) ? value.filter(id => id !== groupId) : [...value, groupId])
+  }
+
+  return (
+    <div>
+      <label className="text-sm font-medium">Audience</label>
+      <div className="flex flex-wrap gap-x-4 gap-y-2 mt-2">
+        {groups.map(group => (
+          <label key={group._id} className="flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={value.includes(group._id)}
+              onChange={() => toggle(group._id)}
+            />
+            {group.name}
+          </label>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500 mt-1">
+        {value.length === 0 ? 'Everyone in the class' : 'Only members of the selected groups'}
+      </p>
+    </div>
+  )
+}
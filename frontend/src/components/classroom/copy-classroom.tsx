@@ -0,0 +1,91 @@
+'use client'
+
+import { useState } from 'react'
+import { useMutation, useQueryClient } from '@tanstack/react-query'
+import { useRouter } from 'next/navigation'
+import { apiClient } from '@/lib/api'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { toast } from '@/hooks/use-toast'
+import { Copy } from 'lucide-react'
+
+interface CopyClassroomProps {
+  classroom: { _id: string; name: string }
+}
+
+// Starts a new term from this classroom's settings and material
+export default function CopyClassroom({ classroom }: CopyClassroomProps) {
+  const router = useRouter()
+  const queryClient = useQueryClient()
+  const [name, setName] = useState(`${classroom.name} (copy)`)
+  const [offsetDays, setOffsetDays] = useState('0')
+
+  const copyMutation = useMutation({
+    mutationFn: () => apiClient.copyClassroom(classroom._id, {
+      name: name.trim(),
+      dateOffsetDays: Number(offsetDays) || 0,
+    }),
+    onSuccess: (response: any) => {
+      const skipped = response.skippedAttachments
+      toast({
+        title: response.message,
+        description: skipped > 0
+          ? `${skipped} attachment${skipped === 1 ? '' : 's'} could not be copied.`
+          : 'Quizzes and DPPs are unpublished until you review them.',
+      })
+      queryClient.invalidateQueries({ queryKey: ['classrooms'] })
+      router.push(`/dashboard/classrooms/${response.classroom._id}`)
+    },
+    onError: (error) => {
+      toast({
+        title: 'Failed to copy classroom',
+        description: error instanceof Error ? error.message : 'An error occurred',
+        variant: 'destructive',
+      })
+    },
+  })
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Copy className="h-5 w-5" />
+          Copy for a New Term
+        </CardTitle>
+        <CardDescription>
+          Creates a new classroom with a new class code and no students. Settings, groups, material posts,
+          assignments, quizzes and DPPs are copied with their attachments. Quizzes come over as drafts and DPPs
+          unpublished, with every date moved by the offset.
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <div className="flex flex-wrap items-end gap-4">
+          <div className="space-y-1">
+            <Label htmlFor="copyName">New classroom name</Label>
+            <Input
+              id="copyName"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className="w-72"
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="copyOffset">Move dates by (days)</Label>
+            <Input
+              id="copyOffset"
+              type="number"
+              value={offsetDays}
+              onChange={(e) => setOffsetDays(e.target.value)}
+              className="w-28"
+            />
+          </div>
+          <Button onClick={() => copyMutation.mutate()} disabled={!name.trim() || copyMutation.isPending}>
+            {copyMutation.isPending ? 'Copying...' : 'Copy Classroom'}
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
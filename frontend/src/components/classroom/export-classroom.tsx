@@ -0,0 +1,63 @@
+'use client'
+
+import { useState } from 'react'
+import { useMutation } from '@tanstack/react-query'
+import { apiClient } from '@/lib/api'
+import { Button } from '@/components/ui/button'
+import { Label } from '@/components/ui/label'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { toast } from '@/hooks/use-toast'
+import { Archive } from 'lucide-react'
+
+interface ExportClassroomProps {
+  classroom: { _id: string }
+}
+
+// Downloads the classroom as a bundle that can be imported on another server
+export default function ExportClassroom({ classroom }: ExportClassroomProps) {
+  const [includeStudentWork, setIncludeStudentWork] = useState(false)
+
+  const exportMutation = useMutation({
+    mutationFn: () => apiClient.exportClassroom(classroom._id, includeStudentWork),
+    onError: (error) => {
+      toast({
+        title: 'Failed to export classroom',
+        description: error instanceof Error ? error.message : 'An error occurred',
+        variant: 'destructive',
+      })
+    },
+  })
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Archive className="h-5 w-5" />
+          Export Classroom
+        </CardTitle>
+        <CardDescription>
+          Downloads settings, groups, posts, assignments, quizzes and DPPs with their files as a .tar.gz bundle.
+          Import it from the classrooms page on any Shayak server.
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <div className="flex flex-wrap items-center gap-4">
+          <div className="flex items-center gap-2">
+            <input
+              id="exportStudentWork"
+              type="checkbox"
+              checked={includeStudentWork}
+              onChange={(e) => setIncludeStudentWork(e.target.checked)}
+            />
+            <Label htmlFor="exportStudentWork">
+              Include students, submissions and quiz results
+            </Label>
+          </div>
+          <Button onClick={() => exportMutation.mutate()} disabled={exportMutation.isPending}>
+            {exportMutation.isPending ? 'Preparing...' : 'Download Bundle'}
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,368 @@
+'use client'
+
+import { useEffect, useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { apiClient } from '@/lib/api'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Badge } from '@/components/ui/badge'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { toast } from '@/hooks/use-toast'
+import { Download, GraduationCap, Plus, Trash2 } from 'lucide-react'
+
+type CategoryKey = 'assignments' | 'quizzes' | 'dpps' | 'attendance'
+
+interface GradeCategory {
+  key: CategoryKey
+  weight: number
+  dropLowest?: number
+}
+
+interface LetterStep {
+  letter: string
+  minPercentage: number
+}
+
+interface GradebookColumn {
+  _id: string
+  category: CategoryKey
+  type: string
+  title: string
+  closesAt?: string
+}
+
+interface GradebookCell {
+  percentage: number | null
+  status: 'graded' | 'pending' | 'missing' | 'absent' | 'not_due'
+}
+
+interface GradebookRow {
+  student: { _id: string; name: string; email: string }
+  cells: Record<string, GradebookCell>
+  categories: Record<string, { percentage: number | null; weight: number; counted: number; dropped: number }>
+  overall: number | null
+  letterGrade: string | null
+}
+
+interface ClassroomGradebookProps {
+  classroomId: string
+  isStaff: boolean
+  canManage: boolean
+}
+
+const CATEGORY_LABELS: Record<CategoryKey, string> = {
+  assignments: 'Assignments',
+  quizzes: 'Quizzes',
+  dpps: 'DPPs',
+  attendance: 'Attendance',
+}
+
+const CATEGORY_KEYS = Object.keys(CATEGORY_LABELS) as CategoryKey[]
+
+const showError = (title: string) => (error: unknown) => {
+  toast({
+    title,
+    description: error instanceof Error ? error.message : 'An error occurred',
+    variant: 'destructive',
+  })
+}
+
+const formatPercentage = (value: number | null | undefined) =>
+  value === null || value === undefined ? '—' : `${Math.round(value * 10) / 10}%`
+
+function Cell({ cell }: { cell?: GradebookCell }) {
+  if (!cell) return <span className="text-gray-300">n/a</span>
+  if (cell.status === 'pending') return <span className="text-amber-600">Ungraded</span>
+  if (cell.status === 'not_due') return <span className="text-gray-400">—</span>
+  if (cell.status === 'missing' || cell.status === 'absent') {
+    return <span className="text-red-600">{cell.status === 'missing' ? 'Missing' : 'Absent'}</span>
+  }
+  return <span>{formatPercentage(cell.percentage)}</span>
+}
+
+// Category weights, dropped-lowest rules and the letter scale
+function GradebookSettings({ classroomId, settings }: {
+  classroomId: string
+  settings: { categories: GradeCategory[]; letterScale: LetterStep[] }
+}) {
+  const queryClient = useQueryClient()
+  const [categories, setCategories] = useState<GradeCategory[]>([])
+  const [letterScale, setLetterScale] = useState<LetterStep[]>([])
+
+  useEffect(() => {
+    setCategories(CATEGORY_KEYS.map(key => {
+      const current = settings.categories.find(category => category.key === key)
+      return { key, weight: current?.weight ?? 0, dropLowest: current?.dropLowest ?? 0 }
+    }))
+    setLetterScale(settings.letterScale.map(step => ({ ...step })))
+  }, [settings])
+
+  const totalWeight = categories.reduce((sum, category) => sum + (Number(category.weight) || 0), 0)
+
+  const saveMutation = useMutation({
+    mutationFn: () => apiClient.updateGradebookSettings(classroomId, {
+      categories: categories.map(category => ({
+        key: category.key,
+        weight: Number(category.weight) || 0,
+        dropLowest: Number(category.dropLowest) || 0,
+      })),
+      letterScale: letterScale
+        .filter(step => step.letter.trim())
+        .map(step => ({ letter: step.letter.trim(), minPercentage: Number(step.minPercentage) || 0 })),
+    }),
+    onSuccess: (response: any) => {
+      toast({ title: response.message })
+      queryClient.invalidateQueries({ queryKey: ['classroom-gradebook', classroomId] })
+    },
+    onError: showError('Failed to update gradebook settings'),
+  })
+
+  const updateCategory = (key: CategoryKey, field: 'weight' | 'dropLowest', value: string) => {
+    setCategories(prev => prev.map(category =>
+      category.key === key ? { ...category, [field]: value === '' ? 0 : Number(value) } : category
+    ))
+  }
+
+  const updateStep = (index: number, field: keyof LetterStep, value: string) => {
+    setLetterScale(prev => prev.map((step, i) =>
+      i === index ? { ...step, [field]: field === 'letter' ? value : Number(value) } : step
+    ))
+  }
+
+  return (
+    <div className="grid gap-6 md:grid-cols-2 border rounded-md p-4">
+      <div className="space-y-3">
+        <p className="font-medium">Categories</p>
+        <div className="grid grid-cols-[1fr_6rem_6rem] gap-2 items-center text-sm">
+          <span className="text-gray-500">Category</span>
+          <span className="text-gray-500">Weight %</span>
+          <span className="text-gray-500">Drop lowest</span>
+          {categories.map(category => (
+            <div key={category.key} className="contents">
+              <span>{CATEGORY_LABELS[category.key]}</span>
+              <Input
+                type="number"
+                min={0}
+                max={100}
+                value={category.weight}
+                onChange={(e) => updateCategory(category.key, 'weight', e.target.value)}
+              />
+              <Input
+                type="number"
+                min={0}
+                max={20}
+                value={category.dropLowest ?? 0}
+                onChange={(e) => updateCategory(category.key, 'dropLowest', e.target.value)}
+              />
+            </div>
+          ))}
+        </div>
+        <p className={`text-sm ${totalWeight === 100 ? 'text-gray-500' : 'text-red-600'}`}>
+          Weights add up to {totalWeight}%{totalWeight === 100 ? '' : ' (must be 100%)'}
+        </p>
+      </div>
+
+      <div className="space-y-3">
+        <p className="font-medium">Letter scale</p>
+        <div className="space-y-2">
+          {letterScale.map((step, index) => (
+            <div key={index} className="flex items-center gap-2 text-sm">
+              <Input
+                value={step.letter}
+                onChange={(e) => updateStep(index, 'letter', e.target.value)}
+                className="w-20"
+                maxLength={5}
+              />
+              <span className="text-gray-500">from</span>
+              <Input
+                type="number"
+                min={0}
+                max={100}
+                value={step.minPercentage}
+                onChange={(e) => updateStep(index, 'minPercentage', e.target.value)}
+                className="w-24"
+              />
+              <span className="text-gray-500">%</span>
+              <Button
+                variant="ghost"
+                size="sm"
+                disabled={letterScale.length === 1}
+                onClick={() => setLetterScale(prev => prev.filter((_, i) => i !== index))}
+              >
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+          ))}
+        </div>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => setLetterScale(prev => [...prev, { letter: '', minPercentage: 0 }])}
+        >
+          <Plus className="mr-2 h-4 w-4" />
+          Add Letter
+        </Button>
+      </div>
+
+      <div className="md:col-span-2">
+        <Button onClick={() => saveMutation.mutate()} disabled={totalWeight !== 100 || saveMutation.isPending}>
+          {saveMutation.isPending ? 'Saving...' : 'Save Settings'}
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+// Spreadsheet of every graded item for staff; a student's own final grade and category averages
+export default function ClassroomGradebook({ classroomId, isStaff, canManage }: ClassroomGradebookProps) {
+  const [showSettings, setShowSettings] = useState(false)
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['classroom-gradebook', classroomId],
+    queryFn: () => apiClient.getGradebook(classroomId),
+  })
+
+  const exportMutation = useMutation({
+    mutationFn: () => apiClient.exportGradebook(classroomId),
+    onError: showError('Failed to export gradebook'),
+  })
+
+  const gradebook = data as any
+  const columns: GradebookColumn[] = gradebook?.columns || []
+  const rows: GradebookRow[] = gradebook?.students || []
+  const categoryKeys: CategoryKey[] = (gradebook?.settings?.categories || []).map((c: GradeCategory) => c.key)
+
+  if (isLoading) {
+    return <p className="text-sm text-gray-500">Loading gradebook...</p>
+  }
+
+  if (!isStaff) {
+    const row = rows[0]
+    return (
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <GraduationCap className="h-5 w-5" />
+            My Grade
+          </CardTitle>
+          <CardDescription>Your final grade so far, weighted across categories.</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="flex items-baseline gap-3">
+            <span className="text-3xl font-semibold">{formatPercentage(row?.overall)}</span>
+            {row?.letterGrade && <Badge>{row.letterGrade}</Badge>}
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            {categoryKeys.map(key => (
+              <div key={key} className="border rounded-md p-3">
+                <p className="text-sm text-gray-500">
+                  {CATEGORY_LABELS[key]} ({row?.categories[key]?.weight ?? 0}%)
+                </p>
+                <p className="text-lg font-medium">{formatPercentage(row?.categories[key]?.percentage)}</p>
+                {(row?.categories[key]?.dropped ?? 0) > 0 && (
+                  <p className="text-xs text-gray-500">Lowest {row?.categories[key]?.dropped} dropped</p>
+                )}
+              </div>
+            ))}
+          </div>
+          <div className="divide-y">
+            {columns.filter(column => row?.cells[column._id]).map(column => (
+              <div key={column._id} className="flex items-center justify-between py-2 text-sm">
+                <div className="flex items-center gap-2">
+                  <Badge variant="secondary">{CATEGORY_LABELS[column.category]}</Badge>
+                  {column.title}
+                </div>
+                <Cell cell={row?.cells[column._id]} />
+              </div>
+            ))}
+          </div>
+        </CardContent>
+      </Card>
+    )
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-start justify-between gap-4">
+          <div className="space-y-1.5">
+            <CardTitle className="flex items-center gap-2">
+              <GraduationCap className="h-5 w-5" />
+              Gradebook
+            </CardTitle>
+            <CardDescription>
+              Final grades weigh assignments, quizzes, DPPs and attendance. Work not handed in by the due date
+              counts as zero; categories with no grades yet are left out.
+            </CardDescription>
+          </div>
+          <div className="flex items-center gap-2">
+            {canManage && (
+              <Button variant="outline" size="sm" onClick={() => setShowSettings(!showSettings)}>
+                {showSettings ? 'Hide Settings' : 'Settings'}
+              </Button>
+            )}
+            <Button variant="outline" size="sm" onClick={() => exportMutation.mutate()} disabled={exportMutation.isPending}>
+              <Download className="mr-2 h-4 w-4" />
+              CSV
+            </Button>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {showSettings && gradebook?.settings && (
+          <GradebookSettings classroomId={classroomId} settings={gradebook.settings} />
+        )}
+
+        {rows.length === 0 ? (
+          <p className="text-sm text-gray-500">No students are enrolled yet.</p>
+        ) : (
+          <div className="overflow-x-auto border rounded-md">
+            <table className="text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="sticky left-0 bg-gray-50 px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">
+                    Student
+                  </th>
+                  {columns.map(column => (
+                    <th key={column._id} className="px-3 py-2 text-left text-xs font-medium text-gray-500 whitespace-nowrap">
+                      <div className="uppercase">{CATEGORY_LABELS[column.category]}</div>
+                      <div className="font-normal normal-case text-gray-700">{column.title}</div>
+                    </th>
+                  ))}
+                  {categoryKeys.map(key => (
+                    <th key={key} className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase bg-blue-50 whitespace-nowrap">
+                      {CATEGORY_LABELS[key]}
+                    </th>
+                  ))}
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase bg-blue-50">Final</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {rows.map(row => (
+                  <tr key={row.student._id} className="hover:bg-gray-50">
+                    <td className="sticky left-0 bg-white px-3 py-2 font-medium text-gray-900 whitespace-nowrap">
+                      {row.student.name}
+                    </td>
+                    {columns.map(column => (
+                      <td key={column._id} className="px-3 py-2 whitespace-nowrap">
+                        <Cell cell={row.cells[column._id]} />
+                      </td>
+                    ))}
+                    {categoryKeys.map(key => (
+                      <td key={key} className="px-3 py-2 bg-blue-50/50 whitespace-nowrap">
+                        {formatPercentage(row.categories[key]?.percentage)}
+                      </td>
+                    ))}
+                    <td className="px-3 py-2 bg-blue-50/50 font-medium whitespace-nowrap">
+                      {formatPercentage(row.overall)} {row.letterGrade && <Badge className="ml-1">{row.letterGrade}</Badge>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,211 @@
+'use client'
+
+import { useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { apiClient } from '@/lib/api'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Badge } from '@/components/ui/badge'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { toast } from '@/hooks/use-toast'
+import { Layers, Trash2 } from 'lucide-react'
+
+type GroupKind = 'section' | 'lab_batch' | 'project_team' | 'other'
+
+export interface ClassroomGroup {
+  _id: string
+  name: string
+  kind: GroupKind
+  students?: { _id: string; name: string; email: string }[]
+}
+
+interface ClassroomGroupsProps {
+  classroomId: string
+  students: any[]
+}
+
+export const GROUP_KIND_LABELS: Record<GroupKind, string> = {
+  section: 'Section',
+  lab_batch: 'Lab batch',
+  project_team: 'Project team',
+  other: 'Other',
+}
+
+const showError = (title: string) => (error: unknown) => {
+  toast({
+    title,
+    description: error instanceof Error ? error.message : 'An error occurred',
+    variant: 'destructive',
+  })
+}
+
+// Sections, lab batches and project teams that posts, assignments and classes can target
+export default function ClassroomGroups({ classroomId, students }: ClassroomGroupsProps) {
+  const queryClient = useQueryClient()
+  const [name, setName] = useState('')
+  const [kind, setKind] = useState<GroupKind>('section')
+  const [editingId, setEditingId] = useState<string | null>(null)
+  const [memberIds, setMemberIds] = useState<string[]>([])
+
+  const { data } = useQuery({
+    queryKey: ['classroom-groups', classroomId],
+    queryFn: () => apiClient.getClassroomGroups(classroomId),
+  })
+
+  const groups: ClassroomGroup[] = (data as any)?.groups || []
+  const roster = students.map((entry: any) => entry.student || entry)
+
+  const invalidate = () => {
+    queryClient.invalidateQueries({ queryKey: ['classroom-groups', classroomId] })
+  }
+
+  const createMutation = useMutation({
+    mutationFn: () => apiClient.createClassroomGroup(classroomId, { name: name.trim(), kind }),
+    onSuccess: (response: any) => {
+      toast({ title: response.message })
+      setName('')
+      invalidate()
+    },
+    onError: showError('Failed to create group'),
+  })
+
+  const updateMembersMutation = useMutation({
+    mutationFn: (groupId: string) => apiClient.updateClassroomGroup(classroomId, groupId, { studentIds: memberIds }),
+    onSuccess: (response: any) => {
+      toast({ title: response.message })
+      setEditingId(null)
+      invalidate()
+    },
+    onError: showError('Failed to update group'),
+  })
+
+  const deleteMutation = useMutation({
+    mutationFn: (groupId: string) => apiClient.deleteClassroomGroup(classroomId, groupId),
+    onSuccess: (response: any) => {
+      toast({ title: response.message })
+      invalidate()
+    },
+    onError: showError('Failed to delete group'),
+  })
+
+  const startEditing = (group: ClassroomGroup) => {
+    setEditingId(group._id)
+    setMemberIds((group.students || []).map(student => student._id))
+  }
+
+  const toggleMember = (studentId: string) => {
+    setMemberIds(prev => prev.includes(studentId) ? prev.filter(id => id !== studentId) : [...prev, studentId])
+  }
+
+  const handleDelete = (group: ClassroomGroup) => {
+    if (confirm(`Delete ${group.name}? Content for this group only will be hidden from students until you retarget it.`)) {
+      deleteMutation.mutate(group._id)
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Layers className="h-5 w-5" />
+          Groups
+        </CardTitle>
+        <CardDescription>
+          Split the class into sections, lab batches or project teams. Posts, assignments, DPPs, quizzes and
+          video classes for a group are only shown to its members.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="flex flex-wrap items-center gap-2">
+          <Input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Group name"
+            className="w-56"
+          />
+          <select
+            value={kind}
+            onChange={(e) => setKind(e.target.value as GroupKind)}
+            className="h-10 rounded-md border border-input bg-background px-3 text-sm"
+          >
+            {Object.entries(GROUP_KIND_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <Button onClick={() => createMutation.mutate()} disabled={!name.trim() || createMutation.isPending}>
+            {createMutation.isPending ? 'Adding...' : 'Add Group'}
+          </Button>
+        </div>
+
+        {groups.length === 0 ? (
+          <p className="text-sm text-gray-500">No groups yet. Everything you post reaches the whole class.</p>
+        ) : (
+          <div className="divide-y">
+            {groups.map(group => (
+              <div key={group._id} className="py-3 space-y-3">
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center gap-2">
+                    <p className="font-medium">{group.name}</p>
+                    <Badge variant="secondary">{GROUP_KIND_LABELS[group.kind]}</Badge>
+                    <span className="text-sm text-gray-500">
+                      {group.students?.length || 0} member{group.students?.length === 1 ? '' : 's'}
+                    </span>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    {editingId === group._id ? (
+                      <>
+                        <Button variant="outline" size="sm" onClick={() => setEditingId(null)}>
+                          Cancel
+                        </Button>
+                        <Button
+                          size="sm"
+                          onClick={() => updateMembersMutation.mutate(group._id)}
+                          disabled={updateMembersMutation.isPending}
+                        >
+                          Save Members
+                        </Button>
+                      </>
+                    ) : (
+                      <Button variant="outline" size="sm" onClick={() => startEditing(group)}>
+                        Edit Members
+                      </Button>
+                    )}
+                    <Button variant="ghost" size="sm" onClick={() => handleDelete(group)}>
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </div>
+                </div>
+
+                {editingId === group._id ? (
+                  roster.length === 0 ? (
+                    <p className="text-sm text-gray-500">No students are enrolled yet.</p>
+                  ) : (
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                      {roster.map((student: any) => (
+                        <label key={student._id} className="flex items-center gap-2 text-sm">
+                          <input
+                            type="checkbox"
+                            checked={memberIds.includes(student._id)}
+                            onChange={() => toggleMember(student._id)}
+                          />
+                          {student.name}
+                          <span className="text-gray-500">{student.email}</span>
+                        </label>
+                      ))}
+                    </div>
+                  )
+                ) : (
+                  group.students && group.students.length > 0 && (
+                    <p className="text-sm text-gray-600">
+                      {group.students.map(student => student.name).join(', ')}
+                    </p>
+                  )
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,111 @@
+'use client'
+
+import { useState } from 'react'
+import { useMutation, useQueryClient } from '@tanstack/react-query'
+import { useRouter } from 'next/navigation'
+import { apiClient } from '@/lib/api'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger } from '@/components/ui/dialog'
+import { toast } from '@/hooks/use-toast'
+import { Upload } from 'lucide-react'
+
+// Recreates a classroom from a bundle exported on this or another server
+export default function ImportClassroom() {
+  const router = useRouter()
+  const queryClient = useQueryClient()
+  const [file, setFile] = useState<File | null>(null)
+  const [name, setName] = useState('')
+  const [includeStudentWork, setIncludeStudentWork] = useState(true)
+
+  const importMutation = useMutation({
+    mutationFn: () => apiClient.importClassroom(file as File, {
+      name: name.trim() || undefined,
+      includeStudentWork,
+    }),
+    onSuccess: (response: any) => {
+      const notes = []
+      if (response.invitedStudents?.length > 0) {
+        notes.push(`${response.invitedStudents.length} student${response.invitedStudents.length === 1 ? ' was' : 's were'} invited and get their work back once they join`)
+      }
+      if (response.unmatchedStudents?.length > 0) {
+        notes.push(`${response.unmatchedStudents.length} student${response.unmatchedStudents.length === 1 ? '' : 's'} had no account here`)
+      }
+      if (response.skippedAttachments > 0) {
+        notes.push(`${response.skippedAttachments} attachment${response.skippedAttachments === 1 ? '' : 's'} could not be restored`)
+      }
+      toast({
+        title: response.message,
+        description: notes.length > 0
+          ? `${notes.join('; ')}.`
+          : 'Quizzes and DPPs are unpublished until you review them.',
+      })
+      queryClient.invalidateQueries({ queryKey: ['classrooms'] })
+      router.push(`/dashboard/classrooms/${response.classroom._id}`)
+    },
+    onError: (error) => {
+      toast({
+        title: 'Failed to import classroom',
+        description: error instanceof Error ? error.message : 'An error occurred',
+        variant: 'destructive',
+      })
+    },
+  })
+
+  return (
+    <Dialog>
+      <DialogTrigger asChild>
+        <Button variant="outline">
+          <Upload className="mr-2 h-4 w-4" />
+          Import Classroom
+        </Button>
+      </DialogTrigger>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Import a Classroom</DialogTitle>
+          <DialogDescription>
+            Upload a bundle downloaded from a classroom&apos;s settings. Students are enrolled when an account
+            with the same email exists here.
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-4">
+          <div className="space-y-1">
+            <Label htmlFor="bundleFile">Bundle (.tar.gz)</Label>
+            <Input
+              id="bundleFile"
+              type="file"
+              accept=".tar.gz,.tgz"
+              onChange={(e) => setFile(e.target.files?.[0] || null)}
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="bundleName">Classroom name (optional)</Label>
+            <Input
+              id="bundleName"
+              placeholder="Keep the name from the bundle"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+            />
+          </div>
+          <div className="flex items-center gap-2">
+            <input
+              id="bundleStudentWork"
+              type="checkbox"
+              checked={includeStudentWork}
+              onChange={(e) => setIncludeStudentWork(e.target.checked)}
+            />
+            <Label htmlFor="bundleStudentWork">Invite students back and restore their work once they join</Label>
+          </div>
+          <Button
+            onClick={() => importMutation.mutate()}
+            disabled={!file || importMutation.isPending}
+            className="w-full"
+          >
+            {importMutation.isPending ? 'Importing...' : 'Import Classroom'}
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,367 @@
+'use client'
+
+import { useEffect, useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { formatDistanceToNow } from 'date-fns'
+import { apiClient } from '@/lib/api'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Badge } from '@/components/ui/badge'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { toast } from '@/hooks/use-toast'
+import { Check, Copy, RefreshCw, X } from 'lucide-react'
+
+interface JoinRequest {
+  _id: string
+  student: { _id: string; name: string; email: string; studentId?: string }
+  createdAt: string
+}
+
+interface ClassroomInvite {
+  _id: string
+  code: string
+  expiresAt: string | null
+  maxUses: number | null
+  uses: number
+  createdBy: { name: string } | null
+  student: { name: string; email: string } | null
+  createdAt: string
+}
+
+interface JoinSettings {
+  classCode: string
+  classCodeExpiresAt: string | null
+  requireJoinApproval: boolean
+  allowedEmailDomains: string[]
+}
+
+interface ClassroomJoiningProps {
+  classroomId: string
+}
+
+const EXPIRY_OPTIONS = [
+  { value: '1', label: '1 day' },
+  { value: '7', label: '7 days' },
+  { value: '30', label: '30 days' },
+  { value: '', label: 'Never' },
+]
+
+const showError = (title: string) => (error: unknown) => {
+  toast({
+    title,
+    description: error instanceof Error ? error.message : 'An error occurred',
+    variant: 'destructive',
+  })
+}
+
+const inviteUrl = (code: string) => `${window.location.origin}/dashboard/join/${code}`
+
+// Who may join and how: approval queue, class code, invite links and email domains
+export default function ClassroomJoining({ classroomId }: ClassroomJoiningProps) {
+  const queryClient = useQueryClient()
+  const [domains, setDomains] = useState('')
+  const [codeExpiry, setCodeExpiry] = useState('')
+  const [inviteExpiry, setInviteExpiry] = useState('7')
+  const [inviteMaxUses, setInviteMaxUses] = useState('')
+
+  const { data } = useQuery({
+    queryKey: ['classroom-join-settings', classroomId],
+    queryFn: () => apiClient.getJoinSettings(classroomId),
+  })
+
+  const settings: JoinSettings | undefined = (data as any)?.settings
+  const joinRequests: JoinRequest[] = (data as any)?.joinRequests || []
+  const invites: ClassroomInvite[] = (data as any)?.invites || []
+
+  useEffect(() => {
+    if (settings) setDomains(settings.allowedEmailDomains.join(', '))
+  }, [settings])
+
+  const refresh = () => {
+    queryClient.invalidateQueries({ queryKey: ['classroom-join-settings', classroomId] })
+  }
+
+  const settingsMutation = useMutation({
+    mutationFn: (update: { requireJoinApproval?: boolean; allowedEmailDomains?: string[] }) =>
+      apiClient.updateJoinSettings(classroomId, update),
+    onSuccess: (response: any) => {
+      toast({ title: response.message })
+      refresh()
+    },
+    onError: showError('Failed to update join settings'),
+  })
+
+  const regenerateMutation = useMutation({
+    mutationFn: () => apiClient.regenerateClassCode(classroomId, codeExpiry ? parseInt(codeExpiry) : null),
+    onSuccess: (response: any) => {
+      toast({ title: response.message, description: `New code: ${response.classCode}` })
+      refresh()
+      queryClient.invalidateQueries({ queryKey: ['classroom', classroomId] })
+    },
+    onError: showError('Failed to regenerate class code'),
+  })
+
+  const decideMutation = useMutation({
+    mutationFn: ({ requestId, decision }: { requestId: string; decision: 'approve' | 'reject' }) =>
+      apiClient.decideJoinRequest(classroomId, requestId, decision),
+    onSuccess: (response: any) => {
+      toast({ title: response.message })
+      refresh()
+      queryClient.invalidateQueries({ queryKey: ['classroom-students', classroomId] })
+    },
+    onError: showError('Failed to decide join request'),
+  })
+
+  const createInviteMutation = useMutation({
+    mutationFn: () => apiClient.createClassroomInvite(classroomId, {
+      expiresInDays: inviteExpiry ? parseInt(inviteExpiry) : null,
+      maxUses: inviteMaxUses ? parseInt(inviteMaxUses) : null,
+    }),
+    onSuccess: async (response: any) => {
+      await navigator.clipboard.writeText(inviteUrl(response.invite.code))
+      toast({ title: 'Invite link created and copied to clipboard' })
+      setInviteMaxUses('')
+      refresh()
+    },
+    onError: showError('Failed to create invite link'),
+  })
+
+  const revokeInviteMutation = useMutation({
+    mutationFn: (inviteId: string) => apiClient.revokeClassroomInvite(classroomId, inviteId),
+    onSuccess: (response: any) => {
+      toast({ title: response.message })
+      refresh()
+    },
+    onError: showError('Failed to revoke invite link'),
+  })
+
+  const saveDomains = () => {
+    const allowedEmailDomains = domains
+      .split(',')
+      .map(domain => domain.trim().replace(/^@/, '').toLowerCase())
+      .filter(Boolean)
+    settingsMutation.mutate({ allowedEmailDomains })
+  }
+
+  const copyInvite = async (code: string) => {
+    await navigator.clipboard.writeText(inviteUrl(code))
+    toast({ title: 'Invite link copied to clipboard' })
+  }
+
+  if (!settings) return null
+
+  const codeExpired = !!settings.classCodeExpiresAt && new Date(settings.classCodeExpiresAt) < new Date()
+
+  return (
+    <div className="space-y-6">
+      {joinRequests.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Join Requests</CardTitle>
+            <CardDescription>Students waiting for approval to join this classroom</CardDescription>
+          </CardHeader>
+          <CardContent>
+            <div className="divide-y">
+              {joinRequests.map(joinRequest => (
+                <div key={joinRequest._id} className="flex items-center justify-between gap-4 py-3">
+                  <div className="min-w-0">
+                    <p className="font-medium truncate">{joinRequest.student.name}</p>
+                    <p className="text-sm text-gray-500">
+                      {joinRequest.student.email} · requested {formatDistanceToNow(new Date(joinRequest.createdAt), { addSuffix: true })}
+                    </p>
+                  </div>
+                  <div className="flex gap-2">
+                    <Button
+                      size="sm"
+                      disabled={decideMutation.isPending}
+                      onClick={() => decideMutation.mutate({ requestId: joinRequest._id, decision: 'approve' })}
+                    >
+                      <Check className="mr-1 h-4 w-4" />
+                      Approve
+                    </Button>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      disabled={decideMutation.isPending}
+                      onClick={() => decideMutation.mutate({ requestId: joinRequest._id, decision: 'reject' })}
+                    >
+                      <X className="mr-1 h-4 w-4" />
+                      Reject
+                    </Button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Joining</CardTitle>
+          <CardDescription>Control how students join with the class code</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-6">
+          <div className="flex flex-wrap items-end gap-4">
+            <div className="space-y-1">
+              <Label>Class code</Label>
+              <div className="flex items-center gap-2">
+                <span className="font-mono text-lg font-semibold">{settings.classCode}</span>
+                {codeExpired && <Badge variant="destructive">Expired</Badge>}
+              </div>
+              <p className="text-sm text-gray-500">
+                {settings.classCodeExpiresAt
+                  ? `${codeExpired ? 'Expired' : 'Expires'} ${new Date(settings.classCodeExpiresAt).toLocaleString()}`
+                  : 'Never expires'}
+              </p>
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="codeExpiry">New code expires after</Label>
+              <select
+                id="codeExpiry"
+                value={codeExpiry}
+                onChange={(e) => setCodeExpiry(e.target.value)}
+                className="h-10 rounded-md border border-input bg-background px-3 text-sm"
+              >
+                {EXPIRY_OPTIONS.map(option => (
+                  <option key={option.label} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <Button
+              variant="outline"
+              disabled={regenerateMutation.isPending}
+              onClick={() => {
+                if (confirm('Replace the class code? The current code will stop working.')) {
+                  regenerateMutation.mutate()
+                }
+              }}
+            >
+              <RefreshCw className="mr-2 h-4 w-4" />
+              Regenerate Code
+            </Button>
+          </div>
+
+          <label className="flex items-start space-x-3">
+            <input
+              type="checkbox"
+              className="mt-1 h-4 w-4"
+              checked={settings.requireJoinApproval}
+              disabled={settingsMutation.isPending}
+              onChange={(e) => settingsMutation.mutate({ requireJoinApproval: e.target.checked })}
+            />
+            <span className="text-sm">
+              <span className="font-medium">Require approval</span>
+              <span className="block text-gray-500">
+                Students who use the class code wait until a teacher approves them. Invite links still admit students directly.
+              </span>
+            </span>
+          </label>
+
+          <div className="space-y-2">
+            <Label htmlFor="allowedDomains">Allowed email domains</Label>
+            <div className="flex gap-2">
+              <Input
+                id="allowedDomains"
+                value={domains}
+                onChange={(e) => setDomains(e.target.value)}
+                placeholder="e.g. school.edu, students.school.edu"
+              />
+              <Button variant="outline" onClick={saveDomains} disabled={settingsMutation.isPending}>
+                Save
+              </Button>
+            </div>
+            <p className="text-sm text-gray-500">
+              Leave empty to allow any email address. Subdomains of a listed domain are allowed too.
+            </p>
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Invite Links</CardTitle>
+          <CardDescription>Shareable links that add students without the class code</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="flex flex-wrap items-end gap-4">
+            <div className="space-y-1">
+              <Label htmlFor="inviteExpiry">Expires after</Label>
+              <select
+                id="inviteExpiry"
+                value={inviteExpiry}
+                onChange={(e) => setInviteExpiry(e.target.value)}
+                className="h-10 rounded-md border border-input bg-background px-3 text-sm"
+              >
+                {EXPIRY_OPTIONS.map(option => (
+                  <option key={option.label} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="inviteMaxUses">Maximum uses</Label>
+              <Input
+                id="inviteMaxUses"
+                type="number"
+                min={1}
+                max={1000}
+                value={inviteMaxUses}
+                onChange={(e) => setInviteMaxUses(e.target.value)}
+                placeholder="No limit"
+                className="w-32"
+              />
+            </div>
+            <Button onClick={() => createInviteMutation.mutate()} disabled={createInviteMutation.isPending}>
+              {createInviteMutation.isPending ? 'Creating...' : 'Create Link'}
+            </Button>
+          </div>
+
+          {invites.length === 0 ? (
+            <p className="text-sm text-gray-500">No invite links yet</p>
+          ) : (
+            <div className="divide-y">
+              {invites.map(invite => {
+                const expired = !!invite.expiresAt && new Date(invite.expiresAt) < new Date()
+                const usedUp = invite.maxUses !== null && invite.uses >= invite.maxUses
+                return (
+                  <div key={invite._id} className="flex items-center justify-between gap-4 py-3">
+                    <div className="min-w-0 space-y-1">
+                      <div className="flex items-center gap-2">
+                        <span className="font-mono text-sm truncate">{invite.code}</span>
+                        {expired && <Badge variant="destructive">Expired</Badge>}
+                        {usedUp && <Badge variant="secondary">Used up</Badge>}
+                      </div>
+                      <p className="text-sm text-gray-500">
+                        {invite.uses}{invite.maxUses !== null ? ` / ${invite.maxUses}` : ''} uses
+                        {' · '}
+                        {invite.expiresAt
+                          ? `${expired ? 'Expired' : 'Expires'} ${new Date(invite.expiresAt).toLocaleDateString()}`
+                          : 'Never expires'}
+                        {invite.createdBy && ` · created by ${invite.createdBy.name}`}
+                        {invite.student && ` · only for ${invite.student.name} (${invite.student.email})`}
+                      </p>
+                    </div>
+                    <div className="flex gap-2">
+                      <Button variant="outline" size="icon" onClick={() => copyInvite(invite.code)} aria-label="Copy invite link">
+                        <Copy className="h-4 w-4" />
+                      </Button>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        disabled={revokeInviteMutation.isPending}
+                        onClick={() => revokeInviteMutation.mutate(invite._id)}
+                      >
+                        Revoke
+                      </Button>
+                    </div>
+                  </div>
+                )
+              })}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
@@ -0,0 +1,329 @@
+'use client'
+
+import { useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { apiClient } from '@/lib/api'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Badge } from '@/components/ui/badge'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { toast } from '@/hooks/use-toast'
+import { ArrowDown, ArrowUp, CheckCircle2, Circle, ListTree, Trash2, X } from 'lucide-react'
+
+type ItemType = 'post' | 'assignment' | 'quiz' | 'dpp' | 'video_class'
+
+interface ModuleItem {
+  type: ItemType
+  _id: string
+  title: string
+  date?: string
+  published: boolean
+  tracked?: boolean
+  completed?: boolean
+}
+
+interface ClassroomModule {
+  _id: string
+  title: string
+  description?: string
+  items: ModuleItem[]
+  progress?: { completed: number; total: number }
+}
+
+interface ClassroomModulesProps {
+  classroomId: string
+  isStaff: boolean
+  canManage: boolean
+}
+
+const ITEM_TYPE_LABELS: Record<ItemType, string> = {
+  post: 'Post',
+  assignment: 'Assignment',
+  quiz: 'Quiz',
+  dpp: 'DPP',
+  video_class: 'Video class',
+}
+
+const showError = (title: string) => (error: unknown) => {
+  toast({
+    title,
+    description: error instanceof Error ? error.message : 'An error occurred',
+    variant: 'destructive',
+  })
+}
+
+const percent = ({ completed, total }: { completed: number; total: number }) =>
+  total > 0 ? Math.round((completed / total) * 100) : 0
+
+function ProgressBar({ completed, total }: { completed: number; total: number }) {
+  return (
+    <div className="flex items-center gap-2">
+      <div className="w-24 bg-gray-200 rounded-full h-2">
+        <div className="bg-blue-600 h-2 rounded-full" style={{ width: `${percent({ completed, total })}%` }} />
+      </div>
+      <span className="text-xs text-gray-600">{completed}/{total}</span>
+    </div>
+  )
+}
+
+// Students' progress through every module, one row per student
+function ModuleProgressTable({ classroomId }: { classroomId: string }) {
+  const { data, isLoading } = useQuery({
+    queryKey: ['classroom-module-progress', classroomId],
+    queryFn: () => apiClient.getModuleProgress(classroomId),
+  })
+
+  const modules: { _id: string; title: string }[] = (data as any)?.modules || []
+  const students: any[] = (data as any)?.students || []
+
+  if (isLoading) {
+    return <p className="text-sm text-gray-500">Loading progress...</p>
+  }
+
+  if (students.length === 0 || modules.length === 0) {
+    return <p className="text-sm text-gray-500">Progress shows here once there are students and modules.</p>
+  }
+
+  return (
+    <div className="overflow-x-auto border rounded-md">
+      <table className="w-full">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Student</th>
+            {modules.map(module => (
+              <th key={module._id} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">
+                {module.title}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {students.map(row => (
+            <tr key={row.student._id}>
+              <td className="px-4 py-2 text-sm font-medium text-gray-900">{row.student.name}</td>
+              {row.modules.map((progress: any) => (
+                <td key={progress.module} className="px-4 py-2">
+                  <ProgressBar completed={progress.completed} total={progress.total} />
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+// Syllabus units that group a classroom's posts, assignments, DPPs, quizzes and video classes
+export default function ClassroomModules({ classroomId, isStaff, canManage }: ClassroomModulesProps) {
+  const queryClient = useQueryClient()
+  const [title, setTitle] = useState('')
+  const [description, setDescription] = useState('')
+  const [showProgress, setShowProgress] = useState(false)
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['classroom-modules', classroomId],
+    queryFn: () => apiClient.getClassroomModules(classroomId),
+  })
+
+  const modules: ClassroomModule[] = (data as any)?.modules || []
+  const unassigned: ModuleItem[] = (data as any)?.unassigned || []
+
+  const invalidate = () => {
+    queryClient.invalidateQueries({ queryKey: ['classroom-modules', classroomId] })
+    queryClient.invalidateQueries({ queryKey: ['classroom-module-progress', classroomId] })
+  }
+
+  const createMutation = useMutation({
+    mutationFn: () => apiClient.createClassroomModule(classroomId, {
+      title: title.trim(),
+      description: description.trim() || undefined,
+    }),
+    onSuccess: (response: any) => {
+      toast({ title: response.message })
+      setTitle('')
+      setDescription('')
+      invalidate()
+    },
+    onError: showError('Failed to create module'),
+  })
+
+  const moveMutation = useMutation({
+    mutationFn: ({ moduleId, position }: { moduleId: string; position: number }) =>
+      apiClient.updateClassroomModule(classroomId, moduleId, { position }),
+    onSuccess: invalidate,
+    onError: showError('Failed to move module'),
+  })
+
+  const deleteMutation = useMutation({
+    mutationFn: (moduleId: string) => apiClient.deleteClassroomModule(classroomId, moduleId),
+    onSuccess: (response: any) => {
+      toast({ title: response.message })
+      invalidate()
+    },
+    onError: showError('Failed to delete module'),
+  })
+
+  const setModuleMutation = useMutation({
+    mutationFn: ({ item, moduleId }: { item: ModuleItem; moduleId: string | null }) =>
+      apiClient.setContentModule(classroomId, item.type, item._id, moduleId),
+    onSuccess: invalidate,
+    onError: showError('Failed to update module content'),
+  })
+
+  const handleDelete = (module: ClassroomModule) => {
+    if (confirm(`Delete ${module.title}? Its content stays in the classroom.`)) {
+      deleteMutation.mutate(module._id)
+    }
+  }
+
+  const handleAddItem = (moduleId: string, key: string) => {
+    const item = unassigned.find(candidate => `${candidate.type}:${candidate._id}` === key)
+    if (item) setModuleMutation.mutate({ item, moduleId })
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-start justify-between gap-4">
+          <div className="space-y-1.5">
+            <CardTitle className="flex items-center gap-2">
+              <ListTree className="h-5 w-5" />
+              Modules
+            </CardTitle>
+            <CardDescription>
+              {isStaff
+                ? 'Organize the syllabus into units. Assignments, quizzes, DPPs and video classes in a module count towards each student\'s progress through it.'
+                : 'Everything for each unit of the syllabus, and how far you have got through it.'}
+            </CardDescription>
+          </div>
+          {isStaff && modules.length > 0 && (
+            <Button variant="outline" size="sm" onClick={() => setShowProgress(!showProgress)}>
+              {showProgress ? 'Show Modules' : 'Student Progress'}
+            </Button>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {canManage && !showProgress && (
+          <div className="flex flex-wrap items-center gap-2">
+            <Input
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              placeholder="Module title, e.g. Unit 3: Thermodynamics"
+              className="w-72"
+            />
+            <Input
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              placeholder="Description (optional)"
+              className="w-72"
+            />
+            <Button onClick={() => createMutation.mutate()} disabled={!title.trim() || createMutation.isPending}>
+              {createMutation.isPending ? 'Adding...' : 'Add Module'}
+            </Button>
+          </div>
+        )}
+
+        {showProgress ? (
+          <ModuleProgressTable classroomId={classroomId} />
+        ) : isLoading ? (
+          <p className="text-sm text-gray-500">Loading modules...</p>
+        ) : modules.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            {isStaff ? 'No modules yet. Content stays in its own tab until you add it to one.' : 'Your teacher has not set up modules yet.'}
+          </p>
+        ) : (
+          <div className="space-y-4">
+            {modules.map((module, index) => (
+              <div key={module._id} className="border rounded-md p-4 space-y-3">
+                <div className="flex items-start justify-between gap-4">
+                  <div>
+                    <p className="font-medium">{module.title}</p>
+                    {module.description && <p className="text-sm text-gray-600">{module.description}</p>}
+                  </div>
+                  <div className="flex items-center gap-2">
+                    {module.progress && <ProgressBar {...module.progress} />}
+                    {canManage && (
+                      <>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          disabled={index === 0 || moveMutation.isPending}
+                          onClick={() => moveMutation.mutate({ moduleId: module._id, position: index - 1 })}
+                        >
+                          <ArrowUp className="h-4 w-4" />
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          disabled={index === modules.length - 1 || moveMutation.isPending}
+                          onClick={() => moveMutation.mutate({ moduleId: module._id, position: index + 1 })}
+                        >
+                          <ArrowDown className="h-4 w-4" />
+                        </Button>
+                        <Button variant="ghost" size="sm" onClick={() => handleDelete(module)}>
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      </>
+                    )}
+                  </div>
+                </div>
+
+                {module.items.length === 0 ? (
+                  <p className="text-sm text-gray-500">Nothing in this module yet.</p>
+                ) : (
+                  <div className="divide-y">
+                    {module.items.map(item => (
+                      <div key={`${item.type}:${item._id}`} className="flex items-center justify-between py-2">
+                        <div className="flex items-center gap-2">
+                          {!isStaff && item.tracked && (
+                            item.completed
+                              ? <CheckCircle2 className="h-4 w-4 text-green-600" />
+                              : <Circle className="h-4 w-4 text-gray-400" />
+                          )}
+                          <Badge variant="secondary">{ITEM_TYPE_LABELS[item.type]}</Badge>
+                          <span className="text-sm">{item.title}</span>
+                          {isStaff && !item.published && <Badge variant="outline">Not published</Badge>}
+                        </div>
+                        <div className="flex items-center gap-2">
+                          {item.date && (
+                            <span className="text-xs text-gray-500">{new Date(item.date).toLocaleDateString()}</span>
+                          )}
+                          {canManage && (
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => setModuleMutation.mutate({ item, moduleId: null })}
+                            >
+                              <X className="h-4 w-4" />
+                            </Button>
+                          )}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {canManage && unassigned.length > 0 && (
+                  <select
+                    value=""
+                    onChange={(e) => handleAddItem(module._id, e.target.value)}
+                    className="h-9 rounded-md border border-input bg-background px-3 text-sm"
+                  >
+                    <option value="">Add content...</option>
+                    {unassigned.map(item => (
+                      <option key={`${item.type}:${item._id}`} value={`${item.type}:${item._id}`}>
+                        {ITEM_TYPE_LABELS[item.type]}: {item.title}
+                      </option>
+                    ))}
+                  </select>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -12,6 +12,7 @@ import { Badge } from '@/components/ui/badge'
 import { Avatar, AvatarFallback } from '@/components/ui/avatar'
 import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger } from '@/components/ui/dialog'
 import { toast } from '@/hooks/use-toast'
+import AudiencePicker from '@/components/classroom/audience-picker'
 import { 
   Plus, 
   MessageSquare, 
@@ -39,6 +40,7 @@ export default function ClassroomPosts({ classroomId, isTeacher }: ClassroomPost
     title: '',
     content: '',
     type: 'announcement' as 'announcement' | 'material',
+    targetGroups: [] as string[],
   })
   const [selectedFiles, setSelectedFiles] = useState<FileList | null>(null)
 
@@ -66,7 +68,7 @@ export default function ClassroomPosts({ classroomId, isTeacher }: ClassroomPost
       })
       queryClient.invalidateQueries({ queryKey: ['posts', classroomId] })
       setIsCreateDialogOpen(false)
-      setNewPost({ title: '', content: '', type: 'announcement' })
+      setNewPost({ title: '', content: '', type: 'announcement', targetGroups: [] })
       setSelectedFiles(null)
     },
   })
@@ -81,7 +83,7 @@ export default function ClassroomPosts({ classroomId, isTeacher }: ClassroomPost
       })
       queryClient.invalidateQueries({ queryKey: ['posts', classroomId] })
       setIsCreateDialogOpen(false)
-      setNewPost({ title: '', content: '', type: 'announcement' })
+      setNewPost({ title: '', content: '', type: 'announcement', targetGroups: [] })
       setSelectedFiles(null)
     },
   })
@@ -182,6 +184,11 @@ export default function ClassroomPosts({ classroomId, isTeacher }: ClassroomPost
                   className="mt-1"
                 />
               </div>
+              <AudiencePicker
+                classroomId={classroomId}
+                value={newPost.targetGroups}
+                onChange={(targetGroups) => setNewPost(prev => ({ ...prev, targetGroups }))}
+              />
 
               {/* File Upload for Material Posts */}
               {newPost.type === 'material' && (
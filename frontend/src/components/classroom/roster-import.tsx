@@ -0,0 +1,115 @@
+'use client'
+
+import { useState } from 'react'
+import { useMutation, useQueryClient } from '@tanstack/react-query'
+import { apiClient } from '@/lib/api'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { toast } from '@/hooks/use-toast'
+import { Upload } from 'lucide-react'
+
+type RowStatus = 'created' | 'enrolled' | 'skipped' | 'error'
+
+interface ImportRow {
+  line: number
+  name: string
+  email: string
+  status: RowStatus
+  message: string
+}
+
+interface ImportReport {
+  summary: Record<RowStatus | 'total', number>
+  rows: ImportRow[]
+}
+
+interface RosterImportProps {
+  classroomId: string
+}
+
+const STATUS_VARIANTS: Record<RowStatus, 'default' | 'secondary' | 'outline' | 'destructive'> = {
+  created: 'default',
+  enrolled: 'secondary',
+  skipped: 'outline',
+  error: 'destructive',
+}
+
+// Bulk enrollment from a CSV with name, email, studentId and level columns
+export default function RosterImport({ classroomId }: RosterImportProps) {
+  const queryClient = useQueryClient()
+  const [file, setFile] = useState<File | null>(null)
+  const [sendInvites, setSendInvites] = useState(true)
+  const [report, setReport] = useState<ImportReport | null>(null)
+
+  const importMutation = useMutation({
+    mutationFn: () => apiClient.importRoster(classroomId, file as File, sendInvites),
+    onSuccess: (response: ImportReport) => {
+      setReport(response)
+      setFile(null)
+      toast({
+        title: 'Roster imported',
+        description: `${response.summary.created} created, ${response.summary.enrolled} enrolled, ${response.summary.skipped} skipped, ${response.summary.error} with errors`,
+      })
+      queryClient.invalidateQueries({ queryKey: ['classroom-students', classroomId] })
+    },
+    onError: (error) => {
+      toast({
+        title: 'Failed to import roster',
+        description: error instanceof Error ? error.message : 'An error occurred',
+        variant: 'destructive',
+      })
+    },
+  })
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <Upload className="h-5 w-5" />
+          <span>Import Roster</span>
+        </CardTitle>
+        <CardDescription>
+          Upload a CSV with <span className="font-mono">name</span>, <span className="font-mono">email</span> and
+          optionally <span className="font-mono">studentId</span> and <span className="font-mono">level</span> columns.
+          Students without an account get one; existing student accounts are matched by email.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <input
+          type="file"
+          accept=".csv,text/csv"
+          onChange={(e) => setFile(e.target.files?.[0] || null)}
+          className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+        />
+        <label className="flex items-center space-x-3">
+          <input
+            type="checkbox"
+            className="h-4 w-4"
+            checked={sendInvites}
+            onChange={(e) => setSendInvites(e.target.checked)}
+          />
+          <span className="text-sm">Email new students an invite to set their password</span>
+        </label>
+        <Button onClick={() => importMutation.mutate()} disabled={!file || importMutation.isPending}>
+          {importMutation.isPending ? 'Importing...' : 'Import'}
+        </Button>
+
+        {report && (
+          <div className="divide-y border rounded-md">
+            {report.rows.map(row => (
+              <div key={row.line} className="flex items-center justify-between px-3 py-2 text-sm">
+                <div className="min-w-0">
+                  <span className="text-gray-400 mr-2">Row {row.line}</span>
+                  <span className="font-medium">{row.name || row.email}</span>
+                  <span className="text-gray-500"> · {row.message}</span>
+                </div>
+                <Badge variant={STATUS_VARIANTS[row.status]} className="capitalize">{row.status}</Badge>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,67 @@
+'use client'
+
+import { useQuery, useMutation } from '@tanstack/react-query'
+import { useRouter } from 'next/navigation'
+import { apiClient } from '@/lib/api'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent } from '@/components/ui/card'
+import { toast } from '@/hooks/use-toast'
+import { ClipboardCheck } from 'lucide-react'
+
+interface ScreeningBannerProps {
+  classroomId: string
+}
+
+// Asks a new student to take the classroom's placement screening test
+export default function ScreeningBanner({ classroomId }: ScreeningBannerProps) {
+  const router = useRouter()
+
+  const { data } = useQuery({
+    queryKey: ['classroom-screening', classroomId],
+    queryFn: () => apiClient.getScreeningTest(classroomId),
+  })
+
+  const screening = data as any
+
+  const startMutation = useMutation({
+    mutationFn: () => apiClient.startQuizSession(screening.screeningTest._id),
+    onSuccess: (response: any) => {
+      router.push(`/quiz/${response.session._id}`)
+    },
+    onError: (error) => {
+      toast({
+        title: 'Could not start the screening test',
+        description: error instanceof Error ? error.message : 'An error occurred',
+        variant: 'destructive',
+      })
+    },
+  })
+
+  if (!screening?.pending || !screening.screeningTest) return null
+
+  return (
+    <Card className="border-blue-200 bg-blue-50">
+      <CardContent className="flex flex-wrap items-center justify-between gap-4 pt-6">
+        <div className="flex items-start gap-3">
+          <ClipboardCheck className="mt-0.5 h-5 w-5 text-blue-600" />
+          <div>
+            <p className="font-medium text-blue-900">Take the placement test: {screening.screeningTest.title}</p>
+            <p className="text-sm text-blue-800">
+              {screening.screeningTest.questionCount} questions · {screening.screeningTest.duration} minutes.
+              Your score sets your level, and some assignments and posts unlock once you finish.
+            </p>
+          </div>
+        </div>
+        {screening.activeSessionId ? (
+          <Button onClick={() => router.push(`/quiz/${screening.activeSessionId}`)}>
+            Resume Test
+          </Button>
+        ) : (
+          <Button onClick={() => startMutation.mutate()} disabled={startMutation.isPending}>
+            {startMutation.isPending ? 'Starting...' : 'Start Test'}
+          </Button>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,161 @@
+'use client'
+
+import { useEffect, useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { apiClient } from '@/lib/api'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Badge } from '@/components/ui/badge'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { toast } from '@/hooks/use-toast'
+import { ClipboardCheck } from 'lucide-react'
+
+interface ScreeningResult {
+  student: { _id: string; name: string; email: string }
+  completed: boolean
+  score: number | null
+  level: string
+}
+
+interface ScreeningTestProps {
+  classroomId: string
+}
+
+// Placement screening for new students: which quiz, the score bands and who has taken it
+export default function ScreeningTest({ classroomId }: ScreeningTestProps) {
+  const queryClient = useQueryClient()
+  const [quizId, setQuizId] = useState('')
+  const [intermediate, setIntermediate] = useState('40')
+  const [advanced, setAdvanced] = useState('75')
+
+  const { data } = useQuery({
+    queryKey: ['classroom-screening', classroomId],
+    queryFn: () => apiClient.getScreeningTest(classroomId),
+  })
+
+  const screening = data as any
+  const quizzes: { _id: string; title: string; isScreening: boolean }[] = screening?.quizzes || []
+  const results: ScreeningResult[] = screening?.results || []
+
+  useEffect(() => {
+    if (!screening) return
+    setQuizId(screening.screeningTest?._id || '')
+    setIntermediate(String(screening.thresholds?.intermediate ?? 40))
+    setAdvanced(String(screening.thresholds?.advanced ?? 75))
+  }, [screening])
+
+  const updateMutation = useMutation({
+    mutationFn: () => apiClient.updateScreeningTest(classroomId, {
+      quizId: quizId || null,
+      thresholds: { intermediate: Number(intermediate), advanced: Number(advanced) },
+    }),
+    onSuccess: (response: any) => {
+      toast({ title: response.message })
+      queryClient.invalidateQueries({ queryKey: ['classroom-screening', classroomId] })
+      queryClient.invalidateQueries({ queryKey: ['classroomQuizzes', classroomId] })
+    },
+    onError: (error) => {
+      toast({
+        title: 'Failed to update screening test',
+        description: error instanceof Error ? error.message : 'An error occurred',
+        variant: 'destructive',
+      })
+    },
+  })
+
+  if (!screening) return null
+
+  const completedCount = results.filter(result => result.completed).length
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ClipboardCheck className="h-5 w-5" />
+          Placement Screening
+        </CardTitle>
+        <CardDescription>
+          Students who join after you set a screening quiz take it first. Their score sets their level, and
+          level-targeted assignments and posts stay hidden until they finish. The chosen quiz is always open
+          to them and no longer appears in the quiz list.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="flex flex-wrap items-end gap-4">
+          <div className="space-y-1">
+            <Label htmlFor="screeningQuiz">Screening quiz</Label>
+            <select
+              id="screeningQuiz"
+              value={quizId}
+              onChange={(e) => setQuizId(e.target.value)}
+              className="h-10 rounded-md border border-input bg-background px-3 text-sm"
+            >
+              <option value="">No screening test</option>
+              {quizzes.map(quiz => (
+                <option key={quiz._id} value={quiz._id}>
+                  {quiz.title}{quiz.isScreening ? ' (screening)' : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="intermediateThreshold">Intermediate from (%)</Label>
+            <Input
+              id="intermediateThreshold"
+              type="number"
+              min={0}
+              max={100}
+              value={intermediate}
+              onChange={(e) => setIntermediate(e.target.value)}
+              className="w-28"
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="advancedThreshold">Advanced from (%)</Label>
+            <Input
+              id="advancedThreshold"
+              type="number"
+              min={0}
+              max={100}
+              value={advanced}
+              onChange={(e) => setAdvanced(e.target.value)}
+              className="w-28"
+            />
+          </div>
+          <Button onClick={() => updateMutation.mutate()} disabled={updateMutation.isPending}>
+            {updateMutation.isPending ? 'Saving...' : 'Save'}
+          </Button>
+        </div>
+
+        {screening.screeningTest && (
+          <div className="space-y-2">
+            <p className="text-sm text-gray-600">
+              {completedCount} of {results.length} new students have taken the test
+            </p>
+            {results.length > 0 && (
+              <div className="divide-y">
+                {results.map(result => (
+                  <div key={result.student._id} className="flex items-center justify-between py-2">
+                    <div>
+                      <p className="text-sm font-medium">{result.student.name}</p>
+                      <p className="text-xs text-gray-500">{result.student.email}</p>
+                    </div>
+                    {result.completed ? (
+                      <div className="flex items-center gap-2">
+                        <span className="text-sm text-gray-600">{result.score}%</span>
+                        <Badge variant="secondary" className="capitalize">{result.level}</Badge>
+                      </div>
+                    ) : (
+                      <Badge variant="outline">Not taken</Badge>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,151 @@
+'use client'
+
+import { useEffect, useRef, useState } from 'react'
+import { useRouter } from 'next/navigation'
+import { useQuery } from '@tanstack/react-query'
+import { apiClient } from '@/lib/api'
+import { Input } from '@/components/ui/input'
+import { Badge } from '@/components/ui/badge'
+import { Paperclip, Search, X } from 'lucide-react'
+
+type ResultType = 'post' | 'comment' | 'assignment' | 'quiz' | 'dpp'
+
+interface SearchResult {
+  type: ResultType
+  _id: string
+  title: string
+  snippet: string | null
+  attachment: string | null
+  matches: string[]
+  post?: { _id: string; title?: string }
+  published?: boolean
+  date: string
+}
+
+interface ClassroomSearchProps {
+  classroomId: string
+  // Switch the classroom page to the tab that lists this kind of result
+  onOpenTab: (tab: string) => void
+}
+
+const TYPE_LABELS: Record<ResultType, string> = {
+  post: 'Post',
+  comment: 'Comment',
+  assignment: 'Assignment',
+  quiz: 'Quiz',
+  dpp: 'DPP',
+}
+
+// Search box for the classroom's posts, comments, assignments, quizzes and DPPs
+export default function ClassroomSearch({ classroomId, onOpenTab }: ClassroomSearchProps) {
+  const router = useRouter()
+  const containerRef = useRef<HTMLDivElement>(null)
+  const [input, setInput] = useState('')
+  const [query, setQuery] = useState('')
+  const [open, setOpen] = useState(false)
+
+  // Wait for a pause in typing before searching
+  useEffect(() => {
+    const timeout = setTimeout(() => setQuery(input.trim()), 300)
+    return () => clearTimeout(timeout)
+  }, [input])
+
+  useEffect(() => {
+    const handleClick = (event: MouseEvent) => {
+      if (containerRef.current && !containerRef.current.contains(event.target as Node)) {
+        setOpen(false)
+      }
+    }
+    document.addEventListener('mousedown', handleClick)
+    return () => document.removeEventListener('mousedown', handleClick)
+  }, [])
+
+  const { data, isFetching } = useQuery({
+    queryKey: ['classroom-search', classroomId, query],
+    queryFn: () => apiClient.searchClassroom(classroomId, query),
+    enabled: query.length >= 2,
+  })
+
+  const results: SearchResult[] = (data as any)?.results || []
+
+  const openResult = (result: SearchResult) => {
+    setOpen(false)
+    if (result.type === 'post') {
+      router.push(`/dashboard/posts/${result._id}`)
+    } else if (result.type === 'comment' && result.post) {
+      router.push(`/dashboard/posts/${result.post._id}`)
+    } else if (result.type === 'assignment') {
+      router.push(`/dashboard/assignments/${result._id}`)
+    } else {
+      onOpenTab(result.type === 'quiz' ? 'quizzes' : 'dpp')
+    }
+  }
+
+  return (
+    <div ref={containerRef} className="relative">
+      <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-gray-400" />
+      <Input
+        value={input}
+        onChange={(e) => {
+          setInput(e.target.value)
+          setOpen(true)
+        }}
+        onFocus={() => setOpen(true)}
+        onKeyDown={(e) => {
+          if (e.key === 'Escape') setOpen(false)
+        }}
+        placeholder="Search posts, comments, assignments, quizzes and DPPs"
+        className="pl-9 pr-9"
+      />
+      {input && (
+        <button
+          type="button"
+          onClick={() => {
+            setInput('')
+            setOpen(false)
+          }}
+          className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-400 hover:text-gray-600"
+        >
+          <X className="h-4 w-4" />
+        </button>
+      )}
+
+      {open && query.length >= 2 && (
+        <div className="absolute z-20 mt-1 w-full max-h-96 overflow-y-auto rounded-md border bg-white shadow-lg">
+          {isFetching && results.length === 0 ? (
+            <p className="px-4 py-3 text-sm text-gray-500">Searching...</p>
+          ) : results.length === 0 ? (
+            <p className="px-4 py-3 text-sm text-gray-500">No results for &quot;{query}&quot;</p>
+          ) : (
+            <div className="divide-y">
+              {results.map(result => (
+                <button
+                  key={`${result.type}-${result._id}`}
+                  type="button"
+                  onClick={() => openResult(result)}
+                  className="block w-full px-4 py-2 text-left hover:bg-gray-50"
+                >
+                  <div className="flex items-center gap-2">
+                    <Badge variant="outline">{TYPE_LABELS[result.type]}</Badge>
+                    <span className="text-sm font-medium text-gray-900 truncate">{result.title}</span>
+                    {result.published === false && <Badge variant="secondary">Unpublished</Badge>}
+                  </div>
+                  {result.type === 'comment' && result.post?.title && (
+                    <p className="mt-1 text-xs text-gray-500">On &quot;{result.post.title}&quot;</p>
+                  )}
+                  {result.snippet && <p className="mt-1 text-xs text-gray-600 line-clamp-2">{result.snippet}</p>}
+                  {result.attachment && (
+                    <p className="mt-1 flex items-center gap-1 text-xs text-gray-600">
+                      <Paperclip className="h-3 w-3" />
+                      {result.attachment}
+                    </p>
+                  )}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,123 @@
+'use client'
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { apiClient } from '@/lib/api'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { toast } from '@/hooks/use-toast'
+import { ShieldAlert } from 'lucide-react'
+
+interface SecurityEvent {
+  _id: string
+  type: 'account_locked' | 'ip_locked' | 'account_unlocked'
+  user: { _id: string; name: string; email: string } | null
+  actor: { _id: string; name: string } | null
+  failures: number
+  createdAt: string
+}
+
+interface LockedStudent {
+  student: { _id: string; name: string; email: string }
+  lockedUntil: string
+}
+
+interface ClassroomSecurityEventsProps {
+  classroomId: string
+}
+
+const EVENT_LABELS: Record<SecurityEvent['type'], string> = {
+  account_locked: 'Locked after failed logins',
+  ip_locked: 'Login attempts blocked from an IP address',
+  account_unlocked: 'Unlocked',
+}
+
+// Lockouts on student accounts, so teachers can spot and clear suspicious activity
+export default function ClassroomSecurityEvents({ classroomId }: ClassroomSecurityEventsProps) {
+  const queryClient = useQueryClient()
+
+  const { data } = useQuery({
+    queryKey: ['classroom-security-events', classroomId],
+    queryFn: () => apiClient.getClassroomSecurityEvents(classroomId),
+  })
+
+  const events: SecurityEvent[] = (data as any)?.events || []
+  const lockedStudents: LockedStudent[] = (data as any)?.lockedStudents || []
+
+  const unlockMutation = useMutation({
+    mutationFn: (studentId: string) => apiClient.unlockStudent(classroomId, studentId),
+    onSuccess: (response: any) => {
+      toast({ title: response.message })
+      queryClient.invalidateQueries({ queryKey: ['classroom-security-events', classroomId] })
+    },
+    onError: (error) => {
+      toast({
+        title: 'Failed to unlock student',
+        description: error instanceof Error ? error.message : 'An error occurred',
+        variant: 'destructive',
+      })
+    },
+  })
+
+  if (events.length === 0 && lockedStudents.length === 0) {
+    return null
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <ShieldAlert className="h-5 w-5" />
+          <span>Account Security</span>
+        </CardTitle>
+        <CardDescription>
+          Student accounts are locked for a while after repeated failed logins
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {lockedStudents.length > 0 && (
+          <div className="divide-y">
+            {lockedStudents.map(({ student, lockedUntil }) => (
+              <div key={student._id} className="flex items-center justify-between py-3">
+                <div>
+                  <p className="font-medium">{student.name}</p>
+                  <p className="text-sm text-gray-500">
+                    Locked until {new Date(lockedUntil).toLocaleTimeString()}
+                  </p>
+                </div>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  disabled={unlockMutation.isPending}
+                  onClick={() => unlockMutation.mutate(student._id)}
+                >
+                  Unlock
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {events.length > 0 && (
+          <div className="space-y-2">
+            <p className="text-sm font-medium text-gray-900">Recent activity</p>
+            {events.slice(0, 10).map(event => (
+              <div key={event._id} className="flex items-center justify-between text-sm">
+                <div>
+                  <span className="font-medium">{event.user?.name}</span>
+                  <span className="text-gray-500">
+                    {' '}· {EVENT_LABELS[event.type]}
+                    {event.type === 'account_unlocked' && event.actor && ` by ${event.actor.name}`}
+                  </span>
+                </div>
+                <Badge variant={event.type === 'account_unlocked' ? 'secondary' : 'destructive'}>
+                  {new Date(event.createdAt).toLocaleString()}
+                </Badge>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -10,7 +10,7 @@ import { Label } from '@/components/ui/label'
 import { Textarea } from '@/components/ui/textarea'
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
 import { toast } from '@/hooks/use-toast'
-import { Settings, Trash2, Save, AlertTriangle } from 'lucide-react'
+import { Settings, Trash2, Save, AlertTriangle, ShieldCheck } from 'lucide-react'
 
 interface ClassroomSettingsProps {
   classroom: any
@@ -38,6 +38,22 @@ export default function ClassroomSettings({ classroom }: ClassroomSettingsProps)
     },
   })
 
+  const twoFactorPolicyMutation = useMutation({
+    mutationFn: (requireTeacherTwoFactor: boolean) =>
+      apiClient.updateClassroom(classroom._id, { requireTeacherTwoFactor }),
+    onSuccess: () => {
+      toast({ title: 'Security settings updated' })
+      queryClient.invalidateQueries({ queryKey: ['classroom', classroom._id] })
+    },
+    onError: (error) => {
+      toast({
+        title: 'Failed to update security settings',
+        description: error instanceof Error ? error.message : 'An error occurred',
+        variant: 'destructive',
+      })
+    },
+  })
+
   const deleteClassroomMutation = useMutation({
     mutationFn: () => apiClient.deleteClassroom(classroom._id),
     onSuccess: () => {
@@ -161,6 +177,31 @@ export default function ClassroomSettings({ classroom }: ClassroomSettingsProps)
         </CardContent>
       </Card>
 
+      {/* Security */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center space-x-2">
+            <ShieldCheck className="h-5 w-5" />
+            <span>Security</span>
+          </CardTitle>
+          <CardDescription>
+            Staff without two-factor authentication will not be able to grade or review proctoring in any of their classrooms.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <label className="flex items-center space-x-3">
+            <input
+              type="checkbox"
+              className="h-4 w-4"
+              checked={!!classroom?.requireTeacherTwoFactor}
+              disabled={twoFactorPolicyMutation.isPending}
+              onChange={(e) => twoFactorPolicyMutation.mutate(e.target.checked)}
+            />
+            <span className="text-sm font-medium">Require two-factor authentication for teaching staff</span>
+          </label>
+        </CardContent>
+      </Card>
+
       {/* Classroom Code */}
       <Card>
         <CardHeader>
@@ -0,0 +1,177 @@
+'use client'
+
+import { useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { useAuthStore } from '@/store/auth'
+import { apiClient } from '@/lib/api'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { toast } from '@/hooks/use-toast'
+import { Crown, UserCog } from 'lucide-react'
+
+type StaffRole = 'co_teacher' | 'ta'
+
+interface StaffMember {
+  user: { _id: string; name: string; email: string }
+  role: StaffRole
+  addedAt: string
+}
+
+interface ClassroomStaffProps {
+  classroomId: string
+  isOwner: boolean
+}
+
+const ROLE_LABELS: Record<StaffRole, string> = {
+  co_teacher: 'Co-teacher',
+  ta: 'Teaching Assistant',
+}
+
+const showError = (title: string) => (error: unknown) => {
+  toast({
+    title,
+    description: error instanceof Error ? error.message : 'An error occurred',
+    variant: 'destructive',
+  })
+}
+
+export default function ClassroomStaff({ classroomId, isOwner }: ClassroomStaffProps) {
+  const { user } = useAuthStore()
+  const queryClient = useQueryClient()
+  const [email, setEmail] = useState('')
+  const [role, setRole] = useState<StaffRole>('ta')
+
+  const { data } = useQuery({
+    queryKey: ['classroom-staff', classroomId],
+    queryFn: () => apiClient.getClassroomStaff(classroomId),
+  })
+
+  const owner = (data as any)?.owner
+  const staff: StaffMember[] = ((data as any)?.staff || []).filter((s: StaffMember) => s.user)
+
+  const invalidate = () => {
+    queryClient.invalidateQueries({ queryKey: ['classroom-staff', classroomId] })
+  }
+
+  const addStaffMutation = useMutation({
+    mutationFn: () => apiClient.addClassroomStaff(classroomId, { email: email.trim(), role }),
+    onSuccess: (response: any) => {
+      toast({ title: response.message })
+      setEmail('')
+      invalidate()
+    },
+    onError: showError('Failed to add staff member'),
+  })
+
+  const updateRoleMutation = useMutation({
+    mutationFn: ({ userId, role }: { userId: string; role: StaffRole }) =>
+      apiClient.updateClassroomStaffRole(classroomId, userId, role),
+    onSuccess: (response: any) => {
+      toast({ title: response.message })
+      invalidate()
+    },
+    onError: showError('Failed to update role'),
+  })
+
+  const removeStaffMutation = useMutation({
+    mutationFn: (userId: string) => apiClient.removeClassroomStaff(classroomId, userId),
+    onSuccess: (response: any) => {
+      toast({ title: response.message })
+      invalidate()
+    },
+    onError: showError('Failed to remove staff member'),
+  })
+
+  const handleAddStaff = (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!email.trim()) return
+    addStaffMutation.mutate()
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <UserCog className="h-5 w-5" />
+          <span>Teaching Staff</span>
+        </CardTitle>
+        <CardDescription>
+          Co-teachers can manage content and the roster. Teaching assistants can grade, take attendance and review proctoring.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {isOwner && (
+          <form onSubmit={handleAddStaff} className="flex gap-2">
+            <Input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="Teacher's email address"
+            />
+            <select
+              value={role}
+              onChange={(e) => setRole(e.target.value as StaffRole)}
+              className="h-10 rounded-md border border-input bg-background px-3 text-sm"
+            >
+              <option value="ta">{ROLE_LABELS.ta}</option>
+              <option value="co_teacher">{ROLE_LABELS.co_teacher}</option>
+            </select>
+            <Button type="submit" disabled={!email.trim() || addStaffMutation.isPending}>
+              Add
+            </Button>
+          </form>
+        )}
+
+        <div className="divide-y">
+          {owner && (
+            <div className="flex items-center justify-between py-3">
+              <div>
+                <p className="font-medium">{owner.name}</p>
+                <p className="text-sm text-gray-500">{owner.email}</p>
+              </div>
+              <Badge>
+                <Crown className="mr-1 h-3 w-3" />
+                Owner
+              </Badge>
+            </div>
+          )}
+          {staff.map((member) => (
+            <div key={member.user._id} className="flex items-center justify-between py-3">
+              <div>
+                <p className="font-medium">{member.user.name}</p>
+                <p className="text-sm text-gray-500">{member.user.email}</p>
+              </div>
+              <div className="flex items-center gap-2">
+                {isOwner ? (
+                  <select
+                    value={member.role}
+                    onChange={(e) => updateRoleMutation.mutate({ userId: member.user._id, role: e.target.value as StaffRole })}
+                    disabled={updateRoleMutation.isPending}
+                    className="h-9 rounded-md border border-input bg-background px-3 text-sm"
+                  >
+                    <option value="ta">{ROLE_LABELS.ta}</option>
+                    <option value="co_teacher">{ROLE_LABELS.co_teacher}</option>
+                  </select>
+                ) : (
+                  <Badge variant="secondary">{ROLE_LABELS[member.role]}</Badge>
+                )}
+                {(isOwner || member.user._id === user?.id) && (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    disabled={removeStaffMutation.isPending}
+                    onClick={() => removeStaffMutation.mutate(member.user._id)}
+                  >
+                    {isOwner ? 'Remove' : 'Leave'}
+                  </Button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,322 @@
+'use client'
+
+import { Fragment, useEffect, useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { apiClient } from '@/lib/api'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Badge } from '@/components/ui/badge'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { toast } from '@/hooks/use-toast'
+import { Check, History, TrendingUp, X } from 'lucide-react'
+
+type Level = 'beginner' | 'intermediate' | 'advanced'
+
+interface LevelRules {
+  mode: 'off' | 'propose' | 'apply'
+  window: number
+  minResults: number
+  promoteAt: number
+  demoteAt: number
+  allowDemotion: boolean
+}
+
+interface LevelChange {
+  from: Level
+  to: Level
+  source: 'manual' | 'screening' | 'rules'
+  average?: number
+  changedBy?: { _id: string; name: string }
+  changedAt: string
+}
+
+interface StudentLevel {
+  student: { _id: string; name: string; email: string }
+  level: Level
+  levelProposal: { level: Level; average: number; results: number; proposedAt: string } | null
+  levelHistory: LevelChange[]
+}
+
+interface StudentLevelsProps {
+  classroomId: string
+  canManage: boolean
+}
+
+const LEVELS: Level[] = ['beginner', 'intermediate', 'advanced']
+
+const SOURCE_LABELS: Record<LevelChange['source'], string> = {
+  manual: 'Set by staff',
+  screening: 'Screening test',
+  rules: 'Level rules',
+}
+
+const showError = (title: string) => (error: unknown) => {
+  toast({
+    title,
+    description: error instanceof Error ? error.message : 'An error occurred',
+    variant: 'destructive',
+  })
+}
+
+// Level rules, proposals waiting for review and each student's level history
+export default function StudentLevels({ classroomId, canManage }: StudentLevelsProps) {
+  const queryClient = useQueryClient()
+  const [rules, setRules] = useState<LevelRules | null>(null)
+  const [historyFor, setHistoryFor] = useState<string | null>(null)
+
+  const { data } = useQuery({
+    queryKey: ['classroom-levels', classroomId],
+    queryFn: () => apiClient.getStudentLevels(classroomId),
+  })
+
+  const levels = data as any
+  const students: StudentLevel[] = levels?.students || []
+  const proposals = students.filter(row => row.levelProposal)
+
+  useEffect(() => {
+    if (levels?.rules) setRules(levels.rules)
+  }, [levels])
+
+  const invalidate = () => {
+    queryClient.invalidateQueries({ queryKey: ['classroom-levels', classroomId] })
+    queryClient.invalidateQueries({ queryKey: ['classroom-students', classroomId] })
+  }
+
+  const rulesMutation = useMutation({
+    mutationFn: () => apiClient.updateLevelRules(classroomId, rules!),
+    onSuccess: (response: any) => {
+      toast({ title: response.message })
+      invalidate()
+    },
+    onError: showError('Failed to update level rules'),
+  })
+
+  const evaluateMutation = useMutation({
+    mutationFn: () => apiClient.evaluateStudentLevels(classroomId),
+    onSuccess: (response: any) => {
+      toast({ title: response.message })
+      invalidate()
+    },
+    onError: showError('Failed to evaluate levels'),
+  })
+
+  const decideMutation = useMutation({
+    mutationFn: ({ studentId, decision }: { studentId: string; decision: 'approve' | 'reject' }) =>
+      apiClient.decideLevelProposal(classroomId, studentId, decision),
+    onSuccess: (response: any) => {
+      toast({ title: response.message })
+      invalidate()
+    },
+    onError: showError('Failed to review level change'),
+  })
+
+  const levelMutation = useMutation({
+    mutationFn: ({ studentId, level }: { studentId: string; level: string }) =>
+      apiClient.updateStudentLevel(classroomId, studentId, level),
+    onSuccess: (response: any) => {
+      toast({ title: response.message })
+      invalidate()
+    },
+    onError: showError('Failed to update level'),
+  })
+
+  if (!levels || !rules) return null
+
+  const setRule = <K extends keyof LevelRules>(key: K, value: LevelRules[K]) =>
+    setRules(prev => prev && { ...prev, [key]: value })
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <TrendingUp className="h-5 w-5" />
+          Student Levels
+        </CardTitle>
+        <CardDescription>
+          Level rules average each student&apos;s latest graded quizzes, DPPs and assignments since their level last
+          changed, and move them up (or down) a level when the average crosses a threshold.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {canManage && (
+          <div className="flex flex-wrap items-end gap-4 border rounded-md p-4">
+            <div className="space-y-1">
+              <Label htmlFor="levelRulesMode">Level rules</Label>
+              <select
+                id="levelRulesMode"
+                value={rules.mode}
+                onChange={(e) => setRule('mode', e.target.value as LevelRules['mode'])}
+                className="h-10 rounded-md border border-input bg-background px-3 text-sm"
+              >
+                <option value="off">Off</option>
+                <option value="propose">Propose changes for review</option>
+                <option value="apply">Change levels automatically</option>
+              </select>
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="levelRulesWindow">Latest results</Label>
+              <Input
+                id="levelRulesWindow"
+                type="number"
+                min={1}
+                max={50}
+                value={rules.window}
+                onChange={(e) => setRule('window', Number(e.target.value))}
+                className="w-24"
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="levelRulesMinResults">At least</Label>
+              <Input
+                id="levelRulesMinResults"
+                type="number"
+                min={1}
+                max={50}
+                value={rules.minResults}
+                onChange={(e) => setRule('minResults', Number(e.target.value))}
+                className="w-24"
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="levelRulesPromoteAt">Promote from (%)</Label>
+              <Input
+                id="levelRulesPromoteAt"
+                type="number"
+                min={0}
+                max={100}
+                value={rules.promoteAt}
+                onChange={(e) => setRule('promoteAt', Number(e.target.value))}
+                className="w-28"
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="levelRulesDemoteAt">Demote below (%)</Label>
+              <Input
+                id="levelRulesDemoteAt"
+                type="number"
+                min={0}
+                max={100}
+                value={rules.demoteAt}
+                disabled={!rules.allowDemotion}
+                onChange={(e) => setRule('demoteAt', Number(e.target.value))}
+                className="w-28"
+              />
+            </div>
+            <label className="flex items-center gap-2 text-sm h-10">
+              <input
+                type="checkbox"
+                checked={rules.allowDemotion}
+                onChange={(e) => setRule('allowDemotion', e.target.checked)}
+              />
+              Allow demotion
+            </label>
+            <Button onClick={() => rulesMutation.mutate()} disabled={rulesMutation.isPending}>
+              {rulesMutation.isPending ? 'Saving...' : 'Save'}
+            </Button>
+            {levels.rules.mode !== 'off' && (
+              <Button variant="outline" onClick={() => evaluateMutation.mutate()} disabled={evaluateMutation.isPending}>
+                {evaluateMutation.isPending ? 'Checking...' : 'Check Now'}
+              </Button>
+            )}
+          </div>
+        )}
+
+        {proposals.length > 0 && (
+          <div className="space-y-2">
+            <p className="font-medium">Proposed level changes</p>
+            <div className="divide-y border rounded-md">
+              {proposals.map(row => (
+                <div key={row.student._id} className="flex items-center justify-between px-3 py-2">
+                  <div>
+                    <p className="text-sm font-medium">{row.student.name}</p>
+                    <p className="text-xs text-gray-500">
+                      Averaged {row.levelProposal!.average}% over {row.levelProposal!.results} results
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <Badge variant="outline" className="capitalize">{row.level}</Badge>
+                    <span className="text-gray-400">→</span>
+                    <Badge className="capitalize">{row.levelProposal!.level}</Badge>
+                    {canManage && (
+                      <>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          disabled={decideMutation.isPending}
+                          onClick={() => decideMutation.mutate({ studentId: row.student._id, decision: 'approve' })}
+                        >
+                          <Check className="h-4 w-4 text-green-600" />
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          disabled={decideMutation.isPending}
+                          onClick={() => decideMutation.mutate({ studentId: row.student._id, decision: 'reject' })}
+                        >
+                          <X className="h-4 w-4 text-red-600" />
+                        </Button>
+                      </>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {students.length === 0 ? (
+          <p className="text-sm text-gray-500">No students are enrolled yet.</p>
+        ) : (
+          <div className="divide-y">
+            {students.map(row => (
+              <Fragment key={row.student._id}>
+                <div className="flex items-center justify-between py-2">
+                  <div>
+                    <p className="text-sm font-medium">{row.student.name}</p>
+                    <p className="text-xs text-gray-500">{row.student.email}</p>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    {canManage ? (
+                      <select
+                        value={row.level}
+                        onChange={(e) => levelMutation.mutate({ studentId: row.student._id, level: e.target.value })}
+                        className="h-9 rounded-md border border-input bg-background px-3 text-sm capitalize"
+                      >
+                        {LEVELS.map(level => (
+                          <option key={level} value={level}>{level}</option>
+                        ))}
+                      </select>
+                    ) : (
+                      <Badge variant="secondary" className="capitalize">{row.level}</Badge>
+                    )}
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      disabled={row.levelHistory.length === 0}
+                      onClick={() => setHistoryFor(historyFor === row.student._id ? null : row.student._id)}
+                    >
+                      <History className="h-4 w-4" />
+                    </Button>
+                  </div>
+                </div>
+                {historyFor === row.student._id && (
+                  <div className="pb-3 pl-4 space-y-1">
+                    {[...row.levelHistory].reverse().map((change, index) => (
+                      <p key={index} className="text-xs text-gray-600">
+                        {new Date(change.changedAt).toLocaleDateString()}: <span className="capitalize">{change.from}</span>
+                        {' → '}<span className="capitalize">{change.to}</span> ({SOURCE_LABELS[change.source]}
+                        {change.average !== undefined && change.average !== null ? `, averaged ${change.average}%` : ''}
+                        {change.changedBy ? `, by ${change.changedBy.name}` : ''})
+                      </p>
+                    ))}
+                  </div>
+                )}
+              </Fragment>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
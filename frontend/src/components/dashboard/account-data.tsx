@@ -0,0 +1,134 @@
+'use client'
+
+import { useState } from 'react'
+import { useRouter } from 'next/navigation'
+import { useQuery, useMutation } from '@tanstack/react-query'
+import { apiClient } from '@/lib/api'
+import { useAuthStore } from '@/store/auth'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { toast } from '@/hooks/use-toast'
+import { Download, Trash2 } from 'lucide-react'
+
+// Personal data download and account deletion
+export default function AccountData() {
+  const router = useRouter()
+  const { user, logout } = useAuthStore()
+  const [password, setPassword] = useState('')
+  const [code, setCode] = useState('')
+
+  const isStaff = user?.role === 'teacher' || user?.role === 'admin'
+
+  const { data: twoFactorStatus } = useQuery({
+    queryKey: ['two-factor-status'],
+    queryFn: () => apiClient.getTwoFactorStatus(),
+    enabled: isStaff,
+  })
+
+  const twoFactorEnabled = !!(twoFactorStatus as any)?.enabled
+
+  const exportMutation = useMutation({
+    mutationFn: () => apiClient.exportMyData(),
+    onError: (error) => {
+      toast({
+        title: 'Could not download your data',
+        description: error instanceof Error ? error.message : 'An error occurred',
+        variant: 'destructive',
+      })
+    },
+  })
+
+  const deleteMutation = useMutation({
+    mutationFn: () => apiClient.deleteAccount({
+      password,
+      ...(twoFactorEnabled && { code: code.trim() }),
+    }),
+    onSuccess: (response: any) => {
+      toast({ title: response.message })
+      logout()
+      router.push('/')
+    },
+    onError: (error) => {
+      toast({
+        title: 'Could not delete your account',
+        description: error instanceof Error ? error.message : 'An error occurred',
+        variant: 'destructive',
+      })
+    },
+  })
+
+  const handleDelete = () => {
+    if (confirm('Delete your account? Your submissions, quiz attempts and records will be removed. Posts and comments you wrote will stay, shown as "Deleted user". This cannot be undone.')) {
+      deleteMutation.mutate()
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Your Data</CardTitle>
+        <CardDescription>
+          Download a copy of everything stored about you, or delete your account
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="flex items-center justify-between">
+          <p className="text-sm text-gray-600">
+            Profile, submissions, quiz attempts, practice problems, attendance, engagement records, posts and comments as JSON files in a zip archive.
+          </p>
+          <Button
+            variant="outline"
+            onClick={() => exportMutation.mutate()}
+            disabled={exportMutation.isPending}
+          >
+            <Download className="mr-2 h-4 w-4" />
+            {exportMutation.isPending ? 'Preparing...' : 'Download'}
+          </Button>
+        </div>
+
+        <div className="space-y-4 border-t pt-6">
+          <div>
+            <p className="font-medium text-red-600">Delete account</p>
+            <p className="text-sm text-gray-600">
+              Teachers need an admin to hand their classrooms over to someone else first.
+            </p>
+          </div>
+          <div className="grid gap-4 md:grid-cols-2 max-w-xl">
+            <div className="space-y-2">
+              <Label htmlFor="deletePassword">Password</Label>
+              <Input
+                id="deletePassword"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+              />
+            </div>
+            {twoFactorEnabled && (
+              <div className="space-y-2">
+                <Label htmlFor="deleteCode">Authentication code</Label>
+                <Input
+                  id="deleteCode"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  placeholder="123456"
+                />
+              </div>
+            )}
+          </div>
+          <Button
+            variant="destructive"
+            onClick={handleDelete}
+            disabled={!password || (twoFactorEnabled && !code.trim()) || deleteMutation.isPending}
+          >
+            <Trash2 className="mr-2 h-4 w-4" />
+            {deleteMutation.isPending ? 'Deleting...' : 'Delete Account'}
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
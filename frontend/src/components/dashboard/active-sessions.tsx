@@ -0,0 +1,131 @@
+'use client'
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { formatDistanceToNow } from 'date-fns'
+import { apiClient } from '@/lib/api'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { toast } from '@/hooks/use-toast'
+import { Loader2, Monitor, Smartphone, Tablet } from 'lucide-react'
+
+interface Session {
+  id: string
+  browser: string
+  os: string
+  deviceType: 'mobile' | 'tablet' | 'desktop' | 'unknown'
+  ipAddress: string
+  signedInAt: string
+  lastSeenAt: string
+  current: boolean
+}
+
+const DEVICE_ICONS = {
+  mobile: Smartphone,
+  tablet: Tablet,
+  desktop: Monitor,
+  unknown: Monitor,
+}
+
+const showError = (title: string) => (error: unknown) => {
+  toast({
+    title,
+    description: error instanceof Error ? error.message : 'An error occurred',
+    variant: 'destructive',
+  })
+}
+
+// Devices the user is signed in on, with remote sign-out
+export default function ActiveSessions() {
+  const queryClient = useQueryClient()
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['sessions'],
+    queryFn: () => apiClient.getSessions(),
+  })
+
+  const sessions: Session[] = (data as any)?.sessions || []
+  const otherSessions = sessions.filter(session => !session.current)
+
+  const onSignedOut = (response: any) => {
+    toast({ title: response.message })
+    queryClient.invalidateQueries({ queryKey: ['sessions'] })
+  }
+
+  const revokeMutation = useMutation({
+    mutationFn: (sessionId: string) => apiClient.revokeSession(sessionId),
+    onSuccess: onSignedOut,
+    onError: showError('Failed to sign out session'),
+  })
+
+  const revokeOthersMutation = useMutation({
+    mutationFn: () => apiClient.revokeOtherSessions(),
+    onSuccess: onSignedOut,
+    onError: showError('Failed to sign out sessions'),
+  })
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-start justify-between">
+          <div>
+            <CardTitle>Sessions</CardTitle>
+            <CardDescription className="mt-1.5">
+              Devices where you are signed in. Sign out any you don&apos;t recognise or no longer use, like a shared lab computer.
+            </CardDescription>
+          </div>
+          {otherSessions.length > 0 && (
+            <Button
+              variant="outline"
+              size="sm"
+              disabled={revokeOthersMutation.isPending}
+              onClick={() => revokeOthersMutation.mutate()}
+            >
+              Sign Out Other Sessions
+            </Button>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <div className="flex justify-center py-8">
+            <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+          </div>
+        ) : (
+          <div className="divide-y">
+            {sessions.map(session => {
+              const DeviceIcon = DEVICE_ICONS[session.deviceType] || Monitor
+              return (
+                <div key={session.id} className="flex items-center justify-between py-3">
+                  <div className="flex items-center space-x-3">
+                    <DeviceIcon className="h-6 w-6 text-gray-500" />
+                    <div>
+                      <div className="flex items-center gap-2">
+                        <p className="font-medium">{session.browser} on {session.os}</p>
+                        {session.current && <Badge variant="secondary">This device</Badge>}
+                      </div>
+                      <p className="text-sm text-gray-500">
+                        {session.ipAddress || 'Unknown IP'} · last active{' '}
+                        {formatDistanceToNow(new Date(session.lastSeenAt), { addSuffix: true })}
+                      </p>
+                    </div>
+                  </div>
+                  {!session.current && (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      disabled={revokeMutation.isPending}
+                      onClick={() => revokeMutation.mutate(session.id)}
+                    >
+                      Sign Out
+                    </Button>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
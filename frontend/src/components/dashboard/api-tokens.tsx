@@ -0,0 +1,237 @@
+'use client'
+
+import { useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { formatDistanceToNow } from 'date-fns'
+import { apiClient } from '@/lib/api'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Badge } from '@/components/ui/badge'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { toast } from '@/hooks/use-toast'
+import { Copy, Loader2 } from 'lucide-react'
+
+interface ApiToken {
+  _id: string
+  name: string
+  tokenPrefix: string
+  scopes: string[]
+  expiresAt: string | null
+  lastUsedAt: string | null
+  lastUsedIp: string
+  createdAt: string
+}
+
+const EXPIRY_OPTIONS = [
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' },
+  { value: '', label: 'Never' },
+]
+
+const showError = (title: string) => (error: unknown) => {
+  toast({
+    title,
+    description: error instanceof Error ? error.message : 'An error occurred',
+    variant: 'destructive',
+  })
+}
+
+// Personal access tokens for scripts such as roster syncs and grade exports
+export default function ApiTokens() {
+  const queryClient = useQueryClient()
+  const [name, setName] = useState('')
+  const [scopes, setScopes] = useState<string[]>([])
+  const [expiresInDays, setExpiresInDays] = useState('90')
+  // The plain token, only available right after creation
+  const [newToken, setNewToken] = useState<string | null>(null)
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['api-tokens'],
+    queryFn: () => apiClient.getApiTokens(),
+  })
+
+  const tokens: ApiToken[] = (data as any)?.tokens || []
+  const availableScopes: { scope: string; description: string }[] = (data as any)?.scopes || []
+
+  const createMutation = useMutation({
+    mutationFn: () => apiClient.createApiToken({
+      name: name.trim(),
+      scopes,
+      expiresInDays: expiresInDays ? parseInt(expiresInDays) : null,
+    }),
+    onSuccess: (response: any) => {
+      setNewToken(response.token)
+      setName('')
+      setScopes([])
+      queryClient.invalidateQueries({ queryKey: ['api-tokens'] })
+    },
+    onError: showError('Failed to create token'),
+  })
+
+  const revokeMutation = useMutation({
+    mutationFn: (tokenId: string) => apiClient.revokeApiToken(tokenId),
+    onSuccess: (response: any) => {
+      toast({ title: response.message })
+      queryClient.invalidateQueries({ queryKey: ['api-tokens'] })
+    },
+    onError: showError('Failed to revoke token'),
+  })
+
+  const toggleScope = (scope: string) => {
+    setScopes(prev => prev.includes(scope) ? prev.filter(s => s !== scope) : [...prev, scope])
+  }
+
+  const copyToken = async () => {
+    if (!newToken) return
+    await navigator.clipboard.writeText(newToken)
+    toast({ title: 'Token copied to clipboard' })
+  }
+
+  const handleRevoke = (token: ApiToken) => {
+    if (confirm(`Revoke "${token.name}"? Scripts using it will stop working.`)) {
+      revokeMutation.mutate(token._id)
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle>New API Token</CardTitle>
+          <CardDescription>
+            Send the token as <code>Authorization: Bearer &lt;token&gt;</code>. It can only do what its scopes allow, and never more than your own account.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {newToken && (
+            <div className="rounded-md border border-green-200 bg-green-50 p-4 space-y-2">
+              <p className="text-sm font-medium text-green-900">
+                Copy your new token now. You won&apos;t be able to see it again.
+              </p>
+              <div className="flex gap-2">
+                <Input readOnly value={newToken} className="font-mono text-xs" />
+                <Button variant="outline" size="icon" onClick={copyToken} aria-label="Copy token">
+                  <Copy className="h-4 w-4" />
+                </Button>
+              </div>
+              <Button variant="ghost" size="sm" onClick={() => setNewToken(null)}>
+                Done
+              </Button>
+            </div>
+          )}
+
+          <div className="space-y-2">
+            <Label htmlFor="tokenName">Name</Label>
+            <Input
+              id="tokenName"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="e.g. Nightly roster sync"
+              maxLength={100}
+            />
+          </div>
+
+          <div className="space-y-2">
+            <Label>Scopes</Label>
+            <div className="grid gap-2 sm:grid-cols-2">
+              {availableScopes.map(({ scope, description }) => (
+                <label key={scope} className="flex items-start space-x-3">
+                  <input
+                    type="checkbox"
+                    className="mt-1 h-4 w-4"
+                    checked={scopes.includes(scope)}
+                    onChange={() => toggleScope(scope)}
+                  />
+                  <span className="text-sm">
+                    <span className="font-mono">{scope}</span>
+                    <span className="block text-gray-500">{description}</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="tokenExpiry">Expires after</Label>
+            <select
+              id="tokenExpiry"
+              value={expiresInDays}
+              onChange={(e) => setExpiresInDays(e.target.value)}
+              className="h-10 rounded-md border border-input bg-background px-3 text-sm"
+            >
+              {EXPIRY_OPTIONS.map(option => (
+                <option key={option.label} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <Button
+            onClick={() => createMutation.mutate()}
+            disabled={!name.trim() || scopes.length === 0 || createMutation.isPending}
+          >
+            {createMutation.isPending ? 'Creating...' : 'Create Token'}
+          </Button>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Your API Tokens</CardTitle>
+          <CardDescription>
+            Revoke tokens you no longer use. Resetting your password revokes all of them.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {isLoading ? (
+            <div className="flex justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+            </div>
+          ) : tokens.length === 0 ? (
+            <p className="text-center text-gray-500 py-8">No API tokens yet</p>
+          ) : (
+            <div className="divide-y">
+              {tokens.map(token => {
+                const expired = !!token.expiresAt && new Date(token.expiresAt) < new Date()
+                return (
+                  <div key={token._id} className="flex items-center justify-between gap-4 py-3">
+                    <div className="min-w-0 space-y-1">
+                      <div className="flex items-center gap-2">
+                        <p className="font-medium truncate">{token.name}</p>
+                        <span className="font-mono text-xs text-gray-500">{token.tokenPrefix}…</span>
+                        {expired && <Badge variant="destructive">Expired</Badge>}
+                      </div>
+                      <div className="flex flex-wrap gap-1">
+                        {token.scopes.map(scope => (
+                          <Badge key={scope} variant="secondary" className="font-mono">{scope}</Badge>
+                        ))}
+                      </div>
+                      <p className="text-sm text-gray-500">
+                        {token.lastUsedAt
+                          ? `Last used ${formatDistanceToNow(new Date(token.lastUsedAt), { addSuffix: true })}${token.lastUsedIp ? ` from ${token.lastUsedIp}` : ''}`
+                          : 'Never used'}
+                        {' · '}
+                        {token.expiresAt
+                          ? `${expired ? 'Expired' : 'Expires'} ${new Date(token.expiresAt).toLocaleDateString()}`
+                          : 'Never expires'}
+                      </p>
+                    </div>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      disabled={revokeMutation.isPending}
+                      onClick={() => handleRevoke(token)}
+                    >
+                      Revoke
+                    </Button>
+                  </div>
+                )
+              })}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
@@ -0,0 +1,164 @@
+'use client'
+
+import { useState } from 'react'
+import { useQuery } from '@tanstack/react-query'
+import { apiClient } from '@/lib/api'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Badge } from '@/components/ui/badge'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { History, Loader2 } from 'lucide-react'
+
+interface AuditLogEntry {
+  _id: string
+  action: keyof typeof ACTION_LABELS
+  actor: { _id: string; name: string; email: string } | null
+  subject: { _id: string; name: string; email: string } | null
+  classroom: { _id: string; name: string } | null
+  changes: { field: string; before: unknown; after: unknown }[]
+  metadata: { students?: Record<string, string>; classTitle?: string; name?: string }
+  createdAt: string
+}
+
+interface AuditLogProps {
+  // Show one classroom's log; without it the admin log across all classrooms
+  classroomId?: string
+}
+
+const ACTION_LABELS = {
+  submission_graded: 'Graded a submission',
+  dpp_submission_graded: 'Graded a DPP submission',
+  quiz_session_reviewed: 'Reviewed a proctored quiz',
+  attendance_bulk_marked: 'Marked attendance',
+  student_removed: 'Removed a student',
+  join_request_approved: 'Approved a join request',
+  join_request_rejected: 'Rejected a join request',
+  classroom_archived: 'Archived the classroom',
+}
+
+const formatValue = (value: unknown) => {
+  if (value === null || value === undefined || value === '') return '—'
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+// Who changed grades, reviews, attendance and rosters, and what they changed
+export default function AuditLog({ classroomId }: AuditLogProps) {
+  const [action, setAction] = useState('')
+  const [from, setFrom] = useState('')
+  const [to, setTo] = useState('')
+  const [page, setPage] = useState(1)
+
+  // Date inputs give local days; include the whole "to" day
+  const filters = {
+    action,
+    from: from ? new Date(`${from}T00:00:00`).toISOString() : '',
+    to: to ? new Date(`${to}T23:59:59.999`).toISOString() : '',
+    page,
+  }
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['audit-log', classroomId || 'all', filters],
+    queryFn: () => classroomId
+      ? apiClient.getClassroomAuditLog(classroomId, filters)
+      : apiClient.getAdminAuditLog(filters),
+  })
+
+  const logs: AuditLogEntry[] = (data as any)?.logs || []
+  const pages: number = (data as any)?.pagination?.pages || 1
+
+  const updateFilter = (setter: (value: string) => void) => (value: string) => {
+    setter(value)
+    setPage(1)
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center space-x-2">
+          <History className="h-5 w-5" />
+          <span>Audit Log</span>
+        </CardTitle>
+        <CardDescription>
+          Grade changes, proctoring reviews, attendance overrides and roster changes. Entries cannot be edited or deleted.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-wrap gap-4">
+          <select
+            value={action}
+            onChange={(e) => updateFilter(setAction)(e.target.value)}
+            className="h-10 rounded-md border border-input bg-background px-3 text-sm"
+          >
+            <option value="">All actions</option>
+            {Object.entries(ACTION_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <Input
+            type="date"
+            value={from}
+            onChange={(e) => updateFilter(setFrom)(e.target.value)}
+            className="w-auto"
+            aria-label="From"
+          />
+          <Input
+            type="date"
+            value={to}
+            onChange={(e) => updateFilter(setTo)(e.target.value)}
+            className="w-auto"
+            aria-label="To"
+          />
+        </div>
+
+        {isLoading ? (
+          <div className="flex justify-center py-8">
+            <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+          </div>
+        ) : logs.length === 0 ? (
+          <p className="text-center text-gray-500 py-8">No entries found</p>
+        ) : (
+          <div className="divide-y">
+            {logs.map((log) => (
+              <div key={log._id} className="py-3 space-y-1">
+                <div className="flex items-center justify-between gap-4">
+                  <p className="text-sm">
+                    <span className="font-medium">{log.actor?.name || 'Unknown user'}</span>
+                    <span className="text-gray-500"> · {ACTION_LABELS[log.action] || log.action}</span>
+                    {log.subject && <span className="text-gray-500"> · {log.subject.name}</span>}
+                    {log.metadata?.classTitle && <span className="text-gray-500"> · {log.metadata.classTitle}</span>}
+                  </p>
+                  <div className="flex items-center gap-2 flex-shrink-0">
+                    {!classroomId && log.classroom && <Badge variant="outline">{log.classroom.name}</Badge>}
+                    <Badge variant="secondary">{new Date(log.createdAt).toLocaleString()}</Badge>
+                  </div>
+                </div>
+                <ul className="text-xs text-gray-600 space-y-0.5">
+                  {log.changes.map((change) => (
+                    <li key={change.field}>
+                      <span className="font-medium">{log.metadata?.students?.[change.field] || change.field}</span>
+                      {': '}
+                      {formatValue(change.before)} → {formatValue(change.after)}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {pages > 1 && (
+          <div className="flex items-center justify-between">
+            <Button variant="outline" size="sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+              Previous
+            </Button>
+            <span className="text-sm text-gray-500">Page {page} of {pages}</span>
+            <Button variant="outline" size="sm" disabled={page >= pages} onClick={() => setPage(page + 1)}>
+              Next
+            </Button>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,52 @@
+'use client'
+
+import { useState } from 'react'
+import { Button } from '@/components/ui/button'
+import { useAuthStore } from '@/store/auth'
+import { apiClient } from '@/lib/api'
+import { toast } from '@/hooks/use-toast'
+import { MailWarning, Loader2 } from 'lucide-react'
+
+export default function EmailVerificationBanner() {
+  const { user } = useAuthStore()
+  const [isSending, setIsSending] = useState(false)
+
+  // Older sessions may not know the flag yet; only warn when it is explicitly false
+  if (!user || user.isEmailVerified !== false) {
+    return null
+  }
+
+  const handleResend = async () => {
+    setIsSending(true)
+    try {
+      await apiClient.resendVerificationEmail()
+      toast({
+        title: 'Verification email sent',
+        description: `Check ${user.email} for the verification link.`,
+      })
+    } catch (error) {
+      toast({
+        title: 'Could not send email',
+        description: error instanceof Error ? error.message : 'Please try again later',
+        variant: 'destructive',
+      })
+    } finally {
+      setIsSending(false)
+    }
+  }
+
+  return (
+    <div className="mb-6 flex items-center justify-between rounded-lg border border-yellow-200 bg-yellow-50 px-4 py-3">
+      <div className="flex items-center space-x-3">
+        <MailWarning className="h-5 w-5 text-yellow-600" />
+        <p className="text-sm text-yellow-800">
+          Please verify your email address. Until you do, you may not be able to join classrooms or submit work.
+        </p>
+      </div>
+      <Button variant="outline" size="sm" onClick={handleResend} disabled={isSending}>
+        {isSending ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : null}
+        Resend email
+      </Button>
+    </div>
+  )
+}
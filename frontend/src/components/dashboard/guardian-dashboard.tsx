@@ -0,0 +1,302 @@
+'use client'
+
+import { useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { apiClient } from '@/lib/api'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { toast } from '@/hooks/use-toast'
+import { BookOpen, Calendar, FileText, GraduationCap, Loader2, UserPlus } from 'lucide-react'
+
+interface Child {
+  id: string
+  name: string
+  studentId?: string
+  classrooms: Array<{ id: string; name: string; subject: string }>
+}
+
+interface GuardianLink {
+  id: string
+  student: { _id: string; name: string; email: string }
+  status: 'pending' | 'approved' | 'rejected'
+}
+
+export default function GuardianDashboard() {
+  const queryClient = useQueryClient()
+  const [studentEmail, setStudentEmail] = useState('')
+  const [selectedChildId, setSelectedChildId] = useState<string | null>(null)
+  const [selectedClassroomId, setSelectedClassroomId] = useState<string | null>(null)
+
+  const { data: childrenData, isLoading: childrenLoading } = useQuery({
+    queryKey: ['guardian-children'],
+    queryFn: () => apiClient.getGuardianChildren(),
+  })
+
+  const { data: linksData } = useQuery({
+    queryKey: ['guardian-links'],
+    queryFn: () => apiClient.getGuardianLinks(),
+  })
+
+  const children: Child[] = (childrenData as any)?.children || []
+  const pendingLinks: GuardianLink[] = ((linksData as any)?.links || [])
+    .filter((link: GuardianLink) => link.status !== 'approved')
+  const child = children.find(c => c.id === selectedChildId) || children[0]
+  const classroomId = selectedClassroomId && child?.classrooms.some(c => c.id === selectedClassroomId)
+    ? selectedClassroomId
+    : child?.classrooms[0]?.id
+
+  const { data: dashboard } = useQuery({
+    queryKey: ['child-dashboard', child?.id],
+    queryFn: () => apiClient.getChildDashboard(child!.id),
+    enabled: !!child,
+  })
+
+  const { data: grades } = useQuery({
+    queryKey: ['child-grades', child?.id],
+    queryFn: () => apiClient.getChildGrades(child!.id),
+    enabled: !!child,
+  })
+
+  const { data: attendance } = useQuery({
+    queryKey: ['child-attendance', child?.id, classroomId],
+    queryFn: () => apiClient.getChildAttendance(child!.id, classroomId!, { limit: 10 }),
+    enabled: !!child && !!classroomId,
+  })
+
+  const requestLinkMutation = useMutation({
+    mutationFn: (email: string) => apiClient.requestGuardianLink({ email }),
+    onSuccess: (response: any) => {
+      toast({ title: 'Request sent', description: response.message })
+      setStudentEmail('')
+      queryClient.invalidateQueries({ queryKey: ['guardian-links'] })
+    },
+    onError: (error) => {
+      toast({
+        title: 'Could not send request',
+        description: error instanceof Error ? error.message : 'An error occurred',
+        variant: 'destructive',
+      })
+    },
+  })
+
+  const handleRequestLink = (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!studentEmail.trim()) return
+    requestLinkMutation.mutate(studentEmail.trim())
+  }
+
+  const dashboardData = dashboard as any
+  const gradesData = grades as any
+  const attendanceData = attendance as any
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">Your Children</h1>
+        <p className="text-gray-600 mt-2">
+          Follow grades, attendance and upcoming deadlines
+        </p>
+      </div>
+
+      <div className="grid lg:grid-cols-3 gap-6">
+        <Card className="lg:col-span-2">
+          <CardHeader>
+            <CardTitle className="flex items-center">
+              <UserPlus className="mr-2 h-5 w-5" />
+              Link a Student
+            </CardTitle>
+            <CardDescription>
+              The student will be asked to approve your request from their settings page
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <form onSubmit={handleRequestLink} className="flex gap-2">
+              <Input
+                type="email"
+                value={studentEmail}
+                onChange={(e) => setStudentEmail(e.target.value)}
+                placeholder="Student's email address"
+              />
+              <Button type="submit" disabled={!studentEmail.trim() || requestLinkMutation.isPending}>
+                {requestLinkMutation.isPending ? 'Sending...' : 'Send Request'}
+              </Button>
+            </form>
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Requests</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-2">
+            {pendingLinks.length === 0 ? (
+              <p className="text-sm text-gray-500">No open requests</p>
+            ) : (
+              pendingLinks.map(link => (
+                <div key={link.id} className="flex items-center justify-between text-sm">
+                  <span className="truncate">{link.student?.name}</span>
+                  <Badge variant={link.status === 'pending' ? 'secondary' : 'destructive'} className="capitalize">
+                    {link.status}
+                  </Badge>
+                </div>
+              ))
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      {childrenLoading ? (
+        <div className="flex justify-center py-12">
+          <Loader2 className="h-8 w-8 animate-spin text-gray-400" />
+        </div>
+      ) : !child ? (
+        <Card>
+          <CardContent className="py-12 text-center text-gray-500">
+            No linked students yet. Once a student approves your request their progress appears here.
+          </CardContent>
+        </Card>
+      ) : (
+        <>
+          {children.length > 1 && (
+            <div className="flex gap-2">
+              {children.map(c => (
+                <Button
+                  key={c.id}
+                  variant={c.id === child.id ? 'default' : 'outline'}
+                  size="sm"
+                  onClick={() => setSelectedChildId(c.id)}
+                >
+                  {c.name}
+                </Button>
+              ))}
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            <Card>
+              <CardContent className="pt-6 flex items-center">
+                <BookOpen className="h-8 w-8 text-blue-600 mr-4" />
+                <div>
+                  <p className="text-2xl font-bold">{dashboardData?.stats?.classrooms ?? '-'}</p>
+                  <p className="text-sm text-gray-500">Classes</p>
+                </div>
+              </CardContent>
+            </Card>
+            <Card>
+              <CardContent className="pt-6 flex items-center">
+                <FileText className="h-8 w-8 text-green-600 mr-4" />
+                <div>
+                  <p className="text-2xl font-bold">
+                    {dashboardData?.stats ? `${dashboardData.stats.submissions}/${dashboardData.stats.assignments}` : '-'}
+                  </p>
+                  <p className="text-sm text-gray-500">Assignments submitted</p>
+                </div>
+              </CardContent>
+            </Card>
+            <Card>
+              <CardContent className="pt-6 flex items-center">
+                <GraduationCap className="h-8 w-8 text-purple-600 mr-4" />
+                <div>
+                  <p className="text-2xl font-bold">
+                    {gradesData?.summary?.totalSubmissions ? `${gradesData.summary.averageGrade}%` : 'N/A'}
+                  </p>
+                  <p className="text-sm text-gray-500">Average grade</p>
+                </div>
+              </CardContent>
+            </Card>
+          </div>
+
+          <div className="grid lg:grid-cols-2 gap-6">
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center">
+                  <Calendar className="mr-2 h-5 w-5" />
+                  Upcoming Deadlines
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                {(dashboardData?.upcomingAssignments || []).length === 0 ? (
+                  <p className="text-sm text-gray-500">Nothing due soon</p>
+                ) : (
+                  dashboardData.upcomingAssignments.map((a: any) => (
+                    <div key={a.id} className="flex justify-between text-sm">
+                      <div>
+                        <p className="font-medium">{a.title}</p>
+                        <p className="text-gray-500">{a.classroom}</p>
+                      </div>
+                      <span className="text-gray-600">{new Date(a.dueDate).toLocaleDateString()}</span>
+                    </div>
+                  ))
+                )}
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader>
+                <CardTitle>Recent Grades</CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                {(gradesData?.submissions || []).length === 0 ? (
+                  <p className="text-sm text-gray-500">No graded work yet</p>
+                ) : (
+                  gradesData.submissions.slice(0, 5).map((s: any) => (
+                    <div key={s._id} className="flex justify-between text-sm">
+                      <div>
+                        <p className="font-medium">{s.assignment?.title}</p>
+                        <p className="text-gray-500">{s.assignment?.classroom?.name}</p>
+                      </div>
+                      <Badge variant="outline">
+                        {s.grade?.letterGrade} ({Math.round(s.grade?.percentage ?? 0)}%)
+                      </Badge>
+                    </div>
+                  ))
+                )}
+              </CardContent>
+            </Card>
+          </div>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>Attendance</CardTitle>
+              {child.classrooms.length > 0 && (
+                <div className="flex flex-wrap gap-2 pt-2">
+                  {child.classrooms.map(c => (
+                    <Button
+                      key={c.id}
+                      variant={c.id === classroomId ? 'default' : 'outline'}
+                      size="sm"
+                      onClick={() => setSelectedClassroomId(c.id)}
+                    >
+                      {c.name}
+                    </Button>
+                  ))}
+                </div>
+              )}
+            </CardHeader>
+            <CardContent className="space-y-3">
+              {!classroomId ? (
+                <p className="text-sm text-gray-500">Not enrolled in any classes</p>
+              ) : (attendanceData?.attendanceHistory || []).length === 0 ? (
+                <p className="text-sm text-gray-500">No attendance records yet</p>
+              ) : (
+                attendanceData.attendanceHistory.map((record: any) => (
+                  <div key={record._id} className="flex justify-between text-sm">
+                    <div>
+                      <p className="font-medium">{record.videoClass?.title || 'Class'}</p>
+                      <p className="text-gray-500">{new Date(record.createdAt).toLocaleDateString()}</p>
+                    </div>
+                    <Badge variant={record.status === 'absent' ? 'destructive' : 'secondary'} className="capitalize">
+                      {record.status}
+                    </Badge>
+                  </div>
+                ))
+              )}
+            </CardContent>
+          </Card>
+        </>
+      )}
+    </div>
+  )
+}
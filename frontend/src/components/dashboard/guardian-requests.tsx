@@ -0,0 +1,107 @@
+'use client'
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { apiClient } from '@/lib/api'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { toast } from '@/hooks/use-toast'
+
+interface GuardianLink {
+  id: string
+  guardian: { _id: string; name: string; email: string }
+  relationship: string
+  status: 'pending' | 'approved' | 'rejected'
+}
+
+// Lets a student approve, reject or remove guardians who can see their progress
+export default function GuardianRequests() {
+  const queryClient = useQueryClient()
+
+  const { data } = useQuery({
+    queryKey: ['guardian-links'],
+    queryFn: () => apiClient.getGuardianLinks(),
+  })
+
+  const links: GuardianLink[] = ((data as any)?.links || [])
+    .filter((link: GuardianLink) => link.status !== 'rejected')
+
+  const updateLinkMutation = useMutation({
+    mutationFn: ({ linkId, action }: { linkId: string; action: 'approve' | 'reject' | 'remove' }) => {
+      if (action === 'approve') return apiClient.approveGuardianLink(linkId)
+      if (action === 'reject') return apiClient.rejectGuardianLink(linkId)
+      return apiClient.removeGuardianLink(linkId)
+    },
+    onSuccess: (response: any) => {
+      toast({ title: response.message })
+      queryClient.invalidateQueries({ queryKey: ['guardian-links'] })
+    },
+    onError: (error) => {
+      toast({
+        title: 'Failed to update guardian',
+        description: error instanceof Error ? error.message : 'An error occurred',
+        variant: 'destructive',
+      })
+    },
+  })
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Parents & Guardians</CardTitle>
+        <CardDescription>
+          Approved guardians can see your grades, attendance and upcoming deadlines. They cannot submit work for you.
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        {links.length === 0 ? (
+          <p className="text-sm text-gray-500">No guardians have asked to link to your account</p>
+        ) : (
+          <div className="divide-y">
+            {links.map(link => (
+              <div key={link.id} className="flex items-center justify-between py-3">
+                <div>
+                  <div className="flex items-center gap-2">
+                    <p className="font-medium">{link.guardian?.name}</p>
+                    <Badge variant="secondary" className="capitalize">{link.relationship}</Badge>
+                  </div>
+                  <p className="text-sm text-gray-500">{link.guardian?.email}</p>
+                </div>
+                <div className="flex gap-2">
+                  {link.status === 'pending' ? (
+                    <>
+                      <Button
+                        size="sm"
+                        disabled={updateLinkMutation.isPending}
+                        onClick={() => updateLinkMutation.mutate({ linkId: link.id, action: 'approve' })}
+                      >
+                        Approve
+                      </Button>
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        disabled={updateLinkMutation.isPending}
+                        onClick={() => updateLinkMutation.mutate({ linkId: link.id, action: 'reject' })}
+                      >
+                        Reject
+                      </Button>
+                    </>
+                  ) : (
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      disabled={updateLinkMutation.isPending}
+                      onClick={() => updateLinkMutation.mutate({ linkId: link.id, action: 'remove' })}
+                    >
+                      Remove
+                    </Button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
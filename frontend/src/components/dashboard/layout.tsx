@@ -3,8 +3,10 @@
 import { ReactNode } from 'react'
 import { useRouter } from 'next/navigation'
 import { useAuthStore } from '@/store/auth'
+import { apiClient } from '@/lib/api'
 import { Button } from '@/components/ui/button'
 import { Card } from '@/components/ui/card'
+import EmailVerificationBanner from '@/components/dashboard/email-verification-banner'
 import Link from 'next/link'
 import {
   Home,
@@ -18,6 +20,7 @@ import {
   Bell,
   User,
   Plus,
+  ShieldCheck,
 } from 'lucide-react'
 
 interface DashboardLayoutProps {
@@ -28,12 +31,17 @@ export default function DashboardLayout({ children }: DashboardLayoutProps) {
   const router = useRouter()
   const { user, logout } = useAuthStore()
 
-  const handleLogout = () => {
+  const handleLogout = async () => {
+    // Revoke the server-side session; clear local state even if that fails
+    await apiClient.logout().catch(() => undefined)
     logout()
     router.push('/')
   }
 
-  const navigation = [
+  const navigation = user?.role === 'guardian' ? [
+    { name: 'Dashboard', href: '/dashboard', icon: Home },
+    { name: 'Settings', href: '/dashboard/settings', icon: Settings },
+  ] : [
     { name: 'Dashboard', href: '/dashboard', icon: Home },
     { name: 'Classrooms', href: '/dashboard/classrooms', icon: BookOpen },
     { name: 'Assignments', href: '/dashboard/assignments', icon: FileText },
@@ -43,6 +51,9 @@ export default function DashboardLayout({ children }: DashboardLayoutProps) {
     ] : []),
     { name: 'Calendar', href: '/dashboard/calendar', icon: Calendar },
     { name: 'Settings', href: '/dashboard/settings', icon: Settings },
+    ...(user?.role === 'admin' ? [
+      { name: 'Admin', href: '/dashboard/admin', icon: ShieldCheck },
+    ] : []),
   ]
 
   return (
@@ -134,6 +145,7 @@ export default function DashboardLayout({ children }: DashboardLayoutProps) {
 
         {/* Page content */}
         <main className="p-6">
+          <EmailVerificationBanner />
           {children}
         </main>
       </div>
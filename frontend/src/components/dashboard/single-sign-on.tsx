@@ -0,0 +1,88 @@
+'use client'
+
+import { useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { apiClient } from '@/lib/api'
+import { redirectToOidc } from '@/lib/oidc'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { toast } from '@/hooks/use-toast'
+import { KeyRound } from 'lucide-react'
+
+// Link or unlink the account with the institution's identity provider
+export default function SingleSignOn() {
+  const queryClient = useQueryClient()
+  const [isRedirecting, setIsRedirecting] = useState(false)
+
+  const { data: config } = useQuery({
+    queryKey: ['oidc-config'],
+    queryFn: () => apiClient.getOidcConfig(),
+  })
+
+  const unlinkMutation = useMutation({
+    mutationFn: () => apiClient.unlinkOidc(),
+    onSuccess: () => {
+      toast({ title: 'Single sign-on unlinked' })
+      queryClient.invalidateQueries({ queryKey: ['oidc-config'] })
+    },
+    onError: (error) => {
+      toast({
+        title: 'Could not unlink single sign-on',
+        description: error instanceof Error ? error.message : 'An error occurred',
+        variant: 'destructive',
+      })
+    },
+  })
+
+  const handleLink = async () => {
+    setIsRedirecting(true)
+    try {
+      await redirectToOidc(true)
+    } catch (error) {
+      toast({
+        title: 'Could not start single sign-on',
+        description: error instanceof Error ? error.message : 'An error occurred',
+        variant: 'destructive',
+      })
+      setIsRedirecting(false)
+    }
+  }
+
+  if (!config?.enabled) return null
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <KeyRound className="h-5 w-5" />
+          Single Sign-On
+          {config.linked && <Badge variant="secondary">Linked</Badge>}
+        </CardTitle>
+        <CardDescription>
+          Sign in with your {config.providerName} account instead of a password
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="flex items-center justify-between gap-4">
+        <p className="text-sm text-gray-600">
+          {config.linked
+            ? 'Your account is linked. Unlinking keeps your password sign-in working.'
+            : 'Link your account to sign in through your institution.'}
+        </p>
+        {config.linked ? (
+          <Button
+            variant="outline"
+            onClick={() => unlinkMutation.mutate()}
+            disabled={unlinkMutation.isPending}
+          >
+            Unlink
+          </Button>
+        ) : (
+          <Button onClick={handleLink} disabled={isRedirecting}>
+            Link account
+          </Button>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
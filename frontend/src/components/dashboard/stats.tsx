@@ -1,17 +1,35 @@
 'use client'
 
+import { useQuery } from '@tanstack/react-query'
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { apiClient } from '@/lib/api'
 import { useAuthStore } from '@/store/auth'
-import { BookOpen, FileText, MessageSquare, Users } from 'lucide-react'
+import { BookOpen, CalendarCheck, ClipboardCheck, FileText, MessageSquare, Target, Users } from 'lucide-react'
+
+interface DashboardStatsResponse {
+  totals: { classrooms: number; students: number; assignments: number; posts: number }
+  averages: { attendance: number | null; quizScore: number | null; dppCompletionRate: number | null }
+}
+
+const percent = (value: number | null | undefined) =>
+  value === null || value === undefined ? '—' : `${Math.round(value)}%`
 
 export default function DashboardStats() {
   const { user } = useAuthStore()
+  const isTeacher = user?.role === 'teacher'
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['dashboard-stats'],
+    queryFn: () => apiClient.getDashboardStats(),
+  })
 
-  // Mock data - in real app, this would come from API calls
-  const stats = user?.role === 'teacher' ? [
+  const { totals, averages } = (data as DashboardStatsResponse | undefined) || {}
+  const value = (count: number | undefined) => (isLoading ? '…' : String(count ?? 0))
+
+  const stats = isTeacher ? [
     {
       title: 'Active Classrooms',
-      value: '3',
+      value: value(totals?.classrooms),
       description: 'Classrooms you teach',
       icon: BookOpen,
       color: 'text-blue-600',
@@ -19,7 +37,7 @@ export default function DashboardStats() {
     },
     {
       title: 'Total Students',
-      value: '42',
+      value: value(totals?.students),
       description: 'Across all classrooms',
       icon: Users,
       color: 'text-green-600',
@@ -27,16 +45,16 @@ export default function DashboardStats() {
     },
     {
       title: 'Assignments',
-      value: '8',
-      description: 'Pending grading',
+      value: value(totals?.assignments),
+      description: 'Across all classrooms',
       icon: FileText,
       color: 'text-orange-600',
       bgColor: 'bg-orange-100',
     },
     {
-      title: 'Recent Posts',
-      value: '12',
-      description: 'This week',
+      title: 'Posts',
+      value: value(totals?.posts),
+      description: 'Across all classrooms',
       icon: MessageSquare,
       color: 'text-purple-600',
       bgColor: 'bg-purple-100',
@@ -44,60 +62,95 @@ export default function DashboardStats() {
   ] : [
     {
       title: 'Enrolled Classes',
-      value: '5',
-      description: 'Current semester',
+      value: value(totals?.classrooms),
+      description: 'Active classrooms',
       icon: BookOpen,
       color: 'text-blue-600',
       bgColor: 'bg-blue-100',
     },
     {
       title: 'Assignments',
-      value: '3',
-      description: 'Due this week',
+      value: value(totals?.assignments),
+      description: 'Across your classes',
       icon: FileText,
       color: 'text-orange-600',
       bgColor: 'bg-orange-100',
     },
     {
-      title: 'Submissions',
-      value: '15',
-      description: 'Completed',
-      icon: FileText,
+      title: 'Posts',
+      value: value(totals?.posts),
+      description: 'Across your classes',
+      icon: MessageSquare,
+      color: 'text-purple-600',
+      bgColor: 'bg-purple-100',
+    },
+    {
+      title: 'Classmates',
+      value: value(totals?.students),
+      description: 'Students in your classes',
+      icon: Users,
       color: 'text-green-600',
       bgColor: 'bg-green-100',
     },
+  ]
+
+  const scope = isTeacher ? 'Across your students' : 'Class average'
+  const rollups = [
     {
-      title: 'Announcements',
-      value: '7',
-      description: 'Unread',
-      icon: MessageSquare,
-      color: 'text-purple-600',
-      bgColor: 'bg-purple-100',
+      title: 'Attendance',
+      value: percent(averages?.attendance),
+      description: scope,
+      icon: CalendarCheck,
+      color: 'text-teal-600',
+      bgColor: 'bg-teal-100',
+    },
+    {
+      title: 'Quiz Score',
+      value: percent(averages?.quizScore),
+      description: scope,
+      icon: Target,
+      color: 'text-rose-600',
+      bgColor: 'bg-rose-100',
+    },
+    {
+      title: 'DPP Completion',
+      value: percent(averages?.dppCompletionRate),
+      description: scope,
+      icon: ClipboardCheck,
+      color: 'text-indigo-600',
+      bgColor: 'bg-indigo-100',
     },
   ]
 
+  const renderCard = (stat: typeof stats[number]) => (
+    <Card key={stat.title}>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+        <CardTitle className="text-sm font-medium text-gray-600">
+          {stat.title}
+        </CardTitle>
+        <div className={`p-2 rounded-lg ${stat.bgColor}`}>
+          <stat.icon className={`h-4 w-4 ${stat.color}`} />
+        </div>
+      </CardHeader>
+      <CardContent>
+        <div className="text-2xl font-bold text-gray-900">
+          {stat.value}
+        </div>
+        <p className="text-xs text-gray-500 mt-1">
+          {stat.description}
+        </p>
+      </CardContent>
+    </Card>
+  )
+
   return (
-    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
-      {stats.map((stat) => (
-        <Card key={stat.title}>
-          <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-            <CardTitle className="text-sm font-medium text-gray-600">
-              {stat.title}
-            </CardTitle>
-            <div className={`p-2 rounded-lg ${stat.bgColor}`}>
-              <stat.icon className={`h-4 w-4 ${stat.color}`} />
-            </div>
-          </CardHeader>
-          <CardContent>
-            <div className="text-2xl font-bold text-gray-900">
-              {stat.value}
-            </div>
-            <p className="text-xs text-gray-500 mt-1">
-              {stat.description}
-            </p>
-          </CardContent>
-        </Card>
-      ))}
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+        {stats.map(renderCard)}
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        {rollups.map(renderCard)}
+      </div>
     </div>
   )
-}
\ No newline at end of file
+}
@@ -0,0 +1,211 @@
+'use client'
+
+import { useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { apiClient } from '@/lib/api'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Badge } from '@/components/ui/badge'
+import { toast } from '@/hooks/use-toast'
+import { ShieldCheck } from 'lucide-react'
+
+interface TwoFactorStatus {
+  enabled: boolean
+  enabledAt: string | null
+  recoveryCodesRemaining: number
+  required: boolean
+}
+
+interface TwoFactorSetup {
+  secret: string
+  otpauthUrl: string
+  qrCode: string
+}
+
+const showError = (title: string) => (error: unknown) => {
+  toast({
+    title,
+    description: error instanceof Error ? error.message : 'An error occurred',
+    variant: 'destructive',
+  })
+}
+
+// TOTP enrollment, recovery codes and disabling for staff accounts
+export default function TwoFactorSettings() {
+  const queryClient = useQueryClient()
+  const [setup, setSetup] = useState<TwoFactorSetup | null>(null)
+  const [code, setCode] = useState('')
+  const [password, setPassword] = useState('')
+  const [recoveryCodes, setRecoveryCodes] = useState<string[]>([])
+
+  const { data } = useQuery({
+    queryKey: ['two-factor-status'],
+    queryFn: () => apiClient.getTwoFactorStatus(),
+  })
+
+  const status = data as TwoFactorStatus | undefined
+
+  const onChanged = () => {
+    setCode('')
+    setPassword('')
+    queryClient.invalidateQueries({ queryKey: ['two-factor-status'] })
+  }
+
+  const setupMutation = useMutation({
+    mutationFn: () => apiClient.setupTwoFactor(),
+    onSuccess: (response: any) => {
+      setSetup(response)
+      setRecoveryCodes([])
+    },
+    onError: showError('Could not start setup'),
+  })
+
+  const enableMutation = useMutation({
+    mutationFn: () => apiClient.enableTwoFactor(code.trim()),
+    onSuccess: (response: any) => {
+      toast({ title: response.message, description: 'Other devices have been signed out.' })
+      setSetup(null)
+      setRecoveryCodes(response.recoveryCodes)
+      onChanged()
+    },
+    onError: showError('Could not enable two-factor authentication'),
+  })
+
+  const regenerateMutation = useMutation({
+    mutationFn: () => apiClient.regenerateRecoveryCodes(code.trim()),
+    onSuccess: (response: any) => {
+      toast({ title: response.message })
+      setRecoveryCodes(response.recoveryCodes)
+      onChanged()
+    },
+    onError: showError('Could not generate recovery codes'),
+  })
+
+  const disableMutation = useMutation({
+    mutationFn: () => apiClient.disableTwoFactor({ password, code: code.trim() }),
+    onSuccess: (response: any) => {
+      toast({ title: response.message })
+      setRecoveryCodes([])
+      onChanged()
+    },
+    onError: showError('Could not disable two-factor authentication'),
+  })
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center">
+          <ShieldCheck className="mr-2 h-5 w-5" />
+          Two-Factor Authentication
+          {status?.enabled && <Badge className="ml-2">On</Badge>}
+          {status?.required && !status.enabled && <Badge variant="destructive" className="ml-2">Required</Badge>}
+        </CardTitle>
+        <CardDescription>
+          Ask for a code from an authenticator app when signing in. Protects grading and proctoring reviews if your password leaks.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {recoveryCodes.length > 0 && (
+          <div className="rounded-md border border-yellow-200 bg-yellow-50 p-4 space-y-2">
+            <p className="text-sm font-medium">
+              Save these recovery codes somewhere safe. Each one can be used once if you lose your device. They will not be shown again.
+            </p>
+            <div className="grid grid-cols-2 gap-1 font-mono text-sm">
+              {recoveryCodes.map(recoveryCode => (
+                <span key={recoveryCode}>{recoveryCode}</span>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {!status?.enabled && !setup && (
+          <Button onClick={() => setupMutation.mutate()} disabled={setupMutation.isPending}>
+            {setupMutation.isPending ? 'Preparing...' : 'Set Up Two-Factor Authentication'}
+          </Button>
+        )}
+
+        {!status?.enabled && setup && (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600">
+              Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+            </p>
+            <img src={setup.qrCode} alt="Two-factor QR code" className="h-48 w-48 border rounded" />
+            <p className="text-xs text-gray-500">
+              Can&apos;t scan? Enter this key manually: <span className="font-mono break-all">{setup.secret}</span>
+            </p>
+            <div className="flex gap-2 max-w-sm">
+              <Input
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                placeholder="123456"
+              />
+              <Button onClick={() => enableMutation.mutate()} disabled={!code.trim() || enableMutation.isPending}>
+                Verify
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {status?.enabled && (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600">
+              {status.recoveryCodesRemaining} recovery code{status.recoveryCodesRemaining !== 1 ? 's' : ''} left
+              {status.enabledAt && ` · enabled ${new Date(status.enabledAt).toLocaleDateString()}`}
+            </p>
+            <div className="grid gap-4 md:grid-cols-2 max-w-xl">
+              <div className="space-y-2">
+                <Label htmlFor="twoFactorCode">Authentication code</Label>
+                <Input
+                  id="twoFactorCode"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  placeholder="123456"
+                />
+              </div>
+              {!status.required && (
+                <div className="space-y-2">
+                  <Label htmlFor="twoFactorPassword">Password (to disable)</Label>
+                  <Input
+                    id="twoFactorPassword"
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                  />
+                </div>
+              )}
+            </div>
+            <div className="flex gap-2">
+              <Button
+                variant="outline"
+                onClick={() => regenerateMutation.mutate()}
+                disabled={!code.trim() || regenerateMutation.isPending}
+              >
+                New Recovery Codes
+              </Button>
+              {!status.required && (
+                <Button
+                  variant="destructive"
+                  onClick={() => disableMutation.mutate()}
+                  disabled={!code.trim() || !password || disableMutation.isPending}
+                >
+                  Disable
+                </Button>
+              )}
+            </div>
+            {status.required && (
+              <p className="text-xs text-gray-500">
+                Two-factor authentication is required for your account and cannot be turned off.
+              </p>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
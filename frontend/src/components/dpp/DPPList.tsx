@@ -48,9 +48,10 @@ interface DPP {
   isOverdue: boolean
   hasSubmitted?: boolean
   submission?: any
-  videoClass: {
+  // Missing on unpublished DPPs copied from a previous term
+  videoClass?: {
     title: string
-  }
+  } | null
   teacher: {
     name: string
   }
@@ -101,6 +102,14 @@ export function DPPList({ classroomId, videoClasses }: DPPListProps) {
     }
   })
 
+  const linkClassMutation = useMutation({
+    mutationFn: ({ dppId, videoClassId }: { dppId: string; videoClassId: string }) =>
+      apiClient.updateDPP(dppId, { videoClass: videoClassId }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['dpp', classroomId] })
+    }
+  })
+
   const deleteMutation = useMutation({
     mutationFn: (dppId: string) => apiClient.deleteDPP(dppId),
     onSuccess: () => {
@@ -347,10 +356,27 @@ export function DPPList({ classroomId, videoClasses }: DPPListProps) {
                   )}
 
                   <div className="flex flex-wrap items-center gap-4 text-sm text-gray-500">
-                    <span className="flex items-center">
-                      <BookOpen className="h-4 w-4 mr-1" />
-                      {dpp.videoClass.title}
-                    </span>
+                    {dpp.videoClass ? (
+                      <span className="flex items-center">
+                        <BookOpen className="h-4 w-4 mr-1" />
+                        {dpp.videoClass.title}
+                      </span>
+                    ) : user?.role === 'teacher' && (
+                      <span className="flex items-center">
+                        <BookOpen className="h-4 w-4 mr-1" />
+                        <select
+                          value=""
+                          onChange={(e) => e.target.value && linkClassMutation.mutate({ dppId: dpp._id, videoClassId: e.target.value })}
+                          disabled={linkClassMutation.isPending}
+                          className="rounded-md border border-input bg-background px-2 py-0.5 text-sm"
+                        >
+                          <option value="">Link to a class to publish</option>
+                          {videoClasses.map((vc) => (
+                            <option key={vc._id} value={vc._id}>{vc.title}</option>
+                          ))}
+                        </select>
+                      </span>
+                    )}
                     <span className="flex items-center">
                       <Calendar className="h-4 w-4 mr-1" />
                       Due: {formatDate(dpp.dueDate)}
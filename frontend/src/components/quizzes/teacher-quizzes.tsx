@@ -20,8 +20,10 @@ import {
   XCircle,
   Play,
   Settings,
-  Activity
+  Activity,
+  Send
 } from 'lucide-react'
+import { toast } from '@/hooks/use-toast'
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs'
 import QuizMonitoring from './quiz-monitoring'
 import QuizReviewDashboard from './quiz-review-dashboard'
@@ -265,6 +267,22 @@ function QuizOverview({
     },
   })
 
+  // Drafts, such as quizzes copied from a previous term, go live on their schedule once published
+  const publishQuizMutation = useMutation({
+    mutationFn: (quizId: string) => apiClient.publishQuiz(quizId),
+    onSuccess: (response: any) => {
+      toast({ title: response.message })
+      queryClient.invalidateQueries({ queryKey: ['classroomQuizzes'] })
+    },
+    onError: (error) => {
+      toast({
+        title: 'Failed to publish quiz',
+        description: error instanceof Error ? error.message : 'An error occurred',
+        variant: 'destructive',
+      })
+    },
+  })
+
   const getStatusColor = (status: string) => {
     switch (status) {
       case 'draft': return 'text-gray-600 bg-gray-100'
@@ -427,6 +445,17 @@ function QuizOverview({
                       </button>
                     )}
                     
+                    {quiz.status === 'draft' && (
+                      <button
+                        onClick={() => publishQuizMutation.mutate(quiz._id)}
+                        disabled={publishQuizMutation.isPending}
+                        className="inline-flex items-center px-3 py-1.5 text-xs font-medium rounded-md text-green-700 bg-green-100 hover:bg-green-200 disabled:opacity-50"
+                      >
+                        <Send className="w-3 h-3 mr-1" />
+                        Publish
+                      </button>
+                    )}
+
                     {canEditQuiz(quiz) && (
                       <>
                         <button
@@ -2,16 +2,59 @@ import { useAuthStore } from '@/store/auth'
 
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001/api'
 
+interface AuthResponse {
+  token: string
+  refreshToken: string
+  deviceId: string
+  user: any
+  // Set when the account has two-factor enabled; finish with verifyTwoFactorLogin
+  twoFactorRequired?: boolean
+  challengeToken?: string
+  twoFactorSetupRequired?: boolean
+}
+
 class ApiClient {
   private baseUrl: string
+  private refreshPromise: Promise<boolean> | null = null
 
   constructor(baseUrl: string) {
     this.baseUrl = baseUrl
   }
 
+  // Exchange the stored refresh token for a new token pair.
+  // Concurrent callers share one in-flight refresh so the token is only rotated once.
+  private refreshSession(): Promise<boolean> {
+    const { refreshToken } = useAuthStore.getState()
+    if (!refreshToken) {
+      return Promise.resolve(false)
+    }
+
+    if (!this.refreshPromise) {
+      this.refreshPromise = fetch(`${this.baseUrl}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+      })
+        .then(async (response) => {
+          if (!response.ok) return false
+          const data = await response.json()
+          useAuthStore.getState().setTokens(data.token, data.refreshToken)
+          return true
+        })
+        .catch(() => false)
+        .then((refreshed) => {
+          this.refreshPromise = null
+          return refreshed
+        })
+    }
+
+    return this.refreshPromise
+  }
+
   private async request<T>(
     endpoint: string,
-    options: RequestInit = {}
+    options: RequestInit = {},
+    retryOnUnauthorized = true
   ): Promise<T> {
     const { token } = useAuthStore.getState()
     
@@ -29,6 +72,13 @@ class ApiClient {
     try {
       const response = await fetch(url, config)
 
+      if (response.status === 401 && token && retryOnUnauthorized) {
+        if (await this.refreshSession()) {
+          return this.request<T>(endpoint, options, false)
+        }
+        useAuthStore.getState().logout()
+      }
+
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}))
         throw new Error(errorData.message || `HTTP error! status: ${response.status}`)
@@ -47,18 +97,124 @@ class ApiClient {
     }
   }
 
+  // Fetch an authenticated file and hand it to the browser as a download
+  private async downloadFile(endpoint: string, fallbackFileName: string) {
+    const { token } = useAuthStore.getState()
+
+    const response = await fetch(`${this.baseUrl}${endpoint}`, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    })
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}))
+      throw new Error(errorData.message || `HTTP error! status: ${response.status}`)
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || ''
+    const fileName = disposition.match(/filename="?([^"]+)"?/)?.[1] || fallbackFileName
+
+    const url = window.URL.createObjectURL(await response.blob())
+    const link = document.createElement('a')
+    link.href = url
+    link.download = fileName
+    link.click()
+    window.URL.revokeObjectURL(url)
+  }
+
   // Auth endpoints
-  async login(email: string, password: string): Promise<{ token: string; user: any }> {
+  async login(email: string, password: string): Promise<AuthResponse> {
+    const { deviceId } = useAuthStore.getState()
     return this.request('/auth/login', {
       method: 'POST',
-      body: JSON.stringify({ email, password }),
+      body: JSON.stringify({ email, password, ...(deviceId && { deviceId }) }),
     })
   }
 
-  async register(name: string, email: string, password: string, role: 'teacher' | 'student'): Promise<{ token: string; user: any }> {
+  async verifyTwoFactorLogin(challengeToken: string, factor: { code: string } | { recoveryCode: string }): Promise<AuthResponse> {
+    const { deviceId } = useAuthStore.getState()
+    return this.request('/auth/login/2fa', {
+      method: 'POST',
+      body: JSON.stringify({ challengeToken, ...factor, ...(deviceId && { deviceId }) }),
+    })
+  }
+
+  async register(name: string, email: string, password: string, role: 'teacher' | 'student' | 'guardian'): Promise<AuthResponse> {
+    const { deviceId } = useAuthStore.getState()
     return this.request('/auth/register', {
       method: 'POST',
-      body: JSON.stringify({ name, email, password, role }),
+      body: JSON.stringify({ name, email, password, role, ...(deviceId && { deviceId }) }),
+    })
+  }
+
+  async getOidcConfig(): Promise<{ enabled: boolean; providerName: string; linked?: boolean }> {
+    return this.request('/auth/oidc')
+  }
+
+  // With link set, the signed-in user links their account instead of signing in
+  async startOidc(link = false): Promise<{ authorizationUrl: string; state: string }> {
+    return this.request('/auth/oidc/authorize', {
+      method: 'POST',
+      body: JSON.stringify(link ? { link } : {}),
+    })
+  }
+
+  async oidcCallback(code: string, state: string): Promise<AuthResponse & { linked?: boolean }> {
+    const { deviceId } = useAuthStore.getState()
+    return this.request('/auth/oidc/callback', {
+      method: 'POST',
+      body: JSON.stringify({ code, state, ...(deviceId && { deviceId }) }),
+    })
+  }
+
+  async unlinkOidc() {
+    return this.request('/auth/oidc/link', {
+      method: 'DELETE',
+    })
+  }
+
+  async logout() {
+    return this.request('/auth/logout', {
+      method: 'POST',
+    }, false)
+  }
+
+  async logoutAll() {
+    return this.request('/auth/logout-all', {
+      method: 'POST',
+    })
+  }
+
+  async getSessions() {
+    return this.request('/auth/sessions')
+  }
+
+  async revokeSession(sessionId: string) {
+    return this.request(`/auth/sessions/${sessionId}`, {
+      method: 'DELETE',
+    })
+  }
+
+  async revokeOtherSessions() {
+    return this.request('/auth/sessions', {
+      method: 'DELETE',
+    })
+  }
+
+  async getApiTokens() {
+    return this.request('/auth/tokens')
+  }
+
+  // The response carries the plain token, which is never shown again
+  async createApiToken(data: { name: string; scopes: string[]; expiresInDays?: number | null }) {
+    return this.request('/auth/tokens', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    })
+  }
+
+  async revokeApiToken(tokenId: string) {
+    return this.request(`/auth/tokens/${tokenId}`, {
+      method: 'DELETE',
     })
   }
 
@@ -76,6 +232,26 @@ class ApiClient {
     })
   }
 
+  async acceptInvite(token: string, password: string) {
+    return this.request('/auth/accept-invite', {
+      method: 'POST',
+      body: JSON.stringify({ token, password }),
+    })
+  }
+
+  async verifyEmail(token: string) {
+    return this.request('/auth/verify-email', {
+      method: 'POST',
+      body: JSON.stringify({ token }),
+    })
+  }
+
+  async resendVerificationEmail() {
+    return this.request('/auth/resend-verification', {
+      method: 'POST',
+    })
+  }
+
   async getProfile() {
     return this.request('/auth/profile')
   }
@@ -87,11 +263,59 @@ class ApiClient {
     })
   }
 
+  // Two-factor authentication endpoints
+  async getTwoFactorStatus() {
+    return this.request('/auth/2fa')
+  }
+
+  async setupTwoFactor() {
+    return this.request('/auth/2fa/setup', {
+      method: 'POST',
+    })
+  }
+
+  async enableTwoFactor(code: string) {
+    return this.request('/auth/2fa/enable', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    })
+  }
+
+  async disableTwoFactor(data: { password: string; code?: string; recoveryCode?: string }) {
+    return this.request('/auth/2fa/disable', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    })
+  }
+
+  async regenerateRecoveryCodes(code: string) {
+    return this.request('/auth/2fa/recovery-codes', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    })
+  }
+
+  // Personal data endpoints
+  async exportMyData() {
+    return this.downloadFile('/users/me/export', 'shayak-data.zip')
+  }
+
+  async deleteAccount(data: { password: string; code?: string; recoveryCode?: string }) {
+    return this.request('/users/me', {
+      method: 'DELETE',
+      body: JSON.stringify(data),
+    })
+  }
+
   // Classroom endpoints
   async getClassrooms() {
     return this.request('/classrooms')
   }
 
+  async getDashboardStats() {
+    return this.request('/classrooms/stats')
+  }
+
   async getClassroom(id: string) {
     return this.request(`/classrooms/${id}`)
   }
@@ -110,6 +334,44 @@ class ApiClient {
     })
   }
 
+  async copyClassroom(id: string, data: { name?: string; dateOffsetDays?: number }) {
+    return this.request(`/classrooms/${id}/copy`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    })
+  }
+
+  async exportClassroom(id: string, includeStudentWork: boolean) {
+    return this.downloadFile(
+      `/classrooms/${id}/export${includeStudentWork ? '?includeStudentWork=true' : ''}`,
+      `classroom-${id}.tar.gz`
+    )
+  }
+
+  async importClassroom(file: File, options: { name?: string; includeStudentWork: boolean }) {
+    const formData = new FormData()
+    formData.append('bundle', file)
+    formData.append('includeStudentWork', String(options.includeStudentWork))
+    if (options.name) formData.append('name', options.name)
+
+    const { token } = useAuthStore.getState()
+
+    const response = await fetch(`${this.baseUrl}/classrooms/import`, {
+      method: 'POST',
+      headers: {
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      body: formData,
+    })
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}))
+      throw new Error(errorData.message || `HTTP error! status: ${response.status}`)
+    }
+
+    return response.json()
+  }
+
   async deleteClassroom(id: string) {
     return this.request(`/classrooms/${id}`, {
       method: 'DELETE',
@@ -139,6 +401,272 @@ class ApiClient {
     })
   }
 
+  async getClassroomSecurityEvents(classroomId: string) {
+    return this.request(`/classrooms/${classroomId}/security-events`)
+  }
+
+  async getClassroomAuditLog(classroomId: string, params?: {
+    action?: string
+    from?: string
+    to?: string
+    page?: number
+  }) {
+    const queryParams = new URLSearchParams()
+    if (params?.action) queryParams.append('action', params.action)
+    if (params?.from) queryParams.append('from', params.from)
+    if (params?.to) queryParams.append('to', params.to)
+    if (params?.page) queryParams.append('page', params.page.toString())
+
+    const query = queryParams.toString() ? `?${queryParams.toString()}` : ''
+    return this.request(`/classrooms/${classroomId}/audit-log${query}`)
+  }
+
+  async unlockStudent(classroomId: string, studentId: string) {
+    return this.request(`/classrooms/${classroomId}/students/${studentId}/unlock`, {
+      method: 'POST',
+    })
+  }
+
+  async getScreeningTest(classroomId: string) {
+    return this.request(`/classrooms/${classroomId}/screening-test`)
+  }
+
+  async updateScreeningTest(classroomId: string, data: {
+    quizId?: string | null
+    thresholds?: { intermediate?: number; advanced?: number }
+  }) {
+    return this.request(`/classrooms/${classroomId}/screening-test`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    })
+  }
+
+  async updateStudentLevel(classroomId: string, studentId: string, level: string) {
+    return this.request(`/classrooms/${classroomId}/students/${studentId}/level`, {
+      method: 'PUT',
+      body: JSON.stringify({ level }),
+    })
+  }
+
+  async getStudentLevels(classroomId: string) {
+    return this.request(`/classrooms/${classroomId}/levels`)
+  }
+
+  async updateLevelRules(classroomId: string, data: {
+    mode?: 'off' | 'propose' | 'apply'
+    window?: number
+    minResults?: number
+    promoteAt?: number
+    demoteAt?: number
+    allowDemotion?: boolean
+  }) {
+    return this.request(`/classrooms/${classroomId}/levels/rules`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    })
+  }
+
+  async evaluateStudentLevels(classroomId: string) {
+    return this.request(`/classrooms/${classroomId}/levels/evaluate`, {
+      method: 'POST',
+    })
+  }
+
+  async decideLevelProposal(classroomId: string, studentId: string, decision: 'approve' | 'reject') {
+    return this.request(`/classrooms/${classroomId}/levels/proposals/${studentId}/${decision}`, {
+      method: 'POST',
+    })
+  }
+
+  async getClassroomGroups(classroomId: string) {
+    return this.request(`/classrooms/${classroomId}/groups`)
+  }
+
+  async createClassroomGroup(classroomId: string, data: { name: string; kind?: string; studentIds?: string[] }) {
+    return this.request(`/classrooms/${classroomId}/groups`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    })
+  }
+
+  async updateClassroomGroup(classroomId: string, groupId: string, data: { name?: string; kind?: string; studentIds?: string[] }) {
+    return this.request(`/classrooms/${classroomId}/groups/${groupId}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    })
+  }
+
+  async deleteClassroomGroup(classroomId: string, groupId: string) {
+    return this.request(`/classrooms/${classroomId}/groups/${groupId}`, {
+      method: 'DELETE',
+    })
+  }
+
+  // Weighted gradebook
+  async getGradebook(classroomId: string) {
+    return this.request(`/classrooms/${classroomId}/gradebook`)
+  }
+
+  async exportGradebook(classroomId: string) {
+    return this.downloadFile(`/classrooms/${classroomId}/gradebook?format=csv`, `gradebook-${classroomId}.csv`)
+  }
+
+  async updateGradebookSettings(classroomId: string, data: {
+    categories?: { key: string; weight: number; dropLowest?: number }[]
+    letterScale?: { letter: string; minPercentage: number }[]
+  }) {
+    return this.request(`/classrooms/${classroomId}/gradebook/settings`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    })
+  }
+
+  async searchClassroom(classroomId: string, query: string, type?: string) {
+    const queryParams = new URLSearchParams({ q: query })
+    if (type) queryParams.append('type', type)
+    return this.request(`/classrooms/${classroomId}/search?${queryParams.toString()}`)
+  }
+
+  async getClassroomAnalytics(classroomId: string) {
+    return this.request(`/classrooms/${classroomId}/analytics`)
+  }
+
+  async getStudentAnalytics(classroomId: string, studentId: string) {
+    return this.request(`/classrooms/${classroomId}/analytics/students/${studentId}`)
+  }
+
+  // Syllabus modules
+  async getClassroomModules(classroomId: string) {
+    return this.request(`/classrooms/${classroomId}/modules`)
+  }
+
+  async getModuleProgress(classroomId: string) {
+    return this.request(`/classrooms/${classroomId}/modules/progress`)
+  }
+
+  async createClassroomModule(classroomId: string, data: { title: string; description?: string }) {
+    return this.request(`/classrooms/${classroomId}/modules`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    })
+  }
+
+  async updateClassroomModule(classroomId: string, moduleId: string, data: { title?: string; description?: string; position?: number }) {
+    return this.request(`/classrooms/${classroomId}/modules/${moduleId}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    })
+  }
+
+  async deleteClassroomModule(classroomId: string, moduleId: string) {
+    return this.request(`/classrooms/${classroomId}/modules/${moduleId}`, {
+      method: 'DELETE',
+    })
+  }
+
+  async setContentModule(classroomId: string, itemType: string, itemId: string, moduleId: string | null) {
+    return this.request(`/classrooms/${classroomId}/modules/items/${itemType}/${itemId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ moduleId }),
+    })
+  }
+
+  async getJoinSettings(classroomId: string) {
+    return this.request(`/classrooms/${classroomId}/join-settings`)
+  }
+
+  async updateJoinSettings(classroomId: string, data: { requireJoinApproval?: boolean; allowedEmailDomains?: string[] }) {
+    return this.request(`/classrooms/${classroomId}/join-settings`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    })
+  }
+
+  async regenerateClassCode(classroomId: string, expiresInDays: number | null) {
+    return this.request(`/classrooms/${classroomId}/class-code`, {
+      method: 'POST',
+      body: JSON.stringify({ expiresInDays }),
+    })
+  }
+
+  async decideJoinRequest(classroomId: string, requestId: string, decision: 'approve' | 'reject') {
+    return this.request(`/classrooms/${classroomId}/join-requests/${requestId}/${decision}`, {
+      method: 'POST',
+    })
+  }
+
+  async createClassroomInvite(classroomId: string, data: { expiresInDays: number | null; maxUses: number | null }) {
+    return this.request(`/classrooms/${classroomId}/invites`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    })
+  }
+
+  async revokeClassroomInvite(classroomId: string, inviteId: string) {
+    return this.request(`/classrooms/${classroomId}/invites/${inviteId}`, {
+      method: 'DELETE',
+    })
+  }
+
+  async getClassroomInvite(code: string) {
+    return this.request(`/classrooms/invites/${code}`)
+  }
+
+  async acceptClassroomInvite(code: string) {
+    return this.request(`/classrooms/invites/${code}/accept`, {
+      method: 'POST',
+    })
+  }
+
+  // Create or match student accounts from a CSV and enroll them
+  async importRoster(classroomId: string, file: File, sendInvites: boolean) {
+    const formData = new FormData()
+    formData.append('file', file)
+    formData.append('sendInvites', String(sendInvites))
+
+    const { token } = useAuthStore.getState()
+    const url = `${this.baseUrl}/classrooms/${classroomId}/roster/import`
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      body: formData,
+    })
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}))
+      throw new Error(errorData.message || `HTTP error! status: ${response.status}`)
+    }
+
+    return await response.json()
+  }
+
+  async getClassroomStaff(classroomId: string) {
+    return this.request(`/classrooms/${classroomId}/staff`)
+  }
+
+  async addClassroomStaff(classroomId: string, data: { email: string; role: 'co_teacher' | 'ta' }) {
+    return this.request(`/classrooms/${classroomId}/staff`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    })
+  }
+
+  async updateClassroomStaffRole(classroomId: string, userId: string, role: 'co_teacher' | 'ta') {
+    return this.request(`/classrooms/${classroomId}/staff/${userId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ role }),
+    })
+  }
+
+  async removeClassroomStaff(classroomId: string, userId: string) {
+    return this.request(`/classrooms/${classroomId}/staff/${userId}`, {
+      method: 'DELETE',
+    })
+  }
+
   // Assignment endpoints
   async getAssignments(classroomId?: string) {
     if (classroomId) {
@@ -303,7 +831,9 @@ class ApiClient {
     
     // Add text fields
     Object.keys(postData).forEach(key => {
-      if (postData[key] !== undefined && postData[key] !== null) {
+      if (Array.isArray(postData[key])) {
+        postData[key].forEach((value: string) => formData.append(key, value))
+      } else if (postData[key] !== undefined && postData[key] !== null) {
         formData.append(key, postData[key])
       }
     })
@@ -609,6 +1139,12 @@ class ApiClient {
     })
   }
 
+  async publishQuiz(quizId: string) {
+    return this.request(`/quizzes/quizzes/${quizId}/publish`, {
+      method: 'PUT',
+    })
+  }
+
   async deleteQuiz(quizId: string) {
     return this.request(`/quizzes/quizzes/${quizId}`, {
       method: 'DELETE',
@@ -938,6 +1474,162 @@ class ApiClient {
       body: JSON.stringify(data)
     })
   }
+
+  // Admin endpoints
+  async getAdminUsers(params?: {
+    search?: string
+    role?: string
+    status?: 'active' | 'inactive'
+    page?: number
+    limit?: number
+  }) {
+    const queryParams = new URLSearchParams()
+    if (params?.search) queryParams.append('search', params.search)
+    if (params?.role) queryParams.append('role', params.role)
+    if (params?.status) queryParams.append('status', params.status)
+    if (params?.page) queryParams.append('page', params.page.toString())
+    if (params?.limit) queryParams.append('limit', params.limit.toString())
+
+    const query = queryParams.toString() ? `?${queryParams.toString()}` : ''
+    return this.request(`/admin/users${query}`)
+  }
+
+  async getAdminUser(userId: string) {
+    return this.request(`/admin/users/${userId}`)
+  }
+
+  async deactivateUser(userId: string) {
+    return this.request(`/admin/users/${userId}/deactivate`, {
+      method: 'PUT'
+    })
+  }
+
+  async reactivateUser(userId: string) {
+    return this.request(`/admin/users/${userId}/reactivate`, {
+      method: 'PUT'
+    })
+  }
+
+  async unlockUser(userId: string) {
+    return this.request(`/admin/users/${userId}/unlock`, {
+      method: 'POST'
+    })
+  }
+
+  async exportUserData(userId: string) {
+    return this.downloadFile(`/admin/users/${userId}/export`, `shayak-data-${userId}.zip`)
+  }
+
+  async deleteUser(userId: string) {
+    return this.request(`/admin/users/${userId}`, {
+      method: 'DELETE'
+    })
+  }
+
+  async adminResetPassword(userId: string, password?: string) {
+    return this.request(`/admin/users/${userId}/reset-password`, {
+      method: 'POST',
+      body: JSON.stringify(password ? { password } : {})
+    })
+  }
+
+  async getAdminClassrooms(params?: {
+    search?: string
+    status?: 'active' | 'archived'
+    page?: number
+    limit?: number
+  }) {
+    const queryParams = new URLSearchParams()
+    if (params?.search) queryParams.append('search', params.search)
+    if (params?.status) queryParams.append('status', params.status)
+    if (params?.page) queryParams.append('page', params.page.toString())
+    if (params?.limit) queryParams.append('limit', params.limit.toString())
+
+    const query = queryParams.toString() ? `?${queryParams.toString()}` : ''
+    return this.request(`/admin/classrooms${query}`)
+  }
+
+  async reassignClassroomOwner(classroomId: string, teacherId: string) {
+    return this.request(`/admin/classrooms/${classroomId}/owner`, {
+      method: 'PUT',
+      body: JSON.stringify({ teacherId })
+    })
+  }
+
+  async getAdminAuditLog(params?: {
+    action?: string
+    from?: string
+    to?: string
+    page?: number
+  }) {
+    const queryParams = new URLSearchParams()
+    if (params?.action) queryParams.append('action', params.action)
+    if (params?.from) queryParams.append('from', params.from)
+    if (params?.to) queryParams.append('to', params.to)
+    if (params?.page) queryParams.append('page', params.page.toString())
+
+    const query = queryParams.toString() ? `?${queryParams.toString()}` : ''
+    return this.request(`/admin/audit-log${query}`)
+  }
+
+  // Guardian endpoints
+  async requestGuardianLink(data: {
+    email?: string
+    studentId?: string
+    relationship?: 'parent' | 'guardian' | 'other'
+  }) {
+    return this.request('/guardians/links', {
+      method: 'POST',
+      body: JSON.stringify(data)
+    })
+  }
+
+  async getGuardianLinks() {
+    return this.request('/guardians/links')
+  }
+
+  async approveGuardianLink(linkId: string) {
+    return this.request(`/guardians/links/${linkId}/approve`, {
+      method: 'PUT'
+    })
+  }
+
+  async rejectGuardianLink(linkId: string) {
+    return this.request(`/guardians/links/${linkId}/reject`, {
+      method: 'PUT'
+    })
+  }
+
+  async removeGuardianLink(linkId: string) {
+    return this.request(`/guardians/links/${linkId}`, {
+      method: 'DELETE'
+    })
+  }
+
+  async getGuardianChildren() {
+    return this.request('/guardians/children')
+  }
+
+  async getChildDashboard(studentId: string) {
+    return this.request(`/guardians/children/${studentId}/dashboard`)
+  }
+
+  async getChildGrades(studentId: string, classroomId?: string) {
+    const query = classroomId ? `?classroomId=${classroomId}` : ''
+    return this.request(`/guardians/children/${studentId}/grades${query}`)
+  }
+
+  async getChildAttendance(studentId: string, classroomId: string, params?: {
+    page?: number
+    limit?: number
+  }) {
+    const queryParams = new URLSearchParams()
+    if (params?.page) queryParams.append('page', params.page.toString())
+    if (params?.limit) queryParams.append('limit', params.limit.toString())
+
+    const query = queryParams.toString() ? `?${queryParams.toString()}` : ''
+    return this.request(`/guardians/children/${studentId}/classrooms/${classroomId}/attendance${query}`)
+  }
 }
 
 export const apiClient = new ApiClient(API_BASE_URL)
\ No newline at end of file
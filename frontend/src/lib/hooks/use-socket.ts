@@ -9,19 +9,19 @@ interface UseSocketOptions {
 export function useSocket(options: UseSocketOptions = {}) {
   const { autoConnect = true } = options
   const { token, user } = useAuthStore()
+  const hasToken = !!token
   const socketRef = useRef<Socket | null>(null)
   const [isConnected, setIsConnected] = useState(false)
   const [error, setError] = useState<string | null>(null)
 
   useEffect(() => {
-    if (!token || !autoConnect) return
+    if (!hasToken || !autoConnect) return
 
     const serverUrl = process.env.NEXT_PUBLIC_API_URL?.replace('/api', '') || 'http://localhost:3001'
     
     socketRef.current = io(serverUrl, {
-      auth: {
-        token
-      },
+      // Read the token on every (re)connect so refreshed access tokens are picked up
+      auth: (cb) => cb({ token: useAuthStore.getState().token }),
       transports: ['websocket', 'polling']
     })
 
@@ -38,6 +38,10 @@ export function useSocket(options: UseSocketOptions = {}) {
       setIsConnected(false)
     })
 
+    socket.on('session-revoked', () => {
+      useAuthStore.getState().logout()
+    })
+
     socket.on('connect_error', (error) => {
       console.error('Connection error:', error.message)
       setError(error.message)
@@ -49,7 +53,7 @@ export function useSocket(options: UseSocketOptions = {}) {
       socketRef.current = null
       setIsConnected(false)
     }
-  }, [token, autoConnect])
+  }, [hasToken, autoConnect])
 
   const emit = (event: string, data?: any) => {
     if (socketRef.current && isConnected) {
@@ -0,0 +1,30 @@
+import { apiClient } from '@/lib/api'
+
+// The callback page only accepts the state this tab started with
+const STATE_KEY = 'oidc_state'
+// Hands a two-factor challenge from the callback page to the login page
+const CHALLENGE_KEY = 'oidc_challenge'
+
+// Send the browser to the identity provider; with link set, link the signed-in account
+export async function redirectToOidc(link = false) {
+  const { authorizationUrl, state } = await apiClient.startOidc(link)
+  sessionStorage.setItem(STATE_KEY, state)
+  window.location.assign(authorizationUrl)
+}
+
+// Read and forget the state saved by redirectToOidc
+export function takeOidcState() {
+  const state = sessionStorage.getItem(STATE_KEY)
+  sessionStorage.removeItem(STATE_KEY)
+  return state
+}
+
+export function saveOidcChallenge(challengeToken: string) {
+  sessionStorage.setItem(CHALLENGE_KEY, challengeToken)
+}
+
+export function takeOidcChallenge() {
+  const challengeToken = sessionStorage.getItem(CHALLENGE_KEY)
+  sessionStorage.removeItem(CHALLENGE_KEY)
+  return challengeToken
+}
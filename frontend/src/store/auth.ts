@@ -5,17 +5,21 @@ export interface User {
   id: string
   email: string
   name: string
-  role: 'teacher' | 'student'
+  role: 'teacher' | 'student' | 'admin' | 'guardian'
   avatar?: string
+  isEmailVerified?: boolean
 }
 
 interface AuthState {
   user: User | null
   token: string | null
+  refreshToken: string | null
+  deviceId: string | null
   isLoading: boolean
   isAuthenticated: boolean
-  login: (token: string, user: User) => void
+  login: (token: string, user: User, refreshToken?: string, deviceId?: string) => void
   logout: () => void
+  setTokens: (token: string, refreshToken: string) => void
   setUser: (user: User) => void
   setLoading: (loading: boolean) => void
 }
@@ -25,27 +29,37 @@ export const useAuthStore = create<AuthState>()(
     (set, get) => ({
       user: null,
       token: null,
+      refreshToken: null,
+      deviceId: null,
       isLoading: true,
       isAuthenticated: false,
       
-      login: (token: string, user: User) => {
+      login: (token: string, user: User, refreshToken?: string, deviceId?: string) => {
         set({
           token,
           user,
+          refreshToken: refreshToken || null,
+          deviceId: deviceId || get().deviceId,
           isAuthenticated: true,
           isLoading: false,
         })
       },
       
       logout: () => {
+        // Keep deviceId so the next login reuses this device's session slot
         set({
           user: null,
           token: null,
+          refreshToken: null,
           isAuthenticated: false,
           isLoading: false,
         })
       },
       
+      setTokens: (token: string, refreshToken: string) => {
+        set({ token, refreshToken })
+      },
+      
       setUser: (user: User) => {
         set({ user })
       },
@@ -59,6 +73,8 @@ export const useAuthStore = create<AuthState>()(
       partialize: (state) => ({ 
         user: state.user, 
         token: state.token, 
+        refreshToken: state.refreshToken,
+        deviceId: state.deviceId,
         isAuthenticated: state.isAuthenticated 
       }),
       onRehydrateStorage: () => (state) => {